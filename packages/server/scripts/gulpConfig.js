@@ -66,6 +66,14 @@ module.exports = {
         // sourcemaps: true, // Allow to enable/disable sourcemaps or pass object to configure it.
         // minify: true, // Allow to enable/disable minify the source.
       },
+      {
+        src: `${RESOURCES_PATH}/scss/modules/purchase-order.scss`,
+        dest: `${RESOURCES_PATH}/css/modules`,
+      },
+      {
+        src: `${RESOURCES_PATH}/scss/modules/customer-statement.scss`,
+        dest: `${RESOURCES_PATH}/css/modules`,
+      },
       {
         src: `${RESOURCES_PATH}/scss/modules/financial-sheet.scss`,
         dest: `${RESOURCES_PATH}/css/modules`,
@@ -97,6 +105,14 @@ module.exports = {
         src: `${RESOURCES_PATH}/css/modules/payment.css`,
         dest: `${RESOURCES_PATH}/css/modules`,
       },
+      {
+        src: `${RESOURCES_PATH}/css/modules/purchase-order.css`,
+        dest: `${RESOURCES_PATH}/css/modules`,
+      },
+      {
+        src: `${RESOURCES_PATH}/css/modules/customer-statement.css`,
+        dest: `${RESOURCES_PATH}/css/modules`,
+      },
     ],
 
     // Browsers you care about for auto-prefixing.
@@ -11,6 +11,7 @@ import {
 } from '@/interfaces';
 import { ServiceError } from '@/exceptions';
 import DynamicListingService from '@/services/DynamicListing/DynamicListService';
+import { normalizeIban } from '@/utils/iban';
 import { DATATYPES_LENGTH } from '@/data/DataTypes';
 import CheckPolicies from '@/api/middleware/CheckPolicies';
 import { AccountsApplication } from '@/services/Accounts/AccountsApplication';
@@ -125,6 +126,10 @@ export default class AccountsController extends BaseController {
         .optional({ nullable: true })
         .isInt({ min: 0, max: DATATYPES_LENGTH.INT_10 })
         .toInt(),
+      check('iban')
+        .optional({ nullable: true })
+        .customSanitizer(normalizeIban)
+        .isLength({ max: 34 }),
     ];
   }
 
@@ -157,6 +162,10 @@ export default class AccountsController extends BaseController {
         .optional({ nullable: true })
         .isInt({ min: 0, max: DATATYPES_LENGTH.INT_10 })
         .toInt(),
+      check('iban')
+        .optional({ nullable: true })
+        .customSanitizer(normalizeIban)
+        .isLength({ max: 34 }),
     ];
   }
 
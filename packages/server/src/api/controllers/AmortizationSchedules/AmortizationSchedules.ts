@@ -0,0 +1,166 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  AccountAction,
+  AmortizationScheduleStatus,
+  AmortizationScheduleType,
+} from '@/interfaces';
+import { AmortizationSchedulesApplication } from '@/services/AmortizationSchedules/AmortizationSchedulesApplication';
+import { ERRORS } from '@/services/AmortizationSchedules/constants';
+
+@Service()
+export class AmortizationSchedulesController extends BaseController {
+  @Inject()
+  private amortizationSchedulesApp: AmortizationSchedulesApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/recognize',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [body('to_date').optional().isISO8601().toDate()],
+      this.validationResult,
+      asyncMiddleware(this.recognizeAmortizationSchedules.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getAmortizationSchedule.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [
+        query('type').optional().isIn(Object.values(AmortizationScheduleType)),
+        query('status')
+          .optional()
+          .isIn(Object.values(AmortizationScheduleStatus)),
+        query('reference_type').optional().isIn(['Expense', 'SaleInvoice']),
+        query('reference_id').optional().isInt().toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getAmortizationSchedules.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Retrieves the given amortization schedule with its recognition lines.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getAmortizationSchedule(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: scheduleId } = req.params;
+
+    try {
+      const schedule =
+        await this.amortizationSchedulesApp.getAmortizationSchedule(
+          tenantId,
+          scheduleId
+        );
+      return res.status(200).send({ data: schedule });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the amortization schedules list.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getAmortizationSchedules(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const schedules =
+        await this.amortizationSchedulesApp.getAmortizationSchedules(
+          tenantId,
+          filter
+        );
+      return res.status(200).send({ data: schedules });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Recognizes the due amortization schedules lines up to the given date.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async recognizeAmortizationSchedules(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const recognizeDTO = this.matchedBodyData(req);
+
+    try {
+      const lines =
+        await this.amortizationSchedulesApp.recognizeAmortizationSchedules(
+          tenantId,
+          recognizeDTO
+        );
+      return res.status(200).send({
+        data: lines,
+        message:
+          'The amortization schedules have been recognized successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.AMORTIZATION_SCHEDULE_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.AMORTIZATION_SCHEDULE_NOT_FOUND, code: 100 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -0,0 +1,125 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Request, Response, Router } from 'express';
+import { body, param } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import { BankFeedsApplication } from '@/services/Banking/BankFeeds/BankFeedsApplication';
+import {
+  BankFeedProviderType,
+  IFileDropConnectionDTO,
+} from '@/services/Banking/BankFeeds/types';
+
+@Service()
+export class BankFeedsController extends BaseController {
+  @Inject()
+  private bankFeedsApp: BankFeedsApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.get('/connections', this.getConnections.bind(this));
+    router.post(
+      '/file-drop/connections',
+      [
+        body('name').exists().isString().trim(),
+        body('folder').exists().isString().trim(),
+      ],
+      this.validationResult,
+      this.linkFileDropConnection.bind(this)
+    );
+    router.post(
+      '/:provider/connections/:connectionId/sync',
+      [
+        param('provider').isIn(Object.values(BankFeedProviderType)),
+        param('connectionId').exists(),
+      ],
+      this.validationResult,
+      this.syncConnection.bind(this)
+    );
+    return router;
+  }
+
+  /**
+   * Retrieves the bank feed connections.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async getConnections(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const connections = await this.bankFeedsApp.getConnections(tenantId);
+
+      return res.status(200).send({ data: connections });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Links a new file drop connection.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async linkFileDropConnection(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const connectionDTO = this.matchedBodyData(req) as IFileDropConnectionDTO;
+
+    try {
+      const connectionId = await this.bankFeedsApp.linkFileDropConnection(
+        tenantId,
+        connectionDTO
+      );
+      return res.status(200).send({
+        connection_id: connectionId,
+        message: 'The file drop connection has been linked successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Syncs the given bank feed connection.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async syncConnection(
+    req: Request<{ provider: string; connectionId: string }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { provider, connectionId } = req.params;
+
+    try {
+      const result = await this.bankFeedsApp.syncConnection(
+        tenantId,
+        provider,
+        connectionId
+      );
+      return res.status(200).send({
+        data: result,
+        message: 'The bank feed connection has been synced successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,471 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Request, Response, Router } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { AbilitySubject, CashflowAction } from '@/interfaces';
+import { ACCEPT_TYPE } from '@/interfaces/Http';
+import { BankReconciliationApplication } from '@/services/Banking/Reconciliation/BankReconciliationApplication';
+import { ERRORS } from '@/services/Banking/Reconciliation/constants';
+
+@Service()
+export class BankReconciliationsController extends BaseController {
+  @Inject()
+  private reconciliationApp: BankReconciliationApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(CashflowAction.Create, AbilitySubject.Cashflow),
+      [
+        body('account_id').exists().isInt().toInt(),
+        body('statement_date').exists().isISO8601().toDate(),
+        body('statement_ending_balance').exists().isFloat().toFloat(),
+      ],
+      this.validationResult,
+      this.asyncMiddleware(this.createReconciliation.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/clear',
+      CheckPolicies(CashflowAction.Create, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt(), ...this.transactionsSchema],
+      this.validationResult,
+      this.asyncMiddleware(this.clearTransactions.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/unclear',
+      CheckPolicies(CashflowAction.Create, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt(), ...this.transactionsSchema],
+      this.validationResult,
+      this.asyncMiddleware(this.unclearTransactions.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/finish',
+      CheckPolicies(CashflowAction.Create, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.finishReconciliation.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/undo',
+      CheckPolicies(CashflowAction.Delete, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.undoReconciliation.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(CashflowAction.Delete, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.deleteReconciliation.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id/summary',
+      CheckPolicies(CashflowAction.View, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.getReconciliationSummary.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(CashflowAction.View, AbilitySubject.Cashflow),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.getReconciliation.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(CashflowAction.View, AbilitySubject.Cashflow),
+      [query('account_id').exists().isInt().toInt()],
+      this.validationResult,
+      this.asyncMiddleware(this.getReconciliations.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Cleared transactions validation schema.
+   */
+  private get transactionsSchema() {
+    return [
+      body('transactions').isArray({ min: 1 }),
+      body('transactions.*.reference_type').exists().isString(),
+      body('transactions.*.reference_id').exists().isInt().toInt(),
+    ];
+  }
+
+  /**
+   * Starts a new reconciliation on the given bank account.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createReconciliation(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const reconciliationDTO = this.matchedBodyData(req);
+
+    try {
+      const reconciliation = await this.reconciliationApp.createReconciliation(
+        tenantId,
+        reconciliationDTO,
+        user
+      );
+      return res.status(200).send({
+        id: reconciliation.id,
+        message: 'The bank reconciliation has been started successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Marks the given transactions as cleared.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async clearTransactions(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+    const clearDTO = this.matchedBodyData(req);
+
+    try {
+      const summary = await this.reconciliationApp.clearTransactions(
+        tenantId,
+        reconciliationId,
+        clearDTO
+      );
+      return res.status(200).send({
+        id: reconciliationId,
+        message: 'The transactions have been cleared successfully.',
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unmarks the given cleared transactions.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async unclearTransactions(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+    const clearDTO = this.matchedBodyData(req);
+
+    try {
+      const summary = await this.reconciliationApp.unclearTransactions(
+        tenantId,
+        reconciliationId,
+        clearDTO
+      );
+      return res.status(200).send({
+        id: reconciliationId,
+        message: 'The transactions have been uncleared successfully.',
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Finishes the given reconciliation.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async finishReconciliation(
+    req: Request<{ id: number }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+
+    try {
+      await this.reconciliationApp.finishReconciliation(
+        tenantId,
+        reconciliationId
+      );
+      return res.status(200).send({
+        id: reconciliationId,
+        message: 'The bank reconciliation has been finished successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Undoes the given finished reconciliation.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async undoReconciliation(
+    req: Request<{ id: number }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+
+    try {
+      await this.reconciliationApp.undoReconciliation(
+        tenantId,
+        reconciliationId
+      );
+      return res.status(200).send({
+        id: reconciliationId,
+        message: 'The bank reconciliation has been undone successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given draft reconciliation.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteReconciliation(
+    req: Request<{ id: number }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+
+    try {
+      await this.reconciliationApp.deleteReconciliation(
+        tenantId,
+        reconciliationId
+      );
+      return res.status(200).send({
+        id: reconciliationId,
+        message: 'The bank reconciliation has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given reconciliation with its transactions and summary.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getReconciliation(
+    req: Request<{ id: number }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+
+    try {
+      const reconciliation = await this.reconciliationApp.getReconciliation(
+        tenantId,
+        reconciliationId
+      );
+      return res.status(200).send({ data: reconciliation });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the reconciliations of the given bank account.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getReconciliations(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { accountId } = this.matchedQueryData(req);
+
+    try {
+      const reconciliations = await this.reconciliationApp.getReconciliations(
+        tenantId,
+        accountId
+      );
+      return res.status(200).send({ data: reconciliations });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the reconciliation summary report in table or pdf format.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getReconciliationSummary(
+    req: Request<{ id: number }>,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: reconciliationId } = req.params;
+
+    const accept = this.accepts(req);
+
+    const acceptType = accept.types([
+      ACCEPT_TYPE.APPLICATION_JSON_TABLE,
+      ACCEPT_TYPE.APPLICATION_PDF,
+    ]);
+    try {
+      // Retrieves the pdf format.
+      if (acceptType === ACCEPT_TYPE.APPLICATION_PDF) {
+        const pdfContent = await this.reconciliationApp.getSummaryPdf(
+          tenantId,
+          reconciliationId
+        );
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Length': pdfContent.length,
+        });
+        return res.send(pdfContent);
+        // Retrieves the json table format.
+      } else {
+        const table = await this.reconciliationApp.getSummaryTable(
+          tenantId,
+          reconciliationId
+        );
+        return res.status(200).send(table);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.RECONCILIATION_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.RECONCILIATION_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.ACCOUNT_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ACCOUNT_NOT_FOUND, code: 200 }],
+        });
+      }
+      if (error.errorType === ERRORS.ACCOUNT_TYPE_NOT_RECONCILABLE) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ACCOUNT_TYPE_NOT_RECONCILABLE, code: 300 }],
+        });
+      }
+      if (error.errorType === ERRORS.ACCOUNT_HAS_DRAFT_RECONCILIATION) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.ACCOUNT_HAS_DRAFT_RECONCILIATION, code: 400 },
+          ],
+        });
+      }
+      if (
+        error.errorType === ERRORS.STATEMENT_DATE_BEFORE_LAST_RECONCILIATION
+      ) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.STATEMENT_DATE_BEFORE_LAST_RECONCILIATION,
+              code: 500,
+            },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.RECONCILIATION_ALREADY_FINISHED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.RECONCILIATION_ALREADY_FINISHED, code: 600 }],
+        });
+      }
+      if (error.errorType === ERRORS.RECONCILIATION_NOT_FINISHED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.RECONCILIATION_NOT_FINISHED, code: 700 }],
+        });
+      }
+      if (error.errorType === ERRORS.RECONCILIATION_NOT_BALANCED) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.RECONCILIATION_NOT_BALANCED,
+              code: 800,
+              data: error.payload,
+            },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.RECONCILIATION_NOT_LATEST) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.RECONCILIATION_NOT_LATEST, code: 900 }],
+        });
+      }
+      if (error.errorType === ERRORS.TRANSACTIONS_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.TRANSACTIONS_NOT_FOUND,
+              code: 1000,
+              data: error.payload,
+            },
+          ],
+        });
+      }
+    }
+    next(error);
+  }
+}
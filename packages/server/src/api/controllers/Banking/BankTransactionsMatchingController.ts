@@ -5,7 +5,11 @@ import { MatchBankTransactionsApplication } from '@/services/Banking/Matching/Ma
 import { body, param } from 'express-validator';
 import {
   GetMatchedTransactionsFilter,
+  IAutoMatchTransactionsDTO,
+  IMatchBankTransactionsDTO,
+  IMatchInvoicesPaymentDTO,
   IMatchTransactionsDTO,
+  MatchResidualType,
 } from '@/services/Banking/Matching/types';
 
 @Service()
@@ -19,6 +23,58 @@ export class BankTransactionsMatchingController extends BaseController {
   public router() {
     const router = Router();
 
+    router.post(
+      '/auto-match',
+      [
+        body('account_id').optional({ nullable: true }).isInt().toInt(),
+        body('threshold')
+          .optional({ nullable: true })
+          .isFloat({ min: 0, max: 100 })
+          .toFloat(),
+      ],
+      this.validationResult,
+      this.autoMatchBankTransactions.bind(this)
+    );
+    router.post(
+      '/',
+      [
+        body('uncategorizedTransactions').isArray({ min: 1 }),
+        body('uncategorizedTransactions.*').isInt().toInt(),
+        body('matchedTransactions').isArray({ min: 1 }),
+        body('matchedTransactions.*.reference_type').exists(),
+        body('matchedTransactions.*.reference_id').isNumeric().toInt(),
+      ],
+      this.validationResult,
+      this.matchBankTransactions.bind(this)
+    );
+    router.post(
+      '/invoices-payment',
+      [
+        body('uncategorized_transactions').isArray({ min: 1 }),
+        body('uncategorized_transactions.*').isInt().toInt(),
+        body('invoices').isArray({ min: 1 }),
+        body('invoices.*.invoice_id').isInt().toInt(),
+        body('invoices.*.payment_amount')
+          .optional({ nullable: true })
+          .isFloat({ gt: 0 })
+          .toFloat(),
+        body('residual_type')
+          .optional({ nullable: true })
+          .isIn(Object.values(MatchResidualType)),
+        body('bank_fee_account_id')
+          .optional({ nullable: true })
+          .isInt()
+          .toInt(),
+        body('payment_receive_no').optional({ nullable: true }).trim(),
+        body('exchange_rate')
+          .optional({ nullable: true })
+          .isFloat({ gt: 0 })
+          .toFloat(),
+        body('branch_id').optional({ nullable: true }).isInt().toInt(),
+      ],
+      this.validationResult,
+      this.matchInvoicesPayment.bind(this)
+    );
     router.post(
       '/:transactionId',
       [
@@ -72,6 +128,68 @@ export class BankTransactionsMatchingController extends BaseController {
     }
   }
 
+  /**
+   * Matches the given bank transactions together.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async matchBankTransactions(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { uncategorizedTransactions, ...matchTransactionDTO } =
+      this.matchedBodyData(req) as IMatchBankTransactionsDTO;
+
+    try {
+      await this.bankTransactionsMatchingApp.matchTransaction(
+        tenantId,
+        uncategorizedTransactions,
+        matchTransactionDTO
+      );
+      return res.status(200).send({
+        ids: uncategorizedTransactions,
+        message: 'The bank transactions have been matched.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Matches the given deposits with a single payment of the given invoices.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async matchInvoicesPayment(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const matchDTO = this.matchedBodyData(req) as IMatchInvoicesPaymentDTO;
+
+    try {
+      await this.bankTransactionsMatchingApp.matchInvoicesPayment(
+        tenantId,
+        matchDTO,
+        user
+      );
+      return res.status(200).send({
+        ids: matchDTO.uncategorizedTransactions,
+        message:
+          'The bank transactions have been matched with the invoices payment.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Unmatches the matched bank transaction.
    * @param {Request} req
@@ -100,4 +218,33 @@ export class BankTransactionsMatchingController extends BaseController {
       next(error);
     }
   }
+
+  /**
+   * Auto-matches the bank transactions above the confidence threshold.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  private async autoMatchBankTransactions(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const autoMatchDTO = this.matchedBodyData(req) as IAutoMatchTransactionsDTO;
+
+    try {
+      const data = await this.bankTransactionsMatchingApp.autoMatchTransactions(
+        tenantId,
+        autoMatchDTO
+      );
+      return res.status(200).send({
+        data,
+        message: 'The bank transactions have been auto-matched.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
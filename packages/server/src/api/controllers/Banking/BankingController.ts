@@ -6,6 +6,8 @@ import { BankingRulesController } from './BankingRulesController';
 import { BankTransactionsMatchingController } from './BankTransactionsMatchingController';
 import { RecognizedTransactionsController } from './RecognizedTransactionsController';
 import { BankAccountsController } from './BankAccountsController';
+import { BankReconciliationsController } from './BankReconciliationsController';
+import { BankFeedsController } from './BankFeedsController';
 
 @Service()
 export class BankingController extends BaseController {
@@ -29,6 +31,11 @@ export class BankingController extends BaseController {
       '/bank_accounts',
       Container.get(BankAccountsController).router()
     );
+    router.use(
+      '/reconciliations',
+      Container.get(BankReconciliationsController).router()
+    );
+    router.use('/feeds', Container.get(BankFeedsController).router());
     return router;
   }
 }
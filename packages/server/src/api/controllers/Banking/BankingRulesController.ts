@@ -4,8 +4,12 @@ import BaseController from '@/api/controllers/BaseController';
 import { BankRulesApplication } from '@/services/Banking/Rules/BankRulesApplication';
 import { body, param } from 'express-validator';
 import {
+  BankRuleConditionComparator,
+  BankRuleConditionField,
+  BankRuleSplitAmountType,
   ICreateBankRuleDTO,
   IEditBankRuleDTO,
+  ISimulateBankRuleDTO,
 } from '@/services/Banking/Rules/types';
 
 @Service()
@@ -30,12 +34,19 @@ export class BankingRulesController extends BaseController {
       // Conditions
       body('conditions_type').isString().isIn(['and', 'or']).default('and'),
       body('conditions').isArray({ min: 1 }),
-      body('conditions.*.field').exists().isIn(['description', 'amount']),
+      body('conditions.*.field')
+        .exists()
+        .isIn(Object.values(BankRuleConditionField)),
       body('conditions.*.comparator')
         .exists()
-        .isIn(['equals', 'contains', 'not_contain'])
+        .isIn(Object.values(BankRuleConditionComparator))
         .default('contain'),
       body('conditions.*.value').exists(),
+      body('conditions.*.value_to').optional({ nullable: true }),
+      body('conditions.*.case_sensitive')
+        .optional({ nullable: true })
+        .isBoolean()
+        .toBoolean(),
 
       // Assign
       body('assign_category').isString(),
@@ -43,6 +54,15 @@ export class BankingRulesController extends BaseController {
       body('assign_payee').isString().optional({ nullable: true }),
       body('assign_memo').isString().optional({ nullable: true }),
 
+      // Split lines
+      body('split_lines').optional().isArray(),
+      body('split_lines.*.account_id').exists().isInt({ min: 0 }).toInt(),
+      body('split_lines.*.amount_type')
+        .exists()
+        .isIn(Object.values(BankRuleSplitAmountType)),
+      body('split_lines.*.amount').exists().isFloat({ gt: 0 }).toFloat(),
+      body('split_lines.*.memo').optional({ nullable: true }).isString(),
+
       body('recognition').isBoolean().toBoolean().optional({ nullable: true }),
     ];
   }
@@ -59,6 +79,18 @@ export class BankingRulesController extends BaseController {
       this.validationResult,
       this.createBankRule.bind(this)
     );
+    router.post(
+      '/simulate',
+      [...this.bankRuleValidationSchema],
+      this.validationResult,
+      this.simulateBankRule.bind(this)
+    );
+    router.post(
+      '/:id/simulate',
+      [param('id').toInt().exists(), ...this.bankRuleValidationSchema],
+      this.validationResult,
+      this.simulateBankRule.bind(this)
+    );
     router.post(
       '/:id',
       [param('id').toInt().exists(), ...this.bankRuleValidationSchema],
@@ -203,4 +235,31 @@ export class BankingRulesController extends BaseController {
       next(error);
     }
   }
+
+  /**
+   * Simulates the given unsaved bank rule without writing anything.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async simulateBankRule(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: ruleId } = req.params;
+    const simulateDTO = this.matchedBodyData(req) as ISimulateBankRuleDTO;
+
+    try {
+      const data = await this.bankRulesApplication.simulateBankRule(
+        tenantId,
+        simulateDTO,
+        ruleId
+      );
+      return res.status(200).send({ data });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
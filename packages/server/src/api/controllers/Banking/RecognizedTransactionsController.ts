@@ -1,5 +1,6 @@
 import { Inject, Service } from 'typedi';
 import { NextFunction, Request, Response, Router } from 'express';
+import { body, param } from 'express-validator';
 import BaseController from '@/api/controllers/BaseController';
 import { CashflowApplication } from '@/services/Cashflow/CashflowApplication';
 
@@ -19,6 +20,17 @@ export class RecognizedTransactionsController extends BaseController {
       '/transactions/:uncategorizedTransactionId',
       this.getRecognizedTransaction.bind(this)
     );
+    router.post(
+      '/transactions/:uncategorizedTransactionId/categorize',
+      [
+        param('uncategorizedTransactionId').exists().isInt().toInt(),
+        body('transaction_number').optional({ nullable: true }).isString(),
+        body('exchange_rate').optional({ nullable: true }).isFloat({ gt: 0 }),
+        body('branch_id').optional({ nullable: true }).isInt().toInt(),
+      ],
+      this.validationResult,
+      this.categorizeRecognizedTransaction.bind(this)
+    );
 
     return router;
   }
@@ -74,4 +86,37 @@ export class RecognizedTransactionsController extends BaseController {
       next(error);
     }
   }
+
+  /**
+   * Categorizes the given recognized transaction based on its bank rule.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Promise<Response|null>}
+   */
+  async categorizeRecognizedTransaction(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { uncategorizedTransactionId } = req.params;
+    const categorizeDTO = this.matchedBodyData(req);
+
+    try {
+      await this.cashflowApplication.categorizeRecognizedTransaction(
+        tenantId,
+        uncategorizedTransactionId,
+        categorizeDTO,
+        user
+      );
+      return res.status(200).send({
+        id: uncategorizedTransactionId,
+        message:
+          'The recognized transaction has been categorized successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
@@ -0,0 +1,276 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { AbilitySubject, AccountAction, BudgetPeriod } from '@/interfaces';
+import { BudgetsApplication } from '@/services/Budgets/BudgetsApplication';
+import { ERRORS } from '@/services/Budgets/constants';
+
+@Service()
+export class BudgetsController extends BaseController {
+  @Inject()
+  private budgetsApplication: BudgetsApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(AccountAction.CREATE, AbilitySubject.Account),
+      this.budgetValidationSchema,
+      this.validationResult,
+      asyncMiddleware(this.createBudget.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt(), ...this.budgetValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.editBudget.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(AccountAction.DELETE, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.deleteBudget.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getBudget.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [query('fiscal_year').optional().isInt({ min: 1900 }).toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getBudgets.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Budget validation schema.
+   */
+  private get budgetValidationSchema() {
+    return [
+      body('name').exists().isString().trim().isLength({ max: 255 }),
+      body('fiscal_year').exists().isInt({ min: 1900, max: 9999 }).toInt(),
+      body('period').exists().isIn(Object.values(BudgetPeriod)),
+      body('description').optional({ nullable: true }).isString().trim(),
+
+      body('entries').isArray({ min: 1 }),
+      body('entries.*.account_id').exists().isInt().toInt(),
+      body('entries.*.branch_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      body('entries.*.project_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      body('entries.*.amounts').isArray({ min: 1 }),
+      body('entries.*.amounts.*').isFloat().toFloat(),
+    ];
+  }
+
+  /**
+   * Creates a new budget.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async createBudget(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const budgetDTO = this.matchedBodyData(req);
+
+    try {
+      const budget = await this.budgetsApplication.createBudget(
+        tenantId,
+        budgetDTO,
+        user
+      );
+      return res.status(200).send({
+        id: budget.id,
+        message: 'The budget has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given budget.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async editBudget(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const { id: budgetId } = req.params;
+    const budgetDTO = this.matchedBodyData(req);
+
+    try {
+      await this.budgetsApplication.editBudget(
+        tenantId,
+        budgetId,
+        budgetDTO,
+        user
+      );
+      return res.status(200).send({
+        id: budgetId,
+        message: 'The budget has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given budget.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async deleteBudget(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: budgetId } = req.params;
+
+    try {
+      await this.budgetsApplication.deleteBudget(tenantId, budgetId);
+
+      return res.status(200).send({
+        id: budgetId,
+        message: 'The budget has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given budget.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getBudget(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: budgetId } = req.params;
+
+    try {
+      const budget = await this.budgetsApplication.getBudget(
+        tenantId,
+        budgetId
+      );
+      return res.status(200).send({ data: budget });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the budgets list.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getBudgets(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const budgets = await this.budgetsApplication.getBudgets(
+        tenantId,
+        filter
+      );
+      return res.status(200).send({ data: budgets });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.BUDGET_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BUDGET_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.BUDGET_NAME_EXISTS) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BUDGET_NAME_EXISTS, code: 200 }],
+        });
+      }
+      if (error.errorType === ERRORS.ACCOUNTS_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.ACCOUNTS_NOT_FOUND,
+              code: 300,
+              data: error.payload,
+            },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.ACCOUNTS_NOT_PROFIT_LOSS_TYPE) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ACCOUNTS_NOT_PROFIT_LOSS_TYPE, code: 400 }],
+        });
+      }
+      if (error.errorType === ERRORS.BRANCHES_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BRANCHES_NOT_FOUND, code: 500 }],
+        });
+      }
+      if (error.errorType === ERRORS.PROJECTS_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.PROJECTS_NOT_FOUND, code: 600 }],
+        });
+      }
+      if (error.errorType === ERRORS.ENTRY_AMOUNTS_NOT_MATCH_PERIODS) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.ENTRY_AMOUNTS_NOT_MATCH_PERIODS,
+              code: 700,
+              data: error.payload,
+            },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.ENTRIES_DUPLICATED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ENTRIES_DUPLICATED, code: 800 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
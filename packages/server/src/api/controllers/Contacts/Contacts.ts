@@ -281,6 +281,16 @@ export default class ContactsController extends BaseController {
         .escape()
         .isLength({ max: DATATYPES_LENGTH.TEXT }),
       check('active').optional().isBoolean().toBoolean(),
+
+      check('early_payment_discount_rate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .toFloat(),
+      check('early_payment_discount_days')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .toInt(),
+      check('payment_term_id').optional({ nullable: true }).isInt().toInt(),
     ];
   }
 
@@ -111,6 +111,7 @@ export default class CustomersController extends ContactsController {
         .isIn(['business', 'individual'])
         .trim()
         .escape(),
+      check('dunning_opt_out').optional().isBoolean().toBoolean(),
     ];
   }
 
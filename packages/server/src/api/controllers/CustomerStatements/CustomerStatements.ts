@@ -0,0 +1,258 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  CustomerAction,
+  CustomerStatementMailOptionsDTO,
+  CustomerStatementType,
+  ICustomerStatementQuery,
+} from '@/interfaces';
+import { ACCEPT_TYPE } from '@/interfaces/Http';
+import { CustomerStatementsApplication } from '@/services/CustomerStatements/CustomerStatementsApplication';
+import { ERRORS } from '@/services/CustomerStatements/constants';
+
+@Service()
+export class CustomerStatementsController extends BaseController {
+  @Inject()
+  private customerStatementsApp: CustomerStatementsApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/mail',
+      CheckPolicies(CustomerAction.View, AbilitySubject.Customer),
+      [
+        ...this.statementQuerySchema(body),
+        body('attach_statement').optional().isBoolean().toBoolean(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.sendCustomersStatementsBulkMail.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:customerId',
+      CheckPolicies(CustomerAction.View, AbilitySubject.Customer),
+      [
+        param('customerId').exists().isInt().toInt(),
+        ...this.statementQuerySchema(query),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getCustomerStatement.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:customerId/mail',
+      CheckPolicies(CustomerAction.View, AbilitySubject.Customer),
+      [
+        param('customerId').exists().isInt().toInt(),
+        ...this.statementQuerySchema(query),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getCustomerStatementMail.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:customerId/mail',
+      CheckPolicies(CustomerAction.View, AbilitySubject.Customer),
+      [
+        param('customerId').exists().isInt().toInt(),
+        ...this.statementQuerySchema(body),
+        body('subject').isString().optional(),
+        body('from').isString().optional(),
+        body('to').isString().optional(),
+        body('body').isString().optional(),
+        body('attach_statement').optional().isBoolean().toBoolean(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.sendCustomerStatementMail.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Statement query schema of the given location.
+   * @param {typeof query | typeof body} location
+   */
+  private statementQuerySchema(location: typeof query | typeof body) {
+    return [
+      location('type').optional().isIn(Object.values(CustomerStatementType)),
+      location('from_date').optional().isISO8601(),
+      location('to_date').optional().isISO8601(),
+    ];
+  }
+
+  /**
+   * Retrieves the statement of account of the given customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getCustomerStatement(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { customerId } = req.params;
+    const statementQuery: Partial<ICustomerStatementQuery> =
+      this.matchedQueryData(req);
+
+    const accept = this.accepts(req);
+
+    const acceptType = accept.types([
+      ACCEPT_TYPE.APPLICATION_JSON,
+      ACCEPT_TYPE.APPLICATION_PDF,
+    ]);
+    try {
+      // Retrieves the statement in pdf format.
+      if (ACCEPT_TYPE.APPLICATION_PDF === acceptType) {
+        const pdfContent =
+          await this.customerStatementsApp.getCustomerStatementPdf(
+            tenantId,
+            customerId,
+            statementQuery
+          );
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Length': pdfContent.length,
+        });
+        return res.send(pdfContent);
+      }
+      const statement = await this.customerStatementsApp.getCustomerStatement(
+        tenantId,
+        customerId,
+        statementQuery
+      );
+      return res.status(200).send({ data: statement });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the default statement mail options of the given customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getCustomerStatementMail(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { customerId } = req.params;
+    const statementQuery: Partial<ICustomerStatementQuery> =
+      this.matchedQueryData(req);
+
+    try {
+      const data = await this.customerStatementsApp.getCustomerStatementMail(
+        tenantId,
+        customerId,
+        statementQuery
+      );
+      return res.status(200).send({ data });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sends the statement of account mail of the given customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async sendCustomerStatementMail(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { customerId } = req.params;
+    const { type, fromDate, toDate, ...messageOptions } = this.matchedBodyData(
+      req,
+      { includeOptionals: false }
+    );
+
+    try {
+      await this.customerStatementsApp.sendCustomerStatementMail(
+        tenantId,
+        customerId,
+        { type, fromDate, toDate },
+        messageOptions as CustomerStatementMailOptionsDTO
+      );
+      return res.status(200).send({
+        code: 200,
+        message: 'The customer statement mail has been sent successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sends the statement of account mail to all customers that have balance.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async sendCustomersStatementsBulkMail(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const bulkMailDTO = this.matchedBodyData(req, { includeOptionals: false });
+
+    try {
+      const { customersIds, skippedCustomersIds } =
+        await this.customerStatementsApp.sendCustomersStatementsBulkMail(
+          tenantId,
+          bulkMailDTO
+        );
+      return res.status(200).send({
+        customers_ids: customersIds,
+        skipped_customers_ids: skippedCustomersIds,
+        message: 'The customers statements mails have been sent successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.CUSTOMER_STATEMENT_DATE_RANGE_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.CUSTOMER_STATEMENT_DATE_RANGE_INVALID, code: 100 },
+          ],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -0,0 +1,307 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { check, param } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  IDunningLevelDTO,
+  SaleInvoiceAction,
+} from '@/interfaces';
+import { DunningApplication } from '@/services/Sales/Dunning/DunningApplication';
+import { ERRORS } from '@/services/Sales/Dunning/constants';
+
+@Service()
+export class DunningController extends BaseController {
+  @Inject()
+  private dunningApplication: DunningApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/levels',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      this.dunningLevelSchema,
+      this.validationResult,
+      asyncMiddleware(this.createDunningLevel.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/levels/:id',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [param('id').exists().isInt().toInt(), ...this.dunningLevelSchema],
+      this.validationResult,
+      asyncMiddleware(this.editDunningLevel.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/levels/:id',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.deleteDunningLevel.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/levels/:id',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getDunningLevel.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/levels',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      asyncMiddleware(this.getDunningLevels.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/invoices/:invoiceId/logs',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      [param('invoiceId').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getSaleInvoiceDunningLogs.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/run',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      asyncMiddleware(this.runDunningReminders.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Dunning level validation schema.
+   */
+  private get dunningLevelSchema() {
+    return [
+      check('name').exists().isString().trim().isLength({ max: 255 }),
+      check('days_offset').exists().isInt().toInt(),
+      check('subject').optional({ nullable: true }).isString().trim(),
+      check('body').optional({ nullable: true }).isString(),
+      check('attach_invoice').optional().isBoolean().toBoolean(),
+      check('active').optional().isBoolean().toBoolean(),
+    ];
+  }
+
+  /**
+   * Creates a new dunning level.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createDunningLevel(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const dunningLevelDTO = this.matchedBodyData(req) as IDunningLevelDTO;
+
+    try {
+      const dunningLevel = await this.dunningApplication.createDunningLevel(
+        tenantId,
+        dunningLevelDTO
+      );
+      return res.status(200).send({
+        id: dunningLevel.id,
+        message: 'The dunning level has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given dunning level.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editDunningLevel(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: dunningLevelId } = req.params;
+    const dunningLevelDTO = this.matchedBodyData(req) as IDunningLevelDTO;
+
+    try {
+      await this.dunningApplication.editDunningLevel(
+        tenantId,
+        dunningLevelId,
+        dunningLevelDTO
+      );
+      return res.status(200).send({
+        id: dunningLevelId,
+        message: 'The dunning level has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given dunning level.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteDunningLevel(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: dunningLevelId } = req.params;
+
+    try {
+      await this.dunningApplication.deleteDunningLevel(
+        tenantId,
+        dunningLevelId
+      );
+      return res.status(200).send({
+        id: dunningLevelId,
+        message: 'The dunning level has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given dunning level.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getDunningLevel(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: dunningLevelId } = req.params;
+
+    try {
+      const dunningLevel = await this.dunningApplication.getDunningLevel(
+        tenantId,
+        dunningLevelId
+      );
+      return res.status(200).send({ data: dunningLevel });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the dunning levels.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getDunningLevels(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const dunningLevels = await this.dunningApplication.getDunningLevels(
+        tenantId
+      );
+      return res.status(200).send({ data: dunningLevels });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the sent dunning reminders of the given sale invoice.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getSaleInvoiceDunningLogs(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { invoiceId } = req.params;
+
+    try {
+      const dunningLogs =
+        await this.dunningApplication.getSaleInvoiceDunningLogs(
+          tenantId,
+          invoiceId
+        );
+      return res.status(200).send({ data: dunningLogs });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queues sending the due dunning reminders.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async runDunningReminders(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      await this.dunningApplication.runDunningReminders(tenantId);
+
+      return res.status(200).send({
+        message: 'The dunning reminders have been queued successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.DUNNING_LEVEL_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.DUNNING_LEVEL_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.DUNNING_LEVEL_OFFSET_EXISTS) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.DUNNING_LEVEL_OFFSET_EXISTS, code: 200 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
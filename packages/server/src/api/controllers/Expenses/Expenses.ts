@@ -130,6 +130,18 @@ export class ExpensesController extends BaseController {
         .optional({ nullable: true })
         .isInt({ max: DATATYPES_LENGTH.INT_10 })
         .toInt(),
+      check('categories.*.service_start_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('categories.*.service_end_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('categories.*.deferral_account_id')
+        .optional({ nullable: true })
+        .isInt({ max: DATATYPES_LENGTH.INT_10 })
+        .toInt(),
 
       check('attachments').isArray().optional(),
       check('attachments.*.key').exists().isString(),
@@ -186,6 +198,18 @@ export class ExpensesController extends BaseController {
         .optional({ nullable: true })
         .isInt({ max: DATATYPES_LENGTH.INT_10 })
         .toInt(),
+      check('categories.*.service_start_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('categories.*.service_end_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('categories.*.deferral_account_id')
+        .optional({ nullable: true })
+        .isInt({ max: DATATYPES_LENGTH.INT_10 })
+        .toInt(),
 
       check('attachments').isArray().optional(),
       check('attachments.*.key').exists().isString(),
@@ -453,6 +477,26 @@ export class ExpensesController extends BaseController {
           ],
         });
       }
+      if (error.errorType === 'SERVICE_PERIOD_INVALID') {
+        return res.status(400).send({
+          errors: [{ type: 'SERVICE_PERIOD_INVALID', code: 1200 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_REQUIRED') {
+        return res.status(400).send({
+          errors: [{ type: 'DEFERRAL_ACCOUNT_REQUIRED', code: 1300 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_NOT_FOUND') {
+        return res.status(400).send({
+          errors: [{ type: 'DEFERRAL_ACCOUNT_NOT_FOUND', code: 1400 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_INVALID_TYPE') {
+        return res.status(400).send({
+          errors: [{ type: 'DEFERRAL_ACCOUNT_INVALID_TYPE', code: 1500 }],
+        });
+      }
       if (error.errorType === 'TRANSACTIONS_DATE_LOCKED') {
         return res.boom.badRequest(null, {
           errors: [
@@ -0,0 +1,414 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { check, param, query } from 'express-validator';
+import { Service, Inject } from 'typedi';
+import BaseController from '../BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  IExpenseRecurringCreateDTO,
+  IExpenseRecurringEditDTO,
+  ExpenseAction,
+} from '@/interfaces';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ExpensesRecurringApplication } from '@/services/Expenses/Recurring/ExpensesRecurringApplication';
+import {
+  RECURRING_CREATION_MODES,
+  RECURRING_FREQUENCIES,
+} from '@/services/Recurring/constants';
+
+@Service()
+export default class ExpensesRecurringController extends BaseController {
+  @Inject()
+  private recurringApplication: ExpensesRecurringApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(ExpenseAction.Create, AbilitySubject.Expense),
+      [...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.createRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/activate',
+      CheckPolicies(ExpenseAction.Edit, AbilitySubject.Expense),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.activateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/inactivate',
+      CheckPolicies(ExpenseAction.Edit, AbilitySubject.Expense),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.inactivateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(ExpenseAction.Edit, AbilitySubject.Expense),
+      [...this.specificRecurringValidation, ...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.editRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(ExpenseAction.Delete, AbilitySubject.Expense),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.deleteRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id/occurrences',
+      CheckPolicies(ExpenseAction.View, AbilitySubject.Expense),
+      [
+        ...this.specificRecurringValidation,
+        query('count').optional().isInt({ min: 1, max: 100 }).toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getRecurringOccurrences.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(ExpenseAction.View, AbilitySubject.Expense),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.getRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(ExpenseAction.View, AbilitySubject.Expense),
+      asyncMiddleware(this.getRecurringList.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Recurring profile validation schema.
+   */
+  private get recurringValidationSchema() {
+    return [
+      check('name').exists().isString().trim(),
+      check('payment_account_id').exists().isNumeric().toInt(),
+      check('payee_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('frequency').exists().isIn(RECURRING_FREQUENCIES),
+      check('repeat_interval').optional().isInt({ min: 1 }).toInt(),
+      check('start_date').exists().isISO8601().toDate(),
+      check('end_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('creation_mode').optional().isIn(RECURRING_CREATION_MODES),
+
+      check('reference_no').optional().trim().escape(),
+      check('description').optional().trim().escape(),
+      check('currency_code').optional().isString().isLength({ max: 3 }),
+      check('exchange_rate').optional({ nullable: true }).isNumeric().toFloat(),
+
+      check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('active').default(true).isBoolean().toBoolean(),
+
+      check('categories').exists().isArray({ min: 1 }),
+      check('categories.*.id').optional().isNumeric().toInt(),
+      check('categories.*.index').exists().isNumeric().toInt(),
+      check('categories.*.expense_account_id').exists().isNumeric().toInt(),
+      check('categories.*.amount').optional().isFloat({ min: 0 }).toFloat(),
+      check('categories.*.description').optional().trim().escape(),
+      check('categories.*.landed_cost').optional().isBoolean().toBoolean(),
+      check('categories.*.project_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+    ];
+  }
+
+  /**
+   * Specific recurring profile validation schema.
+   */
+  private get specificRecurringValidation() {
+    return [param('id').exists().isNumeric().toInt()];
+  }
+
+  /**
+   * Creates a new recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const recurringDTO: IExpenseRecurringCreateDTO = this.matchedBodyData(req);
+
+    try {
+      const recurring = await this.recurringApplication.createRecurring(
+        tenantId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurring.id,
+        message: 'The recurring expense has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const { id: recurringId } = req.params;
+    const recurringDTO: IExpenseRecurringEditDTO = this.matchedBodyData(req);
+
+    try {
+      await this.recurringApplication.editRecurring(
+        tenantId,
+        recurringId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring expense has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.deleteRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring expense has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Activates the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async activateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.activateRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring expense has been activated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Inactivates the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async inactivateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.inactivateRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring expense has been inactivated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      const recurringExpense = await this.recurringApplication.getRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({ recurringExpense });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the recurring expense profiles.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurringList(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const recurringExpenses =
+        await this.recurringApplication.getRecurringList(tenantId);
+
+      return res.status(200).send({ recurringExpenses });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Previews the next occurrences of the given recurring expense profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurringOccurrences(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+    const { count = 12 } = this.matchedQueryData(req);
+
+    try {
+      const occurrences =
+        await this.recurringApplication.getRecurringOccurrences(
+          tenantId,
+          recurringId,
+          count
+        );
+      return res.status(200).send({ occurrences });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === 'EXPENSE_RECURRING_NOT_FOUND') {
+        return res.status(404).send({
+          errors: [{ type: 'EXPENSE_RECURRING_NOT_FOUND', code: 100 }],
+        });
+      }
+      if (error.errorType === 'END_DATE_BEFORE_START_DATE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'END_DATE_BEFORE_START_DATE', code: 200 }],
+        });
+      }
+      if (error.errorType === 'EXPENSE_RECURRING_ALREADY_ACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'EXPENSE_RECURRING_ALREADY_ACTIVE', code: 300 }],
+        });
+      }
+      if (error.errorType === 'EXPENSE_RECURRING_ALREADY_INACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'EXPENSE_RECURRING_ALREADY_INACTIVE', code: 400 }],
+        });
+      }
+      if (error.errorType === 'EXPENSE_RECURRING_COMPLETED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'EXPENSE_RECURRING_COMPLETED', code: 500 }],
+        });
+      }
+      if (error.errorType === 'total_amount_equals_zero') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'TOTAL.AMOUNT.EQUALS.ZERO', code: 600 }],
+        });
+      }
+      if (error.errorType === 'some_expenses_not_found') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SOME.EXPENSE.ACCOUNTS.NOT.FOUND', code: 700 }],
+        });
+      }
+      if (error.errorType === 'payment_account_has_invalid_type') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PAYMENT.ACCOUNT.HAS.INVALID.TYPE', code: 800 }],
+        });
+      }
+      if (error.errorType === 'expenses_account_has_invalid_type') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'EXPENSES.ACCOUNT.HAS.INVALID.TYPE', code: 900 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
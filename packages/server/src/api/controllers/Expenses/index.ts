@@ -2,12 +2,17 @@
 import { Router } from 'express';
 import { Container, Service } from 'typedi';
 import { ExpensesController } from './Expenses';
+import ExpensesRecurringController from './ExpensesRecurring';
 
 @Service()
 export default class ExpensesBaseController {
   router() {
     const router = Router();
 
+    router.use(
+      '/recurring',
+      Container.get(ExpensesRecurringController).router()
+    );
     router.use('/', Container.get(ExpensesController).router());
 
     return router;
@@ -21,6 +21,9 @@ import TransactionsByReferenceController from './FinancialStatements/Transaction
 import CashflowAccountTransactions from './FinancialStatements/CashflowAccountTransactions';
 import ProjectProfitabilityController from './FinancialStatements/ProjectProfitabilitySummary';
 import SalesTaxLiabilitySummary from './FinancialStatements/SalesTaxLiabilitySummary';
+import BudgetVsActualController from './FinancialStatements/BudgetVsActual';
+import FixedAssetScheduleController from './FinancialStatements/FixedAssetSchedule';
+import DeferredBalancesController from './FinancialStatements/DeferredBalances';
 
 @Service()
 export default class FinancialStatementsService {
@@ -107,6 +110,18 @@ export default class FinancialStatementsService {
       '/sales-tax-liability-summary',
       Container.get(SalesTaxLiabilitySummary).router()
     );
+    router.use(
+      '/budget-vs-actual',
+      Container.get(BudgetVsActualController).router()
+    );
+    router.use(
+      '/fixed-asset-schedule',
+      Container.get(FixedAssetScheduleController).router()
+    );
+    router.use(
+      '/deferred-balances',
+      Container.get(DeferredBalancesController).router()
+    );
     return router;
   }
 }
@@ -0,0 +1,154 @@
+import { Service, Inject } from 'typedi';
+import { Router, Request, Response, NextFunction } from 'express';
+import { query, ValidationChain } from 'express-validator';
+import BaseFinancialReportController from './BaseFinancialReportController';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { AbilitySubject, ReportsAction } from '@/interfaces';
+import { ACCEPT_TYPE } from '@/interfaces/Http';
+import { BudgetVsActualApplication } from '@/services/FinancialStatements/BudgetVsActual/BudgetVsActualApplication';
+import { ERRORS } from '@/services/Budgets/constants';
+
+@Service()
+export default class BudgetVsActualController extends BaseFinancialReportController {
+  @Inject()
+  private budgetVsActualApp: BudgetVsActualApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.get(
+      '/',
+      CheckPolicies(ReportsAction.READ_BUDGET_VS_ACTUAL, AbilitySubject.Report),
+      this.validationSchema,
+      this.validationResult,
+      this.asyncMiddleware(this.budgetVsActual.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Validation schema.
+   */
+  private get validationSchema(): ValidationChain[] {
+    return [
+      ...this.sheetNumberFormatValidationSchema,
+      query('budget_id').exists().isInt().toInt(),
+
+      query('from_date').optional().isISO8601().toDate(),
+      query('to_date').optional().isISO8601().toDate(),
+
+      query('none_zero').optional().isBoolean().toBoolean(),
+
+      query('display_columns_type').optional().isIn(['total', 'date_periods']),
+      query('display_columns_by')
+        .optional({ nullable: true, checkFalsy: true })
+        .isIn(['year', 'month', 'week', 'day', 'quarter']),
+
+      // Filtering by branches.
+      query('branches_ids').optional().isArray({ min: 1 }),
+      query('branches_ids.*').isNumeric().toInt(),
+
+      // Filtering by projects.
+      query('projects_ids').optional().isArray({ min: 1 }),
+      query('projects_ids.*').isNumeric().toInt(),
+    ];
+  }
+
+  /**
+   * Retrieves the budget vs actual financial statement.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async budgetVsActual(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    const accept = this.accepts(req);
+
+    const acceptType = accept.types([
+      ACCEPT_TYPE.APPLICATION_JSON,
+      ACCEPT_TYPE.APPLICATION_JSON_TABLE,
+      ACCEPT_TYPE.APPLICATION_CSV,
+      ACCEPT_TYPE.APPLICATION_XLSX,
+      ACCEPT_TYPE.APPLICATION_PDF,
+    ]);
+    try {
+      // Retrieves the csv format.
+      if (acceptType === ACCEPT_TYPE.APPLICATION_CSV) {
+        const sheet = await this.budgetVsActualApp.csv(tenantId, filter);
+
+        res.setHeader('Content-Disposition', 'attachment; filename=output.csv');
+        res.setHeader('Content-Type', 'text/csv');
+
+        return res.send(sheet);
+        // Retrieves the json table format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_JSON_TABLE) {
+        const table = await this.budgetVsActualApp.table(tenantId, filter);
+
+        return res.status(200).send(table);
+        // Retrieves the xlsx format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_XLSX) {
+        const sheet = await this.budgetVsActualApp.xlsx(tenantId, filter);
+
+        res.setHeader(
+          'Content-Disposition',
+          'attachment; filename=output.xlsx'
+        );
+        res.setHeader(
+          'Content-Type',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        return res.send(sheet);
+        // Retrieves the pdf format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_PDF) {
+        const pdfContent = await this.budgetVsActualApp.pdf(tenantId, filter);
+
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Length': pdfContent.length,
+        });
+        return res.send(pdfContent);
+        // Retrieves the json format.
+      } else {
+        const sheet = await this.budgetVsActualApp.sheet(tenantId, filter);
+
+        return res.status(200).send(sheet);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.BUDGET_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BUDGET_NOT_FOUND, code: 100 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
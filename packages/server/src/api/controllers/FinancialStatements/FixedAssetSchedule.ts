@@ -0,0 +1,122 @@
+import { Service, Inject } from 'typedi';
+import { Router, Request, Response, NextFunction } from 'express';
+import { query, ValidationChain } from 'express-validator';
+import BaseFinancialReportController from './BaseFinancialReportController';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { AbilitySubject, ReportsAction } from '@/interfaces';
+import { ACCEPT_TYPE } from '@/interfaces/Http';
+import { FixedAssetScheduleApplication } from '@/services/FinancialStatements/FixedAssetSchedule/FixedAssetScheduleApplication';
+
+@Service()
+export default class FixedAssetScheduleController extends BaseFinancialReportController {
+  @Inject()
+  private fixedAssetScheduleApp: FixedAssetScheduleApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.get(
+      '/',
+      CheckPolicies(
+        ReportsAction.READ_FIXED_ASSET_SCHEDULE,
+        AbilitySubject.Report
+      ),
+      this.validationSchema,
+      this.validationResult,
+      this.asyncMiddleware(this.fixedAssetSchedule.bind(this))
+    );
+    return router;
+  }
+
+  /**
+   * Validation schema.
+   */
+  private get validationSchema(): ValidationChain[] {
+    return [
+      ...this.sheetNumberFormatValidationSchema,
+      query('from_date').optional().isISO8601().toDate(),
+      query('to_date').optional().isISO8601().toDate(),
+
+      query('none_zero').optional().isBoolean().toBoolean(),
+
+      // Filtering by branches.
+      query('branches_ids').optional().isArray({ min: 1 }),
+      query('branches_ids.*').isNumeric().toInt(),
+    ];
+  }
+
+  /**
+   * Retrieves the fixed asset schedule.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async fixedAssetSchedule(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    const accept = this.accepts(req);
+
+    const acceptType = accept.types([
+      ACCEPT_TYPE.APPLICATION_JSON,
+      ACCEPT_TYPE.APPLICATION_JSON_TABLE,
+      ACCEPT_TYPE.APPLICATION_CSV,
+      ACCEPT_TYPE.APPLICATION_XLSX,
+      ACCEPT_TYPE.APPLICATION_PDF,
+    ]);
+    try {
+      // Retrieves the csv format.
+      if (acceptType === ACCEPT_TYPE.APPLICATION_CSV) {
+        const sheet = await this.fixedAssetScheduleApp.csv(tenantId, filter);
+
+        res.setHeader('Content-Disposition', 'attachment; filename=output.csv');
+        res.setHeader('Content-Type', 'text/csv');
+
+        return res.send(sheet);
+        // Retrieves the json table format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_JSON_TABLE) {
+        const table = await this.fixedAssetScheduleApp.table(tenantId, filter);
+
+        return res.status(200).send(table);
+        // Retrieves the xlsx format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_XLSX) {
+        const sheet = await this.fixedAssetScheduleApp.xlsx(tenantId, filter);
+
+        res.setHeader(
+          'Content-Disposition',
+          'attachment; filename=output.xlsx'
+        );
+        res.setHeader(
+          'Content-Type',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        return res.send(sheet);
+        // Retrieves the pdf format.
+      } else if (acceptType === ACCEPT_TYPE.APPLICATION_PDF) {
+        const pdfContent = await this.fixedAssetScheduleApp.pdf(
+          tenantId,
+          filter
+        );
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Length': pdfContent.length,
+        });
+        return res.send(pdfContent);
+        // Retrieves the json format.
+      } else {
+        const sheet = await this.fixedAssetScheduleApp.sheet(tenantId, filter);
+
+        return res.status(200).send(sheet);
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+}
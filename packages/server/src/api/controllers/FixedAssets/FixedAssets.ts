@@ -0,0 +1,481 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { AbilitySubject, AccountAction, FixedAssetStatus } from '@/interfaces';
+import { FixedAssetsApplication } from '@/services/FixedAssets/FixedAssetsApplication';
+import { ERRORS } from '@/services/FixedAssets/constants';
+import { DepreciationMethod } from '@/utils/depreciation';
+
+@Service()
+export class FixedAssetsController extends BaseController {
+  @Inject()
+  private fixedAssetsApplication: FixedAssetsApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/depreciate',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [body('to_date').optional().isISO8601().toDate()],
+      this.validationResult,
+      asyncMiddleware(this.depreciateFixedAssets.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/units',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [
+        param('id').exists().isInt().toInt(),
+        body('date').exists().isISO8601().toDate(),
+        body('units').exists().isFloat({ gt: 0 }).toFloat(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.recordUnitsUsage.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/dispose',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [
+        param('id').exists().isInt().toInt(),
+        body('date').exists().isISO8601().toDate(),
+        body('amount').optional().isFloat({ min: 0 }).toFloat(),
+        body('deposit_account_id').optional({ nullable: true }).isInt().toInt(),
+        body('gain_loss_account_id').exists().isInt().toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.disposeFixedAsset.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/',
+      CheckPolicies(AccountAction.CREATE, AbilitySubject.Account),
+      this.fixedAssetValidationSchema,
+      this.validationResult,
+      asyncMiddleware(this.createFixedAsset.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(AccountAction.EDIT, AbilitySubject.Account),
+      [
+        param('id').exists().isInt().toInt(),
+        ...this.fixedAssetValidationSchema,
+      ],
+      this.validationResult,
+      asyncMiddleware(this.editFixedAsset.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(AccountAction.DELETE, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.deleteFixedAsset.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getFixedAsset.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      [
+        query('status').optional().isIn(Object.values(FixedAssetStatus)),
+        query('search_keyword').optional({ nullable: true }).isString().trim(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getFixedAssets.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Fixed asset validation schema.
+   */
+  private get fixedAssetValidationSchema() {
+    return [
+      body('name').exists().isString().trim().isLength({ max: 255 }),
+      body('asset_number')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ max: 255 }),
+      body('description').optional({ nullable: true }).isString().trim(),
+
+      body('bill_entry_id').optional({ nullable: true }).isInt().toInt(),
+      body('acquisition_date').optional().isISO8601().toDate(),
+      body('cost').optional().isFloat({ gt: 0 }).toFloat(),
+      body('asset_account_id').optional().isInt().toInt(),
+
+      body('depreciation_start_date').optional().isISO8601().toDate(),
+      body('salvage_value').optional().isFloat({ min: 0 }).toFloat(),
+      body('useful_life').exists().isInt({ min: 1 }).toInt(),
+      body('depreciation_method')
+        .exists()
+        .isIn(Object.values(DepreciationMethod)),
+      body('declining_balance_factor')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .toFloat(),
+      body('total_units')
+        .optional({ nullable: true })
+        .isFloat({ gt: 0 })
+        .toFloat(),
+      body('depreciation_expense_account_id').exists().isInt().toInt(),
+      body('accumulated_depreciation_account_id').exists().isInt().toInt(),
+      body('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+    ];
+  }
+
+  /**
+   * Creates a new fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async createFixedAsset(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const fixedAssetDTO = this.matchedBodyData(req);
+
+    try {
+      const fixedAsset = await this.fixedAssetsApplication.createFixedAsset(
+        tenantId,
+        fixedAssetDTO,
+        user
+      );
+      return res.status(200).send({
+        id: fixedAsset.id,
+        message: 'The fixed asset has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async editFixedAsset(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: fixedAssetId } = req.params;
+    const fixedAssetDTO = this.matchedBodyData(req);
+
+    try {
+      await this.fixedAssetsApplication.editFixedAsset(
+        tenantId,
+        fixedAssetId,
+        fixedAssetDTO,
+        user
+      );
+      return res.status(200).send({
+        id: fixedAssetId,
+        message: 'The fixed asset has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async deleteFixedAsset(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: fixedAssetId } = req.params;
+
+    try {
+      await this.fixedAssetsApplication.deleteFixedAsset(
+        tenantId,
+        fixedAssetId
+      );
+      return res.status(200).send({
+        id: fixedAssetId,
+        message: 'The fixed asset has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getFixedAsset(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: fixedAssetId } = req.params;
+
+    try {
+      const fixedAsset = await this.fixedAssetsApplication.getFixedAsset(
+        tenantId,
+        fixedAssetId
+      );
+      return res.status(200).send({ data: fixedAsset });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the fixed assets list.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getFixedAssets(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const fixedAssets = await this.fixedAssetsApplication.getFixedAssets(
+        tenantId,
+        filter
+      );
+      return res.status(200).send({ data: fixedAssets });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Depreciates the due fixed assets up to the given date.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async depreciateFixedAssets(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const depreciateDTO = this.matchedBodyData(req);
+
+    try {
+      const depreciations =
+        await this.fixedAssetsApplication.depreciateFixedAssets(
+          tenantId,
+          depreciateDTO
+        );
+      return res.status(200).send({
+        data: depreciations,
+        message: 'The fixed assets have been depreciated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Records the used units of the given fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async recordUnitsUsage(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: fixedAssetId } = req.params;
+    const unitsDTO = this.matchedBodyData(req);
+
+    try {
+      const depreciation = await this.fixedAssetsApplication.recordUnitsUsage(
+        tenantId,
+        fixedAssetId,
+        unitsDTO,
+        user
+      );
+      return res.status(200).send({
+        id: fixedAssetId,
+        data: depreciation,
+        message: 'The fixed asset units usage has been recorded successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disposes the given fixed asset.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async disposeFixedAsset(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: fixedAssetId } = req.params;
+    const disposeDTO = this.matchedBodyData(req);
+
+    try {
+      await this.fixedAssetsApplication.disposeFixedAsset(
+        tenantId,
+        fixedAssetId,
+        disposeDTO
+      );
+      return res.status(200).send({
+        id: fixedAssetId,
+        message: 'The fixed asset has been disposed successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.FIXED_ASSET_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FIXED_ASSET_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.ASSET_ACCOUNT_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ASSET_ACCOUNT_INVALID, code: 200 }],
+        });
+      }
+      if (error.errorType === ERRORS.DEPRECIATION_EXPENSE_ACCOUNT_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.DEPRECIATION_EXPENSE_ACCOUNT_INVALID, code: 300 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.ACCUMULATED_DEPRECIATION_ACCOUNT_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.ACCUMULATED_DEPRECIATION_ACCOUNT_INVALID,
+              code: 400,
+            },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.SALVAGE_VALUE_EXCEEDS_COST) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SALVAGE_VALUE_EXCEEDS_COST, code: 500 }],
+        });
+      }
+      if (error.errorType === ERRORS.TOTAL_UNITS_REQUIRED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.TOTAL_UNITS_REQUIRED, code: 600 }],
+        });
+      }
+      if (error.errorType === ERRORS.ACQUISITION_DETAILS_REQUIRED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.ACQUISITION_DETAILS_REQUIRED, code: 700 }],
+        });
+      }
+      if (error.errorType === ERRORS.BILL_ENTRY_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BILL_ENTRY_NOT_FOUND, code: 800 }],
+        });
+      }
+      if (error.errorType === ERRORS.BILL_ENTRY_ALREADY_LINKED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BILL_ENTRY_ALREADY_LINKED, code: 900 }],
+        });
+      }
+      if (error.errorType === ERRORS.BILL_ENTRY_INVENTORY_ITEM) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.BILL_ENTRY_INVENTORY_ITEM, code: 1000 }],
+        });
+      }
+      if (error.errorType === ERRORS.FIXED_ASSET_HAS_DEPRECIATIONS) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FIXED_ASSET_HAS_DEPRECIATIONS, code: 1100 }],
+        });
+      }
+      if (error.errorType === ERRORS.FIXED_ASSET_ALREADY_DISPOSED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FIXED_ASSET_ALREADY_DISPOSED, code: 1200 }],
+        });
+      }
+      if (error.errorType === ERRORS.FIXED_ASSET_NOT_UNITS_METHOD) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FIXED_ASSET_NOT_UNITS_METHOD, code: 1300 }],
+        });
+      }
+      if (error.errorType === ERRORS.DATE_BEFORE_LAST_DEPRECIATION) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.DATE_BEFORE_LAST_DEPRECIATION, code: 1400 }],
+        });
+      }
+      if (error.errorType === ERRORS.DATE_BEFORE_DEPRECIATION_START) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.DATE_BEFORE_DEPRECIATION_START, code: 1500 }],
+        });
+      }
+      if (error.errorType === ERRORS.DISPOSAL_DEPOSIT_ACCOUNT_REQUIRED) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.DISPOSAL_DEPOSIT_ACCOUNT_REQUIRED, code: 1600 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.DISPOSAL_ACCOUNT_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.DISPOSAL_ACCOUNT_NOT_FOUND, code: 1700 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -74,7 +74,7 @@ export class ImportController extends BaseController {
   }
 
   /**
-   * Imports xlsx/csv to the given resource type.
+   * Imports xlsx/csv or bank statement file to the given resource type.
    * @param {Request} req -
    * @param {Response} res -
    * @param {NextFunction} next -
@@ -240,6 +240,11 @@ export class ImportController extends BaseController {
           errors: [{ type: 'IMPORTED_FILE_EXTENSION_INVALID' }],
         });
       }
+      if (error.errorType === 'BANK_STATEMENT_FILE_NOT_SUPPORTED') {
+        return res.status(400).send({
+          errors: [{ type: 'BANK_STATEMENT_FILE_NOT_SUPPORTED' }],
+        });
+      }
     }
     next(error);
   }
@@ -1,13 +1,24 @@
 import Multer from 'multer';
+import path from 'path';
 import { ServiceError } from '@/exceptions';
 import { getImportsStoragePath } from '@/services/Import/_utils';
 
+const SheetMimetypes = [
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Browsers send the bank statement files with inconsistent mimetypes,
+// so they are recognized by the extension.
+const BankStatementExtensions = ['.ofx', '.qfx', '.xml', '.sta', '.mt940'];
+
 export function allowSheetExtensions(req, file, cb) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
   if (
-    file.mimetype !== 'text/csv' &&
-    file.mimetype !== 'application/vnd.ms-excel' &&
-    file.mimetype !==
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    SheetMimetypes.indexOf(file.mimetype) === -1 &&
+    BankStatementExtensions.indexOf(extension) === -1
   ) {
     cb(new ServiceError('IMPORTED_FILE_EXTENSION_INVALID'));
     return;
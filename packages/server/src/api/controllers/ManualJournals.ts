@@ -474,6 +474,11 @@ export default class ManualJournalsController extends BaseController {
           ],
         });
       }
+      if (error.errorType === 'CANNOT_MODIFY_CLOSING_JOURNAL') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'CANNOT_MODIFY_CLOSING_JOURNAL', code: 1300 }],
+        });
+      }
     }
     next(error);
   };
@@ -0,0 +1,261 @@
+import { Inject, Service } from 'typedi';
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, param } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  PaymentTermType,
+  PreferencesAction,
+} from '@/interfaces';
+import { PaymentTermsApplication } from '@/services/PaymentTerms/PaymentTermsApplication';
+import { ERRORS } from '@/services/PaymentTerms/constants';
+
+@Service()
+export class PaymentTermsController extends BaseController {
+  @Inject()
+  private paymentTermsApplication: PaymentTermsApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(PreferencesAction.Mutate, AbilitySubject.Preferences),
+      this.paymentTermValidationSchema,
+      this.validationResult,
+      asyncMiddleware(this.createPaymentTerm.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(PreferencesAction.Mutate, AbilitySubject.Preferences),
+      [
+        param('id').exists().isInt().toInt(),
+        ...this.paymentTermValidationSchema,
+      ],
+      this.validationResult,
+      asyncMiddleware(this.editPaymentTerm.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(PreferencesAction.Mutate, AbilitySubject.Preferences),
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.deletePaymentTerm.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getPaymentTerm.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      asyncMiddleware(this.getPaymentTerms.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Payment term validation schema.
+   */
+  private get paymentTermValidationSchema() {
+    return [
+      body('name').exists().isString().trim(),
+      body('term_type')
+        .exists()
+        .isIn([
+          PaymentTermType.DueOnReceipt,
+          PaymentTermType.Net,
+          PaymentTermType.EndOfMonth,
+          PaymentTermType.Custom,
+        ]),
+      body('days').optional().isInt({ min: 0 }).toInt(),
+      body('active').optional().isBoolean().toBoolean(),
+    ];
+  }
+
+  /**
+   * Creates a new payment term.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createPaymentTerm(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const paymentTermDTO = this.matchedBodyData(req);
+
+    try {
+      const paymentTerm = await this.paymentTermsApplication.createPaymentTerm(
+        tenantId,
+        paymentTermDTO
+      );
+      return res.status(200).send({
+        id: paymentTerm.id,
+        message: 'The payment term has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given payment term.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editPaymentTerm(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: paymentTermId } = req.params;
+    const paymentTermDTO = this.matchedBodyData(req);
+
+    try {
+      await this.paymentTermsApplication.editPaymentTerm(
+        tenantId,
+        paymentTermId,
+        paymentTermDTO
+      );
+      return res.status(200).send({
+        id: paymentTermId,
+        message: 'The payment term has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given payment term.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deletePaymentTerm(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: paymentTermId } = req.params;
+
+    try {
+      await this.paymentTermsApplication.deletePaymentTerm(
+        tenantId,
+        paymentTermId
+      );
+      return res.status(200).send({
+        id: paymentTermId,
+        message: 'The payment term has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given payment term.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getPaymentTerm(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: paymentTermId } = req.params;
+
+    try {
+      const paymentTerm = await this.paymentTermsApplication.getPaymentTerm(
+        tenantId,
+        paymentTermId
+      );
+      return res.status(200).send({ data: paymentTerm });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the payment terms list.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getPaymentTerms(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const paymentTerms = await this.paymentTermsApplication.getPaymentTerms(
+        tenantId
+      );
+      return res.status(200).send({ data: paymentTerms });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.PAYMENT_TERM_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.PAYMENT_TERM_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_CONTACTS) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_CONTACTS, code: 200 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_TRANSACTIONS) {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_TRANSACTIONS,
+              code: 300,
+            },
+          ],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -6,6 +6,7 @@ import {
   BillAction,
   IBillDTO,
   IBillEditDTO,
+  DiscountType,
 } from '@/interfaces';
 import asyncMiddleware from '@/api/middleware/asyncMiddleware';
 import BaseController from '@/api/controllers/BaseController';
@@ -104,6 +105,7 @@ export default class BillsController extends BaseController {
       check('reference_no').optional().trim().escape(),
       check('bill_date').exists().isISO8601(),
       check('due_date').optional().isISO8601(),
+      check('payment_term_id').optional({ nullable: true }).isInt().toInt(),
 
       check('vendor_id').exists().isNumeric().toInt(),
       check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
@@ -111,10 +113,31 @@ export default class BillsController extends BaseController {
       check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
       check('project_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('purchase_order_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
 
       check('note').optional().trim().escape(),
       check('open').default(false).isBoolean().toBoolean(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('is_discount_before_tax').default(false).isBoolean().toBoolean(),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
+      check('early_payment_discount_rate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .toFloat(),
+      check('early_payment_discount_days')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .toInt(),
+
       check('is_inclusive_tax').default(false).isBoolean().toBoolean(),
 
       check('entries').isArray({ min: 1 }),
@@ -147,6 +170,10 @@ export default class BillsController extends BaseController {
         .optional({ nullable: true })
         .isNumeric()
         .toInt(),
+      check('entries.*.purchase_order_entry_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
 
       check('attachments').isArray().optional(),
       check('attachments.*.key').exists().isString(),
@@ -162,6 +189,7 @@ export default class BillsController extends BaseController {
       check('reference_no').optional().trim().escape(),
       check('bill_date').exists().isISO8601(),
       check('due_date').optional().isISO8601(),
+      check('payment_term_id').optional({ nullable: true }).isInt().toInt(),
 
       check('vendor_id').exists().isNumeric().toInt(),
       check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
@@ -173,6 +201,23 @@ export default class BillsController extends BaseController {
       check('note').optional().trim().escape(),
       check('open').default(false).isBoolean().toBoolean(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('is_discount_before_tax').default(false).isBoolean().toBoolean(),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
+      check('early_payment_discount_rate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .toFloat(),
+      check('early_payment_discount_days')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .toInt(),
+
       check('entries').isArray({ min: 1 }),
 
       check('entries.*.id').optional().isNumeric().toInt(),
@@ -192,6 +237,10 @@ export default class BillsController extends BaseController {
         .optional({ nullable: true })
         .isBoolean()
         .toBoolean(),
+      check('entries.*.purchase_order_entry_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
 
       check('attachments').isArray().optional(),
       check('attachments.*.key').exists().isString(),
@@ -575,6 +624,43 @@ export default class BillsController extends BaseController {
           ],
         });
       }
+      if (error.errorType === 'PURCHASE_ORDER_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_NOT_FOUND', code: 2100 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ALREADY_CLOSED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ALREADY_CLOSED', code: 2200 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_VENDOR_MISMATCH') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_VENDOR_MISMATCH', code: 2300 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ENTRIES_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ENTRIES_NOT_FOUND', code: 2400 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING', code: 2500 },
+          ],
+        });
+      }
+      if (error.errorType === 'CANNOT_DELETE_BILL_OF_FIXED_ASSET') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'CANNOT_DELETE_BILL_OF_FIXED_ASSET', code: 2600 }],
+        });
+      }
+      if (error.errorType === 'PAYMENT_TERM_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PAYMENT_TERM_NOT_FOUND', code: 2700 }],
+        });
+      }
     }
     next(error);
   }
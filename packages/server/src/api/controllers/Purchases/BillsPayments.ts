@@ -117,6 +117,10 @@ export default class BillsPayments extends BaseController {
       check('statement').optional().trim().escape(),
       check('reference').optional().trim().escape(),
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('apply_early_payment_discount')
+        .default(false)
+        .isBoolean()
+        .toBoolean(),
 
       check('entries').exists().isArray({ min: 1 }),
       check('entries.*.index').optional().isNumeric().toInt(),
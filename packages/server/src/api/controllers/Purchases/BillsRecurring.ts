@@ -0,0 +1,437 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { check, param, query } from 'express-validator';
+import { Service, Inject } from 'typedi';
+import BaseController from '../BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  IBillRecurringCreateDTO,
+  IBillRecurringEditDTO,
+  BillAction,
+} from '@/interfaces';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { BillsRecurringApplication } from '@/services/Purchases/RecurringBills/BillsRecurringApplication';
+import {
+  RECURRING_CREATION_MODES,
+  RECURRING_FREQUENCIES,
+} from '@/services/Recurring/constants';
+
+@Service()
+export default class BillsRecurringController extends BaseController {
+  @Inject()
+  private recurringApplication: BillsRecurringApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(BillAction.Create, AbilitySubject.Bill),
+      [...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.createRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/activate',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.activateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/inactivate',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.inactivateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [...this.specificRecurringValidation, ...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.editRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(BillAction.Delete, AbilitySubject.Bill),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.deleteRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id/occurrences',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [
+        ...this.specificRecurringValidation,
+        query('count').optional().isInt({ min: 1, max: 100 }).toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getRecurringOccurrences.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.getRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      asyncMiddleware(this.getRecurringList.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Recurring profile validation schema.
+   */
+  private get recurringValidationSchema() {
+    return [
+      check('name').exists().isString().trim(),
+      check('vendor_id').exists().isNumeric().toInt(),
+
+      check('frequency').exists().isIn(RECURRING_FREQUENCIES),
+      check('repeat_interval').optional().isInt({ min: 1 }).toInt(),
+      check('start_date').exists().isISO8601().toDate(),
+      check('end_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('due_days').optional().isInt({ min: 0 }).toInt(),
+      check('creation_mode').optional().isIn(RECURRING_CREATION_MODES),
+
+      check('bill_number_prefix').optional().trim().escape(),
+      check('reference_no').optional().trim().escape(),
+      check('note').optional().trim().escape(),
+      check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
+      check('is_inclusive_tax').optional().isBoolean().toBoolean(),
+
+      check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('project_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('active').default(true).isBoolean().toBoolean(),
+
+      check('entries').exists().isArray({ min: 1 }),
+      check('entries.*.id').optional({ nullable: true }).isNumeric().toInt(),
+      check('entries.*.index').exists().isNumeric().toInt(),
+      check('entries.*.item_id').exists().isNumeric().toInt(),
+      check('entries.*.rate').exists().isNumeric().toFloat(),
+      check('entries.*.quantity').exists().isNumeric().toFloat(),
+      check('entries.*.discount')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toFloat(),
+      check('entries.*.description')
+        .optional({ nullable: true })
+        .trim()
+        .escape(),
+      check('entries.*.landed_cost')
+        .optional({ nullable: true })
+        .isBoolean()
+        .toBoolean(),
+      check('entries.*.tax_rate_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      check('entries.*.warehouse_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      check('entries.*.project_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+    ];
+  }
+
+  /**
+   * Specific recurring profile validation schema.
+   */
+  private get specificRecurringValidation() {
+    return [param('id').exists().isNumeric().toInt()];
+  }
+
+  /**
+   * Creates a new recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const recurringDTO: IBillRecurringCreateDTO = this.matchedBodyData(req);
+
+    try {
+      const recurring = await this.recurringApplication.createRecurring(
+        tenantId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurring.id,
+        message: 'The recurring bill has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const { id: recurringId } = req.params;
+    const recurringDTO: IBillRecurringEditDTO = this.matchedBodyData(req);
+
+    try {
+      await this.recurringApplication.editRecurring(
+        tenantId,
+        recurringId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring bill has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.deleteRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring bill has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Activates the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async activateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.activateRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring bill has been activated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Inactivates the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async inactivateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.inactivateRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring bill has been inactivated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      const recurringBill = await this.recurringApplication.getRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({ recurringBill });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the recurring bill profiles.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurringList(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const recurringBills = await this.recurringApplication.getRecurringList(
+        tenantId
+      );
+
+      return res.status(200).send({ recurringBills });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Previews the next occurrences of the given recurring bill profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurringOccurrences(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+    const { count = 12 } = this.matchedQueryData(req);
+
+    try {
+      const occurrences =
+        await this.recurringApplication.getRecurringOccurrences(
+          tenantId,
+          recurringId,
+          count
+        );
+      return res.status(200).send({ occurrences });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === 'BILL_RECURRING_NOT_FOUND') {
+        return res.status(404).send({
+          errors: [{ type: 'BILL_RECURRING_NOT_FOUND', code: 100 }],
+        });
+      }
+      if (error.errorType === 'END_DATE_BEFORE_START_DATE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'END_DATE_BEFORE_START_DATE', code: 200 }],
+        });
+      }
+      if (error.errorType === 'BILL_RECURRING_ALREADY_ACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BILL_RECURRING_ALREADY_ACTIVE', code: 300 }],
+        });
+      }
+      if (error.errorType === 'BILL_RECURRING_ALREADY_INACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BILL_RECURRING_ALREADY_INACTIVE', code: 400 }],
+        });
+      }
+      if (error.errorType === 'BILL_RECURRING_COMPLETED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BILL_RECURRING_COMPLETED', code: 500 }],
+        });
+      }
+      if (error.errorType === 'contact_not_found') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'VENDOR_NOT_FOUND', code: 600 }],
+        });
+      }
+      if (error.errorType === 'ITEMS_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'ITEMS_NOT_FOUND', code: 700 }],
+        });
+      }
+      if (error.errorType === 'NOT_PURCHASE_ABLE_ITEMS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'NOT_PURCHASE_ABLE_ITEMS', code: 800 }],
+        });
+      }
+      if (error.errorType === 'ENTRIES_IDS_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'ENTRIES_IDS_NOT_FOUND', code: 900 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
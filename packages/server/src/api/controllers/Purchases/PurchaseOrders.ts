@@ -0,0 +1,650 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, check, param, query } from 'express-validator';
+import { Inject, Service } from 'typedi';
+import {
+  AbilitySubject,
+  BillAction,
+  IPurchaseOrderConvertToBillDTO,
+  IPurchaseOrderDTO,
+  PurchaseOrderMailOptionsDTO,
+} from '@/interfaces';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import DynamicListingService from '@/services/DynamicListing/DynamicListService';
+import { ServiceError } from '@/exceptions';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { PurchaseOrdersApplication } from '@/services/Purchases/PurchaseOrders/PurchaseOrdersApplication';
+
+const ACCEPT_TYPE = {
+  APPLICATION_PDF: 'application/pdf',
+  APPLICATION_JSON: 'application/json',
+};
+
+@Service()
+export default class PurchaseOrdersController extends BaseController {
+  @Inject()
+  private purchaseOrdersApplication: PurchaseOrdersApplication;
+
+  @Inject()
+  private dynamicListService: DynamicListingService;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(BillAction.Create, AbilitySubject.Bill),
+      [...this.purchaseOrderValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.newPurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/deliver',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [...this.specificPurchaseOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.deliverPurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/close',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [...this.specificPurchaseOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.closePurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/convert-to-bill',
+      CheckPolicies(BillAction.Create, AbilitySubject.Bill),
+      [
+        ...this.specificPurchaseOrderSchema,
+        ...this.convertToBillValidationSchema,
+      ],
+      this.validationResult,
+      asyncMiddleware(this.convertPurchaseOrderToBill.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/mail',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [
+        ...this.specificPurchaseOrderSchema,
+        body('subject').isString().optional(),
+        body('from').isString().optional(),
+        body('to').isString().optional(),
+        body('body').isString().optional(),
+        body('attach_purchase_order').optional().isBoolean().toBoolean(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.sendPurchaseOrderMail.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id/mail',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [...this.specificPurchaseOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.getPurchaseOrderMail.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(BillAction.Edit, AbilitySubject.Bill),
+      [
+        ...this.specificPurchaseOrderSchema,
+        ...this.purchaseOrderValidationSchema,
+        check('entries.*.id').optional().isNumeric().toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.editPurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(BillAction.Delete, AbilitySubject.Bill),
+      [...this.specificPurchaseOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.deletePurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [...this.specificPurchaseOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.getPurchaseOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(BillAction.View, AbilitySubject.Bill),
+      [...this.purchaseOrdersListSchema],
+      this.validationResult,
+      asyncMiddleware(this.getPurchaseOrders.bind(this)),
+      this.handleServiceErrors,
+      this.dynamicListService.handlerErrorsToResponse
+    );
+    return router;
+  }
+
+  /**
+   * Purchase order validation schema.
+   */
+  private get purchaseOrderValidationSchema() {
+    return [
+      check('vendor_id').exists().isNumeric().toInt(),
+      check('order_date').exists().isISO8601().toDate(),
+      check('delivery_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('order_number').optional().trim().escape(),
+      check('reference_no').optional().trim().escape(),
+      check('delivered').default(false).isBoolean().toBoolean(),
+
+      check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
+
+      check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('entries').exists().isArray({ min: 1 }),
+      check('entries.*.index').exists().isNumeric().toInt(),
+      check('entries.*.item_id').exists().isNumeric().toInt(),
+      check('entries.*.quantity').exists().isNumeric().toInt(),
+      check('entries.*.rate').exists().isNumeric().toFloat(),
+      check('entries.*.description')
+        .optional({ nullable: true })
+        .trim()
+        .escape(),
+      check('entries.*.discount')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toFloat(),
+      check('entries.*.warehouse_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+
+      check('note').optional().trim().escape(),
+      check('terms_conditions').optional().trim().escape(),
+    ];
+  }
+
+  /**
+   * Convert purchase order to bill validation schema.
+   */
+  private get convertToBillValidationSchema() {
+    return [
+      check('bill_number').exists().trim().escape(),
+      check('bill_date').exists().isISO8601(),
+      check('due_date').optional().isISO8601(),
+      check('open').default(false).isBoolean().toBoolean(),
+
+      check('entries').optional().isArray({ min: 1 }),
+      check('entries.*.purchase_order_entry_id').exists().isNumeric().toInt(),
+      check('entries.*.quantity').exists().isInt({ min: 0 }).toInt(),
+    ];
+  }
+
+  /**
+   * Specific purchase order validation schema.
+   */
+  private get specificPurchaseOrderSchema() {
+    return [param('id').exists().isNumeric().toInt()];
+  }
+
+  /**
+   * Purchase orders list validation schema.
+   */
+  private get purchaseOrdersListSchema() {
+    return [
+      query('view_slug').optional().isString().trim(),
+      query('stringified_filter_roles').optional().isJSON(),
+      query('column_sort_by').optional(),
+      query('sort_order').optional().isIn(['desc', 'asc']),
+      query('page').optional().isNumeric().toInt(),
+      query('page_size').optional().isNumeric().toInt(),
+      query('search_keyword').optional({ nullable: true }).isString().trim(),
+    ];
+  }
+
+  /**
+   * Creates a new purchase order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async newPurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const purchaseOrderDTO: IPurchaseOrderDTO = this.matchedBodyData(req);
+
+    try {
+      const purchaseOrder =
+        await this.purchaseOrdersApplication.createPurchaseOrder(
+          tenantId,
+          purchaseOrderDTO,
+          user
+        );
+      return res.status(200).send({
+        id: purchaseOrder.id,
+        message: 'The purchase order has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given purchase order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editPurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: purchaseOrderId } = req.params;
+    const purchaseOrderDTO: IPurchaseOrderDTO = this.matchedBodyData(req);
+
+    try {
+      await this.purchaseOrdersApplication.editPurchaseOrder(
+        tenantId,
+        purchaseOrderId,
+        purchaseOrderDTO,
+        user
+      );
+      return res.status(200).send({
+        id: purchaseOrderId,
+        message: 'The purchase order has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given purchase order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deletePurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+
+    try {
+      await this.purchaseOrdersApplication.deletePurchaseOrder(
+        tenantId,
+        purchaseOrderId
+      );
+      return res.status(200).send({
+        id: purchaseOrderId,
+        message: 'The purchase order has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Marks the given purchase order as delivered.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deliverPurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+
+    try {
+      await this.purchaseOrdersApplication.deliverPurchaseOrder(
+        tenantId,
+        purchaseOrderId
+      );
+      return res.status(200).send({
+        id: purchaseOrderId,
+        message: 'The purchase order has been delivered successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Closes the given purchase order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async closePurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+
+    try {
+      await this.purchaseOrdersApplication.closePurchaseOrder(
+        tenantId,
+        purchaseOrderId
+      );
+      return res.status(200).send({
+        id: purchaseOrderId,
+        message: 'The purchase order has been closed successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Converts the given purchase order to bill.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async convertPurchaseOrderToBill(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: purchaseOrderId } = req.params;
+    const convertDTO: IPurchaseOrderConvertToBillDTO = this.matchedBodyData(
+      req,
+      { includeOptionals: false }
+    );
+    try {
+      const bill =
+        await this.purchaseOrdersApplication.convertPurchaseOrderToBill(
+          tenantId,
+          purchaseOrderId,
+          convertDTO,
+          user
+        );
+      return res.status(200).send({
+        id: bill.id,
+        message: 'The purchase order has been converted to bill successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given purchase order details or its PDF document.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getPurchaseOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+
+    const accept = this.accepts(req);
+
+    const acceptType = accept.types([
+      ACCEPT_TYPE.APPLICATION_JSON,
+      ACCEPT_TYPE.APPLICATION_PDF,
+    ]);
+    try {
+      // Retrieves purchase order in pdf format.
+      if (ACCEPT_TYPE.APPLICATION_PDF == acceptType) {
+        const pdfContent =
+          await this.purchaseOrdersApplication.getPurchaseOrderPdf(
+            tenantId,
+            purchaseOrderId
+          );
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Length': pdfContent.length,
+        });
+        res.send(pdfContent);
+        // Retrieves purchase order in json format.
+      } else {
+        const purchaseOrder =
+          await this.purchaseOrdersApplication.getPurchaseOrder(
+            tenantId,
+            purchaseOrderId
+          );
+        return res.status(200).send({ purchaseOrder });
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the purchase orders list with pagination metadata.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getPurchaseOrders(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = {
+      sortOrder: 'desc',
+      columnSortBy: 'created_at',
+      page: 1,
+      pageSize: 12,
+      ...this.matchedQueryData(req),
+    };
+    try {
+      const purchaseOrdersWithPagination =
+        await this.purchaseOrdersApplication.getPurchaseOrders(
+          tenantId,
+          filter
+        );
+      return res.status(200).send(purchaseOrdersWithPagination);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sends the purchase order mail to the vendor.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async sendPurchaseOrderMail(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+    const messageDTO: PurchaseOrderMailOptionsDTO = this.matchedBodyData(req, {
+      includeOptionals: false,
+    });
+    try {
+      await this.purchaseOrdersApplication.sendPurchaseOrderMail(
+        tenantId,
+        purchaseOrderId,
+        messageDTO
+      );
+      return res.status(200).send({
+        code: 200,
+        message: 'The purchase order mail has been sent successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the default mail options of the given purchase order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getPurchaseOrderMail(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: purchaseOrderId } = req.params;
+
+    try {
+      const data = await this.purchaseOrdersApplication.getPurchaseOrderMail(
+        tenantId,
+        purchaseOrderId
+      );
+      return res.status(200).send({ data });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === 'PURCHASE_ORDER_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_NOT_FOUND', code: 100 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_NUMBER_EXISTS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_NUMBER_EXISTS', code: 200 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_NO_IS_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_NO_IS_REQUIRED', code: 300 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ALREADY_DELIVERED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ALREADY_DELIVERED', code: 400 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ALREADY_CLOSED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ALREADY_CLOSED', code: 500 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ALREADY_BILLED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ALREADY_BILLED', code: 600 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_HAS_BILLS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_HAS_BILLS', code: 700 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_VENDOR_MISMATCH') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_VENDOR_MISMATCH', code: 800 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_ENTRIES_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_ENTRIES_NOT_FOUND', code: 900 }],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_BILLED_ENTRIES_REMOVED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'PURCHASE_ORDER_BILLED_ENTRIES_REMOVED', code: 1000 },
+          ],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_QUANTITY_LESS_THAN_BILLED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'PURCHASE_ORDER_QUANTITY_LESS_THAN_BILLED', code: 1100 },
+          ],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING', code: 1200 },
+          ],
+        });
+      }
+      if (error.errorType === 'PURCHASE_ORDER_NOTHING_TO_BILL') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PURCHASE_ORDER_NOTHING_TO_BILL', code: 1300 }],
+        });
+      }
+      if (error.errorType === 'NOT_PURCHASE_ABLE_ITEMS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'NOT_PURCHASE_ABLE_ITEMS', code: 1500 }],
+        });
+      }
+      if (error.errorType === 'BILL_NUMBER_EXISTS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BILL.NUMBER.EXISTS', code: 1600 }],
+        });
+      }
+      if (error.errorType === 'TRANSACTIONS_DATE_LOCKED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: 'TRANSACTIONS_DATE_LOCKED',
+              code: 4000,
+              data: { ...error.payload },
+            },
+          ],
+        });
+      }
+      if (error.errorType === 'WAREHOUSE_ID_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'WAREHOUSE_ID_NOT_FOUND', code: 5000 }],
+        });
+      }
+      if (error.errorType === 'BRANCH_ID_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BRANCH_ID_REQUIRED', code: 5100 }],
+        });
+      }
+      if (error.errorType === 'BRANCH_ID_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BRANCH_ID_NOT_FOUND', code: 5300 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -5,6 +5,8 @@ import BillPayments from '@/api/controllers/Purchases/BillsPayments';
 import BillAllocateLandedCost from './LandedCost';
 import VendorCredit from './VendorCredit';
 import VendorCreditApplyToBills from './VendorCreditApplyToBills';
+import BillsRecurring from './BillsRecurring';
+import PurchaseOrders from './PurchaseOrders';
 
 @Service()
 export default class PurchasesController {
@@ -13,6 +15,8 @@ export default class PurchasesController {
 
     router.use('/bills', Container.get(Bills).router());
     router.use('/bill_payments', Container.get(BillPayments).router());
+    router.use('/recurring_bills', Container.get(BillsRecurring).router());
+    router.use('/purchase_orders', Container.get(PurchaseOrders).router());
     router.use('/landed-cost', Container.get(BillAllocateLandedCost).router());
     router.use('/vendor-credit', Container.get(VendorCredit).router());
     router.use(
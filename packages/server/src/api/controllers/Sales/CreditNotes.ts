@@ -6,6 +6,7 @@ import {
   CreditNoteAction,
   ICreditNoteEditDTO,
   ICreditNoteNewDTO,
+  DiscountType,
 } from '@/interfaces';
 import BaseController from '@/api/controllers/BaseController';
 import DynamicListingService from '@/services/DynamicListing/DynamicListService';
@@ -218,6 +219,13 @@ export default class PaymentReceivesController extends BaseController {
       check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
       check('entries').isArray({ min: 1 }),
 
       check('entries.*.index').exists().isNumeric().toInt(),
@@ -157,6 +157,10 @@ export default class PaymentReceivesController extends BaseController {
       check('statement').optional().trim().escape(),
 
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('apply_early_payment_discount')
+        .default(false)
+        .isBoolean()
+        .toBoolean(),
 
       check('entries').isArray({ min: 1 }),
 
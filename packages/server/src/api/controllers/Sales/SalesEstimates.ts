@@ -6,6 +6,7 @@ import {
   ISaleEstimateDTO,
   SaleEstimateAction,
   SaleEstimateMailOptionsDTO,
+  DiscountType,
 } from '@/interfaces';
 import BaseController from '@/api/controllers/BaseController';
 import asyncMiddleware from '@/api/middleware/asyncMiddleware';
@@ -163,6 +164,13 @@ export default class SalesEstimatesController extends BaseController {
       check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
       check('entries').exists().isArray({ min: 1 }),
       check('entries.*.index').exists().isNumeric().toInt(),
       check('entries.*.item_id').exists().isNumeric().toInt(),
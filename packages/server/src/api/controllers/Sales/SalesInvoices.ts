@@ -11,6 +11,7 @@ import {
   SaleInvoiceAction,
   AbilitySubject,
   SendInvoiceMailDTO,
+  DiscountType,
 } from '@/interfaces';
 import CheckPolicies from '@/api/middleware/CheckPolicies';
 import { SaleInvoiceApplication } from '@/services/Sales/Invoices/SaleInvoicesApplication';
@@ -36,6 +37,7 @@ export default class SaleInvoicesController extends BaseController {
       [
         ...this.saleInvoiceValidationSchema,
         check('from_estimate_id').optional().isNumeric().toInt(),
+        check('sales_order_id').optional().isNumeric().toInt(),
         check('attachments').isArray().optional(),
         check('attachments.*.key').exists().isString(),
       ],
@@ -199,7 +201,8 @@ export default class SaleInvoicesController extends BaseController {
     return [
       check('customer_id').exists().isNumeric().toInt(),
       check('invoice_date').exists().isISO8601().toDate(),
-      check('due_date').exists().isISO8601().toDate(),
+      check('due_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('payment_term_id').optional({ nullable: true }).isInt().toInt(),
       check('invoice_no').optional().trim().escape(),
       check('reference_no').optional().trim().escape(),
       check('delivered').default(false).isBoolean().toBoolean(),
@@ -215,6 +218,23 @@ export default class SaleInvoicesController extends BaseController {
 
       check('is_inclusive_tax').optional().isBoolean().toBoolean(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('is_discount_before_tax').default(false).isBoolean().toBoolean(),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
+      check('early_payment_discount_rate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .toFloat(),
+      check('early_payment_discount_days')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .toInt(),
+
       check('entries').exists().isArray({ min: 1 }),
       check('entries.*.index').exists().isNumeric().toInt(),
       check('entries.*.item_id').exists().isNumeric().toInt(),
@@ -241,6 +261,10 @@ export default class SaleInvoicesController extends BaseController {
         .optional({ nullable: true })
         .isNumeric()
         .toInt(),
+      check('entries.*.sales_order_entry_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
       check('entries.*.project_id')
         .optional({ nullable: true })
         .isNumeric()
@@ -259,6 +283,18 @@ export default class SaleInvoicesController extends BaseController {
         .optional({ nullable: true })
         .isNumeric()
         .toFloat(),
+      check('entries.*.service_start_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('entries.*.service_end_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .toDate(),
+      check('entries.*.deferral_account_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
     ];
   }
 
@@ -917,6 +953,63 @@ export default class SaleInvoicesController extends BaseController {
           errors: [{ type: 'ITEM_ENTRY_TAX_RATE_ID_NOT_FOUND', code: 5100 }],
         });
       }
+      if (error.errorType === 'SALES_ORDER_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NOT_FOUND', code: 5200 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_NOT_CONFIRMED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NOT_CONFIRMED', code: 5300 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ALREADY_CLOSED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ALREADY_CLOSED', code: 5400 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_CUSTOMER_MISMATCH') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_CUSTOMER_MISMATCH', code: 5500 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ENTRIES_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ENTRIES_NOT_FOUND', code: 5600 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_QUANTITY_EXCEEDS_REMAINING') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALES_ORDER_QUANTITY_EXCEEDS_REMAINING', code: 5700 },
+          ],
+        });
+      }
+      if (error.errorType === 'SERVICE_PERIOD_INVALID') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SERVICE_PERIOD_INVALID', code: 5800 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'DEFERRAL_ACCOUNT_REQUIRED', code: 5900 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'DEFERRAL_ACCOUNT_NOT_FOUND', code: 6000 }],
+        });
+      }
+      if (error.errorType === 'DEFERRAL_ACCOUNT_INVALID_TYPE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'DEFERRAL_ACCOUNT_INVALID_TYPE', code: 6100 }],
+        });
+      }
+      if (error.errorType === 'PAYMENT_TERM_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PAYMENT_TERM_NOT_FOUND', code: 6200 }],
+        });
+      }
     }
     next(error);
   }
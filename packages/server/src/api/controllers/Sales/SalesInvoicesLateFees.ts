@@ -0,0 +1,226 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { check, param } from 'express-validator';
+import { Service, Inject } from 'typedi';
+import BaseController from '../BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  ILateFeePolicyDTO,
+  LateFeeFrequency,
+  LateFeeType,
+  SaleInvoiceAction,
+} from '@/interfaces';
+import { LateFeesApplication } from '@/services/Sales/LateFees/LateFeesApplication';
+import { ERRORS } from '@/services/Sales/LateFees/constants';
+
+@Service()
+export default class SalesInvoicesLateFeesController extends BaseController {
+  @Inject()
+  private lateFeesApplication: LateFeesApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.get(
+      '/policy',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      asyncMiddleware(this.getLateFeePolicy.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/policy',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      this.policyValidationSchema,
+      this.validationResult,
+      asyncMiddleware(this.saveLateFeePolicy.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/run',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      asyncMiddleware(this.runLateFees.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/invoices/:invoiceId',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [param('invoiceId').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.chargeSaleInvoiceLateFees.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Late fee policy validation schema.
+   */
+  private get policyValidationSchema() {
+    return [
+      check('enabled').exists().isBoolean().toBoolean(),
+      check('fee_type').exists().isIn(Object.values(LateFeeType)),
+      check('amount').exists().isFloat({ min: 0 }).toFloat(),
+      check('grace_days').optional().isInt({ min: 0 }).toInt(),
+      check('frequency').optional().isIn(Object.values(LateFeeFrequency)),
+      check('compounding').optional().isBoolean().toBoolean(),
+      check('income_account_id').optional({ nullable: true }).isInt().toInt(),
+      check('item_id').exists().isInt().toInt(),
+    ];
+  }
+
+  /**
+   * Retrieves the late fee policy.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getLateFeePolicy(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const policy = this.lateFeesApplication.getLateFeePolicy(tenantId);
+
+      return res.status(200).send({ data: policy });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Saves the late fee policy.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async saveLateFeePolicy(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const policyDTO = this.matchedBodyData(req) as ILateFeePolicyDTO;
+
+    try {
+      const policy = await this.lateFeesApplication.saveLateFeePolicy(
+        tenantId,
+        policyDTO
+      );
+      return res.status(200).send({
+        data: policy,
+        message: 'The late fee policy has been saved successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queues charging the late fees of the overdue invoices.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async runLateFees(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+
+    try {
+      await this.lateFeesApplication.runLateFees(tenantId);
+
+      return res.status(200).send({
+        message: 'The late fees charge has been queued successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Charges the due late fees of the given overdue invoice.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async chargeSaleInvoiceLateFees(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { invoiceId } = req.params;
+
+    try {
+      const feeInvoices =
+        await this.lateFeesApplication.chargeSaleInvoiceLateFees(
+          tenantId,
+          invoiceId
+        );
+      return res.status(200).send({
+        ids: feeInvoices.map((invoice) => invoice.id),
+        message: 'The late fees have been charged successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.LATE_FEE_POLICY_DISABLED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.LATE_FEE_POLICY_DISABLED, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.LATE_FEE_ITEM_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.LATE_FEE_ITEM_NOT_FOUND, code: 200 }],
+        });
+      }
+      if (error.errorType === ERRORS.LATE_FEE_ITEM_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.LATE_FEE_ITEM_INVALID, code: 300 }],
+        });
+      }
+      if (error.errorType === ERRORS.LATE_FEE_INCOME_ACCOUNT_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.LATE_FEE_INCOME_ACCOUNT_NOT_FOUND, code: 400 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.LATE_FEE_INCOME_ACCOUNT_INVALID_TYPE) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.LATE_FEE_INCOME_ACCOUNT_INVALID_TYPE, code: 500 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.SALE_INVOICE_IS_LATE_FEE) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SALE_INVOICE_IS_LATE_FEE, code: 600 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -0,0 +1,395 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { check, param } from 'express-validator';
+import { Service, Inject } from 'typedi';
+import BaseController from '../BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import { ServiceError } from '@/exceptions';
+import {
+  AbilitySubject,
+  ISaleInvoiceRecurringCreateDTO,
+  ISaleInvoiceRecurringEditDTO,
+  SaleInvoiceAction,
+} from '@/interfaces';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { SaleInvoicesRecurringApplication } from '@/services/Sales/RecurringInvoices/SaleInvoicesRecurringApplication';
+import { RECURRING_FREQUENCIES } from '@/services/Recurring/constants';
+
+@Service()
+export default class SalesInvoicesRecurringController extends BaseController {
+  @Inject()
+  private recurringApplication: SaleInvoicesRecurringApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(SaleInvoiceAction.Create, AbilitySubject.SaleInvoice),
+      [...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.createRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/activate',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.activateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/inactivate',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.inactivateRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [...this.specificRecurringValidation, ...this.recurringValidationSchema],
+      this.validationResult,
+      asyncMiddleware(this.editRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.Delete, AbilitySubject.SaleInvoice),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.deleteRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      [...this.specificRecurringValidation],
+      this.validationResult,
+      asyncMiddleware(this.getRecurring.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      asyncMiddleware(this.getRecurringList.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Recurring profile validation schema.
+   */
+  private get recurringValidationSchema() {
+    return [
+      check('name').exists().isString().trim(),
+      check('customer_id').exists().isNumeric().toInt(),
+
+      check('frequency').exists().isIn(RECURRING_FREQUENCIES),
+      check('repeat_interval').optional().isInt({ min: 1 }).toInt(),
+      check('start_date').exists().isISO8601().toDate(),
+      check('end_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('due_days').optional().isInt({ min: 0 }).toInt(),
+
+      check('reference_no').optional().trim().escape(),
+      check('invoice_message').optional().trim().escape(),
+      check('terms_conditions').optional().trim().escape(),
+      check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
+      check('is_inclusive_tax').optional().isBoolean().toBoolean(),
+
+      check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('project_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('auto_deliver').default(false).isBoolean().toBoolean(),
+      check('active').default(true).isBoolean().toBoolean(),
+
+      check('entries').exists().isArray({ min: 1 }),
+      check('entries.*.id').optional({ nullable: true }).isNumeric().toInt(),
+      check('entries.*.index').exists().isNumeric().toInt(),
+      check('entries.*.item_id').exists().isNumeric().toInt(),
+      check('entries.*.rate').exists().isNumeric().toFloat(),
+      check('entries.*.quantity').exists().isNumeric().toFloat(),
+      check('entries.*.discount')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toFloat(),
+      check('entries.*.description')
+        .optional({ nullable: true })
+        .trim()
+        .escape(),
+      check('entries.*.tax_rate_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      check('entries.*.warehouse_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+      check('entries.*.project_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+    ];
+  }
+
+  /**
+   * Specific recurring profile validation schema.
+   */
+  private get specificRecurringValidation() {
+    return [param('id').exists().isNumeric().toInt()];
+  }
+
+  /**
+   * Creates a new recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async createRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const recurringDTO: ISaleInvoiceRecurringCreateDTO =
+      this.matchedBodyData(req);
+
+    try {
+      const recurring = await this.recurringApplication.createRecurring(
+        tenantId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurring.id,
+        message: 'The recurring invoice has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const { id: recurringId } = req.params;
+    const recurringDTO: ISaleInvoiceRecurringEditDTO = this.matchedBodyData(req);
+
+    try {
+      await this.recurringApplication.editRecurring(
+        tenantId,
+        recurringId,
+        recurringDTO,
+        user
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring invoice has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.deleteRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring invoice has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Activates the given recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async activateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.activateRecurring(tenantId, recurringId);
+
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring invoice has been activated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Inactivates the given recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async inactivateRecurring(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      await this.recurringApplication.inactivateRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({
+        id: recurringId,
+        message: 'The recurring invoice has been inactivated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given recurring sale invoice profile.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurring(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: recurringId } = req.params;
+
+    try {
+      const recurringInvoice = await this.recurringApplication.getRecurring(
+        tenantId,
+        recurringId
+      );
+      return res.status(200).send({ recurringInvoice });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the recurring sale invoice profiles.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getRecurringList(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const recurringInvoices =
+        await this.recurringApplication.getRecurringList(tenantId);
+
+      return res.status(200).send({ recurringInvoices });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === 'SALE_INVOICE_RECURRING_NOT_FOUND') {
+        return res.status(404).send({
+          errors: [{ type: 'SALE_INVOICE_RECURRING_NOT_FOUND', code: 100 }],
+        });
+      }
+      if (error.errorType === 'END_DATE_BEFORE_START_DATE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'END_DATE_BEFORE_START_DATE', code: 200 }],
+        });
+      }
+      if (error.errorType === 'SALE_INVOICE_RECURRING_ALREADY_ACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALE_INVOICE_RECURRING_ALREADY_ACTIVE', code: 300 },
+          ],
+        });
+      }
+      if (error.errorType === 'SALE_INVOICE_RECURRING_ALREADY_INACTIVE') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALE_INVOICE_RECURRING_ALREADY_INACTIVE', code: 400 },
+          ],
+        });
+      }
+      if (error.errorType === 'SALE_INVOICE_RECURRING_COMPLETED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_INVOICE_RECURRING_COMPLETED', code: 500 }],
+        });
+      }
+      if (error.errorType === 'contact_not_found') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'CUSTOMER_NOT_FOUND', code: 600 }],
+        });
+      }
+      if (error.errorType === 'ITEMS_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'ITEMS_NOT_FOUND', code: 700 }],
+        });
+      }
+      if (error.errorType === 'NOT_SELL_ABLE_ITEMS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'NOT_SELL_ABLE_ITEMS', code: 800 }],
+        });
+      }
+      if (error.errorType === 'ENTRIES_IDS_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'ENTRIES_IDS_NOT_FOUND', code: 900 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
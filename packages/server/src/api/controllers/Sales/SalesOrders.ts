@@ -0,0 +1,561 @@
+import { Router, Request, Response, NextFunction } from 'express';
+import { check, param, query } from 'express-validator';
+import { Inject, Service } from 'typedi';
+import {
+  AbilitySubject,
+  ISalesOrderConvertToInvoiceDTO,
+  ISalesOrderCreateDTO,
+  ISalesOrderEditDTO,
+  SaleInvoiceAction,
+} from '@/interfaces';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import DynamicListingService from '@/services/DynamicListing/DynamicListService';
+import { ServiceError } from '@/exceptions';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { SalesOrdersApplication } from '@/services/Sales/SalesOrders/SalesOrdersApplication';
+
+@Service()
+export default class SalesOrdersController extends BaseController {
+  @Inject()
+  private salesOrdersApplication: SalesOrdersApplication;
+
+  @Inject()
+  private dynamicListService: DynamicListingService;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      CheckPolicies(SaleInvoiceAction.Create, AbilitySubject.SaleInvoice),
+      [
+        ...this.salesOrderValidationSchema,
+        check('from_estimate_id').optional().isNumeric().toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.newSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/confirm',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [...this.specificSalesOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.confirmSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/close',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [...this.specificSalesOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.closeSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/convert-to-invoice',
+      CheckPolicies(SaleInvoiceAction.Create, AbilitySubject.SaleInvoice),
+      [
+        ...this.specificSalesOrderSchema,
+        ...this.convertToInvoiceValidationSchema,
+      ],
+      this.validationResult,
+      asyncMiddleware(this.convertSalesOrderToInvoice.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.Edit, AbilitySubject.SaleInvoice),
+      [
+        ...this.specificSalesOrderSchema,
+        ...this.salesOrderValidationSchema,
+        check('entries.*.id').optional().isNumeric().toInt(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.editSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.Delete, AbilitySubject.SaleInvoice),
+      [...this.specificSalesOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.deleteSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:id',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      [...this.specificSalesOrderSchema],
+      this.validationResult,
+      asyncMiddleware(this.getSalesOrder.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(SaleInvoiceAction.View, AbilitySubject.SaleInvoice),
+      [...this.salesOrdersListSchema],
+      this.validationResult,
+      asyncMiddleware(this.getSalesOrders.bind(this)),
+      this.handleServiceErrors,
+      this.dynamicListService.handlerErrorsToResponse
+    );
+    return router;
+  }
+
+  /**
+   * Sales order validation schema.
+   */
+  private get salesOrderValidationSchema() {
+    return [
+      check('customer_id').exists().isNumeric().toInt(),
+      check('order_date').exists().isISO8601().toDate(),
+      check('shipment_date').optional({ nullable: true }).isISO8601().toDate(),
+      check('order_number').optional().trim().escape(),
+      check('reference_no').optional().trim().escape(),
+      check('confirmed').default(false).isBoolean().toBoolean(),
+
+      check('exchange_rate').optional().isFloat({ gt: 0 }).toFloat(),
+
+      check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
+      check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
+
+      check('entries').exists().isArray({ min: 1 }),
+      check('entries.*.index').exists().isNumeric().toInt(),
+      check('entries.*.item_id').exists().isNumeric().toInt(),
+      check('entries.*.quantity').exists().isNumeric().toInt(),
+      check('entries.*.rate').exists().isNumeric().toFloat(),
+      check('entries.*.description')
+        .optional({ nullable: true })
+        .trim()
+        .escape(),
+      check('entries.*.discount')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toFloat(),
+      check('entries.*.warehouse_id')
+        .optional({ nullable: true })
+        .isNumeric()
+        .toInt(),
+
+      check('note').optional().trim().escape(),
+      check('terms_conditions').optional().trim().escape(),
+    ];
+  }
+
+  /**
+   * Convert sales order to invoice validation schema.
+   */
+  private get convertToInvoiceValidationSchema() {
+    return [
+      check('invoice_no').optional().trim().escape(),
+      check('invoice_date').exists().isISO8601().toDate(),
+      check('due_date').exists().isISO8601().toDate(),
+      check('delivered').default(false).isBoolean().toBoolean(),
+
+      check('entries').optional().isArray({ min: 1 }),
+      check('entries.*.sales_order_entry_id').exists().isNumeric().toInt(),
+      check('entries.*.quantity').exists().isInt({ min: 0 }).toInt(),
+    ];
+  }
+
+  /**
+   * Specific sales order validation schema.
+   */
+  private get specificSalesOrderSchema() {
+    return [param('id').exists().isNumeric().toInt()];
+  }
+
+  /**
+   * Sales orders list validation schema.
+   */
+  private get salesOrdersListSchema() {
+    return [
+      query('view_slug').optional().isString().trim(),
+      query('stringified_filter_roles').optional().isJSON(),
+      query('column_sort_by').optional(),
+      query('sort_order').optional().isIn(['desc', 'asc']),
+      query('page').optional().isNumeric().toInt(),
+      query('page_size').optional().isNumeric().toInt(),
+      query('search_keyword').optional({ nullable: true }).isString().trim(),
+    ];
+  }
+
+  /**
+   * Creates a new sales order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async newSalesOrder(req: Request, res: Response, next: NextFunction) {
+    const { tenantId, user } = req;
+    const salesOrderDTO: ISalesOrderCreateDTO = this.matchedBodyData(req);
+
+    try {
+      const salesOrder = await this.salesOrdersApplication.createSalesOrder(
+        tenantId,
+        salesOrderDTO,
+        user
+      );
+      return res.status(200).send({
+        id: salesOrder.id,
+        message: 'The sales order has been created successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Edits the given sales order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async editSalesOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: salesOrderId } = req.params;
+    const salesOrderDTO: ISalesOrderEditDTO = this.matchedBodyData(req);
+
+    try {
+      await this.salesOrdersApplication.editSalesOrder(
+        tenantId,
+        salesOrderId,
+        salesOrderDTO,
+        user
+      );
+      return res.status(200).send({
+        id: salesOrderId,
+        message: 'The sales order has been edited successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deletes the given sales order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async deleteSalesOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: salesOrderId } = req.params;
+
+    try {
+      await this.salesOrdersApplication.deleteSalesOrder(
+        tenantId,
+        salesOrderId
+      );
+      return res.status(200).send({
+        id: salesOrderId,
+        message: 'The sales order has been deleted successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Marks the given sales order as confirmed.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async confirmSalesOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: salesOrderId } = req.params;
+
+    try {
+      await this.salesOrdersApplication.confirmSalesOrder(
+        tenantId,
+        salesOrderId
+      );
+      return res.status(200).send({
+        id: salesOrderId,
+        message: 'The sales order has been confirmed successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Closes the given sales order.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async closeSalesOrder(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: salesOrderId } = req.params;
+
+    try {
+      await this.salesOrdersApplication.closeSalesOrder(tenantId, salesOrderId);
+
+      return res.status(200).send({
+        id: salesOrderId,
+        message: 'The sales order has been closed successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Converts the given sales order to sale invoice.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async convertSalesOrderToInvoice(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const { id: salesOrderId } = req.params;
+    const convertDTO: ISalesOrderConvertToInvoiceDTO = this.matchedBodyData(
+      req,
+      { includeOptionals: false }
+    );
+    try {
+      const saleInvoice =
+        await this.salesOrdersApplication.convertSalesOrderToInvoice(
+          tenantId,
+          salesOrderId,
+          convertDTO,
+          user
+        );
+      return res.status(200).send({
+        id: saleInvoice.id,
+        message: 'The sales order has been converted to invoice successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the given sales order details.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getSalesOrder(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const { id: salesOrderId } = req.params;
+
+    try {
+      const salesOrder = await this.salesOrdersApplication.getSalesOrder(
+        tenantId,
+        salesOrderId
+      );
+      return res.status(200).send({ salesOrder });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the sales orders list with pagination metadata.
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private async getSalesOrders(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const filter = {
+      sortOrder: 'desc',
+      columnSortBy: 'created_at',
+      page: 1,
+      pageSize: 12,
+      ...this.matchedQueryData(req),
+    };
+    try {
+      const salesOrdersWithPagination =
+        await this.salesOrdersApplication.getSalesOrders(tenantId, filter);
+
+      return res.status(200).send(salesOrdersWithPagination);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === 'SALES_ORDER_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NOT_FOUND', code: 100 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_NUMBER_EXISTS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NUMBER_EXISTS', code: 200 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_NO_IS_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NO_IS_REQUIRED', code: 300 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ALREADY_CONFIRMED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ALREADY_CONFIRMED', code: 400 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_NOT_CONFIRMED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NOT_CONFIRMED', code: 500 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ALREADY_CLOSED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ALREADY_CLOSED', code: 600 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ALREADY_INVOICED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ALREADY_INVOICED', code: 700 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_HAS_INVOICES') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_HAS_INVOICES', code: 800 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_CUSTOMER_MISMATCH') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_CUSTOMER_MISMATCH', code: 900 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_ENTRIES_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_ENTRIES_NOT_FOUND', code: 1000 }],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_INVOICED_ENTRIES_REMOVED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALES_ORDER_INVOICED_ENTRIES_REMOVED', code: 1100 },
+          ],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_QUANTITY_LESS_THAN_INVOICED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALES_ORDER_QUANTITY_LESS_THAN_INVOICED', code: 1200 },
+          ],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_QUANTITY_EXCEEDS_REMAINING') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALES_ORDER_QUANTITY_EXCEEDS_REMAINING', code: 1300 },
+          ],
+        });
+      }
+      if (error.errorType === 'SALES_ORDER_NOTHING_TO_INVOICE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALES_ORDER_NOTHING_TO_INVOICE', code: 1400 }],
+        });
+      }
+      if (error.errorType === 'SALE_ESTIMATE_NOT_APPROVED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_ESTIMATE_NOT_APPROVED', code: 1500 }],
+        });
+      }
+      if (error.errorType === 'SALE_ESTIMATE_CUSTOMER_MISMATCH') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_ESTIMATE_CUSTOMER_MISMATCH', code: 1600 }],
+        });
+      }
+      if (error.errorType === 'SALE_ESTIMATE_CONVERTED_TO_SALES_ORDER') {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'SALE_ESTIMATE_CONVERTED_TO_SALES_ORDER', code: 1700 },
+          ],
+        });
+      }
+      if (error.errorType === 'NOT_SELL_ABLE_ITEMS') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'NOT_SELL_ABLE_ITEMS', code: 1800 }],
+        });
+      }
+      if (error.errorType === 'SALE_INVOICE_NO_IS_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_INVOICE_NO_IS_REQUIRED', code: 1900 }],
+        });
+      }
+      if (error.errorType === 'INVOICE_NUMBER_NOT_UNIQUE') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE.INVOICE.NUMBER.IS.EXISTS', code: 2000 }],
+        });
+      }
+      if (error.errorType === 'TRANSACTIONS_DATE_LOCKED') {
+        return res.boom.badRequest(null, {
+          errors: [
+            {
+              type: 'TRANSACTIONS_DATE_LOCKED',
+              code: 4000,
+              data: { ...error.payload },
+            },
+          ],
+        });
+      }
+      if (error.errorType === 'WAREHOUSE_ID_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'WAREHOUSE_ID_NOT_FOUND', code: 5000 }],
+        });
+      }
+      if (error.errorType === 'BRANCH_ID_REQUIRED') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BRANCH_ID_REQUIRED', code: 5100 }],
+        });
+      }
+      if (error.errorType === 'BRANCH_ID_NOT_FOUND') {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'BRANCH_ID_NOT_FOUND', code: 5300 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
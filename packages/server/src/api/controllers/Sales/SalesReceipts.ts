@@ -11,7 +11,7 @@ import {
 import { ServiceError } from '@/exceptions';
 import DynamicListingService from '@/services/DynamicListing/DynamicListService';
 import CheckPolicies from '@/api/middleware/CheckPolicies';
-import { AbilitySubject, SaleReceiptAction } from '@/interfaces';
+import { AbilitySubject, SaleReceiptAction, DiscountType } from '@/interfaces';
 import { SaleReceiptApplication } from '@/services/Sales/Receipts/SaleReceiptApplication';
 import { ACCEPT_TYPE } from '@/interfaces/Http';
 
@@ -137,6 +137,13 @@ export default class SalesReceiptsController extends BaseController {
       check('warehouse_id').optional({ nullable: true }).isNumeric().toInt(),
       check('branch_id').optional({ nullable: true }).isNumeric().toInt(),
 
+      check('discount').optional().isFloat({ min: 0 }).toFloat(),
+      check('discount_type')
+        .default(DiscountType.Amount)
+        .isIn([DiscountType.Amount, DiscountType.Percentage]),
+      check('shipping_charge').optional().isFloat({ min: 0 }).toFloat(),
+      check('adjustment').optional().isFloat().toFloat(),
+
       check('entries').exists().isArray({ min: 1 }),
 
       check('entries.*.id').optional({ nullable: true }).isNumeric().toInt(),
@@ -5,6 +5,9 @@ import SalesEstimates from './SalesEstimates';
 import SalesReceipts from './SalesReceipts';
 import CreditNotes from './CreditNotes';
 import PaymentReceives from './PaymentReceives';
+import SalesInvoicesRecurring from './SalesInvoicesRecurring';
+import SalesOrders from './SalesOrders';
+import SalesInvoicesLateFees from './SalesInvoicesLateFees';
 @Service()
 export default class SalesController {
   /**
@@ -18,6 +21,12 @@ export default class SalesController {
     router.use('/receipts', Container.get(SalesReceipts).router());
     router.use('/payment_receives', Container.get(PaymentReceives).router());
     router.use('/credit_notes', Container.get(CreditNotes).router())
+    router.use(
+      '/recurring_invoices',
+      Container.get(SalesInvoicesRecurring).router()
+    );
+    router.use('/sales_orders', Container.get(SalesOrders).router());
+    router.use('/late_fees', Container.get(SalesInvoicesLateFees).router());
 
     return router;
   }
@@ -0,0 +1,468 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import { ServiceError } from '@/exceptions';
+import { CustomerStatementType } from '@/interfaces';
+import { ShareLinksApplication } from '@/services/ShareLinks/ShareLinksApplication';
+import { ShareLinkTenantBootMiddleware } from '@/services/ShareLinks/ShareLinkTenantBootMiddleware';
+import { ERRORS } from '@/services/ShareLinks/constants';
+import { ERRORS as ESTIMATE_ERRORS } from '@/services/Sales/Estimates/constants';
+import { ERRORS as PAYMENT_GATEWAY_ERRORS } from '@/services/PaymentGateways/types';
+import { ERRORS as CUSTOMER_STATEMENT_ERRORS } from '@/services/CustomerStatements/constants';
+
+@Service()
+export class PublicShareLinksController extends BaseController {
+  @Inject()
+  private shareLinksApp: ShareLinksApplication;
+
+  /**
+   * Router constructor, the routes are accessible without authentication
+   * and the organization is resolved from the share link token.
+   */
+  public router() {
+    const router = Router();
+
+    router.use('/:token', ShareLinkTenantBootMiddleware);
+
+    router.get(
+      '/:token',
+      asyncMiddleware(this.getSharedDocument.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/pdf',
+      asyncMiddleware(this.getSharedDocumentPdf.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/pay',
+      asyncMiddleware(this.paySharedInvoice.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:token/approve',
+      asyncMiddleware(this.approveSharedEstimate.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:token/reject',
+      asyncMiddleware(this.rejectSharedEstimate.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/customer',
+      asyncMiddleware(this.getSharedCustomer.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/invoices',
+      asyncMiddleware(this.getSharedCustomerOpenInvoices.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/invoices/:invoiceId/pdf',
+      [param('invoiceId').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.getSharedCustomerInvoicePdf.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/invoices/:invoiceId/pay',
+      [param('invoiceId').exists().isInt().toInt()],
+      this.validationResult,
+      asyncMiddleware(this.paySharedCustomerInvoice.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/statement',
+      [
+        query('type').optional().isIn(Object.values(CustomerStatementType)),
+        query('from_date').optional().isISO8601(),
+        query('to_date').optional().isISO8601(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getSharedCustomerStatement.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/:token/statement/pdf',
+      [
+        query('type').optional().isIn(Object.values(CustomerStatementType)),
+        query('from_date').optional().isISO8601(),
+        query('to_date').optional().isISO8601(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.getSharedCustomerStatementPdf.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Sends the given pdf content to be rendered in the browser.
+   * @param {Response} res
+   * @param {Buffer} pdfContent
+   */
+  private sendPdfContent(res: Response, pdfContent: Buffer) {
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdfContent.length,
+      'Content-Disposition': 'inline',
+    });
+    return res.send(pdfContent);
+  }
+
+  /**
+   * Retrieves the shared sale document.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedDocument(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      const document = await this.shareLinksApp.getSharedDocument(
+        tenantId,
+        shareLink
+      );
+      return res.status(200).send({
+        resourceType: shareLink.resourceType,
+        data: document,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renders the shared sale document pdf.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedDocumentPdf(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      const pdfContent = await this.shareLinksApp.getSharedDocumentPdf(
+        tenantId,
+        shareLink
+      );
+      return this.sendPdfContent(res, pdfContent);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Redirects the customer to the payment gateway checkout of the shared invoice.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async paySharedInvoice(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      const checkout = await this.shareLinksApp.paySharedInvoice(
+        tenantId,
+        shareLink
+      );
+      return res.redirect(303, checkout.url);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approves the shared sale estimate.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async approveSharedEstimate(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      await this.shareLinksApp.approveSharedEstimate(tenantId, shareLink);
+
+      return res.status(200).send({
+        message: 'The estimate has been approved successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rejects the shared sale estimate.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async rejectSharedEstimate(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      await this.shareLinksApp.rejectSharedEstimate(tenantId, shareLink);
+
+      return res.status(200).send({
+        message: 'The estimate has been rejected successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the shared customer details.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedCustomer(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      const customer = await this.shareLinksApp.getSharedCustomer(
+        tenantId,
+        shareLink
+      );
+      return res.status(200).send({ data: customer });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the open invoices of the shared customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedCustomerOpenInvoices(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+
+    try {
+      const invoices = await this.shareLinksApp.getSharedCustomerOpenInvoices(
+        tenantId,
+        shareLink
+      );
+      return res.status(200).send({ data: invoices });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renders the given invoice pdf of the shared customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedCustomerInvoicePdf(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+    const { invoiceId } = req.params;
+
+    try {
+      const pdfContent = await this.shareLinksApp.getSharedCustomerInvoicePdf(
+        tenantId,
+        shareLink,
+        invoiceId
+      );
+      return this.sendPdfContent(res, pdfContent);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Redirects the customer to the payment gateway checkout of the given invoice.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async paySharedCustomerInvoice(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+    const { invoiceId } = req.params;
+
+    try {
+      const checkout = await this.shareLinksApp.paySharedCustomerInvoice(
+        tenantId,
+        shareLink,
+        invoiceId
+      );
+      return res.redirect(303, checkout.url);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the statement of account of the shared customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedCustomerStatement(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const statement = await this.shareLinksApp.getSharedCustomerStatement(
+        tenantId,
+        shareLink,
+        filter
+      );
+      return res.status(200).send({ data: statement });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Renders the statement of account pdf of the shared customer.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getSharedCustomerStatementPdf(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, shareLink } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const pdfContent = await this.shareLinksApp.getSharedCustomerStatementPdf(
+        tenantId,
+        shareLink,
+        filter
+      );
+      return this.sendPdfContent(res, pdfContent);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.SHARE_LINK_RESOURCE_MISMATCH) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SHARE_LINK_RESOURCE_MISMATCH, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.SHARED_INVOICE_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SHARED_INVOICE_NOT_FOUND, code: 200 }],
+        });
+      }
+      if (error.errorType === ESTIMATE_ERRORS.SALE_ESTIMATE_NOT_DELIVERED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_ESTIMATE_NOT_DELIVERED', code: 300 }],
+        });
+      }
+      if (error.errorType === ESTIMATE_ERRORS.SALE_ESTIMATE_ALREADY_APPROVED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_ESTIMATE_ALREADY_APPROVED', code: 400 }],
+        });
+      }
+      if (error.errorType === ESTIMATE_ERRORS.SALE_ESTIMATE_ALREADY_REJECTED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_ESTIMATE_ALREADY_REJECTED', code: 500 }],
+        });
+      }
+      if (
+        error.errorType === PAYMENT_GATEWAY_ERRORS.SALE_INVOICE_NOT_DELIVERED
+      ) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_INVOICE_NOT_DELIVERED', code: 600 }],
+        });
+      }
+      if (
+        error.errorType === PAYMENT_GATEWAY_ERRORS.SALE_INVOICE_ALREADY_PAID
+      ) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'SALE_INVOICE_ALREADY_PAID', code: 700 }],
+        });
+      }
+      if (
+        error.errorType ===
+          PAYMENT_GATEWAY_ERRORS.PAYMENT_GATEWAY_NOT_CONFIGURED ||
+        error.errorType ===
+          PAYMENT_GATEWAY_ERRORS.PAYMENT_GATEWAY_DRIVER_NOT_FOUND
+      ) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: 'PAYMENT_GATEWAY_NOT_CONFIGURED', code: 800 }],
+        });
+      }
+      if (
+        error.errorType ===
+        CUSTOMER_STATEMENT_ERRORS.CUSTOMER_STATEMENT_DATE_RANGE_INVALID
+      ) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: 'CUSTOMER_STATEMENT_DATE_RANGE_INVALID', code: 900 },
+          ],
+        });
+      }
+    }
+    next(error);
+  }
+}
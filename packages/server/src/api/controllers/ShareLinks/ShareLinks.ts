@@ -0,0 +1,202 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { ShareLinkResourceType } from '@/interfaces';
+import { ShareLinksApplication } from '@/services/ShareLinks/ShareLinksApplication';
+import {
+  ERRORS,
+  SHARE_LINK_RESOURCE_ABILITIES,
+} from '@/services/ShareLinks/constants';
+import { ShareLink } from '@/system/models';
+
+@Service()
+export class ShareLinksController extends BaseController {
+  @Inject()
+  private shareLinksApp: ShareLinksApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/',
+      [
+        body('resource_type')
+          .exists()
+          .isIn(Object.values(ShareLinkResourceType)),
+        body('resource_id').exists().isInt().toInt(),
+        body('expires_at').optional({ nullable: true }).isISO8601().toDate(),
+      ],
+      this.validationResult,
+      this.checkResourcePolicies((req) => req.body.resource_type),
+      asyncMiddleware(this.generateShareLink.bind(this)),
+      this.handleServiceErrors
+    );
+    router.delete(
+      '/:id',
+      [param('id').exists().isInt().toInt()],
+      this.validationResult,
+      this.checkResourcePolicies(this.getShareLinkResourceType),
+      asyncMiddleware(this.revokeShareLink.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      [
+        query('resource_type')
+          .exists()
+          .isIn(Object.values(ShareLinkResourceType)),
+        query('resource_id').exists().isInt().toInt(),
+      ],
+      this.validationResult,
+      this.checkResourcePolicies((req) => req.query.resource_type as string),
+      asyncMiddleware(this.getShareLinks.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Checks the user ability to view the shared resource type, only the users
+   * can view the resource are able to share it publicly.
+   * @param {(req: Request) => string | Promise<string>} getResourceType
+   */
+  private checkResourcePolicies = (
+    getResourceType: (req: Request) => string | Promise<string>
+  ) =>
+    asyncMiddleware(async (req: Request, res: Response, next: NextFunction) => {
+      const resourceType = await getResourceType(req);
+      const policy = SHARE_LINK_RESOURCE_ABILITIES[resourceType];
+
+      // The not found share link is handled by the service.
+      if (!policy) {
+        return next();
+      }
+      return CheckPolicies(policy.ability, policy.subject)(req, res, next);
+    });
+
+  /**
+   * Retrieves the resource type of the share link of the request params.
+   * @param {Request} req
+   * @returns {Promise<string | undefined>}
+   */
+  private getShareLinkResourceType = async (
+    req: Request
+  ): Promise<string | undefined> => {
+    const shareLink = await ShareLink.query()
+      .findById(req.params.id)
+      .where('tenant_id', req.tenantId);
+
+    return shareLink?.resourceType;
+  };
+
+  /**
+   * Generates a new public share link of the given resource.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async generateShareLink(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const shareLinkDTO = this.matchedBodyData(req);
+
+    try {
+      const shareLink = await this.shareLinksApp.generateShareLink(
+        tenantId,
+        shareLinkDTO
+      );
+      return res.status(200).send({
+        id: shareLink.id,
+        token: shareLink.token,
+        message: 'The share link has been generated successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revokes the given share link.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async revokeShareLink(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: shareLinkId } = req.params;
+
+    try {
+      await this.shareLinksApp.revokeShareLink(tenantId, shareLinkId);
+
+      return res.status(200).send({
+        id: shareLinkId,
+        message: 'The share link has been revoked successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the share links of the given resource.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getShareLinks(req: Request, res: Response, next: NextFunction) {
+    const { tenantId } = req;
+    const filter = this.matchedQueryData(req);
+
+    try {
+      const shareLinks = await this.shareLinksApp.getShareLinks(
+        tenantId,
+        filter
+      );
+      return res.status(200).send({ data: shareLinks });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.SHARE_LINK_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SHARE_LINK_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.SHARE_LINK_EXPIRY_DATE_INVALID) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.SHARE_LINK_EXPIRY_DATE_INVALID, code: 200 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -4,6 +4,11 @@ import { PlaidApplication } from '@/services/Banking/Plaid/PlaidApplication';
 import BaseController from '../BaseController';
 import { LemonSqueezyWebhooks } from '@/services/Subscription/LemonSqueezyWebhooks';
 import { PlaidWebhookTenantBootMiddleware } from '@/services/Banking/Plaid/PlaidWebhookTenantBootMiddleware';
+import { PaymentGatewaysApplication } from '@/services/PaymentGateways/PaymentGatewaysApplication';
+import { PaymentGatewayWebhookTenantBootMiddleware } from '@/services/PaymentGateways/PaymentGatewayWebhookTenantBootMiddleware';
+import { BankFeedsApplication } from '@/services/Banking/BankFeeds/BankFeedsApplication';
+import { BankFeedProviderType } from '@/services/Banking/BankFeeds/types';
+import { FileDropWebhookTenantBootMiddleware } from '@/services/Banking/BankFeeds/FileDrop/FileDropWebhookTenantBootMiddleware';
 
 @Service()
 export class Webhooks extends BaseController {
@@ -13,6 +18,12 @@ export class Webhooks extends BaseController {
   @Inject()
   private lemonWebhooksService: LemonSqueezyWebhooks;
 
+  @Inject()
+  private paymentGatewaysApp: PaymentGatewaysApplication;
+
+  @Inject()
+  private bankFeedsApp: BankFeedsApplication;
+
   /**
    * Router constructor.
    */
@@ -24,6 +35,18 @@ export class Webhooks extends BaseController {
 
     router.post('/lemon', this.lemonWebhooks.bind(this));
 
+    router.use(
+      '/payment-gateway/:driver',
+      PaymentGatewayWebhookTenantBootMiddleware
+    );
+    router.post(
+      '/payment-gateway/:driver',
+      this.paymentGatewayWebhooks.bind(this)
+    );
+
+    router.use('/bank-feeds/file-drop', FileDropWebhookTenantBootMiddleware);
+    router.post('/bank-feeds/file-drop', this.fileDropWebhooks.bind(this));
+
     return router;
   }
 
@@ -77,4 +100,55 @@ export class Webhooks extends BaseController {
       next(error);
     }
   }
+
+  /**
+   * Listens to the payment gateways webhooks.
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {Response}
+   */
+  public async paymentGatewayWebhooks(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, paymentGatewayEvent } = req;
+    const { driver } = req.params;
+
+    try {
+      await this.paymentGatewaysApp.webhooks(
+        tenantId,
+        driver,
+        paymentGatewayEvent
+      );
+      return res.status(200).send({ code: 200, message: 'ok' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Listens to the file drop webhooks, triggered by the SFTP server once
+   * a new statement file uploaded to the connection folder.
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {Response}
+   */
+  public async fileDropWebhooks(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { connection_id: connectionId } = req.body;
+
+    try {
+      await this.bankFeedsApp.webhook(tenantId, BankFeedProviderType.FileDrop, {
+        connectionId,
+      });
+      return res.status(200).send({ code: 200, message: 'ok' });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
@@ -0,0 +1,198 @@
+import { Inject, Service } from 'typedi';
+import { NextFunction, Router, Request, Response } from 'express';
+import { body, param } from 'express-validator';
+import BaseController from '@/api/controllers/BaseController';
+import asyncMiddleware from '@/api/middleware/asyncMiddleware';
+import CheckPolicies from '@/api/middleware/CheckPolicies';
+import { ServiceError } from '@/exceptions';
+import { AbilitySubject, AccountAction } from '@/interfaces';
+import { YearEndClosingApplication } from '@/services/YearEndClosing/YearEndClosingApplication';
+import { ERRORS } from '@/services/YearEndClosing/constants';
+
+@Service()
+export class YearEndClosingController extends BaseController {
+  @Inject()
+  private yearEndClosingApplication: YearEndClosingApplication;
+
+  /**
+   * Router constructor.
+   */
+  public router() {
+    const router = Router();
+
+    router.post(
+      '/close',
+      CheckPolicies(AccountAction.YearEndClose, AbilitySubject.Account),
+      [
+        body('fiscal_year').exists().isInt({ min: 1900, max: 9999 }).toInt(),
+        body('retained_earnings_account_id')
+          .optional({ nullable: true })
+          .isInt()
+          .toInt(),
+        body('reason').optional({ nullable: true }).isString().trim(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.closeFiscalYear.bind(this)),
+      this.handleServiceErrors
+    );
+    router.post(
+      '/:id/reopen',
+      CheckPolicies(AccountAction.YearEndReopen, AbilitySubject.Account),
+      [
+        param('id').exists().isInt().toInt(),
+        body('reason').exists().isString().trim(),
+      ],
+      this.validationResult,
+      asyncMiddleware(this.reopenFiscalYear.bind(this)),
+      this.handleServiceErrors
+    );
+    router.get(
+      '/',
+      CheckPolicies(AccountAction.VIEW, AbilitySubject.Account),
+      this.validationResult,
+      asyncMiddleware(this.getYearEndClosings.bind(this)),
+      this.handleServiceErrors
+    );
+    return router;
+  }
+
+  /**
+   * Closes the given fiscal year.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async closeFiscalYear(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId, user } = req;
+    const closingDTO = this.matchedBodyData(req);
+
+    try {
+      const yearEndClosing =
+        await this.yearEndClosingApplication.closeFiscalYear(
+          tenantId,
+          closingDTO,
+          user
+        );
+      return res.status(200).send({
+        id: yearEndClosing.id,
+        message: 'The fiscal year has been closed successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reopens the given closed fiscal year.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async reopenFiscalYear(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+    const { id: yearEndClosingId } = req.params;
+    const reopenDTO = this.matchedBodyData(req);
+
+    try {
+      await this.yearEndClosingApplication.reopenFiscalYear(
+        tenantId,
+        yearEndClosingId,
+        reopenDTO
+      );
+      return res.status(200).send({
+        id: yearEndClosingId,
+        message: 'The fiscal year has been reopened successfully.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retrieves the year-end closings list.
+   * @param {Request} req -
+   * @param {Response} res -
+   * @param {NextFunction} next -
+   */
+  private async getYearEndClosings(
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    const { tenantId } = req;
+
+    try {
+      const closings = await this.yearEndClosingApplication.getYearEndClosings(
+        tenantId
+      );
+      return res.status(200).send({ data: closings });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Handles service errors.
+   * @param {Error} error
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   */
+  private handleServiceErrors(
+    error: Error,
+    req: Request,
+    res: Response,
+    next: NextFunction
+  ) {
+    if (error instanceof ServiceError) {
+      if (error.errorType === ERRORS.YEAR_END_CLOSING_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.YEAR_END_CLOSING_NOT_FOUND, code: 100 }],
+        });
+      }
+      if (error.errorType === ERRORS.FISCAL_YEAR_NOT_ENDED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FISCAL_YEAR_NOT_ENDED, code: 200 }],
+        });
+      }
+      if (error.errorType === ERRORS.FISCAL_YEAR_ALREADY_CLOSED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FISCAL_YEAR_ALREADY_CLOSED, code: 300 }],
+        });
+      }
+      if (error.errorType === ERRORS.LATER_FISCAL_YEAR_CLOSED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.LATER_FISCAL_YEAR_CLOSED, code: 400 }],
+        });
+      }
+      if (error.errorType === ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_FOUND) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_FOUND, code: 500 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_EQUITY) {
+        return res.boom.badRequest(null, {
+          errors: [
+            { type: ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_EQUITY, code: 600 },
+          ],
+        });
+      }
+      if (error.errorType === ERRORS.FISCAL_YEAR_ALREADY_REOPENED) {
+        return res.boom.badRequest(null, {
+          errors: [{ type: ERRORS.FISCAL_YEAR_ALREADY_REOPENED, code: 700 }],
+        });
+      }
+    }
+    next(error);
+  }
+}
@@ -58,6 +58,15 @@ import { ProjectsController } from './controllers/Projects/Projects';
 import { ProjectTasksController } from './controllers/Projects/Tasks';
 import { ProjectTimesController } from './controllers/Projects/Times';
 import { TaxRatesController } from './controllers/TaxRates/TaxRates';
+import { BudgetsController } from './controllers/Budgets/Budgets';
+import { PaymentTermsController } from './controllers/PaymentTerms/PaymentTerms';
+import { FixedAssetsController } from './controllers/FixedAssets/FixedAssets';
+import { AmortizationSchedulesController } from './controllers/AmortizationSchedules/AmortizationSchedules';
+import { ShareLinksController } from './controllers/ShareLinks/ShareLinks';
+import { PublicShareLinksController } from './controllers/ShareLinks/PublicShareLinks';
+import { CustomerStatementsController } from './controllers/CustomerStatements/CustomerStatements';
+import { DunningController } from './controllers/Dunning/Dunning';
+import { YearEndClosingController } from './controllers/YearEndClosing/YearEndClosing';
 import { ImportController } from './controllers/Import/ImportController';
 import { BankingController } from './controllers/Banking/BankingController';
 import { Webhooks } from './controllers/Webhooks/Webhooks';
@@ -80,6 +89,7 @@ export default () => {
   app.use('/jobs', Container.get(Jobs).router());
   app.use('/account', Container.get(Account).router());
   app.use('/webhooks', Container.get(Webhooks).router());
+  app.use('/share', Container.get(PublicShareLinksController).router());
 
   // - Dashboard routes.
   // ---------------------------
@@ -142,6 +152,26 @@ export default () => {
   dashboard.use('/warehouses', Container.get(WarehousesController).router());
   dashboard.use('/projects', Container.get(ProjectsController).router());
   dashboard.use('/tax-rates', Container.get(TaxRatesController).router());
+  dashboard.use('/budgets', Container.get(BudgetsController).router());
+  dashboard.use(
+    '/payment-terms',
+    Container.get(PaymentTermsController).router()
+  );
+  dashboard.use('/fixed-assets', Container.get(FixedAssetsController).router());
+  dashboard.use(
+    '/amortization-schedules',
+    Container.get(AmortizationSchedulesController).router()
+  );
+  dashboard.use('/share-links', Container.get(ShareLinksController).router());
+  dashboard.use(
+    '/customer-statements',
+    Container.get(CustomerStatementsController).router()
+  );
+  dashboard.use('/dunning', Container.get(DunningController).router());
+  dashboard.use(
+    '/year-end-closing',
+    Container.get(YearEndClosingController).router()
+  );
   dashboard.use('/import', Container.get(ImportController).router());
   dashboard.use('/export', Container.get(ExportController).router());
   dashboard.use('/attachments', Container.get(AttachmentsController).router());
@@ -198,6 +198,18 @@ module.exports = {
     provider: 'plaid',
   },
 
+  /**
+   * Bank feeds.
+   */
+  bankFeeds: {
+    fileDrop: {
+      path: process.env.BANK_FEEDS_FILE_DROP_PATH,
+      pollInterval:
+        process.env.BANK_FEEDS_FILE_DROP_POLL_INTERVAL || '15 minutes',
+      webhookSecret: process.env.BANK_FEEDS_FILE_DROP_WEBHOOK_SECRET,
+    },
+  },
+
   /**
    * Plaid.
    */
@@ -208,6 +220,20 @@ module.exports = {
     linkWebhook: process.env.PLAID_LINK_WEBHOOK,
   },
 
+  /**
+   * Payment gateway.
+   */
+  paymentGateway: {
+    driver: process.env.PAYMENT_GATEWAY_DRIVER,
+    stripe: {
+      secretKey: process.env.STRIPE_SECRET_KEY,
+      webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    },
+    local: {
+      webhookSecret: process.env.PAYMENT_GATEWAY_LOCAL_WEBHOOK_SECRET,
+    },
+  },
+
   /**
    * Lemon Squeezy.
    */
@@ -31,5 +31,9 @@ export const TransactionTypes = {
   RefundCreditNote: 'transaction_type.refund_credit_note',
   RefundVendorCredit: 'transaction_type.refund_vendor_credit',
   LandedCost: 'transaction_type.landed_cost',
+  FixedAssetDepreciation: 'transaction_type.fixed_asset_depreciation',
+  FixedAssetDisposal: 'transaction_type.fixed_asset_disposal',
+  PrepaidExpenseRecognition: 'transaction_type.prepaid_expense_recognition',
+  DeferredRevenueRecognition: 'transaction_type.deferred_revenue_recognition',
   CashflowTransaction: CashflowTransactionTypes,
 };
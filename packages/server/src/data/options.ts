@@ -66,6 +66,40 @@ export default {
       type: 'string',
     },
   },
+  purchase_orders: {
+    next_number: {
+      type: 'string',
+    },
+    number_prefix: {
+      type: 'string',
+    },
+    auto_increment: {
+      type: 'boolean',
+    },
+    vendor_notes: {
+      type: 'string',
+    },
+    terms_conditions: {
+      type: 'string',
+    },
+  },
+  sales_orders: {
+    next_number: {
+      type: 'string',
+    },
+    number_prefix: {
+      type: 'string',
+    },
+    auto_increment: {
+      type: 'boolean',
+    },
+    customer_notes: {
+      type: 'string',
+    },
+    terms_conditions: {
+      type: 'string',
+    },
+  },
   sales_receipts: {
     next_number: {
       type: 'string',
@@ -103,6 +137,35 @@ export default {
       type: 'string',
     },
   },
+  late_fees: {
+    enabled: {
+      type: 'boolean',
+    },
+    fee_type: {
+      type: 'string',
+    },
+    amount: {
+      type: 'number',
+    },
+    grace_days: {
+      type: 'number',
+    },
+    frequency: {
+      type: 'string',
+    },
+    compounding: {
+      type: 'boolean',
+    },
+    income_account: {
+      type: 'number',
+    },
+    item: {
+      type: 'number',
+    },
+    enabled_at: {
+      type: 'string',
+    },
+  },
   payment_receives: {
     next_number: {
       type: 'string',
@@ -160,6 +223,11 @@ export default {
       type: 'boolean',
     },
   },
+  bank_matching: {
+    auto_match_threshold: {
+      type: 'number',
+    },
+  },
   credit_note: {
     next_number: {
       type: 'string',
@@ -0,0 +1,72 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('sales_invoices_recurring', (table) => {
+      table.increments('id').primary();
+      table.string('name');
+      table
+        .integer('customer_id')
+        .unsigned()
+        .references('id')
+        .inTable('contacts');
+
+      table.string('frequency');
+      table.integer('repeat_interval').unsigned().defaultTo(1);
+      table.date('start_date');
+      table.date('end_date').nullable();
+      table.date('next_run_at').nullable().index();
+      table.date('last_run_at').nullable();
+      table.integer('due_days').unsigned().defaultTo(0);
+
+      table.string('reference_no');
+      table.text('invoice_message');
+      table.text('terms_conditions');
+      table.decimal('exchange_rate', 13, 9);
+      table.boolean('is_inclusive_tax').defaultTo(false);
+
+      table
+        .integer('branch_id')
+        .unsigned()
+        .references('id')
+        .inTable('branches');
+      table
+        .integer('warehouse_id')
+        .unsigned()
+        .references('id')
+        .inTable('warehouses');
+      table
+        .integer('project_id')
+        .unsigned()
+        .references('id')
+        .inTable('projects');
+
+      table.boolean('auto_deliver').defaultTo(false);
+      table.boolean('active').defaultTo(true);
+
+      table.integer('user_id').unsigned();
+      table.timestamps();
+    })
+    .createTable('sales_invoices_recurring_history', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('recurring_id')
+        .unsigned()
+        .references('id')
+        .inTable('sales_invoices_recurring');
+      table
+        .integer('sale_invoice_id')
+        .unsigned()
+        .references('id')
+        .inTable('sales_invoices')
+        .onDelete('SET NULL');
+      table.date('run_date');
+      table.string('status');
+      table.text('error_message');
+      table.timestamps();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('sales_invoices_recurring_history')
+    .dropTableIfExists('sales_invoices_recurring');
+};
@@ -0,0 +1,150 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('bills_recurring', (table) => {
+      table.increments('id').primary();
+      table.string('name');
+      table
+        .integer('vendor_id')
+        .unsigned()
+        .references('id')
+        .inTable('contacts');
+
+      table.string('frequency');
+      table.integer('repeat_interval').unsigned().defaultTo(1);
+      table.date('start_date');
+      table.date('end_date').nullable();
+      table.date('next_run_at').nullable().index();
+      table.date('last_run_at').nullable();
+      table.integer('due_days').unsigned().defaultTo(0);
+      table.string('creation_mode').defaultTo('draft');
+
+      table.string('bill_number_prefix');
+      table.string('reference_no');
+      table.text('note');
+      table.decimal('exchange_rate', 13, 9);
+      table.boolean('is_inclusive_tax').defaultTo(false);
+
+      table
+        .integer('branch_id')
+        .unsigned()
+        .references('id')
+        .inTable('branches');
+      table
+        .integer('warehouse_id')
+        .unsigned()
+        .references('id')
+        .inTable('warehouses');
+      table
+        .integer('project_id')
+        .unsigned()
+        .references('id')
+        .inTable('projects');
+
+      table.boolean('active').defaultTo(true);
+
+      table.integer('user_id').unsigned();
+      table.timestamps();
+    })
+    .createTable('bills_recurring_history', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('recurring_id')
+        .unsigned()
+        .references('id')
+        .inTable('bills_recurring');
+      table
+        .integer('bill_id')
+        .unsigned()
+        .references('id')
+        .inTable('bills')
+        .onDelete('SET NULL');
+      table.date('run_date');
+      table.string('status');
+      table.text('error_message');
+      table.timestamps();
+    })
+    .createTable('expenses_recurring', (table) => {
+      table.increments('id').primary();
+      table.string('name');
+      table
+        .integer('payment_account_id')
+        .unsigned()
+        .references('id')
+        .inTable('accounts');
+      table.integer('payee_id').unsigned().references('id').inTable('contacts');
+
+      table.string('frequency');
+      table.integer('repeat_interval').unsigned().defaultTo(1);
+      table.date('start_date');
+      table.date('end_date').nullable();
+      table.date('next_run_at').nullable().index();
+      table.date('last_run_at').nullable();
+      table.string('creation_mode').defaultTo('draft');
+
+      table.string('reference_no');
+      table.text('description');
+      table.string('currency_code', 3);
+      table.decimal('exchange_rate', 13, 9);
+
+      table
+        .integer('branch_id')
+        .unsigned()
+        .references('id')
+        .inTable('branches');
+
+      table.boolean('active').defaultTo(true);
+
+      table.integer('user_id').unsigned();
+      table.timestamps();
+    })
+    .createTable('expenses_recurring_categories', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('expense_recurring_id')
+        .unsigned()
+        .references('id')
+        .inTable('expenses_recurring');
+      table
+        .integer('expense_account_id')
+        .unsigned()
+        .references('id')
+        .inTable('accounts');
+      table.integer('index').unsigned();
+      table.text('description');
+      table.decimal('amount', 13, 3);
+      table.boolean('landed_cost').defaultTo(false);
+      table
+        .integer('project_id')
+        .unsigned()
+        .references('id')
+        .inTable('projects');
+      table.timestamps();
+    })
+    .createTable('expenses_recurring_history', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('recurring_id')
+        .unsigned()
+        .references('id')
+        .inTable('expenses_recurring');
+      table
+        .integer('expense_id')
+        .unsigned()
+        .references('id')
+        .inTable('expenses_transactions')
+        .onDelete('SET NULL');
+      table.date('run_date');
+      table.string('status');
+      table.text('error_message');
+      table.timestamps();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('expenses_recurring_history')
+    .dropTableIfExists('expenses_recurring_categories')
+    .dropTableIfExists('expenses_recurring')
+    .dropTableIfExists('bills_recurring_history')
+    .dropTableIfExists('bills_recurring');
+};
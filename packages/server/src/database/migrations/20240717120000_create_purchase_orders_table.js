@@ -0,0 +1,65 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('purchase_orders', (table) => {
+      table.increments('id').primary();
+      table.decimal('amount', 13, 3);
+      table.string('currency_code', 3);
+      table.decimal('exchange_rate', 13, 9);
+      table
+        .integer('vendor_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('contacts');
+      table.date('order_date').index();
+      table.date('delivery_date').nullable().index();
+      table.string('order_number').index();
+      table.string('reference_no');
+      table.text('note');
+      table.text('terms_conditions');
+
+      table
+        .integer('branch_id')
+        .unsigned()
+        .references('id')
+        .inTable('branches');
+      table
+        .integer('warehouse_id')
+        .unsigned()
+        .references('id')
+        .inTable('warehouses');
+
+      table.date('delivered_at').nullable().index();
+      table.date('billed_at').nullable().index();
+      table.date('closed_at').nullable().index();
+
+      table.integer('user_id').unsigned().index();
+      table.timestamps();
+    })
+    .table('items_entries', (table) => {
+      table.integer('billed_quantity').unsigned().defaultTo(0);
+      table.integer('purchase_order_entry_id').unsigned().nullable().index();
+    })
+    .table('bills', (table) => {
+      table
+        .integer('purchase_order_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('purchase_orders');
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table('bills', (table) => {
+      table.dropForeign('purchase_order_id');
+      table.dropColumn('purchase_order_id');
+    })
+    .table('items_entries', (table) => {
+      table.dropColumn('purchase_order_entry_id');
+      table.dropColumn('billed_quantity');
+    })
+    .dropTableIfExists('purchase_orders');
+};
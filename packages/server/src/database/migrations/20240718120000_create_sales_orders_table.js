@@ -0,0 +1,78 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('sales_orders', (table) => {
+      table.increments('id').primary();
+      table.decimal('amount', 13, 3);
+      table.string('currency_code', 3);
+      table.decimal('exchange_rate', 13, 9);
+      table
+        .integer('customer_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('contacts');
+      table.date('order_date').index();
+      table.date('shipment_date').nullable().index();
+      table.string('order_number').index();
+      table.string('reference_no');
+      table.text('note');
+      table.text('terms_conditions');
+
+      table
+        .integer('sale_estimate_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('sales_estimates');
+      table
+        .integer('branch_id')
+        .unsigned()
+        .references('id')
+        .inTable('branches');
+      table
+        .integer('warehouse_id')
+        .unsigned()
+        .references('id')
+        .inTable('warehouses');
+
+      table.date('confirmed_at').nullable().index();
+      table.date('invoiced_at').nullable().index();
+      table.date('closed_at').nullable().index();
+
+      table.integer('user_id').unsigned().index();
+      table.timestamps();
+    })
+    .table('items_entries', (table) => {
+      table.integer('invoiced_quantity').unsigned().defaultTo(0);
+      table.integer('sales_order_entry_id').unsigned().nullable().index();
+    })
+    .table('sales_invoices', (table) => {
+      table
+        .integer('sales_order_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('sales_orders');
+    })
+    .table('items_warehouses_quantity', (table) => {
+      table.integer('quantity_committed').defaultTo(0);
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table('items_warehouses_quantity', (table) => {
+      table.dropColumn('quantity_committed');
+    })
+    .table('sales_invoices', (table) => {
+      table.dropForeign('sales_order_id');
+      table.dropColumn('sales_order_id');
+    })
+    .table('items_entries', (table) => {
+      table.dropColumn('sales_order_entry_id');
+      table.dropColumn('invoiced_quantity');
+    })
+    .dropTableIfExists('sales_orders');
+};
@@ -0,0 +1,55 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('budgets', (table) => {
+      table.increments('id').primary();
+      table.string('name').index();
+      table.integer('fiscal_year').unsigned().index();
+      table.string('period');
+      table.date('from_date').index();
+      table.date('to_date').index();
+      table.text('description');
+      table.integer('user_id').unsigned().index();
+      table.timestamps();
+    })
+    .createTable('budget_entries', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('budget_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('budgets')
+        .onDelete('CASCADE');
+      table
+        .integer('account_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('accounts');
+      table
+        .integer('branch_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('branches');
+      table
+        .integer('project_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('projects');
+      table.integer('period_index').unsigned();
+      table.date('from_date').index();
+      table.date('to_date').index();
+      table.decimal('amount', 13, 3).defaultTo(0);
+      table.integer('index').unsigned();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('budget_entries')
+    .dropTableIfExists('budgets');
+};
@@ -0,0 +1,32 @@
+exports.up = function (knex) {
+  return knex.schema.createTable('year_end_closings', (table) => {
+    table.increments('id').primary();
+    table.integer('fiscal_year').unsigned().index();
+    table.date('from_date').index();
+    table.date('to_date').index();
+    table
+      .integer('retained_earnings_account_id')
+      .unsigned()
+      .references('id')
+      .inTable('accounts');
+    table
+      .integer('manual_journal_id')
+      .unsigned()
+      .nullable()
+      .references('id')
+      .inTable('manual_journals');
+    table.decimal('net_income', 13, 3).defaultTo(0);
+    table.boolean('previous_lock_active').defaultTo(false);
+    table.date('previous_lock_to_date').nullable();
+    table.text('close_reason');
+    table.text('reopen_reason');
+    table.datetime('closed_at').index();
+    table.datetime('reopened_at').nullable().index();
+    table.integer('user_id').unsigned().index();
+    table.timestamps();
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('year_end_closings');
+};
@@ -0,0 +1,40 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('bank_reconciliations', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('account_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('accounts');
+      table.date('statement_date').index();
+      table.decimal('statement_ending_balance', 13, 3).defaultTo(0);
+      table.decimal('opening_balance', 13, 3).defaultTo(0);
+      table.decimal('cleared_balance', 13, 3).nullable();
+      table.string('status').index();
+      table.datetime('finished_at').nullable();
+      table.integer('user_id').unsigned().index();
+      table.timestamps();
+    })
+    .createTable('bank_reconciliation_transactions', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('reconciliation_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('bank_reconciliations')
+        .onDelete('CASCADE');
+      table.string('reference_type');
+      table.integer('reference_id').unsigned();
+      table.index(['reference_type', 'reference_id']);
+      table.timestamps();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('bank_reconciliation_transactions')
+    .dropTableIfExists('bank_reconciliations');
+};
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.table('uncategorized_cashflow_transactions', (table) => {
+    table.string('fitid');
+    table.index(['account_id', 'fitid']);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.table('uncategorized_cashflow_transactions', (table) => {
+    table.dropIndex(['account_id', 'fitid']);
+    table.dropColumn('fitid');
+  });
+};
@@ -0,0 +1,23 @@
+exports.up = function (knex) {
+  return knex.schema
+    .table('accounts', (table) => {
+      table.string('iban', 34).nullable().index();
+    })
+    .table('uncategorized_cashflow_transactions', (table) => {
+      table.date('value_date').nullable();
+      table.string('counterparty_name').nullable();
+      table.string('counterparty_iban', 34).nullable();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table('accounts', (table) => {
+      table.dropColumn('iban');
+    })
+    .table('uncategorized_cashflow_transactions', (table) => {
+      table.dropColumn('value_date');
+      table.dropColumn('counterparty_name');
+      table.dropColumn('counterparty_iban');
+    });
+};
@@ -0,0 +1,13 @@
+exports.up = function (knex) {
+  return knex.schema.table('bank_rule_conditions', (table) => {
+    table.string('value_to').nullable();
+    table.boolean('case_sensitive').defaultTo(false);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.table('bank_rule_conditions', (table) => {
+    table.dropColumn('value_to');
+    table.dropColumn('case_sensitive');
+  });
+};
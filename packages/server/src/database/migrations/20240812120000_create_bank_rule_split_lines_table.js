@@ -0,0 +1,20 @@
+exports.up = function (knex) {
+  return knex.schema.createTable('bank_rule_split_lines', (table) => {
+    table.increments('id').primary();
+    table
+      .integer('rule_id')
+      .unsigned()
+      .references('id')
+      .inTable('bank_rules')
+      .onDelete('CASCADE');
+    table.integer('index').unsigned();
+    table.integer('account_id').unsigned().references('id').inTable('accounts');
+    table.string('amount_type');
+    table.decimal('amount', 13, 3);
+    table.string('memo');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('bank_rule_split_lines');
+};
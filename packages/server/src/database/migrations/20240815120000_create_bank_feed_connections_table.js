@@ -0,0 +1,28 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('bank_feed_connections', (table) => {
+      table.increments('id');
+      table.string('provider');
+      table.string('connection_id').index();
+      table.string('name');
+      table.string('folder');
+      table.string('last_cursor');
+      table.datetime('last_synced_at');
+      table.timestamps();
+    })
+    .table('accounts', (table) => {
+      table.string('bank_feed_provider');
+      table.string('bank_feed_account_id');
+      table.index(['bank_feed_provider', 'bank_feed_account_id']);
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table('accounts', (table) => {
+      table.dropIndex(['bank_feed_provider', 'bank_feed_account_id']);
+      table.dropColumn('bank_feed_provider');
+      table.dropColumn('bank_feed_account_id');
+    })
+    .dropTableIfExists('bank_feed_connections');
+};
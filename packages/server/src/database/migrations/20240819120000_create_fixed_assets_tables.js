@@ -0,0 +1,84 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('fixed_assets', (table) => {
+      table.increments('id').primary();
+      table.string('asset_number').index();
+      table.string('name').index();
+      table.text('description');
+      table.date('acquisition_date').index();
+      table.date('depreciation_start_date');
+      table.decimal('cost', 13, 3).defaultTo(0);
+      table.decimal('salvage_value', 13, 3).defaultTo(0);
+      table.integer('useful_life').unsigned();
+      table.string('depreciation_method');
+      table.decimal('declining_balance_factor', 5, 2).nullable();
+      table.decimal('total_units', 13, 3).nullable();
+      table.decimal('accumulated_depreciation', 13, 3).defaultTo(0);
+      table.date('last_depreciation_date').nullable();
+      table
+        .integer('asset_account_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('accounts');
+      table
+        .integer('depreciation_expense_account_id')
+        .unsigned()
+        .references('id')
+        .inTable('accounts');
+      table
+        .integer('accumulated_depreciation_account_id')
+        .unsigned()
+        .references('id')
+        .inTable('accounts');
+      table
+        .integer('bill_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('bills');
+      table
+        .integer('bill_entry_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('items_entries');
+      table
+        .integer('branch_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('branches');
+      table.date('disposed_at').nullable();
+      table.decimal('disposal_amount', 13, 3).nullable();
+      table.integer('disposal_deposit_account_id').unsigned().nullable();
+      table.integer('disposal_gain_loss_account_id').unsigned().nullable();
+      table.integer('user_id').unsigned().index();
+      table.timestamps();
+    })
+    .createTable('fixed_asset_depreciations', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('fixed_asset_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('fixed_assets')
+        .onDelete('CASCADE');
+      table.date('from_date');
+      table.date('date').index();
+      table.decimal('amount', 13, 3).defaultTo(0);
+      table.decimal('units', 13, 3).nullable();
+      table.integer('user_id').unsigned().nullable();
+      table.timestamps();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('fixed_asset_depreciations')
+    .dropTableIfExists('fixed_assets');
+};
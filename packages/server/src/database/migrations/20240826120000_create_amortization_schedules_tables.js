@@ -0,0 +1,89 @@
+exports.up = function (knex) {
+  return knex.schema
+    .table('expense_transaction_categories', (table) => {
+      table.date('service_start_date').nullable();
+      table.date('service_end_date').nullable();
+      table
+        .integer('deferral_account_id')
+        .unsigned()
+        .nullable()
+        .references('id')
+        .inTable('accounts');
+    })
+    .table('items_entries', (table) => {
+      table.date('service_start_date').nullable();
+      table.date('service_end_date').nullable();
+      table
+        .integer('deferral_account_id')
+        .unsigned()
+        .nullable()
+        .references('id')
+        .inTable('accounts');
+    })
+    .createTable('amortization_schedules', (table) => {
+      table.increments('id').primary();
+      table.string('type').index();
+      table.string('reference_type').index();
+      table.integer('reference_id').unsigned().index();
+      table.integer('reference_entry_id').unsigned().nullable();
+      table.date('date').index();
+      table.text('description');
+      table
+        .integer('deferral_account_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('accounts');
+      table
+        .integer('recognition_account_id')
+        .unsigned()
+        .references('id')
+        .inTable('accounts');
+      table.decimal('amount', 13, 3).defaultTo(0);
+      table.decimal('recognized_amount', 13, 3).defaultTo(0);
+      table.date('start_date');
+      table.date('end_date');
+      table
+        .integer('branch_id')
+        .unsigned()
+        .nullable()
+        .index()
+        .references('id')
+        .inTable('branches');
+      table.integer('project_id').unsigned().nullable();
+      table.timestamps();
+    })
+    .createTable('amortization_schedule_lines', (table) => {
+      table.increments('id').primary();
+      table
+        .integer('schedule_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('amortization_schedules')
+        .onDelete('CASCADE');
+      table.date('from_date');
+      table.date('date').index();
+      table.decimal('amount', 13, 3).defaultTo(0);
+      table.dateTime('recognized_at').nullable();
+      table.timestamps();
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .dropTableIfExists('amortization_schedule_lines')
+    .dropTableIfExists('amortization_schedules')
+    .table('items_entries', (table) => {
+      table.dropForeign('deferral_account_id');
+      table.dropColumn('service_start_date');
+      table.dropColumn('service_end_date');
+      table.dropColumn('deferral_account_id');
+    })
+    .table('expense_transaction_categories', (table) => {
+      table.dropForeign('deferral_account_id');
+      table.dropColumn('service_start_date');
+      table.dropColumn('service_end_date');
+      table.dropColumn('deferral_account_id');
+    });
+};
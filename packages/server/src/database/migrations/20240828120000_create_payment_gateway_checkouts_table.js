@@ -0,0 +1,39 @@
+exports.up = function (knex) {
+  return knex.schema.createTable('payment_gateway_checkouts', (table) => {
+    table.increments('id');
+    table.string('driver');
+    table.string('session_id');
+    table
+      .integer('sale_invoice_id')
+      .unsigned()
+      .index()
+      .references('id')
+      .inTable('sales_invoices')
+      .onDelete('CASCADE');
+    table.decimal('amount', 13, 3);
+    table.string('currency_code', 3);
+    table.string('status').defaultTo('pending');
+    table.string('payment_id');
+    table.decimal('fee', 13, 3).defaultTo(0);
+    table
+      .integer('payment_receive_id')
+      .unsigned()
+      .references('id')
+      .inTable('payment_receives')
+      .onDelete('SET NULL');
+    table
+      .integer('expense_id')
+      .unsigned()
+      .references('id')
+      .inTable('expenses_transactions')
+      .onDelete('SET NULL');
+    table.datetime('completed_at');
+    table.timestamps();
+
+    table.unique(['driver', 'session_id']);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('payment_gateway_checkouts');
+};
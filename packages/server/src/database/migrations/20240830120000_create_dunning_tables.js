@@ -0,0 +1,46 @@
+exports.up = function (knex) {
+  return knex.schema
+    .createTable('dunning_levels', (table) => {
+      table.increments('id');
+      table.string('name');
+      table.integer('days_offset');
+      table.string('subject');
+      table.text('body');
+      table.boolean('attach_invoice').defaultTo(true);
+      table.boolean('active').defaultTo(true);
+      table.timestamps();
+    })
+    .createTable('sale_invoice_dunning_logs', (table) => {
+      table.increments('id');
+      table
+        .integer('sale_invoice_id')
+        .unsigned()
+        .index()
+        .references('id')
+        .inTable('sales_invoices')
+        .onDelete('CASCADE');
+      table
+        .integer('dunning_level_id')
+        .unsigned()
+        .references('id')
+        .inTable('dunning_levels')
+        .onDelete('SET NULL');
+      table.string('level_name');
+      table.integer('days_offset');
+      table.string('sent_to');
+      table.datetime('sent_at');
+      table.timestamps();
+    })
+    .table('contacts', (table) => {
+      table.boolean('dunning_opt_out').defaultTo(false);
+    });
+};
+
+exports.down = function (knex) {
+  return knex.schema
+    .table('contacts', (table) => {
+      table.dropColumn('dunning_opt_out');
+    })
+    .dropTableIfExists('sale_invoice_dunning_logs')
+    .dropTableIfExists('dunning_levels');
+};
@@ -0,0 +1,19 @@
+exports.up = function (knex) {
+  return knex.schema.table('sales_invoices', (table) => {
+    table
+      .integer('late_fee_for_invoice_id')
+      .unsigned()
+      .nullable()
+      .index()
+      .references('id')
+      .inTable('sales_invoices')
+      .onDelete('SET NULL');
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.table('sales_invoices', (table) => {
+    table.dropForeign('late_fee_for_invoice_id');
+    table.dropColumn('late_fee_for_invoice_id');
+  });
+};
@@ -0,0 +1,45 @@
+const addDiscountAndChargesColumns = (table) => {
+  table.decimal('discount', 13, 3).defaultTo(0);
+  table.string('discount_type').defaultTo('amount');
+  table.decimal('discount_amount', 13, 3).defaultTo(0);
+  table.decimal('shipping_charge', 13, 3).defaultTo(0);
+  table.decimal('adjustment', 13, 3).defaultTo(0);
+};
+
+const dropDiscountAndChargesColumns = (table) => {
+  table.dropColumn('discount');
+  table.dropColumn('discount_type');
+  table.dropColumn('discount_amount');
+  table.dropColumn('shipping_charge');
+  table.dropColumn('adjustment');
+};
+
+exports.up = (knex) => {
+  return knex.schema
+    .table('sales_invoices', (table) => {
+      addDiscountAndChargesColumns(table);
+      table.boolean('is_discount_before_tax').defaultTo(false);
+    })
+    .table('bills', (table) => {
+      addDiscountAndChargesColumns(table);
+      table.boolean('is_discount_before_tax').defaultTo(false);
+    })
+    .table('sales_receipts', addDiscountAndChargesColumns)
+    .table('sales_estimates', addDiscountAndChargesColumns)
+    .table('credit_notes', addDiscountAndChargesColumns);
+};
+
+exports.down = (knex) => {
+  return knex.schema
+    .table('sales_invoices', (table) => {
+      dropDiscountAndChargesColumns(table);
+      table.dropColumn('is_discount_before_tax');
+    })
+    .table('bills', (table) => {
+      dropDiscountAndChargesColumns(table);
+      table.dropColumn('is_discount_before_tax');
+    })
+    .table('sales_receipts', dropDiscountAndChargesColumns)
+    .table('sales_estimates', dropDiscountAndChargesColumns)
+    .table('credit_notes', dropDiscountAndChargesColumns);
+};
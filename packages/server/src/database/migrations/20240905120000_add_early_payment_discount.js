@@ -0,0 +1,39 @@
+const addEarlyPaymentDiscountTermsColumns = (table) => {
+  table.decimal('early_payment_discount_rate', 13, 3).nullable();
+  table.integer('early_payment_discount_days').unsigned().nullable();
+};
+
+const dropEarlyPaymentDiscountTermsColumns = (table) => {
+  table.dropColumn('early_payment_discount_rate');
+  table.dropColumn('early_payment_discount_days');
+};
+
+const addDiscountAmountColumn = (table) => {
+  table.decimal('discount_amount', 13, 3).defaultTo(0);
+};
+
+const dropDiscountAmountColumn = (table) => {
+  table.dropColumn('discount_amount');
+};
+
+exports.up = (knex) => {
+  return knex.schema
+    .table('contacts', addEarlyPaymentDiscountTermsColumns)
+    .table('sales_invoices', addEarlyPaymentDiscountTermsColumns)
+    .table('bills', addEarlyPaymentDiscountTermsColumns)
+    .table('payment_receives', addDiscountAmountColumn)
+    .table('payment_receives_entries', addDiscountAmountColumn)
+    .table('bills_payments', addDiscountAmountColumn)
+    .table('bills_payments_entries', addDiscountAmountColumn);
+};
+
+exports.down = (knex) => {
+  return knex.schema
+    .table('contacts', dropEarlyPaymentDiscountTermsColumns)
+    .table('sales_invoices', dropEarlyPaymentDiscountTermsColumns)
+    .table('bills', dropEarlyPaymentDiscountTermsColumns)
+    .table('payment_receives', dropDiscountAmountColumn)
+    .table('payment_receives_entries', dropDiscountAmountColumn)
+    .table('bills_payments', dropDiscountAmountColumn)
+    .table('bills_payments_entries', dropDiscountAmountColumn);
+};
@@ -0,0 +1,35 @@
+const addPaymentTermColumn = (table) => {
+  table
+    .integer('payment_term_id')
+    .unsigned()
+    .references('id')
+    .inTable('payment_terms');
+};
+
+const dropPaymentTermColumn = (table) => {
+  table.dropForeign('payment_term_id');
+  table.dropColumn('payment_term_id');
+};
+
+exports.up = (knex) => {
+  return knex.schema
+    .createTable('payment_terms', (table) => {
+      table.increments();
+      table.string('name');
+      table.string('term_type');
+      table.integer('days').unsigned().defaultTo(0);
+      table.boolean('active').defaultTo(true);
+      table.timestamps();
+    })
+    .table('contacts', addPaymentTermColumn)
+    .table('sales_invoices', addPaymentTermColumn)
+    .table('bills', addPaymentTermColumn);
+};
+
+exports.down = (knex) => {
+  return knex.schema
+    .table('contacts', dropPaymentTermColumn)
+    .table('sales_invoices', dropPaymentTermColumn)
+    .table('bills', dropPaymentTermColumn)
+    .dropTableIfExists('payment_terms');
+};
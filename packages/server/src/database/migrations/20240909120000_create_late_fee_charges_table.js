@@ -0,0 +1,38 @@
+exports.up = (knex) => {
+  return knex.schema
+    .createTable('late_fee_charges', (table) => {
+      table.increments();
+      table
+        .integer('sale_invoice_id')
+        .unsigned()
+        .references('id')
+        .inTable('sales_invoices')
+        .onDelete('CASCADE');
+      table.date('charge_date');
+      table.decimal('amount', 13, 3);
+      table
+        .integer('fee_invoice_id')
+        .unsigned()
+        .nullable()
+        .references('id')
+        .inTable('sales_invoices')
+        .onDelete('SET NULL');
+      table.timestamps();
+
+      table.unique(['sale_invoice_id', 'charge_date']);
+    })
+    .then(() => {
+      // Records the charges of the late fee invoices created so far.
+      return knex.raw(`
+        INSERT IGNORE INTO late_fee_charges
+          (sale_invoice_id, charge_date, amount, fee_invoice_id, created_at)
+        SELECT late_fee_for_invoice_id, invoice_date, balance, id, NOW()
+        FROM sales_invoices
+        WHERE late_fee_for_invoice_id IS NOT NULL
+      `);
+    });
+};
+
+exports.down = (knex) => {
+  return knex.schema.dropTableIfExists('late_fee_charges');
+};
@@ -0,0 +1,17 @@
+exports.up = function (knex) {
+  return knex.schema.createTable('bank_feed_files', (table) => {
+    table.increments('id');
+    table.string('connection_id').index();
+    table.string('name');
+    table.integer('size').unsigned();
+    table.datetime('modified_at');
+    table.string('hash');
+    table.datetime('processed_at');
+    table.timestamps();
+    table.unique(['connection_id', 'name']);
+  });
+};
+
+exports.down = function (knex) {
+  return knex.schema.dropTableIfExists('bank_feed_files');
+};
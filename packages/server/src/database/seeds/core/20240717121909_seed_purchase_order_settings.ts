@@ -0,0 +1,15 @@
+import { TenantSeeder } from '@/lib/Seeder/TenantSeeder';
+
+export default class SeedPurchaseOrderSettings extends TenantSeeder {
+  /**
+   * Seeds the purchase orders auto-increment settings.
+   */
+  up() {
+    const settings = [
+      { group: 'purchase_orders', key: 'number_prefix', value: 'PO-' },
+      { group: 'purchase_orders', key: 'next_number', value: '00001' },
+      { group: 'purchase_orders', key: 'auto_increment', value: true },
+    ];
+    return this.knex('settings').insert(settings);
+  }
+}
@@ -0,0 +1,15 @@
+import { TenantSeeder } from '@/lib/Seeder/TenantSeeder';
+
+export default class SeedSalesOrderSettings extends TenantSeeder {
+  /**
+   * Seeds the sales orders auto-increment settings.
+   */
+  up() {
+    const settings = [
+      { group: 'sales_orders', key: 'number_prefix', value: 'SO-' },
+      { group: 'sales_orders', key: 'next_number', value: '00001' },
+      { group: 'sales_orders', key: 'auto_increment', value: true },
+    ];
+    return this.knex('settings').insert(settings);
+  }
+}
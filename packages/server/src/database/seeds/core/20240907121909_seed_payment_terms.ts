@@ -0,0 +1,11 @@
+import { TenantSeeder } from '@/lib/Seeder/TenantSeeder';
+import { InitialPaymentTerms } from '../data/PaymentTerms';
+
+export default class SeedPaymentTerms extends TenantSeeder {
+  /**
+   * Seeds initial payment terms to the organization.
+   */
+  up(knex) {
+    return knex('payment_terms').insert(InitialPaymentTerms);
+  }
+}
@@ -0,0 +1,9 @@
+export const InitialPaymentTerms = [
+  { name: 'Due on Receipt', term_type: 'due_on_receipt', days: 0, active: 1 },
+  { name: 'Net 15', term_type: 'net', days: 15, active: 1 },
+  { name: 'Net 30', term_type: 'net', days: 30, active: 1 },
+  { name: 'Net 60', term_type: 'net', days: 60, active: 1 },
+  { name: 'End of Month', term_type: 'end_of_month', days: 0, active: 1 },
+  { name: 'End of Month + 15', term_type: 'end_of_month', days: 15, active: 1 },
+  { name: 'Custom', term_type: 'custom', days: 0, active: 1 },
+];
@@ -10,11 +10,14 @@ export interface IAccountDTO {
   active: boolean;
   bankBalance?: number;
   accountMask?: string;
+  iban?: string;
 }
 
 export interface IAccountCreateDTO extends IAccountDTO {
   currencyCode?: string;
   plaidAccountId?: string;
+  bankFeedProvider?: string;
+  bankFeedAccountId?: string;
 }
 
 export interface IAccountEditDTO extends IAccountDTO {}
@@ -37,6 +40,9 @@ export interface IAccount {
   accountNormal: string;
   accountParentType: string;
   bankBalance: string;
+  iban?: string;
+  bankFeedProvider?: string;
+  bankFeedAccountId?: string;
 }
 
 export enum AccountNormal {
@@ -158,6 +164,8 @@ export enum AccountAction {
   DELETE = 'Delete',
   VIEW = 'View',
   TransactionsLocking = 'TransactionsLocking',
+  YearEndClose = 'YearEndClose',
+  YearEndReopen = 'YearEndReopen',
 }
 
 export enum TaxRateAction {
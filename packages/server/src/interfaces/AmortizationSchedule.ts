@@ -0,0 +1,69 @@
+import { Knex } from 'knex';
+import { IAccount } from './Account';
+
+export enum AmortizationScheduleType {
+  Prepaid = 'prepaid',
+  Deferred = 'deferred',
+}
+
+export enum AmortizationScheduleStatus {
+  Active = 'active',
+  Completed = 'completed',
+}
+
+export interface IAmortizationSchedule {
+  id?: number;
+  type: AmortizationScheduleType | string;
+  referenceType: string;
+  referenceId: number;
+  referenceEntryId?: number | null;
+  date: Date | string;
+  description?: string;
+
+  deferralAccountId: number;
+  deferralAccount?: IAccount;
+  recognitionAccountId: number;
+  recognitionAccount?: IAccount;
+
+  amount: number;
+  recognizedAmount: number;
+  startDate: Date | string;
+  endDate: Date | string;
+
+  branchId?: number | null;
+  projectId?: number | null;
+
+  remainingAmount?: number;
+  status?: AmortizationScheduleStatus;
+  lines?: IAmortizationScheduleLine[];
+
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IAmortizationScheduleLine {
+  id?: number;
+  scheduleId: number;
+  fromDate: Date | string;
+  date: Date | string;
+  amount: number;
+  recognizedAt?: Date | string | null;
+}
+
+export interface IAmortizationSchedulesFilter {
+  type?: AmortizationScheduleType;
+  status?: AmortizationScheduleStatus;
+  referenceType?: string;
+  referenceId?: number;
+}
+
+export interface IAmortizationSchedulesRecognizeDTO {
+  toDate?: Date;
+}
+
+export interface IAmortizationScheduleRecognizedPayload {
+  tenantId: number;
+  amortizationSchedule: IAmortizationSchedule;
+  lines: IAmortizationScheduleLine[];
+  trx: Knex.Transaction;
+}
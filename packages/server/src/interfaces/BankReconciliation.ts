@@ -0,0 +1,111 @@
+import { Knex } from 'knex';
+import { IFinancialTable } from './Table';
+
+export enum BankReconciliationStatus {
+  Draft = 'draft',
+  Finished = 'finished',
+}
+
+export interface IBankReconciliationTransaction {
+  id?: number;
+  reconciliationId: number;
+  referenceType: string;
+  referenceId: number;
+}
+
+export interface IBankReconciliation {
+  id?: number;
+  accountId: number;
+  statementDate: Date;
+  statementEndingBalance: number;
+  openingBalance: number;
+  clearedBalance: number | null;
+  status: BankReconciliationStatus | string;
+  finishedAt: Date | null;
+  userId?: number;
+  isFinished?: boolean;
+  isDraft?: boolean;
+  transactions?: IBankReconciliationTransaction[];
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IBankReconciliationDTO {
+  accountId: number;
+  statementDate: Date;
+  statementEndingBalance: number;
+}
+
+export interface IBankReconciliationTransactionRefDTO {
+  referenceType: string;
+  referenceId: number;
+}
+
+export interface IBankReconciliationClearDTO {
+  transactions: IBankReconciliationTransactionRefDTO[];
+}
+
+export interface IBankReconciliationEntry {
+  referenceType: string;
+  referenceId: number;
+  date: Date;
+  transactionNumber: string;
+  referenceNumber: string;
+  referenceTypeFormatted: string;
+  deposit: number;
+  withdrawal: number;
+  amount: number;
+  isCleared: boolean;
+}
+
+export interface IBankReconciliationSummary {
+  openingBalance: number;
+  clearedDeposits: number;
+  clearedWithdrawals: number;
+  clearedBalance: number;
+  statementEndingBalance: number;
+  difference: number;
+}
+
+export interface IBankReconciliationSummaryMeta {
+  sheetName: string;
+  accountName: string;
+  formattedStatementDate: string;
+}
+
+export interface IBankReconciliationSummaryTable extends IFinancialTable {
+  meta: IBankReconciliationSummaryMeta;
+}
+
+export interface IBankReconciliationCreatingPayload {
+  tenantId: number;
+  reconciliationDTO: IBankReconciliationDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBankReconciliationCreatedPayload {
+  tenantId: number;
+  reconciliation: IBankReconciliation;
+  reconciliationDTO: IBankReconciliationDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBankReconciliationFinishedPayload {
+  tenantId: number;
+  reconciliation: IBankReconciliation;
+  oldReconciliation: IBankReconciliation;
+  trx: Knex.Transaction;
+}
+
+export interface IBankReconciliationUndonePayload {
+  tenantId: number;
+  reconciliation: IBankReconciliation;
+  oldReconciliation: IBankReconciliation;
+  trx: Knex.Transaction;
+}
+
+export interface IBankReconciliationDeletedPayload {
+  tenantId: number;
+  oldReconciliation: IBankReconciliation;
+  trx: Knex.Transaction;
+}
@@ -3,12 +3,20 @@ import { IDynamicListFilterDTO } from './DynamicFilter';
 import { IItemEntry, IItemEntryDTO } from './ItemEntry';
 import { IBillLandedCost } from './LandedCost';
 import { AttachmentLinkDTO } from './Attachments';
-
-export interface IBillDTO {
+import {
+  IDocumentDiscountCharges,
+  IDocumentDiscountChargesDTO,
+  IEarlyPaymentDiscountTerms,
+} from './Discount';
+
+export interface IBillDTO
+  extends IDocumentDiscountChargesDTO,
+    IEarlyPaymentDiscountTerms {
   vendorId: number;
   billNumber: string;
   billDate: Date;
   dueDate: Date;
+  paymentTermId?: number;
   referenceNo: string;
   status: string;
   note: string;
@@ -22,13 +30,17 @@ export interface IBillDTO {
   projectId?: number;
   isInclusiveTax?: boolean;
   attachments?: AttachmentLinkDTO[];
+  purchaseOrderId?: number;
 }
 
-export interface IBillEditDTO {
+export interface IBillEditDTO
+  extends IDocumentDiscountChargesDTO,
+    IEarlyPaymentDiscountTerms {
   vendorId: number;
   billNumber: string;
   billDate: Date;
   dueDate: Date;
+  paymentTermId?: number;
   referenceNo: string;
   status: string;
   note: string;
@@ -41,15 +53,19 @@ export interface IBillEditDTO {
   warehouseId?: number;
   projectId?: number;
   attachments?: AttachmentLinkDTO[];
+  purchaseOrderId?: number;
 }
 
-export interface IBill {
+export interface IBill
+  extends IDocumentDiscountCharges,
+    IEarlyPaymentDiscountTerms {
   id?: number;
 
   vendorId: number;
   billNumber: string;
   billDate: Date;
   dueDate: Date;
+  paymentTermId?: number;
   referenceNo: string;
   status: string;
   note: string;
@@ -81,6 +97,7 @@ export interface IBill {
   userId?: number;
   branchId?: number;
   projectId?: number;
+  purchaseOrderId?: number;
 
   localAmount?: number;
   locatedLandedCosts?: IBillLandedCost[];
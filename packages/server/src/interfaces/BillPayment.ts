@@ -7,6 +7,7 @@ export interface IBillPaymentEntry {
   billPaymentId: number;
   billId: number;
   paymentAmount: number;
+  discountAmount?: number;
 
   bill?: IBill;
 }
@@ -28,6 +29,8 @@ export interface IBillPayment {
   updatedAt: Date;
 
   localAmount?: number;
+  discountAmount?: number;
+  discountAmountLocal?: number;
   branchId?: number;
 }
 
@@ -45,6 +48,7 @@ export interface IBillPaymentDTO {
   statement: string;
   reference: string;
   entries: IBillPaymentEntryDTO[];
+  applyEarlyPaymentDiscount?: boolean;
   branchId?: number;
   attachments?: AttachmentLinkDTO[];
 }
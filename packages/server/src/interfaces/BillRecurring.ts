@@ -0,0 +1,141 @@
+import { Knex } from 'knex';
+import { ITenantUser, IVendor } from '@/interfaces';
+import { IItemEntry, IItemEntryDTO } from './ItemEntry';
+import {
+  RecurringCreationMode,
+  RecurringFrequency,
+  RecurringHistoryStatus,
+} from './Recurring';
+
+export interface IBillRecurring {
+  id?: number;
+  name: string;
+  vendorId: number;
+  frequency: RecurringFrequency;
+  repeatInterval: number;
+  startDate: Date;
+  endDate?: Date | null;
+  nextRunAt: Date | null;
+  lastRunAt?: Date | null;
+  dueDays: number;
+  creationMode: RecurringCreationMode;
+
+  billNumberPrefix?: string;
+  referenceNo?: string;
+  note?: string;
+  exchangeRate?: number;
+  isInclusiveTax?: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+  projectId?: number;
+
+  active: boolean;
+  userId: number;
+
+  vendor?: IVendor;
+  entries?: IItemEntry[];
+  history?: IBillRecurringHistory[];
+}
+
+export interface IBillRecurringHistory {
+  id?: number;
+  recurringId: number;
+  billId: number | null;
+  runDate: Date;
+  status: RecurringHistoryStatus;
+  errorMessage?: string | null;
+}
+
+export interface IBillRecurringDTO {
+  name: string;
+  vendorId: number;
+  frequency: RecurringFrequency;
+  repeatInterval?: number;
+  startDate: Date;
+  endDate?: Date | null;
+  dueDays?: number;
+  creationMode?: RecurringCreationMode;
+
+  billNumberPrefix?: string;
+  referenceNo?: string;
+  note?: string;
+  exchangeRate?: number;
+  isInclusiveTax?: boolean;
+
+  branchId?: number | null;
+  warehouseId?: number | null;
+  projectId?: number | null;
+
+  active?: boolean;
+
+  entries: IItemEntryDTO[];
+}
+
+export interface IBillRecurringCreateDTO extends IBillRecurringDTO {}
+export interface IBillRecurringEditDTO extends IBillRecurringDTO {}
+
+export interface IBillRecurringCreatingPayload {
+  tenantId: number;
+  recurringDTO: IBillRecurringCreateDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringCreatedPayload {
+  tenantId: number;
+  recurring: IBillRecurring;
+  recurringId: number;
+  recurringDTO: IBillRecurringCreateDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringEditingPayload {
+  tenantId: number;
+  oldRecurring: IBillRecurring;
+  recurringDTO: IBillRecurringEditDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringEditedPayload {
+  tenantId: number;
+  recurring: IBillRecurring;
+  oldRecurring: IBillRecurring;
+  recurringId: number;
+  recurringDTO: IBillRecurringEditDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringDeletingPayload {
+  tenantId: number;
+  oldRecurring: IBillRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringDeletedPayload {
+  tenantId: number;
+  recurringId: number;
+  oldRecurring: IBillRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringGeneratedPayload {
+  tenantId: number;
+  recurring: IBillRecurring;
+  billId: number;
+  runDate: Date;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringActivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
+
+export interface IBillRecurringInactivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
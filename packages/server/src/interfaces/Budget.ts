@@ -0,0 +1,95 @@
+import { Knex } from 'knex';
+
+export enum BudgetPeriod {
+  Month = 'month',
+  Quarter = 'quarter',
+  Year = 'year',
+}
+
+export interface IBudgetEntry {
+  id?: number;
+  budgetId: number;
+  accountId: number;
+  branchId?: number | null;
+  projectId?: number | null;
+  periodIndex: number;
+  fromDate: Date | string;
+  toDate: Date | string;
+  amount: number;
+  index: number;
+}
+
+export interface IBudget {
+  id?: number;
+  name: string;
+  fiscalYear: number;
+  period: BudgetPeriod;
+  fromDate: Date | string;
+  toDate: Date | string;
+  description?: string;
+  userId?: number;
+  entries?: IBudgetEntry[];
+  createdAt?: Date;
+}
+
+export interface IBudgetEntryDTO {
+  accountId: number;
+  branchId?: number;
+  projectId?: number;
+  amounts: number[];
+}
+
+export interface IBudgetDTO {
+  name: string;
+  fiscalYear: number;
+  period: BudgetPeriod;
+  description?: string;
+  entries: IBudgetEntryDTO[];
+}
+
+export interface IBudgetsFilter {
+  fiscalYear?: number;
+}
+
+export interface IBudgetCreatingPayload {
+  tenantId: number;
+  budgetDTO: IBudgetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBudgetCreatedPayload {
+  tenantId: number;
+  budget: IBudget;
+  budgetId: number;
+  budgetDTO: IBudgetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBudgetEditingPayload {
+  tenantId: number;
+  oldBudget: IBudget;
+  budgetDTO: IBudgetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBudgetEditedPayload {
+  tenantId: number;
+  budgetId: number;
+  budget: IBudget;
+  oldBudget: IBudget;
+  budgetDTO: IBudgetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IBudgetDeletingPayload {
+  tenantId: number;
+  oldBudget: IBudget;
+  trx: Knex.Transaction;
+}
+
+export interface IBudgetDeletedPayload {
+  tenantId: number;
+  budgetId: number;
+  oldBudget: IBudget;
+  trx: Knex.Transaction;
+}
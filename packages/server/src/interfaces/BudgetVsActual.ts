@@ -0,0 +1,110 @@
+import {
+  IFinancialSheetBranchesQuery,
+  IFinancialSheetCommonMeta,
+  INumberFormatQuery,
+} from './FinancialStatements';
+import { IFinancialTable } from './Table';
+import { IFinancialDatePeriodsUnit } from './BalanceSheet';
+
+export enum BudgetVsActualNodeId {
+  INCOME = 'INCOME',
+  EXPENSES = 'EXPENSES',
+  NET_INCOME = 'NET_INCOME',
+}
+
+export enum BudgetVsActualNodeType {
+  ACCOUNTS = 'ACCOUNTS',
+  ACCOUNT = 'ACCOUNT',
+  EQUATION = 'EQUATION',
+}
+
+export enum BudgetVsActualRowType {
+  ACCOUNTS = 'ACCOUNTS',
+  ACCOUNT = 'ACCOUNT',
+  TOTAL = 'TOTAL',
+}
+
+export interface IBudgetVsActualQuery extends IFinancialSheetBranchesQuery {
+  budgetId: number;
+  fromDate?: Date;
+  toDate?: Date;
+  numberFormat: INumberFormatQuery;
+  noneZero: boolean;
+  projectsIds?: number[];
+
+  displayColumnsType: 'total' | 'date_periods';
+  displayColumnsBy: IFinancialDatePeriodsUnit;
+}
+
+export interface IBudgetVsActualTotal {
+  amount: number;
+  formattedAmount: string;
+  currencyCode: string;
+}
+
+export interface IBudgetVsActualPercentage {
+  amount: number;
+  formattedAmount: string;
+}
+
+interface IBudgetVsActualDateMeta {
+  date: Date;
+  formattedDate: string;
+}
+
+export interface IBudgetVsActualAmounts {
+  budget: IBudgetVsActualTotal;
+  actual: IBudgetVsActualTotal;
+  variance: IBudgetVsActualTotal;
+  variancePercentage: IBudgetVsActualPercentage;
+}
+
+export interface IBudgetVsActualDatePeriodNode extends IBudgetVsActualAmounts {
+  fromDate: IBudgetVsActualDateMeta;
+  toDate: IBudgetVsActualDateMeta;
+}
+
+export interface IBudgetVsActualCommonNode extends IBudgetVsActualAmounts {
+  id: BudgetVsActualNodeId | number;
+  name: string;
+  nodeType: BudgetVsActualNodeType;
+  children?: IBudgetVsActualNode[];
+  horizontalTotals?: IBudgetVsActualDatePeriodNode[];
+}
+
+export interface IBudgetVsActualAccountNode extends IBudgetVsActualCommonNode {
+  id: number;
+  nodeType: BudgetVsActualNodeType.ACCOUNT;
+  code: string;
+}
+
+export interface IBudgetVsActualAccountsNode extends IBudgetVsActualCommonNode {
+  nodeType: BudgetVsActualNodeType.ACCOUNTS;
+}
+
+export interface IBudgetVsActualEquationNode extends IBudgetVsActualCommonNode {
+  nodeType: BudgetVsActualNodeType.EQUATION;
+}
+
+export type IBudgetVsActualNode =
+  | IBudgetVsActualAccountNode
+  | IBudgetVsActualAccountsNode
+  | IBudgetVsActualEquationNode;
+
+export interface IBudgetVsActualMeta extends IFinancialSheetCommonMeta {
+  budgetName: string;
+  formattedFromDate: string;
+  formattedToDate: string;
+  formattedDateRange: string;
+}
+
+export interface IBudgetVsActualStatement {
+  data: IBudgetVsActualNode[];
+  query: IBudgetVsActualQuery;
+  meta: IBudgetVsActualMeta;
+}
+
+export interface IBudgetVsActualTable extends IFinancialTable {
+  meta: IBudgetVsActualMeta;
+  query: IBudgetVsActualQuery;
+}
@@ -244,6 +244,12 @@ export interface ICategorizeCashflowTransactioDTO {
   branchId: number;
 }
 
+export interface ICategorizeRecognizedTransactionDTO {
+  transactionNumber?: string;
+  exchangeRate?: number;
+  branchId?: number;
+}
+
 export interface IUncategorizedCashflowTransaction {
   id?: number;
   amount: number;
@@ -267,5 +273,14 @@ export interface CreateUncategorizedTransactionDTO {
   description?: string;
   referenceNo?: string | null;
   plaidTransactionId?: string | null;
+  fitid?: string | null;
+  valueDate?: Date | string | null;
+  counterpartyName?: string | null;
+  counterpartyIban?: string | null;
   batch?: string;
 }
+
+export interface ImportUncategorizedTransactionDTO
+  extends CreateUncategorizedTransactionDTO {
+  accountIban?: string | null;
+}
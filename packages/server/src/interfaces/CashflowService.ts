@@ -1,6 +1,7 @@
 import { Knex } from 'knex';
 import { IAccount } from './Account';
 import { IUncategorizedCashflowTransaction } from './CashFlow';
+import { IManualJournal } from './ManualJournal';
 
 export interface ICashflowAccountTransactionsFilter {
   page: number;
@@ -132,6 +133,7 @@ export interface ICashflowTransactionCategorizedPayload {
   tenantId: number;
   uncategorizedTransaction: any;
   cashflowTransaction: ICashflowTransaction;
+  manualJournal?: IManualJournal;
   categorizeDTO: any;
   trx: Knex.Transaction;
 }
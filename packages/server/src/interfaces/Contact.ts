@@ -73,6 +73,10 @@ export interface IContact extends IContactAddress {
 
   note: string;
   active: boolean;
+
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+  paymentTermId?: number;
 }
 export interface IContactNewDTO {
   contactType?: string;
@@ -118,6 +122,7 @@ export interface IContactEditDTO {
 // ----------------------------------
 export interface ICustomer extends IContact {
   contactService: 'customer';
+  dunningOptOut: boolean;
 }
 export interface ICustomerNewDTO extends IContactAddressDTO {
   customerType: string;
@@ -142,6 +147,11 @@ export interface ICustomerNewDTO extends IContactAddressDTO {
 
   note?: string;
   active?: boolean;
+  dunningOptOut?: boolean;
+
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+  paymentTermId?: number;
 }
 export interface ICustomerEditDTO extends IContactAddressDTO {
   customerType: string;
@@ -159,6 +169,11 @@ export interface ICustomerEditDTO extends IContactAddressDTO {
 
   note?: string;
   active?: boolean;
+  dunningOptOut?: boolean;
+
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+  paymentTermId?: number;
 }
 
 // Vendor Interfaces.
@@ -187,6 +202,10 @@ export interface IVendorNewDTO extends IContactAddressDTO {
 
   note?: string;
   active?: boolean;
+
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+  paymentTermId?: number;
 }
 export interface IVendorEditDTO extends IContactAddressDTO {
   salutation?: string;
@@ -202,6 +221,10 @@ export interface IVendorEditDTO extends IContactAddressDTO {
 
   note?: string;
   active?: boolean;
+
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+  paymentTermId?: number;
 }
 
 export interface IVendorsFilter extends IDynamicListFilter {
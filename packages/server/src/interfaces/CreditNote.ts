@@ -2,6 +2,10 @@ import { Knex } from 'knex';
 import { IDynamicListFilter, IItemEntry, IVendorCredit } from '@/interfaces';
 import { ILedgerEntry } from './Ledger';
 import { AttachmentLinkDTO } from './Attachments';
+import {
+  IDocumentDiscountCharges,
+  IDocumentDiscountChargesDTO,
+} from './Discount';
 
 export interface ICreditNoteEntryNewDTO {
   index: number;
@@ -12,7 +16,7 @@ export interface ICreditNoteEntryNewDTO {
   description: string;
   warehouseId?: number;
 }
-export interface ICreditNoteNewDTO {
+export interface ICreditNoteNewDTO extends IDocumentDiscountChargesDTO {
   customerId: number;
   exchangeRate?: number;
   creditNoteDate: Date;
@@ -25,7 +29,7 @@ export interface ICreditNoteNewDTO {
   attachments?: AttachmentLinkDTO[]
 }
 
-export interface ICreditNoteEditDTO {
+export interface ICreditNoteEditDTO extends IDocumentDiscountChargesDTO {
   customerId: number;
   exchangeRate?: number;
   creditNoteDate: Date;
@@ -40,7 +44,7 @@ export interface ICreditNoteEditDTO {
 
 export interface ICreditNoteEntry extends IItemEntry {}
 
-export interface ICreditNote {
+export interface ICreditNote extends IDocumentDiscountCharges {
   id?: number;
   customerId: number;
   amount: number;
@@ -59,6 +63,8 @@ export interface ICreditNote {
   isPublished: boolean;
   creditsRemaining: number;
   localAmount?: number;
+  total?: number;
+  totalLocal?: number;
   branchId?: number;
   warehouseId: number;
   createdAt?: Date,
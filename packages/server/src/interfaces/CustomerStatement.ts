@@ -0,0 +1,106 @@
+import { CommonMailOptions, CommonMailOptionsDTO } from './Mailable';
+
+export enum CustomerStatementType {
+  BalanceForward = 'balance-forward',
+  OpenItem = 'open-item',
+}
+
+export interface ICustomerStatementQuery {
+  type: CustomerStatementType;
+  fromDate: Date | string;
+  toDate: Date | string;
+}
+
+export interface ICustomerStatementAmount {
+  amount: number;
+  formattedAmount: string;
+  currencyCode: string;
+}
+
+export interface ICustomerStatementCustomer {
+  id: number;
+  displayName: string;
+  companyName: string;
+  email: string;
+  currencyCode: string;
+}
+
+export interface ICustomerStatementTransaction {
+  date: Date | string;
+  formattedDate: string;
+  referenceType: string;
+  referenceId: number;
+  transactionType: string;
+  transactionNumber: string;
+  debit: ICustomerStatementAmount;
+  credit: ICustomerStatementAmount;
+  runningBalance: ICustomerStatementAmount;
+}
+
+export interface ICustomerStatementOpenInvoice {
+  id: number;
+  invoiceNo: string;
+  invoiceDate: Date | string;
+  formattedInvoiceDate: string;
+  dueDate: Date | string;
+  formattedDueDate: string;
+  overdueDays: number;
+  lateFeeForInvoiceNo: string | null;
+  total: ICustomerStatementAmount;
+  paid: ICustomerStatementAmount;
+  due: ICustomerStatementAmount;
+}
+
+export interface ICustomerStatementAgingBucket {
+  key: string;
+  amount: ICustomerStatementAmount;
+}
+
+export interface ICustomerStatement {
+  type: CustomerStatementType;
+  customer: ICustomerStatementCustomer;
+  currencyCode: string;
+  fromDate: Date | string;
+  toDate: Date | string;
+  formattedFromDate: string;
+  formattedToDate: string;
+  openingBalance: ICustomerStatementAmount;
+  invoicedAmount: ICustomerStatementAmount;
+  receivedAmount: ICustomerStatementAmount;
+  transactions: ICustomerStatementTransaction[];
+  openInvoices: ICustomerStatementOpenInvoice[];
+  aging: ICustomerStatementAgingBucket[];
+  closingBalance: ICustomerStatementAmount;
+}
+
+export interface CustomerStatementMailOptions extends CommonMailOptions {
+  attachStatement: boolean;
+}
+
+export interface CustomerStatementMailOptionsDTO extends CommonMailOptionsDTO {
+  attachStatement?: boolean;
+}
+
+export interface ICustomersStatementsBulkMailDTO
+  extends Partial<ICustomerStatementQuery> {
+  attachStatement?: boolean;
+}
+
+export interface ICustomersStatementsBulkMailResult {
+  customersIds: number[];
+  skippedCustomersIds: number[];
+}
+
+export interface ICustomerStatementMailSendPayload {
+  tenantId: number;
+  customerId: number;
+  query: ICustomerStatementQuery;
+  messageOptions: CustomerStatementMailOptionsDTO;
+}
+
+export interface ICustomersStatementsBulkMailSendPayload {
+  tenantId: number;
+  query: ICustomerStatementQuery;
+  customersIds: number[];
+  skippedCustomersIds: number[];
+}
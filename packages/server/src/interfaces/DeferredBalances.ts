@@ -0,0 +1,85 @@
+import {
+  IFinancialSheetBranchesQuery,
+  IFinancialSheetCommonMeta,
+  INumberFormatQuery,
+} from './FinancialStatements';
+import { AmortizationScheduleType } from './AmortizationSchedule';
+import { IFinancialTable } from './Table';
+
+export enum DeferredBalancesNodeType {
+  ACCOUNT = 'ACCOUNT',
+  SCHEDULE = 'SCHEDULE',
+  TOTAL = 'TOTAL',
+}
+
+export interface IDeferredBalancesQuery extends IFinancialSheetBranchesQuery {
+  asDate: Date | string;
+  type?: AmortizationScheduleType;
+  numberFormat: INumberFormatQuery;
+  noneZero: boolean;
+}
+
+export interface IDeferredBalancesTotal {
+  amount: number;
+  formattedAmount: string;
+  currencyCode: string;
+}
+
+export interface IDeferredBalancesAmounts {
+  amount: IDeferredBalancesTotal;
+  recognized: IDeferredBalancesTotal;
+  remaining: IDeferredBalancesTotal;
+}
+
+export interface IDeferredBalancesScheduleNode
+  extends IDeferredBalancesAmounts {
+  id: number;
+  nodeType: DeferredBalancesNodeType.SCHEDULE;
+  name: string;
+  type: string;
+  referenceType: string;
+  referenceId: number;
+  startDate: Date | string;
+  endDate: Date | string;
+  formattedStartDate: string;
+  formattedEndDate: string;
+}
+
+export interface IDeferredBalancesAccountNode extends IDeferredBalancesAmounts {
+  id: number;
+  nodeType: DeferredBalancesNodeType.ACCOUNT;
+  name: string;
+  code: string;
+  children: IDeferredBalancesScheduleNode[];
+}
+
+export interface IDeferredBalancesTotalNode extends IDeferredBalancesAmounts {
+  nodeType: DeferredBalancesNodeType.TOTAL;
+  name: string;
+}
+
+export type IDeferredBalancesNode =
+  | IDeferredBalancesAccountNode
+  | IDeferredBalancesScheduleNode
+  | IDeferredBalancesTotalNode;
+
+export interface IDeferredBalancesData {
+  accounts: IDeferredBalancesAccountNode[];
+  total: IDeferredBalancesTotalNode;
+}
+
+export interface IDeferredBalancesMeta extends IFinancialSheetCommonMeta {
+  formattedAsDate: string;
+  formattedDateRange: string;
+}
+
+export interface IDeferredBalancesStatement {
+  data: IDeferredBalancesData;
+  query: IDeferredBalancesQuery;
+  meta: IDeferredBalancesMeta;
+}
+
+export interface IDeferredBalancesTable extends IFinancialTable {
+  meta: IDeferredBalancesMeta;
+  query: IDeferredBalancesQuery;
+}
@@ -0,0 +1,30 @@
+export enum DiscountType {
+  Amount = 'amount',
+  Percentage = 'percentage',
+}
+
+export interface IDocumentDiscountChargesDTO {
+  discount?: number;
+  discountType?: DiscountType;
+  isDiscountBeforeTax?: boolean;
+  shippingCharge?: number;
+  adjustment?: number;
+}
+
+export interface IDocumentDiscountCharges {
+  discount?: number;
+  discountType?: DiscountType;
+  discountAmount?: number;
+  discountAmountLocal?: number;
+  isDiscountBeforeTax?: boolean;
+  discountTaxAmount?: number;
+  shippingCharge?: number;
+  shippingChargeLocal?: number;
+  adjustment?: number;
+  adjustmentLocal?: number;
+}
+
+export interface IEarlyPaymentDiscountTerms {
+  earlyPaymentDiscountRate?: number;
+  earlyPaymentDiscountDays?: number;
+}
@@ -0,0 +1,65 @@
+import { Knex } from 'knex';
+
+export interface IDunningLevel {
+  id?: number;
+  name: string;
+  daysOffset: number;
+  subject: string;
+  body: string;
+  attachInvoice: boolean;
+  active: boolean;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IDunningLevelDTO {
+  name: string;
+  daysOffset: number;
+  subject: string;
+  body: string;
+  attachInvoice?: boolean;
+  active?: boolean;
+}
+
+export interface ISaleInvoiceDunningLog {
+  id?: number;
+  saleInvoiceId: number;
+  dunningLevelId: number | null;
+  levelName: string;
+  daysOffset: number;
+  sentTo: string;
+  sentAt: Date;
+}
+
+export interface IDunningRemindersResult {
+  sentCount: number;
+  failedInvoicesIds: number[];
+}
+
+export interface IDunningLevelCreatedPayload {
+  tenantId: number;
+  dunningLevel: IDunningLevel;
+  dunningLevelDTO: IDunningLevelDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IDunningLevelEditedPayload {
+  tenantId: number;
+  dunningLevel: IDunningLevel;
+  oldDunningLevel: IDunningLevel;
+  dunningLevelDTO: IDunningLevelDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IDunningLevelDeletedPayload {
+  tenantId: number;
+  oldDunningLevel: IDunningLevel;
+  trx: Knex.Transaction;
+}
+
+export interface IDunningReminderSentPayload {
+  tenantId: number;
+  saleInvoiceId: number;
+  dunningLevel: IDunningLevel;
+  dunningLog: ISaleInvoiceDunningLog;
+}
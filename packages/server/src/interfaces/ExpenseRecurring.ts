@@ -0,0 +1,146 @@
+import { Knex } from 'knex';
+import { IAccount, IContact, ITenantUser } from '@/interfaces';
+import {
+  RecurringCreationMode,
+  RecurringFrequency,
+  RecurringHistoryStatus,
+} from './Recurring';
+
+export interface IExpenseRecurring {
+  id?: number;
+  name: string;
+  paymentAccountId: number;
+  payeeId?: number | null;
+  frequency: RecurringFrequency;
+  repeatInterval: number;
+  startDate: Date;
+  endDate?: Date | null;
+  nextRunAt: Date | null;
+  lastRunAt?: Date | null;
+  creationMode: RecurringCreationMode;
+
+  referenceNo?: string;
+  description?: string;
+  currencyCode?: string;
+  exchangeRate?: number;
+
+  branchId?: number;
+
+  active: boolean;
+  userId: number;
+
+  paymentAccount?: IAccount;
+  payee?: IContact;
+  categories?: IExpenseRecurringCategory[];
+  history?: IExpenseRecurringHistory[];
+}
+
+export interface IExpenseRecurringCategory {
+  id?: number;
+  expenseRecurringId?: number;
+  expenseAccountId: number;
+  index: number;
+  amount: number;
+  description?: string;
+  landedCost?: boolean;
+  projectId?: number | null;
+}
+
+export interface IExpenseRecurringHistory {
+  id?: number;
+  recurringId: number;
+  expenseId: number | null;
+  runDate: Date;
+  status: RecurringHistoryStatus;
+  errorMessage?: string | null;
+}
+
+export interface IExpenseRecurringDTO {
+  name: string;
+  paymentAccountId: number;
+  payeeId?: number | null;
+  frequency: RecurringFrequency;
+  repeatInterval?: number;
+  startDate: Date;
+  endDate?: Date | null;
+  creationMode?: RecurringCreationMode;
+
+  referenceNo?: string;
+  description?: string;
+  currencyCode?: string;
+  exchangeRate?: number;
+
+  branchId?: number | null;
+
+  active?: boolean;
+
+  categories: IExpenseRecurringCategory[];
+}
+
+export interface IExpenseRecurringCreateDTO extends IExpenseRecurringDTO {}
+export interface IExpenseRecurringEditDTO extends IExpenseRecurringDTO {}
+
+export interface IExpenseRecurringCreatingPayload {
+  tenantId: number;
+  recurringDTO: IExpenseRecurringCreateDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringCreatedPayload {
+  tenantId: number;
+  recurring: IExpenseRecurring;
+  recurringId: number;
+  recurringDTO: IExpenseRecurringCreateDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringEditingPayload {
+  tenantId: number;
+  oldRecurring: IExpenseRecurring;
+  recurringDTO: IExpenseRecurringEditDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringEditedPayload {
+  tenantId: number;
+  recurring: IExpenseRecurring;
+  oldRecurring: IExpenseRecurring;
+  recurringId: number;
+  recurringDTO: IExpenseRecurringEditDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringDeletingPayload {
+  tenantId: number;
+  oldRecurring: IExpenseRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringDeletedPayload {
+  tenantId: number;
+  recurringId: number;
+  oldRecurring: IExpenseRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringGeneratedPayload {
+  tenantId: number;
+  recurring: IExpenseRecurring;
+  expenseId: number;
+  runDate: Date;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringActivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
+
+export interface IExpenseRecurringInactivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
@@ -65,6 +65,10 @@ export interface IExpenseCategory {
   unallocatedCostAmount: number;
   landedCost: boolean;
 
+  serviceStartDate?: Date | string | null;
+  serviceEndDate?: Date | string | null;
+  deferralAccountId?: number | null;
+
   expenseAccount?: IAccount;
 }
 
@@ -97,6 +101,9 @@ export interface IExpenseCategoryDTO {
   expenseId: number;
   landedCost?: boolean;
   projectId?: number;
+  serviceStartDate?: Date;
+  serviceEndDate?: Date;
+  deferralAccountId?: number;
 }
 
 export interface IExpensesService {
@@ -38,6 +38,9 @@ export enum ReportsAction {
   READ_CASHFLOW_ACCOUNT_TRANSACTION = 'read-cashflow-account-transactions',
   READ_PROJECT_PROFITABILITY_SUMMARY = 'read-project-profitability-summary',
   READ_SALES_TAX_LIABILITY_SUMMARY = 'read-sales-tax-liability-summary',
+  READ_BUDGET_VS_ACTUAL = 'read-budget-vs-actual',
+  READ_FIXED_ASSET_SCHEDULE = 'read-fixed-asset-schedule',
+  READ_DEFERRED_BALANCES = 'read-deferred-balances',
 }
 
 export interface IFinancialSheetBranchesQuery {
@@ -0,0 +1,161 @@
+import { Knex } from 'knex';
+import { IAccount } from './Account';
+
+export enum FixedAssetStatus {
+  Active = 'active',
+  FullyDepreciated = 'fully_depreciated',
+  Disposed = 'disposed',
+}
+
+export interface IFixedAsset {
+  id?: number;
+  assetNumber?: string;
+  name: string;
+  description?: string;
+  acquisitionDate: Date | string;
+  depreciationStartDate: Date | string;
+  cost: number;
+  salvageValue: number;
+  usefulLife: number;
+  depreciationMethod: string;
+  decliningBalanceFactor?: number | null;
+  totalUnits?: number | null;
+  accumulatedDepreciation: number;
+  lastDepreciationDate: Date | string | null;
+
+  assetAccountId: number;
+  assetAccount?: IAccount;
+  depreciationExpenseAccountId: number;
+  accumulatedDepreciationAccountId: number;
+
+  billId?: number | null;
+  billEntryId?: number | null;
+  branchId?: number | null;
+
+  disposedAt?: Date | string | null;
+  disposalAmount?: number | null;
+  disposalDepositAccountId?: number | null;
+  disposalGainLossAccountId?: number | null;
+
+  bookValue?: number;
+  depreciableAmount?: number;
+  status?: FixedAssetStatus;
+  depreciations?: IFixedAssetDepreciation[];
+
+  userId?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IFixedAssetDepreciation {
+  id?: number;
+  fixedAssetId: number;
+  fromDate: Date | string;
+  date: Date | string;
+  amount: number;
+  units?: number | null;
+  userId?: number | null;
+}
+
+export interface IFixedAssetDTO {
+  assetNumber?: string;
+  name: string;
+  description?: string;
+  acquisitionDate?: Date;
+  depreciationStartDate?: Date;
+  cost?: number;
+  salvageValue?: number;
+  usefulLife: number;
+  depreciationMethod: string;
+  decliningBalanceFactor?: number;
+  totalUnits?: number;
+  assetAccountId?: number;
+  depreciationExpenseAccountId: number;
+  accumulatedDepreciationAccountId: number;
+  billEntryId?: number;
+  branchId?: number;
+}
+
+export interface IFixedAssetsFilter {
+  status?: FixedAssetStatus;
+  searchKeyword?: string;
+}
+
+export interface IFixedAssetUnitsDTO {
+  date: Date;
+  units: number;
+}
+
+export interface IFixedAssetsDepreciateDTO {
+  toDate?: Date;
+}
+
+export interface IFixedAssetDisposeDTO {
+  date: Date;
+  amount?: number;
+  depositAccountId?: number;
+  gainLossAccountId: number;
+}
+
+export interface IFixedAssetCreatingPayload {
+  tenantId: number;
+  fixedAssetDTO: IFixedAssetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetCreatedPayload {
+  tenantId: number;
+  fixedAsset: IFixedAsset;
+  fixedAssetId: number;
+  fixedAssetDTO: IFixedAssetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetEditingPayload {
+  tenantId: number;
+  oldFixedAsset: IFixedAsset;
+  fixedAssetDTO: IFixedAssetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetEditedPayload {
+  tenantId: number;
+  fixedAsset: IFixedAsset;
+  oldFixedAsset: IFixedAsset;
+  fixedAssetDTO: IFixedAssetDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetDeletingPayload {
+  tenantId: number;
+  oldFixedAsset: IFixedAsset;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetDeletedPayload {
+  tenantId: number;
+  fixedAssetId: number;
+  oldFixedAsset: IFixedAsset;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetDepreciatedPayload {
+  tenantId: number;
+  fixedAsset: IFixedAsset;
+  depreciations: IFixedAssetDepreciation[];
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetDisposingPayload {
+  tenantId: number;
+  oldFixedAsset: IFixedAsset;
+  disposeDTO: IFixedAssetDisposeDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IFixedAssetDisposedPayload {
+  tenantId: number;
+  fixedAsset: IFixedAsset;
+  disposeDTO: IFixedAssetDisposeDTO;
+  trx: Knex.Transaction;
+}
@@ -0,0 +1,77 @@
+import {
+  IFinancialSheetBranchesQuery,
+  IFinancialSheetCommonMeta,
+  INumberFormatQuery,
+} from './FinancialStatements';
+import { IFinancialTable } from './Table';
+
+export enum FixedAssetScheduleNodeType {
+  ASSET = 'ASSET',
+  TOTAL = 'TOTAL',
+}
+
+export interface IFixedAssetScheduleQuery extends IFinancialSheetBranchesQuery {
+  fromDate: Date | string;
+  toDate: Date | string;
+  numberFormat: INumberFormatQuery;
+  noneZero: boolean;
+}
+
+export interface IFixedAssetScheduleTotal {
+  amount: number;
+  formattedAmount: string;
+  currencyCode: string;
+}
+
+export interface IFixedAssetScheduleAmounts {
+  cost: IFixedAssetScheduleTotal;
+  openingDepreciation: IFixedAssetScheduleTotal;
+  depreciation: IFixedAssetScheduleTotal;
+  disposals: IFixedAssetScheduleTotal;
+  closingDepreciation: IFixedAssetScheduleTotal;
+  bookValue: IFixedAssetScheduleTotal;
+}
+
+export interface IFixedAssetScheduleAssetNode
+  extends IFixedAssetScheduleAmounts {
+  id: number;
+  nodeType: FixedAssetScheduleNodeType.ASSET;
+  name: string;
+  assetNumber: string;
+  acquisitionDate: Date | string;
+  formattedAcquisitionDate: string;
+  depreciationMethod: string;
+  status: string;
+}
+
+export interface IFixedAssetScheduleTotalNode
+  extends IFixedAssetScheduleAmounts {
+  nodeType: FixedAssetScheduleNodeType.TOTAL;
+  name: string;
+}
+
+export type IFixedAssetScheduleNode =
+  | IFixedAssetScheduleAssetNode
+  | IFixedAssetScheduleTotalNode;
+
+export interface IFixedAssetScheduleData {
+  assets: IFixedAssetScheduleAssetNode[];
+  total: IFixedAssetScheduleTotalNode;
+}
+
+export interface IFixedAssetScheduleMeta extends IFinancialSheetCommonMeta {
+  formattedFromDate: string;
+  formattedToDate: string;
+  formattedDateRange: string;
+}
+
+export interface IFixedAssetScheduleStatement {
+  data: IFixedAssetScheduleData;
+  query: IFixedAssetScheduleQuery;
+  meta: IFixedAssetScheduleMeta;
+}
+
+export interface IFixedAssetScheduleTable extends IFinancialTable {
+  meta: IFixedAssetScheduleMeta;
+  query: IFixedAssetScheduleQuery;
+}
@@ -41,6 +41,16 @@ export interface IItemEntry {
   taxRate: number;
   taxAmount: number;
 
+  billedQuantity?: number;
+  purchaseOrderEntryId?: number;
+
+  invoicedQuantity?: number;
+  salesOrderEntryId?: number;
+
+  serviceStartDate?: Date | string | null;
+  serviceEndDate?: Date | string | null;
+  deferralAccountId?: number | null;
+
   item?: IItem;
 
   allocatedCostEntries?: IBillLandedCostEntry[];
@@ -48,7 +58,12 @@ export interface IItemEntry {
 
 export interface IItemEntryDTO {
   id?: number;
+  index?: number;
   itemId: number;
+  description?: string;
+  quantity?: number;
+  rate?: number;
+  discount?: number;
   landedCost?: boolean;
   warehouseId?: number;
 
@@ -58,6 +73,15 @@ export interface IItemEntryDTO {
 
   taxRateId?: number;
   taxCode?: string;
+
+  purchaseOrderEntryId?: number;
+  salesOrderEntryId?: number;
+
+  serviceStartDate?: Date;
+  serviceEndDate?: Date;
+  deferralAccountId?: number;
+
+  sellAccountId?: number;
 }
 
 export enum ProjectLinkRefType {
@@ -0,0 +1,62 @@
+import { Knex } from 'knex';
+import { ISaleInvoice } from './SaleInvoice';
+
+export enum LateFeeType {
+  Flat = 'flat',
+  Percentage = 'percentage',
+}
+
+export enum LateFeeFrequency {
+  Once = 'once',
+  Monthly = 'monthly',
+}
+
+export interface ILateFeePolicy {
+  enabled: boolean;
+  feeType: LateFeeType;
+  amount: number;
+  graceDays: number;
+  frequency: LateFeeFrequency;
+  compounding: boolean;
+  incomeAccountId: number | null;
+  itemId: number | null;
+  enabledAt: string | null;
+}
+
+export interface ILateFeePolicyDTO {
+  enabled: boolean;
+  feeType: LateFeeType;
+  amount: number;
+  graceDays?: number;
+  frequency?: LateFeeFrequency;
+  compounding?: boolean;
+  incomeAccountId?: number | null;
+  itemId: number;
+}
+
+export interface ILateFeeCharge {
+  id?: number;
+  saleInvoiceId: number;
+  chargeDate: Date | string;
+  amount: number;
+  feeInvoiceId: number | null;
+  isWaived?: boolean;
+}
+
+export interface ILateFeesChargeResult {
+  feeInvoicesIds: number[];
+  failedInvoicesIds: number[];
+}
+
+export interface ILateFeePolicySavedPayload {
+  tenantId: number;
+  policy: ILateFeePolicy;
+}
+
+export interface ISaleInvoiceLateFeeChargedPayload {
+  tenantId: number;
+  saleInvoice: ISaleInvoice;
+  feeInvoice: ISaleInvoice;
+  chargeDate: Date | string;
+  trx: Knex.Transaction;
+}
@@ -24,6 +24,8 @@ export interface IPaymentReceive {
   createdAt: Date;
   updatedAt: Date;
   localAmount?: number;
+  discountAmount?: number;
+  discountAmountLocal?: number;
   branchId?: number;
 }
 export interface IPaymentReceiveCreateDTO {
@@ -36,6 +38,7 @@ export interface IPaymentReceiveCreateDTO {
   paymentReceiveNo?: string;
   statement: string;
   entries: IPaymentReceiveEntryDTO[];
+  applyEarlyPaymentDiscount?: boolean;
 
   branchId?: number;
   attachments?: AttachmentLinkDTO[];
@@ -51,6 +54,7 @@ export interface IPaymentReceiveEditDTO {
   paymentReceiveNo?: string;
   statement: string;
   entries: IPaymentReceiveEntryDTO[];
+  applyEarlyPaymentDiscount?: boolean;
   branchId?: number;
   attachments?: AttachmentLinkDTO[];
 }
@@ -60,6 +64,7 @@ export interface IPaymentReceiveEntry {
   paymentReceiveId: number;
   invoiceId: number;
   paymentAmount: number;
+  discountAmount?: number;
 
   invoice?: ISaleInvoice;
 }
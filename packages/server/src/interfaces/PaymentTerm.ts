@@ -0,0 +1,60 @@
+import { Knex } from 'knex';
+
+export enum PaymentTermType {
+  DueOnReceipt = 'due_on_receipt',
+  Net = 'net',
+  EndOfMonth = 'end_of_month',
+  Custom = 'custom',
+}
+
+export interface IPaymentTerm {
+  id?: number;
+  name: string;
+  termType: PaymentTermType;
+  days: number;
+  active: boolean;
+}
+
+export interface IPaymentTermDTO {
+  name: string;
+  termType: PaymentTermType;
+  days?: number;
+  active?: boolean;
+}
+
+export interface IPaymentTermCreatingPayload {
+  paymentTermDTO: IPaymentTermDTO;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
+export interface IPaymentTermCreatedPayload {
+  paymentTermDTO: IPaymentTermDTO;
+  paymentTerm: IPaymentTerm;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
+
+export interface IPaymentTermEditingPayload {
+  oldPaymentTerm: IPaymentTerm;
+  paymentTermDTO: IPaymentTermDTO;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
+export interface IPaymentTermEditedPayload {
+  oldPaymentTerm: IPaymentTerm;
+  paymentTermDTO: IPaymentTermDTO;
+  paymentTerm: IPaymentTerm;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
+
+export interface IPaymentTermDeletingPayload {
+  oldPaymentTerm: IPaymentTerm;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
+export interface IPaymentTermDeletedPayload {
+  oldPaymentTerm: IPaymentTerm;
+  tenantId: number;
+  trx: Knex.Transaction;
+}
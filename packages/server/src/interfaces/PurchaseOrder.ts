@@ -0,0 +1,176 @@
+import { Knex } from 'knex';
+import { IItemEntry, IItemEntryDTO } from './ItemEntry';
+import { IDynamicListFilterDTO } from '@/interfaces/DynamicFilter';
+import { CommonMailOptions, CommonMailOptionsDTO } from './Mailable';
+import { IBill } from './Bill';
+import { ISystemUser } from './User';
+import { IVendor } from './Contact';
+
+export interface IPurchaseOrder {
+  id?: number;
+  amount: number;
+  currencyCode: string;
+  exchangeRate: number;
+  vendorId: number;
+  orderDate: Date;
+  deliveryDate?: Date;
+  orderNumber: string;
+  referenceNo?: string;
+  note?: string;
+  termsConditions?: string;
+  userId?: number;
+  entries: IItemEntry[];
+  createdAt?: Date;
+
+  deliveredAt?: string | Date;
+  billedAt?: string | Date;
+  closedAt?: string | Date;
+
+  isDelivered: boolean;
+  isFullyBilled: boolean;
+  isClosed: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+
+  vendor?: IVendor;
+  bills?: IBill[];
+}
+
+export interface IPurchaseOrderDTO {
+  vendorId: number;
+  exchangeRate?: number;
+  orderDate: Date;
+  deliveryDate?: Date;
+  orderNumber?: string;
+  referenceNo?: string;
+  entries: IItemEntryDTO[];
+  note?: string;
+  termsConditions?: string;
+  delivered: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+}
+
+export interface IPurchaseOrderConvertEntryDTO {
+  purchaseOrderEntryId: number;
+  quantity: number;
+}
+
+export interface IPurchaseOrderConvertToBillDTO {
+  billNumber: string;
+  billDate: Date;
+  dueDate?: Date;
+  open?: boolean;
+  entries?: IPurchaseOrderConvertEntryDTO[];
+}
+
+export interface IPurchaseOrdersFilter extends IDynamicListFilterDTO {
+  stringifiedFilterRoles?: string;
+  page: number;
+  pageSize: number;
+}
+
+export enum PurchaseOrderStatus {
+  Draft = 'draft',
+  Open = 'open',
+  PartiallyBilled = 'partially-billed',
+  Billed = 'billed',
+  Closed = 'closed',
+}
+
+export interface IPurchaseOrderCreatingPayload {
+  tenantId: number;
+  purchaseOrderDTO: IPurchaseOrderDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderCreatedPayload {
+  tenantId: number;
+  purchaseOrder: IPurchaseOrder;
+  purchaseOrderId: number;
+  purchaseOrderDTO: IPurchaseOrderDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderEditingPayload {
+  tenantId: number;
+  oldPurchaseOrder: IPurchaseOrder;
+  purchaseOrderDTO: IPurchaseOrderDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderEditedPayload {
+  tenantId: number;
+  purchaseOrderId: number;
+  purchaseOrder: IPurchaseOrder;
+  oldPurchaseOrder: IPurchaseOrder;
+  purchaseOrderDTO: IPurchaseOrderDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderDeletingPayload {
+  tenantId: number;
+  oldPurchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderDeletedPayload {
+  tenantId: number;
+  purchaseOrderId: number;
+  oldPurchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderDeliveringPayload {
+  tenantId: number;
+  oldPurchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderDeliveredPayload {
+  tenantId: number;
+  purchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderClosingPayload {
+  tenantId: number;
+  oldPurchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderClosedPayload {
+  tenantId: number;
+  purchaseOrder: IPurchaseOrder;
+  trx: Knex.Transaction;
+}
+
+export interface IPurchaseOrderConvertingPayload {
+  tenantId: number;
+  purchaseOrder: IPurchaseOrder;
+  convertDTO: IPurchaseOrderConvertToBillDTO;
+  authorizedUser: ISystemUser;
+}
+
+export interface IPurchaseOrderConvertedPayload {
+  tenantId: number;
+  purchaseOrder: IPurchaseOrder;
+  bill: IBill;
+  convertDTO: IPurchaseOrderConvertToBillDTO;
+}
+
+export interface PurchaseOrderMailOptions extends CommonMailOptions {
+  attachPurchaseOrder?: boolean;
+}
+
+export interface PurchaseOrderMailOptionsDTO extends CommonMailOptionsDTO {
+  attachPurchaseOrder?: boolean;
+}
+
+export interface IPurchaseOrderMailPresendEvent {
+  tenantId: number;
+  purchaseOrderId: number;
+  messageOptions: PurchaseOrderMailOptionsDTO;
+}
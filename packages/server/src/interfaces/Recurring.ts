@@ -0,0 +1,21 @@
+export enum RecurringFrequency {
+  Daily = 'daily',
+  Weekly = 'weekly',
+  Monthly = 'monthly',
+  Yearly = 'yearly',
+}
+
+export enum RecurringHistoryStatus {
+  Generated = 'generated',
+  Failed = 'failed',
+}
+
+export enum RecurringCreationMode {
+  Draft = 'draft',
+  Open = 'open',
+}
+
+export interface IRecurringOccurrence {
+  date: Date;
+  formattedDate: string;
+}
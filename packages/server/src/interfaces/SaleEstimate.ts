@@ -3,8 +3,12 @@ import { IItemEntry, IItemEntryDTO } from './ItemEntry';
 import { IDynamicListFilterDTO } from '@/interfaces/DynamicFilter';
 import { CommonMailOptions, CommonMailOptionsDTO } from './Mailable';
 import { AttachmentLinkDTO } from './Attachments';
+import {
+  IDocumentDiscountCharges,
+  IDocumentDiscountChargesDTO,
+} from './Discount';
 
-export interface ISaleEstimate {
+export interface ISaleEstimate extends IDocumentDiscountCharges {
   id?: number;
   amount: number;
   currencyCode: string;
@@ -21,11 +25,12 @@ export interface ISaleEstimate {
   deliveredAt: string | Date;
   isConvertedToInvoice: boolean;
   isDelivered: boolean;
+  total?: number;
 
   branchId?: number;
   warehouseId?: number;
 }
-export interface ISaleEstimateDTO {
+export interface ISaleEstimateDTO extends IDocumentDiscountChargesDTO {
   customerId: number;
   exchangeRate?: number;
   estimateDate?: Date;
@@ -4,8 +4,16 @@ import { CommonMailOptions, CommonMailOptionsDTO } from './Mailable';
 import { IDynamicListFilter } from '@/interfaces/DynamicFilter';
 import { IItemEntry, IItemEntryDTO } from './ItemEntry';
 import { AttachmentLinkDTO } from './Attachments';
-
-export interface ISaleInvoice {
+import {
+  IDocumentDiscountCharges,
+  IDocumentDiscountChargesDTO,
+  IEarlyPaymentDiscountTerms,
+} from './Discount';
+import { ILateFeeCharge } from './LateFee';
+
+export interface ISaleInvoice
+  extends IDocumentDiscountCharges,
+    IEarlyPaymentDiscountTerms {
   id: number;
   amount: number;
   amountLocal?: number;
@@ -14,6 +22,7 @@ export interface ISaleInvoice {
   exchangeRate?: number;
   invoiceDate: Date;
   dueDate: Date;
+  paymentTermId?: number;
   dueAmount: number;
   overdueDays: number;
   customerId: number;
@@ -30,8 +39,15 @@ export interface ISaleInvoice {
   branchId?: number;
   projectId?: number;
 
+  salesOrderId?: number;
+  lateFeeForInvoiceId?: number | null;
+  lateFeeForInvoice?: ISaleInvoice;
+  lateFeeInvoices?: ISaleInvoice[];
+  lateFeeCharges?: ILateFeeCharge[];
+
   writtenoffAmount?: number;
   writtenoffAmountLocal?: number;
+  writtenoffAt?: Date | null;
   writtenoffExpenseAccountId?: number;
   writtenoffExpenseAccount?: IAccount;
 
@@ -47,9 +63,12 @@ export interface ISaleInvoice {
   subtotalExludingTax: number;
 }
 
-export interface ISaleInvoiceDTO {
+export interface ISaleInvoiceDTO
+  extends IDocumentDiscountChargesDTO,
+    IEarlyPaymentDiscountTerms {
   invoiceDate: Date;
-  dueDate: Date;
+  dueDate?: Date;
+  paymentTermId?: number;
   referenceNo: string;
   invoiceNo: string;
   customerId: number;
@@ -71,6 +90,8 @@ export interface ISaleInvoiceDTO {
 
 export interface ISaleInvoiceCreateDTO extends ISaleInvoiceDTO {
   fromEstimateId: number;
+  salesOrderId?: number;
+  lateFeeForInvoiceId?: number;
 }
 
 export interface ISaleInvoiceEditDTO extends ISaleInvoiceDTO {}
@@ -0,0 +1,139 @@
+import { Knex } from 'knex';
+import { ICustomer, ITenantUser } from '@/interfaces';
+import { IItemEntry, IItemEntryDTO } from './ItemEntry';
+import { RecurringFrequency, RecurringHistoryStatus } from './Recurring';
+
+export interface ISaleInvoiceRecurring {
+  id?: number;
+  name: string;
+  customerId: number;
+  frequency: RecurringFrequency;
+  repeatInterval: number;
+  startDate: Date;
+  endDate?: Date | null;
+  nextRunAt: Date | null;
+  lastRunAt?: Date | null;
+  dueDays: number;
+
+  referenceNo?: string;
+  invoiceMessage?: string;
+  termsConditions?: string;
+  exchangeRate?: number;
+  isInclusiveTax?: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+  projectId?: number;
+
+  autoDeliver: boolean;
+  active: boolean;
+  userId: number;
+
+  customer?: ICustomer;
+  entries?: IItemEntry[];
+  history?: ISaleInvoiceRecurringHistory[];
+}
+
+export interface ISaleInvoiceRecurringHistory {
+  id?: number;
+  recurringId: number;
+  saleInvoiceId: number | null;
+  runDate: Date;
+  status: RecurringHistoryStatus;
+  errorMessage?: string | null;
+}
+
+export interface ISaleInvoiceRecurringDTO {
+  name: string;
+  customerId: number;
+  frequency: RecurringFrequency;
+  repeatInterval?: number;
+  startDate: Date;
+  endDate?: Date | null;
+  dueDays?: number;
+
+  referenceNo?: string;
+  invoiceMessage?: string;
+  termsConditions?: string;
+  exchangeRate?: number;
+  isInclusiveTax?: boolean;
+
+  branchId?: number | null;
+  warehouseId?: number | null;
+  projectId?: number | null;
+
+  autoDeliver?: boolean;
+  active?: boolean;
+
+  entries: IItemEntryDTO[];
+}
+
+export interface ISaleInvoiceRecurringCreateDTO
+  extends ISaleInvoiceRecurringDTO {}
+export interface ISaleInvoiceRecurringEditDTO
+  extends ISaleInvoiceRecurringDTO {}
+
+export interface ISaleInvoiceRecurringCreatingPayload {
+  tenantId: number;
+  recurringDTO: ISaleInvoiceRecurringCreateDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringCreatedPayload {
+  tenantId: number;
+  recurring: ISaleInvoiceRecurring;
+  recurringId: number;
+  recurringDTO: ISaleInvoiceRecurringCreateDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringEditingPayload {
+  tenantId: number;
+  oldRecurring: ISaleInvoiceRecurring;
+  recurringDTO: ISaleInvoiceRecurringEditDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringEditedPayload {
+  tenantId: number;
+  recurring: ISaleInvoiceRecurring;
+  oldRecurring: ISaleInvoiceRecurring;
+  recurringId: number;
+  recurringDTO: ISaleInvoiceRecurringEditDTO;
+  authorizedUser: ITenantUser;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringDeletingPayload {
+  tenantId: number;
+  oldRecurring: ISaleInvoiceRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringDeletedPayload {
+  tenantId: number;
+  recurringId: number;
+  oldRecurring: ISaleInvoiceRecurring;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringGeneratedPayload {
+  tenantId: number;
+  recurring: ISaleInvoiceRecurring;
+  saleInvoiceId: number;
+  runDate: Date;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringActivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
+
+export interface ISaleInvoiceRecurringInactivatedPayload {
+  tenantId: number;
+  recurringId: number;
+  trx: Knex.Transaction;
+}
@@ -2,8 +2,12 @@ import { Knex } from 'knex';
 import { IItemEntry } from './ItemEntry';
 import { CommonMailOptions, CommonMailOptionsDTO } from './Mailable';
 import { AttachmentLinkDTO } from './Attachments';
+import {
+  IDocumentDiscountCharges,
+  IDocumentDiscountChargesDTO,
+} from './Discount';
 
-export interface ISaleReceipt {
+export interface ISaleReceipt extends IDocumentDiscountCharges {
   id?: number;
   customerId: number;
   depositAccountId: number;
@@ -26,12 +30,14 @@ export interface ISaleReceipt {
   warehouseId?: number;
 
   localAmount?: number;
+  total?: number;
+  totalLocal?: number;
   entries?: IItemEntry[];
 }
 
 export interface ISalesReceiptsFilter {}
 
-export interface ISaleReceiptDTO {
+export interface ISaleReceiptDTO extends IDocumentDiscountChargesDTO {
   customerId: number;
   exchangeRate?: number;
   depositAccountId: number;
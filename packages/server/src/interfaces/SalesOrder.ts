@@ -0,0 +1,177 @@
+import { Knex } from 'knex';
+import { IItemEntry, IItemEntryDTO } from './ItemEntry';
+import { IDynamicListFilterDTO } from '@/interfaces/DynamicFilter';
+import { ISaleInvoice } from './SaleInvoice';
+import { ISaleEstimate } from './SaleEstimate';
+import { ISystemUser, ITenantUser } from './User';
+import { ICustomer } from './Contact';
+
+export interface ISalesOrder {
+  id?: number;
+  amount: number;
+  currencyCode: string;
+  exchangeRate: number;
+  customerId: number;
+  orderDate: Date;
+  shipmentDate?: Date;
+  orderNumber: string;
+  referenceNo?: string;
+  note?: string;
+  termsConditions?: string;
+  userId?: number;
+  entries: IItemEntry[];
+  createdAt?: Date;
+
+  saleEstimateId?: number;
+
+  confirmedAt?: string | Date;
+  invoicedAt?: string | Date;
+  closedAt?: string | Date;
+
+  isConfirmed: boolean;
+  isFullyInvoiced: boolean;
+  isClosed: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+
+  customer?: ICustomer;
+  invoices?: ISaleInvoice[];
+  saleEstimate?: ISaleEstimate;
+}
+
+export interface ISalesOrderDTO {
+  customerId: number;
+  exchangeRate?: number;
+  orderDate: Date;
+  shipmentDate?: Date;
+  orderNumber?: string;
+  referenceNo?: string;
+  entries: IItemEntryDTO[];
+  note?: string;
+  termsConditions?: string;
+  confirmed: boolean;
+
+  branchId?: number;
+  warehouseId?: number;
+}
+
+export interface ISalesOrderCreateDTO extends ISalesOrderDTO {
+  fromEstimateId?: number;
+}
+
+export interface ISalesOrderEditDTO extends ISalesOrderDTO {}
+
+export interface ISalesOrderConvertEntryDTO {
+  salesOrderEntryId: number;
+  quantity: number;
+}
+
+export interface ISalesOrderConvertToInvoiceDTO {
+  invoiceNo?: string;
+  invoiceDate: Date;
+  dueDate: Date;
+  delivered?: boolean;
+  entries?: ISalesOrderConvertEntryDTO[];
+}
+
+export interface ISalesOrdersFilter extends IDynamicListFilterDTO {
+  stringifiedFilterRoles?: string;
+  page: number;
+  pageSize: number;
+}
+
+export enum SalesOrderStatus {
+  Draft = 'draft',
+  Confirmed = 'confirmed',
+  PartiallyInvoiced = 'partially-invoiced',
+  Invoiced = 'invoiced',
+  Closed = 'closed',
+}
+
+export interface ISalesOrderCreatingPayload {
+  tenantId: number;
+  salesOrderDTO: ISalesOrderCreateDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderCreatedPayload {
+  tenantId: number;
+  salesOrder: ISalesOrder;
+  salesOrderId: number;
+  salesOrderDTO: ISalesOrderCreateDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderEditingPayload {
+  tenantId: number;
+  oldSalesOrder: ISalesOrder;
+  salesOrderDTO: ISalesOrderEditDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderEditedPayload {
+  tenantId: number;
+  salesOrderId: number;
+  salesOrder: ISalesOrder;
+  oldSalesOrder: ISalesOrder;
+  salesOrderDTO: ISalesOrderEditDTO;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderDeletingPayload {
+  tenantId: number;
+  oldSalesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderDeletedPayload {
+  tenantId: number;
+  salesOrderId: number;
+  oldSalesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderConfirmingPayload {
+  tenantId: number;
+  oldSalesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderConfirmedPayload {
+  tenantId: number;
+  salesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderClosingPayload {
+  tenantId: number;
+  oldSalesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderClosedPayload {
+  tenantId: number;
+  salesOrder: ISalesOrder;
+  trx: Knex.Transaction;
+}
+
+export interface ISalesOrderConvertingPayload {
+  tenantId: number;
+  salesOrder: ISalesOrder;
+  convertDTO: ISalesOrderConvertToInvoiceDTO;
+  authorizedUser: ITenantUser;
+}
+
+export interface ISalesOrderConvertedPayload {
+  tenantId: number;
+  salesOrder: ISalesOrder;
+  saleInvoice: ISaleInvoice;
+  convertDTO: ISalesOrderConvertToInvoiceDTO;
+}
+
+export interface ISalesOrderInvoicedSyncedPayload {
+  tenantId: number;
+  salesOrderId: number;
+  trx?: Knex.Transaction;
+}
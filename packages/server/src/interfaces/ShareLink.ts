@@ -0,0 +1,50 @@
+import { CustomerStatementType } from './CustomerStatement';
+
+export enum ShareLinkResourceType {
+  SaleInvoice = 'SaleInvoice',
+  SaleEstimate = 'SaleEstimate',
+  SaleReceipt = 'SaleReceipt',
+  Customer = 'Customer',
+}
+
+export interface IShareLink {
+  id?: number;
+  token: string;
+  tenantId: number;
+  resourceType: ShareLinkResourceType | string;
+  resourceId: number;
+  expiresAt?: Date | string | null;
+  isExpired?: boolean;
+
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IShareLinkDTO {
+  resourceType: ShareLinkResourceType;
+  resourceId: number;
+  expiresAt?: Date | string | null;
+}
+
+export interface IShareLinksFilter {
+  resourceType: ShareLinkResourceType;
+  resourceId: number;
+}
+
+export interface ISharedCustomerStatementQuery {
+  type?: CustomerStatementType;
+  fromDate?: Date | string;
+  toDate?: Date | string;
+}
+
+export interface IShareLinkGeneratedPayload {
+  tenantId: number;
+  shareLink: IShareLink;
+  shareLinkDTO: IShareLinkDTO;
+}
+
+export interface IShareLinkRevokedPayload {
+  tenantId: number;
+  shareLinkId: number;
+  oldShareLink: IShareLink;
+}
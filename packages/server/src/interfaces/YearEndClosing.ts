@@ -0,0 +1,68 @@
+import { Knex } from 'knex';
+import { IManualJournal } from './ManualJournal';
+
+export interface IYearEndClosing {
+  id?: number;
+  fiscalYear: number;
+  fromDate: Date;
+  toDate: Date;
+  retainedEarningsAccountId: number;
+  manualJournalId: number | null;
+  manualJournal?: IManualJournal;
+  netIncome: number;
+  previousLockActive: boolean;
+  previousLockToDate: Date | null;
+  closeReason?: string;
+  reopenReason?: string;
+  closedAt: Date;
+  reopenedAt: Date | null;
+  isReopened?: boolean;
+  userId?: number;
+  createdAt?: Date;
+  updatedAt?: Date;
+}
+
+export interface IYearEndClosingDTO {
+  fiscalYear: number;
+  retainedEarningsAccountId?: number;
+  reason?: string;
+}
+
+export interface IYearEndReopenDTO {
+  reason: string;
+}
+
+export interface IYearEndClosingLine {
+  accountId: number;
+  branchId: number | null;
+  credit: number;
+  debit: number;
+}
+
+export interface IYearEndClosingPayload {
+  tenantId: number;
+  closingDTO: IYearEndClosingDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IYearEndClosedPayload {
+  tenantId: number;
+  yearEndClosing: IYearEndClosing;
+  closingDTO: IYearEndClosingDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IYearEndReopeningPayload {
+  tenantId: number;
+  oldYearEndClosing: IYearEndClosing;
+  reopenDTO: IYearEndReopenDTO;
+  trx: Knex.Transaction;
+}
+
+export interface IYearEndReopenedPayload {
+  tenantId: number;
+  yearEndClosing: IYearEndClosing;
+  oldYearEndClosing: IYearEndClosing;
+  reopenDTO: IYearEndReopenDTO;
+  trx: Knex.Transaction;
+}
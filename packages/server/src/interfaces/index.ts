@@ -9,6 +9,12 @@ export * from './License';
 export * from './ItemCategory';
 export * from './Payment';
 export * from './SaleInvoice';
+export * from './SaleInvoiceRecurring';
+export * from './Recurring';
+export * from './BillRecurring';
+export * from './ExpenseRecurring';
+export * from './PurchaseOrder';
+export * from './SalesOrder';
 export * from './SaleReceipt';
 export * from './PaymentReceive';
 export * from './SaleEstimate';
@@ -33,6 +39,7 @@ export * from './BalanceSheet';
 export * from './TrialBalanceSheet';
 export * from './GeneralLedgerSheet';
 export * from './ProfitLossSheet';
+export * from './BudgetVsActual';
 export * from './JournalReport';
 export * from './AgingReport';
 export * from './ARAgingSummaryReport';
@@ -74,6 +81,19 @@ export * from './Tasks';
 export * from './Times';
 export * from './ProjectProfitabilitySummary';
 export * from './TaxRate';
+export * from './Budget';
+export * from './YearEndClosing';
+export * from './FixedAsset';
+export * from './FixedAssetSchedule';
+export * from './AmortizationSchedule';
+export * from './DeferredBalances';
+export * from './ShareLink';
+export * from './CustomerStatement';
+export * from './Dunning';
+export * from './LateFee';
+export * from './Discount';
+export * from './PaymentTerm';
+export * from './BankReconciliation';
 export * from './Plaid';
 
 export interface I18nService {
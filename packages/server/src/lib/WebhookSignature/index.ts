@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+/**
+ * Creates the hex HMAC-SHA256 signature of the given payload.
+ * @param {string} secret
+ * @param {Buffer | string} payload
+ * @returns {string}
+ */
+export const createHmacSignature = (
+  secret: string,
+  payload: Buffer | string
+): string => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+/**
+ * Compares the given signatures in constant time.
+ * @param {string} signature
+ * @param {string} comparison
+ * @returns {boolean}
+ */
+export const compareSignatures = (
+  signature: string,
+  comparison: string
+): boolean => {
+  const source = Buffer.from(signature || '', 'utf8');
+  const target = Buffer.from(comparison || '', 'utf8');
+
+  return (
+    source.length === target.length && crypto.timingSafeEqual(source, target)
+  );
+};
+
+/**
+ * Retrieves the first value of the given request header.
+ * @param {Record<string, string | string[] | undefined>} headers
+ * @param {string} name
+ * @returns {string}
+ */
+export const getHeader = (
+  headers: Record<string, string | string[] | undefined>,
+  name: string
+): string => {
+  const value = headers[name.toLowerCase()];
+  return (Array.isArray(value) ? value[0] : value) || '';
+};
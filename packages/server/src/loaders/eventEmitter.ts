@@ -89,6 +89,7 @@ import { InvoiceChangeStatusOnMailSentSubscriber } from '@/services/Sales/Invoic
 import { SaleReceiptMarkClosedOnMailSentSubcriber } from '@/services/Sales/Receipts/subscribers/SaleReceiptMarkClosedOnMailSentSubcriber';
 import { SaleEstimateMarkApprovedOnMailSent } from '@/services/Sales/Estimates/subscribers/SaleEstimateMarkApprovedOnMailSent';
 import { DeleteCashflowTransactionOnUncategorize } from '@/services/Cashflow/subscribers/DeleteCashflowTransactionOnUncategorize';
+import { DeleteManualJournalOnUncategorize } from '@/services/Cashflow/subscribers/DeleteManualJournalOnUncategorize';
 import { PreventDeleteTransactionOnDelete } from '@/services/Cashflow/subscribers/PreventDeleteTransactionsOnDelete';
 import { SubscribeFreeOnSignupCommunity } from '@/services/Subscription/events/SubscribeFreeOnSignupCommunity';
 import { SendVerfiyMailOnSignUp } from '@/services/Authentication/events/SendVerfiyMailOnSignUp';
@@ -109,10 +110,23 @@ import { ValidateMatchingOnPaymentReceivedDelete } from '@/services/Banking/Matc
 import { ValidateMatchingOnPaymentMadeDelete } from '@/services/Banking/Matching/events/ValidateMatchingOnPaymentMadeDelete';
 import { ValidateMatchingOnCashflowDelete } from '@/services/Banking/Matching/events/ValidateMatchingOnCashflowDelete';
 import { RecognizeSyncedBankTranasctions } from '@/services/Banking/Plaid/subscribers/RecognizeSyncedBankTransactions';
+import { RecognizeSyncedBankFeedTransactions } from '@/services/Banking/BankFeeds/subscribers/RecognizeSyncedBankFeedTransactions';
 import { UnlinkBankRuleOnDeleteBankRule } from '@/services/Banking/Rules/events/UnlinkBankRuleOnDeleteBankRule';
 import { DecrementUncategorizedTransactionOnMatching } from '@/services/Banking/Matching/events/DecrementUncategorizedTransactionsOnMatch';
 import { DecrementUncategorizedTransactionOnExclude } from '@/services/Banking/Exclude/events/DecrementUncategorizedTransactionOnExclude';
 import { DecrementUncategorizedTransactionOnCategorize } from '@/services/Cashflow/subscribers/DecrementUncategorizedTransactionOnCategorize';
+import { PurchaseOrderAutoIncrementSubscriber } from '@/services/Purchases/PurchaseOrders/subscribers/PurchaseOrderAutoIncrementSubscriber';
+import { PurchaseOrderMarkDeliveredOnMailSent } from '@/services/Purchases/PurchaseOrders/subscribers/PurchaseOrderMarkDeliveredOnMailSent';
+import { PurchaseOrderBillsSubscriber } from '@/services/Purchases/PurchaseOrders/subscribers/PurchaseOrderBillsSubscriber';
+import { SalesOrderAutoIncrementSubscriber } from '@/services/Sales/SalesOrders/subscribers/SalesOrderAutoIncrementSubscriber';
+import { SalesOrderInvoicesSubscriber } from '@/services/Sales/SalesOrders/subscribers/SalesOrderInvoicesSubscriber';
+import { SalesOrderCommittedQuantitiesSubscriber } from '@/services/Sales/SalesOrders/subscribers/SalesOrderCommittedQuantitiesSubscriber';
+import { PreventClosingJournalModifySubscriber } from '@/services/YearEndClosing/subscribers/PreventClosingJournalModifySubscriber';
+import { PreventFixedAssetBillDeleteSubscriber } from '@/services/FixedAssets/subscribers/PreventFixedAssetBillDeleteSubscriber';
+import { ValidateServicePeriodSubscriber } from '@/services/AmortizationSchedules/subscribers/ValidateServicePeriodSubscriber';
+import { SyncAmortizationSchedulesSubscriber } from '@/services/AmortizationSchedules/subscribers/SyncAmortizationSchedulesSubscriber';
+import { RevokeShareLinksOnResourceDeleted } from '@/services/ShareLinks/subscribers/RevokeShareLinksOnResourceDeleted';
+import { ValidateReconciledOnTransactionModify } from '@/services/Banking/Reconciliation/events/ValidateReconciledOnTransactionModify';
 
 export default () => {
   return new EventPublisher();
@@ -139,6 +153,19 @@ export const susbcribers = () => {
     SaleEstimateSmsNotificationSubscriber,
     SaleEstimateMarkApprovedOnMailSent,
 
+    // # Purchase order
+    PurchaseOrderAutoIncrementSubscriber,
+    PurchaseOrderMarkDeliveredOnMailSent,
+    PurchaseOrderBillsSubscriber,
+    SalesOrderAutoIncrementSubscriber,
+    SalesOrderInvoicesSubscriber,
+    SalesOrderCommittedQuantitiesSubscriber,
+    PreventClosingJournalModifySubscriber,
+    PreventFixedAssetBillDeleteSubscriber,
+    ValidateServicePeriodSubscriber,
+    SyncAmortizationSchedulesSubscriber,
+    RevokeShareLinksOnResourceDeleted,
+
     ExpensesWriteGLSubscriber,
     SaleReceiptAutoSerialSubscriber,
     SaleInvoiceAutoIncrementSubscriber,
@@ -241,6 +268,7 @@ export const susbcribers = () => {
 
     // Cashflow
     DeleteCashflowTransactionOnUncategorize,
+    DeleteManualJournalOnUncategorize,
     PreventDeleteTransactionOnDelete,
 
     SubscribeFreeOnSignupCommunity,
@@ -272,7 +300,13 @@ export const susbcribers = () => {
     ValidateMatchingOnPaymentReceivedDelete,
     ValidateMatchingOnPaymentMadeDelete,
 
+    // Validate reconciled transactions
+    ValidateReconciledOnTransactionModify,
+
     // Plaid
     RecognizeSyncedBankTranasctions,
+
+    // Bank feeds
+    RecognizeSyncedBankFeedTransactions,
   ];
 };
@@ -1,4 +1,5 @@
 import Agenda from 'agenda';
+import config from '@/config';
 import ResetPasswordMailJob from 'jobs/ResetPasswordMail';
 import ComputeItemCost from 'jobs/ComputeItemCost';
 import RewriteInvoicesJournalEntries from 'jobs/WriteInvoicesJEntries';
@@ -8,12 +9,28 @@ import OrganizationUpgrade from 'jobs/OrganizationUpgrade';
 import { SendSaleInvoiceMailJob } from '@/services/Sales/Invoices/SendSaleInvoiceMailJob';
 import { SendSaleInvoiceReminderMailJob } from '@/services/Sales/Invoices/SendSaleInvoiceMailReminderJob';
 import { SendSaleEstimateMailJob } from '@/services/Sales/Estimates/SendSaleEstimateMailJob';
+import { SendPurchaseOrderMailJob } from '@/services/Purchases/PurchaseOrders/SendPurchaseOrderMailJob';
 import { SaleReceiptMailNotificationJob } from '@/services/Sales/Receipts/SaleReceiptMailNotificationJob';
 import { PaymentReceiveMailNotificationJob } from '@/services/Sales/PaymentReceives/PaymentReceiveMailNotificationJob';
 import { PlaidFetchTransactionsJob } from '@/services/Banking/Plaid/PlaidFetchTransactionsJob';
 import { ImportDeleteExpiredFilesJobs } from '@/services/Import/jobs/ImportDeleteExpiredFilesJob';
 import { SendVerifyMailJob } from '@/services/Authentication/jobs/SendVerifyMailJob';
 import { RegonizeTransactionsJob } from '@/services/Banking/RegonizeTranasctions/RecognizeTransactionsJob';
+import { ScheduleRecurringTransactionsJob } from '@/services/Recurring/ScheduleRecurringTransactionsJob';
+import { GenerateRecurringSaleInvoicesJob } from '@/services/Sales/RecurringInvoices/GenerateRecurringSaleInvoicesJob';
+import { GenerateRecurringBillsJob } from '@/services/Purchases/RecurringBills/GenerateRecurringBillsJob';
+import { GenerateRecurringExpensesJob } from '@/services/Expenses/Recurring/GenerateRecurringExpensesJob';
+import { ScheduleFileDropSyncJob } from '@/services/Banking/BankFeeds/jobs/ScheduleFileDropSyncJob';
+import { FileDropSyncJob } from '@/services/Banking/BankFeeds/jobs/FileDropSyncJob';
+import { ScheduleFixedAssetsDepreciationJob } from '@/services/FixedAssets/jobs/ScheduleFixedAssetsDepreciationJob';
+import { DepreciateFixedAssetsJob } from '@/services/FixedAssets/jobs/DepreciateFixedAssetsJob';
+import { ScheduleAmortizationRecognitionJob } from '@/services/AmortizationSchedules/jobs/ScheduleAmortizationRecognitionJob';
+import { RecognizeAmortizationSchedulesJob } from '@/services/AmortizationSchedules/jobs/RecognizeAmortizationSchedulesJob';
+import { SendCustomerStatementMailJob } from '@/services/CustomerStatements/SendCustomerStatementMailJob';
+import { ScheduleDunningRemindersJob } from '@/services/Sales/Dunning/jobs/ScheduleDunningRemindersJob';
+import { ProcessDunningRemindersJob } from '@/services/Sales/Dunning/jobs/ProcessDunningRemindersJob';
+import { ScheduleLateFeesJob } from '@/services/Sales/LateFees/jobs/ScheduleLateFeesJob';
+import { ChargeLateFeesJob } from '@/services/Sales/LateFees/jobs/ChargeLateFeesJob';
 
 export default ({ agenda }: { agenda: Agenda }) => {
   new ResetPasswordMailJob(agenda);
@@ -25,14 +42,47 @@ export default ({ agenda }: { agenda: Agenda }) => {
   new SendSaleInvoiceMailJob(agenda);
   new SendSaleInvoiceReminderMailJob(agenda);
   new SendSaleEstimateMailJob(agenda);
+  new SendPurchaseOrderMailJob(agenda);
   new SaleReceiptMailNotificationJob(agenda);
   new PaymentReceiveMailNotificationJob(agenda);
   new PlaidFetchTransactionsJob(agenda);
   new ImportDeleteExpiredFilesJobs(agenda);
   new SendVerifyMailJob(agenda);
   new RegonizeTransactionsJob(agenda);
+  new ScheduleRecurringTransactionsJob(agenda);
+  new GenerateRecurringSaleInvoicesJob(agenda);
+  new GenerateRecurringBillsJob(agenda);
+  new GenerateRecurringExpensesJob(agenda);
+  new ScheduleFileDropSyncJob(agenda);
+  new FileDropSyncJob(agenda);
+  new ScheduleFixedAssetsDepreciationJob(agenda);
+  new DepreciateFixedAssetsJob(agenda);
+  new ScheduleAmortizationRecognitionJob(agenda);
+  new RecognizeAmortizationSchedulesJob(agenda);
+  new SendCustomerStatementMailJob(agenda);
+  new ScheduleDunningRemindersJob(agenda);
+  new ProcessDunningRemindersJob(agenda);
+  new ScheduleLateFeesJob(agenda);
+  new ChargeLateFeesJob(agenda);
 
   agenda.start().then(() => {
     agenda.every('1 hours', 'delete-expired-imported-files', {});
+    agenda.every('1 day', 'recurring-transactions-schedule', {});
+    // Depreciates the fixed assets of the previous month.
+    agenda.every('0 2 1 * *', 'fixed-assets-depreciation-schedule', {});
+    // Recognizes the prepaid expenses and deferred revenues of the previous month.
+    agenda.every('0 3 1 * *', 'amortization-recognition-schedule', {});
+    // Sends the reached dunning reminders of the open invoices.
+    agenda.every('0 8 * * *', 'dunning-reminders-schedule', {});
+    // Charges the late fees of the overdue invoices.
+    agenda.every('0 4 * * *', 'late-fees-schedule', {});
+
+    if (config.bankFeeds.fileDrop.path) {
+      agenda.every(
+        config.bankFeeds.fileDrop.pollInterval,
+        'bank-feeds-file-drop-schedule',
+        {}
+      );
+    }
   });
 };
@@ -61,13 +61,39 @@ import Task from 'models/Task';
 import TaxRate from 'models/TaxRate';
 import TaxRateTransaction from 'models/TaxRateTransaction';
 import PlaidItem from 'models/PlaidItem';
+import { BankFeedConnection } from '@/models/BankFeedConnection';
+import { BankFeedFile } from '@/models/BankFeedFile';
+import { PaymentGatewayCheckout } from '@/models/PaymentGatewayCheckout';
+import { DunningLevel } from '@/models/DunningLevel';
+import { SaleInvoiceDunningLog } from '@/models/SaleInvoiceDunningLog';
 import UncategorizedCashflowTransaction from 'models/UncategorizedCashflowTransaction';
 import Document from '@/models/Document';
 import DocumentLink from '@/models/DocumentLink';
 import { BankRule } from '@/models/BankRule';
 import { BankRuleCondition } from '@/models/BankRuleCondition';
+import { BankRuleSplitLine } from '@/models/BankRuleSplitLine';
 import { RecognizedBankTransaction } from '@/models/RecognizedBankTransaction';
 import { MatchedBankTransaction } from '@/models/MatchedBankTransaction';
+import SaleInvoiceRecurring from '@/models/SaleInvoiceRecurring';
+import SaleInvoiceRecurringHistory from '@/models/SaleInvoiceRecurringHistory';
+import BillRecurring from '@/models/BillRecurring';
+import BillRecurringHistory from '@/models/BillRecurringHistory';
+import ExpenseRecurring from '@/models/ExpenseRecurring';
+import ExpenseRecurringCategory from '@/models/ExpenseRecurringCategory';
+import ExpenseRecurringHistory from '@/models/ExpenseRecurringHistory';
+import PurchaseOrder from '@/models/PurchaseOrder';
+import SalesOrder from '@/models/SalesOrder';
+import Budget from '@/models/Budget';
+import BudgetEntry from '@/models/BudgetEntry';
+import YearEndClosing from '@/models/YearEndClosing';
+import FixedAsset from '@/models/FixedAsset';
+import FixedAssetDepreciation from '@/models/FixedAssetDepreciation';
+import AmortizationSchedule from '@/models/AmortizationSchedule';
+import AmortizationScheduleLine from '@/models/AmortizationScheduleLine';
+import BankReconciliation from '@/models/BankReconciliation';
+import BankReconciliationTransaction from '@/models/BankReconciliationTransaction';
+import PaymentTerm from '@/models/PaymentTerm';
+import LateFeeCharge from '@/models/LateFeeCharge';
 
 export default (knex) => {
   const models = {
@@ -134,11 +160,37 @@ export default (knex) => {
     Document,
     DocumentLink,
     PlaidItem,
+    BankFeedConnection,
+    BankFeedFile,
+    PaymentGatewayCheckout,
+    DunningLevel,
+    SaleInvoiceDunningLog,
     UncategorizedCashflowTransaction,
     BankRule,
     BankRuleCondition,
+    BankRuleSplitLine,
     RecognizedBankTransaction,
     MatchedBankTransaction,
+    SaleInvoiceRecurring,
+    SaleInvoiceRecurringHistory,
+    BillRecurring,
+    BillRecurringHistory,
+    ExpenseRecurring,
+    ExpenseRecurringCategory,
+    ExpenseRecurringHistory,
+    PurchaseOrder,
+    SalesOrder,
+    Budget,
+    BudgetEntry,
+    YearEndClosing,
+    BankReconciliation,
+    BankReconciliationTransaction,
+    FixedAsset,
+    FixedAssetDepreciation,
+    AmortizationSchedule,
+    AmortizationScheduleLine,
+    PaymentTerm,
+    LateFeeCharge,
   };
   return mapValues(models, (model) => model.bindKnex(knex));
 };
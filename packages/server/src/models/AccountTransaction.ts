@@ -3,6 +3,7 @@ import moment from 'moment';
 import { isEmpty, castArray } from 'lodash';
 import TenantModel from 'models/TenantModel';
 import { getTransactionTypeLabel } from '@/utils/transactions-types';
+import { CLOSING_JOURNAL_TYPE } from '@/services/YearEndClosing/constants';
 
 export default class AccountTransaction extends TenantModel {
   referenceType: string;
@@ -175,6 +176,22 @@ export default class AccountTransaction extends TenantModel {
 
         query.whereIn('projectId', formattedProjectsIds);
       },
+
+      /**
+       * Excludes the transactions of the year-end closing journals, which
+       * zero out the income and expense accounts of the closed year.
+       */
+      excludeClosingEntries(query) {
+        query.whereNot((builder) => {
+          builder.where('accounts_transactions.reference_type', 'Journal');
+          builder.whereIn('accounts_transactions.reference_id', (subquery) => {
+            subquery
+              .select('id')
+              .from('manual_journals')
+              .where('journal_type', CLOSING_JOURNAL_TYPE);
+          });
+        });
+      },
     };
   }
 
@@ -0,0 +1,134 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+import { AmortizationScheduleStatus } from '@/interfaces';
+
+export default class AmortizationSchedule extends TenantModel {
+  public type: string;
+  public referenceType: string;
+  public referenceId: number;
+  public referenceEntryId: number | null;
+  public date: Date;
+  public description: string;
+  public deferralAccountId: number;
+  public recognitionAccountId: number;
+  public amount: number;
+  public recognizedAmount: number;
+  public startDate: Date;
+  public endDate: Date;
+  public branchId: number | null;
+  public projectId: number | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'amortization_schedules';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['remainingAmount', 'status'];
+  }
+
+  /**
+   * Retrieves the amount not recognized yet.
+   * @returns {number}
+   */
+  get remainingAmount() {
+    return this.amount - this.recognizedAmount;
+  }
+
+  /**
+   * Retrieves the schedule status.
+   * @returns {AmortizationScheduleStatus}
+   */
+  get status() {
+    return this.recognizedAmount >= this.amount
+      ? AmortizationScheduleStatus.Completed
+      : AmortizationScheduleStatus.Active;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the schedules of the given status.
+       */
+      status(query, status: AmortizationScheduleStatus) {
+        if (status === AmortizationScheduleStatus.Completed) {
+          query.whereRaw('recognized_amount >= amount');
+        } else if (status === AmortizationScheduleStatus.Active) {
+          query.whereRaw('recognized_amount < amount');
+        }
+      },
+
+      /**
+       * Filters the schedules of the given transaction.
+       */
+      reference(query, referenceType: string, referenceId: number) {
+        query.where('reference_type', referenceType);
+        query.where('reference_id', referenceId);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+    const AmortizationScheduleLine = require('models/AmortizationScheduleLine');
+
+    return {
+      /**
+       * Schedule has many monthly recognition lines.
+       */
+      lines: {
+        relation: Model.HasManyRelation,
+        modelClass: AmortizationScheduleLine.default,
+        join: {
+          from: 'amortization_schedules.id',
+          to: 'amortization_schedule_lines.scheduleId',
+        },
+        filter(builder) {
+          builder.orderBy('date', 'ASC');
+        },
+      },
+
+      /**
+       * Schedule belongs to the prepaid expense or deferred revenue account.
+       */
+      deferralAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'amortization_schedules.deferralAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Schedule belongs to the expense or income recognition account.
+       */
+      recognitionAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'amortization_schedules.recognitionAccountId',
+          to: 'accounts.id',
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,59 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class AmortizationScheduleLine extends TenantModel {
+  public scheduleId: number;
+  public fromDate: Date;
+  public date: Date;
+  public amount: number;
+  public recognizedAt: Date | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'amortization_schedule_lines';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the lines not recognized yet.
+       */
+      notRecognized(query) {
+        query.whereNull('recognized_at');
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const AmortizationSchedule = require('models/AmortizationSchedule');
+
+    return {
+      /**
+       * Line belongs to the amortization schedule.
+       */
+      schedule: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: AmortizationSchedule.default,
+        join: {
+          from: 'amortization_schedule_lines.scheduleId',
+          to: 'amortization_schedules.id',
+        },
+      },
+    };
+  }
+}
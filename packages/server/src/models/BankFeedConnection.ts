@@ -0,0 +1,31 @@
+import TenantModel from 'models/TenantModel';
+
+export class BankFeedConnection extends TenantModel {
+  provider!: string;
+  connectionId!: string;
+  name!: string;
+  folder!: string | null;
+  lastCursor!: string | null;
+  lastSyncedAt!: Date | null;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'bank_feed_connections';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    return {};
+  }
+}
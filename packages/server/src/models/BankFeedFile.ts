@@ -0,0 +1,31 @@
+import TenantModel from 'models/TenantModel';
+
+export class BankFeedFile extends TenantModel {
+  connectionId!: string;
+  name!: string;
+  size!: number;
+  modifiedAt!: Date;
+  hash!: string | null;
+  processedAt!: Date | null;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'bank_feed_files';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    return {};
+  }
+}
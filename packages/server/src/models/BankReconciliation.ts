@@ -0,0 +1,105 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+import { BankReconciliationStatus } from '@/interfaces';
+
+export default class BankReconciliation extends TenantModel {
+  public accountId: number;
+  public statementDate: Date;
+  public statementEndingBalance: number;
+  public openingBalance: number;
+  public clearedBalance: number | null;
+  public status: string;
+  public finishedAt: Date | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'bank_reconciliations';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isFinished', 'isDraft'];
+  }
+
+  /**
+   * Detarmines whether the reconciliation is finished.
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.status === BankReconciliationStatus.Finished;
+  }
+
+  /**
+   * Detarmines whether the reconciliation is still draft.
+   * @returns {boolean}
+   */
+  get isDraft() {
+    return this.status === BankReconciliationStatus.Draft;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the finished reconciliations.
+       */
+      finished(query) {
+        query.where('status', BankReconciliationStatus.Finished);
+      },
+
+      /**
+       * Filters the draft reconciliations.
+       */
+      draft(query) {
+        query.where('status', BankReconciliationStatus.Draft);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+    const BankReconciliationTransaction = require('models/BankReconciliationTransaction');
+
+    return {
+      /**
+       * Reconciliation belongs to the bank account.
+       */
+      account: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'bank_reconciliations.accountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Reconciliation may has many cleared transactions.
+       */
+      transactions: {
+        relation: Model.HasManyRelation,
+        modelClass: BankReconciliationTransaction.default,
+        join: {
+          from: 'bank_reconciliations.id',
+          to: 'bank_reconciliation_transactions.reconciliationId',
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,43 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class BankReconciliationTransaction extends TenantModel {
+  public reconciliationId: number;
+  public referenceType: string;
+  public referenceId: number;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'bank_reconciliation_transactions';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const BankReconciliation = require('models/BankReconciliation');
+
+    return {
+      /**
+       * Cleared transaction belongs to the reconciliation.
+       */
+      reconciliation: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: BankReconciliation.default,
+        join: {
+          from: 'bank_reconciliation_transactions.reconciliationId',
+          to: 'bank_reconciliations.id',
+        },
+      },
+    };
+  }
+}
@@ -1,5 +1,6 @@
 import TenantModel from 'models/TenantModel';
 import { Model } from 'objection';
+import { BankRuleSplitLine } from './BankRuleSplitLine';
 
 export class BankRule extends TenantModel {
   id!: number;
@@ -13,6 +14,8 @@ export class BankRule extends TenantModel {
   assignMemo!: string;
   conditionsType!: string;
 
+  splitLines?: BankRuleSplitLine[];
+
   /**
    * Table name
    */
@@ -39,6 +42,7 @@ export class BankRule extends TenantModel {
    */
   static get relationMappings() {
     const { BankRuleCondition } = require('models/BankRuleCondition');
+    const { BankRuleSplitLine } = require('models/BankRuleSplitLine');
     const Account = require('models/Account');
 
     return {
@@ -54,6 +58,21 @@ export class BankRule extends TenantModel {
         },
       },
 
+      /**
+       * Bank rule may split the transaction amount across multiple accounts.
+       */
+      splitLines: {
+        relation: Model.HasManyRelation,
+        modelClass: BankRuleSplitLine,
+        join: {
+          from: 'bank_rules.id',
+          to: 'bank_rule_split_lines.ruleId',
+        },
+        filter: (query) => {
+          query.orderBy('index', 'ASC');
+        },
+      },
+
       /**
        * Bank rule may associated to the assign account.
        */
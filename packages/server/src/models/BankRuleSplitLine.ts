@@ -0,0 +1,54 @@
+import TenantModel from 'models/TenantModel';
+import { Model } from 'objection';
+
+export class BankRuleSplitLine extends TenantModel {
+  id!: number;
+  ruleId!: number;
+  index!: number;
+  accountId!: number;
+  amountType!: string;
+  amount!: number;
+  memo!: string;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'bank_rule_split_lines';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return [];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return [];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+
+    return {
+      /**
+       * Split line belongs to the assigned account.
+       */
+      account: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'bank_rule_split_lines.accountId',
+          to: 'accounts.id',
+        },
+      },
+    };
+  }
+}
@@ -7,6 +7,10 @@ import ModelSetting from './ModelSetting';
 import CustomViewBaseModel from './CustomViewBaseModel';
 import { DEFAULT_VIEWS } from '@/services/Purchases/Bills/constants';
 import ModelSearchable from './ModelSearchable';
+import { calcDiscountTaxAmount } from '@/utils/discount';
+
+// The document total after the discount, shipping charge and adjustment.
+const BILL_TOTAL_SQL = `(COALESCE(AMOUNT, 0) - COALESCE(DISCOUNT_AMOUNT, 0) + COALESCE(SHIPPING_CHARGE, 0) + COALESCE(ADJUSTMENT, 0))`;
 
 export default class Bill extends mixin(TenantModel, [
   ModelSetting,
@@ -20,6 +24,10 @@ export default class Bill extends mixin(TenantModel, [
   public isInclusiveTax: boolean;
   public taxAmountWithheld: number;
   public exchangeRate: number;
+  public discountAmount: number;
+  public isDiscountBeforeTax: boolean;
+  public shippingCharge: number;
+  public adjustment: number;
 
   /**
    * Timestamps columns.
@@ -51,6 +59,11 @@ export default class Bill extends mixin(TenantModel, [
       'subtotalLocal',
       'subtotalExludingTax',
       'taxAmountWithheldLocal',
+      'discountAmountLocal',
+      'discountTaxAmount',
+      'discountTaxAmountLocal',
+      'shippingChargeLocal',
+      'adjustmentLocal',
       'total',
       'totalLocal',
     ];
@@ -98,14 +111,70 @@ export default class Bill extends mixin(TenantModel, [
     return this.taxAmountWithheld * this.exchangeRate;
   }
 
+  /**
+   * Discount amount in base currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
+  /**
+   * Tax amount lowered by the discount, only the discount before tax
+   * lowers the tax.
+   * @returns {number}
+   */
+  get discountTaxAmount() {
+    return this.isDiscountBeforeTax
+      ? calcDiscountTaxAmount(
+          this.taxAmountWithheld,
+          this.discountAmount,
+          this.subtotalExcludingTax
+        )
+      : 0;
+  }
+
+  /**
+   * Tax amount lowered by the discount in base currency.
+   * @returns {number}
+   */
+  get discountTaxAmountLocal() {
+    return this.discountTaxAmount * this.exchangeRate;
+  }
+
+  /**
+   * Shipping charge in base currency.
+   * @returns {number}
+   */
+  get shippingChargeLocal() {
+    return this.shippingCharge * this.exchangeRate;
+  }
+
+  /**
+   * Rounding adjustment in base currency.
+   * @returns {number}
+   */
+  get adjustmentLocal() {
+    return this.adjustment * this.exchangeRate;
+  }
+
   /**
    * Invoice total. (Tax included)
+   * Equation (Subtotal + Tax - Discount + Shipping charge + Adjustment)
    * @returns {number}
    */
   get total() {
-    return this.isInclusiveTax
+    const totalTaxIncluded = this.isInclusiveTax
       ? this.subtotal
       : this.subtotal + this.taxAmountWithheld;
+
+    return (
+      totalTaxIncluded -
+      (this.discountAmount || 0) -
+      this.discountTaxAmount +
+      (this.shippingCharge || 0) +
+      (this.adjustment || 0)
+    );
   }
 
   /**
@@ -160,6 +229,9 @@ export default class Bill extends mixin(TenantModel, [
       dueBills(query) {
         query.where(
           raw(`COALESCE(AMOUNT, 0) -
+            COALESCE(DISCOUNT_AMOUNT, 0) +
+            COALESCE(SHIPPING_CHARGE, 0) +
+            COALESCE(ADJUSTMENT, 0) -
             COALESCE(PAYMENT_AMOUNT, 0) -
             COALESCE(CREDITED_AMOUNT, 0) > 0
           `)
@@ -182,13 +254,13 @@ export default class Bill extends mixin(TenantModel, [
        */
       partiallyPaid(query) {
         query.whereNot('payment_amount', 0);
-        query.whereNot(raw('`PAYMENT_AMOUNT` = `AMOUNT`'));
+        query.whereNot(raw(`PAYMENT_AMOUNT = ${BILL_TOTAL_SQL}`));
       },
       /**
        * Filters the paid bills.
        */
       paid(query) {
-        query.where(raw('`PAYMENT_AMOUNT` = `AMOUNT`'));
+        query.where(raw(`PAYMENT_AMOUNT = ${BILL_TOTAL_SQL}`));
       },
       /**
        * Filters the bills from the given date.
@@ -201,7 +273,7 @@ export default class Bill extends mixin(TenantModel, [
        * Sort the bills by full-payment bills.
        */
       sortByStatus(query, order) {
-        query.orderByRaw(`PAYMENT_AMOUNT = AMOUNT ${order}`);
+        query.orderByRaw(`PAYMENT_AMOUNT = ${BILL_TOTAL_SQL} ${order}`);
       },
 
       /**
@@ -404,7 +476,9 @@ export default class Bill extends mixin(TenantModel, [
     const Branch = require('models/Branch');
     const TaxRateTransaction = require('models/TaxRateTransaction');
     const Document = require('models/Document');
+    const PurchaseOrder = require('models/PurchaseOrder');
     const { MatchedBankTransaction } = require('models/MatchedBankTransaction');
+    const PaymentTerm = require('models/PaymentTerm');
 
     return {
       vendor: {
@@ -487,6 +561,18 @@ export default class Bill extends mixin(TenantModel, [
         },
       },
 
+      /**
+       * Bill may be converted from a purchase order.
+       */
+      purchaseOrder: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: PurchaseOrder.default,
+        join: {
+          from: 'bills.purchaseOrderId',
+          to: 'purchase_orders.id',
+        },
+      },
+
       /**
        * Bill may belongs to matched bank transaction.
        */
@@ -501,6 +587,18 @@ export default class Bill extends mixin(TenantModel, [
           query.where('reference_type', 'Bill');
         },
       },
+
+      /**
+       * Bill may belongs to payment term.
+       */
+      paymentTerm: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: PaymentTerm.default,
+        join: {
+          from: 'bills.paymentTermId',
+          to: 'payment_terms.id',
+        },
+      },
     };
   }
 
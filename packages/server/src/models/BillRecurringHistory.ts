@@ -0,0 +1,58 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class BillRecurringHistory extends TenantModel {
+  public recurringId: number;
+  public billId: number | null;
+  public runDate: Date;
+  public status: string;
+  public errorMessage: string | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'bills_recurring_history';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Bill = require('models/Bill');
+    const BillRecurring = require('models/BillRecurring');
+
+    return {
+      /**
+       * History entry belongs to the generated bill.
+       */
+      bill: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Bill.default,
+        join: {
+          from: 'bills_recurring_history.billId',
+          to: 'bills.id',
+        },
+      },
+
+      /**
+       * History entry belongs to the recurring profile.
+       */
+      recurring: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: BillRecurring.default,
+        join: {
+          from: 'bills_recurring_history.recurringId',
+          to: 'bills_recurring.id',
+        },
+      },
+    };
+  }
+}
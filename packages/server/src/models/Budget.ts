@@ -0,0 +1,78 @@
+import { Model, mixin } from 'objection';
+import TenantModel from 'models/TenantModel';
+import ModelSearchable from './ModelSearchable';
+
+export default class Budget extends mixin(TenantModel, [ModelSearchable]) {
+  public name: string;
+  public fiscalYear: number;
+  public period: string;
+  public fromDate: Date;
+  public toDate: Date;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'budgets';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return [];
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the budgets of the given fiscal year.
+       */
+      fiscalYear(query, fiscalYear: number) {
+        query.where('fiscal_year', fiscalYear);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const BudgetEntry = require('models/BudgetEntry');
+
+    return {
+      /**
+       * Budget may has many amounts entries.
+       */
+      entries: {
+        relation: Model.HasManyRelation,
+        modelClass: BudgetEntry.default,
+        join: {
+          from: 'budgets.id',
+          to: 'budget_entries.budgetId',
+        },
+        filter(builder) {
+          builder.orderBy('index', 'ASC');
+          builder.orderBy('period_index', 'ASC');
+        },
+      },
+    };
+  }
+
+  /**
+   * Model search roles.
+   */
+  static get searchRoles() {
+    return [{ fieldKey: 'name', comparator: 'contains' }];
+  }
+}
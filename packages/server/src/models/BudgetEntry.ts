@@ -0,0 +1,115 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class BudgetEntry extends TenantModel {
+  public budgetId: number;
+  public accountId: number;
+  public branchId: number | null;
+  public projectId: number | null;
+  public periodIndex: number;
+  public fromDate: Date;
+  public toDate: Date;
+  public amount: number;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'budget_entries';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return [];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return [];
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the budget entries by the given branches.
+       */
+      filterByBranches(query, branchesIds: number[]) {
+        query.whereIn('branch_id', branchesIds);
+      },
+
+      /**
+       * Filters the budget entries by the given projects.
+       */
+      filterByProjects(query, projectsIds: number[]) {
+        query.whereIn('project_id', projectsIds);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Budget = require('models/Budget');
+    const Account = require('models/Account');
+    const Branch = require('models/Branch');
+    const Project = require('models/Project');
+
+    return {
+      /**
+       * Budget entry belongs to the budget.
+       */
+      budget: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Budget.default,
+        join: {
+          from: 'budget_entries.budgetId',
+          to: 'budgets.id',
+        },
+      },
+
+      /**
+       * Budget entry belongs to the account.
+       */
+      account: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'budget_entries.accountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Budget entry may belongs to the branch.
+       */
+      branch: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Branch.default,
+        join: {
+          from: 'budget_entries.branchId',
+          to: 'branches.id',
+        },
+      },
+
+      /**
+       * Budget entry may belongs to the project.
+       */
+      project: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Project.default,
+        join: {
+          from: 'budget_entries.projectId',
+          to: 'projects.id',
+        },
+      },
+    };
+  }
+}
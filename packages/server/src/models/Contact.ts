@@ -70,6 +70,19 @@ export default class Contact extends TenantModel {
     return this.balance;
   }
 
+  /**
+   * Retrieves the contact mail addresses.
+   */
+  get contactAddresses() {
+    return [
+      {
+        mail: this.email,
+        label: this.displayName,
+        primary: true,
+      },
+    ].filter((c) => c.mail);
+  }
+
   /**
    * Model modifiers.
    */
@@ -11,6 +11,12 @@ export default class CreditNote extends mixin(TenantModel, [
   CustomViewBaseModel,
   ModelSearchable,
 ]) {
+  public amount: number;
+  public exchangeRate: number;
+  public discountAmount: number;
+  public shippingCharge: number;
+  public adjustment: number;
+
   /**
    * Table name
    */
@@ -37,6 +43,11 @@ export default class CreditNote extends mixin(TenantModel, [
       'isClosed',
       'creditsRemaining',
       'creditsUsed',
+      'discountAmountLocal',
+      'shippingChargeLocal',
+      'adjustmentLocal',
+      'total',
+      'totalLocal',
     ];
   }
 
@@ -48,6 +59,52 @@ export default class CreditNote extends mixin(TenantModel, [
     return this.amount * this.exchangeRate;
   }
 
+  /**
+   * Discount amount in base currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
+  /**
+   * Shipping charge in base currency.
+   * @returns {number}
+   */
+  get shippingChargeLocal() {
+    return this.shippingCharge * this.exchangeRate;
+  }
+
+  /**
+   * Rounding adjustment in base currency.
+   * @returns {number}
+   */
+  get adjustmentLocal() {
+    return this.adjustment * this.exchangeRate;
+  }
+
+  /**
+   * Credit note total.
+   * Equation (Amount - Discount + Shipping charge + Adjustment)
+   * @returns {number}
+   */
+  get total() {
+    return (
+      this.amount -
+      (this.discountAmount || 0) +
+      (this.shippingCharge || 0) +
+      (this.adjustment || 0)
+    );
+  }
+
+  /**
+   * Credit note total in base currency.
+   * @returns {number}
+   */
+  get totalLocal() {
+    return this.total * this.exchangeRate;
+  }
+
   /**
    * Detarmines whether the credit note is draft.
    * @returns {boolean}
@@ -84,7 +141,7 @@ export default class CreditNote extends mixin(TenantModel, [
    * Retrieve the credits remaining.
    */
   get creditsRemaining() {
-    return Math.max(this.amount - this.refundedAmount - this.invoicesAmount, 0);
+    return Math.max(this.total - this.refundedAmount - this.invoicesAmount, 0);
   }
 
   get creditsUsed() {
@@ -117,7 +174,8 @@ export default class CreditNote extends mixin(TenantModel, [
         query
           .where(
             raw(`COALESCE(REFUNDED_AMOUNT) + COALESCE(INVOICES_AMOUNT) <
-            COALESCE(AMOUNT)`)
+            COALESCE(AMOUNT) - COALESCE(DISCOUNT_AMOUNT) +
+            COALESCE(SHIPPING_CHARGE) + COALESCE(ADJUSTMENT)`)
           )
           .modify('published');
       },
@@ -129,7 +187,8 @@ export default class CreditNote extends mixin(TenantModel, [
         query
           .where(
             raw(`COALESCE(REFUNDED_AMOUNT) + COALESCE(INVOICES_AMOUNT) =
-            COALESCE(AMOUNT)`)
+            COALESCE(AMOUNT) - COALESCE(DISCOUNT_AMOUNT) +
+            COALESCE(SHIPPING_CHARGE) + COALESCE(ADJUSTMENT)`)
           )
           .modify('published');
       },
@@ -160,7 +219,7 @@ export default class CreditNote extends mixin(TenantModel, [
        */
       sortByStatus(query, order) {
         query.orderByRaw(
-          `COALESCE(REFUNDED_AMOUNT) + COALESCE(INVOICES_AMOUNT) = COALESCE(AMOUNT) ${order}`
+          `COALESCE(REFUNDED_AMOUNT) + COALESCE(INVOICES_AMOUNT) = COALESCE(AMOUNT) - COALESCE(DISCOUNT_AMOUNT) + COALESCE(SHIPPING_CHARGE) + COALESCE(ADJUSTMENT) ${order}`
         );
       },
     };
@@ -0,0 +1,53 @@
+import TenantModel from 'models/TenantModel';
+
+export class DunningLevel extends TenantModel {
+  name!: string;
+  daysOffset!: number;
+  subject!: string;
+  body!: string;
+  attachInvoice!: boolean;
+  active!: boolean;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'dunning_levels';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isBeforeDue'];
+  }
+
+  /**
+   * Detarmines whether the level reminds the customer before the due date.
+   * @returns {boolean}
+   */
+  get isBeforeDue(): boolean {
+    return this.daysOffset < 0;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the active dunning levels.
+       */
+      active(query) {
+        query.where('active', true);
+      },
+    };
+  }
+}
@@ -0,0 +1,168 @@
+import { Model } from 'objection';
+import moment from 'moment';
+import TenantModel from 'models/TenantModel';
+
+export default class ExpenseRecurring extends TenantModel {
+  public name: string;
+  public paymentAccountId: number;
+  public payeeId: number | null;
+  public frequency: string;
+  public repeatInterval: number;
+  public startDate: Date;
+  public endDate: Date | null;
+  public nextRunAt: Date | null;
+  public lastRunAt: Date | null;
+  public creationMode: string;
+  public active: boolean;
+  public userId: number;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'expenses_recurring';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isCompleted', 'isActive', 'status'];
+  }
+
+  /**
+   * Detarmines whether the recurring profile has no more runs.
+   * @returns {boolean}
+   */
+  get isCompleted() {
+    return !this.nextRunAt;
+  }
+
+  /**
+   * Detarmines whether the recurring profile is active and still running.
+   * @returns {boolean}
+   */
+  get isActive() {
+    return !!this.active && !this.isCompleted;
+  }
+
+  /**
+   * Retrieves the recurring profile status.
+   * @returns {string}
+   */
+  get status() {
+    if (this.isCompleted) {
+      return 'completed';
+    }
+    return this.active ? 'active' : 'inactive';
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the active recurring profiles.
+       */
+      active(query) {
+        query.where('active', true);
+      },
+
+      /**
+       * Filters the recurring profiles that due to run on the given date.
+       */
+      dueToRun(query, asDate = moment().format('YYYY-MM-DD')) {
+        query.modify('active');
+        query.whereNotNull('next_run_at');
+        query.where('next_run_at', '<=', asDate);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+    const Contact = require('models/Contact');
+    const Branch = require('models/Branch');
+    const ExpenseRecurringCategory = require('models/ExpenseRecurringCategory');
+    const ExpenseRecurringHistory = require('models/ExpenseRecurringHistory');
+
+    return {
+      /**
+       * Recurring profile associated categories.
+       */
+      categories: {
+        relation: Model.HasManyRelation,
+        modelClass: ExpenseRecurringCategory.default,
+        join: {
+          from: 'expenses_recurring.id',
+          to: 'expenses_recurring_categories.expenseRecurringId',
+        },
+        filter(builder) {
+          builder.orderBy('index', 'ASC');
+        },
+      },
+
+      /**
+       * Belongs to the payment account.
+       */
+      paymentAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'expenses_recurring.paymentAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Recurring profile may has associated payee.
+       */
+      payee: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Contact.default,
+        join: {
+          from: 'expenses_recurring.payeeId',
+          to: 'contacts.id',
+        },
+      },
+
+      /**
+       * Recurring profile may has associated branch.
+       */
+      branch: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Branch.default,
+        join: {
+          from: 'expenses_recurring.branchId',
+          to: 'branches.id',
+        },
+      },
+
+      /**
+       * Recurring profile has many generated expenses history.
+       */
+      history: {
+        relation: Model.HasManyRelation,
+        modelClass: ExpenseRecurringHistory.default,
+        join: {
+          from: 'expenses_recurring.id',
+          to: 'expenses_recurring_history.recurringId',
+        },
+        filter(builder) {
+          builder.orderBy('run_date', 'DESC');
+        },
+      },
+    };
+  }
+}
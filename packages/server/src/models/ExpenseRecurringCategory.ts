@@ -0,0 +1,47 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class ExpenseRecurringCategory extends TenantModel {
+  public expenseRecurringId: number;
+  public expenseAccountId: number;
+  public index: number;
+  public amount: number;
+  public description: string;
+  public landedCost: boolean;
+  public projectId: number | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'expenses_recurring_categories';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+
+    return {
+      /**
+       * Category line belongs to the expense account.
+       */
+      expenseAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'expenses_recurring_categories.expenseAccountId',
+          to: 'accounts.id',
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class ExpenseRecurringHistory extends TenantModel {
+  public recurringId: number;
+  public expenseId: number | null;
+  public runDate: Date;
+  public status: string;
+  public errorMessage: string | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'expenses_recurring_history';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Expense = require('models/Expense');
+    const ExpenseRecurring = require('models/ExpenseRecurring');
+
+    return {
+      /**
+       * History entry belongs to the generated expense.
+       */
+      expense: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Expense.default,
+        join: {
+          from: 'expenses_recurring_history.expenseId',
+          to: 'expenses_transactions.id',
+        },
+      },
+
+      /**
+       * History entry belongs to the recurring profile.
+       */
+      recurring: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: ExpenseRecurring.default,
+        join: {
+          from: 'expenses_recurring_history.recurringId',
+          to: 'expenses_recurring.id',
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,192 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+import { FixedAssetStatus } from '@/interfaces';
+
+export default class FixedAsset extends TenantModel {
+  public assetNumber: string;
+  public name: string;
+  public acquisitionDate: Date;
+  public depreciationStartDate: Date;
+  public cost: number;
+  public salvageValue: number;
+  public usefulLife: number;
+  public depreciationMethod: string;
+  public decliningBalanceFactor: number | null;
+  public totalUnits: number | null;
+  public accumulatedDepreciation: number;
+  public lastDepreciationDate: Date | null;
+  public assetAccountId: number;
+  public depreciationExpenseAccountId: number;
+  public accumulatedDepreciationAccountId: number;
+  public billId: number | null;
+  public billEntryId: number | null;
+  public branchId: number | null;
+  public disposedAt: Date | null;
+  public disposalAmount: number | null;
+  public disposalDepositAccountId: number | null;
+  public disposalGainLossAccountId: number | null;
+  public userId: number;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'fixed_assets';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['bookValue', 'depreciableAmount', 'status'];
+  }
+
+  /**
+   * Retrieves the current book value of the asset.
+   * @returns {number}
+   */
+  get bookValue() {
+    return this.disposedAt ? 0 : this.cost - this.accumulatedDepreciation;
+  }
+
+  /**
+   * Retrieves the depreciable amount over the asset useful life.
+   * @returns {number}
+   */
+  get depreciableAmount() {
+    return this.cost - this.salvageValue;
+  }
+
+  /**
+   * Retrieves the asset status.
+   * @returns {FixedAssetStatus}
+   */
+  get status() {
+    if (this.disposedAt) {
+      return FixedAssetStatus.Disposed;
+    }
+    return this.accumulatedDepreciation >= this.depreciableAmount
+      ? FixedAssetStatus.FullyDepreciated
+      : FixedAssetStatus.Active;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the assets not disposed yet.
+       */
+      notDisposed(query) {
+        query.whereNull('disposed_at');
+      },
+
+      /**
+       * Filters the assets of the given status.
+       */
+      status(query, status: FixedAssetStatus) {
+        if (status === FixedAssetStatus.Disposed) {
+          query.whereNotNull('disposed_at');
+        } else if (status === FixedAssetStatus.FullyDepreciated) {
+          query.whereNull('disposed_at');
+          query.whereRaw('accumulated_depreciation >= cost - salvage_value');
+        } else if (status === FixedAssetStatus.Active) {
+          query.whereNull('disposed_at');
+          query.whereRaw('accumulated_depreciation < cost - salvage_value');
+        }
+      },
+
+      /**
+       * Searches the assets by name or asset number.
+       */
+      search(query, keyword: string) {
+        query.where((builder) => {
+          builder.where('name', 'LIKE', `%${keyword}%`);
+          builder.orWhere('asset_number', 'LIKE', `%${keyword}%`);
+        });
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+    const Bill = require('models/Bill');
+    const FixedAssetDepreciation = require('models/FixedAssetDepreciation');
+
+    return {
+      /**
+       * Fixed asset may has many depreciations.
+       */
+      depreciations: {
+        relation: Model.HasManyRelation,
+        modelClass: FixedAssetDepreciation.default,
+        join: {
+          from: 'fixed_assets.id',
+          to: 'fixed_asset_depreciations.fixedAssetId',
+        },
+        filter(builder) {
+          builder.orderBy('date', 'ASC');
+        },
+      },
+
+      /**
+       * Fixed asset belongs to the asset account.
+       */
+      assetAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'fixed_assets.assetAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Fixed asset belongs to the depreciation expense account.
+       */
+      depreciationExpenseAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'fixed_assets.depreciationExpenseAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Fixed asset belongs to the accumulated depreciation account.
+       */
+      accumulatedDepreciationAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'fixed_assets.accumulatedDepreciationAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Fixed asset may be acquired by a bill.
+       */
+      bill: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Bill.default,
+        join: {
+          from: 'fixed_assets.billId',
+          to: 'bills.id',
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,46 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class FixedAssetDepreciation extends TenantModel {
+  public fixedAssetId: number;
+  public fromDate: Date;
+  public date: Date;
+  public amount: number;
+  public units: number | null;
+  public userId: number | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'fixed_asset_depreciations';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const FixedAsset = require('models/FixedAsset');
+
+    return {
+      /**
+       * Depreciation belongs to the fixed asset.
+       */
+      fixedAsset: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: FixedAsset.default,
+        join: {
+          from: 'fixed_asset_depreciations.fixedAssetId',
+          to: 'fixed_assets.id',
+        },
+      },
+    };
+  }
+}
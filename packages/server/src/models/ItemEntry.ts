@@ -116,6 +116,8 @@ export default class ItemEntry extends TenantModel {
     const Bill = require('models/Bill');
     const SaleReceipt = require('models/SaleReceipt');
     const SaleEstimate = require('models/SaleEstimate');
+    const PurchaseOrder = require('models/PurchaseOrder');
+    const SalesOrder = require('models/SalesOrder');
     const ProjectTask = require('models/Task');
     const Expense = require('models/Expense');
     const TaxRate = require('models/TaxRate');
@@ -165,6 +167,48 @@ export default class ItemEntry extends TenantModel {
         },
       },
 
+      purchaseOrder: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: PurchaseOrder.default,
+        join: {
+          from: 'items_entries.referenceId',
+          to: 'purchase_orders.id',
+        },
+      },
+
+      /**
+       * Purchase order line that the bill entry was billed from.
+       */
+      purchaseOrderEntry: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: ItemEntry,
+        join: {
+          from: 'items_entries.purchaseOrderEntryId',
+          to: 'items_entries.id',
+        },
+      },
+
+      salesOrder: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SalesOrder.default,
+        join: {
+          from: 'items_entries.referenceId',
+          to: 'sales_orders.id',
+        },
+      },
+
+      /**
+       * Sales order line that the invoice entry was invoiced from.
+       */
+      salesOrderEntry: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: ItemEntry,
+        join: {
+          from: 'items_entries.salesOrderEntryId',
+          to: 'items_entries.id',
+        },
+      },
+
       /**
        * Sale receipt reference.
        */
@@ -2,6 +2,9 @@ import { Model } from 'objection';
 import TenantModel from 'models/TenantModel';
 
 export default class ItemWarehouseQuantity extends TenantModel {
+  public quantityOnHand: number;
+  public quantityCommitted: number;
+
   /**
    * Table name.
    */
@@ -9,6 +12,21 @@ export default class ItemWarehouseQuantity extends TenantModel {
     return 'items_warehouses_quantity';
   }
 
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['quantityAvailable'];
+  }
+
+  /**
+   * Quantity on hand that is not committed to sales orders.
+   * @returns {number}
+   */
+  get quantityAvailable() {
+    return (this.quantityOnHand || 0) - (this.quantityCommitted || 0);
+  }
+
   static get relationMappings() {
     const Item = require('models/Item');
     const Warehouse = require('models/Warehouse');
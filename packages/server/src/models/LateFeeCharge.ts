@@ -0,0 +1,71 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class LateFeeCharge extends TenantModel {
+  saleInvoiceId!: number;
+  chargeDate!: Date | string;
+  amount!: number;
+  feeInvoiceId!: number | null;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'late_fee_charges';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isWaived'];
+  }
+
+  /**
+   * Detarmines whether the charge is waived, the fee invoice is deleted.
+   * @returns {boolean}
+   */
+  get isWaived(): boolean {
+    return !this.feeInvoiceId;
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const SaleInvoice = require('models/SaleInvoice');
+
+    return {
+      /**
+       * Late fee charge belongs to the overdue invoice.
+       */
+      saleInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'late_fee_charges.saleInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+
+      /**
+       * Late fee charge may belongs to the late fee invoice.
+       */
+      feeInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'late_fee_charges.feeInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+    };
+  }
+}
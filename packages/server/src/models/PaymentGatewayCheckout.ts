@@ -0,0 +1,92 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export class PaymentGatewayCheckout extends TenantModel {
+  driver!: string;
+  sessionId!: string;
+  saleInvoiceId!: number;
+  amount!: number;
+  currencyCode!: string;
+  status!: string;
+  paymentId!: string | null;
+  fee!: number;
+  paymentReceiveId!: number | null;
+  expenseId!: number | null;
+  completedAt!: Date | null;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'payment_gateway_checkouts';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isCompleted'];
+  }
+
+  /**
+   * Detarmines whether the checkout is completed.
+   * @returns {boolean}
+   */
+  get isCompleted(): boolean {
+    return !!this.completedAt;
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const SaleInvoice = require('models/SaleInvoice');
+    const PaymentReceive = require('models/PaymentReceive');
+    const Expense = require('models/Expense');
+
+    return {
+      /**
+       * Checkout may belongs to sale invoice.
+       */
+      saleInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'payment_gateway_checkouts.saleInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+
+      /**
+       * Checkout may belongs to the created payment receive.
+       */
+      paymentReceive: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: PaymentReceive.default,
+        join: {
+          from: 'payment_gateway_checkouts.paymentReceiveId',
+          to: 'payment_receives.id',
+        },
+      },
+
+      /**
+       * Checkout may belongs to the processor fee expense.
+       */
+      expense: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Expense.default,
+        join: {
+          from: 'payment_gateway_checkouts.expenseId',
+          to: 'expenses_transactions.id',
+        },
+      },
+    };
+  }
+}
@@ -29,7 +29,7 @@ export default class PaymentReceive extends mixin(TenantModel, [
    * Virtual attributes.
    */
   static get virtualAttributes() {
-    return ['localAmount'];
+    return ['localAmount', 'discountAmountLocal'];
   }
 
   /**
@@ -40,6 +40,14 @@ export default class PaymentReceive extends mixin(TenantModel, [
     return this.amount * this.exchangeRate;
   }
 
+  /**
+   * Early payment discount amount in local currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
   /**
    * Resourcable model.
    */
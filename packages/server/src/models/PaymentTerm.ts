@@ -0,0 +1,31 @@
+import TenantModel from 'models/TenantModel';
+
+export default class PaymentTerm extends TenantModel {
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'payment_terms';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the active payment terms.
+       */
+      active(query) {
+        query.where('active', true);
+      },
+    };
+  }
+}
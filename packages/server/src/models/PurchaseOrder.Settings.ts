@@ -0,0 +1,272 @@
+export default {
+  defaultFilterField: 'order_date',
+  defaultSort: {
+    sortOrder: 'DESC',
+    sortField: 'order_date',
+  },
+  exportable: true,
+  exportFlattenOn: 'entries',
+
+  importable: true,
+  importAggregator: 'group',
+  importAggregateOn: 'entries',
+  importAggregateBy: 'orderNumber',
+
+  print: {
+    pageTitle: 'Purchase Orders',
+  },
+
+  fields: {
+    amount: {
+      name: 'purchase_order.field.amount',
+      column: 'amount',
+      fieldType: 'number',
+    },
+    order_number: {
+      name: 'purchase_order.field.order_number',
+      column: 'order_number',
+      fieldType: 'text',
+    },
+    vendor: {
+      name: 'purchase_order.field.vendor',
+      column: 'vendor_id',
+      fieldType: 'relation',
+
+      relationType: 'enumeration',
+      relationKey: 'vendor',
+
+      relationEntityLabel: 'display_name',
+      relationEntityKey: 'id',
+    },
+    order_date: {
+      name: 'purchase_order.field.order_date',
+      column: 'order_date',
+      fieldType: 'date',
+    },
+    delivery_date: {
+      name: 'purchase_order.field.delivery_date',
+      column: 'delivery_date',
+      fieldType: 'date',
+    },
+    reference_no: {
+      name: 'purchase_order.field.reference_no',
+      column: 'reference_no',
+      fieldType: 'text',
+    },
+    note: {
+      name: 'purchase_order.field.note',
+      column: 'note',
+      fieldType: 'text',
+    },
+    terms_conditions: {
+      name: 'purchase_order.field.terms_conditions',
+      column: 'terms_conditions',
+      fieldType: 'text',
+    },
+    status: {
+      name: 'purchase_order.field.status',
+      fieldType: 'enumeration',
+      options: [
+        { label: 'purchase_order.field.status.draft', key: 'draft' },
+        { label: 'purchase_order.field.status.open', key: 'open' },
+        {
+          label: 'purchase_order.field.status.partially_billed',
+          key: 'partially-billed',
+        },
+        { label: 'purchase_order.field.status.billed', key: 'billed' },
+        { label: 'purchase_order.field.status.closed', key: 'closed' },
+      ],
+      filterCustomQuery: StatusFieldFilterQuery,
+      sortCustomQuery: StatusFieldSortQuery,
+    },
+    created_at: {
+      name: 'purchase_order.field.created_at',
+      column: 'created_at',
+      columnType: 'date',
+    },
+  },
+  columns: {
+    vendor: {
+      name: 'Vendor',
+      type: 'text',
+      accessor: 'vendor.displayName',
+      exportable: true,
+    },
+    orderDate: {
+      name: 'Order Date',
+      type: 'date',
+      accessor: 'formattedOrderDate',
+      exportable: true,
+    },
+    deliveryDate: {
+      name: 'Delivery Date',
+      type: 'date',
+      accessor: 'formattedDeliveryDate',
+      exportable: true,
+    },
+    orderNumber: {
+      name: 'Order No.',
+      type: 'text',
+      exportable: true,
+    },
+    referenceNo: {
+      name: 'Reference No.',
+      type: 'text',
+      exportable: true,
+    },
+    amount: {
+      name: 'Amount',
+      accessor: 'formattedAmount',
+      type: 'text',
+    },
+    exchangeRate: {
+      name: 'Exchange Rate',
+      type: 'number',
+      exportable: true,
+      printable: false,
+    },
+    currencyCode: {
+      name: 'Currency',
+      type: 'text',
+      exportable: true,
+      printable: false,
+    },
+    note: {
+      name: 'Note',
+      type: 'text',
+      exportable: true,
+      printable: false,
+    },
+    termsConditions: {
+      name: 'Terms & Conditions',
+      type: 'text',
+      exportable: true,
+      printable: false,
+    },
+    delivered: {
+      name: 'Delivered',
+      type: 'boolean',
+      accessor: 'isDelivered',
+      exportable: true,
+      printable: false,
+    },
+    entries: {
+      name: 'Entries',
+      accessor: 'entries',
+      type: 'collection',
+      collectionOf: 'object',
+      columns: {
+        itemName: {
+          name: 'Item Name',
+          accessor: 'item.name',
+        },
+        rate: {
+          name: 'Item Rate',
+          accessor: 'rateFormatted',
+        },
+        quantity: {
+          name: 'Item Quantity',
+          accessor: 'quantityFormatted',
+        },
+        billedQuantity: {
+          name: 'Billed Quantity',
+          accessor: 'billedQuantity',
+          printable: false,
+        },
+        description: {
+          name: 'Item Description',
+          printable: false,
+        },
+        amount: {
+          name: 'Item Amount',
+          accessor: 'totalFormatted',
+        },
+      },
+    },
+  },
+  fields2: {
+    vendorId: {
+      name: 'Vendor',
+      fieldType: 'relation',
+      relationModel: 'Contact',
+      relationImportMatch: ['displayName'],
+      required: true,
+    },
+    orderDate: {
+      name: 'Order Date',
+      fieldType: 'date',
+      required: true,
+    },
+    deliveryDate: {
+      name: 'Delivery Date',
+      fieldType: 'date',
+    },
+    orderNumber: {
+      name: 'Order No.',
+      fieldType: 'text',
+    },
+    referenceNo: {
+      name: 'Reference No.',
+      fieldType: 'text',
+    },
+    exchangeRate: {
+      name: 'Exchange Rate',
+      fieldType: 'number',
+    },
+    currencyCode: {
+      name: 'Currency',
+      fieldType: 'text',
+    },
+    note: {
+      name: 'Note',
+      fieldType: 'text',
+    },
+    termsConditions: {
+      name: 'Terms & Conditions',
+      fieldType: 'text',
+    },
+    delivered: {
+      name: 'Delivered',
+      type: 'boolean',
+    },
+    entries: {
+      name: 'Entries',
+      fieldType: 'collection',
+      collectionOf: 'object',
+      collectionMinLength: 1,
+      required: true,
+      fields: {
+        itemId: {
+          name: 'invoice.field.item_name',
+          fieldType: 'relation',
+          relationModel: 'Item',
+          relationImportMatch: ['name', 'code'],
+          required: true,
+          importHint: 'Matches the item name or code.',
+        },
+        rate: {
+          name: 'invoice.field.rate',
+          fieldType: 'number',
+          required: true,
+        },
+        quantity: {
+          name: 'invoice.field.quantity',
+          fieldType: 'number',
+          required: true,
+        },
+        description: {
+          name: 'Line Description',
+          fieldType: 'text',
+        },
+      },
+    },
+  },
+};
+
+function StatusFieldSortQuery(query, role) {
+  query.modify('orderByStatus', role.order);
+}
+
+function StatusFieldFilterQuery(query, role) {
+  query.modify('filterByStatus', role.value);
+}
@@ -0,0 +1,273 @@
+import { Model, mixin } from 'objection';
+import TenantModel from 'models/TenantModel';
+import PurchaseOrderSettings from './PurchaseOrder.Settings';
+import ModelSetting from './ModelSetting';
+import CustomViewBaseModel from './CustomViewBaseModel';
+import { DEFAULT_VIEWS } from '@/services/Purchases/PurchaseOrders/constants';
+import ModelSearchable from './ModelSearchable';
+
+export default class PurchaseOrder extends mixin(TenantModel, [
+  ModelSetting,
+  CustomViewBaseModel,
+  ModelSearchable,
+]) {
+  public amount: number;
+  public exchangeRate: number;
+  public deliveredAt: Date | string | null;
+  public billedAt: Date | string | null;
+  public closedAt: Date | string | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'purchase_orders';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['localAmount', 'isDelivered', 'isFullyBilled', 'isClosed'];
+  }
+
+  /**
+   * Purchase order amount in local currency.
+   * @returns {number}
+   */
+  get localAmount() {
+    return this.amount * this.exchangeRate;
+  }
+
+  /**
+   * Detarmines whether the purchase order is delivered to the vendor.
+   * @return {boolean}
+   */
+  get isDelivered() {
+    return !!this.deliveredAt;
+  }
+
+  /**
+   * Detarmines whether all the purchase order lines have been billed.
+   * @return {boolean}
+   */
+  get isFullyBilled() {
+    return !!this.billedAt;
+  }
+
+  /**
+   * Detarmines whether the purchase order is closed.
+   * @return {boolean}
+   */
+  get isClosed() {
+    return !!this.closedAt;
+  }
+
+  /**
+   * Allows to mark model as resourceable to viewable and filterable.
+   */
+  static get resourceable() {
+    return true;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the drafted purchase orders.
+       */
+      draft(query) {
+        query.where('delivered_at', null);
+      },
+      /**
+       * Filters the delivered purchase orders.
+       */
+      delivered(query) {
+        query.whereNot('delivered_at', null);
+      },
+      /**
+       * Filters the delivered purchase orders that have no bills yet.
+       */
+      open(query) {
+        query
+          .whereNot('delivered_at', null)
+          .where('closed_at', null)
+          .whereNotIn('id', (builder) => {
+            builder
+              .select('purchase_order_id')
+              .from('bills')
+              .whereNotNull('purchase_order_id');
+          });
+      },
+      /**
+       * Filters the purchase orders that have been billed partially.
+       */
+      partiallyBilled(query) {
+        query
+          .where('billed_at', null)
+          .where('closed_at', null)
+          .whereIn('id', (builder) => {
+            builder.select('purchase_order_id').from('bills');
+          });
+      },
+      /**
+       * Filters the fully billed purchase orders.
+       */
+      billed(query) {
+        query.whereNot('billed_at', null);
+      },
+      /**
+       * Filters the closed purchase orders.
+       */
+      closed(query) {
+        query.whereNot('closed_at', null);
+      },
+      /**
+       * Sorting the purchase orders by delivery status.
+       */
+      orderByStatus(query, order) {
+        query.orderByRaw(`delivered_at is null ${order}`);
+      },
+      /**
+       * Filtering the purchase orders by status field.
+       */
+      filterByStatus(query, filterType) {
+        switch (filterType) {
+          case 'draft':
+            query.modify('draft');
+            break;
+          case 'delivered':
+            query.modify('delivered');
+            break;
+          case 'open':
+            query.modify('open');
+            break;
+          case 'partially-billed':
+            query.modify('partiallyBilled');
+            break;
+          case 'billed':
+            query.modify('billed');
+            break;
+          case 'closed':
+            query.modify('closed');
+            break;
+        }
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const ItemEntry = require('models/ItemEntry');
+    const Vendor = require('models/Vendor');
+    const Bill = require('models/Bill');
+    const Branch = require('models/Branch');
+    const Warehouse = require('models/Warehouse');
+
+    return {
+      vendor: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Vendor.default,
+        join: {
+          from: 'purchase_orders.vendorId',
+          to: 'contacts.id',
+        },
+        filter(query) {
+          query.where('contact_service', 'vendor');
+        },
+      },
+
+      entries: {
+        relation: Model.HasManyRelation,
+        modelClass: ItemEntry.default,
+        join: {
+          from: 'purchase_orders.id',
+          to: 'items_entries.referenceId',
+        },
+        filter(builder) {
+          builder.where('reference_type', 'PurchaseOrder');
+          builder.orderBy('index', 'ASC');
+        },
+      },
+
+      /**
+       * Purchase order may has many bills converted from it.
+       */
+      bills: {
+        relation: Model.HasManyRelation,
+        modelClass: Bill.default,
+        join: {
+          from: 'purchase_orders.id',
+          to: 'bills.purchaseOrderId',
+        },
+      },
+
+      /**
+       * Purchase order may belongs to branch.
+       */
+      branch: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Branch.default,
+        join: {
+          from: 'purchase_orders.branchId',
+          to: 'branches.id',
+        },
+      },
+
+      /**
+       * Purchase order may belongs to warehouse.
+       */
+      warehouse: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Warehouse.default,
+        join: {
+          from: 'purchase_orders.warehouseId',
+          to: 'warehouses.id',
+        },
+      },
+    };
+  }
+
+  /**
+   * Model settings.
+   */
+  static get meta() {
+    return PurchaseOrderSettings;
+  }
+
+  /**
+   * Retrieve the default custom views, roles and columns.
+   */
+  static get defaultViews() {
+    return DEFAULT_VIEWS;
+  }
+
+  /**
+   * Model search roles.
+   */
+  static get searchRoles() {
+    return [
+      { fieldKey: 'amount', comparator: 'equals' },
+      { condition: 'or', fieldKey: 'order_number', comparator: 'contains' },
+      { condition: 'or', fieldKey: 'reference_no', comparator: 'contains' },
+    ];
+  }
+
+  /**
+   * Prevents mutate base currency since the model is not empty.
+   */
+  static get preventMutateBaseCurrency() {
+    return true;
+  }
+}
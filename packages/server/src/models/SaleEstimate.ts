@@ -13,6 +13,12 @@ export default class SaleEstimate extends mixin(TenantModel, [
   CustomViewBaseModel,
   ModelSearchable,
 ]) {
+  public amount: number;
+  public exchangeRate: number;
+  public discountAmount: number;
+  public shippingCharge: number;
+  public adjustment: number;
+
   /**
    * Table name
    */
@@ -38,6 +44,11 @@ export default class SaleEstimate extends mixin(TenantModel, [
       'isConvertedToInvoice',
       'isApproved',
       'isRejected',
+      'discountAmountLocal',
+      'shippingChargeLocal',
+      'adjustmentLocal',
+      'total',
+      'totalLocal',
     ];
   }
 
@@ -49,6 +60,52 @@ export default class SaleEstimate extends mixin(TenantModel, [
     return this.amount * this.exchangeRate;
   }
 
+  /**
+   * Discount amount in base currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
+  /**
+   * Shipping charge in base currency.
+   * @returns {number}
+   */
+  get shippingChargeLocal() {
+    return this.shippingCharge * this.exchangeRate;
+  }
+
+  /**
+   * Rounding adjustment in base currency.
+   * @returns {number}
+   */
+  get adjustmentLocal() {
+    return this.adjustment * this.exchangeRate;
+  }
+
+  /**
+   * Sale estimate total.
+   * Equation (Amount - Discount + Shipping charge + Adjustment)
+   * @returns {number}
+   */
+  get total() {
+    return (
+      this.amount -
+      (this.discountAmount || 0) +
+      (this.shippingCharge || 0) +
+      (this.adjustment || 0)
+    );
+  }
+
+  /**
+   * Sale estimate total in base currency.
+   * @returns {number}
+   */
+  get totalLocal() {
+    return this.total * this.exchangeRate;
+  }
+
   /**
    * Detarmines whether the sale estimate converted to sale invoice.
    * @return {boolean}
@@ -183,6 +240,7 @@ export default class SaleEstimate extends mixin(TenantModel, [
     const Customer = require('models/Customer');
     const Branch = require('models/Branch');
     const Document = require('models/Document');
+    const SalesOrder = require('models/SalesOrder');
 
     return {
       customer: {
@@ -239,6 +297,18 @@ export default class SaleEstimate extends mixin(TenantModel, [
           query.where('model_ref', 'SaleEstimate');
         },
       },
+
+      /**
+       * Sale estimate may be converted to sales order.
+       */
+      salesOrder: {
+        relation: Model.HasOneRelation,
+        modelClass: SalesOrder.default,
+        join: {
+          from: 'sales_estimates.id',
+          to: 'sales_orders.saleEstimateId',
+        },
+      },
     };
   }
 
@@ -7,6 +7,10 @@ import SaleInvoiceMeta from './SaleInvoice.Settings';
 import CustomViewBaseModel from './CustomViewBaseModel';
 import { DEFAULT_VIEWS } from '@/services/Sales/Invoices/constants';
 import ModelSearchable from './ModelSearchable';
+import { calcDiscountTaxAmount } from '@/utils/discount';
+
+// The document total after the discount, shipping charge and adjustment.
+const INVOICE_TOTAL_SQL = `(COALESCE(BALANCE, 0) - COALESCE(DISCOUNT_AMOUNT, 0) + COALESCE(SHIPPING_CHARGE, 0) + COALESCE(ADJUSTMENT, 0))`;
 
 export default class SaleInvoice extends mixin(TenantModel, [
   ModelSetting,
@@ -18,6 +22,10 @@ export default class SaleInvoice extends mixin(TenantModel, [
   public paymentAmount: number;
   public exchangeRate: number;
   public writtenoffAmount: number;
+  public discountAmount: number;
+  public isDiscountBeforeTax: boolean;
+  public shippingCharge: number;
+  public adjustment: number;
   public creditedAmount: number;
   public isInclusiveTax: boolean;
   public writtenoffAt: Date;
@@ -67,6 +75,13 @@ export default class SaleInvoice extends mixin(TenantModel, [
       'subtotalExludingTax',
 
       'taxAmountWithheldLocal',
+
+      'discountAmountLocal',
+      'discountTaxAmount',
+      'discountTaxAmountLocal',
+      'shippingChargeLocal',
+      'adjustmentLocal',
+
       'total',
       'totalLocal',
 
@@ -125,14 +140,70 @@ export default class SaleInvoice extends mixin(TenantModel, [
     return this.taxAmountWithheld * this.exchangeRate;
   }
 
+  /**
+   * Discount amount in base currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
+  /**
+   * Tax amount lowered by the discount, only the discount before tax
+   * lowers the tax.
+   * @returns {number}
+   */
+  get discountTaxAmount() {
+    return this.isDiscountBeforeTax
+      ? calcDiscountTaxAmount(
+          this.taxAmountWithheld,
+          this.discountAmount,
+          this.subtotalExludingTax
+        )
+      : 0;
+  }
+
+  /**
+   * Tax amount lowered by the discount in base currency.
+   * @returns {number}
+   */
+  get discountTaxAmountLocal() {
+    return this.discountTaxAmount * this.exchangeRate;
+  }
+
+  /**
+   * Shipping charge in base currency.
+   * @returns {number}
+   */
+  get shippingChargeLocal() {
+    return this.shippingCharge * this.exchangeRate;
+  }
+
+  /**
+   * Rounding adjustment in base currency.
+   * @returns {number}
+   */
+  get adjustmentLocal() {
+    return this.adjustment * this.exchangeRate;
+  }
+
   /**
    * Invoice total. (Tax included)
+   * Equation (Subtotal + Tax - Discount + Shipping charge + Adjustment)
    * @returns {number}
    */
   get total() {
-    return this.isInclusiveTax
+    const totalTaxIncluded = this.isInclusiveTax
       ? this.subtotal
       : this.subtotal + this.taxAmountWithheld;
+
+    return (
+      totalTaxIncluded -
+      (this.discountAmount || 0) -
+      this.discountTaxAmount +
+      (this.shippingCharge || 0) +
+      (this.adjustment || 0)
+    );
   }
 
   /**
@@ -242,6 +313,9 @@ export default class SaleInvoice extends mixin(TenantModel, [
         query.where(
           raw(`
             COALESCE(BALANCE, 0) -
+            COALESCE(DISCOUNT_AMOUNT, 0) +
+            COALESCE(SHIPPING_CHARGE, 0) +
+            COALESCE(ADJUSTMENT, 0) -
             COALESCE(PAYMENT_AMOUNT, 0) -
             COALESCE(WRITTENOFF_AMOUNT, 0) -
             COALESCE(CREDITED_AMOUNT, 0) > 0
@@ -304,13 +378,13 @@ export default class SaleInvoice extends mixin(TenantModel, [
        */
       partiallyPaid(query) {
         query.whereNot('payment_amount', 0);
-        query.whereNot(raw('`PAYMENT_AMOUNT` = `BALANCE`'));
+        query.whereNot(raw(`PAYMENT_AMOUNT = ${INVOICE_TOTAL_SQL}`));
       },
       /**
        * Filters the paid invoices.
        */
       paid(query) {
-        query.where(raw('PAYMENT_AMOUNT = BALANCE'));
+        query.where(raw(`PAYMENT_AMOUNT = ${INVOICE_TOTAL_SQL}`));
       },
       /**
        * Filters the sale invoices from the given date.
@@ -322,14 +396,14 @@ export default class SaleInvoice extends mixin(TenantModel, [
        * Sort the sale invoices by full-payment invoices.
        */
       sortByStatus(query, order) {
-        query.orderByRaw(`PAYMENT_AMOUNT = BALANCE ${order}`);
+        query.orderByRaw(`PAYMENT_AMOUNT = ${INVOICE_TOTAL_SQL} ${order}`);
       },
 
       /**
        * Sort the sale invoices by the due amount.
        */
       sortByDueAmount(query, order) {
-        query.orderByRaw(`BALANCE - PAYMENT_AMOUNT ${order}`);
+        query.orderByRaw(`${INVOICE_TOTAL_SQL} - PAYMENT_AMOUNT ${order}`);
       },
 
       /**
@@ -412,6 +486,10 @@ export default class SaleInvoice extends mixin(TenantModel, [
     const TaxRateTransaction = require('models/TaxRateTransaction');
     const Document = require('models/Document');
     const { MatchedBankTransaction } = require('models/MatchedBankTransaction');
+    const SalesOrder = require('models/SalesOrder');
+    const { SaleInvoiceDunningLog } = require('models/SaleInvoiceDunningLog');
+    const PaymentTerm = require('models/PaymentTerm');
+    const LateFeeCharge = require('models/LateFeeCharge');
 
     return {
       /**
@@ -559,6 +637,78 @@ export default class SaleInvoice extends mixin(TenantModel, [
           query.where('reference_type', 'SaleInvoice');
         },
       },
+
+      /**
+       * Sale invoice may be converted from a sales order.
+       */
+      salesOrder: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SalesOrder.default,
+        join: {
+          from: 'sales_invoices.salesOrderId',
+          to: 'sales_orders.id',
+        },
+      },
+
+      /**
+       * Sale invoice may have many dunning reminders logs.
+       */
+      dunningLogs: {
+        relation: Model.HasManyRelation,
+        modelClass: SaleInvoiceDunningLog,
+        join: {
+          from: 'sales_invoices.id',
+          to: 'sale_invoice_dunning_logs.saleInvoiceId',
+        },
+      },
+
+      /**
+       * Sale invoice may have many late fee invoices charged on it.
+       */
+      lateFeeInvoices: {
+        relation: Model.HasManyRelation,
+        modelClass: SaleInvoice,
+        join: {
+          from: 'sales_invoices.id',
+          to: 'sales_invoices.lateFeeForInvoiceId',
+        },
+      },
+
+      /**
+       * Overdue invoice may has many late fee charges.
+       */
+      lateFeeCharges: {
+        relation: Model.HasManyRelation,
+        modelClass: LateFeeCharge.default,
+        join: {
+          from: 'sales_invoices.id',
+          to: 'late_fee_charges.saleInvoiceId',
+        },
+      },
+
+      /**
+       * Late fee invoice belongs to the overdue invoice it charges.
+       */
+      lateFeeForInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice,
+        join: {
+          from: 'sales_invoices.lateFeeForInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+
+      /**
+       * Sale invoice may belongs to payment term.
+       */
+      paymentTerm: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: PaymentTerm.default,
+        join: {
+          from: 'sales_invoices.paymentTermId',
+          to: 'payment_terms.id',
+        },
+      },
     };
   }
 
@@ -0,0 +1,59 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export class SaleInvoiceDunningLog extends TenantModel {
+  saleInvoiceId!: number;
+  dunningLevelId!: number | null;
+  levelName!: string;
+  daysOffset!: number;
+  sentTo!: string;
+  sentAt!: Date;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'sale_invoice_dunning_logs';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const SaleInvoice = require('models/SaleInvoice');
+    const { DunningLevel } = require('models/DunningLevel');
+
+    return {
+      /**
+       * Log belongs to sale invoice.
+       */
+      saleInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'sale_invoice_dunning_logs.saleInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+
+      /**
+       * Log may belongs to dunning level.
+       */
+      dunningLevel: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: DunningLevel,
+        join: {
+          from: 'sale_invoice_dunning_logs.dunningLevelId',
+          to: 'dunning_levels.id',
+        },
+      },
+    };
+  }
+}
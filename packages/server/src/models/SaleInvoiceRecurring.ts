@@ -0,0 +1,172 @@
+import { Model } from 'objection';
+import moment from 'moment';
+import TenantModel from 'models/TenantModel';
+
+export default class SaleInvoiceRecurring extends TenantModel {
+  public name: string;
+  public customerId: number;
+  public frequency: string;
+  public repeatInterval: number;
+  public startDate: Date;
+  public endDate: Date | null;
+  public nextRunAt: Date | null;
+  public lastRunAt: Date | null;
+  public dueDays: number;
+  public autoDeliver: boolean;
+  public active: boolean;
+  public userId: number;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'sales_invoices_recurring';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isCompleted', 'isActive', 'status'];
+  }
+
+  /**
+   * Detarmines whether the recurring profile has no more runs.
+   * @returns {boolean}
+   */
+  get isCompleted() {
+    return !this.nextRunAt;
+  }
+
+  /**
+   * Detarmines whether the recurring profile is active and still running.
+   * @returns {boolean}
+   */
+  get isActive() {
+    return !!this.active && !this.isCompleted;
+  }
+
+  /**
+   * Retrieves the recurring profile status.
+   * @returns {string}
+   */
+  get status() {
+    if (this.isCompleted) {
+      return 'completed';
+    }
+    return this.active ? 'active' : 'inactive';
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the active recurring profiles.
+       */
+      active(query) {
+        query.where('active', true);
+      },
+
+      /**
+       * Filters the recurring profiles that due to run on the given date.
+       */
+      dueToRun(query, asDate = moment().format('YYYY-MM-DD')) {
+        query.modify('active');
+        query.whereNotNull('next_run_at');
+        query.where('next_run_at', '<=', asDate);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const ItemEntry = require('models/ItemEntry');
+    const Customer = require('models/Customer');
+    const Branch = require('models/Branch');
+    const Warehouse = require('models/Warehouse');
+    const SaleInvoiceRecurringHistory = require('models/SaleInvoiceRecurringHistory');
+
+    return {
+      /**
+       * Recurring profile associated entries.
+       */
+      entries: {
+        relation: Model.HasManyRelation,
+        modelClass: ItemEntry.default,
+        join: {
+          from: 'sales_invoices_recurring.id',
+          to: 'items_entries.referenceId',
+        },
+        filter(builder) {
+          builder.where('reference_type', 'SaleInvoiceRecurring');
+          builder.orderBy('index', 'ASC');
+        },
+      },
+
+      /**
+       * Belongs to customer model.
+       */
+      customer: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Customer.default,
+        join: {
+          from: 'sales_invoices_recurring.customerId',
+          to: 'contacts.id',
+        },
+        filter(query) {
+          query.where('contact_service', 'Customer');
+        },
+      },
+
+      /**
+       * Recurring profile may has associated branch.
+       */
+      branch: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Branch.default,
+        join: {
+          from: 'sales_invoices_recurring.branchId',
+          to: 'branches.id',
+        },
+      },
+
+      /**
+       * Recurring profile may has associated warehouse.
+       */
+      warehouse: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Warehouse.default,
+        join: {
+          from: 'sales_invoices_recurring.warehouseId',
+          to: 'warehouses.id',
+        },
+      },
+
+      /**
+       * Recurring profile has many generated invoices history.
+       */
+      history: {
+        relation: Model.HasManyRelation,
+        modelClass: SaleInvoiceRecurringHistory.default,
+        join: {
+          from: 'sales_invoices_recurring.id',
+          to: 'sales_invoices_recurring_history.recurringId',
+        },
+        filter(builder) {
+          builder.orderBy('run_date', 'DESC');
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class SaleInvoiceRecurringHistory extends TenantModel {
+  public recurringId: number;
+  public saleInvoiceId: number | null;
+  public runDate: Date;
+  public status: string;
+  public errorMessage: string | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'sales_invoices_recurring_history';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['created_at', 'updated_at'];
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const SaleInvoice = require('models/SaleInvoice');
+    const SaleInvoiceRecurring = require('models/SaleInvoiceRecurring');
+
+    return {
+      /**
+       * History entry belongs to the generated sale invoice.
+       */
+      saleInvoice: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'sales_invoices_recurring_history.saleInvoiceId',
+          to: 'sales_invoices.id',
+        },
+      },
+
+      /**
+       * History entry belongs to the recurring profile.
+       */
+      recurring: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleInvoiceRecurring.default,
+        join: {
+          from: 'sales_invoices_recurring_history.recurringId',
+          to: 'sales_invoices_recurring.id',
+        },
+      },
+    };
+  }
+}
@@ -11,6 +11,12 @@ export default class SaleReceipt extends mixin(TenantModel, [
   CustomViewBaseModel,
   ModelSearchable,
 ]) {
+  public amount: number;
+  public exchangeRate: number;
+  public discountAmount: number;
+  public shippingCharge: number;
+  public adjustment: number;
+
   /**
    * Table name
    */
@@ -29,7 +35,16 @@ export default class SaleReceipt extends mixin(TenantModel, [
    * Virtual attributes.
    */
   static get virtualAttributes() {
-    return ['localAmount', 'isClosed', 'isDraft'];
+    return [
+      'localAmount',
+      'isClosed',
+      'isDraft',
+      'discountAmountLocal',
+      'shippingChargeLocal',
+      'adjustmentLocal',
+      'total',
+      'totalLocal',
+    ];
   }
 
   /**
@@ -40,6 +55,52 @@ export default class SaleReceipt extends mixin(TenantModel, [
     return this.amount * this.exchangeRate;
   }
 
+  /**
+   * Discount amount in base currency.
+   * @returns {number}
+   */
+  get discountAmountLocal() {
+    return this.discountAmount * this.exchangeRate;
+  }
+
+  /**
+   * Shipping charge in base currency.
+   * @returns {number}
+   */
+  get shippingChargeLocal() {
+    return this.shippingCharge * this.exchangeRate;
+  }
+
+  /**
+   * Rounding adjustment in base currency.
+   * @returns {number}
+   */
+  get adjustmentLocal() {
+    return this.adjustment * this.exchangeRate;
+  }
+
+  /**
+   * Sale receipt total.
+   * Equation (Amount - Discount + Shipping charge + Adjustment)
+   * @returns {number}
+   */
+  get total() {
+    return (
+      this.amount -
+      (this.discountAmount || 0) +
+      (this.shippingCharge || 0) +
+      (this.adjustment || 0)
+    );
+  }
+
+  /**
+   * Sale receipt total in base currency.
+   * @returns {number}
+   */
+  get totalLocal() {
+    return this.total * this.exchangeRate;
+  }
+
   /**
    * Detarmine whether the sale receipt closed.
    * @return {boolean}
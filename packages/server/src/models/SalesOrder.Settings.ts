@@ -0,0 +1,87 @@
+export default {
+  defaultFilterField: 'order_date',
+  defaultSort: {
+    sortOrder: 'DESC',
+    sortField: 'order_date',
+  },
+  print: {
+    pageTitle: 'Sales Orders',
+  },
+  fields: {
+    amount: {
+      name: 'sales_order.field.amount',
+      column: 'amount',
+      fieldType: 'number',
+    },
+    order_number: {
+      name: 'sales_order.field.order_number',
+      column: 'order_number',
+      fieldType: 'text',
+    },
+    customer: {
+      name: 'sales_order.field.customer',
+      column: 'customer_id',
+      fieldType: 'relation',
+
+      relationType: 'enumeration',
+      relationKey: 'customer',
+
+      relationEntityLabel: 'display_name',
+      relationEntityKey: 'id',
+    },
+    order_date: {
+      name: 'sales_order.field.order_date',
+      column: 'order_date',
+      fieldType: 'date',
+    },
+    shipment_date: {
+      name: 'sales_order.field.shipment_date',
+      column: 'shipment_date',
+      fieldType: 'date',
+    },
+    reference_no: {
+      name: 'sales_order.field.reference_no',
+      column: 'reference_no',
+      fieldType: 'text',
+    },
+    note: {
+      name: 'sales_order.field.note',
+      column: 'note',
+      fieldType: 'text',
+    },
+    terms_conditions: {
+      name: 'sales_order.field.terms_conditions',
+      column: 'terms_conditions',
+      fieldType: 'text',
+    },
+    status: {
+      name: 'sales_order.field.status',
+      fieldType: 'enumeration',
+      options: [
+        { label: 'sales_order.field.status.draft', key: 'draft' },
+        { label: 'sales_order.field.status.confirmed', key: 'confirmed' },
+        {
+          label: 'sales_order.field.status.partially_invoiced',
+          key: 'partially-invoiced',
+        },
+        { label: 'sales_order.field.status.invoiced', key: 'invoiced' },
+        { label: 'sales_order.field.status.closed', key: 'closed' },
+      ],
+      filterCustomQuery: StatusFieldFilterQuery,
+      sortCustomQuery: StatusFieldSortQuery,
+    },
+    created_at: {
+      name: 'sales_order.field.created_at',
+      column: 'created_at',
+      columnType: 'date',
+    },
+  },
+};
+
+function StatusFieldSortQuery(query, role) {
+  query.modify('orderByStatus', role.order);
+}
+
+function StatusFieldFilterQuery(query, role) {
+  query.modify('filterByStatus', role.value);
+}
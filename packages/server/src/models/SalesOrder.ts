@@ -0,0 +1,286 @@
+import { Model, mixin } from 'objection';
+import TenantModel from 'models/TenantModel';
+import SalesOrderSettings from './SalesOrder.Settings';
+import ModelSetting from './ModelSetting';
+import CustomViewBaseModel from './CustomViewBaseModel';
+import { DEFAULT_VIEWS } from '@/services/Sales/SalesOrders/constants';
+import ModelSearchable from './ModelSearchable';
+
+export default class SalesOrder extends mixin(TenantModel, [
+  ModelSetting,
+  CustomViewBaseModel,
+  ModelSearchable,
+]) {
+  public amount: number;
+  public exchangeRate: number;
+  public confirmedAt: Date | string | null;
+  public invoicedAt: Date | string | null;
+  public closedAt: Date | string | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'sales_orders';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['localAmount', 'isConfirmed', 'isFullyInvoiced', 'isClosed'];
+  }
+
+  /**
+   * Sales order amount in local currency.
+   * @returns {number}
+   */
+  get localAmount() {
+    return this.amount * this.exchangeRate;
+  }
+
+  /**
+   * Detarmines whether the sales order is confirmed.
+   * @return {boolean}
+   */
+  get isConfirmed() {
+    return !!this.confirmedAt;
+  }
+
+  /**
+   * Detarmines whether all the sales order lines have been invoiced.
+   * @return {boolean}
+   */
+  get isFullyInvoiced() {
+    return !!this.invoicedAt;
+  }
+
+  /**
+   * Detarmines whether the sales order is closed.
+   * @return {boolean}
+   */
+  get isClosed() {
+    return !!this.closedAt;
+  }
+
+  /**
+   * Allows to mark model as resourceable to viewable and filterable.
+   */
+  static get resourceable() {
+    return true;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the drafted sales orders.
+       */
+      draft(query) {
+        query.where('confirmed_at', null);
+      },
+      /**
+       * Filters the confirmed sales orders that have no invoices yet.
+       */
+      confirmed(query) {
+        query
+          .whereNot('confirmed_at', null)
+          .where('closed_at', null)
+          .whereNotIn('id', (builder) => {
+            builder
+              .select('sales_order_id')
+              .from('sales_invoices')
+              .whereNotNull('sales_order_id');
+          });
+      },
+      /**
+       * Filters the sales orders that still commit stock.
+       */
+      committed(query) {
+        query
+          .whereNot('confirmed_at', null)
+          .where('invoiced_at', null)
+          .where('closed_at', null);
+      },
+      /**
+       * Filters the sales orders that have been invoiced partially.
+       */
+      partiallyInvoiced(query) {
+        query
+          .where('invoiced_at', null)
+          .where('closed_at', null)
+          .whereIn('id', (builder) => {
+            builder.select('sales_order_id').from('sales_invoices');
+          });
+      },
+      /**
+       * Filters the fully invoiced sales orders.
+       */
+      invoiced(query) {
+        query.whereNot('invoiced_at', null);
+      },
+      /**
+       * Filters the closed sales orders.
+       */
+      closed(query) {
+        query.whereNot('closed_at', null);
+      },
+      /**
+       * Sorting the sales orders by confirm status.
+       */
+      orderByStatus(query, order) {
+        query.orderByRaw(`confirmed_at is null ${order}`);
+      },
+      /**
+       * Filtering the sales orders by status field.
+       */
+      filterByStatus(query, filterType) {
+        switch (filterType) {
+          case 'draft':
+            query.modify('draft');
+            break;
+          case 'confirmed':
+            query.modify('confirmed');
+            break;
+          case 'partially-invoiced':
+            query.modify('partiallyInvoiced');
+            break;
+          case 'invoiced':
+            query.modify('invoiced');
+            break;
+          case 'closed':
+            query.modify('closed');
+            break;
+        }
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const ItemEntry = require('models/ItemEntry');
+    const Customer = require('models/Customer');
+    const SaleInvoice = require('models/SaleInvoice');
+    const SaleEstimate = require('models/SaleEstimate');
+    const Branch = require('models/Branch');
+    const Warehouse = require('models/Warehouse');
+
+    return {
+      customer: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Customer.default,
+        join: {
+          from: 'sales_orders.customerId',
+          to: 'contacts.id',
+        },
+        filter(query) {
+          query.where('contact_service', 'customer');
+        },
+      },
+
+      entries: {
+        relation: Model.HasManyRelation,
+        modelClass: ItemEntry.default,
+        join: {
+          from: 'sales_orders.id',
+          to: 'items_entries.referenceId',
+        },
+        filter(builder) {
+          builder.where('reference_type', 'SalesOrder');
+          builder.orderBy('index', 'ASC');
+        },
+      },
+
+      /**
+       * Sales order may has many invoices converted from it.
+       */
+      invoices: {
+        relation: Model.HasManyRelation,
+        modelClass: SaleInvoice.default,
+        join: {
+          from: 'sales_orders.id',
+          to: 'sales_invoices.salesOrderId',
+        },
+      },
+
+      /**
+       * Sales order may be created from sale estimate.
+       */
+      saleEstimate: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: SaleEstimate.default,
+        join: {
+          from: 'sales_orders.saleEstimateId',
+          to: 'sales_estimates.id',
+        },
+      },
+
+      /**
+       * Sales order may belongs to branch.
+       */
+      branch: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Branch.default,
+        join: {
+          from: 'sales_orders.branchId',
+          to: 'branches.id',
+        },
+      },
+
+      /**
+       * Sales order may belongs to warehouse.
+       */
+      warehouse: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Warehouse.default,
+        join: {
+          from: 'sales_orders.warehouseId',
+          to: 'warehouses.id',
+        },
+      },
+    };
+  }
+
+  /**
+   * Model settings.
+   */
+  static get meta() {
+    return SalesOrderSettings;
+  }
+
+  /**
+   * Retrieve the default custom views, roles and columns.
+   */
+  static get defaultViews() {
+    return DEFAULT_VIEWS;
+  }
+
+  /**
+   * Model search roles.
+   */
+  static get searchRoles() {
+    return [
+      { fieldKey: 'amount', comparator: 'equals' },
+      { condition: 'or', fieldKey: 'order_number', comparator: 'contains' },
+      { condition: 'or', fieldKey: 'reference_no', comparator: 'contains' },
+    ];
+  }
+
+  /**
+   * Prevents mutate base currency since the model is not empty.
+   */
+  static get preventMutateBaseCurrency() {
+    return true;
+  }
+}
@@ -68,5 +68,25 @@ export default {
       fieldType: 'number',
       required: true,
     },
+    fitid: {
+      name: 'Transaction ID',
+      fieldType: 'text',
+    },
+    valueDate: {
+      name: 'Value Date',
+      fieldType: 'date',
+    },
+    counterpartyName: {
+      name: 'Counterparty Name',
+      fieldType: 'text',
+    },
+    counterpartyIban: {
+      name: 'Counterparty IBAN',
+      fieldType: 'text',
+    },
+    accountIban: {
+      name: 'Account IBAN',
+      fieldType: 'text',
+    },
   },
 };
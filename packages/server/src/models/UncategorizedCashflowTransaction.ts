@@ -19,6 +19,10 @@ export default class UncategorizedCashflowTransaction extends mixin(
   payee!: string;
   description!: string;
   plaidTransactionId!: string;
+  fitid!: string;
+  valueDate!: Date | string;
+  counterpartyName!: string;
+  counterpartyIban!: string;
   recognizedTransactionId!: number;
 
   /**
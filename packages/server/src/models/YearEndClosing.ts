@@ -0,0 +1,99 @@
+import { Model } from 'objection';
+import TenantModel from 'models/TenantModel';
+
+export default class YearEndClosing extends TenantModel {
+  public fiscalYear: number;
+  public fromDate: Date;
+  public toDate: Date;
+  public retainedEarningsAccountId: number;
+  public manualJournalId: number | null;
+  public netIncome: number;
+  public previousLockActive: boolean;
+  public previousLockToDate: Date | null;
+  public closedAt: Date;
+  public reopenedAt: Date | null;
+
+  /**
+   * Table name
+   */
+  static get tableName() {
+    return 'year_end_closings';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isReopened'];
+  }
+
+  /**
+   * Detarmines whether the fiscal year has been reopened.
+   * @returns {boolean}
+   */
+  get isReopened() {
+    return !!this.reopenedAt;
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the closings that still in effect (not reopened).
+       */
+      closed(query) {
+        query.whereNull('reopened_at');
+      },
+
+      /**
+       * Filters the closings of the given fiscal year.
+       */
+      fiscalYear(query, fiscalYear: number) {
+        query.where('fiscal_year', fiscalYear);
+      },
+    };
+  }
+
+  /**
+   * Relationship mapping.
+   */
+  static get relationMappings() {
+    const Account = require('models/Account');
+    const ManualJournal = require('models/ManualJournal');
+
+    return {
+      /**
+       * Year-end closing belongs to the retained earnings account.
+       */
+      retainedEarningsAccount: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Account.default,
+        join: {
+          from: 'year_end_closings.retainedEarningsAccountId',
+          to: 'accounts.id',
+        },
+      },
+
+      /**
+       * Year-end closing may belongs to the closing manual journal.
+       */
+      manualJournal: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: ManualJournal.default,
+        join: {
+          from: 'year_end_closings.manualJournalId',
+          to: 'manual_journals.id',
+        },
+      },
+    };
+  }
+}
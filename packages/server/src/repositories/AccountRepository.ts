@@ -179,4 +179,187 @@ export default class AccountRepository extends TenantRepository {
     }
     return result;
   };
+
+  /**
+   * Finds or creates the payment gateway clearing account of the given currency,
+   * the online payments are deposited to it until the processor payout.
+   * @param {string} currencyCode
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreatePaymentClearing = async (
+    currencyCode: string = '',
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    let result = await this.model
+      .query(trx)
+      .onBuild((query) => {
+        if (currencyCode) {
+          query.where('currencyCode', currencyCode);
+        }
+        query.where('slug', 'payment-clearing');
+      })
+      .first();
+
+    if (!result) {
+      result = await this.model.query(trx).insertAndFetch({
+        name: this.i18n.__('account.payment_clearing.currency', {
+          currency: currencyCode,
+        }),
+        slug: 'payment-clearing',
+        accountType: 'other-current-asset',
+        currencyCode,
+        active: 1,
+        ...extraAttrs,
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Finds or creates the payment processing fees expense account.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreatePaymentProcessingFees = async (
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    let result = await this.model
+      .query(trx)
+      .findOne({ slug: 'payment-processing-fees', ...extraAttrs });
+
+    if (!result) {
+      result = await this.model.query(trx).insertAndFetch({
+        name: this.i18n.__('account.payment_processing_fees'),
+        slug: 'payment-processing-fees',
+        accountType: 'expense',
+        active: 1,
+        ...extraAttrs,
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Finds or creates the predefined account of the given slug.
+   * @param {string} slug
+   * @param {Record<string, any>} attrs - Attributes of the created account.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  private findOrCreateBySlug = async (
+    slug: string,
+    attrs: Record<string, any>,
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    let result = await this.model.query(trx).findOne({ slug, ...extraAttrs });
+
+    if (!result) {
+      result = await this.model.query(trx).insertAndFetch({
+        slug,
+        active: 1,
+        ...attrs,
+        ...extraAttrs,
+      });
+    }
+    return result;
+  };
+
+  /**
+   * Finds or creates the discount account of the sales transactions.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreateDiscountAccount = (extraAttrs = {}, trx?: Knex.Transaction) => {
+    return this.findOrCreateBySlug(
+      'discount',
+      { name: this.i18n.__('account.discount'), accountType: 'other-expense' },
+      extraAttrs,
+      trx
+    );
+  };
+
+  /**
+   * Finds or creates the discount account of the purchases transactions.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreatePurchaseDiscountAccount = (
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    return this.findOrCreateBySlug(
+      'purchase-discount',
+      {
+        name: this.i18n.__('account.purchase_discount'),
+        accountType: 'other-income',
+      },
+      extraAttrs,
+      trx
+    );
+  };
+
+  /**
+   * Finds or creates the shipping charges account of the sales transactions.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreateShippingChargesAccount = (
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    return this.findOrCreateBySlug(
+      'shipping-charges',
+      {
+        name: this.i18n.__('account.shipping_charges'),
+        accountType: 'other-income',
+      },
+      extraAttrs,
+      trx
+    );
+  };
+
+  /**
+   * Finds or creates the shipping charges account of the purchases transactions.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreatePurchaseShippingChargesAccount = (
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    return this.findOrCreateBySlug(
+      'purchase-shipping-charges',
+      {
+        name: this.i18n.__('account.purchase_shipping_charges'),
+        accountType: 'other-expense',
+      },
+      extraAttrs,
+      trx
+    );
+  };
+
+  /**
+   * Finds or creates the other charges account the rounding adjustments
+   * are posted to.
+   * @param {Record<string, any>} extraAttrs
+   * @param {Knex.Transaction} trx
+   */
+  findOrCreateOtherChargesAccount = (
+    extraAttrs = {},
+    trx?: Knex.Transaction
+  ) => {
+    return this.findOrCreateBySlug(
+      'other-charges',
+      {
+        name: this.i18n.__('account.other_charges'),
+        accountType: 'other-income',
+      },
+      extraAttrs,
+      trx
+    );
+  };
 }
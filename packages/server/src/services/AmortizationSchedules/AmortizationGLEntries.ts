@@ -0,0 +1,106 @@
+import * as R from 'ramda';
+import { Service } from 'typedi';
+import {
+  AccountNormal,
+  AmortizationScheduleType,
+  IAmortizationSchedule,
+  IAmortizationScheduleLine,
+  ILedger,
+  ILedgerEntry,
+} from '@/interfaces';
+import Ledger from '@/services/Accounting/Ledger';
+import {
+  DEFERRED_REVENUE_RECOGNITION_TRANSACTION,
+  PREPAID_EXPENSE_RECOGNITION_TRANSACTION,
+} from './constants';
+
+@Service()
+export class AmortizationGLEntries {
+  /**
+   * Retrieves the recognition transaction type of the given schedule.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  public getRecognitionTransactionType = (
+    schedule: IAmortizationSchedule
+  ): string => {
+    return schedule.type === AmortizationScheduleType.Prepaid
+      ? PREPAID_EXPENSE_RECOGNITION_TRANSACTION
+      : DEFERRED_REVENUE_RECOGNITION_TRANSACTION;
+  };
+
+  /**
+   * Retrieves the GL entries of the given recognition line, the prepaid
+   * expense is moved to the expense account and the deferred revenue to
+   * the income account.
+   * @param {IAmortizationSchedule} schedule
+   * @param {string} baseCurrency
+   * @param {IAmortizationScheduleLine} line
+   * @returns {ILedgerEntry[]}
+   */
+  private getRecognitionLineGLEntries = R.curry(
+    (
+      schedule: IAmortizationSchedule,
+      baseCurrency: string,
+      line: IAmortizationScheduleLine
+    ): ILedgerEntry[] => {
+      const isPrepaid = schedule.type === AmortizationScheduleType.Prepaid;
+      const commonEntry = {
+        currencyCode: baseCurrency,
+        exchangeRate: 1,
+
+        transactionType: this.getRecognitionTransactionType(schedule),
+        transactionId: schedule.id,
+
+        date: line.date,
+        debit: 0,
+        credit: 0,
+
+        note: schedule.description,
+        branchId: schedule.branchId,
+        projectId: schedule.projectId,
+      };
+      const debitAccountId = isPrepaid
+        ? schedule.recognitionAccountId
+        : schedule.deferralAccountId;
+      const creditAccountId = isPrepaid
+        ? schedule.deferralAccountId
+        : schedule.recognitionAccountId;
+
+      return [
+        {
+          ...commonEntry,
+          debit: line.amount,
+          accountId: debitAccountId,
+          accountNormal: isPrepaid ? AccountNormal.DEBIT : AccountNormal.CREDIT,
+          index: 1,
+        },
+        {
+          ...commonEntry,
+          credit: line.amount,
+          accountId: creditAccountId,
+          accountNormal: isPrepaid ? AccountNormal.DEBIT : AccountNormal.CREDIT,
+          index: 2,
+        },
+      ];
+    }
+  );
+
+  /**
+   * Retrieves the recognition ledger of the given schedule lines.
+   * @param {IAmortizationSchedule} schedule
+   * @param {IAmortizationScheduleLine[]} lines
+   * @param {string} baseCurrency
+   * @returns {ILedger}
+   */
+  public getRecognitionLedger = (
+    schedule: IAmortizationSchedule,
+    lines: IAmortizationScheduleLine[],
+    baseCurrency: string
+  ): ILedger => {
+    const getEntries = this.getRecognitionLineGLEntries(schedule, baseCurrency);
+    const entries = lines.flatMap((line) => getEntries(line));
+
+    return new Ledger(entries);
+  };
+}
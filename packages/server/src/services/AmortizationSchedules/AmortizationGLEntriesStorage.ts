@@ -0,0 +1,59 @@
+import { Knex } from 'knex';
+import { Service, Inject } from 'typedi';
+import { IAmortizationSchedule, IAmortizationScheduleLine } from '@/interfaces';
+import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
+import { TenantMetadata } from '@/system/models';
+import { AmortizationGLEntries } from './AmortizationGLEntries';
+
+@Service()
+export class AmortizationGLEntriesStorage {
+  @Inject()
+  private amortizationGLEntries: AmortizationGLEntries;
+
+  @Inject()
+  private ledgerStorage: LedgerStorageService;
+
+  /**
+   * Writes the GL entries of the given recognized schedule lines.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedule} schedule
+   * @param {IAmortizationScheduleLine[]} lines
+   * @param {Knex.Transaction} trx
+   */
+  public writeRecognitionGLEntries = async (
+    tenantId: number,
+    schedule: IAmortizationSchedule,
+    lines: IAmortizationScheduleLine[],
+    trx?: Knex.Transaction
+  ) => {
+    const tenantMeta = await TenantMetadata.query().findOne({ tenantId });
+
+    // Retrieves the recognition ledger.
+    const ledger = this.amortizationGLEntries.getRecognitionLedger(
+      schedule,
+      lines,
+      tenantMeta.baseCurrency
+    );
+    // Commits the recognition ledger entries.
+    await this.ledgerStorage.commit(tenantId, ledger, trx);
+  };
+
+  /**
+   * Reverts all the recognition GL entries of the given schedule.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedule} schedule
+   * @param {Knex.Transaction} trx
+   */
+  public revertRecognitionGLEntries = async (
+    tenantId: number,
+    schedule: IAmortizationSchedule,
+    trx?: Knex.Transaction
+  ) => {
+    await this.ledgerStorage.deleteByReference(
+      tenantId,
+      schedule.id,
+      this.amortizationGLEntries.getRecognitionTransactionType(schedule),
+      trx
+    );
+  };
+}
@@ -0,0 +1,94 @@
+import { IAmortizationSchedule, IAmortizationScheduleLine } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class AmortizationScheduleTransformer extends Transformer {
+  /**
+   * Include these attributes to amortization schedule object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedDate',
+      'formattedStartDate',
+      'formattedEndDate',
+      'formattedAmount',
+      'formattedRecognizedAmount',
+      'formattedRemainingAmount',
+      'lines',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted transaction date.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedDate = (schedule: IAmortizationSchedule): string => {
+    return this.formatDate(schedule.date);
+  };
+
+  /**
+   * Retrieves the formatted service start date.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedStartDate = (schedule: IAmortizationSchedule): string => {
+    return this.formatDate(schedule.startDate);
+  };
+
+  /**
+   * Retrieves the formatted service end date.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedEndDate = (schedule: IAmortizationSchedule): string => {
+    return this.formatDate(schedule.endDate);
+  };
+
+  /**
+   * Retrieves the formatted total amount.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedAmount = (schedule: IAmortizationSchedule): string => {
+    return this.formatMoney(schedule.amount);
+  };
+
+  /**
+   * Retrieves the formatted recognized amount.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedRecognizedAmount = (
+    schedule: IAmortizationSchedule
+  ): string => {
+    return this.formatMoney(schedule.recognizedAmount);
+  };
+
+  /**
+   * Retrieves the formatted remaining amount.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {string}
+   */
+  protected formattedRemainingAmount = (
+    schedule: IAmortizationSchedule
+  ): string => {
+    return this.formatMoney(schedule.remainingAmount);
+  };
+
+  /**
+   * Retrieves the recognition lines with formatted date and amount.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {Array}
+   */
+  protected lines = (schedule: IAmortizationSchedule) => {
+    return (schedule.lines || []).map((line: IAmortizationScheduleLine) => ({
+      ...line,
+      formattedDate: this.formatDate(line.date),
+      formattedAmount: this.formatMoney(line.amount),
+      formattedRecognizedAt: line.recognizedAt
+        ? this.formatDate(line.recognizedAt)
+        : '',
+    }));
+  };
+}
@@ -0,0 +1,62 @@
+import { Inject, Service } from 'typedi';
+import {
+  IAmortizationSchedulesFilter,
+  IAmortizationSchedulesRecognizeDTO,
+} from '@/interfaces';
+import { GetAmortizationSchedule } from './GetAmortizationSchedule';
+import { GetAmortizationSchedules } from './GetAmortizationSchedules';
+import { RecognizeAmortizationSchedules } from './RecognizeAmortizationSchedules';
+
+@Service()
+export class AmortizationSchedulesApplication {
+  @Inject()
+  private getScheduleService: GetAmortizationSchedule;
+
+  @Inject()
+  private getSchedulesService: GetAmortizationSchedules;
+
+  @Inject()
+  private recognizeService: RecognizeAmortizationSchedules;
+
+  /**
+   * Retrieves the given amortization schedule.
+   * @param {number} tenantId
+   * @param {number} scheduleId
+   * @returns {Promise<IAmortizationSchedule>}
+   */
+  public getAmortizationSchedule(tenantId: number, scheduleId: number) {
+    return this.getScheduleService.getAmortizationSchedule(
+      tenantId,
+      scheduleId
+    );
+  }
+
+  /**
+   * Retrieves the amortization schedules list.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedulesFilter} filter
+   * @returns {Promise<IAmortizationSchedule[]>}
+   */
+  public getAmortizationSchedules(
+    tenantId: number,
+    filter: IAmortizationSchedulesFilter
+  ) {
+    return this.getSchedulesService.getAmortizationSchedules(tenantId, filter);
+  }
+
+  /**
+   * Recognizes the due amortization schedules lines up to the given date.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedulesRecognizeDTO} recognizeDTO
+   * @returns {Promise<IAmortizationScheduleLine[]>}
+   */
+  public recognizeAmortizationSchedules(
+    tenantId: number,
+    recognizeDTO: IAmortizationSchedulesRecognizeDTO
+  ) {
+    return this.recognizeService.recognizeDueSchedules(
+      tenantId,
+      recognizeDTO.toDate
+    );
+  }
+}
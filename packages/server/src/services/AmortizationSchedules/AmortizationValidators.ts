@@ -0,0 +1,85 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { keyBy, uniq } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import { AmortizationScheduleType, IAmortizationSchedule } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { IServicePeriodEntry } from '@/utils/amortization';
+import { DEFERRAL_ACCOUNT_ROOT_TYPE, ERRORS } from './constants';
+
+@Service()
+export class AmortizationValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the given amortization schedule existance.
+   * @param {IAmortizationSchedule | undefined | null} amortizationSchedule
+   */
+  public validateScheduleExistance(
+    amortizationSchedule: IAmortizationSchedule | undefined | null
+  ) {
+    if (!amortizationSchedule) {
+      throw new ServiceError(ERRORS.AMORTIZATION_SCHEDULE_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the service period of the given entries, the period requires
+   * both dates and the deferral account and should not end before it starts.
+   * @param {IServicePeriodEntry[]} entries
+   */
+  public validateEntriesServicePeriods(entries: IServicePeriodEntry[]) {
+    entries.forEach((entry) => {
+      const hasStartDate = !!entry.serviceStartDate;
+      const hasEndDate = !!entry.serviceEndDate;
+
+      if (!hasStartDate && !hasEndDate && !entry.deferralAccountId) {
+        return;
+      }
+      if (
+        hasStartDate !== hasEndDate ||
+        moment(entry.serviceEndDate).isBefore(entry.serviceStartDate, 'day')
+      ) {
+        throw new ServiceError(ERRORS.SERVICE_PERIOD_INVALID);
+      }
+      if (!entry.deferralAccountId) {
+        throw new ServiceError(ERRORS.DEFERRAL_ACCOUNT_REQUIRED);
+      }
+    });
+  }
+
+  /**
+   * Validates the deferral accounts of the given entries existance and root
+   * type, the prepaid expenses defer to assets and the revenues to liabilities.
+   * @param {number} tenantId
+   * @param {IServicePeriodEntry[]} entries
+   * @param {AmortizationScheduleType} type
+   */
+  public async validateEntriesDeferralAccounts(
+    tenantId: number,
+    entries: IServicePeriodEntry[],
+    type: AmortizationScheduleType
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const accountsIds = uniq(
+      entries.map((entry) => entry.deferralAccountId).filter(Boolean)
+    );
+    if (accountsIds.length === 0) return;
+
+    const accounts = await Account.query().whereIn('id', accountsIds);
+    const accountsById = keyBy(accounts, 'id');
+
+    accountsIds.forEach((accountId) => {
+      const account = accountsById[accountId];
+
+      if (!account) {
+        throw new ServiceError(ERRORS.DEFERRAL_ACCOUNT_NOT_FOUND);
+      }
+      if (!account.isRootType(DEFERRAL_ACCOUNT_ROOT_TYPE[type])) {
+        throw new ServiceError(ERRORS.DEFERRAL_ACCOUNT_INVALID_TYPE);
+      }
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { AmortizationValidators } from './AmortizationValidators';
+import { AmortizationScheduleTransformer } from './AmortizationScheduleTransformer';
+
+@Service()
+export class GetAmortizationSchedule {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: AmortizationValidators;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the given amortization schedule with its recognition lines.
+   * @param {number} tenantId
+   * @param {number} scheduleId
+   * @returns {Promise<IAmortizationSchedule>}
+   */
+  public async getAmortizationSchedule(tenantId: number, scheduleId: number) {
+    const { AmortizationSchedule } = this.tenancy.models(tenantId);
+
+    const schedule = await AmortizationSchedule.query()
+      .findById(scheduleId)
+      .withGraphFetched('lines')
+      .withGraphFetched('deferralAccount')
+      .withGraphFetched('recognitionAccount');
+
+    // Validates the amortization schedule existance.
+    this.validators.validateScheduleExistance(schedule);
+
+    // Transforms the amortization schedule.
+    return this.transformer.transform(
+      tenantId,
+      schedule,
+      new AmortizationScheduleTransformer()
+    );
+  }
+}
@@ -0,0 +1,51 @@
+import { Inject, Service } from 'typedi';
+import { IAmortizationSchedulesFilter } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { AmortizationScheduleTransformer } from './AmortizationScheduleTransformer';
+
+@Service()
+export class GetAmortizationSchedules {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the amortization schedules list.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedulesFilter} filter
+   * @returns {Promise<IAmortizationSchedule[]>}
+   */
+  public async getAmortizationSchedules(
+    tenantId: number,
+    filter: IAmortizationSchedulesFilter
+  ) {
+    const { AmortizationSchedule } = this.tenancy.models(tenantId);
+
+    const schedules = await AmortizationSchedule.query()
+      .onBuild((builder) => {
+        if (filter.type) {
+          builder.where('type', filter.type);
+        }
+        if (filter.status) {
+          builder.modify('status', filter.status);
+        }
+        if (filter.referenceType && filter.referenceId) {
+          builder.modify('reference', filter.referenceType, filter.referenceId);
+        }
+      })
+      .withGraphFetched('deferralAccount')
+      .withGraphFetched('recognitionAccount')
+      .orderBy('date', 'DESC')
+      .orderBy('id', 'DESC');
+
+    // Transforms the amortization schedules.
+    return this.transformer.transform(
+      tenantId,
+      schedules,
+      new AmortizationScheduleTransformer()
+    );
+  }
+}
@@ -0,0 +1,122 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { round, sumBy } from 'lodash';
+import { Inject, Service } from 'typedi';
+import {
+  AmortizationScheduleStatus,
+  IAmortizationSchedule,
+  IAmortizationScheduleLine,
+  IAmortizationScheduleRecognizedPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { AmortizationGLEntriesStorage } from './AmortizationGLEntriesStorage';
+
+@Service()
+export class RecognizeAmortizationSchedules {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private glEntriesStorage: AmortizationGLEntriesStorage;
+
+  /**
+   * Recognizes the unrecognized lines of the given schedule that are due on
+   * or before the given date, a recognition journal is posted per line.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedule} schedule
+   * @param {Date|string} toDate
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IAmortizationScheduleLine[]>}
+   */
+  public async recognizeSchedule(
+    tenantId: number,
+    schedule: IAmortizationSchedule,
+    toDate: Date | string,
+    trx?: Knex.Transaction
+  ): Promise<IAmortizationScheduleLine[]> {
+    const { AmortizationSchedule, AmortizationScheduleLine } =
+      this.tenancy.models(tenantId);
+
+    const lines = await AmortizationScheduleLine.query(trx)
+      .where('scheduleId', schedule.id)
+      .modify('notRecognized')
+      .where('date', '<=', moment(toDate).format('YYYY-MM-DD'))
+      .orderBy('date', 'ASC');
+
+    if (lines.length === 0) return [];
+
+    return this.uow.withTransaction(
+      tenantId,
+      async (trx: Knex.Transaction) => {
+        await AmortizationScheduleLine.query(trx)
+          .whereIn(
+            'id',
+            lines.map((line) => line.id)
+          )
+          .patch({ recognizedAt: moment().toMySqlDateTime() });
+
+        const recognizedAmount = round(
+          schedule.recognizedAmount + sumBy(lines, 'amount'),
+          2
+        );
+        const amortizationSchedule = await AmortizationSchedule.query(
+          trx
+        ).patchAndFetchById(schedule.id, { recognizedAmount });
+
+        // Writes the recognition GL entries.
+        await this.glEntriesStorage.writeRecognitionGLEntries(
+          tenantId,
+          amortizationSchedule,
+          lines,
+          trx
+        );
+        // Triggers `onAmortizationScheduleRecognized` event.
+        await this.eventPublisher.emitAsync(
+          events.amortizationSchedule.onRecognized,
+          {
+            tenantId,
+            amortizationSchedule,
+            lines,
+            trx,
+          } as IAmortizationScheduleRecognizedPayload
+        );
+        return lines;
+      },
+      trx
+    );
+  }
+
+  /**
+   * Recognizes the due lines of all the active schedules up to the given
+   * date, each schedule is recognized under its own transaction.
+   * @param {number} tenantId
+   * @param {Date|string} toDate
+   * @returns {Promise<IAmortizationScheduleLine[]>}
+   */
+  public async recognizeDueSchedules(
+    tenantId: number,
+    toDate: Date | string = moment().format('YYYY-MM-DD')
+  ): Promise<IAmortizationScheduleLine[]> {
+    const { AmortizationSchedule } = this.tenancy.models(tenantId);
+
+    const schedules = await AmortizationSchedule.query()
+      .modify('status', AmortizationScheduleStatus.Active)
+      .where('startDate', '<=', moment(toDate).format('YYYY-MM-DD'));
+
+    const lines = [];
+
+    for (const schedule of schedules) {
+      lines.push(...(await this.recognizeSchedule(tenantId, schedule, toDate)));
+    }
+    return lines;
+  }
+}
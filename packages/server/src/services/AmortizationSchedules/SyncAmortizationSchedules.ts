@@ -0,0 +1,229 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { round } from 'lodash';
+import { Inject, Service } from 'typedi';
+import {
+  AmortizationScheduleType,
+  IAmortizationSchedule,
+  IExpense,
+  IExpenseCategory,
+  IItemEntry,
+  ISaleInvoice,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { getAmortizationPeriods, hasServicePeriod } from '@/utils/amortization';
+import { AmortizationGLEntriesStorage } from './AmortizationGLEntriesStorage';
+import { RecognizeAmortizationSchedules } from './RecognizeAmortizationSchedules';
+
+@Service()
+export class SyncAmortizationSchedules {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private glEntriesStorage: AmortizationGLEntriesStorage;
+
+  @Inject()
+  private recognizeService: RecognizeAmortizationSchedules;
+
+  /**
+   * Stores the given schedules with their monthly lines then recognizes
+   * the lines already due.
+   * @param {number} tenantId
+   * @param {IAmortizationSchedule[]} schedulesObjs
+   * @param {Knex.Transaction} trx
+   */
+  private async createSchedules(
+    tenantId: number,
+    schedulesObjs: IAmortizationSchedule[],
+    trx?: Knex.Transaction
+  ) {
+    const { AmortizationSchedule, AmortizationScheduleLine } =
+      this.tenancy.models(tenantId);
+
+    const today = moment().format('YYYY-MM-DD');
+
+    for (const scheduleObj of schedulesObjs) {
+      const schedule = await AmortizationSchedule.query(trx).insertAndFetch(
+        scheduleObj
+      );
+      const periods = getAmortizationPeriods(
+        schedule.amount,
+        scheduleObj.startDate,
+        scheduleObj.endDate
+      );
+      for (const period of periods) {
+        await AmortizationScheduleLine.query(trx).insert({
+          scheduleId: schedule.id,
+          fromDate: moment(period.fromDate).format('YYYY-MM-DD'),
+          date: moment(period.toDate).format('YYYY-MM-DD'),
+          amount: period.amount,
+        });
+      }
+      // Recognizes the elapsed months of the service period.
+      await this.recognizeService.recognizeSchedule(
+        tenantId,
+        schedule,
+        today,
+        trx
+      );
+    }
+  }
+
+  /**
+   * Deletes the schedules of the given transaction with their lines and
+   * reverts the recognition GL entries.
+   * @param {number} tenantId
+   * @param {string} referenceType
+   * @param {number} referenceId
+   * @param {Knex.Transaction} trx
+   */
+  public async deleteReferenceSchedules(
+    tenantId: number,
+    referenceType: string,
+    referenceId: number,
+    trx?: Knex.Transaction
+  ) {
+    const { AmortizationSchedule, AmortizationScheduleLine } =
+      this.tenancy.models(tenantId);
+
+    const schedules = await AmortizationSchedule.query(trx).modify(
+      'reference',
+      referenceType,
+      referenceId
+    );
+    if (schedules.length === 0) return;
+
+    for (const schedule of schedules) {
+      await this.glEntriesStorage.revertRecognitionGLEntries(
+        tenantId,
+        schedule,
+        trx
+      );
+    }
+    const schedulesIds = schedules.map((schedule) => schedule.id);
+
+    await AmortizationScheduleLine.query(trx)
+      .whereIn('scheduleId', schedulesIds)
+      .delete();
+    await AmortizationSchedule.query(trx).whereIn('id', schedulesIds).delete();
+  }
+
+  /**
+   * Transformes the given expense category to prepaid expense schedule.
+   * @param {IExpense} expense
+   * @param {IExpenseCategory} category
+   * @returns {IAmortizationSchedule}
+   */
+  private transformCategoryToSchedule(
+    expense: IExpense,
+    category: IExpenseCategory
+  ): IAmortizationSchedule {
+    return {
+      type: AmortizationScheduleType.Prepaid,
+      referenceType: 'Expense',
+      referenceId: expense.id,
+      referenceEntryId: category.id,
+      date: moment(expense.paymentDate).format('YYYY-MM-DD'),
+      description: category.description,
+      deferralAccountId: category.deferralAccountId,
+      recognitionAccountId: category.expenseAccountId,
+      amount: round(category.amount * expense.exchangeRate, 2),
+      recognizedAmount: 0,
+      startDate: moment(category.serviceStartDate).format('YYYY-MM-DD'),
+      endDate: moment(category.serviceEndDate).format('YYYY-MM-DD'),
+      branchId: expense.branchId,
+      projectId: category.projectId,
+    };
+  }
+
+  /**
+   * Transformes the given invoice entry to deferred revenue schedule.
+   * @param {ISaleInvoice} saleInvoice
+   * @param {IItemEntry} entry
+   * @returns {IAmortizationSchedule}
+   */
+  private transformInvoiceEntryToSchedule(
+    saleInvoice: ISaleInvoice,
+    entry: IItemEntry
+  ): IAmortizationSchedule {
+    return {
+      type: AmortizationScheduleType.Deferred,
+      referenceType: 'SaleInvoice',
+      referenceId: saleInvoice.id,
+      referenceEntryId: entry.id,
+      date: moment(saleInvoice.invoiceDate).format('YYYY-MM-DD'),
+      description: entry.description,
+      deferralAccountId: entry.deferralAccountId,
+      recognitionAccountId: entry.sellAccountId,
+      amount: round(entry.amountExludingTax * saleInvoice.exchangeRate, 2),
+      recognizedAmount: 0,
+      startDate: moment(entry.serviceStartDate).format('YYYY-MM-DD'),
+      endDate: moment(entry.serviceEndDate).format('YYYY-MM-DD'),
+      branchId: saleInvoice.branchId,
+      projectId: entry.projectId || saleInvoice.projectId,
+    };
+  }
+
+  /**
+   * Regenerates the prepaid expense schedules of the given expense, only
+   * the published expense categories with service period are scheduled.
+   * @param {number} tenantId
+   * @param {number} expenseId
+   * @param {Knex.Transaction} trx
+   */
+  public async syncExpenseSchedules(
+    tenantId: number,
+    expenseId: number,
+    trx?: Knex.Transaction
+  ) {
+    const { Expense } = this.tenancy.models(tenantId);
+
+    await this.deleteReferenceSchedules(tenantId, 'Expense', expenseId, trx);
+
+    const expense = await Expense.query(trx)
+      .findById(expenseId)
+      .withGraphFetched('categories');
+
+    if (!expense || !expense.publishedAt) return;
+
+    const schedules = expense.categories
+      .filter(hasServicePeriod)
+      .map((category) => this.transformCategoryToSchedule(expense, category));
+
+    await this.createSchedules(tenantId, schedules, trx);
+  }
+
+  /**
+   * Regenerates the deferred revenue schedules of the given invoice, only
+   * the delivered invoice entries with service period are scheduled.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @param {Knex.Transaction} trx
+   */
+  public async syncInvoiceSchedules(
+    tenantId: number,
+    saleInvoiceId: number,
+    trx?: Knex.Transaction
+  ) {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    await this.deleteReferenceSchedules(
+      tenantId,
+      'SaleInvoice',
+      saleInvoiceId,
+      trx
+    );
+    const saleInvoice = await SaleInvoice.query(trx)
+      .findById(saleInvoiceId)
+      .withGraphFetched('entries');
+
+    if (!saleInvoice || !saleInvoice.deliveredAt) return;
+
+    const schedules = saleInvoice.entries
+      .filter(hasServicePeriod)
+      .map((entry) => this.transformInvoiceEntryToSchedule(saleInvoice, entry));
+
+    await this.createSchedules(tenantId, schedules, trx);
+  }
+}
@@ -0,0 +1,25 @@
+import { ACCOUNT_ROOT_TYPE } from '@/data/AccountTypes';
+import { AmortizationScheduleType } from '@/interfaces';
+
+export const ERRORS = {
+  AMORTIZATION_SCHEDULE_NOT_FOUND: 'AMORTIZATION_SCHEDULE_NOT_FOUND',
+  SERVICE_PERIOD_INVALID: 'SERVICE_PERIOD_INVALID',
+  DEFERRAL_ACCOUNT_REQUIRED: 'DEFERRAL_ACCOUNT_REQUIRED',
+  DEFERRAL_ACCOUNT_NOT_FOUND: 'DEFERRAL_ACCOUNT_NOT_FOUND',
+  DEFERRAL_ACCOUNT_INVALID_TYPE: 'DEFERRAL_ACCOUNT_INVALID_TYPE',
+};
+
+/**
+ * The prepaid expenses are deferred to an asset account and the
+ * deferred revenues to a liability account.
+ */
+export const DEFERRAL_ACCOUNT_ROOT_TYPE = {
+  [AmortizationScheduleType.Prepaid]: ACCOUNT_ROOT_TYPE.ASSET,
+  [AmortizationScheduleType.Deferred]: ACCOUNT_ROOT_TYPE.LIABILITY,
+};
+
+export const PREPAID_EXPENSE_RECOGNITION_TRANSACTION =
+  'PrepaidExpenseRecognition';
+
+export const DEFERRED_REVENUE_RECOGNITION_TRANSACTION =
+  'DeferredRevenueRecognition';
@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { RecognizeAmortizationSchedules } from '../RecognizeAmortizationSchedules';
+
+@Service()
+export class RecognizeAmortizationSchedulesJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'amortization-schedules-recognize',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Posts the due recognition journals of the given tenant schedules.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const recognizeService = Container.get(RecognizeAmortizationSchedules);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await recognizeService.recognizeDueSchedules(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,39 @@
+import Container, { Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Tenant } from '@/system/models';
+
+@Service()
+export class ScheduleAmortizationRecognitionJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define('amortization-recognition-schedule', this.handler);
+  }
+
+  /**
+   * Queues the amortization recognition job of every ready organization.
+   */
+  private handler = async (job, done: Function) => {
+    const agenda: any = Container.get('agenda');
+
+    try {
+      const tenants = await Tenant.query()
+        .whereNotNull('initializedAt')
+        .whereNotNull('seededAt');
+
+      await bluebird.map(
+        tenants,
+        (tenant) =>
+          agenda.now('amortization-schedules-recognize', {
+            tenantId: tenant.id,
+          }),
+        { concurrency: 10 }
+      );
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import {
+  IExpenseCreatedPayload,
+  IExpenseEventDeletePayload,
+  IExpenseEventEditPayload,
+  IExpenseEventPublishedPayload,
+  ISaleInvoiceCreatedPayload,
+  ISaleInvoiceDeletedPayload,
+  ISaleInvoiceEditedPayload,
+  ISaleInvoiceEventDeliveredPayload,
+} from '@/interfaces';
+import { SyncAmortizationSchedules } from '../SyncAmortizationSchedules';
+
+@Service()
+export class SyncAmortizationSchedulesSubscriber {
+  @Inject()
+  private syncSchedules: SyncAmortizationSchedules;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach = (bus) => {
+    bus.subscribe(events.expenses.onCreated, this.handleSyncExpenseSchedules);
+    bus.subscribe(events.expenses.onEdited, this.handleSyncExpenseSchedules);
+    bus.subscribe(events.expenses.onPublished, this.handleSyncExpenseSchedules);
+    bus.subscribe(events.expenses.onDeleted, this.handleDeleteExpenseSchedules);
+    bus.subscribe(
+      events.saleInvoice.onCreated,
+      this.handleSyncInvoiceSchedules
+    );
+    bus.subscribe(events.saleInvoice.onEdited, this.handleSyncInvoiceSchedules);
+    bus.subscribe(
+      events.saleInvoice.onDelivered,
+      this.handleSyncInvoiceSchedules
+    );
+    bus.subscribe(
+      events.saleInvoice.onDeleted,
+      this.handleDeleteInvoiceSchedules
+    );
+    return bus;
+  };
+
+  /**
+   * Regenerates the prepaid expense schedules once the expense
+   * created, edited or published.
+   * @param {IExpenseCreatedPayload | IExpenseEventEditPayload | IExpenseEventPublishedPayload} payload
+   */
+  private handleSyncExpenseSchedules = async ({
+    tenantId,
+    expenseId,
+    trx,
+  }:
+    | IExpenseCreatedPayload
+    | IExpenseEventEditPayload
+    | IExpenseEventPublishedPayload) => {
+    await this.syncSchedules.syncExpenseSchedules(tenantId, expenseId, trx);
+  };
+
+  /**
+   * Deletes the prepaid expense schedules once the expense deleted.
+   * @param {IExpenseEventDeletePayload} payload
+   */
+  private handleDeleteExpenseSchedules = async ({
+    tenantId,
+    expenseId,
+    trx,
+  }: IExpenseEventDeletePayload) => {
+    await this.syncSchedules.deleteReferenceSchedules(
+      tenantId,
+      'Expense',
+      expenseId,
+      trx
+    );
+  };
+
+  /**
+   * Regenerates the deferred revenue schedules once the invoice
+   * created, edited or delivered.
+   * @param {ISaleInvoiceCreatedPayload | ISaleInvoiceEditedPayload | ISaleInvoiceEventDeliveredPayload} payload
+   */
+  private handleSyncInvoiceSchedules = async ({
+    tenantId,
+    saleInvoiceId,
+    trx,
+  }:
+    | ISaleInvoiceCreatedPayload
+    | ISaleInvoiceEditedPayload
+    | ISaleInvoiceEventDeliveredPayload) => {
+    await this.syncSchedules.syncInvoiceSchedules(tenantId, saleInvoiceId, trx);
+  };
+
+  /**
+   * Deletes the deferred revenue schedules once the invoice deleted.
+   * @param {ISaleInvoiceDeletedPayload} payload
+   */
+  private handleDeleteInvoiceSchedules = async ({
+    tenantId,
+    saleInvoiceId,
+    trx,
+  }: ISaleInvoiceDeletedPayload) => {
+    await this.syncSchedules.deleteReferenceSchedules(
+      tenantId,
+      'SaleInvoice',
+      saleInvoiceId,
+      trx
+    );
+  };
+}
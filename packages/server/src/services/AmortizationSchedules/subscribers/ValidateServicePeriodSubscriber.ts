@@ -0,0 +1,90 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import {
+  AmortizationScheduleType,
+  IExpenseCreatingPayload,
+  IExpenseEventEditingPayload,
+  ISaleInvoiceCreatingPaylaod,
+  ISaleInvoiceEditingPayload,
+} from '@/interfaces';
+import { IServicePeriodEntry } from '@/utils/amortization';
+import { AmortizationValidators } from '../AmortizationValidators';
+
+@Service()
+export class ValidateServicePeriodSubscriber {
+  @Inject()
+  private validators: AmortizationValidators;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach = (bus) => {
+    bus.subscribe(
+      events.expenses.onCreating,
+      this.validateExpenseServicePeriods
+    );
+    bus.subscribe(
+      events.expenses.onEditing,
+      this.validateExpenseServicePeriods
+    );
+    bus.subscribe(
+      events.saleInvoice.onCreating,
+      this.validateInvoiceServicePeriods
+    );
+    bus.subscribe(
+      events.saleInvoice.onEditing,
+      this.validateInvoiceServicePeriods
+    );
+    return bus;
+  };
+
+  /**
+   * Validates the service period and deferral account of the given entries.
+   * @param {number} tenantId
+   * @param {IServicePeriodEntry[]} entries
+   * @param {AmortizationScheduleType} type
+   */
+  private validateServicePeriods = async (
+    tenantId: number,
+    entries: IServicePeriodEntry[],
+    type: AmortizationScheduleType
+  ) => {
+    this.validators.validateEntriesServicePeriods(entries);
+
+    await this.validators.validateEntriesDeferralAccounts(
+      tenantId,
+      entries,
+      type
+    );
+  };
+
+  /**
+   * Validates the expense categories service periods once creating/editing.
+   * @param {IExpenseCreatingPayload | IExpenseEventEditingPayload} payload
+   */
+  private validateExpenseServicePeriods = async ({
+    tenantId,
+    expenseDTO,
+  }: IExpenseCreatingPayload | IExpenseEventEditingPayload) => {
+    await this.validateServicePeriods(
+      tenantId,
+      expenseDTO.categories,
+      AmortizationScheduleType.Prepaid
+    );
+  };
+
+  /**
+   * Validates the invoice entries service periods once creating/editing.
+   * @param {ISaleInvoiceCreatingPaylaod | ISaleInvoiceEditingPayload} payload
+   */
+  private validateInvoiceServicePeriods = async ({
+    tenantId,
+    saleInvoiceDTO,
+  }: ISaleInvoiceCreatingPaylaod | ISaleInvoiceEditingPayload) => {
+    await this.validateServicePeriods(
+      tenantId,
+      saleInvoiceDTO.entries,
+      AmortizationScheduleType.Deferred
+    );
+  };
+}
@@ -0,0 +1,64 @@
+import Container, { Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import { PlaidBankFeedProvider } from '../Plaid/PlaidBankFeedProvider';
+import { FileDropBankFeedProvider } from './FileDrop/FileDropBankFeedProvider';
+import { BankFeedProvidersRegistry } from './BankFeedProvidersRegistry';
+import { BankFeedProvider, BankFeedProviderType, ERRORS } from './types';
+
+@Service()
+export class BankFeedProviders {
+  private static registry: BankFeedProvidersRegistry;
+
+  /**
+   * Constructor method.
+   */
+  constructor() {
+    this.boot();
+  }
+
+  get registered() {
+    return [
+      { type: BankFeedProviderType.Plaid, service: PlaidBankFeedProvider },
+      {
+        type: BankFeedProviderType.FileDrop,
+        service: FileDropBankFeedProvider,
+      },
+    ];
+  }
+
+  /**
+   * The bank feed providers registry.
+   */
+  public get registry() {
+    return BankFeedProviders.registry;
+  }
+
+  /**
+   * Retrieves the bank feed provider of the given type or throw service error.
+   * @param {string} provider
+   * @returns {BankFeedProvider}
+   */
+  public getProviderOrThrowError(provider: string): BankFeedProvider {
+    const bankFeedProvider = this.registry.get(provider);
+
+    if (!bankFeedProvider) {
+      throw new ServiceError(ERRORS.BANK_FEED_PROVIDER_NOT_FOUND);
+    }
+    return bankFeedProvider;
+  }
+
+  /**
+   * Boots all the registered bank feed providers.
+   */
+  public boot() {
+    if (!BankFeedProviders.registry) {
+      const instance = BankFeedProvidersRegistry.getInstance();
+
+      this.registered.forEach((registered) => {
+        const serviceInstance = Container.get(registered.service);
+        instance.register(registered.type, serviceInstance);
+      });
+      BankFeedProviders.registry = instance;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import { camelCase, upperFirst } from 'lodash';
+import { BankFeedProvider } from './types';
+
+export class BankFeedProvidersRegistry {
+  private static instance: BankFeedProvidersRegistry;
+  private providers: Record<string, BankFeedProvider>;
+
+  constructor() {
+    this.providers = {};
+  }
+
+  /**
+   * Gets singleton instance of registry.
+   * @returns {BankFeedProvidersRegistry}
+   */
+  public static getInstance(): BankFeedProvidersRegistry {
+    if (!BankFeedProvidersRegistry.instance) {
+      BankFeedProvidersRegistry.instance = new BankFeedProvidersRegistry();
+    }
+    return BankFeedProvidersRegistry.instance;
+  }
+
+  /**
+   * Registers the given bank feed provider.
+   * @param {string} name
+   * @param {BankFeedProvider} provider
+   */
+  public register(name: string, provider: BankFeedProvider): void {
+    const _name = this.sanitizeProviderName(name);
+    this.providers[_name] = provider;
+  }
+
+  /**
+   * Retrieves the bank feed provider of the given name.
+   * @param {string} name
+   * @returns {BankFeedProvider}
+   */
+  public get(name: string): BankFeedProvider {
+    const _name = this.sanitizeProviderName(name);
+    return this.providers[_name];
+  }
+
+  private sanitizeProviderName(name: string) {
+    return upperFirst(camelCase(name));
+  }
+}
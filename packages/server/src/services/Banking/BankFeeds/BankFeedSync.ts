@@ -0,0 +1,58 @@
+import { Inject, Service } from 'typedi';
+import { PromisePool } from '@supercharge/promise-pool';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { BankFeedConnection } from '@/models/BankFeedConnection';
+import { BankFeedProviders } from './BankFeedProviders';
+import { IBankFeedSyncResult } from './types';
+
+@Service()
+export class BankFeedSync {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private providers: BankFeedProviders;
+
+  /**
+   * Syncs the accounts and transactions of the given bank feed connection
+   * by its provider.
+   * @param {number} tenantId - Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @param {string} connectionId - Bank feed connection ID.
+   * @returns {Promise<IBankFeedSyncResult>}
+   */
+  public syncConnection(
+    tenantId: number,
+    provider: string,
+    connectionId: string
+  ): Promise<IBankFeedSyncResult> {
+    const bankFeedProvider = this.providers.getProviderOrThrowError(provider);
+
+    return bankFeedProvider.sync(tenantId, connectionId);
+  }
+
+  /**
+   * Syncs all the stored connections of the given local bank feed provider,
+   * the failed connection doesn't block syncing the others.
+   * @param {number} tenantId - Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @returns {Promise<void>}
+   */
+  public async syncProviderConnections(
+    tenantId: number,
+    provider: string
+  ): Promise<void> {
+    const { BankFeedConnection } = this.tenancy.models(tenantId);
+
+    const connections = await BankFeedConnection.query().where(
+      'provider',
+      provider
+    );
+    await PromisePool.withConcurrency(1)
+      .for(connections)
+      .handleError((error) => console.log(error))
+      .process((connection: BankFeedConnection) =>
+        this.syncConnection(tenantId, provider, connection.connectionId)
+      );
+  }
+}
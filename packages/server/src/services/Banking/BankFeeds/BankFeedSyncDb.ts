@@ -0,0 +1,289 @@
+import * as R from 'ramda';
+import { Inject, Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Knex } from 'knex';
+import { entries, groupBy, pick } from 'lodash';
+import { CreateAccount } from '@/services/Accounts/CreateAccount';
+import { IAccountCreateDTO } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { CashflowApplication } from '@/services/Cashflow/CashflowApplication';
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+import {
+  transformFeedAccountToCreateAccount,
+  transformFeedTransactionToUncategorized,
+} from './_utils';
+import { BankFeedAccount, BankFeedTransaction } from './types';
+
+const CONCURRENCY_ASYNC = 10;
+
+@Service()
+export class BankFeedSyncDb {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private createAccountService: CreateAccount;
+
+  @Inject()
+  private cashflowApp: CashflowApplication;
+
+  /**
+   * Syncs the bank feed account, links the existing cashflow account of the
+   * same IBAN otherwise creates a new one.
+   * @param {number} tenantId
+   * @param {IAccountCreateDTO} createBankAccountDTO
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<void>}
+   */
+  public async syncBankAccount(
+    tenantId: number,
+    createBankAccountDTO: IAccountCreateDTO,
+    trx?: Knex.Transaction
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+    const { bankFeedProvider, bankFeedAccountId, iban } = createBankAccountDTO;
+
+    const feedAccount = await Account.query(trx).findOne({
+      bankFeedProvider,
+      bankFeedAccountId,
+    });
+    // Can't continue if the bank feed account is already created.
+    if (feedAccount) {
+      return;
+    }
+    const ibanAccount = iban
+      ? await Account.query(trx)
+          .whereIn('account_type', [
+            ACCOUNT_TYPE.BANK,
+            ACCOUNT_TYPE.CASH,
+            ACCOUNT_TYPE.CREDIT_CARD,
+          ])
+          .whereNull('bankFeedAccountId')
+          .findOne('iban', iban)
+      : null;
+
+    if (ibanAccount) {
+      await Account.query(trx)
+        .findById(ibanAccount.id)
+        .patch({ bankFeedProvider, bankFeedAccountId });
+      return;
+    }
+    await this.createAccountService.createAccount(
+      tenantId,
+      createBankAccountDTO,
+      trx,
+      { ignoreUniqueName: true }
+    );
+  }
+
+  /**
+   * Syncs the bank feed accounts to the system accounts.
+   * @param {number} tenantId Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @param {string} institutionName - Institution or connection name.
+   * @param {BankFeedAccount[]} feedAccounts
+   * @returns {Promise<void>}
+   */
+  public async syncBankAccounts(
+    tenantId: number,
+    provider: string,
+    institutionName: string,
+    feedAccounts: BankFeedAccount[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const transformToCreateAccount = transformFeedAccountToCreateAccount(
+      provider,
+      institutionName
+    );
+    const accountCreateDTOs = R.map(transformToCreateAccount)(feedAccounts);
+
+    await bluebird.map(
+      accountCreateDTOs,
+      (createAccountDTO: IAccountCreateDTO) =>
+        this.syncBankAccount(tenantId, createAccountDTO, trx),
+      { concurrency: 1 }
+    );
+  }
+
+  /**
+   * Syncs the bank feed transactions of the given account to uncategorized
+   * transactions, the already synced transactions get updated unless
+   * categorized.
+   * @param {number} tenantId - Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @param {string} feedAccountId - Bank feed account ID.
+   * @param {string} batch - Sync batch.
+   * @param {BankFeedTransaction[]} feedTransactions
+   * @return {Promise<void>}
+   */
+  public async syncAccountTransactions(
+    tenantId: number,
+    provider: string,
+    feedAccountId: string,
+    batch: string,
+    feedTransactions: BankFeedTransaction[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { Account, UncategorizedCashflowTransaction } =
+      this.tenancy.models(tenantId);
+
+    const cashflowAccount = await Account.query(trx)
+      .findOne({ bankFeedProvider: provider, bankFeedAccountId: feedAccountId })
+      .throwIfNotFound();
+
+    // Transformes the feed transactions to uncategorized create DTOs.
+    const transformTransaction = transformFeedTransactionToUncategorized(
+      cashflowAccount.id
+    );
+    const uncategorizedTransDTOs =
+      R.map(transformTransaction)(feedTransactions);
+    await bluebird.map(
+      uncategorizedTransDTOs,
+      async (uncategorizedDTO) => {
+        const foundTransaction = await UncategorizedCashflowTransaction.query(
+          trx
+        ).findOne({
+          accountId: cashflowAccount.id,
+          fitid: uncategorizedDTO.fitid,
+        });
+        if (!foundTransaction) {
+          return this.cashflowApp.createUncategorizedTransaction(
+            tenantId,
+            { ...uncategorizedDTO, batch },
+            trx
+          );
+        }
+        // The categorized transactions are already posted to the ledger.
+        if (foundTransaction.categorized) return;
+
+        await UncategorizedCashflowTransaction.query(trx)
+          .findById(foundTransaction.id)
+          .patch(
+            pick(uncategorizedDTO, [
+              'date',
+              'amount',
+              'description',
+              'payee',
+              'referenceNo',
+            ])
+          );
+      },
+      { concurrency: 1 }
+    );
+  }
+
+  /**
+   * Syncs the accounts transactions in paraller under controlled concurrency.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {string} batch
+   * @param {BankFeedTransaction[]} feedTransactions
+   * @return {Promise<void>}
+   */
+  public async syncAccountsTransactions(
+    tenantId: number,
+    provider: string,
+    batch: string,
+    feedTransactions: BankFeedTransaction[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const groupedTrnsxByAccountId = entries(
+      groupBy(feedTransactions, 'accountId')
+    );
+    await bluebird.map(
+      groupedTrnsxByAccountId,
+      ([feedAccountId, transactions]: [string, BankFeedTransaction[]]) => {
+        return this.syncAccountTransactions(
+          tenantId,
+          provider,
+          feedAccountId,
+          batch,
+          transactions,
+          trx
+        );
+      },
+      { concurrency: CONCURRENCY_ASYNC }
+    );
+  }
+
+  /**
+   * Syncs the removed bank feed transactions, deletes the uncategorized
+   * transactions that not categorized yet.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {string[]} feedTransactionsIds - Bank feed transactions IDs.
+   * @return {Promise<void>}
+   */
+  public async syncRemoveTransactions(
+    tenantId: number,
+    provider: string,
+    feedTransactionsIds: string[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    if (feedTransactionsIds.length === 0) return;
+
+    const { Account, UncategorizedCashflowTransaction } =
+      this.tenancy.models(tenantId);
+
+    const feedAccounts = await Account.query(trx).where(
+      'bankFeedProvider',
+      provider
+    );
+    await UncategorizedCashflowTransaction.query(trx)
+      .whereIn(
+        'accountId',
+        feedAccounts.map((account) => account.id)
+      )
+      .whereIn('fitid', feedTransactionsIds)
+      .where('categorized', false)
+      .delete();
+  }
+
+  /**
+   * Updates the last feeds updated at of the given bank feed accounts ids.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {string[]} feedAccountsIds
+   * @return {Promise<void>}
+   */
+  public async updateLastFeedsUpdatedAt(
+    tenantId: number,
+    provider: string,
+    feedAccountsIds: string[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { Account } = this.tenancy.models(tenantId);
+
+    await Account.query(trx)
+      .where('bankFeedProvider', provider)
+      .whereIn('bankFeedAccountId', feedAccountsIds)
+      .patch({
+        lastFeedsUpdatedAt: new Date(),
+      });
+  }
+
+  /**
+   * Updates the accounts feed active status of the given bank feed accounts ids.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {string[]} feedAccountsIds
+   * @param {boolean} isFeedsActive
+   * @returns {Promise<void>}
+   */
+  public async updateAccountsFeedsActive(
+    tenantId: number,
+    provider: string,
+    feedAccountsIds: string[],
+    isFeedsActive: boolean = true,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { Account } = this.tenancy.models(tenantId);
+
+    await Account.query(trx)
+      .where('bankFeedProvider', provider)
+      .whereIn('bankFeedAccountId', feedAccountsIds)
+      .patch({
+        isFeedsActive,
+      });
+  }
+}
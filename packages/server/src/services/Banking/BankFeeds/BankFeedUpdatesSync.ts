@@ -0,0 +1,118 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import uniqid from 'uniqid';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { BankFeedSyncDb } from './BankFeedSyncDb';
+import {
+  BankFeedUpdatesSource,
+  IBankFeedSyncResult,
+  IBankFeedTransactionsSyncedEventPayload,
+} from './types';
+
+@Service()
+export class BankFeedUpdatesSync {
+  @Inject()
+  private syncDb: BankFeedSyncDb;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Syncs the accounts and transactions of the given bank feed connection,
+   * the following are stored under UOW:
+   *  - New bank accounts.
+   *  - New, modified, or removed transactions.
+   *  - Last connection synced cursor.
+   *  - Last accounts feeds updated at and the accounts feed flag.
+   * @param {number} tenantId - Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @param {string} connectionId - Bank feed connection ID.
+   * @param {BankFeedUpdatesSource} source - Updates source of the provider.
+   * @returns {Promise<IBankFeedSyncResult>}
+   */
+  public async syncConnection(
+    tenantId: number,
+    provider: string,
+    connectionId: string,
+    source: BankFeedUpdatesSource
+  ): Promise<IBankFeedSyncResult> {
+    // Fetches the accounts and the new transactions from the provider.
+    const {
+      accounts: feedAccounts,
+      added,
+      modified,
+      removed,
+      cursor,
+    } = await source.fetchUpdates(tenantId, connectionId);
+
+    const feedAccountsIds = feedAccounts.map((account) => account.id);
+    const institutionName = feedAccounts[0]?.institutionName || provider;
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const batch = uniqid();
+
+      // Sync bank accounts.
+      await this.syncDb.syncBankAccounts(
+        tenantId,
+        provider,
+        institutionName,
+        feedAccounts,
+        trx
+      );
+      // Sync bank accounts transactions.
+      await this.syncDb.syncAccountsTransactions(
+        tenantId,
+        provider,
+        batch,
+        added.concat(modified),
+        trx
+      );
+      // Sync removed transactions.
+      await this.syncDb.syncRemoveTransactions(
+        tenantId,
+        provider,
+        removed,
+        trx
+      );
+
+      // Sync transactions cursor.
+      await source.updateSyncCursor(tenantId, connectionId, cursor, trx);
+      // Update the last feeds updated at of the synced accounts.
+      await this.syncDb.updateLastFeedsUpdatedAt(
+        tenantId,
+        provider,
+        feedAccountsIds,
+        trx
+      );
+      // Turn on the accounts feeds flag.
+      await this.syncDb.updateAccountsFeedsActive(
+        tenantId,
+        provider,
+        feedAccountsIds,
+        true,
+        trx
+      );
+      // Triggers `onBankFeedTransactionsSynced` event.
+      await this.eventPublisher.emitAsync(
+        events.bankFeeds.onTransactionsSynced,
+        {
+          tenantId,
+          provider,
+          connectionId,
+          batch,
+          trx,
+        } as IBankFeedTransactionsSyncedEventPayload
+      );
+      return {
+        addedCount: added.length,
+        modifiedCount: modified.length,
+        removedCount: removed.length,
+      };
+    });
+  }
+}
@@ -0,0 +1,36 @@
+import { Inject, Service } from 'typedi';
+import { PromisePool } from '@supercharge/promise-pool';
+import { BankFeedProviders } from './BankFeedProviders';
+import { BankFeedSync } from './BankFeedSync';
+
+@Service()
+export class BankFeedWebhooks {
+  @Inject()
+  private providers: BankFeedProviders;
+
+  @Inject()
+  private bankFeedSync: BankFeedSync;
+
+  /**
+   * Handles the bank feed provider webhook and syncs the connections
+   * the provider notified with new updates.
+   * @param {number} tenantId - Tenant ID.
+   * @param {string} provider - Bank feed provider.
+   * @param {Record<string, any>} payload - Webhook payload.
+   * @returns {Promise<void>}
+   */
+  public async webhook(
+    tenantId: number,
+    provider: string,
+    payload: Record<string, any>
+  ): Promise<void> {
+    const bankFeedProvider = this.providers.getProviderOrThrowError(provider);
+    const connectionsIds = await bankFeedProvider.webhook(tenantId, payload);
+
+    await PromisePool.withConcurrency(1)
+      .for(connectionsIds)
+      .process((connectionId) =>
+        this.bankFeedSync.syncConnection(tenantId, provider, connectionId)
+      );
+  }
+}
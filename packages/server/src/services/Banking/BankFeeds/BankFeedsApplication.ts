@@ -0,0 +1,80 @@
+import { Inject, Service } from 'typedi';
+import { BankFeedSync } from './BankFeedSync';
+import { BankFeedWebhooks } from './BankFeedWebhooks';
+import { GetBankFeedConnections } from './GetBankFeedConnections';
+import { LinkBankFeedConnection } from './LinkBankFeedConnection';
+import {
+  BankFeedProviderType,
+  IBankFeedSyncResult,
+  IFileDropConnectionDTO,
+} from './types';
+
+@Service()
+export class BankFeedsApplication {
+  @Inject()
+  private getConnectionsService: GetBankFeedConnections;
+
+  @Inject()
+  private linkConnectionService: LinkBankFeedConnection;
+
+  @Inject()
+  private bankFeedSync: BankFeedSync;
+
+  @Inject()
+  private bankFeedWebhooks: BankFeedWebhooks;
+
+  /**
+   * Retrieves the bank feed connections.
+   * @param {number} tenantId
+   */
+  public getConnections(tenantId: number) {
+    return this.getConnectionsService.getConnections(tenantId);
+  }
+
+  /**
+   * Links a new file drop connection.
+   * @param {number} tenantId
+   * @param {IFileDropConnectionDTO} connectionDTO
+   * @returns {Promise<string>}
+   */
+  public linkFileDropConnection(
+    tenantId: number,
+    connectionDTO: IFileDropConnectionDTO
+  ): Promise<string> {
+    return this.linkConnectionService.linkConnection(
+      tenantId,
+      BankFeedProviderType.FileDrop,
+      connectionDTO
+    );
+  }
+
+  /**
+   * Syncs the given bank feed connection.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {string} connectionId
+   * @returns {Promise<IBankFeedSyncResult>}
+   */
+  public syncConnection(
+    tenantId: number,
+    provider: string,
+    connectionId: string
+  ): Promise<IBankFeedSyncResult> {
+    return this.bankFeedSync.syncConnection(tenantId, provider, connectionId);
+  }
+
+  /**
+   * Handles the given bank feed provider webhook.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {Record<string, any>} payload
+   * @returns {Promise<void>}
+   */
+  public webhook(
+    tenantId: number,
+    provider: string,
+    payload: Record<string, any>
+  ): Promise<void> {
+    return this.bankFeedWebhooks.webhook(tenantId, provider, payload);
+  }
+}
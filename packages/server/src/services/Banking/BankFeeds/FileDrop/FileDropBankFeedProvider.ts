@@ -0,0 +1,299 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import uniqid from 'uniqid';
+import { keyBy } from 'lodash';
+import config from '@/config';
+import { Tenant } from '@/system/models';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { BankStatementTransaction } from '@/services/Import/_statements';
+import {
+  BankFeedProvider,
+  BankFeedProviderType,
+  BankFeedTransaction,
+  BankFeedUpdates,
+  BankFeedUpdatesSource,
+  ERRORS,
+  IBankFeedSyncResult,
+  IFileDropConnectionDTO,
+} from '../types';
+import { BankFeedUpdatesSync } from '../BankFeedUpdatesSync';
+import {
+  FileDropStatementFileState,
+  getFolderStatementFiles,
+  getStatementFileHash,
+  isStatementFileProcessed,
+  isStatementFileStable,
+  parseStatementFile,
+  resolveFileDropFolder,
+  transformFileStatementsToFeedTransactions,
+  transformStatementsToFeedAccounts,
+} from './_utils';
+
+@Service()
+export class FileDropBankFeedProvider
+  implements BankFeedProvider, BankFeedUpdatesSource
+{
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private updatesSync: BankFeedUpdatesSync;
+
+  /**
+   * Resolves the connection folder path of the given tenant or throw error.
+   * @param {number} tenantId
+   * @param {string} folder
+   * @returns {Promise<string>}
+   */
+  private async getFolderPathOrThrowError(
+    tenantId: number,
+    folder: string
+  ): Promise<string> {
+    if (!config.bankFeeds.fileDrop.path) {
+      throw new ServiceError(ERRORS.FILE_DROP_NOT_CONFIGURED);
+    }
+    const tenant = await Tenant.query().findById(tenantId);
+    const folderPath = resolveFileDropFolder(
+      config.bankFeeds.fileDrop.path,
+      tenant.organizationId,
+      folder
+    );
+    if (!folderPath) {
+      throw new ServiceError(ERRORS.FILE_DROP_FOLDER_INVALID);
+    }
+    return folderPath;
+  }
+
+  /**
+   * Retrieves the given file drop connection or throw service error.
+   * @param {number} tenantId
+   * @param {string} connectionId
+   */
+  private async getConnectionOrThrowError(
+    tenantId: number,
+    connectionId: string
+  ) {
+    const { BankFeedConnection } = this.tenancy.models(tenantId);
+
+    const connection = await BankFeedConnection.query().findOne({
+      provider: BankFeedProviderType.FileDrop,
+      connectionId,
+    });
+    if (!connection) {
+      throw new ServiceError(ERRORS.BANK_FEED_CONNECTION_NOT_FOUND);
+    }
+    return connection;
+  }
+
+  /**
+   * Reads the statement files dropped to the connection folder and not
+   * processed yet, the new or changed file is read once its size is stable
+   * across two scans. The cursor is the scanned state of the files, stored
+   * once the connection synced.
+   * @param {number} tenantId
+   * @param {string} connectionId
+   */
+  private async readNewStatements(tenantId: number, connectionId: string) {
+    const { BankFeedFile } = this.tenancy.models(tenantId);
+
+    const connection = await this.getConnectionOrThrowError(
+      tenantId,
+      connectionId
+    );
+    const folderPath = await this.getFolderPathOrThrowError(
+      tenantId,
+      connection.folder
+    );
+    const storedFiles = keyBy(
+      await BankFeedFile.query().where('connectionId', connectionId),
+      'name'
+    );
+    const files = await getFolderStatementFiles(folderPath);
+    const filesStates: FileDropStatementFileState[] = [];
+
+    const transactions: BankStatementTransaction[] = [];
+    const feedTransactions: BankFeedTransaction[] = [];
+
+    for (const file of files) {
+      const storedFile = storedFiles[file.name];
+
+      // Skips the processed files that not changed since.
+      if (isStatementFileProcessed(file, storedFile)) continue;
+
+      const fileState = {
+        name: file.name,
+        size: file.size,
+        modifiedAt: file.modifiedAt.toISOString(),
+        hash: storedFile?.hash || null,
+        processed: false,
+      };
+      filesStates.push(fileState);
+
+      // Waits for the next scan while the file is still being written.
+      if (!isStatementFileStable(file, storedFile)) continue;
+
+      const buffer = await fs.readFile(path.join(folderPath, file.name));
+      const hash = getStatementFileHash(buffer);
+
+      fileState.processed = true;
+
+      // Skips the re-dropped file of the same processed content.
+      if (hash === storedFile.hash) continue;
+
+      fileState.hash = hash;
+
+      const parsed = parseStatementFile(buffer);
+
+      // Ignores the unsupported files dropped to the folder.
+      if (parsed) {
+        transactions.push(...parsed);
+        feedTransactions.push(
+          ...transformFileStatementsToFeedTransactions(connectionId, parsed)
+        );
+      }
+    }
+    const cursor = JSON.stringify(filesStates);
+
+    return { connection, transactions, feedTransactions, cursor };
+  }
+
+  /**
+   * Links a new file drop connection and creates its folder.
+   * @param {number} tenantId
+   * @param {IFileDropConnectionDTO} linkDTO
+   * @returns {Promise<string>} - Connection id.
+   */
+  public async link(
+    tenantId: number,
+    linkDTO: IFileDropConnectionDTO
+  ): Promise<string> {
+    const { BankFeedConnection } = this.tenancy.models(tenantId);
+
+    const folderPath = await this.getFolderPathOrThrowError(
+      tenantId,
+      linkDTO.folder
+    );
+    await fs.mkdir(folderPath, { recursive: true });
+
+    const connectionId = uniqid();
+
+    await BankFeedConnection.query().insert({
+      provider: BankFeedProviderType.FileDrop,
+      connectionId,
+      name: linkDTO.name,
+      folder: linkDTO.folder,
+    });
+    return connectionId;
+  }
+
+  /**
+   * Retrieves the bank accounts and the transactions of the new dropped
+   * statements, the files are read once per sync. The removed transactions
+   * are not tracked by the statement files.
+   * @param {number} tenantId
+   * @param {string} connectionId
+   * @returns {Promise<BankFeedUpdates>}
+   */
+  public async fetchUpdates(
+    tenantId: number,
+    connectionId: string
+  ): Promise<BankFeedUpdates> {
+    const { connection, transactions, feedTransactions, cursor } =
+      await this.readNewStatements(tenantId, connectionId);
+
+    return {
+      accounts: transformStatementsToFeedAccounts(
+        connectionId,
+        connection.name,
+        transactions
+      ),
+      added: feedTransactions,
+      modified: [],
+      removed: [],
+      cursor,
+    };
+  }
+
+  /**
+   * Stores the scanned state of the connection files, the processed files
+   * are skipped by the next syncs.
+   * @param {number} tenantId
+   * @param {string} connectionId
+   * @param {string} cursor - The scanned files states.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<void>}
+   */
+  public async updateSyncCursor(
+    tenantId: number,
+    connectionId: string,
+    cursor: string | null,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { BankFeedConnection, BankFeedFile } = this.tenancy.models(tenantId);
+
+    const filesStates: FileDropStatementFileState[] = JSON.parse(
+      cursor || '[]'
+    );
+    for (const fileState of filesStates) {
+      const fileDTO = {
+        size: fileState.size,
+        modifiedAt: new Date(fileState.modifiedAt),
+        hash: fileState.hash,
+        processedAt: fileState.processed ? new Date() : null,
+      };
+      const updatedCount = await BankFeedFile.query(trx)
+        .where({ connectionId, name: fileState.name })
+        .patch(fileDTO);
+
+      if (updatedCount === 0) {
+        await BankFeedFile.query(trx).insert({
+          connectionId,
+          name: fileState.name,
+          ...fileDTO,
+        });
+      }
+    }
+    await BankFeedConnection.query(trx)
+      .findOne({ provider: BankFeedProviderType.FileDrop, connectionId })
+      .patch({ lastSyncedAt: new Date() });
+  }
+
+  /**
+   * Syncs the new dropped statements of the given connection.
+   * @param {number} tenantId
+   * @param {string} connectionId
+   * @returns {Promise<IBankFeedSyncResult>}
+   */
+  public sync(
+    tenantId: number,
+    connectionId: string
+  ): Promise<IBankFeedSyncResult> {
+    return this.updatesSync.syncConnection(
+      tenantId,
+      BankFeedProviderType.FileDrop,
+      connectionId,
+      this
+    );
+  }
+
+  /**
+   * Handles the file drop webhook, triggered by the SFTP server once
+   * a new file uploaded to the connection folder.
+   * @param {number} tenantId
+   * @param {Record<string, any>} payload
+   * @returns {Promise<string[]>} - The connections ids should be synced.
+   */
+  public async webhook(
+    tenantId: number,
+    payload: Record<string, any>
+  ): Promise<string[]> {
+    const connection = await this.getConnectionOrThrowError(
+      tenantId,
+      payload.connectionId
+    );
+    return [connection.connectionId];
+  }
+}
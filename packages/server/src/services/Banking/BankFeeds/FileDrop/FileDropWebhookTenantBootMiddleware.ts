@@ -0,0 +1,45 @@
+import { Request, Response, NextFunction } from 'express';
+import config from '@/config';
+import { Tenant } from '@/system/models';
+import tenantDependencyInjection from '@/api/middleware/TenantDependencyInjection';
+import {
+  compareSignatures,
+  createHmacSignature,
+  getHeader,
+} from '@/lib/WebhookSignature';
+
+export const FileDropWebhookTenantBootMiddleware = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const secret = config.bankFeeds.fileDrop.webhookSecret;
+  const signature = getHeader(req.headers, 'x-signature');
+
+  // Verifies the body signed by the shared secret of the SFTP server.
+  if (
+    !secret ||
+    !compareSignatures(
+      createHmacSignature(secret, req.rawBody || ''),
+      signature
+    )
+  ) {
+    return res.boom.unauthorized('The webhook signature is invalid.', {
+      errors: [{ type: 'WEBHOOK.SIGNATURE.INVALID', code: 200 }],
+    });
+  }
+  const { organization_id: organizationId } = req.body;
+
+  const tenant = await Tenant.query()
+    .findOne({ organizationId: organizationId || '' })
+    .withGraphFetched('metadata');
+
+  // When the given organization id not found on the system storage.
+  if (!tenant) {
+    return res.boom.unauthorized('Organization identication not found.', {
+      errors: [{ type: 'ORGANIZATION.ID.NOT.FOUND', code: 100 }],
+    });
+  }
+  tenantDependencyInjection(req, tenant);
+  next();
+};
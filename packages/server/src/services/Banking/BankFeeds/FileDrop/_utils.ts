@@ -0,0 +1,291 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import moment from 'moment';
+import { uniqBy } from 'lodash';
+import { BankStatementTransaction } from '@/services/Import/_statements';
+import { isOfxFile, parseOfxTransactions } from '@/services/Import/_ofx';
+import { isCamtFile, parseCamtTransactions } from '@/services/Import/_camt';
+import { isMt940File, parseMt940Transactions } from '@/services/Import/_mt940';
+import { BankFeedAccount, BankFeedTransaction } from '../types';
+
+export const FileDropDefaultAccountId = 'default';
+
+export interface FileDropStatementFile {
+  name: string;
+  size: number;
+  modifiedAt: Date;
+}
+
+/**
+ * The scanned state of the statement file, stored once the connection synced.
+ */
+export interface FileDropStatementFileState {
+  name: string;
+  size: number;
+  modifiedAt: string;
+  hash: string | null;
+  processed: boolean;
+}
+
+export interface FileDropStoredFile {
+  name: string;
+  size: number;
+  modifiedAt: Date | string;
+  hash: string | null;
+  processedAt: Date | string | null;
+}
+
+/**
+ * Resolves the connection folder under the tenant folder of the file drop
+ * path, returns null once the folder escapes the tenant folder.
+ * @param {string} basePath - File drop path.
+ * @param {string} organizationId - Tenant organization id.
+ * @param {string} folder - Connection folder.
+ * @returns {string | null}
+ */
+export const resolveFileDropFolder = (
+  basePath: string,
+  organizationId: string,
+  folder: string
+): string | null => {
+  const tenantPath = path.resolve(basePath, organizationId);
+  const folderPath = path.resolve(tenantPath, folder);
+
+  return folderPath.startsWith(`${tenantPath}${path.sep}`) ? folderPath : null;
+};
+
+/**
+ * Parses the given statement file buffer, supports OFX/QFX, CAMT.053
+ * and MT940 statements, otherwise returns null.
+ * @param {Buffer} buffer
+ * @returns {BankStatementTransaction[] | null}
+ */
+export const parseStatementFile = (
+  buffer: Buffer
+): BankStatementTransaction[] | null => {
+  if (isOfxFile(buffer)) {
+    return parseOfxTransactions(buffer);
+  }
+  if (isCamtFile(buffer)) {
+    return parseCamtTransactions(buffer);
+  }
+  if (isMt940File(buffer)) {
+    return parseMt940Transactions(buffer);
+  }
+  return null;
+};
+
+/**
+ * Retrieves the statement files of the given folder sorted by
+ * the modification date.
+ * @param {string} folderPath
+ * @returns {Promise<FileDropStatementFile[]>}
+ */
+export const getFolderStatementFiles = async (
+  folderPath: string
+): Promise<FileDropStatementFile[]> => {
+  const entries = await fs.readdir(folderPath, { withFileTypes: true });
+  const files: FileDropStatementFile[] = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+    const stat = await fs.stat(path.join(folderPath, entry.name));
+
+    files.push({ name: entry.name, size: stat.size, modifiedAt: stat.mtime });
+  }
+  return files.sort((a, b) => a.modifiedAt.getTime() - b.modifiedAt.getTime());
+};
+
+/**
+ * Detarmines whether the given file is unchanged since the stored scan.
+ * @param {FileDropStatementFile} file
+ * @param {FileDropStoredFile} storedFile
+ * @returns {boolean}
+ */
+const isStatementFileUnchanged = (
+  file: FileDropStatementFile,
+  storedFile?: FileDropStoredFile
+): boolean => {
+  return (
+    !!storedFile &&
+    storedFile.size === file.size &&
+    // The stored modification date is truncated to seconds.
+    moment(storedFile.modifiedAt).isSame(file.modifiedAt, 'second')
+  );
+};
+
+/**
+ * Detarmines whether the given file has been processed and not changed since.
+ * @param {FileDropStatementFile} file
+ * @param {FileDropStoredFile} storedFile
+ * @returns {boolean}
+ */
+export const isStatementFileProcessed = (
+  file: FileDropStatementFile,
+  storedFile?: FileDropStoredFile
+): boolean => {
+  return (
+    !!storedFile?.processedAt && isStatementFileUnchanged(file, storedFile)
+  );
+};
+
+/**
+ * Detarmines whether the given file is completely written, the file is stable
+ * once its size and modification date didn't change since the previous scan,
+ * so the files still being uploaded aren't read partially.
+ * @param {FileDropStatementFile} file
+ * @param {FileDropStoredFile} storedFile
+ * @returns {boolean}
+ */
+export const isStatementFileStable = (
+  file: FileDropStatementFile,
+  storedFile?: FileDropStoredFile
+): boolean => {
+  return !storedFile?.processedAt && isStatementFileUnchanged(file, storedFile);
+};
+
+/**
+ * Retrieves the content hash of the given statement file buffer.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const getStatementFileHash = (buffer: Buffer): string => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+/**
+ * Retrieves the feed account id of the given statement transaction, scoped to
+ * the connection so the same statement account of different connections
+ * isn't synced to the same cashflow account.
+ * @param {string} connectionId
+ * @param {BankStatementTransaction} transaction
+ * @returns {string}
+ */
+export const getStatementAccountId = (
+  connectionId: string,
+  transaction: BankStatementTransaction
+): string => {
+  const accountNo =
+    transaction.accountIban ||
+    transaction.accountNo ||
+    FileDropDefaultAccountId;
+
+  return `${connectionId}:${accountNo}`;
+};
+
+/**
+ * Retrieves the feed transaction id, the statements without transaction id
+ * are identified by the hash of their details and their occurrence among
+ * the identical transactions of the same file, so the re-dropped file
+ * doesn't duplicate its transactions and the identical transactions of
+ * the same statement are kept.
+ * @param {string} connectionId
+ * @param {BankStatementTransaction} transaction
+ * @param {number} occurrence - Occurrence of the identical transaction in the file.
+ * @returns {string}
+ */
+export const getStatementTransactionId = (
+  connectionId: string,
+  transaction: BankStatementTransaction,
+  occurrence: number = 0
+): string => {
+  if (transaction.fitid) return transaction.fitid;
+
+  const hash = crypto
+    .createHash('md5')
+    .update(
+      [
+        getStatementAccountId(connectionId, transaction),
+        transaction.date,
+        transaction.amount,
+        transaction.description,
+        transaction.referenceNo,
+        occurrence,
+      ].join('|')
+    )
+    .digest('hex');
+
+  return `file_drop_${hash}`;
+};
+
+/**
+ * Transformes the statement transaction to bank feed transaction.
+ * @param {string} connectionId
+ * @param {BankStatementTransaction} transaction
+ * @param {number} occurrence - Occurrence of the identical transaction in the file.
+ * @returns {BankFeedTransaction}
+ */
+export const transformStatementToFeedTransaction = (
+  connectionId: string,
+  transaction: BankStatementTransaction,
+  occurrence: number = 0
+): BankFeedTransaction => ({
+  id: getStatementTransactionId(connectionId, transaction, occurrence),
+  accountId: getStatementAccountId(connectionId, transaction),
+  date: transaction.date,
+  amount: transaction.amount,
+  description: transaction.description,
+  payee: transaction.payee,
+  referenceNo: transaction.referenceNo,
+  valueDate: transaction.valueDate,
+  counterpartyName: transaction.counterpartyName,
+  counterpartyIban: transaction.counterpartyIban,
+});
+
+/**
+ * Transformes the transactions of a single statement file to bank feed
+ * transactions, the identical transactions are counted per file so each one
+ * gets its own id.
+ * @param {string} connectionId
+ * @param {BankStatementTransaction[]} transactions - Transactions of one file.
+ * @returns {BankFeedTransaction[]}
+ */
+export const transformFileStatementsToFeedTransactions = (
+  connectionId: string,
+  transactions: BankStatementTransaction[]
+): BankFeedTransaction[] => {
+  const occurrences = new Map<string, number>();
+
+  return transactions.map((transaction) => {
+    const key = getStatementTransactionId(connectionId, transaction);
+    const occurrence = occurrences.get(key) || 0;
+
+    occurrences.set(key, occurrence + 1);
+
+    return transformStatementToFeedTransaction(
+      connectionId,
+      transaction,
+      occurrence
+    );
+  });
+};
+
+/**
+ * Retrieves the feed accounts of the given statement transactions,
+ * an account for every statement account IBAN or account number.
+ * @param {string} connectionId
+ * @param {string} connectionName
+ * @param {BankStatementTransaction[]} transactions
+ * @returns {BankFeedAccount[]}
+ */
+export const transformStatementsToFeedAccounts = (
+  connectionId: string,
+  connectionName: string,
+  transactions: BankStatementTransaction[]
+): BankFeedAccount[] => {
+  const getAccountId = (transaction: BankStatementTransaction) =>
+    getStatementAccountId(connectionId, transaction);
+
+  return uniqBy(transactions, getAccountId).map((transaction) => {
+    const accountNo = transaction.accountIban || transaction.accountNo;
+
+    return {
+      id: getAccountId(transaction),
+      name: accountNo ? `${connectionName} - ${accountNo}` : connectionName,
+      iban: transaction.accountIban || null,
+      institutionName: connectionName,
+    };
+  });
+};
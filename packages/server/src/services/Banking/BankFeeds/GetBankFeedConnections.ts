@@ -0,0 +1,18 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+@Service()
+export class GetBankFeedConnections {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the bank feed connections of the local providers.
+   * @param {number} tenantId
+   */
+  public async getConnections(tenantId: number) {
+    const { BankFeedConnection } = this.tenancy.models(tenantId);
+
+    return BankFeedConnection.query().orderBy('createdAt', 'DESC');
+  }
+}
@@ -0,0 +1,39 @@
+import { Inject, Service } from 'typedi';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { BankFeedProviders } from './BankFeedProviders';
+import { IBankFeedConnectionLinkedEventPayload } from './types';
+
+@Service()
+export class LinkBankFeedConnection {
+  @Inject()
+  private providers: BankFeedProviders;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Links a new connection of the given bank feed provider.
+   * @param {number} tenantId
+   * @param {string} provider
+   * @param {Record<string, any>} linkDTO
+   * @returns {Promise<string>} - The linked connection id.
+   */
+  public async linkConnection(
+    tenantId: number,
+    provider: string,
+    linkDTO: Record<string, any>
+  ): Promise<string> {
+    const bankFeedProvider = this.providers.getProviderOrThrowError(provider);
+    const connectionId = await bankFeedProvider.link(tenantId, linkDTO);
+
+    // Triggers `onBankFeedConnectionLinked` event.
+    await this.eventPublisher.emitAsync(events.bankFeeds.onConnectionLinked, {
+      tenantId,
+      provider,
+      connectionId,
+    } as IBankFeedConnectionLinkedEventPayload);
+
+    return connectionId;
+  }
+}
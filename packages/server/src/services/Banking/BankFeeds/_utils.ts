@@ -0,0 +1,62 @@
+import * as R from 'ramda';
+import {
+  CreateUncategorizedTransactionDTO,
+  IAccountCreateDTO,
+} from '@/interfaces';
+import { BankFeedAccount, BankFeedTransaction } from './types';
+
+/**
+ * Transformes the bank feed account to create cashflow account DTO.
+ * @param {string} provider - Bank feed provider.
+ * @param {string} institutionName - Institution or connection name.
+ * @param {BankFeedAccount} feedAccount
+ * @returns {IAccountCreateDTO}
+ */
+export const transformFeedAccountToCreateAccount = R.curry(
+  (
+    provider: string,
+    institutionName: string,
+    feedAccount: BankFeedAccount
+  ): IAccountCreateDTO => {
+    return {
+      name: `${institutionName} - ${feedAccount.name}`,
+      code: '',
+      description: feedAccount.officialName,
+      currencyCode: feedAccount.currencyCode,
+      accountType: 'cash',
+      active: true,
+      bankBalance: feedAccount.currentBalance,
+      accountMask: feedAccount.mask,
+      iban: feedAccount.iban || null,
+      bankFeedProvider: provider,
+      bankFeedAccountId: feedAccount.id,
+    };
+  }
+);
+
+/**
+ * Transformes the bank feed transaction to uncategorized transaction DTO.
+ * @param {number} cashflowAccountId - Cashflow account ID.
+ * @param {BankFeedTransaction} feedTransaction
+ * @returns {CreateUncategorizedTransactionDTO}
+ */
+export const transformFeedTransactionToUncategorized = R.curry(
+  (
+    cashflowAccountId: number,
+    feedTransaction: BankFeedTransaction
+  ): CreateUncategorizedTransactionDTO => {
+    return {
+      date: feedTransaction.date,
+      amount: feedTransaction.amount,
+      description: feedTransaction.description,
+      payee: feedTransaction.payee,
+      currencyCode: feedTransaction.currencyCode,
+      accountId: cashflowAccountId,
+      referenceNo: feedTransaction.referenceNo,
+      valueDate: feedTransaction.valueDate || null,
+      counterpartyName: feedTransaction.counterpartyName || null,
+      counterpartyIban: feedTransaction.counterpartyIban || null,
+      fitid: feedTransaction.id,
+    };
+  }
+);
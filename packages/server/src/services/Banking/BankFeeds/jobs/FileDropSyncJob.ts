@@ -0,0 +1,40 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { BankFeedSync } from '../BankFeedSync';
+import { BankFeedProviderType } from '../types';
+
+@Service()
+export class FileDropSyncJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'bank-feeds-file-drop-sync',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Syncs the file drop connections of the given tenant.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const bankFeedSync = Container.get(BankFeedSync);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await bankFeedSync.syncProviderConnections(
+        tenantId,
+        BankFeedProviderType.FileDrop
+      );
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
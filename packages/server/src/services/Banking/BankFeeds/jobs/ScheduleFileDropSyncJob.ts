@@ -0,0 +1,37 @@
+import Container, { Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Tenant } from '@/system/models';
+
+@Service()
+export class ScheduleFileDropSyncJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define('bank-feeds-file-drop-schedule', this.handler);
+  }
+
+  /**
+   * Queues the file drop connections sync job of every ready organization.
+   */
+  private handler = async (job, done: Function) => {
+    const agenda: any = Container.get('agenda');
+
+    try {
+      const tenants = await Tenant.query()
+        .whereNotNull('initializedAt')
+        .whereNotNull('seededAt');
+
+      await bluebird.map(
+        tenants,
+        (tenant) =>
+          agenda.now('bank-feeds-file-drop-sync', { tenantId: tenant.id }),
+        { concurrency: 10 }
+      );
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
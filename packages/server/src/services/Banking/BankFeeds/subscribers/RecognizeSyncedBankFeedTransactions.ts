@@ -0,0 +1,39 @@
+import { Inject, Service } from 'typedi';
+import { EventSubscriber } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { RecognizeTranasctionsService } from '../../RegonizeTranasctions/RecognizeTranasctionsService';
+import { runAfterTransaction } from '@/services/UnitOfWork/TransactionsHooks';
+import { IBankFeedTransactionsSyncedEventPayload } from '../types';
+
+@Service()
+export class RecognizeSyncedBankFeedTransactions extends EventSubscriber {
+  @Inject()
+  private recognizeTranasctionsService: RecognizeTranasctionsService;
+
+  /**
+   * Constructor method.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.bankFeeds.onTransactionsSynced,
+      this.handleRecognizeSyncedBankTransactions.bind(this)
+    );
+  }
+
+  /**
+   * Recognizes the synced bank feed transactions once committed.
+   * @param {IBankFeedTransactionsSyncedEventPayload} payload - Event payload.
+   */
+  private handleRecognizeSyncedBankTransactions = async ({
+    tenantId,
+    batch,
+    trx,
+  }: IBankFeedTransactionsSyncedEventPayload) => {
+    runAfterTransaction(trx, async () => {
+      await this.recognizeTranasctionsService.recognizeTransactions(
+        tenantId,
+        batch
+      );
+    });
+  };
+}
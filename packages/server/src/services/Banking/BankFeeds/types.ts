@@ -0,0 +1,130 @@
+import { Knex } from 'knex';
+
+export enum BankFeedProviderType {
+  Plaid = 'plaid',
+  FileDrop = 'file_drop',
+}
+
+/**
+ * The bank account of the bank feed connection.
+ */
+export interface BankFeedAccount {
+  id: string;
+  name: string;
+  officialName?: string | null;
+  mask?: string | null;
+  iban?: string | null;
+  currencyCode?: string | null;
+  currentBalance?: number | null;
+  institutionName?: string | null;
+}
+
+/**
+ * The bank feed transaction, the positive amount moves money in the account
+ * and the negative one moves money out.
+ */
+export interface BankFeedTransaction {
+  id: string;
+  accountId: string;
+  date: string;
+  amount: number;
+  description: string;
+  payee?: string | null;
+  referenceNo?: string | null;
+  currencyCode?: string | null;
+  valueDate?: string | null;
+  counterpartyName?: string | null;
+  counterpartyIban?: string | null;
+}
+
+/**
+ * The accounts and transactions updates of the connection since the last
+ * synced cursor.
+ */
+export interface BankFeedUpdates {
+  accounts: BankFeedAccount[];
+  added: BankFeedTransaction[];
+  modified: BankFeedTransaction[];
+  removed: string[];
+  cursor: string | null;
+}
+
+/**
+ * The bank feed provider, links the connections of the provider and syncs
+ * their accounts and transactions with the cashflow accounts.
+ */
+export interface BankFeedProvider {
+  /**
+   * Links a new connection of the provider.
+   * @returns {Promise<string>} - The linked connection id.
+   */
+  link(tenantId: number, linkDTO: Record<string, any>): Promise<string>;
+
+  /**
+   * Syncs the accounts and transactions of the given connection.
+   */
+  sync(tenantId: number, connectionId: string): Promise<IBankFeedSyncResult>;
+
+  /**
+   * Handles the provider webhook.
+   * @returns {Promise<string[]>} - The connections ids should be synced.
+   */
+  webhook(tenantId: number, payload: Record<string, any>): Promise<string[]>;
+}
+
+/**
+ * The source of the bank feed updates, fetches the accounts and transactions
+ * of the connection to be stored by the bank feeds sync.
+ */
+export interface BankFeedUpdatesSource {
+  /**
+   * Retrieves the bank accounts and the transactions updates of the given
+   * connection since the last synced cursor.
+   */
+  fetchUpdates(
+    tenantId: number,
+    connectionId: string
+  ): Promise<BankFeedUpdates>;
+
+  /**
+   * Stores the last synced cursor of the given connection.
+   */
+  updateSyncCursor(
+    tenantId: number,
+    connectionId: string,
+    cursor: string | null,
+    trx?: Knex.Transaction
+  ): Promise<void>;
+}
+
+export interface IBankFeedSyncResult {
+  addedCount: number;
+  modifiedCount: number;
+  removedCount: number;
+}
+
+export interface IFileDropConnectionDTO {
+  name: string;
+  folder: string;
+}
+
+export interface IBankFeedConnectionLinkedEventPayload {
+  tenantId: number;
+  provider: string;
+  connectionId: string;
+}
+
+export interface IBankFeedTransactionsSyncedEventPayload {
+  tenantId: number;
+  provider: string;
+  connectionId: string;
+  batch: string;
+  trx?: Knex.Transaction;
+}
+
+export const ERRORS = {
+  BANK_FEED_PROVIDER_NOT_FOUND: 'BANK_FEED_PROVIDER_NOT_FOUND',
+  BANK_FEED_CONNECTION_NOT_FOUND: 'BANK_FEED_CONNECTION_NOT_FOUND',
+  FILE_DROP_NOT_CONFIGURED: 'FILE_DROP_NOT_CONFIGURED',
+  FILE_DROP_FOLDER_INVALID: 'FILE_DROP_FOLDER_INVALID',
+};
@@ -0,0 +1,145 @@
+import { Inject, Service } from 'typedi';
+import { groupBy, isEmpty, toNumber } from 'lodash';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ServiceError } from '@/exceptions';
+import { GetMatchedTransactions } from './GetMatchedTransactions';
+import { MatchBankTransactions } from './MatchTransactions';
+import { rankMatchTransactions } from './_utils';
+import {
+  DefaultAutoMatchThreshold,
+  GetMatchedTransactionsFilter,
+  IAutoMatchedTransaction,
+  IAutoMatchTransactionsDTO,
+  IAutoMatchTransactionsResult,
+  MatchedTransactionPOJO,
+} from './types';
+
+@Service()
+export class AutoMatchBankTransactions {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private getMatchedTransactionsService: GetMatchedTransactions;
+
+  @Inject()
+  private matchTransactionService: MatchBankTransactions;
+
+  /**
+   * Retrieves the auto-match confidence threshold, the given threshold
+   * overrides the organization setting.
+   * @param {number} tenantId
+   * @param {number} threshold
+   * @returns {number}
+   */
+  private getAutoMatchThreshold(tenantId: number, threshold?: number): number {
+    const settings = this.tenancy.settings(tenantId);
+
+    return toNumber(
+      threshold ??
+        settings.get(
+          { group: 'bank_matching', key: 'auto_match_threshold' },
+          DefaultAutoMatchThreshold
+        )
+    );
+  }
+
+  /**
+   * Retrieves the unique key of the given match candidate.
+   * @param {MatchedTransactionPOJO} match
+   * @returns {string}
+   */
+  private getCandidateKey(match: MatchedTransactionPOJO): string {
+    return `${match.referenceType}-${match.referenceId}`;
+  }
+
+  /**
+   * Auto-matches the unmatched bank transactions with the best candidate that
+   * scores above the threshold, the ambiguous candidates are skipped.
+   * @param {number} tenantId
+   * @param {IAutoMatchTransactionsDTO} autoMatchDTO
+   * @returns {Promise<IAutoMatchTransactionsResult>}
+   */
+  public async autoMatchTransactions(
+    tenantId: number,
+    autoMatchDTO: IAutoMatchTransactionsDTO
+  ): Promise<IAutoMatchTransactionsResult> {
+    const { UncategorizedCashflowTransaction } = this.tenancy.models(tenantId);
+
+    const threshold = this.getAutoMatchThreshold(
+      tenantId,
+      autoMatchDTO.threshold
+    );
+    const transactions = await UncategorizedCashflowTransaction.query()
+      .withGraphFetched('matchedBankTransactions')
+      .onBuild((query) => {
+        query.where('categorized', false);
+        query.modify('notExcluded');
+
+        if (autoMatchDTO.accountId) {
+          query.where('accountId', autoMatchDTO.accountId);
+        }
+      });
+    const unmatchedTransactions = transactions.filter((transaction) =>
+      isEmpty(transaction.matchedBankTransactions)
+    );
+    const transactionsByAccount = groupBy(unmatchedTransactions, 'accountId');
+
+    // The candidates already taken by previous transactions of the run.
+    const matchedKeys = new Set<string>();
+    const matchedTransactions: IAutoMatchedTransaction[] = [];
+
+    for (const accountId of Object.keys(transactionsByAccount)) {
+      const candidates =
+        await this.getMatchedTransactionsService.getMatchCandidates(tenantId, {
+          accountId: toNumber(accountId),
+        } as GetMatchedTransactionsFilter);
+
+      for (const transaction of transactionsByAccount[accountId]) {
+        const [bestMatch, secondMatch] = rankMatchTransactions(
+          transaction,
+          candidates.filter(
+            (candidate) => !matchedKeys.has(this.getCandidateKey(candidate))
+          )
+        );
+        if (
+          !bestMatch ||
+          bestMatch.score < threshold ||
+          secondMatch?.score === bestMatch.score
+        ) {
+          continue;
+        }
+        try {
+          await this.matchTransactionService.matchTransaction(
+            tenantId,
+            transaction.id,
+            {
+              matchedTransactions: [
+                {
+                  referenceType: bestMatch.referenceType,
+                  referenceId: bestMatch.referenceId,
+                },
+              ],
+            }
+          );
+        } catch (error) {
+          // Skips the candidates that fail the matching validation.
+          if (error instanceof ServiceError) continue;
+          throw error;
+        }
+        matchedKeys.add(this.getCandidateKey(bestMatch));
+        matchedTransactions.push({
+          uncategorizedTransactionId: transaction.id,
+          referenceType: bestMatch.referenceType,
+          referenceId: bestMatch.referenceId,
+          score: bestMatch.score,
+        });
+      }
+    }
+    return {
+      threshold,
+      matchedCount: matchedTransactions.length,
+      matchedTransactions,
+    };
+  }
+}
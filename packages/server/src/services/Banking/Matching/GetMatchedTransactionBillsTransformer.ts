@@ -20,6 +20,7 @@ export class GetMatchedTransactionBillsTransformer extends Transformer {
       'transactionNormal',
       'referenceId',
       'referenceType',
+      'contactName',
     ];
   };
 
@@ -128,4 +129,13 @@ export class GetMatchedTransactionBillsTransformer extends Transformer {
   protected referenceType() {
     return 'Bill';
   }
+
+  /**
+   * Retrieve the vendor display name.
+   * @param transaction
+   * @returns {string|null}
+   */
+  protected contactName(transaction) {
+    return transaction.vendor?.displayName || null;
+  }
 }
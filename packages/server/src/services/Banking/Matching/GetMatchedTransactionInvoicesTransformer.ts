@@ -19,6 +19,7 @@ export class GetMatchedTransactionInvoicesTransformer extends Transformer {
       'transsactionTypeFormatted',
       'transactionNormal',
       'referenceType',
+      'contactName',
       'referenceId'
     ];
   };
@@ -135,4 +136,13 @@ export class GetMatchedTransactionInvoicesTransformer extends Transformer {
   protected referenceId(transaction) {
     return transaction.id;
   }
+
+  /**
+   * Retrieve the customer display name.
+   * @param transaction
+   * @returns {string|null}
+   */
+  protected contactName(transaction) {
+    return transaction.customer?.displayName || null;
+  }
 }
@@ -2,12 +2,16 @@ import { Inject, Service } from 'typedi';
 import * as R from 'ramda';
 import moment from 'moment';
 import { PromisePool } from '@supercharge/promise-pool';
-import { GetMatchedTransactionsFilter, MatchedTransactionsPOJO } from './types';
+import {
+  GetMatchedTransactionsFilter,
+  MatchedTransactionPOJO,
+  MatchedTransactionsPOJO,
+} from './types';
 import { GetMatchedTransactionsByExpenses } from './GetMatchedTransactionsByExpenses';
 import { GetMatchedTransactionsByBills } from './GetMatchedTransactionsByBills';
 import { GetMatchedTransactionsByManualJournals } from './GetMatchedTransactionsByManualJournals';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
-import { sortClosestMatchTransactions } from './_utils';
+import { rankMatchTransactions } from './_utils';
 import { GetMatchedTransactionsByCashflow } from './GetMatchedTransactionsByCashflow';
 import { GetMatchedTransactionsByInvoices } from './GetMatchedTransactionsByInvoices';
 
@@ -62,6 +66,31 @@ export class GetMatchedTransactions {
         .findById(uncategorizedTransactionId)
         .throwIfNotFound();
 
+    const matchedTransactions = await this.getMatchCandidates(tenantId, {
+      ...filter,
+      accountId: uncategorizedTransaction.accountId,
+    });
+    const { perfectMatches, possibleMatches } = this.groupMatchedResults(
+      uncategorizedTransaction,
+      matchedTransactions
+    );
+    return {
+      perfectMatches,
+      possibleMatches,
+    };
+  }
+
+  /**
+   * Retrieves the match candidates of all the registered types or the
+   * filtered type only.
+   * @param {number} tenantId -
+   * @param {GetMatchedTransactionsFilter} filter -
+   * @returns {Promise<MatchedTransactionPOJO[]>}
+   */
+  public async getMatchCandidates(
+    tenantId: number,
+    filter: GetMatchedTransactionsFilter
+  ): Promise<MatchedTransactionPOJO[]> {
     const filtered = filter.transactionType
       ? this.registered.filter((item) => item.type === filter.transactionType)
       : this.registered;
@@ -72,41 +101,32 @@ export class GetMatchedTransactions {
         return service.getMatchedTransactions(tenantId, filter);
       });
 
-    const { perfectMatches, possibleMatches } = this.groupMatchedResults(
-      uncategorizedTransaction,
-      matchedTransactions
-    );
-    return {
-      perfectMatches,
-      possibleMatches,
-    };
+    return R.compose(R.flatten)(matchedTransactions?.results);
   }
 
   /**
    * Groups the given results for getting perfect and possible matches
    * based on the given uncategorized transaction.
    * @param uncategorizedTransaction
-   * @param matchedTransactions
+   * @param {MatchedTransactionPOJO[]} matchedTransactions
    * @returns {MatchedTransactionsPOJO}
    */
   private groupMatchedResults(
     uncategorizedTransaction,
-    matchedTransactions
+    matchedTransactions: MatchedTransactionPOJO[]
   ): MatchedTransactionsPOJO {
-    const results = R.compose(R.flatten)(matchedTransactions?.results);
-
-    // Sort the results based on amount, date, and transaction type
-    const closestResullts = sortClosestMatchTransactions(
+    // Ranks the results based on the confidence score, amount and date.
+    const rankedResults = rankMatchTransactions(
       uncategorizedTransaction,
-      results
+      matchedTransactions
     );
     const perfectMatches = R.filter(
-      (match) =>
-        match.amount === uncategorizedTransaction.amount &&
+      (match: MatchedTransactionPOJO) =>
+        match.scoreBreakdown.amount === 1 &&
         moment(match.date).isSame(uncategorizedTransaction.date, 'day'),
-      closestResullts
+      rankedResults
     );
-    const possibleMatches = R.difference(closestResullts, perfectMatches);
+    const possibleMatches = R.difference(rankedResults, perfectMatches);
 
     return { perfectMatches, possibleMatches };
   }
@@ -44,6 +44,9 @@ export class GetMatchedTransactionsByBills extends GetMatchedTransactionsByType
       q.orderBy('billDate', 'DESC');
     });
 
+    // Loads the contacts to score the name similarity with the payee.
+    await Bill.fetchGraph(bills, 'vendor');
+
     return this.transformer.transform(
       tenantId,
       bills,
@@ -51,6 +51,9 @@ export class GetMatchedTransactionsByInvoices extends GetMatchedTransactionsByTy
       q.orderBy('invoiceDate', 'DESC');
     });
 
+    // Loads the contacts to score the name similarity with the payee.
+    await SaleInvoice.fetchGraph(invoices, 'customer');
+
     return this.transformer.transform(
       tenantId,
       invoices,
@@ -29,14 +29,13 @@ export class GetMatchedTransactionsByManualJournals extends GetMatchedTransactio
       ManualJournalEntry,
       MatchedBankTransaction,
     ]);
-    const accountId = 1000;
-
     const manualJournals = await ManualJournal.query().onBuild((query) => {
       query.withGraphJoined('matchedBankTransaction');
       query.whereNull('matchedBankTransaction.id');
 
+      // Filters the journals entries that affect the bank transaction account.
       query.withGraphJoined('entries');
-      query.where('entries.accountId', accountId);
+      query.where('entries.accountId', filter.accountId);
 
       query.modify('filterByPublished');
 
@@ -2,7 +2,16 @@ import { Inject, Service } from 'typedi';
 import { GetMatchedTransactions } from './GetMatchedTransactions';
 import { MatchBankTransactions } from './MatchTransactions';
 import { UnmatchMatchedBankTransaction } from './UnmatchMatchedTransaction';
-import { GetMatchedTransactionsFilter, IMatchTransactionsDTO } from './types';
+import { AutoMatchBankTransactions } from './AutoMatchBankTransactions';
+import { MatchBankTransactionsInvoicesPayment } from './MatchInvoicesPayment';
+import { ISystemUser } from '@/interfaces';
+import {
+  GetMatchedTransactionsFilter,
+  IAutoMatchTransactionsDTO,
+  IAutoMatchTransactionsResult,
+  IMatchInvoicesPaymentDTO,
+  IMatchTransactionsDTO,
+} from './types';
 
 @Service()
 export class MatchBankTransactionsApplication {
@@ -15,6 +24,12 @@ export class MatchBankTransactionsApplication {
   @Inject()
   private unmatchMatchedTransactionService: UnmatchMatchedBankTransaction;
 
+  @Inject()
+  private autoMatchTransactionsService: AutoMatchBankTransactions;
+
+  @Inject()
+  private matchInvoicesPaymentService: MatchBankTransactionsInvoicesPayment;
+
   /**
    * Retrieves the matched transactions.
    * @param {number} tenantId -
@@ -34,15 +49,15 @@ export class MatchBankTransactionsApplication {
   }
 
   /**
-   * Matches the given uncategorized transaction with the given system transaction.
+   * Matches the given uncategorized transactions with the given system transactions.
    * @param {number} tenantId
-   * @param {number} uncategorizedTransactionId
+   * @param {number|Array<number>} uncategorizedTransactionId
    * @param {IMatchTransactionDTO} matchTransactionsDTO
    * @returns {Promise<void>}
    */
   public matchTransaction(
     tenantId: number,
-    uncategorizedTransactionId: number,
+    uncategorizedTransactionId: number | Array<number>,
     matchTransactionsDTO: IMatchTransactionsDTO
   ): Promise<void> {
     return this.matchTransactionService.matchTransaction(
@@ -67,4 +82,40 @@ export class MatchBankTransactionsApplication {
       uncategorizedTransactionId
     );
   }
+
+  /**
+   * Auto-matches the bank transactions with the candidates scored above
+   * the threshold.
+   * @param {number} tenantId
+   * @param {IAutoMatchTransactionsDTO} autoMatchDTO
+   * @returns {Promise<IAutoMatchTransactionsResult>}
+   */
+  public autoMatchTransactions(
+    tenantId: number,
+    autoMatchDTO: IAutoMatchTransactionsDTO
+  ): Promise<IAutoMatchTransactionsResult> {
+    return this.autoMatchTransactionsService.autoMatchTransactions(
+      tenantId,
+      autoMatchDTO
+    );
+  }
+
+  /**
+   * Matches the given deposits with a single payment of the given invoices.
+   * @param {number} tenantId
+   * @param {IMatchInvoicesPaymentDTO} matchDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<void>}
+   */
+  public matchInvoicesPayment(
+    tenantId: number,
+    matchDTO: IMatchInvoicesPaymentDTO,
+    authorizedUser: ISystemUser
+  ): Promise<void> {
+    return this.matchInvoicesPaymentService.matchInvoicesPayment(
+      tenantId,
+      matchDTO,
+      authorizedUser
+    );
+  }
 }
@@ -0,0 +1,264 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { PromisePool } from '@supercharge/promise-pool';
+import { isEmpty, keyBy, maxBy, round, sumBy, uniq } from 'lodash';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import events from '@/subscribers/events';
+import { ServiceError } from '@/exceptions';
+import {
+  IPaymentReceiveCreateDTO,
+  ISaleInvoice,
+  ISystemUser,
+  IUncategorizedCashflowTransaction,
+} from '@/interfaces';
+import { CreatePaymentReceive } from '@/services/Sales/PaymentReceives/CreatePaymentReceive';
+import { CreateManualJournalService } from '@/services/ManualJournals/CreateManualJournal';
+import { MatchBankTransactions } from './MatchTransactions';
+import { transformMatchResidualToManualJournal } from './_utils';
+import {
+  ERRORS,
+  IBankTransactionMatchedEventPayload,
+  IBankTransactionMatchingEventPayload,
+  IMatchInvoicesPaymentDTO,
+  IMatchTransactionDTO,
+  MatchResidualType,
+} from './types';
+
+@Service()
+export class MatchBankTransactionsInvoicesPayment {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private matchTransactionsService: MatchBankTransactions;
+
+  @Inject()
+  private createPaymentReceiveService: CreatePaymentReceive;
+
+  @Inject()
+  private createManualJournalService: CreateManualJournalService;
+
+  /**
+   * Retrieves the given invoices and validates they could be paid together,
+   * belong to the same customer, in the deposit account currency and not
+   * matched before.
+   * @param {number} tenantId
+   * @param {Array<number>} invoicesIds
+   * @param {string} currencyCode - Deposit account currency.
+   * @returns {Promise<ISaleInvoice[]>}
+   */
+  private async getInvoicesOrThrowError(
+    tenantId: number,
+    invoicesIds: Array<number>,
+    currencyCode: string
+  ): Promise<ISaleInvoice[]> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const invoices = await SaleInvoice.query()
+      .whereIn('id', invoicesIds)
+      .withGraphFetched('matchedBankTransaction');
+
+    if (invoices.length !== uniq(invoicesIds).length) {
+      throw new ServiceError(ERRORS.MATCHING_INVOICES_NOT_FOUND);
+    }
+    if (uniq(invoices.map((invoice) => invoice.customerId)).length > 1) {
+      throw new ServiceError(ERRORS.MATCHING_INVOICES_CUSTOMERS_DIFFERENT);
+    }
+    // The deposit and the invoices amounts should be in the same currency.
+    if (invoices.some((invoice) => invoice.currencyCode !== currencyCode)) {
+      throw new ServiceError(ERRORS.MATCHING_INVOICES_CURRENCY_DIFFERENT);
+    }
+    if (invoices.some((invoice) => !isEmpty(invoice.matchedBankTransaction))) {
+      throw new ServiceError(ERRORS.MATCHING_INVOICES_ALREADY_MATCHED);
+    }
+    return invoices;
+  }
+
+  /**
+   * Validates the residual between the deposit and the invoices payment
+   * could be handled by the given residual type.
+   * @param {number} residualAmount
+   * @param {IMatchInvoicesPaymentDTO} matchDTO
+   */
+  private validateResidual(
+    residualAmount: number,
+    matchDTO: IMatchInvoicesPaymentDTO
+  ) {
+    if (residualAmount === 0) return;
+
+    if (!matchDTO.residualType) {
+      throw new ServiceError(ERRORS.TOTAL_MATCHING_TRANSACTIONS_INVALID);
+    }
+    const isOverpayment =
+      matchDTO.residualType === MatchResidualType.Overpayment;
+
+    // The overpayment is an excess deposit and the bank fee is a shortfall.
+    if (isOverpayment !== residualAmount > 0) {
+      throw new ServiceError(ERRORS.MATCH_RESIDUAL_TYPE_INVALID);
+    }
+    if (!isOverpayment && !matchDTO.bankFeeAccountId) {
+      throw new ServiceError(ERRORS.BANK_FEE_ACCOUNT_REQUIRED);
+    }
+  }
+
+  /**
+   * Matches the given deposits to a single payment received covering
+   * the given invoices, the residual amount is recorded as a customer
+   * overpayment or bank fee manual journal.
+   * @param {number} tenantId
+   * @param {IMatchInvoicesPaymentDTO} matchDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<void>}
+   */
+  public async matchInvoicesPayment(
+    tenantId: number,
+    matchDTO: IMatchInvoicesPaymentDTO,
+    authorizedUser: ISystemUser
+  ): Promise<void> {
+    const { MatchedBankTransaction, Contact, Account } =
+      this.tenancy.models(tenantId);
+    const { accountRepository } = this.tenancy.repositories(tenantId);
+
+    const uncategorizedTransactions =
+      await this.matchTransactionsService.getUncategorizedTransactionsOrThrowError(
+        tenantId,
+        matchDTO.uncategorizedTransactions
+      );
+    const depositAmount = round(sumBy(uncategorizedTransactions, 'amount'), 2);
+
+    // Validates the bank transactions total is a deposit.
+    if (depositAmount <= 0) {
+      throw new ServiceError(ERRORS.INVOICES_PAYMENT_DEPOSIT_REQUIRED);
+    }
+    // The payment is completed by the latest deposit.
+    const lastTransaction = maxBy(
+      uncategorizedTransactions,
+      (transaction: IUncategorizedCashflowTransaction) =>
+        new Date(transaction.date).getTime()
+    );
+    const depositAccount = await Account.query()
+      .findById(lastTransaction.accountId)
+      .throwIfNotFound();
+
+    const invoices = await this.getInvoicesOrThrowError(
+      tenantId,
+      matchDTO.invoices.map((entry) => entry.invoiceId),
+      depositAccount.currencyCode
+    );
+    const invoicesById = keyBy(invoices, 'id');
+    const customerId = invoices[0].customerId;
+
+    // The invoices are paid with their due amounts unless given.
+    const entries = matchDTO.invoices.map((entry, index) => ({
+      index: index + 1,
+      invoiceId: entry.invoiceId,
+      paymentAmount:
+        entry.paymentAmount ?? invoicesById[entry.invoiceId].dueAmount,
+    }));
+    const residualAmount = round(
+      depositAmount - sumBy(entries, 'paymentAmount'),
+      2
+    );
+    this.validateResidual(residualAmount, matchDTO);
+
+    const exchangeRate = matchDTO.exchangeRate || 1;
+    const paymentReceiveDTO = {
+      customerId,
+      paymentDate: lastTransaction.date,
+      depositAccountId: lastTransaction.accountId,
+      referenceNo: lastTransaction.referenceNo,
+      statement: lastTransaction.description,
+      paymentReceiveNo: matchDTO.paymentReceiveNo,
+      exchangeRate,
+      branchId: matchDTO.branchId,
+      entries,
+    } as IPaymentReceiveCreateDTO;
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Creates a single payment received of the given invoices.
+      const paymentReceive =
+        await this.createPaymentReceiveService.createPaymentReceive(
+          tenantId,
+          paymentReceiveDTO,
+          authorizedUser,
+          trx
+        );
+      const matchedTransactions: IMatchTransactionDTO[] = [
+        { referenceType: 'PaymentReceive', referenceId: paymentReceive.id },
+      ];
+      // Records the residual amount as overpayment or bank fee journal.
+      if (residualAmount !== 0) {
+        const customer = await Contact.query(trx).findById(customerId);
+        const residualAccountId =
+          residualAmount > 0
+            ? (
+                await accountRepository.findOrCreateAccountReceivable(
+                  customer.currencyCode
+                )
+              ).id
+            : matchDTO.bankFeeAccountId;
+
+        const { manualJournal } =
+          await this.createManualJournalService.makeJournalEntries(
+            tenantId,
+            {
+              ...transformMatchResidualToManualJournal(
+                lastTransaction,
+                residualAmount,
+                residualAccountId,
+                customerId
+              ),
+              exchangeRate,
+              branchId: matchDTO.branchId,
+            },
+            authorizedUser,
+            trx
+          );
+        matchedTransactions.push({
+          referenceType: 'ManualJournal',
+          referenceId: manualJournal.id,
+        });
+      }
+      const matchTransactionsDTO = { matchedTransactions };
+      const uncategorizedTransactionIds = uncategorizedTransactions.map(
+        (transaction) => transaction.id
+      );
+      // Triggers the event `onBankTransactionMatching`.
+      await this.eventPublisher.emitAsync(events.bankMatch.onMatching, {
+        tenantId,
+        uncategorizedTransactionIds,
+        matchTransactionsDTO,
+        trx,
+      } as IBankTransactionMatchingEventPayload);
+
+      // Links every deposit with the payment and the residual journal.
+      const matchingLinks = uncategorizedTransactionIds.flatMap(
+        (uncategorizedTransactionId) =>
+          matchedTransactions.map((matchedTransaction) => ({
+            uncategorizedTransactionId,
+            ...matchedTransaction,
+          }))
+      );
+      await PromisePool.withConcurrency(1)
+        .for(matchingLinks)
+        .process((matchingLink) =>
+          MatchedBankTransaction.query(trx).insert(matchingLink)
+        );
+      // Triggers the event `onBankTransactionMatched`.
+      await this.eventPublisher.emitAsync(events.bankMatch.onMatched, {
+        tenantId,
+        uncategorizedTransactionIds,
+        matchTransactionsDTO,
+        trx,
+      } as IBankTransactionMatchedEventPayload);
+    });
+  }
+}
@@ -1,4 +1,4 @@
-import { isEmpty } from 'lodash';
+import { castArray, isEmpty, round, sumBy, uniq } from 'lodash';
 import { Knex } from 'knex';
 import { Inject, Service } from 'typedi';
 import { PromisePool } from '@supercharge/promise-pool';
@@ -14,6 +14,7 @@ import {
 } from './types';
 import { MatchTransactionsTypes } from './MatchTransactionsTypes';
 import { ServiceError } from '@/exceptions';
+import { IUncategorizedCashflowTransaction } from '@/interfaces';
 import { sumMatchTranasctions } from './_utils';
 
 @Service()
@@ -31,35 +32,71 @@ export class MatchBankTransactions {
   private matchedBankTransactions: MatchTransactionsTypes;
 
   /**
-   * Validates the match bank transactions DTO.
+   * Retrieves the given uncategorized transactions and validates they could
+   * be matched together, not matched before, not excluded and belong to
+   * the same bank account.
    * @param {number} tenantId
-   * @param {number} uncategorizedTransactionId
-   * @param {IMatchTransactionsDTO} matchTransactionsDTO
-   * @returns {Promise<void>}
+   * @param {Array<number>} uncategorizedTransactionIds
+   * @returns {Promise<IUncategorizedCashflowTransaction[]>}
    */
-  async validate(
+  public async getUncategorizedTransactionsOrThrowError(
     tenantId: number,
-    uncategorizedTransactionId: number,
-    matchTransactionsDTO: IMatchTransactionsDTO
-  ) {
+    uncategorizedTransactionIds: Array<number>
+  ): Promise<IUncategorizedCashflowTransaction[]> {
     const { UncategorizedCashflowTransaction } = this.tenancy.models(tenantId);
-    const { matchedTransactions } = matchTransactionsDTO;
 
-    // Validates the uncategorized transaction existance.
-    const uncategorizedTransaction =
+    const uncategorizedTransactions =
       await UncategorizedCashflowTransaction.query()
-        .findById(uncategorizedTransactionId)
-        .withGraphFetched('matchedBankTransactions')
-        .throwIfNotFound();
+        .whereIn('id', uncategorizedTransactionIds)
+        .withGraphFetched('matchedBankTransactions');
 
-    // Validates the uncategorized transaction is not already matched.
-    if (!isEmpty(uncategorizedTransaction.matchedBankTransactions)) {
+    // Validates the uncategorized transactions existance.
+    if (
+      uncategorizedTransactions.length !==
+      uniq(uncategorizedTransactionIds).length
+    ) {
+      throw new ServiceError(ERRORS.UNCATEGORIZED_TRANSACTIONS_NOT_FOUND);
+    }
+    // Validates the uncategorized transactions are not already matched.
+    if (
+      uncategorizedTransactions.some(
+        (transaction) => !isEmpty(transaction.matchedBankTransactions)
+      )
+    ) {
       throw new ServiceError(ERRORS.TRANSACTION_ALREADY_MATCHED);
     }
-    // Validate the uncategorized transaction is not excluded.
-    if (uncategorizedTransaction.excluded) {
+    // Validate the uncategorized transactions are not excluded.
+    if (uncategorizedTransactions.some((transaction) => transaction.excluded)) {
       throw new ServiceError(ERRORS.CANNOT_MATCH_EXCLUDED_TRANSACTION);
     }
+    // Validates the uncategorized transactions belong to the same account.
+    if (uniq(uncategorizedTransactions.map((t) => t.accountId)).length > 1) {
+      throw new ServiceError(
+        ERRORS.UNCATEGORIZED_TRANSACTIONS_ACCOUNTS_DIFFERENT
+      );
+    }
+    return uncategorizedTransactions;
+  }
+
+  /**
+   * Validates the match bank transactions DTO.
+   * @param {number} tenantId
+   * @param {Array<number>} uncategorizedTransactionIds
+   * @param {IMatchTransactionsDTO} matchTransactionsDTO
+   * @returns {Promise<void>}
+   */
+  async validate(
+    tenantId: number,
+    uncategorizedTransactionIds: Array<number>,
+    matchTransactionsDTO: IMatchTransactionsDTO
+  ) {
+    const { matchedTransactions } = matchTransactionsDTO;
+
+    const uncategorizedTransactions =
+      await this.getUncategorizedTransactionsOrThrowError(
+        tenantId,
+        uncategorizedTransactionIds
+      );
     // Validates the given matched transaction.
     const validateMatchedTransaction = async (matchedTransaction) => {
       const getMatchedTransactionsService =
@@ -95,44 +132,58 @@ export class MatchBankTransactions {
       validatationResult.results
     );
     // Validates the total given matching transcations whether is not equal
-    // uncategorized transaction amount.
-    if (totalMatchedTranasctions !== uncategorizedTransaction.amount) {
+    // the uncategorized transactions total amount.
+    if (
+      round(totalMatchedTranasctions, 2) !==
+      round(sumBy(uncategorizedTransactions, 'amount'), 2)
+    ) {
       throw new ServiceError(ERRORS.TOTAL_MATCHING_TRANSACTIONS_INVALID);
     }
   }
 
   /**
-   * Matches the given uncategorized transaction to the given references.
+   * Matches the given uncategorized transactions to the given references,
+   * one or many bank transactions could be matched to one or many references.
    * @param {number} tenantId
-   * @param {number} uncategorizedTransactionId
+   * @param {number|Array<number>} uncategorizedTransactionId
+   * @param {IMatchTransactionsDTO} matchTransactionsDTO
    * @returns {Promise<void>}
    */
   public async matchTransaction(
     tenantId: number,
-    uncategorizedTransactionId: number,
+    uncategorizedTransactionId: number | Array<number>,
     matchTransactionsDTO: IMatchTransactionsDTO
   ): Promise<void> {
     const { matchedTransactions } = matchTransactionsDTO;
+    const uncategorizedTransactionIds = castArray(uncategorizedTransactionId);
 
     // Validates the given matching transactions DTO.
     await this.validate(
       tenantId,
-      uncategorizedTransactionId,
+      uncategorizedTransactionIds,
       matchTransactionsDTO
     );
     return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
       // Triggers the event `onBankTransactionMatching`.
       await this.eventPublisher.emitAsync(events.bankMatch.onMatching, {
         tenantId,
-        uncategorizedTransactionId,
+        uncategorizedTransactionIds,
         matchTransactionsDTO,
         trx,
       } as IBankTransactionMatchingEventPayload);
 
+      // Links every uncategorized transaction with every matched transaction.
+      const matchingLinks = uncategorizedTransactionIds.flatMap(
+        (uncategorizedTransactionId) =>
+          matchedTransactions.map((matchedTransaction) => ({
+            uncategorizedTransactionId,
+            matchedTransaction,
+          }))
+      );
       // Matches the given transactions under promise pool concurrency controlling.
       await PromisePool.withConcurrency(10)
-        .for(matchedTransactions)
-        .process(async (matchedTransaction) => {
+        .for(matchingLinks)
+        .process(async ({ uncategorizedTransactionId, matchedTransaction }) => {
           const getMatchedTransactionsService =
             this.matchedBankTransactions.registry.get(
               matchedTransaction.referenceType
@@ -148,7 +199,7 @@ export class MatchBankTransactions {
       // Triggers the event `onBankTransactionMatched`.
       await this.eventPublisher.emitAsync(events.bankMatch.onMatched, {
         tenantId,
-        uncategorizedTransactionId,
+        uncategorizedTransactionIds,
         matchTransactionsDTO,
         trx,
       } as IBankTransactionMatchedEventPayload);
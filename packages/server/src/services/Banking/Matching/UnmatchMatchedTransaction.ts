@@ -1,4 +1,5 @@
 import { Inject, Service } from 'typedi';
+import { uniq } from 'lodash';
 import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import UnitOfWork from '@/services/UnitOfWork';
@@ -17,33 +18,78 @@ export class UnmatchMatchedBankTransaction {
   private eventPublisher: EventPublisher;
 
   /**
-   * Unmatch the matched the given uncategorized bank transaction.
+   * Retrieves the uncategorized transactions matched together with the given
+   * one, the bank transactions matched to the same references.
+   * @param {number} tenantId
+   * @param {number} uncategorizedTransactionId
+   * @returns {Promise<number[]>}
+   */
+  private async getMatchedTogetherTransactionsIds(
+    tenantId: number,
+    uncategorizedTransactionId: number
+  ): Promise<number[]> {
+    const { MatchedBankTransaction } = this.tenancy.models(tenantId);
+
+    const matchedTransactions = await MatchedBankTransaction.query().where(
+      'uncategorizedTransactionId',
+      uncategorizedTransactionId
+    );
+    if (matchedTransactions.length === 0) {
+      return [uncategorizedTransactionId];
+    }
+    const linkedTransactions = await MatchedBankTransaction.query().onBuild(
+      (query) => {
+        matchedTransactions.forEach((matchedTransaction) => {
+          query.orWhere({
+            referenceType: matchedTransaction.referenceType,
+            referenceId: matchedTransaction.referenceId,
+          });
+        });
+      }
+    );
+    return uniq([
+      uncategorizedTransactionId,
+      ...linkedTransactions.map((link) => link.uncategorizedTransactionId),
+    ]);
+  }
+
+  /**
+   * Unmatch the matched the given uncategorized bank transaction, the other
+   * bank transactions matched together with it get unmatched as well.
    * @param {number} tenantId
    * @param {number} uncategorizedTransactionId
    * @returns {Promise<void>}
    */
-  public unmatchMatchedTransaction(
+  public async unmatchMatchedTransaction(
     tenantId: number,
     uncategorizedTransactionId: number
   ): Promise<void> {
     const { MatchedBankTransaction } = this.tenancy.models(tenantId);
 
-    return this.uow.withTransaction(tenantId, async (trx) => {
-      await this.eventPublisher.emitAsync(events.bankMatch.onUnmatching, {
+    const uncategorizedTransactionIds =
+      await this.getMatchedTogetherTransactionsIds(
         tenantId,
-        uncategorizedTransactionId,
-        trx,
-      } as IBankTransactionUnmatchingEventPayload);
-
+        uncategorizedTransactionId
+      );
+    return this.uow.withTransaction(tenantId, async (trx) => {
+      for (const transactionId of uncategorizedTransactionIds) {
+        await this.eventPublisher.emitAsync(events.bankMatch.onUnmatching, {
+          tenantId,
+          uncategorizedTransactionId: transactionId,
+          trx,
+        } as IBankTransactionUnmatchingEventPayload);
+      }
       await MatchedBankTransaction.query(trx)
-        .where('uncategorizedTransactionId', uncategorizedTransactionId)
+        .whereIn('uncategorizedTransactionId', uncategorizedTransactionIds)
         .delete();
 
-      await this.eventPublisher.emitAsync(events.bankMatch.onUnmatched, {
-        tenantId,
-        uncategorizedTransactionId,
-        trx,
-      } as IBankTransactionUnmatchingEventPayload);
+      for (const transactionId of uncategorizedTransactionIds) {
+        await this.eventPublisher.emitAsync(events.bankMatch.onUnmatched, {
+          tenantId,
+          uncategorizedTransactionId: transactionId,
+          trx,
+        } as IBankTransactionUnmatchingEventPayload);
+      }
     });
   }
 }
@@ -1,7 +1,18 @@
 import moment from 'moment';
 import * as R from 'ramda';
 import UncategorizedCashflowTransaction from '@/models/UncategorizedCashflowTransaction';
-import { MatchedTransactionPOJO } from './types';
+import { round } from 'lodash';
+import {
+  IManualJournalDTO,
+  IManualJournalEntryDTO,
+  IUncategorizedCashflowTransaction,
+} from '@/interfaces';
+import {
+  IMatchTransactionScoreBreakdown,
+  MatchDateWindowDays,
+  MatchedTransactionPOJO,
+  MatchScoreWeights,
+} from './types';
 
 export const sortClosestMatchTransactions = (
   uncategorizedTransaction: UncategorizedCashflowTransaction,
@@ -29,3 +40,236 @@ export const sumMatchTranasctions = (transactions: Array<any>) => {
     0
   );
 };
+
+/**
+ * Normalizes the given text to lower case alphanumeric words.
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeText = (text: string): string => {
+  return `${text || ''}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Retrieves the characters bigrams of the given text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+const getBigrams = (text: string): string[] => {
+  return Array.from({ length: Math.max(text.length - 1, 0) }, (_, index) =>
+    text.substring(index, index + 2)
+  );
+};
+
+/**
+ * Retrieves the similarity between the given texts from 0 to 1 based on
+ * the Sørensen–Dice coefficient of their bigrams.
+ * @param {string} text1
+ * @param {string} text2
+ * @returns {number}
+ */
+export const getTextSimilarity = (text1: string, text2: string): number => {
+  const normalized1 = normalizeText(text1);
+  const normalized2 = normalizeText(text2);
+
+  if (!normalized1 || !normalized2) return 0;
+  if (normalized1 === normalized2) return 1;
+
+  // Bank descriptions usually wrap the contact name with extra words.
+  if (
+    Math.min(normalized1.length, normalized2.length) >= 3 &&
+    (normalized1.includes(normalized2) || normalized2.includes(normalized1))
+  ) {
+    return 0.9;
+  }
+  const bigrams1 = getBigrams(normalized1);
+  const bigrams2 = getBigrams(normalized2);
+  const remaining = [...bigrams2];
+
+  const intersection = bigrams1.filter((bigram) => {
+    const index = remaining.indexOf(bigram);
+    if (index === -1) return false;
+
+    remaining.splice(index, 1);
+    return true;
+  });
+  return (2 * intersection.length) / (bigrams1.length + bigrams2.length);
+};
+
+/**
+ * Retrieves the signed amount of the matched transaction, the debit
+ * transactions increase the bank account and the credit ones decrease it.
+ * @param {MatchedTransactionPOJO} match
+ * @returns {number}
+ */
+const getMatchSignedAmount = (match: MatchedTransactionPOJO): number => {
+  return (match.transactionNormal === 'credit' ? -1 : 1) * match.amount;
+};
+
+/**
+ * Retrieves the amount signal, the exact amount scores the full signal
+ * and the close amounts within 10% score partially.
+ * @param {number} transactionAmount
+ * @param {MatchedTransactionPOJO} match
+ * @returns {number}
+ */
+export const getAmountScore = (
+  transactionAmount: number,
+  match: MatchedTransactionPOJO
+): number => {
+  const difference = Math.abs(getMatchSignedAmount(match) - transactionAmount);
+  if (difference < 0.005) return 1;
+
+  const tolerance = Math.abs(transactionAmount) * 0.1;
+
+  return tolerance > 0 ? Math.max(0, 1 - difference / tolerance) * 0.5 : 0;
+};
+
+/**
+ * Retrieves the date proximity signal, fades out linearly over the window.
+ * @param {Date|string} transactionDate
+ * @param {Date|string} matchDate
+ * @returns {number}
+ */
+export const getDateScore = (
+  transactionDate: Date | string,
+  matchDate: Date | string
+): number => {
+  const days = Math.abs(
+    moment(matchDate).diff(moment(transactionDate), 'days')
+  );
+  return Math.max(0, 1 - days / MatchDateWindowDays);
+};
+
+/**
+ * Retrieves the reference signal, whether the matched transaction number or
+ * reference number occurs in the bank transaction description or reference.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {MatchedTransactionPOJO} match
+ * @returns {number}
+ */
+export const getReferenceScore = (
+  transaction: UncategorizedCashflowTransaction,
+  match: MatchedTransactionPOJO
+): number => {
+  const compact = (text: string) => normalizeText(text).replace(/ /g, '');
+  const haystack = compact(
+    [transaction.description, transaction.referenceNo, transaction.payee].join(
+      ' '
+    )
+  );
+  const references = [match.referenceNo, match.transactionNo]
+    .map(compact)
+    .filter((reference) => reference.length >= 4);
+
+  return references.some((reference) => haystack.includes(reference)) ? 1 : 0;
+};
+
+/**
+ * Scores the given matched transaction candidate against the bank
+ * transaction, the confidence score ranges from 0 to 100.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {MatchedTransactionPOJO} match
+ * @returns {{ score: number; scoreBreakdown: IMatchTransactionScoreBreakdown }}
+ */
+export const getMatchTransactionScore = (
+  transaction: UncategorizedCashflowTransaction,
+  match: MatchedTransactionPOJO
+): { score: number; scoreBreakdown: IMatchTransactionScoreBreakdown } => {
+  const payee =
+    transaction.payee ||
+    transaction.counterpartyName ||
+    transaction.description;
+
+  const scoreBreakdown = {
+    amount: getAmountScore(transaction.amount, match),
+    date: getDateScore(transaction.date, match.date),
+    contact: match.contactName
+      ? getTextSimilarity(payee, match.contactName)
+      : 0,
+    reference: getReferenceScore(transaction, match),
+  };
+  const score = Object.keys(MatchScoreWeights).reduce(
+    (total, signal) =>
+      total + MatchScoreWeights[signal] * scoreBreakdown[signal],
+    0
+  );
+  return {
+    score: round(score * 100),
+    scoreBreakdown: R.map((value: number) => round(value, 2), scoreBreakdown),
+  };
+};
+
+/**
+ * Scores and ranks the given matched transactions candidates, the highest
+ * confidence first then the closest amount and date.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {MatchedTransactionPOJO[]} matches
+ * @returns {MatchedTransactionPOJO[]}
+ */
+export const rankMatchTransactions = (
+  transaction: UncategorizedCashflowTransaction,
+  matches: MatchedTransactionPOJO[]
+): MatchedTransactionPOJO[] => {
+  const scored = matches.map((match) => ({
+    ...match,
+    ...getMatchTransactionScore(transaction, match),
+  }));
+  return R.sortWith([
+    R.descend((match: MatchedTransactionPOJO) => match.score),
+  ])(sortClosestMatchTransactions(transaction, scored));
+};
+
+/**
+ * Transformes the residual of matching a deposit to invoices payment to
+ * manual journal, the positive residual is an overpayment credited to the
+ * customer receivable and the negative one is a bank fee expense.
+ * @param {IUncategorizedCashflowTransaction} uncategorizedTransaction
+ * @param {number} residualAmount - Deposit total minus the payment amount.
+ * @param {number} residualAccountId - Receivable or bank fee account id.
+ * @param {number} contactId - Overpaid customer id.
+ * @returns {IManualJournalDTO}
+ */
+export const transformMatchResidualToManualJournal = (
+  uncategorizedTransaction: IUncategorizedCashflowTransaction,
+  residualAmount: number,
+  residualAccountId: number,
+  contactId?: number
+): IManualJournalDTO => {
+  const isOverpayment = residualAmount > 0;
+  const amount = Math.abs(residualAmount);
+  const note = uncategorizedTransaction.description;
+
+  const entries = [
+    {
+      index: 1,
+      accountId: uncategorizedTransaction.accountId,
+      debit: isOverpayment ? amount : 0,
+      credit: isOverpayment ? 0 : amount,
+      note,
+    },
+    {
+      index: 2,
+      accountId: residualAccountId,
+      contactId: isOverpayment ? contactId : null,
+      debit: isOverpayment ? 0 : amount,
+      credit: isOverpayment ? amount : 0,
+      note,
+    },
+  ] as IManualJournalEntryDTO[];
+
+  return {
+    date: uncategorizedTransaction.date,
+    currencyCode: uncategorizedTransaction.currencyCode,
+    exchangeRate: 1,
+    journalNumber: '',
+    journalType: 'BankMatchResidual',
+    reference: uncategorizedTransaction.referenceNo,
+    description: uncategorizedTransaction.description,
+    publish: true,
+    entries,
+  };
+};
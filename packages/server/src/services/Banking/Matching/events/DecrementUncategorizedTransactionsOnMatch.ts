@@ -1,4 +1,5 @@
 import { Inject, Service } from 'typedi';
+import { countBy } from 'lodash';
 import events from '@/subscribers/events';
 import {
   IBankTransactionMatchedEventPayload,
@@ -30,18 +31,25 @@ export class DecrementUncategorizedTransactionOnMatching {
    */
   public async decrementUnCategorizedTransactionsOnMatching({
     tenantId,
-    uncategorizedTransactionId,
+    uncategorizedTransactionIds,
     trx,
   }: IBankTransactionMatchedEventPayload) {
     const { UncategorizedCashflowTransaction, Account } =
       this.tenancy.models(tenantId);
 
-    const transaction = await UncategorizedCashflowTransaction.query().findById(
-      uncategorizedTransactionId
+    const transactions = await UncategorizedCashflowTransaction.query().whereIn(
+      'id',
+      uncategorizedTransactionIds
+    );
+    const countByAccount = countBy(transactions, 'accountId');
+
+    await Promise.all(
+      Object.keys(countByAccount).map((accountId) =>
+        Account.query(trx)
+          .findById(accountId)
+          .decrement('uncategorizedTransactions', countByAccount[accountId])
+      )
     );
-    await Account.query(trx)
-      .findById(transaction.accountId)
-      .decrement('uncategorizedTransactions', 1);
   }
 
   /**
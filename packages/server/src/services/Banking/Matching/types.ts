@@ -2,14 +2,14 @@ import { Knex } from 'knex';
 
 export interface IBankTransactionMatchingEventPayload {
   tenantId: number;
-  uncategorizedTransactionId: number;
+  uncategorizedTransactionIds: Array<number>;
   matchTransactionsDTO: IMatchTransactionsDTO;
   trx?: Knex.Transaction;
 }
 
 export interface IBankTransactionMatchedEventPayload {
   tenantId: number;
-  uncategorizedTransactionId: number;
+  uncategorizedTransactionIds: Array<number>;
   matchTransactionsDTO: IMatchTransactionsDTO;
   trx?: Knex.Transaction;
 }
@@ -35,12 +35,37 @@ export interface IMatchTransactionsDTO {
   matchedTransactions: Array<IMatchTransactionDTO>;
 }
 
+export interface IMatchBankTransactionsDTO extends IMatchTransactionsDTO {
+  uncategorizedTransactions: Array<number>;
+}
+
+export enum MatchResidualType {
+  Overpayment = 'overpayment',
+  BankFee = 'bank_fee',
+}
+
+export interface IMatchInvoicePaymentEntryDTO {
+  invoiceId: number;
+  paymentAmount?: number;
+}
+
+export interface IMatchInvoicesPaymentDTO {
+  uncategorizedTransactions: Array<number>;
+  invoices: Array<IMatchInvoicePaymentEntryDTO>;
+  residualType?: MatchResidualType;
+  bankFeeAccountId?: number;
+  paymentReceiveNo?: string;
+  exchangeRate?: number;
+  branchId?: number;
+}
+
 export interface GetMatchedTransactionsFilter {
   fromDate: string;
   toDate: string;
   minAmount: number;
   maxAmount: number;
   transactionType: string;
+  accountId?: number;
 }
 
 export interface MatchedTransactionPOJO {
@@ -52,6 +77,37 @@ export interface MatchedTransactionPOJO {
   transactionNo: string;
   transactionId: number;
   transactionType: string;
+  transactionNormal?: string;
+  referenceType?: string;
+  referenceId?: number;
+  contactName?: string | null;
+  score?: number;
+  scoreBreakdown?: IMatchTransactionScoreBreakdown;
+}
+
+export interface IMatchTransactionScoreBreakdown {
+  amount: number;
+  date: number;
+  contact: number;
+  reference: number;
+}
+
+export interface IAutoMatchTransactionsDTO {
+  accountId?: number;
+  threshold?: number;
+}
+
+export interface IAutoMatchedTransaction {
+  uncategorizedTransactionId: number;
+  referenceType: string;
+  referenceId: number;
+  score: number;
+}
+
+export interface IAutoMatchTransactionsResult {
+  threshold: number;
+  matchedCount: number;
+  matchedTransactions: IAutoMatchedTransaction[];
 }
 
 export type MatchedTransactionsPOJO = {
@@ -68,4 +124,31 @@ export const ERRORS = {
   TRANSACTION_ALREADY_MATCHED: 'TRANSACTION_ALREADY_MATCHED',
   CANNOT_MATCH_EXCLUDED_TRANSACTION: 'CANNOT_MATCH_EXCLUDED_TRANSACTION',
   CANNOT_DELETE_TRANSACTION_MATCHED: 'CANNOT_DELETE_TRANSACTION_MATCHED',
+  UNCATEGORIZED_TRANSACTIONS_NOT_FOUND: 'UNCATEGORIZED_TRANSACTIONS_NOT_FOUND',
+  UNCATEGORIZED_TRANSACTIONS_ACCOUNTS_DIFFERENT:
+    'UNCATEGORIZED_TRANSACTIONS_ACCOUNTS_DIFFERENT',
+  INVOICES_PAYMENT_DEPOSIT_REQUIRED: 'INVOICES_PAYMENT_DEPOSIT_REQUIRED',
+  MATCHING_INVOICES_NOT_FOUND: 'MATCHING_INVOICES_NOT_FOUND',
+  MATCHING_INVOICES_CUSTOMERS_DIFFERENT:
+    'MATCHING_INVOICES_CUSTOMERS_DIFFERENT',
+  MATCHING_INVOICES_ALREADY_MATCHED: 'MATCHING_INVOICES_ALREADY_MATCHED',
+  MATCHING_INVOICES_CURRENCY_DIFFERENT: 'MATCHING_INVOICES_CURRENCY_DIFFERENT',
+  MATCH_RESIDUAL_TYPE_INVALID: 'MATCH_RESIDUAL_TYPE_INVALID',
+  BANK_FEE_ACCOUNT_REQUIRED: 'BANK_FEE_ACCOUNT_REQUIRED',
+};
+
+/**
+ * The weight of each matching signal in the candidate confidence score.
+ */
+export const MatchScoreWeights = {
+  amount: 0.45,
+  date: 0.2,
+  contact: 0.2,
+  reference: 0.15,
 };
+
+// The date difference in days that the date signal fades out completely.
+export const MatchDateWindowDays = 30;
+
+// The default confidence score that candidates auto-matched above.
+export const DefaultAutoMatchThreshold = 90;
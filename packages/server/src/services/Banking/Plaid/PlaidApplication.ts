@@ -2,7 +2,8 @@ import { Inject, Service } from 'typedi';
 import { PlaidLinkTokenService } from './PlaidLinkToken';
 import { PlaidItemService } from './PlaidItem';
 import { PlaidItemDTO } from '@/interfaces';
-import { PlaidWebooks } from './PlaidWebhooks';
+import { BankFeedsApplication } from '../BankFeeds/BankFeedsApplication';
+import { BankFeedProviderType } from '../BankFeeds/types';
 
 @Service()
 export class PlaidApplication {
@@ -13,7 +14,7 @@ export class PlaidApplication {
   private plaidItemService: PlaidItemService;
 
   @Inject()
-  private plaidWebhooks: PlaidWebooks;
+  private bankFeedsApplication: BankFeedsApplication;
 
   /**
    * Retrieves the Plaid link token.
@@ -31,8 +32,11 @@ export class PlaidApplication {
    * @param {PlaidItemDTO} itemDTO
    * @returns
    */
-  public exchangeToken(tenantId: number, itemDTO: PlaidItemDTO): Promise<void> {
-    return this.plaidItemService.item(tenantId, itemDTO);
+  public async exchangeToken(
+    tenantId: number,
+    itemDTO: PlaidItemDTO
+  ): Promise<void> {
+    await this.plaidItemService.item(tenantId, itemDTO);
   }
 
   /**
@@ -49,11 +53,10 @@ export class PlaidApplication {
     webhookType: string,
     webhookCode: string
   ) {
-    return this.plaidWebhooks.webhooks(
+    return this.bankFeedsApplication.webhook(
       tenantId,
-      plaidItemId,
-      webhookType,
-      webhookCode
+      BankFeedProviderType.Plaid,
+      { itemId: plaidItemId, webhookType, webhookCode }
     );
   }
 }
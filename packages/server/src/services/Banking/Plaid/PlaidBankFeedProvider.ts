@@ -0,0 +1,66 @@
+import { Inject, Service } from 'typedi';
+import { PlaidItemDTO } from '@/interfaces';
+import { PlaidItemService } from './PlaidItem';
+import { PlaidUpdateTransactions } from './PlaidUpdateTransactions';
+import { PlaidWebooks } from './PlaidWebhooks';
+import { BankFeedProvider, IBankFeedSyncResult } from '../BankFeeds/types';
+
+@Service()
+export class PlaidBankFeedProvider implements BankFeedProvider {
+  @Inject()
+  private plaidItemService: PlaidItemService;
+
+  @Inject()
+  private plaidUpdateTransactions: PlaidUpdateTransactions;
+
+  @Inject()
+  private plaidWebhooks: PlaidWebooks;
+
+  /**
+   * Exchanges the Plaid public token and links a new Plaid item.
+   * @param {number} tenantId
+   * @param {PlaidItemDTO} linkDTO
+   * @returns {Promise<string>} - Plaid item id.
+   */
+  public link(tenantId: number, linkDTO: PlaidItemDTO): Promise<string> {
+    return this.plaidItemService.item(tenantId, linkDTO);
+  }
+
+  /**
+   * Syncs the accounts and transactions of the given Plaid item.
+   * @param {number} tenantId
+   * @param {string} plaidItemId
+   * @returns {Promise<IBankFeedSyncResult>}
+   */
+  public sync(
+    tenantId: number,
+    plaidItemId: string
+  ): Promise<IBankFeedSyncResult> {
+    return this.plaidUpdateTransactions.updateTransactions(
+      tenantId,
+      plaidItemId
+    );
+  }
+
+  /**
+   * Handles the Plaid webhooks, the Plaid webhooks sync the notified
+   * items by themselves so no connections left to be synced.
+   * @param {number} tenantId - Tenant Id.
+   * @param {Record<string, any>} payload - Webhook payload.
+   * @returns {Promise<string[]>}
+   */
+  public async webhook(
+    tenantId: number,
+    payload: Record<string, any>
+  ): Promise<string[]> {
+    const { itemId: plaidItemId, webhookType, webhookCode } = payload;
+
+    await this.plaidWebhooks.webhooks(
+      tenantId,
+      plaidItemId,
+      webhookType,
+      webhookCode
+    );
+    return [];
+  }
+}
@@ -1,6 +1,7 @@
 import Container, { Service } from 'typedi';
-import { PlaidUpdateTransactions } from './PlaidUpdateTransactions';
 import { IPlaidItemCreatedEventPayload } from '@/interfaces';
+import { BankFeedSync } from '../BankFeeds/BankFeedSync';
+import { BankFeedProviderType } from '../BankFeeds/types';
 
 @Service()
 export class PlaidFetchTransactionsJob {
@@ -22,14 +23,13 @@ export class PlaidFetchTransactionsJob {
     const { tenantId, plaidItemId } = job.attrs
       .data as IPlaidItemCreatedEventPayload;
 
-    const plaidFetchTransactionsService = Container.get(
-      PlaidUpdateTransactions
-    );
+    const bankFeedSyncService = Container.get(BankFeedSync);
     const io = Container.get('socket');
 
     try {
-      await plaidFetchTransactionsService.updateTransactions(
+      await bankFeedSyncService.syncConnection(
         tenantId,
+        BankFeedProviderType.Plaid,
         plaidItemId
       );
       // Notify the frontend to reflect the new transactions changes.
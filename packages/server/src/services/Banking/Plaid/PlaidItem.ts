@@ -22,9 +22,9 @@ export class PlaidItemService {
    * a new Plaid item.
    * @param {number} tenantId
    * @param {PlaidItemDTO} itemDTO
-   * @returns {Promise<void>}
+   * @returns {Promise<string>} - Plaid item id.
    */
-  public async item(tenantId: number, itemDTO: PlaidItemDTO): Promise<void> {
+  public async item(tenantId: number, itemDTO: PlaidItemDTO): Promise<string> {
     const { PlaidItem } = this.tenancy.models(tenantId);
     const { publicToken, institutionId } = itemDTO;
 
@@ -54,5 +54,7 @@ export class PlaidItemService {
       plaidItemId,
       plaidInstitutionId: institutionId,
     } as IPlaidItemCreatedEventPayload);
+
+    return plaidItemId;
   }
 }
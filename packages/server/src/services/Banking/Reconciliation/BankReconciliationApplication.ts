@@ -0,0 +1,186 @@
+import { Inject, Service } from 'typedi';
+import {
+  IBankReconciliationClearDTO,
+  IBankReconciliationDTO,
+  ISystemUser,
+} from '@/interfaces';
+import { CreateBankReconciliation } from './CreateBankReconciliation';
+import { ClearBankReconciliationTransactions } from './ClearBankReconciliationTransactions';
+import { FinishBankReconciliation } from './FinishBankReconciliation';
+import { UndoBankReconciliation } from './UndoBankReconciliation';
+import { DeleteBankReconciliation } from './DeleteBankReconciliation';
+import { GetBankReconciliation } from './GetBankReconciliation';
+import { GetBankReconciliations } from './GetBankReconciliations';
+import { BankReconciliationSummaryTableInjectable } from './BankReconciliationSummaryTableInjectable';
+import { BankReconciliationSummaryPdf } from './BankReconciliationSummaryPdf';
+
+@Service()
+export class BankReconciliationApplication {
+  @Inject()
+  private createReconciliationService: CreateBankReconciliation;
+
+  @Inject()
+  private clearTransactionsService: ClearBankReconciliationTransactions;
+
+  @Inject()
+  private finishReconciliationService: FinishBankReconciliation;
+
+  @Inject()
+  private undoReconciliationService: UndoBankReconciliation;
+
+  @Inject()
+  private deleteReconciliationService: DeleteBankReconciliation;
+
+  @Inject()
+  private getReconciliationService: GetBankReconciliation;
+
+  @Inject()
+  private getReconciliationsService: GetBankReconciliations;
+
+  @Inject()
+  private summaryTableService: BankReconciliationSummaryTableInjectable;
+
+  @Inject()
+  private summaryPdfService: BankReconciliationSummaryPdf;
+
+  /**
+   * Starts a new reconciliation on the given bank account.
+   * @param {number} tenantId
+   * @param {IBankReconciliationDTO} reconciliationDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public createReconciliation(
+    tenantId: number,
+    reconciliationDTO: IBankReconciliationDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.createReconciliationService.createReconciliation(
+      tenantId,
+      reconciliationDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Marks the given transactions as cleared.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {IBankReconciliationClearDTO} clearDTO
+   * @returns {Promise<IBankReconciliationSummary>}
+   */
+  public clearTransactions(
+    tenantId: number,
+    reconciliationId: number,
+    clearDTO: IBankReconciliationClearDTO
+  ) {
+    return this.clearTransactionsService.clearTransactions(
+      tenantId,
+      reconciliationId,
+      clearDTO
+    );
+  }
+
+  /**
+   * Unmarks the given cleared transactions.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {IBankReconciliationClearDTO} clearDTO
+   * @returns {Promise<IBankReconciliationSummary>}
+   */
+  public unclearTransactions(
+    tenantId: number,
+    reconciliationId: number,
+    clearDTO: IBankReconciliationClearDTO
+  ) {
+    return this.clearTransactionsService.unclearTransactions(
+      tenantId,
+      reconciliationId,
+      clearDTO
+    );
+  }
+
+  /**
+   * Finishes the given reconciliation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public finishReconciliation(tenantId: number, reconciliationId: number) {
+    return this.finishReconciliationService.finishReconciliation(
+      tenantId,
+      reconciliationId
+    );
+  }
+
+  /**
+   * Undoes the given finished reconciliation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public undoReconciliation(tenantId: number, reconciliationId: number) {
+    return this.undoReconciliationService.undoReconciliation(
+      tenantId,
+      reconciliationId
+    );
+  }
+
+  /**
+   * Deletes the given draft reconciliation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<void>}
+   */
+  public deleteReconciliation(tenantId: number, reconciliationId: number) {
+    return this.deleteReconciliationService.deleteReconciliation(
+      tenantId,
+      reconciliationId
+    );
+  }
+
+  /**
+   * Retrieves the given reconciliation with its transactions and summary.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   */
+  public getReconciliation(tenantId: number, reconciliationId: number) {
+    return this.getReconciliationService.getReconciliation(
+      tenantId,
+      reconciliationId
+    );
+  }
+
+  /**
+   * Retrieves the reconciliations of the given bank account.
+   * @param {number} tenantId
+   * @param {number} accountId
+   * @returns {Promise<IBankReconciliation[]>}
+   */
+  public getReconciliations(tenantId: number, accountId: number) {
+    return this.getReconciliationsService.getReconciliations(
+      tenantId,
+      accountId
+    );
+  }
+
+  /**
+   * Retrieves the reconciliation summary report in table format.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliationSummaryTable>}
+   */
+  public getSummaryTable(tenantId: number, reconciliationId: number) {
+    return this.summaryTableService.table(tenantId, reconciliationId);
+  }
+
+  /**
+   * Retrieves the reconciliation summary report in pdf format.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<Buffer>}
+   */
+  public getSummaryPdf(tenantId: number, reconciliationId: number) {
+    return this.summaryPdfService.pdf(tenantId, reconciliationId);
+  }
+}
@@ -0,0 +1,153 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { chain, round, sumBy, toNumber } from 'lodash';
+import {
+  BankReconciliationStatus,
+  IBankReconciliation,
+  IBankReconciliationEntry,
+  IBankReconciliationSummary,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+/**
+ * Retrieves the reference key of the given transaction.
+ * @param {{ referenceType: string; referenceId: number }} transaction
+ * @returns {string}
+ */
+export const getReferenceKey = (transaction: {
+  referenceType: string;
+  referenceId: number;
+}): string => `${transaction.referenceType}:${transaction.referenceId}`;
+
+@Service()
+export class BankReconciliationEntries {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the reference keys of transactions reconciled on finished
+   * reconciliations of the given account, except the given reconciliation.
+   * @param {number} tenantId
+   * @param {IBankReconciliation} reconciliation
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<Set<string>>}
+   */
+  private async getPreviouslyReconciledKeys(
+    tenantId: number,
+    reconciliation: IBankReconciliation,
+    trx?: Knex.Transaction
+  ): Promise<Set<string>> {
+    const { BankReconciliationTransaction } = this.tenancy.models(tenantId);
+
+    const reconciled = await BankReconciliationTransaction.query(trx)
+      .withGraphJoined('reconciliation')
+      .where('reconciliation.accountId', reconciliation.accountId)
+      .where('reconciliation.status', BankReconciliationStatus.Finished)
+      .whereNot('reconciliation.id', reconciliation.id);
+
+    return new Set(reconciled.map(getReferenceKey));
+  }
+
+  /**
+   * Retrieves the account transactions of the given reconciliation, the
+   * transactions up to the statement date that not reconciled before,
+   * grouped by the transaction reference.
+   * @param {number} tenantId
+   * @param {IBankReconciliation} reconciliation
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IBankReconciliationEntry[]>}
+   */
+  public async getReconciliationEntries(
+    tenantId: number,
+    reconciliation: IBankReconciliation,
+    trx?: Knex.Transaction
+  ): Promise<IBankReconciliationEntry[]> {
+    const { Account, AccountTransaction, BankReconciliationTransaction } =
+      this.tenancy.models(tenantId);
+
+    const account = await Account.query(trx).findById(reconciliation.accountId);
+    const previouslyReconciled = await this.getPreviouslyReconciledKeys(
+      tenantId,
+      reconciliation,
+      trx
+    );
+    const cleared = await BankReconciliationTransaction.query(trx).where(
+      'reconciliationId',
+      reconciliation.id
+    );
+    const clearedKeys = new Set(cleared.map(getReferenceKey));
+
+    const transactions = await AccountTransaction.query(trx)
+      .where('accountId', reconciliation.accountId)
+      .where('date', '<=', reconciliation.statementDate)
+      .orderBy('date', 'ASC')
+      .orderBy('id', 'ASC');
+
+    return chain(transactions)
+      .filter((t) => !previouslyReconciled.has(getReferenceKey(t)))
+      .groupBy(getReferenceKey)
+      .map((group) => {
+        const [transaction] = group;
+        const deposit = sumBy(group, (t) => toNumber(t.debit));
+        const withdrawal = sumBy(group, (t) => toNumber(t.credit));
+        const amount =
+          account.accountNormal === 'credit'
+            ? withdrawal - deposit
+            : deposit - withdrawal;
+
+        return {
+          referenceType: transaction.referenceType,
+          referenceId: transaction.referenceId,
+          date: transaction.date,
+          transactionNumber: transaction.transactionNumber,
+          referenceNumber: transaction.referenceNumber,
+          referenceTypeFormatted: transaction.referenceTypeFormatted,
+          deposit,
+          withdrawal,
+          amount,
+          isCleared: clearedKeys.has(getReferenceKey(transaction)),
+        };
+      })
+      .filter((entry) => entry.deposit !== 0 || entry.withdrawal !== 0)
+      .value();
+  }
+
+  /**
+   * Retrieves the reconciliation summary of the given entries, the difference
+   * between the statement ending balance and cleared balance.
+   * @param {IBankReconciliation} reconciliation
+   * @param {IBankReconciliationEntry[]} entries
+   * @returns {IBankReconciliationSummary}
+   */
+  public getReconciliationSummary(
+    reconciliation: IBankReconciliation,
+    entries: IBankReconciliationEntry[]
+  ): IBankReconciliationSummary {
+    const clearedEntries = entries.filter((entry) => entry.isCleared);
+
+    const openingBalance = toNumber(reconciliation.openingBalance);
+    const statementEndingBalance = toNumber(
+      reconciliation.statementEndingBalance
+    );
+    const clearedDeposits = sumBy(clearedEntries, (e) =>
+      e.amount > 0 ? e.amount : 0
+    );
+    const clearedWithdrawals = sumBy(clearedEntries, (e) =>
+      e.amount < 0 ? Math.abs(e.amount) : 0
+    );
+    const clearedBalance = round(
+      openingBalance + clearedDeposits - clearedWithdrawals,
+      3
+    );
+    const difference = round(statementEndingBalance - clearedBalance, 3);
+
+    return {
+      openingBalance,
+      clearedDeposits,
+      clearedWithdrawals,
+      clearedBalance,
+      statementEndingBalance,
+      difference,
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { IBankReconciliationEntry } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class BankReconciliationEntryTransformer extends Transformer {
+  /**
+   * Include these attributes to reconciliation entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedDate',
+      'referenceTypeFormatted',
+      'formattedDeposit',
+      'formattedWithdrawal',
+      'formattedAmount',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted transaction date.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {string}
+   */
+  protected formattedDate = (entry: IBankReconciliationEntry): string => {
+    return this.formatDate(entry.date);
+  };
+
+  /**
+   * Retrieves the localized transaction type.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {string}
+   */
+  protected referenceTypeFormatted = (
+    entry: IBankReconciliationEntry
+  ): string => {
+    return this.context.i18n.__(entry.referenceTypeFormatted);
+  };
+
+  /**
+   * Retrieves the formatted deposit amount.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {string}
+   */
+  protected formattedDeposit = (entry: IBankReconciliationEntry): string => {
+    return entry.deposit ? this.formatMoney(entry.deposit) : '';
+  };
+
+  /**
+   * Retrieves the formatted withdrawal amount.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {string}
+   */
+  protected formattedWithdrawal = (entry: IBankReconciliationEntry): string => {
+    return entry.withdrawal ? this.formatMoney(entry.withdrawal) : '';
+  };
+
+  /**
+   * Retrieves the formatted amount.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {string}
+   */
+  protected formattedAmount = (entry: IBankReconciliationEntry): string => {
+    return this.formatMoney(entry.amount);
+  };
+}
@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import { TableSheetPdf } from '@/services/FinancialStatements/TableSheetPdf';
+import { BankReconciliationSummaryTableInjectable } from './BankReconciliationSummaryTableInjectable';
+
+@Service()
+export class BankReconciliationSummaryPdf {
+  @Inject()
+  private summaryTable: BankReconciliationSummaryTableInjectable;
+
+  @Inject()
+  private tableSheetPdf: TableSheetPdf;
+
+  /**
+   * Converts the reconciliation summary report to pdf.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    reconciliationId: number
+  ): Promise<Buffer> {
+    const table = await this.summaryTable.table(tenantId, reconciliationId);
+
+    return this.tableSheetPdf.convertToPdf(
+      tenantId,
+      table.table,
+      table.meta.sheetName,
+      table.meta.formattedStatementDate
+    );
+  }
+}
@@ -0,0 +1,186 @@
+import moment from 'moment';
+import {
+  IBankReconciliationEntry,
+  IBankReconciliationSummary,
+  ITableColumn,
+  ITableData,
+  ITableRow,
+} from '@/interfaces';
+import { formatNumber } from 'utils';
+
+export class BankReconciliationSummaryTable {
+  private entries: IBankReconciliationEntry[];
+  private summary: IBankReconciliationSummary;
+  private baseCurrency: string;
+  private i18n: any;
+
+  /**
+   * Constructor method.
+   * @param {IBankReconciliationEntry[]} entries
+   * @param {IBankReconciliationSummary} summary
+   * @param {string} baseCurrency
+   * @param {any} i18n
+   */
+  constructor(
+    entries: IBankReconciliationEntry[],
+    summary: IBankReconciliationSummary,
+    baseCurrency: string,
+    i18n
+  ) {
+    this.entries = entries;
+    this.summary = summary;
+    this.baseCurrency = baseCurrency;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Formats the given amount in base currency.
+   * @param {number} amount
+   * @returns {string}
+   */
+  private formatAmount(amount: number): string {
+    return formatNumber(amount, { currencyCode: this.baseCurrency });
+  }
+
+  /**
+   * Retrieves the table row of the given cells values.
+   * @param {string[]} values - Cells values ordered as the columns.
+   * @param {string[]} rowTypes
+   * @returns {ITableRow}
+   */
+  private row(values: string[], rowTypes: string[] = []): ITableRow {
+    const columns = this.columns();
+
+    return {
+      cells: columns.map((column, index) => ({
+        key: column.key,
+        value: values[index] || '',
+      })),
+      rowTypes,
+    } as ITableRow;
+  }
+
+  /**
+   * Retrieves the summary row of the given label and amount.
+   * @param {string} label - Localization key.
+   * @param {number} amount
+   * @returns {ITableRow}
+   */
+  private summaryRow(label: string, amount: number): ITableRow {
+    return this.row(
+      [this.i18n.__(label), '', '', '', this.formatAmount(amount)],
+      ['SUMMARY']
+    );
+  }
+
+  /**
+   * Retrieves the transaction row of the given entry.
+   * @param {IBankReconciliationEntry} entry
+   * @returns {ITableRow}
+   */
+  private entryRow = (entry: IBankReconciliationEntry): ITableRow => {
+    return this.row(
+      [
+        this.i18n.__(entry.referenceTypeFormatted),
+        moment(entry.date).format('YYYY MMM DD'),
+        entry.transactionNumber,
+        entry.referenceNumber,
+        this.formatAmount(entry.amount),
+      ],
+      ['TRANSACTION']
+    );
+  };
+
+  /**
+   * Retrieves the transactions group row with its entries.
+   * @param {string} label - Localization key.
+   * @param {IBankReconciliationEntry[]} entries
+   * @returns {ITableRow}
+   */
+  private entriesGroupRow(
+    label: string,
+    entries: IBankReconciliationEntry[]
+  ): ITableRow {
+    const total = entries.reduce((acc, entry) => acc + entry.amount, 0);
+
+    return {
+      ...this.row(
+        [this.i18n.__(label), '', '', '', this.formatAmount(total)],
+        ['TRANSACTIONS']
+      ),
+      children: entries.map(this.entryRow),
+    } as ITableRow;
+  }
+
+  /**
+   * Retrieves the table columns.
+   * @returns {ITableColumn[]}
+   */
+  public columns(): ITableColumn[] {
+    return [
+      { key: 'name', label: this.i18n.__('bank_reconciliation.transaction') },
+      { key: 'date', label: this.i18n.__('bank_reconciliation.date') },
+      {
+        key: 'transaction_number',
+        label: this.i18n.__('bank_reconciliation.transaction_number'),
+      },
+      {
+        key: 'reference_number',
+        label: this.i18n.__('bank_reconciliation.reference_number'),
+      },
+      { key: 'amount', label: this.i18n.__('bank_reconciliation.amount') },
+    ];
+  }
+
+  /**
+   * Retrieves the table rows.
+   * @returns {ITableRow[]}
+   */
+  public rows(): ITableRow[] {
+    const cleared = this.entries.filter((entry) => entry.isCleared);
+    const uncleared = this.entries.filter((entry) => !entry.isCleared);
+
+    return [
+      this.summaryRow(
+        'bank_reconciliation.opening_balance',
+        this.summary.openingBalance
+      ),
+      this.summaryRow(
+        'bank_reconciliation.cleared_deposits',
+        this.summary.clearedDeposits
+      ),
+      this.summaryRow(
+        'bank_reconciliation.cleared_withdrawals',
+        this.summary.clearedWithdrawals
+      ),
+      this.summaryRow(
+        'bank_reconciliation.cleared_balance',
+        this.summary.clearedBalance
+      ),
+      this.summaryRow(
+        'bank_reconciliation.statement_ending_balance',
+        this.summary.statementEndingBalance
+      ),
+      this.summaryRow(
+        'bank_reconciliation.difference',
+        this.summary.difference
+      ),
+      this.entriesGroupRow('bank_reconciliation.cleared_transactions', cleared),
+      this.entriesGroupRow(
+        'bank_reconciliation.uncleared_transactions',
+        uncleared
+      ),
+    ];
+  }
+
+  /**
+   * Retrieves the table data.
+   * @returns {ITableData}
+   */
+  public table(): ITableData {
+    return {
+      columns: this.columns(),
+      rows: this.rows(),
+    };
+  }
+}
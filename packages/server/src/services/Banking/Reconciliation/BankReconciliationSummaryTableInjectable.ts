@@ -0,0 +1,70 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { IBankReconciliationSummaryTable } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TenantMetadata } from '@/system/models';
+import { BankReconciliationEntries } from './BankReconciliationEntries';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+import { BankReconciliationSummaryTable } from './BankReconciliationSummaryTable';
+
+@Service()
+export class BankReconciliationSummaryTableInjectable {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  @Inject()
+  private reconciliationEntries: BankReconciliationEntries;
+
+  /**
+   * Retrieves the reconciliation summary report in table format.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliationSummaryTable>}
+   */
+  public async table(
+    tenantId: number,
+    reconciliationId: number
+  ): Promise<IBankReconciliationSummaryTable> {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const reconciliation = await BankReconciliation.query()
+      .findById(reconciliationId)
+      .withGraphFetched('account');
+
+    // Validates the reconciliation existance.
+    this.validators.validateReconciliationExistance(reconciliation);
+
+    const tenantMeta = await TenantMetadata.query().findOne({ tenantId });
+
+    const entries = await this.reconciliationEntries.getReconciliationEntries(
+      tenantId,
+      reconciliation
+    );
+    const summary = this.reconciliationEntries.getReconciliationSummary(
+      reconciliation,
+      entries
+    );
+    const table = new BankReconciliationSummaryTable(
+      entries,
+      summary,
+      tenantMeta.baseCurrency,
+      i18n
+    );
+    return {
+      table: table.table(),
+      meta: {
+        sheetName: `${i18n.__('bank_reconciliation.summary')} - ${
+          reconciliation.account.name
+        }`,
+        accountName: reconciliation.account.name,
+        formattedStatementDate: moment(reconciliation.statementDate).format(
+          'YYYY/MM/DD'
+        ),
+      },
+    };
+  }
+}
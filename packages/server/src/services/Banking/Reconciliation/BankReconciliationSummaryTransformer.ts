@@ -0,0 +1,85 @@
+import { IBankReconciliationSummary } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class BankReconciliationSummaryTransformer extends Transformer {
+  /**
+   * Include these attributes to reconciliation summary object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedOpeningBalance',
+      'formattedClearedDeposits',
+      'formattedClearedWithdrawals',
+      'formattedClearedBalance',
+      'formattedStatementEndingBalance',
+      'formattedDifference',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted opening balance.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedOpeningBalance = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.openingBalance);
+  };
+
+  /**
+   * Retrieves the formatted cleared deposits.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedClearedDeposits = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.clearedDeposits);
+  };
+
+  /**
+   * Retrieves the formatted cleared withdrawals.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedClearedWithdrawals = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.clearedWithdrawals);
+  };
+
+  /**
+   * Retrieves the formatted cleared balance.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedClearedBalance = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.clearedBalance);
+  };
+
+  /**
+   * Retrieves the formatted statement ending balance.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedStatementEndingBalance = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.statementEndingBalance);
+  };
+
+  /**
+   * Retrieves the formatted difference.
+   * @param {IBankReconciliationSummary} summary
+   * @returns {string}
+   */
+  protected formattedDifference = (
+    summary: IBankReconciliationSummary
+  ): string => {
+    return this.formatMoney(summary.difference);
+  };
+}
@@ -0,0 +1,75 @@
+import { IBankReconciliation } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class BankReconciliationTransformer extends Transformer {
+  /**
+   * Include these attributes to reconciliation object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedStatementDate',
+      'formattedStatementEndingBalance',
+      'formattedOpeningBalance',
+      'formattedClearedBalance',
+      'formattedFinishedAt',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted statement date.
+   * @param {IBankReconciliation} reconciliation
+   * @returns {string}
+   */
+  protected formattedStatementDate = (
+    reconciliation: IBankReconciliation
+  ): string => {
+    return this.formatDate(reconciliation.statementDate);
+  };
+
+  /**
+   * Retrieves the formatted statement ending balance.
+   * @param {IBankReconciliation} reconciliation
+   * @returns {string}
+   */
+  protected formattedStatementEndingBalance = (
+    reconciliation: IBankReconciliation
+  ): string => {
+    return this.formatMoney(reconciliation.statementEndingBalance);
+  };
+
+  /**
+   * Retrieves the formatted opening balance.
+   * @param {IBankReconciliation} reconciliation
+   * @returns {string}
+   */
+  protected formattedOpeningBalance = (
+    reconciliation: IBankReconciliation
+  ): string => {
+    return this.formatMoney(reconciliation.openingBalance);
+  };
+
+  /**
+   * Retrieves the formatted cleared balance of finished reconciliation.
+   * @param {IBankReconciliation} reconciliation
+   * @returns {string}
+   */
+  protected formattedClearedBalance = (
+    reconciliation: IBankReconciliation
+  ): string => {
+    return reconciliation.clearedBalance !== null
+      ? this.formatMoney(reconciliation.clearedBalance)
+      : '';
+  };
+
+  /**
+   * Retrieves the formatted finished at date.
+   * @param {IBankReconciliation} reconciliation
+   * @returns {string}
+   */
+  protected formattedFinishedAt = (
+    reconciliation: IBankReconciliation
+  ): string => {
+    return this.formatDate(reconciliation.finishedAt);
+  };
+}
@@ -0,0 +1,187 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import {
+  BankReconciliationStatus,
+  IAccount,
+  IBankReconciliation,
+  IBankReconciliationEntry,
+  IBankReconciliationSummary,
+  IBankReconciliationTransactionRefDTO,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { getReferenceKey } from './BankReconciliationEntries';
+import { ERRORS, RECONCILABLE_ACCOUNT_TYPES } from './constants';
+
+@Service()
+export class BankReconciliationValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the given reconciliation existance.
+   * @param {IBankReconciliation | undefined | null} reconciliation
+   */
+  public validateReconciliationExistance(
+    reconciliation: IBankReconciliation | undefined | null
+  ) {
+    if (!reconciliation) {
+      throw new ServiceError(ERRORS.RECONCILIATION_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the given account existance and it could be reconciled.
+   * @param {IAccount | undefined | null} account
+   */
+  public validateReconcilableAccount(account: IAccount | undefined | null) {
+    if (!account) {
+      throw new ServiceError(ERRORS.ACCOUNT_NOT_FOUND);
+    }
+    if (RECONCILABLE_ACCOUNT_TYPES.indexOf(account.accountType) === -1) {
+      throw new ServiceError(ERRORS.ACCOUNT_TYPE_NOT_RECONCILABLE);
+    }
+  }
+
+  /**
+   * Validates the given account has no draft reconciliation, only one
+   * reconciliation could be in progress per account.
+   * @param {number} tenantId
+   * @param {number} accountId
+   */
+  public async validateAccountHasNoDraftReconciliation(
+    tenantId: number,
+    accountId: number
+  ) {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const draftReconciliation = await BankReconciliation.query()
+      .modify('draft')
+      .findOne('accountId', accountId);
+
+    if (draftReconciliation) {
+      throw new ServiceError(ERRORS.ACCOUNT_HAS_DRAFT_RECONCILIATION);
+    }
+  }
+
+  /**
+   * Validates the statement date is after the last finished reconciliation.
+   * @param {IBankReconciliation | undefined} lastReconciliation
+   * @param {Date} statementDate
+   */
+  public validateStatementDateAfterLastReconciliation(
+    lastReconciliation: IBankReconciliation | undefined,
+    statementDate: Date
+  ) {
+    if (
+      lastReconciliation &&
+      moment(statementDate).isBefore(lastReconciliation.statementDate, 'day')
+    ) {
+      throw new ServiceError(ERRORS.STATEMENT_DATE_BEFORE_LAST_RECONCILIATION);
+    }
+  }
+
+  /**
+   * Validates the given reconciliation is still draft.
+   * @param {IBankReconciliation} reconciliation
+   */
+  public validateReconciliationDraft(reconciliation: IBankReconciliation) {
+    if (reconciliation.status !== BankReconciliationStatus.Draft) {
+      throw new ServiceError(ERRORS.RECONCILIATION_ALREADY_FINISHED);
+    }
+  }
+
+  /**
+   * Validates the given reconciliation is finished.
+   * @param {IBankReconciliation} reconciliation
+   */
+  public validateReconciliationFinished(reconciliation: IBankReconciliation) {
+    if (reconciliation.status !== BankReconciliationStatus.Finished) {
+      throw new ServiceError(ERRORS.RECONCILIATION_NOT_FINISHED);
+    }
+  }
+
+  /**
+   * Validates the cleared balance equals the statement ending balance.
+   * @param {IBankReconciliationSummary} summary
+   */
+  public validateReconciliationBalanced(summary: IBankReconciliationSummary) {
+    if (summary.difference !== 0) {
+      throw new ServiceError(ERRORS.RECONCILIATION_NOT_BALANCED, null, {
+        difference: summary.difference,
+      });
+    }
+  }
+
+  /**
+   * Validates the given reconciliation is the latest one of its account.
+   * @param {number} tenantId
+   * @param {IBankReconciliation} reconciliation
+   */
+  public async validateReconciliationIsLatest(
+    tenantId: number,
+    reconciliation: IBankReconciliation
+  ) {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const laterReconciliation = await BankReconciliation.query()
+      .where('accountId', reconciliation.accountId)
+      .where('id', '>', reconciliation.id)
+      .first();
+
+    if (laterReconciliation) {
+      throw new ServiceError(ERRORS.RECONCILIATION_NOT_LATEST);
+    }
+  }
+
+  /**
+   * Validates the given transactions references exist on the reconciliation
+   * entries.
+   * @param {IBankReconciliationEntry[]} entries
+   * @param {IBankReconciliationTransactionRefDTO[]} transactions
+   */
+  public validateTransactionsExist(
+    entries: IBankReconciliationEntry[],
+    transactions: IBankReconciliationTransactionRefDTO[]
+  ) {
+    const entriesKeys = new Set(entries.map(getReferenceKey));
+    const notFound = transactions.filter(
+      (transaction) => !entriesKeys.has(getReferenceKey(transaction))
+    );
+    if (notFound.length > 0) {
+      throw new ServiceError(ERRORS.TRANSACTIONS_NOT_FOUND, null, {
+        transactions: notFound,
+      });
+    }
+  }
+
+  /**
+   * Validates the given transaction is not reconciled on a finished
+   * reconciliation, reconciled transactions are locked from modifying.
+   * @param {number} tenantId
+   * @param {string} referenceType - Transaction reference type.
+   * @param {number} referenceId - Transaction reference id.
+   * @param {Knex.Transaction} trx
+   */
+  public async validateTransactionNotReconciled(
+    tenantId: number,
+    referenceType: string,
+    referenceId: number,
+    trx?: Knex.Transaction
+  ) {
+    const { BankReconciliationTransaction } = this.tenancy.models(tenantId);
+
+    const reconciled = await BankReconciliationTransaction.query(trx)
+      .withGraphJoined('reconciliation')
+      .where('reconciliation.status', BankReconciliationStatus.Finished)
+      .findOne({ referenceType, referenceId });
+
+    if (reconciled) {
+      throw new ServiceError(
+        ERRORS.CANNOT_MODIFY_RECONCILED_TRANSACTION,
+        'The transaction is cleared in a finished bank reconciliation.'
+      );
+    }
+  }
+}
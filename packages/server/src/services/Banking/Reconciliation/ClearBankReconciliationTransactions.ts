@@ -0,0 +1,149 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IBankReconciliationClearDTO,
+  IBankReconciliationSummary,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import {
+  BankReconciliationEntries,
+  getReferenceKey,
+} from './BankReconciliationEntries';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+
+@Service()
+export class ClearBankReconciliationTransactions {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  @Inject()
+  private reconciliationEntries: BankReconciliationEntries;
+
+  /**
+   * Retrieves the draft reconciliation and its entries after validation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {IBankReconciliationClearDTO} clearDTO
+   */
+  private async getValidatedReconciliation(
+    tenantId: number,
+    reconciliationId: number,
+    clearDTO: IBankReconciliationClearDTO
+  ) {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const reconciliation = await BankReconciliation.query().findById(
+      reconciliationId
+    );
+    this.validators.validateReconciliationExistance(reconciliation);
+    this.validators.validateReconciliationDraft(reconciliation);
+
+    const entries = await this.reconciliationEntries.getReconciliationEntries(
+      tenantId,
+      reconciliation
+    );
+    this.validators.validateTransactionsExist(entries, clearDTO.transactions);
+
+    return reconciliation;
+  }
+
+  /**
+   * Retrieves the reconciliation summary after ticking the transactions.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IBankReconciliationSummary>}
+   */
+  private async getSummary(
+    tenantId: number,
+    reconciliationId: number,
+    trx?: Knex.Transaction
+  ): Promise<IBankReconciliationSummary> {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const reconciliation = await BankReconciliation.query(trx).findById(
+      reconciliationId
+    );
+    const entries = await this.reconciliationEntries.getReconciliationEntries(
+      tenantId,
+      reconciliation,
+      trx
+    );
+    return this.reconciliationEntries.getReconciliationSummary(
+      reconciliation,
+      entries
+    );
+  }
+
+  /**
+   * Marks the given transactions as cleared on the reconciliation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {IBankReconciliationClearDTO} clearDTO
+   * @returns {Promise<IBankReconciliationSummary>}
+   */
+  public async clearTransactions(
+    tenantId: number,
+    reconciliationId: number,
+    clearDTO: IBankReconciliationClearDTO
+  ): Promise<IBankReconciliationSummary> {
+    const { BankReconciliationTransaction } = this.tenancy.models(tenantId);
+
+    await this.getValidatedReconciliation(tenantId, reconciliationId, clearDTO);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const cleared = await BankReconciliationTransaction.query(trx).where(
+        'reconciliationId',
+        reconciliationId
+      );
+      const clearedKeys = new Set(cleared.map(getReferenceKey));
+
+      const newTransactions = clearDTO.transactions.filter(
+        (transaction) => !clearedKeys.has(getReferenceKey(transaction))
+      );
+      for (const transaction of newTransactions) {
+        await BankReconciliationTransaction.query(trx).insert({
+          reconciliationId,
+          referenceType: transaction.referenceType,
+          referenceId: transaction.referenceId,
+        });
+      }
+      return this.getSummary(tenantId, reconciliationId, trx);
+    });
+  }
+
+  /**
+   * Unmarks the given cleared transactions on the reconciliation.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @param {IBankReconciliationClearDTO} clearDTO
+   * @returns {Promise<IBankReconciliationSummary>}
+   */
+  public async unclearTransactions(
+    tenantId: number,
+    reconciliationId: number,
+    clearDTO: IBankReconciliationClearDTO
+  ): Promise<IBankReconciliationSummary> {
+    const { BankReconciliationTransaction } = this.tenancy.models(tenantId);
+
+    await this.getValidatedReconciliation(tenantId, reconciliationId, clearDTO);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      for (const transaction of clearDTO.transactions) {
+        await BankReconciliationTransaction.query(trx)
+          .where('reconciliationId', reconciliationId)
+          .where('referenceType', transaction.referenceType)
+          .where('referenceId', transaction.referenceId)
+          .delete();
+      }
+      return this.getSummary(tenantId, reconciliationId, trx);
+    });
+  }
+}
@@ -0,0 +1,102 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import {
+  BankReconciliationStatus,
+  IBankReconciliation,
+  IBankReconciliationCreatedPayload,
+  IBankReconciliationCreatingPayload,
+  IBankReconciliationDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+
+@Service()
+export class CreateBankReconciliation {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  /**
+   * Starts a new reconciliation on the given bank account, the opening
+   * balance is the ending balance of the last finished reconciliation.
+   * @param {number} tenantId
+   * @param {IBankReconciliationDTO} reconciliationDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public async createReconciliation(
+    tenantId: number,
+    reconciliationDTO: IBankReconciliationDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IBankReconciliation> {
+    const { Account, BankReconciliation } = this.tenancy.models(tenantId);
+
+    // Validate the account existance and type.
+    const account = await Account.query().findById(reconciliationDTO.accountId);
+    this.validators.validateReconcilableAccount(account);
+
+    // Validate the account has no draft reconciliation.
+    await this.validators.validateAccountHasNoDraftReconciliation(
+      tenantId,
+      reconciliationDTO.accountId
+    );
+    // Retrieves the last finished reconciliation of the account.
+    const lastReconciliation = await BankReconciliation.query()
+      .modify('finished')
+      .where('accountId', reconciliationDTO.accountId)
+      .orderBy('statementDate', 'DESC')
+      .first();
+
+    // Validate the statement date after the last reconciliation.
+    this.validators.validateStatementDateAfterLastReconciliation(
+      lastReconciliation,
+      reconciliationDTO.statementDate
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBankReconciliationCreating` event.
+      await this.eventPublisher.emitAsync(
+        events.bankReconciliation.onCreating,
+        {
+          tenantId,
+          reconciliationDTO,
+          trx,
+        } as IBankReconciliationCreatingPayload
+      );
+
+      const reconciliation = await BankReconciliation.query(trx).insertAndFetch(
+        {
+          accountId: reconciliationDTO.accountId,
+          statementDate: moment(reconciliationDTO.statementDate).format(
+            'YYYY-MM-DD'
+          ),
+          statementEndingBalance: reconciliationDTO.statementEndingBalance,
+          openingBalance: lastReconciliation?.statementEndingBalance || 0,
+          status: BankReconciliationStatus.Draft,
+          userId: authorizedUser.id,
+        }
+      );
+      // Triggers `onBankReconciliationCreated` event.
+      await this.eventPublisher.emitAsync(events.bankReconciliation.onCreated, {
+        tenantId,
+        reconciliation,
+        reconciliationDTO,
+        trx,
+      } as IBankReconciliationCreatedPayload);
+
+      return reconciliation;
+    });
+  }
+}
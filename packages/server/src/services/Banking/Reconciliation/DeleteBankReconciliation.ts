@@ -0,0 +1,59 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { IBankReconciliationDeletedPayload } from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+
+@Service()
+export class DeleteBankReconciliation {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  /**
+   * Deletes the given draft reconciliation with its cleared transactions.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<void>}
+   */
+  public async deleteReconciliation(
+    tenantId: number,
+    reconciliationId: number
+  ): Promise<void> {
+    const { BankReconciliation, BankReconciliationTransaction } =
+      this.tenancy.models(tenantId);
+
+    const oldReconciliation = await BankReconciliation.query().findById(
+      reconciliationId
+    );
+    // Validate the reconciliation existance and still draft.
+    this.validators.validateReconciliationExistance(oldReconciliation);
+    this.validators.validateReconciliationDraft(oldReconciliation);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      await BankReconciliationTransaction.query(trx)
+        .where('reconciliationId', reconciliationId)
+        .delete();
+
+      await BankReconciliation.query(trx).findById(reconciliationId).delete();
+
+      // Triggers `onBankReconciliationDeleted` event.
+      await this.eventPublisher.emitAsync(events.bankReconciliation.onDeleted, {
+        tenantId,
+        oldReconciliation,
+        trx,
+      } as IBankReconciliationDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,87 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import {
+  BankReconciliationStatus,
+  IBankReconciliation,
+  IBankReconciliationFinishedPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BankReconciliationEntries } from './BankReconciliationEntries';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+
+@Service()
+export class FinishBankReconciliation {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  @Inject()
+  private reconciliationEntries: BankReconciliationEntries;
+
+  /**
+   * Finishes the given reconciliation once the cleared balance equals the
+   * statement ending balance, the cleared transactions get locked from
+   * modifying after that.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public async finishReconciliation(
+    tenantId: number,
+    reconciliationId: number
+  ): Promise<IBankReconciliation> {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const oldReconciliation = await BankReconciliation.query().findById(
+      reconciliationId
+    );
+    // Validate the reconciliation existance and still draft.
+    this.validators.validateReconciliationExistance(oldReconciliation);
+    this.validators.validateReconciliationDraft(oldReconciliation);
+
+    const entries = await this.reconciliationEntries.getReconciliationEntries(
+      tenantId,
+      oldReconciliation
+    );
+    const summary = this.reconciliationEntries.getReconciliationSummary(
+      oldReconciliation,
+      entries
+    );
+    // Validate the cleared balance matches the statement ending balance.
+    this.validators.validateReconciliationBalanced(summary);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const reconciliation = await BankReconciliation.query(
+        trx
+      ).patchAndFetchById(reconciliationId, {
+        status: BankReconciliationStatus.Finished,
+        clearedBalance: summary.clearedBalance,
+        finishedAt: moment().toMySqlDateTime(),
+      });
+      // Triggers `onBankReconciliationFinished` event.
+      await this.eventPublisher.emitAsync(
+        events.bankReconciliation.onFinished,
+        {
+          tenantId,
+          reconciliation,
+          oldReconciliation,
+          trx,
+        } as IBankReconciliationFinishedPayload
+      );
+
+      return reconciliation;
+    });
+  }
+}
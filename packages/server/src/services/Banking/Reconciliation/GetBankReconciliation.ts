@@ -0,0 +1,67 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BankReconciliationEntries } from './BankReconciliationEntries';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+import { BankReconciliationTransformer } from './BankReconciliationTransformer';
+import { BankReconciliationEntryTransformer } from './BankReconciliationEntryTransformer';
+import { BankReconciliationSummaryTransformer } from './BankReconciliationSummaryTransformer';
+
+@Service()
+export class GetBankReconciliation {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  @Inject()
+  private reconciliationEntries: BankReconciliationEntries;
+
+  /**
+   * Retrieves the given reconciliation with its account transactions and
+   * the live summary of the cleared ones.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   */
+  public async getReconciliation(tenantId: number, reconciliationId: number) {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const reconciliation = await BankReconciliation.query()
+      .findById(reconciliationId)
+      .withGraphFetched('account');
+
+    // Validates the reconciliation existance.
+    this.validators.validateReconciliationExistance(reconciliation);
+
+    const entries = await this.reconciliationEntries.getReconciliationEntries(
+      tenantId,
+      reconciliation
+    );
+    const summary = this.reconciliationEntries.getReconciliationSummary(
+      reconciliation,
+      entries
+    );
+    const transformed = await this.transformer.transform(
+      tenantId,
+      reconciliation,
+      new BankReconciliationTransformer()
+    );
+    return {
+      ...transformed,
+      summary: await this.transformer.transform(
+        tenantId,
+        summary,
+        new BankReconciliationSummaryTransformer()
+      ),
+      entries: await this.transformer.transform(
+        tenantId,
+        entries,
+        new BankReconciliationEntryTransformer()
+      ),
+    };
+  }
+}
@@ -0,0 +1,34 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BankReconciliationTransformer } from './BankReconciliationTransformer';
+
+@Service()
+export class GetBankReconciliations {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the reconciliations of the given bank account.
+   * @param {number} tenantId
+   * @param {number} accountId
+   * @returns {Promise<IBankReconciliation[]>}
+   */
+  public async getReconciliations(tenantId: number, accountId: number) {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const reconciliations = await BankReconciliation.query()
+      .where('accountId', accountId)
+      .orderBy('statementDate', 'DESC')
+      .orderBy('id', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      reconciliations,
+      new BankReconciliationTransformer()
+    );
+  }
+}
@@ -0,0 +1,73 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  BankReconciliationStatus,
+  IBankReconciliation,
+  IBankReconciliationUndonePayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BankReconciliationValidators } from './BankReconciliationValidators';
+
+@Service()
+export class UndoBankReconciliation {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  /**
+   * Undoes the given finished reconciliation back to draft, which unlocks
+   * its cleared transactions.
+   * @param {number} tenantId
+   * @param {number} reconciliationId
+   * @returns {Promise<IBankReconciliation>}
+   */
+  public async undoReconciliation(
+    tenantId: number,
+    reconciliationId: number
+  ): Promise<IBankReconciliation> {
+    const { BankReconciliation } = this.tenancy.models(tenantId);
+
+    const oldReconciliation = await BankReconciliation.query().findById(
+      reconciliationId
+    );
+    // Validate the reconciliation existance and finished.
+    this.validators.validateReconciliationExistance(oldReconciliation);
+    this.validators.validateReconciliationFinished(oldReconciliation);
+
+    // Validate the reconciliation is the latest one of the account, since
+    // the later reconciliations opening balance depends on it.
+    await this.validators.validateReconciliationIsLatest(
+      tenantId,
+      oldReconciliation
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const reconciliation = await BankReconciliation.query(
+        trx
+      ).patchAndFetchById(reconciliationId, {
+        status: BankReconciliationStatus.Draft,
+        clearedBalance: null,
+        finishedAt: null,
+      });
+      // Triggers `onBankReconciliationUndone` event.
+      await this.eventPublisher.emitAsync(events.bankReconciliation.onUndone, {
+        tenantId,
+        reconciliation,
+        oldReconciliation,
+        trx,
+      } as IBankReconciliationUndonePayload);
+
+      return reconciliation;
+    });
+  }
+}
@@ -0,0 +1,25 @@
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+
+export const ERRORS = {
+  RECONCILIATION_NOT_FOUND: 'RECONCILIATION_NOT_FOUND',
+  ACCOUNT_NOT_FOUND: 'ACCOUNT_NOT_FOUND',
+  ACCOUNT_TYPE_NOT_RECONCILABLE: 'ACCOUNT_TYPE_NOT_RECONCILABLE',
+  ACCOUNT_HAS_DRAFT_RECONCILIATION: 'ACCOUNT_HAS_DRAFT_RECONCILIATION',
+  STATEMENT_DATE_BEFORE_LAST_RECONCILIATION:
+    'STATEMENT_DATE_BEFORE_LAST_RECONCILIATION',
+  RECONCILIATION_ALREADY_FINISHED: 'RECONCILIATION_ALREADY_FINISHED',
+  RECONCILIATION_NOT_FINISHED: 'RECONCILIATION_NOT_FINISHED',
+  RECONCILIATION_NOT_BALANCED: 'RECONCILIATION_NOT_BALANCED',
+  RECONCILIATION_NOT_LATEST: 'RECONCILIATION_NOT_LATEST',
+  TRANSACTIONS_NOT_FOUND: 'TRANSACTIONS_NOT_FOUND',
+  CANNOT_MODIFY_RECONCILED_TRANSACTION: 'CANNOT_MODIFY_RECONCILED_TRANSACTION',
+};
+
+/**
+ * Accounts types that could be reconciled against bank statements.
+ */
+export const RECONCILABLE_ACCOUNT_TYPES = [
+  ACCOUNT_TYPE.BANK,
+  ACCOUNT_TYPE.CASH,
+  ACCOUNT_TYPE.CREDIT_CARD,
+];
@@ -0,0 +1,242 @@
+import { Inject, Service } from 'typedi';
+import {
+  IBillPaymentDeletingPayload,
+  IBillPaymentEditingPayload,
+  ICommandCashflowDeletingPayload,
+  IExpenseDeletingPayload,
+  IExpenseEventEditingPayload,
+  IFixedAssetDeletingPayload,
+  IManualJournalDeletingPayload,
+  IManualJournalEditingPayload,
+  IPaymentReceiveDeletingPayload,
+  IPaymentReceiveEditingPayload,
+  IRefundCreditNoteDeletingPayload,
+  IRefundVendorCreditDeletingPayload,
+  ISaleReceiptDeletingPayload,
+  ISaleReceiptEditingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import { FIXED_ASSET_DISPOSAL_TRANSACTION } from '@/services/FixedAssets/constants';
+import { BankReconciliationValidators } from '../BankReconciliationValidators';
+
+@Service()
+export class ValidateReconciledOnTransactionModify {
+  @Inject()
+  private validators: BankReconciliationValidators;
+
+  /**
+   * Constructor method.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.manualJournals.onEditing,
+      this.validateManualJournalNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.manualJournals.onDeleting,
+      this.validateManualJournalNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.expenses.onEditing,
+      this.validateExpenseNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.expenses.onDeleting,
+      this.validateExpenseNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.cashflow.onTransactionDeleting,
+      this.validateCashflowTransactionNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.paymentReceive.onEditing,
+      this.validatePaymentReceiveNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.paymentReceive.onDeleting,
+      this.validatePaymentReceiveNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.billPayment.onEditing,
+      this.validateBillPaymentNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.billPayment.onDeleting,
+      this.validateBillPaymentNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.saleReceipt.onEditing,
+      this.validateSaleReceiptNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.saleReceipt.onDeleting,
+      this.validateSaleReceiptNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.creditNote.onRefundDeleting,
+      this.validateRefundCreditNoteNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.vendorCredit.onRefundDeleting,
+      this.validateRefundVendorCreditNotReconciled.bind(this)
+    );
+    bus.subscribe(
+      events.fixedAsset.onDeleting,
+      this.validateFixedAssetDisposalNotReconciled.bind(this)
+    );
+  }
+
+  /**
+   * Validates the manual journal is not reconciled on editing or deleting.
+   * @param {IManualJournalEditingPayload | IManualJournalDeletingPayload}
+   */
+  public async validateManualJournalNotReconciled({
+    tenantId,
+    oldManualJournal,
+    trx,
+  }: IManualJournalEditingPayload | IManualJournalDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'Journal',
+      oldManualJournal.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the expense is not reconciled on editing or deleting.
+   * @param {IExpenseEventEditingPayload | IExpenseDeletingPayload}
+   */
+  public async validateExpenseNotReconciled({
+    tenantId,
+    oldExpense,
+    trx,
+  }: IExpenseEventEditingPayload | IExpenseDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'Expense',
+      oldExpense.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the cashflow transaction is not reconciled on deleting.
+   * @param {ICommandCashflowDeletingPayload}
+   */
+  public async validateCashflowTransactionNotReconciled({
+    tenantId,
+    oldCashflowTransaction,
+    trx,
+  }: ICommandCashflowDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'CashflowTransaction',
+      oldCashflowTransaction.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the payment receive is not reconciled on editing or deleting.
+   * @param {IPaymentReceiveEditingPayload | IPaymentReceiveDeletingPayload}
+   */
+  public async validatePaymentReceiveNotReconciled({
+    tenantId,
+    oldPaymentReceive,
+    trx,
+  }: IPaymentReceiveEditingPayload | IPaymentReceiveDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'PaymentReceive',
+      oldPaymentReceive.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the bill payment is not reconciled on editing or deleting.
+   * @param {IBillPaymentEditingPayload | IBillPaymentDeletingPayload}
+   */
+  public async validateBillPaymentNotReconciled({
+    tenantId,
+    oldBillPayment,
+    trx,
+  }: IBillPaymentEditingPayload | IBillPaymentDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'BillPayment',
+      oldBillPayment.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the sale receipt is not reconciled on editing or deleting.
+   * @param {ISaleReceiptEditingPayload | ISaleReceiptDeletingPayload}
+   */
+  public async validateSaleReceiptNotReconciled({
+    tenantId,
+    oldSaleReceipt,
+    trx,
+  }: ISaleReceiptEditingPayload | ISaleReceiptDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'SaleReceipt',
+      oldSaleReceipt.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the credit note refund is not reconciled on deleting.
+   * @param {IRefundCreditNoteDeletingPayload}
+   */
+  public async validateRefundCreditNoteNotReconciled({
+    tenantId,
+    oldRefundCredit,
+    trx,
+  }: IRefundCreditNoteDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'RefundCreditNote',
+      oldRefundCredit.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the vendor credit refund is not reconciled on deleting.
+   * @param {IRefundVendorCreditDeletingPayload}
+   */
+  public async validateRefundVendorCreditNotReconciled({
+    tenantId,
+    oldRefundCredit,
+    trx,
+  }: IRefundVendorCreditDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      'RefundVendorCredit',
+      oldRefundCredit.id,
+      trx
+    );
+  }
+
+  /**
+   * Validates the disposal proceeds of the fixed asset are not reconciled
+   * on deleting.
+   * @param {IFixedAssetDeletingPayload}
+   */
+  public async validateFixedAssetDisposalNotReconciled({
+    tenantId,
+    oldFixedAsset,
+    trx,
+  }: IFixedAssetDeletingPayload) {
+    await this.validators.validateTransactionNotReconciled(
+      tenantId,
+      FIXED_ASSET_DISPOSAL_TRANSACTION,
+      oldFixedAsset.id,
+      trx
+    );
+  }
+}
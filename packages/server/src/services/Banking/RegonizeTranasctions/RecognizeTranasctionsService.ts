@@ -65,7 +65,11 @@ export class RecognizeTranasctionsService {
 
         if (batch) query.where('batch', batch);
       });
-    const bankRules = await BankRule.query().withGraphFetched('conditions');
+    // The first matched rule in order recognizes the transaction.
+    const bankRules = await BankRule.query()
+      .withGraphFetched('conditions')
+      .orderBy('order', 'ASC')
+      .orderBy('id', 'ASC');
     const bankRulesByAccountId = transformToMapBy(
       bankRules,
       'applyIfAccountId'
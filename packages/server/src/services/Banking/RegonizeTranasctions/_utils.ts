@@ -1,12 +1,17 @@
+import moment from 'moment';
+import { camelCase, toNumber } from 'lodash';
 import UncategorizedCashflowTransaction from '@/models/UncategorizedCashflowTransaction';
 import {
   BankRuleApplyIfTransactionType,
   BankRuleConditionComparator,
+  BankRuleConditionFieldType,
   BankRuleConditionType,
   IBankRule,
   IBankRuleCondition,
 } from '../Rules/types';
+import { BankRuleConditionFieldTypes } from '../Rules/constants';
 import { BankRule } from '@/models/BankRule';
+import { isSafeRegexPattern, REGEX_INPUT_MAX_LENGTH } from '@/utils/safe-regex';
 
 const conditionsMatch = (
   transaction: UncategorizedCashflowTransaction,
@@ -18,54 +23,161 @@ const conditionsMatch = (
 
   return conditions[method]((condition) => {
     switch (determineFieldType(condition.field)) {
-      case 'number':
+      case BankRuleConditionFieldType.Number:
         return matchNumberCondition(transaction, condition);
-      case 'text':
+      case BankRuleConditionFieldType.Text:
         return matchTextCondition(transaction, condition);
+      case BankRuleConditionFieldType.Date:
+        return matchDateCondition(transaction, condition);
       default:
         return false;
     }
   });
 };
 
+/**
+ * Retrieves the transaction value of the given condition field,
+ * the fields are stored in snake case.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {IBankRuleCondition} condition
+ */
+const getConditionFieldValue = (
+  transaction: UncategorizedCashflowTransaction,
+  condition: IBankRuleCondition
+) => {
+  return transaction[camelCase(condition.field)];
+};
+
+/**
+ * Matches the number condition, the amount is compared in absolute value
+ * since the rule already detarmines the deposit or withdrawal direction.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {IBankRuleCondition} condition
+ * @returns {boolean}
+ */
 const matchNumberCondition = (
   transaction: UncategorizedCashflowTransaction,
   condition: IBankRuleCondition
 ) => {
+  const value = Math.abs(
+    toNumber(getConditionFieldValue(transaction, condition))
+  );
+  const conditionValue = toNumber(condition.value);
+
   switch (condition.comparator) {
     case BankRuleConditionComparator.Equals:
-      return transaction[condition.field] === condition.value;
+      return value === conditionValue;
     case BankRuleConditionComparator.Contains:
-      return transaction[condition.field]
-        ?.toString()
-        .includes(condition.value.toString());
+      return value.toString().includes(`${condition.value}`);
     case BankRuleConditionComparator.NotContain:
-      return !transaction[condition.field]
-        ?.toString()
-        .includes(condition.value.toString());
+      return !value.toString().includes(`${condition.value}`);
+    case BankRuleConditionComparator.GreaterThan:
+      return value > conditionValue;
+    case BankRuleConditionComparator.GreaterThanOrEqual:
+      return value >= conditionValue;
+    case BankRuleConditionComparator.LessThan:
+      return value < conditionValue;
+    case BankRuleConditionComparator.LessThanOrEqual:
+      return value <= conditionValue;
+    case BankRuleConditionComparator.Between:
+      return value >= conditionValue && value <= toNumber(condition.valueTo);
     default:
       return false;
   }
 };
 
+/**
+ * Matches the text condition, case-insensitive unless the condition
+ * is marked as case-sensitive.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {IBankRuleCondition} condition
+ * @returns {boolean}
+ */
 const matchTextCondition = (
   transaction: UncategorizedCashflowTransaction,
   condition: IBankRuleCondition
 ) => {
+  const caseSensitive = Boolean(condition.caseSensitive);
+  const normalize = (text: string) =>
+    caseSensitive ? text : text.toLowerCase();
+
+  const value = normalize(
+    `${getConditionFieldValue(transaction, condition) || ''}`
+  );
+  const conditionValue = normalize(`${condition.value}`);
+
   switch (condition.comparator) {
     case BankRuleConditionComparator.Equals:
-      return transaction[condition.field] === condition.value;
+      return value === conditionValue;
     case BankRuleConditionComparator.Contains:
-      return transaction[condition.field]?.includes(condition.value.toString());
+      return value.includes(conditionValue);
     case BankRuleConditionComparator.NotContain:
-      return !transaction[condition.field]?.includes(
-        condition.value.toString()
+      return !value.includes(conditionValue);
+    case BankRuleConditionComparator.StartsWith:
+      return value.startsWith(conditionValue);
+    case BankRuleConditionComparator.EndsWith:
+      return value.endsWith(conditionValue);
+    case BankRuleConditionComparator.Regex:
+      return matchRegex(
+        `${getConditionFieldValue(transaction, condition) || ''}`,
+        `${condition.value}`,
+        caseSensitive
       );
     default:
       return false;
   }
 };
 
+/**
+ * Matches the given text with the regular expression pattern, invalid and
+ * unsafe patterns never match. Only the text head is matched to bound
+ * the matching time.
+ * @param {string} text
+ * @param {string} pattern
+ * @param {boolean} caseSensitive
+ * @returns {boolean}
+ */
+const matchRegex = (text: string, pattern: string, caseSensitive: boolean) => {
+  if (!isSafeRegexPattern(pattern)) return false;
+
+  try {
+    return new RegExp(pattern, caseSensitive ? '' : 'i').test(
+      text.substring(0, REGEX_INPUT_MAX_LENGTH)
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Matches the date condition, the day of month window may wrap around
+ * the month end e.g. from 28 to 3.
+ * @param {UncategorizedCashflowTransaction} transaction
+ * @param {IBankRuleCondition} condition
+ * @returns {boolean}
+ */
+const matchDateCondition = (
+  transaction: UncategorizedCashflowTransaction,
+  condition: IBankRuleCondition
+) => {
+  const date = moment(getConditionFieldValue(transaction, condition));
+
+  if (!date.isValid()) return false;
+
+  const day = date.date();
+  const fromDay = toNumber(condition.value);
+  const toDay = toNumber(condition.valueTo);
+
+  switch (condition.comparator) {
+    case BankRuleConditionComparator.DayOfMonthBetween:
+      return fromDay <= toDay
+        ? day >= fromDay && day <= toDay
+        : day >= fromDay || day <= toDay;
+    default:
+      return false;
+  }
+};
+
 const matchTransactionType = (
   bankRule: BankRule,
   transaction: UncategorizedCashflowTransaction
@@ -93,12 +205,5 @@ export const bankRulesMatchTransaction = (
 };
 
 const determineFieldType = (field: string): string => {
-  switch (field) {
-    case 'amount':
-      return 'number';
-    case 'description':
-      return 'text';
-    default:
-      return 'unknown';
-  }
+  return BankRuleConditionFieldTypes[field] || 'unknown';
 };
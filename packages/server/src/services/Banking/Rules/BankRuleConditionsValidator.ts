@@ -0,0 +1,174 @@
+import { Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  BankRuleConditionComparator,
+  BankRuleConditionFieldType,
+  IBankRuleConditionDTO,
+} from './types';
+import {
+  BankRuleConditionFieldTypes,
+  BankRuleFieldTypeComparators,
+  ERRORS,
+} from './constants';
+import {
+  hasNestedQuantifiers,
+  REGEX_PATTERN_MAX_LENGTH,
+} from '@/utils/safe-regex';
+
+@Service()
+export class BankRuleConditionsValidator {
+  /**
+   * Validates the given bank rule conditions.
+   * @param {IBankRuleConditionDTO[]} conditions
+   * @throws {ServiceError}
+   */
+  public validateConditions(conditions: IBankRuleConditionDTO[]) {
+    conditions.forEach((condition, index) => {
+      this.validateConditionComparator(condition, index);
+      this.validateConditionValue(condition, index);
+    });
+  }
+
+  /**
+   * Validates the comparator is supported by the condition field type.
+   * @param {IBankRuleConditionDTO} condition
+   * @param {number} index
+   * @throws {ServiceError(ERRORS.CONDITION_COMPARATOR_NOT_SUPPORTED)}
+   */
+  private validateConditionComparator(
+    condition: IBankRuleConditionDTO,
+    index: number
+  ) {
+    const fieldType = BankRuleConditionFieldTypes[condition.field];
+    const comparators = BankRuleFieldTypeComparators[fieldType] || [];
+
+    if (comparators.indexOf(condition.comparator) === -1) {
+      throw new ServiceError(
+        ERRORS.CONDITION_COMPARATOR_NOT_SUPPORTED,
+        `The "${condition.comparator}" comparator is not supported by "${condition.field}" field.`,
+        { index }
+      );
+    }
+  }
+
+  /**
+   * Validates the condition value based on the field type and comparator.
+   * @param {IBankRuleConditionDTO} condition
+   * @param {number} index
+   * @throws {ServiceError}
+   */
+  private validateConditionValue(
+    condition: IBankRuleConditionDTO,
+    index: number
+  ) {
+    const fieldType = BankRuleConditionFieldTypes[condition.field];
+
+    if (condition.comparator === BankRuleConditionComparator.Regex) {
+      this.validateRegexValue(condition, index);
+    } else if (
+      condition.comparator === BankRuleConditionComparator.DayOfMonthBetween
+    ) {
+      this.validateDayOfMonthRange(condition, index);
+    } else if (
+      fieldType === BankRuleConditionFieldType.Number &&
+      condition.comparator !== BankRuleConditionComparator.Contains &&
+      condition.comparator !== BankRuleConditionComparator.NotContain
+    ) {
+      this.validateNumberValue(condition, index);
+    }
+  }
+
+  /**
+   * Validates the condition value is a valid regular expression, the pattern
+   * runs on every imported transaction so the long patterns and the nested
+   * quantifiers that backtrack exponentially are rejected.
+   * @param {IBankRuleConditionDTO} condition
+   * @param {number} index
+   * @throws {ServiceError(ERRORS.CONDITION_REGEX_INVALID)}
+   */
+  private validateRegexValue(condition: IBankRuleConditionDTO, index: number) {
+    const pattern = `${condition.value}`;
+
+    try {
+      new RegExp(pattern);
+    } catch {
+      throw new ServiceError(
+        ERRORS.CONDITION_REGEX_INVALID,
+        `The "${pattern}" is not a valid regular expression.`,
+        { index }
+      );
+    }
+    if (pattern.length > REGEX_PATTERN_MAX_LENGTH) {
+      throw new ServiceError(
+        ERRORS.CONDITION_REGEX_INVALID,
+        `The regular expression should not exceed ${REGEX_PATTERN_MAX_LENGTH} characters.`,
+        { index }
+      );
+    }
+    if (hasNestedQuantifiers(pattern)) {
+      throw new ServiceError(
+        ERRORS.CONDITION_REGEX_INVALID,
+        `The "${pattern}" regular expression should not repeat a repeated group.`,
+        { index }
+      );
+    }
+  }
+
+  /**
+   * Validates the number condition values, the between comparator
+   * requires the range end to be bigger than or equal to the start.
+   * @param {IBankRuleConditionDTO} condition
+   * @param {number} index
+   * @throws {ServiceError}
+   */
+  private validateNumberValue(condition: IBankRuleConditionDTO, index: number) {
+    const isBetween =
+      condition.comparator === BankRuleConditionComparator.Between;
+    const values = isBetween
+      ? [condition.value, condition.valueTo]
+      : [condition.value];
+
+    if (values.some((value) => !isFinite(parseFloat(`${value}`)))) {
+      throw new ServiceError(
+        ERRORS.CONDITION_VALUE_NOT_NUMBER,
+        'The condition value should be a number.',
+        { index }
+      );
+    }
+    if (
+      isBetween &&
+      parseFloat(`${condition.value}`) > parseFloat(`${condition.valueTo}`)
+    ) {
+      throw new ServiceError(
+        ERRORS.CONDITION_RANGE_INVALID,
+        'The condition range end should be bigger than or equal to its start.',
+        { index }
+      );
+    }
+  }
+
+  /**
+   * Validates the day of month window, the window may wrap around
+   * the month end e.g. from 28 to 3.
+   * @param {IBankRuleConditionDTO} condition
+   * @param {number} index
+   * @throws {ServiceError(ERRORS.CONDITION_DAY_OF_MONTH_INVALID)}
+   */
+  private validateDayOfMonthRange(
+    condition: IBankRuleConditionDTO,
+    index: number
+  ) {
+    const isDayOfMonth = (value) =>
+      /^\d{1,2}$/.test(`${value}`) &&
+      parseInt(`${value}`, 10) >= 1 &&
+      parseInt(`${value}`, 10) <= 31;
+
+    if (!isDayOfMonth(condition.value) || !isDayOfMonth(condition.valueTo)) {
+      throw new ServiceError(
+        ERRORS.CONDITION_DAY_OF_MONTH_INVALID,
+        'The day of month window should be between 1 and 31.',
+        { index }
+      );
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { Inject, Service } from 'typedi';
+import { difference, sumBy, uniq } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { BankRuleSplitAmountType, IBankRuleSplitLineDTO } from './types';
+import { ERRORS } from './constants';
+
+@Service()
+export class BankRuleSplitLinesValidator {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the given bank rule split lines.
+   * @param {number} tenantId
+   * @param {IBankRuleSplitLineDTO[]} splitLines
+   * @throws {ServiceError}
+   */
+  public async validateSplitLines(
+    tenantId: number,
+    splitLines: IBankRuleSplitLineDTO[] = []
+  ) {
+    this.validateSplitLinesPercentage(splitLines);
+
+    await this.validateSplitLinesAccountsExistance(tenantId, splitLines);
+  }
+
+  /**
+   * Validates each percentage line is up to 100% and the total percentage
+   * of the lines doesn't exceed 100%.
+   * @param {IBankRuleSplitLineDTO[]} splitLines
+   * @throws {ServiceError}
+   */
+  private validateSplitLinesPercentage(splitLines: IBankRuleSplitLineDTO[]) {
+    const percentageLines = splitLines.filter(
+      (line) => line.amountType === BankRuleSplitAmountType.Percentage
+    );
+    percentageLines.forEach((line) => {
+      if (line.amount > 100) {
+        throw new ServiceError(
+          ERRORS.SPLIT_LINE_PERCENTAGE_INVALID,
+          'The split line percentage should be between 0 and 100.',
+          { index: line.index }
+        );
+      }
+    });
+    if (sumBy(percentageLines, 'amount') > 100) {
+      throw new ServiceError(
+        ERRORS.SPLIT_LINES_PERCENTAGE_EXCEEDED,
+        'The total percentage of the split lines should not exceed 100%.'
+      );
+    }
+  }
+
+  /**
+   * Validates the split lines accounts existance on the storage.
+   * @param {number} tenantId
+   * @param {IBankRuleSplitLineDTO[]} splitLines
+   * @throws {ServiceError(ERRORS.SPLIT_LINES_ACCOUNTS_NOT_FOUND)}
+   */
+  private async validateSplitLinesAccountsExistance(
+    tenantId: number,
+    splitLines: IBankRuleSplitLineDTO[]
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const accountsIds = uniq(splitLines.map((line) => line.accountId));
+
+    if (accountsIds.length === 0) return;
+
+    const accounts = await Account.query().whereIn('id', accountsIds);
+    const notFoundIds = difference(
+      accountsIds,
+      accounts.map((account) => account.id)
+    );
+    if (notFoundIds.length > 0) {
+      throw new ServiceError(
+        ERRORS.SPLIT_LINES_ACCOUNTS_NOT_FOUND,
+        'The split lines accounts not found.',
+        { accountsIds: notFoundIds }
+      );
+    }
+  }
+}
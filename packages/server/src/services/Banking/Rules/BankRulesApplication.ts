@@ -4,7 +4,13 @@ import { DeleteBankRuleSerivce } from './DeleteBankRule';
 import { EditBankRuleService } from './EditBankRule';
 import { GetBankRuleService } from './GetBankRule';
 import { GetBankRulesService } from './GetBankRules';
-import { ICreateBankRuleDTO, IEditBankRuleDTO } from './types';
+import { SimulateBankRuleService } from './SimulateBankRule';
+import {
+  IBankRuleSimulation,
+  ICreateBankRuleDTO,
+  IEditBankRuleDTO,
+  ISimulateBankRuleDTO,
+} from './types';
 
 @Service()
 export class BankRulesApplication {
@@ -23,6 +29,9 @@ export class BankRulesApplication {
   @Inject()
   private getBankRulesService: GetBankRulesService;
 
+  @Inject()
+  private simulateBankRuleService: SimulateBankRuleService;
+
   /**
    * Creates new bank rule.
    * @param {number} tenantId
@@ -79,4 +88,23 @@ export class BankRulesApplication {
   public getBankRules(tenantId: number): Promise<any> {
     return this.getBankRulesService.getBankRules(tenantId);
   }
+
+  /**
+   * Simulates the given unsaved bank rule against the uncategorized transactions.
+   * @param {number} tenantId
+   * @param {ISimulateBankRuleDTO} simulateDTO
+   * @param {number} ruleId - Simulates editing the given bank rule.
+   * @returns {Promise<IBankRuleSimulation>}
+   */
+  public simulateBankRule(
+    tenantId: number,
+    simulateDTO: ISimulateBankRuleDTO,
+    ruleId?: number
+  ): Promise<IBankRuleSimulation> {
+    return this.simulateBankRuleService.simulateBankRule(
+      tenantId,
+      simulateDTO,
+      ruleId
+    );
+  }
 }
@@ -9,6 +9,8 @@ import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import UnitOfWork from '@/services/UnitOfWork';
 import events from '@/subscribers/events';
+import { BankRuleConditionsValidator } from './BankRuleConditionsValidator';
+import { BankRuleSplitLinesValidator } from './BankRuleSplitLinesValidator';
 
 @Service()
 export class CreateBankRuleService {
@@ -21,6 +23,12 @@ export class CreateBankRuleService {
   @Inject()
   private eventPublisher: EventPublisher;
 
+  @Inject()
+  private validator: BankRuleConditionsValidator;
+
+  @Inject()
+  private splitLinesValidator: BankRuleSplitLinesValidator;
+
   /**
    * Transformes the DTO to model.
    * @param {ICreateBankRuleDTO} createDTO
@@ -29,6 +37,10 @@ export class CreateBankRuleService {
   private transformDTO(createDTO: ICreateBankRuleDTO) {
     return {
       ...createDTO,
+      splitLines: (createDTO.splitLines || []).map((splitLine, index) => ({
+        ...splitLine,
+        index: index + 1,
+      })),
     };
   }
 
@@ -38,12 +50,21 @@ export class CreateBankRuleService {
    * @param {ICreateBankRuleDTO} createRuleDTO
    * @returns {Promise<void>}
    */
-  public createBankRule(
+  public async createBankRule(
     tenantId: number,
     createRuleDTO: ICreateBankRuleDTO
   ): Promise<void> {
     const { BankRule } = this.tenancy.models(tenantId);
 
+    // Validates the conditions comparators and values.
+    this.validator.validateConditions(createRuleDTO.conditions);
+
+    // Validates the split lines percentages and accounts.
+    await this.splitLinesValidator.validateSplitLines(
+      tenantId,
+      createRuleDTO.splitLines
+    );
+
     const transformDTO = this.transformDTO(createRuleDTO);
 
     return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
@@ -4,6 +4,8 @@ import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import UnitOfWork from '@/services/UnitOfWork';
 import events from '@/subscribers/events';
+import { BankRuleConditionsValidator } from './BankRuleConditionsValidator';
+import { BankRuleSplitLinesValidator } from './BankRuleSplitLinesValidator';
 import {
   IBankRuleEventEditedPayload,
   IBankRuleEventEditingPayload,
@@ -21,6 +23,12 @@ export class EditBankRuleService {
   @Inject()
   private eventPublisher: EventPublisher;
 
+  @Inject()
+  private validator: BankRuleConditionsValidator;
+
+  @Inject()
+  private splitLinesValidator: BankRuleSplitLinesValidator;
+
   /**
    *
    * @param createDTO
@@ -29,6 +37,10 @@ export class EditBankRuleService {
   private transformDTO(createDTO: IEditBankRuleDTO) {
     return {
       ...createDTO,
+      splitLines: (createDTO.splitLines || []).map((splitLine, index) => ({
+        ...splitLine,
+        index: index + 1,
+      })),
     };
   }
 
@@ -49,6 +61,15 @@ export class EditBankRuleService {
       .findById(ruleId)
       .throwIfNotFound();
 
+    // Validates the conditions comparators and values.
+    this.validator.validateConditions(editRuleDTO.conditions);
+
+    // Validates the split lines percentages and accounts.
+    await this.splitLinesValidator.validateSplitLines(
+      tenantId,
+      editRuleDTO.splitLines
+    );
+
     const tranformDTO = this.transformDTO(editRuleDTO);
 
     return this.uow.withTransaction(
@@ -63,10 +84,11 @@ export class EditBankRuleService {
           trx,
         } as IBankRuleEventEditingPayload);
 
-        // Updates the given bank rule.
-        await BankRule.query(trx)
-          .findById(ruleId)
-          .patch({ ...tranformDTO });
+        // Updates the given bank rule with its conditions and split lines.
+        await BankRule.query(trx).upsertGraph({
+          id: ruleId,
+          ...tranformDTO,
+        });
 
         // Triggers `onBankRuleEdited` event.
         await this.eventPublisher.emitAsync(events.bankRules.onEdited, {
@@ -23,7 +23,8 @@ export class GetBankRuleService {
 
     const bankRule = await BankRule.query()
       .findById(ruleId)
-      .withGraphFetched('conditions');
+      .withGraphFetched('conditions')
+      .withGraphFetched('splitLines.account');
 
     return this.transformer.transform(
       tenantId,
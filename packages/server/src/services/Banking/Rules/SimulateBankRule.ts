@@ -0,0 +1,156 @@
+import { Inject, Service } from 'typedi';
+import { sortBy } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import UncategorizedCashflowTransaction from '@/models/UncategorizedCashflowTransaction';
+import { bankRulesMatchTransaction } from '../RegonizeTranasctions/_utils';
+import { BankRuleConditionsValidator } from './BankRuleConditionsValidator';
+import { SimulateBankRuleTransformer } from './SimulateBankRuleTransformer';
+import {
+  BankRuleConditionType,
+  IBankRule,
+  IBankRuleSimulation,
+  ISimulateBankRuleDTO,
+} from './types';
+import { ERRORS } from './constants';
+
+@Service()
+export class SimulateBankRuleService {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validator: BankRuleConditionsValidator;
+
+  /**
+   * Transformes the simulate DTO to in-memory bank rule.
+   * @param {ISimulateBankRuleDTO} simulateDTO
+   * @param {number} ruleId - Edited bank rule id, if any.
+   * @returns {IBankRule}
+   */
+  private transformDTOToRule(
+    simulateDTO: ISimulateBankRuleDTO,
+    ruleId?: number
+  ) {
+    return {
+      ...simulateDTO,
+      id: ruleId || null,
+      order: simulateDTO.order || 0,
+      applyIfAccountId: simulateDTO.applyIfAccountId || null,
+      conditionsType: simulateDTO.conditionsType || BankRuleConditionType.And,
+    } as IBankRule & { id: number | null };
+  }
+
+  /**
+   * Detarmines whether the given bank rule applies to the transaction account,
+   * the same way the transactions recognition matches the rules.
+   * @param {IBankRule} bankRule
+   * @param {UncategorizedCashflowTransaction} transaction
+   * @returns {boolean}
+   */
+  private isRuleApplyToAccount(
+    bankRule: IBankRule,
+    transaction: UncategorizedCashflowTransaction
+  ) {
+    return bankRule.applyIfAccountId === transaction.accountId;
+  }
+
+  /**
+   * Simulates the given unsaved bank rule against the existing uncategorized
+   * transactions, without writing anything to the storage.
+   * @param {number} tenantId
+   * @param {ISimulateBankRuleDTO} simulateDTO
+   * @param {number} ruleId - Simulates editing the given bank rule.
+   * @returns {Promise<IBankRuleSimulation>}
+   * @throws {ServiceError(ERRORS.BANK_RULE_NOT_FOUND)}
+   */
+  public async simulateBankRule(
+    tenantId: number,
+    simulateDTO: ISimulateBankRuleDTO,
+    ruleId?: number
+  ): Promise<IBankRuleSimulation> {
+    const { BankRule, UncategorizedCashflowTransaction } =
+      this.tenancy.models(tenantId);
+
+    // Validates the conditions comparators and values.
+    this.validator.validateConditions(simulateDTO.conditions);
+
+    const simulatedRule = this.transformDTOToRule(simulateDTO, ruleId);
+
+    // Retrieves the other saved bank rules that compete with the simulated one.
+    const bankRules = await BankRule.query().withGraphFetched('conditions');
+
+    // Validates the edited bank rule existance.
+    if (ruleId && !bankRules.some((bankRule) => bankRule.id === ruleId)) {
+      throw new ServiceError(ERRORS.BANK_RULE_NOT_FOUND);
+    }
+    const transactions = await UncategorizedCashflowTransaction.query()
+      .withGraphFetched('recognizedTransaction.bankRule')
+      .onBuild((query) => {
+        query.where('categorized', false);
+        query.modify('notExcluded');
+
+        if (simulatedRule.applyIfAccountId) {
+          query.where('accountId', simulatedRule.applyIfAccountId);
+        }
+      });
+    const recognized = [];
+    const reassigned = [];
+    const unlinked = [];
+
+    // The simulated rule takes its place among the saved bank rules by order
+    // as the transactions recognition does, the new rule comes after
+    // the saved rules of the same order.
+    const competingRules = sortBy(
+      ruleId
+        ? bankRules.map((bankRule) =>
+            bankRule.id === ruleId ? simulatedRule : bankRule
+          )
+        : [...bankRules, simulatedRule],
+      ['order', (bankRule) => bankRule.id || Infinity]
+    );
+
+    transactions.forEach((transaction) => {
+      const accountBankRules = competingRules.filter((bankRule) =>
+        this.isRuleApplyToAccount(bankRule, transaction)
+      );
+      const matchedRule = bankRulesMatchTransaction(
+        transaction,
+        accountBankRules
+      );
+      const currentRuleId = transaction.recognizedTransaction?.bankRuleId;
+
+      if (matchedRule === simulatedRule) {
+        if (!currentRuleId) {
+          recognized.push(transaction);
+        } else if (currentRuleId !== ruleId) {
+          reassigned.push(transaction);
+        }
+      } else if (ruleId && currentRuleId === ruleId) {
+        // The edited rule would no longer recognize the transaction.
+        unlinked.push(transaction);
+      }
+    });
+    const transform = (collection: UncategorizedCashflowTransaction[]) =>
+      this.transformer.transform(
+        tenantId,
+        collection,
+        new SimulateBankRuleTransformer()
+      );
+    return {
+      recognized: await transform(recognized),
+      reassigned: await transform(reassigned),
+      unlinked: await transform(unlinked),
+      summary: {
+        totalTransactions: transactions.length,
+        recognizedCount: recognized.length,
+        reassignedCount: reassigned.length,
+        unlinkedCount: unlinked.length,
+      },
+    };
+  }
+}
@@ -0,0 +1,63 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { formatNumber } from '@/utils';
+
+export class SimulateBankRuleTransformer extends Transformer {
+  /**
+   * Include these attributes to the simulated transaction object.
+   * @returns {string[]}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedAmount',
+      'formattedDate',
+      'currentBankRuleId',
+      'currentBankRuleName',
+    ];
+  };
+
+  /**
+   * Exclude these attributes from the simulated transaction object.
+   * @returns {string[]}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['recognizedTransaction'];
+  };
+
+  /**
+   * Formattes the transaction date.
+   * @param transaction
+   * @returns {string}
+   */
+  protected formattedDate(transaction) {
+    return this.formatDate(transaction.date);
+  }
+
+  /**
+   * Formatted amount.
+   * @param transaction
+   * @returns {string}
+   */
+  protected formattedAmount(transaction) {
+    return formatNumber(transaction.amount, {
+      currencyCode: transaction.currencyCode,
+    });
+  }
+
+  /**
+   * Retrieves the bank rule id that currently recognizes the transaction.
+   * @param transaction
+   * @returns {number|null}
+   */
+  protected currentBankRuleId(transaction) {
+    return transaction.recognizedTransaction?.bankRuleId || null;
+  }
+
+  /**
+   * Retrieves the bank rule name that currently recognizes the transaction.
+   * @param transaction
+   * @returns {string|null}
+   */
+  protected currentBankRuleName(transaction) {
+    return transaction.recognizedTransaction?.bankRule?.name || null;
+  }
+}
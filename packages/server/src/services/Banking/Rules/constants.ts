@@ -0,0 +1,57 @@
+import {
+  BankRuleConditionComparator,
+  BankRuleConditionField,
+  BankRuleConditionFieldType,
+} from './types';
+
+export const ERRORS = {
+  BANK_RULE_NOT_FOUND: 'BANK_RULE_NOT_FOUND',
+  CONDITION_COMPARATOR_NOT_SUPPORTED: 'CONDITION_COMPARATOR_NOT_SUPPORTED',
+  CONDITION_VALUE_NOT_NUMBER: 'CONDITION_VALUE_NOT_NUMBER',
+  CONDITION_RANGE_INVALID: 'CONDITION_RANGE_INVALID',
+  CONDITION_DAY_OF_MONTH_INVALID: 'CONDITION_DAY_OF_MONTH_INVALID',
+  CONDITION_REGEX_INVALID: 'CONDITION_REGEX_INVALID',
+  SPLIT_LINE_PERCENTAGE_INVALID: 'SPLIT_LINE_PERCENTAGE_INVALID',
+  SPLIT_LINES_PERCENTAGE_EXCEEDED: 'SPLIT_LINES_PERCENTAGE_EXCEEDED',
+  SPLIT_LINES_ACCOUNTS_NOT_FOUND: 'SPLIT_LINES_ACCOUNTS_NOT_FOUND',
+};
+
+/**
+ * The value type of the transaction field each condition matches against.
+ */
+export const BankRuleConditionFieldTypes = {
+  [BankRuleConditionField.Amount]: BankRuleConditionFieldType.Number,
+  [BankRuleConditionField.Description]: BankRuleConditionFieldType.Text,
+  [BankRuleConditionField.Payee]: BankRuleConditionFieldType.Text,
+  [BankRuleConditionField.ReferenceNo]: BankRuleConditionFieldType.Text,
+  [BankRuleConditionField.Date]: BankRuleConditionFieldType.Date,
+  [BankRuleConditionField.CounterpartyName]: BankRuleConditionFieldType.Text,
+  [BankRuleConditionField.CounterpartyIban]: BankRuleConditionFieldType.Text,
+};
+
+/**
+ * The supported comparators of each field type.
+ */
+export const BankRuleFieldTypeComparators = {
+  [BankRuleConditionFieldType.Text]: [
+    BankRuleConditionComparator.Equals,
+    BankRuleConditionComparator.Contains,
+    BankRuleConditionComparator.NotContain,
+    BankRuleConditionComparator.StartsWith,
+    BankRuleConditionComparator.EndsWith,
+    BankRuleConditionComparator.Regex,
+  ],
+  [BankRuleConditionFieldType.Number]: [
+    BankRuleConditionComparator.Equals,
+    BankRuleConditionComparator.Contains,
+    BankRuleConditionComparator.NotContain,
+    BankRuleConditionComparator.GreaterThan,
+    BankRuleConditionComparator.GreaterThanOrEqual,
+    BankRuleConditionComparator.LessThan,
+    BankRuleConditionComparator.LessThanOrEqual,
+    BankRuleConditionComparator.Between,
+  ],
+  [BankRuleConditionFieldType.Date]: [
+    BankRuleConditionComparator.DayOfMonthBetween,
+  ],
+};
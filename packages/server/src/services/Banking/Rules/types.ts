@@ -1,22 +1,43 @@
 import { Knex } from 'knex';
 
 export enum BankRuleConditionField {
-  Amount = 'Amount',
-  Description = 'Description',
-  Payee = 'Payee',
+  Amount = 'amount',
+  Description = 'description',
+  Payee = 'payee',
+  ReferenceNo = 'reference_no',
+  Date = 'date',
+  CounterpartyName = 'counterparty_name',
+  CounterpartyIban = 'counterparty_iban',
+}
+
+export enum BankRuleConditionFieldType {
+  Text = 'text',
+  Number = 'number',
+  Date = 'date',
 }
 
 export enum BankRuleConditionComparator {
   Contains = 'contains',
   Equals = 'equals',
   NotContain = 'not_contain',
+  StartsWith = 'starts_with',
+  EndsWith = 'ends_with',
+  Regex = 'regex',
+  GreaterThan = 'greater_than',
+  GreaterThanOrEqual = 'greater_than_or_equal',
+  LessThan = 'less_than',
+  LessThanOrEqual = 'less_than_or_equal',
+  Between = 'between',
+  DayOfMonthBetween = 'day_of_month_between',
 }
 
 export interface IBankRuleCondition {
   id?: number;
   field: BankRuleConditionField;
   comparator: BankRuleConditionComparator;
-  value: number;
+  value: string;
+  valueTo?: string | null;
+  caseSensitive?: boolean;
 }
 
 export enum BankRuleConditionType {
@@ -42,6 +63,31 @@ export interface IBankRule {
   assignAccountId: number;
   assignPayee?: string;
   assignMemo?: string;
+
+  splitLines?: IBankRuleSplitLine[];
+}
+
+export enum BankRuleSplitAmountType {
+  Fixed = 'fixed',
+  Percentage = 'percentage',
+}
+
+export interface IBankRuleSplitLine {
+  id?: number;
+  index: number;
+  accountId: number;
+  amountType: BankRuleSplitAmountType;
+  amount: number;
+  memo?: string;
+}
+
+export interface IBankRuleSplitLineDTO {
+  id?: number;
+  index?: number;
+  accountId: number;
+  amountType: string;
+  amount: number;
+  memo?: string;
 }
 
 export enum BankRuleAssignCategory {
@@ -56,7 +102,9 @@ export interface IBankRuleConditionDTO {
   id?: number;
   field: string;
   comparator: string;
-  value: number;
+  value: string;
+  valueTo?: string | null;
+  caseSensitive?: boolean;
 }
 
 export interface IBankRuleCommonDTO {
@@ -65,6 +113,7 @@ export interface IBankRuleCommonDTO {
   applyIfAccountId: number;
   applyIfTransactionType: string;
 
+  conditionsType?: string;
   conditions: IBankRuleConditionDTO[];
 
   assignCategory: BankRuleAssignCategory;
@@ -72,11 +121,28 @@ export interface IBankRuleCommonDTO {
   assignPayee?: string;
   assignMemo?: string;
 
+  splitLines?: IBankRuleSplitLineDTO[];
+
   recognition?: boolean;
 }
 
 export interface ICreateBankRuleDTO extends IBankRuleCommonDTO {}
 export interface IEditBankRuleDTO extends IBankRuleCommonDTO {}
+export interface ISimulateBankRuleDTO extends IBankRuleCommonDTO {}
+
+export interface IBankRuleSimulationSummary {
+  totalTransactions: number;
+  recognizedCount: number;
+  reassignedCount: number;
+  unlinkedCount: number;
+}
+
+export interface IBankRuleSimulation {
+  recognized: any[];
+  reassigned: any[];
+  unlinked: any[];
+  summary: IBankRuleSimulationSummary;
+}
 
 export interface IBankRuleEventCreatingPayload {
   tenantId: number;
@@ -0,0 +1,57 @@
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { omit } from 'lodash';
+import { IBudget, IBudgetDTO, IBudgetEntry, ISystemUser } from '@/interfaces';
+import { BudgetPeriods } from './BudgetPeriods';
+
+@Service()
+export class BudgetDTOTransformer {
+  @Inject()
+  private budgetPeriods: BudgetPeriods;
+
+  /**
+   * Transforms the budget DTO to model object, the amounts of each entry
+   * are flattened to one row per period.
+   * @param {number} tenantId
+   * @param {IBudgetDTO} budgetDTO - Budget DTO.
+   * @param {ISystemUser} authorizedUser
+   * @param {IBudget} oldBudget
+   * @returns {Promise<IBudget>}
+   */
+  public async transformDTOToModel(
+    tenantId: number,
+    budgetDTO: IBudgetDTO,
+    authorizedUser: ISystemUser,
+    oldBudget?: IBudget
+  ): Promise<IBudget> {
+    const { fromDate, toDate } =
+      await this.budgetPeriods.getFiscalYearDateRange(
+        tenantId,
+        budgetDTO.fiscalYear
+      );
+    const periods = this.budgetPeriods.getPeriodsDateRanges(
+      fromDate,
+      budgetDTO.period
+    );
+    const entries = budgetDTO.entries.flatMap((entry, index) =>
+      entry.amounts.map((amount, periodIndex) => ({
+        accountId: entry.accountId,
+        branchId: entry.branchId || null,
+        projectId: entry.projectId || null,
+        periodIndex,
+        fromDate: moment(periods[periodIndex].fromDate).format('YYYY-MM-DD'),
+        toDate: moment(periods[periodIndex].toDate).format('YYYY-MM-DD'),
+        amount,
+        index: index + 1,
+      }))
+    ) as IBudgetEntry[];
+
+    return {
+      ...omit(budgetDTO, ['entries']),
+      fromDate: moment(fromDate).format('YYYY-MM-DD'),
+      toDate: moment(toDate).format('YYYY-MM-DD'),
+      entries,
+      ...(!oldBudget && { userId: authorizedUser.id }),
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import moment from 'moment';
+import { Service } from 'typedi';
+import { BudgetPeriod, IDateRange } from '@/interfaces';
+import { TenantMetadata } from '@/system/models';
+import { MONTHS } from '@/services/Organization/constants';
+import { BUDGET_PERIOD_MONTHS } from './constants';
+
+@Service()
+export class BudgetPeriods {
+  /**
+   * Retrieves the date range of the given fiscal year based on the
+   * organization fiscal year start month.
+   * @param {number} tenantId
+   * @param {number} fiscalYear
+   * @returns {Promise<IDateRange>}
+   */
+  public async getFiscalYearDateRange(
+    tenantId: number,
+    fiscalYear: number
+  ): Promise<IDateRange> {
+    const tenantMetadata = await TenantMetadata.query().findOne({ tenantId });
+    const startMonth = Math.max(MONTHS.indexOf(tenantMetadata?.fiscalYear), 0);
+
+    const fromDate = moment({ year: fiscalYear, month: startMonth, day: 1 });
+    const toDate = fromDate.clone().add(1, 'year').subtract(1, 'day');
+
+    return {
+      fromDate: fromDate.toDate(),
+      toDate: toDate.toDate(),
+    };
+  }
+
+  /**
+   * Retrieves the date ranges of the budget periods, fiscal quarters and years
+   * are not always aligned with the calendar ones so we count months from the
+   * fiscal year start instead of using calendar units.
+   * @param {Date} fromDate - Fiscal year start date.
+   * @param {BudgetPeriod} period
+   * @returns {IDateRange[]}
+   */
+  public getPeriodsDateRanges(
+    fromDate: Date | string,
+    period: BudgetPeriod
+  ): IDateRange[] {
+    const periodMonths = BUDGET_PERIOD_MONTHS[period];
+    const periodsCount = 12 / periodMonths;
+
+    return Array.from({ length: periodsCount }, (_, index) => {
+      const periodFromDate = moment(fromDate).add(
+        index * periodMonths,
+        'months'
+      );
+      const periodToDate = periodFromDate
+        .clone()
+        .add(periodMonths, 'months')
+        .subtract(1, 'day');
+
+      return {
+        fromDate: periodFromDate.toDate(),
+        toDate: periodToDate.toDate(),
+      };
+    });
+  }
+
+  /**
+   * Retrieves the periods count of the given budget period.
+   * @param {BudgetPeriod} period
+   * @returns {number}
+   */
+  public getPeriodsCount(period: BudgetPeriod): number {
+    return 12 / BUDGET_PERIOD_MONTHS[period];
+  }
+}
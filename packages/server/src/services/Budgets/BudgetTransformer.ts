@@ -0,0 +1,99 @@
+import { groupBy, sumBy } from 'lodash';
+import { IBudget, IBudgetEntry } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class BudgetTransformer extends Transformer {
+  /**
+   * Include these attributes to budget object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedFromDate',
+      'formattedToDate',
+      'formattedCreatedAt',
+      'totalAmount',
+      'formattedTotalAmount',
+      'lines',
+    ];
+  };
+
+  /**
+   * Exclude these attributes from budget object.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['entries'];
+  };
+
+  /**
+   * Retrieves the formatted budget start date.
+   * @param {IBudget} budget
+   * @returns {string}
+   */
+  protected formattedFromDate = (budget: IBudget): string => {
+    return this.formatDate(budget.fromDate);
+  };
+
+  /**
+   * Retrieves the formatted budget end date.
+   * @param {IBudget} budget
+   * @returns {string}
+   */
+  protected formattedToDate = (budget: IBudget): string => {
+    return this.formatDate(budget.toDate);
+  };
+
+  /**
+   * Retrieves the formatted created at date.
+   * @param {IBudget} budget
+   * @returns {string}
+   */
+  protected formattedCreatedAt = (budget: IBudget): string => {
+    return this.formatDate(budget.createdAt);
+  };
+
+  /**
+   * Retrieves the total amount of the budget entries.
+   * @param {IBudget} budget
+   * @returns {number}
+   */
+  protected totalAmount = (budget: IBudget): number => {
+    return sumBy(budget.entries, 'amount');
+  };
+
+  /**
+   * Retrieves the formatted total amount of the budget.
+   * @param {IBudget} budget
+   * @returns {string}
+   */
+  protected formattedTotalAmount = (budget: IBudget): string => {
+    return this.formatMoney(this.totalAmount(budget));
+  };
+
+  /**
+   * Groups the period entries back to lines of account, branch and project
+   * with amount of each period, the same shape of the budget DTO.
+   * @param {IBudget} budget
+   * @returns {Array}
+   */
+  protected lines = (budget: IBudget) => {
+    const entriesByIndex = groupBy(budget.entries, 'index');
+
+    return Object.values(entriesByIndex).map((entries: IBudgetEntry[]) => {
+      const [entry] = entries;
+      const total = sumBy(entries, 'amount');
+
+      return {
+        index: entry.index,
+        accountId: entry.accountId,
+        branchId: entry.branchId,
+        projectId: entry.projectId,
+        amounts: entries.map((e) => e.amount),
+        formattedAmounts: entries.map((e) => this.formatMoney(e.amount)),
+        total,
+        formattedTotal: this.formatMoney(total),
+      };
+    });
+  };
+}
@@ -0,0 +1,169 @@
+import { Inject, Service } from 'typedi';
+import { chain, difference, isEmpty, uniq } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { IBudget, IBudgetDTO, IBudgetEntryDTO } from '@/interfaces';
+import { BudgetPeriods } from './BudgetPeriods';
+import { ERRORS } from './constants';
+
+@Service()
+export class BudgetValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private budgetPeriods: BudgetPeriods;
+
+  /**
+   * Validates the given budget existance.
+   * @param {IBudget | undefined | null} budget
+   */
+  public validateBudgetExistance(budget: IBudget | undefined | null) {
+    if (!budget) {
+      throw new ServiceError(ERRORS.BUDGET_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the budget name uniquiness on the given fiscal year.
+   * @param {number} tenantId
+   * @param {string} name
+   * @param {number} fiscalYear
+   * @param {number} notBudgetId
+   */
+  public async validateBudgetNameUnique(
+    tenantId: number,
+    name: string,
+    fiscalYear: number,
+    notBudgetId?: number
+  ) {
+    const { Budget } = this.tenancy.models(tenantId);
+
+    const foundBudget = await Budget.query()
+      .findOne({ name, fiscalYear })
+      .onBuild((builder) => {
+        if (notBudgetId) {
+          builder.whereNot('id', notBudgetId);
+        }
+      });
+    if (foundBudget) {
+      throw new ServiceError(ERRORS.BUDGET_NAME_EXISTS);
+    }
+  }
+
+  /**
+   * Validates the entries accounts existance and that all of them are
+   * profit/loss accounts.
+   * @param {number} tenantId
+   * @param {IBudgetEntryDTO[]} entriesDTO
+   */
+  public async validateEntriesAccounts(
+    tenantId: number,
+    entriesDTO: IBudgetEntryDTO[]
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const accountsIds = uniq(entriesDTO.map((e) => e.accountId));
+    const accounts = await Account.query().whereIn('id', accountsIds);
+
+    const notFoundAccountsIds = difference(
+      accountsIds,
+      accounts.map((account) => account.id)
+    );
+    if (notFoundAccountsIds.length > 0) {
+      throw new ServiceError(ERRORS.ACCOUNTS_NOT_FOUND, null, {
+        notFoundAccountsIds,
+      });
+    }
+    const notProfitLossAccounts = accounts.filter(
+      (account) => !account.isProfitLossSheet()
+    );
+    if (notProfitLossAccounts.length > 0) {
+      throw new ServiceError(ERRORS.ACCOUNTS_NOT_PROFIT_LOSS_TYPE);
+    }
+  }
+
+  /**
+   * Validates the entries branches existance.
+   * @param {number} tenantId
+   * @param {IBudgetEntryDTO[]} entriesDTO
+   */
+  public async validateEntriesBranches(
+    tenantId: number,
+    entriesDTO: IBudgetEntryDTO[]
+  ) {
+    const { Branch } = this.tenancy.models(tenantId);
+
+    const branchesIds = chain(entriesDTO)
+      .map('branchId')
+      .filter((branchId) => !!branchId)
+      .uniq()
+      .value();
+
+    if (isEmpty(branchesIds)) return;
+
+    const branches = await Branch.query().whereIn('id', branchesIds);
+
+    if (branches.length !== branchesIds.length) {
+      throw new ServiceError(ERRORS.BRANCHES_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the entries projects existance.
+   * @param {number} tenantId
+   * @param {IBudgetEntryDTO[]} entriesDTO
+   */
+  public async validateEntriesProjects(
+    tenantId: number,
+    entriesDTO: IBudgetEntryDTO[]
+  ) {
+    const { Project } = this.tenancy.models(tenantId);
+
+    const projectsIds = chain(entriesDTO)
+      .map('projectId')
+      .filter((projectId) => !!projectId)
+      .uniq()
+      .value();
+
+    if (isEmpty(projectsIds)) return;
+
+    const projects = await Project.query().whereIn('id', projectsIds);
+
+    if (projects.length !== projectsIds.length) {
+      throw new ServiceError(ERRORS.PROJECTS_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates each entry has an amount for every period of the budget.
+   * @param {IBudgetDTO} budgetDTO
+   */
+  public validateEntriesAmountsMatchPeriods(budgetDTO: IBudgetDTO) {
+    const periodsCount = this.budgetPeriods.getPeriodsCount(budgetDTO.period);
+
+    const notMatchedEntries = budgetDTO.entries.filter(
+      (entry) => entry.amounts.length !== periodsCount
+    );
+    if (notMatchedEntries.length > 0) {
+      throw new ServiceError(ERRORS.ENTRY_AMOUNTS_NOT_MATCH_PERIODS, null, {
+        periodsCount,
+      });
+    }
+  }
+
+  /**
+   * Validates there is no more than one entry of the same account, branch
+   * and project combination.
+   * @param {IBudgetEntryDTO[]} entriesDTO
+   */
+  public validateEntriesNotDuplicated(entriesDTO: IBudgetEntryDTO[]) {
+    const keys = entriesDTO.map(
+      (entry) =>
+        `${entry.accountId}-${entry.branchId || 0}-${entry.projectId || 0}`
+    );
+    if (uniq(keys).length !== keys.length) {
+      throw new ServiceError(ERRORS.ENTRIES_DUPLICATED);
+    }
+  }
+}
@@ -0,0 +1,96 @@
+import { Inject, Service } from 'typedi';
+import { IBudgetDTO, IBudgetsFilter, ISystemUser } from '@/interfaces';
+import { CreateBudget } from './CreateBudget';
+import { EditBudget } from './EditBudget';
+import { DeleteBudget } from './DeleteBudget';
+import { GetBudget } from './GetBudget';
+import { GetBudgets } from './GetBudgets';
+
+@Service()
+export class BudgetsApplication {
+  @Inject()
+  private createBudgetService: CreateBudget;
+
+  @Inject()
+  private editBudgetService: EditBudget;
+
+  @Inject()
+  private deleteBudgetService: DeleteBudget;
+
+  @Inject()
+  private getBudgetService: GetBudget;
+
+  @Inject()
+  private getBudgetsService: GetBudgets;
+
+  /**
+   * Creates a new budget.
+   * @param {number} tenantId
+   * @param {IBudgetDTO} budgetDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBudget>}
+   */
+  public createBudget(
+    tenantId: number,
+    budgetDTO: IBudgetDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.createBudgetService.createBudget(
+      tenantId,
+      budgetDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given budget.
+   * @param {number} tenantId
+   * @param {number} budgetId
+   * @param {IBudgetDTO} budgetDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBudget>}
+   */
+  public editBudget(
+    tenantId: number,
+    budgetId: number,
+    budgetDTO: IBudgetDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.editBudgetService.editBudget(
+      tenantId,
+      budgetId,
+      budgetDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given budget.
+   * @param {number} tenantId
+   * @param {number} budgetId
+   * @returns {Promise<void>}
+   */
+  public deleteBudget(tenantId: number, budgetId: number) {
+    return this.deleteBudgetService.deleteBudget(tenantId, budgetId);
+  }
+
+  /**
+   * Retrieves the given budget.
+   * @param {number} tenantId
+   * @param {number} budgetId
+   * @returns {Promise<IBudget>}
+   */
+  public getBudget(tenantId: number, budgetId: number) {
+    return this.getBudgetService.getBudget(tenantId, budgetId);
+  }
+
+  /**
+   * Retrieves the budgets list.
+   * @param {number} tenantId
+   * @param {IBudgetsFilter} filter
+   * @returns {Promise<IBudget[]>}
+   */
+  public getBudgets(tenantId: number, filter: IBudgetsFilter) {
+    return this.getBudgetsService.getBudgets(tenantId, filter);
+  }
+}
@@ -0,0 +1,102 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IBudget,
+  IBudgetCreatedPayload,
+  IBudgetCreatingPayload,
+  IBudgetDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BudgetDTOTransformer } from './BudgetDTOTransformer';
+import { BudgetValidators } from './BudgetValidators';
+
+@Service()
+export class CreateBudget {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: BudgetDTOTransformer;
+
+  @Inject()
+  private validators: BudgetValidators;
+
+  /**
+   * Creates a new budget with associated amounts entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {IBudgetDTO} budgetDTO - Budget DTO.
+   * @param {ISystemUser} authorizedUser
+   * @param {Knex.Transaction} trx
+   * @return {Promise<IBudget>}
+   */
+  public async createBudget(
+    tenantId: number,
+    budgetDTO: IBudgetDTO,
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
+  ): Promise<IBudget> {
+    const { Budget } = this.tenancy.models(tenantId);
+
+    // Validate the budget name uniquiness on the fiscal year.
+    await this.validators.validateBudgetNameUnique(
+      tenantId,
+      budgetDTO.name,
+      budgetDTO.fiscalYear
+    );
+    // Validate the entries amounts count match the budget periods.
+    this.validators.validateEntriesAmountsMatchPeriods(budgetDTO);
+
+    // Validate the entries account, branch and project combination uniquiness.
+    this.validators.validateEntriesNotDuplicated(budgetDTO.entries);
+
+    // Validate the entries accounts, branches and projects existance.
+    await this.validators.validateEntriesAccounts(tenantId, budgetDTO.entries);
+    await this.validators.validateEntriesBranches(tenantId, budgetDTO.entries);
+    await this.validators.validateEntriesProjects(tenantId, budgetDTO.entries);
+
+    // Transform DTO object to model object.
+    const budgetObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      budgetDTO,
+      authorizedUser
+    );
+    // Creates the budget with associated entries under UOW.
+    return this.uow.withTransaction(
+      tenantId,
+      async (trx: Knex.Transaction) => {
+        // Triggers `onBudgetCreating` event.
+        await this.eventPublisher.emitAsync(events.budget.onCreating, {
+          tenantId,
+          budgetDTO,
+          trx,
+        } as IBudgetCreatingPayload);
+
+        // Upsert the budget graph to the storage.
+        const budget = await Budget.query(trx).upsertGraphAndFetch({
+          ...budgetObj,
+        });
+        // Triggers `onBudgetCreated` event.
+        await this.eventPublisher.emitAsync(events.budget.onCreated, {
+          tenantId,
+          budget,
+          budgetId: budget.id,
+          budgetDTO,
+          trx,
+        } as IBudgetCreatedPayload);
+
+        return budget;
+      },
+      trx
+    );
+  }
+}
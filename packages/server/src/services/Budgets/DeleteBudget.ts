@@ -0,0 +1,64 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { IBudgetDeletedPayload, IBudgetDeletingPayload } from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BudgetValidators } from './BudgetValidators';
+
+@Service()
+export class DeleteBudget {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: BudgetValidators;
+
+  /**
+   * Deletes the given budget with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} budgetId - Budget id.
+   * @return {Promise<void>}
+   */
+  public async deleteBudget(tenantId: number, budgetId: number): Promise<void> {
+    const { Budget, BudgetEntry } = this.tenancy.models(tenantId);
+
+    const oldBudget = await Budget.query()
+      .findById(budgetId)
+      .withGraphFetched('entries');
+
+    // Validates the given budget existance.
+    this.validators.validateBudgetExistance(oldBudget);
+
+    // Deletes the budget with associated entries under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBudgetDeleting` event.
+      await this.eventPublisher.emitAsync(events.budget.onDeleting, {
+        tenantId,
+        oldBudget,
+        trx,
+      } as IBudgetDeletingPayload);
+
+      // Delete the budget entries.
+      await BudgetEntry.query(trx).where('budget_id', budgetId).delete();
+
+      // Delete the budget.
+      await Budget.query(trx).where('id', budgetId).delete();
+
+      // Triggers `onBudgetDeleted` event.
+      await this.eventPublisher.emitAsync(events.budget.onDeleted, {
+        tenantId,
+        budgetId,
+        oldBudget,
+        trx,
+      } as IBudgetDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IBudget,
+  IBudgetDTO,
+  IBudgetEditedPayload,
+  IBudgetEditingPayload,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { BudgetDTOTransformer } from './BudgetDTOTransformer';
+import { BudgetValidators } from './BudgetValidators';
+
+@Service()
+export class EditBudget {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: BudgetDTOTransformer;
+
+  @Inject()
+  private validators: BudgetValidators;
+
+  /**
+   * Edits the given budget and replaces its amounts entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} budgetId - Budget id.
+   * @param {IBudgetDTO} budgetDTO - Budget DTO.
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<IBudget>}
+   */
+  public async editBudget(
+    tenantId: number,
+    budgetId: number,
+    budgetDTO: IBudgetDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IBudget> {
+    const { Budget } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given budget.
+    const oldBudget = await Budget.query()
+      .findById(budgetId)
+      .withGraphFetched('entries');
+
+    // Validates the given budget existance.
+    this.validators.validateBudgetExistance(oldBudget);
+
+    // Validate the budget name uniquiness on the fiscal year.
+    await this.validators.validateBudgetNameUnique(
+      tenantId,
+      budgetDTO.name,
+      budgetDTO.fiscalYear,
+      budgetId
+    );
+    // Validate the entries amounts count match the budget periods.
+    this.validators.validateEntriesAmountsMatchPeriods(budgetDTO);
+
+    // Validate the entries account, branch and project combination uniquiness.
+    this.validators.validateEntriesNotDuplicated(budgetDTO.entries);
+
+    // Validate the entries accounts, branches and projects existance.
+    await this.validators.validateEntriesAccounts(tenantId, budgetDTO.entries);
+    await this.validators.validateEntriesBranches(tenantId, budgetDTO.entries);
+    await this.validators.validateEntriesProjects(tenantId, budgetDTO.entries);
+
+    // Transform DTO object to model object.
+    const budgetObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      budgetDTO,
+      authorizedUser,
+      oldBudget
+    );
+    // Edits the budget with associated entries under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBudgetEditing` event.
+      await this.eventPublisher.emitAsync(events.budget.onEditing, {
+        tenantId,
+        oldBudget,
+        budgetDTO,
+        trx,
+      } as IBudgetEditingPayload);
+
+      // Upsert the budget graph to the storage.
+      const budget = await Budget.query(trx).upsertGraphAndFetch({
+        id: budgetId,
+        ...budgetObj,
+      });
+      // Triggers `onBudgetEdited` event.
+      await this.eventPublisher.emitAsync(events.budget.onEdited, {
+        tenantId,
+        budgetId,
+        budget,
+        oldBudget,
+        budgetDTO,
+        trx,
+      } as IBudgetEditedPayload);
+
+      return budget;
+    });
+  }
+}
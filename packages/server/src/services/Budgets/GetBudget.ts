@@ -0,0 +1,41 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BudgetValidators } from './BudgetValidators';
+import { BudgetTransformer } from './BudgetTransformer';
+
+@Service()
+export class GetBudget {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: BudgetValidators;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the given budget with amounts lines.
+   * @param {number} tenantId
+   * @param {number} budgetId
+   * @returns {Promise<IBudget>}
+   */
+  public async getBudget(tenantId: number, budgetId: number) {
+    const { Budget } = this.tenancy.models(tenantId);
+
+    const budget = await Budget.query()
+      .findById(budgetId)
+      .withGraphFetched('entries');
+
+    // Validates the budget existance.
+    this.validators.validateBudgetExistance(budget);
+
+    // Transforms the budget.
+    return this.transformer.transform(
+      tenantId,
+      budget,
+      new BudgetTransformer()
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { Inject, Service } from 'typedi';
+import { IBudgetsFilter } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BudgetTransformer } from './BudgetTransformer';
+
+@Service()
+export class GetBudgets {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the budgets list.
+   * @param {number} tenantId
+   * @param {IBudgetsFilter} filter
+   * @returns {Promise<IBudget[]>}
+   */
+  public async getBudgets(tenantId: number, filter: IBudgetsFilter) {
+    const { Budget } = this.tenancy.models(tenantId);
+
+    const budgets = await Budget.query()
+      .onBuild((builder) => {
+        if (filter.fiscalYear) {
+          builder.modify('fiscalYear', filter.fiscalYear);
+        }
+      })
+      .withGraphFetched('entries')
+      .orderBy('fiscal_year', 'DESC')
+      .orderBy('name', 'ASC');
+
+    // Transforms the budgets.
+    return this.transformer.transform(
+      tenantId,
+      budgets,
+      new BudgetTransformer()
+    );
+  }
+}
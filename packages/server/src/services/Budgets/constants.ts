@@ -0,0 +1,19 @@
+export const ERRORS = {
+  BUDGET_NOT_FOUND: 'BUDGET_NOT_FOUND',
+  BUDGET_NAME_EXISTS: 'BUDGET_NAME_EXISTS',
+  ACCOUNTS_NOT_FOUND: 'ACCOUNTS_NOT_FOUND',
+  ACCOUNTS_NOT_PROFIT_LOSS_TYPE: 'ACCOUNTS_NOT_PROFIT_LOSS_TYPE',
+  BRANCHES_NOT_FOUND: 'BRANCHES_NOT_FOUND',
+  PROJECTS_NOT_FOUND: 'PROJECTS_NOT_FOUND',
+  ENTRY_AMOUNTS_NOT_MATCH_PERIODS: 'ENTRY_AMOUNTS_NOT_MATCH_PERIODS',
+  ENTRIES_DUPLICATED: 'ENTRIES_DUPLICATED',
+};
+
+/**
+ * Months count of each budget period.
+ */
+export const BUDGET_PERIOD_MONTHS = {
+  month: 1,
+  quarter: 3,
+  year: 12,
+};
@@ -9,8 +9,10 @@ import {
   ICashflowAccountsFilter,
   ICashflowNewCommandDTO,
   ICategorizeCashflowTransactioDTO,
+  ICategorizeRecognizedTransactionDTO,
   IGetRecognizedTransactionsQuery,
   IGetUncategorizedTransactionsQuery,
+  ISystemUser,
 } from '@/interfaces';
 import { CategorizeTransactionAsExpense } from './CategorizeTransactionAsExpense';
 import { GetUncategorizedTransactions } from './GetUncategorizedTransactions';
@@ -21,6 +23,7 @@ import GetCashflowAccountsService from './GetCashflowAccountsService';
 import { GetCashflowTransactionService } from './GetCashflowTransactionsService';
 import { GetRecognizedTransactionsService } from './GetRecongizedTransactions';
 import { GetRecognizedTransactionService } from './GetRecognizedTransaction';
+import { CategorizeRecognizedTransactionService } from './CategorizeRecognizedTransaction';
 
 @Service()
 export class CashflowApplication {
@@ -45,6 +48,9 @@ export class CashflowApplication {
   @Inject()
   private categorizeAsExpenseService: CategorizeTransactionAsExpense;
 
+  @Inject()
+  private categorizeRecognizedTransactionService: CategorizeRecognizedTransactionService;
+
   @Inject()
   private getUncategorizedTransactionsService: GetUncategorizedTransactions;
 
@@ -174,6 +180,27 @@ export class CashflowApplication {
     );
   }
 
+  /**
+   * Categorizes the given recognized transaction based on its bank rule.
+   * @param {number} tenantId
+   * @param {number} uncategorizedTransactionId
+   * @param {ICategorizeRecognizedTransactionDTO} categorizeDTO
+   * @param {ISystemUser} authorizedUser
+   */
+  public categorizeRecognizedTransaction(
+    tenantId: number,
+    uncategorizedTransactionId: number,
+    categorizeDTO: ICategorizeRecognizedTransactionDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.categorizeRecognizedTransactionService.categorize(
+      tenantId,
+      uncategorizedTransactionId,
+      categorizeDTO,
+      authorizedUser
+    );
+  }
+
   /**
    * Categorizes the given cashflow transaction as expense transaction.
    * @param {number} tenantId
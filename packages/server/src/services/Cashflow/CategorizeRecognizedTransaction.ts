@@ -1,8 +1,150 @@
-import { Service } from "typedi";
-
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '../Tenancy/TenancyService';
+import UnitOfWork from '../UnitOfWork';
+import events from '@/subscribers/events';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import {
+  ICashflowTransactionCategorizedPayload,
+  ICashflowTransactionUncategorizingPayload,
+  ICategorizeCashflowTransactioDTO,
+  ICategorizeRecognizedTransactionDTO,
+  ISystemUser,
+} from '@/interfaces';
+import { ServiceError } from '@/exceptions';
+import { CommandCashflowValidator } from './CommandCasflowValidator';
+import { CategorizeCashflowTransaction } from './CategorizeCashflowTransaction';
+import { CreateManualJournalService } from '../ManualJournals/CreateManualJournal';
+import {
+  getBankRuleSplitAmounts,
+  transformSplitTransToManualJournal,
+} from './utils';
+import { ERRORS } from './constants';
 
 @Service()
 export class CategorizeRecognizedTransactionService {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private commandValidators: CommandCashflowValidator;
+
+  @Inject()
+  private categorizeTransactionService: CategorizeCashflowTransaction;
+
+  @Inject()
+  private createManualJournalService: CreateManualJournalService;
+
+  /**
+   * Categorizes the given recognized transaction based on its bank rule,
+   * the bank rule with split lines creates a multi-line manual journal
+   * otherwise a cashflow transaction to the assigned account.
+   * @param {number} tenantId
+   * @param {number} uncategorizedTransactionId
+   * @param {ICategorizeRecognizedTransactionDTO} categorizeDTO
+   * @param {ISystemUser} authorizedUser
+   */
+  public async categorize(
+    tenantId: number,
+    uncategorizedTransactionId: number,
+    categorizeDTO: ICategorizeRecognizedTransactionDTO,
+    authorizedUser: ISystemUser
+  ) {
+    const { UncategorizedCashflowTransaction } = this.tenancy.models(tenantId);
+
+    // Retrieves the uncategorized transaction or throw an error.
+    const transaction = await UncategorizedCashflowTransaction.query()
+      .findById(uncategorizedTransactionId)
+      .withGraphFetched('recognizedTransaction.bankRule.splitLines')
+      .throwIfNotFound();
+
+    // Validates the transaction should be recognized by a bank rule.
+    if (!transaction.recognizedTransaction) {
+      throw new ServiceError(ERRORS.TRANSACTION_NOT_RECOGNIZED);
+    }
+    const { recognizedTransaction } = transaction;
+    const splitLines = recognizedTransaction.bankRule?.splitLines || [];
 
+    if (splitLines.length === 0) {
+      return this.categorizeTransactionService.categorize(
+        tenantId,
+        uncategorizedTransactionId,
+        {
+          ...categorizeDTO,
+          transactionType: recognizedTransaction.assignedCategory,
+          creditAccountId: recognizedTransaction.assignedAccountId,
+          description: recognizedTransaction.assignedMemo,
+        } as ICategorizeCashflowTransactioDTO
+      );
+    }
+    // Validate cannot categorize excluded transaction.
+    if (transaction.excluded) {
+      throw new ServiceError(ERRORS.CANNOT_CATEGORIZE_EXCLUDED_TRANSACTION);
+    }
+    // Validates the transaction shouldn't be categorized before.
+    this.commandValidators.validateTransactionShouldNotCategorized(transaction);
 
-}
\ No newline at end of file
+    const splitAmounts = getBankRuleSplitAmounts(
+      Math.abs(transaction.amount),
+      splitLines,
+      recognizedTransaction.assignedAccountId
+    );
+    // Validates the split lines fixed amounts don't exceed the transaction amount.
+    if (splitAmounts.some((splitAmount) => splitAmount.amount < 0)) {
+      throw new ServiceError(ERRORS.SPLIT_LINES_EXCEED_TRANSACTION_AMOUNT);
+    }
+    const manualJournalDTO = {
+      ...transformSplitTransToManualJournal(transaction, splitAmounts),
+      journalNumber: categorizeDTO.transactionNumber,
+      exchangeRate: categorizeDTO.exchangeRate || 1,
+      branchId: categorizeDTO.branchId,
+    };
+    // Categorizes the transaction under UOW env.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onTransactionCategorizing` event.
+      await this.eventPublisher.emitAsync(
+        events.cashflow.onTransactionCategorizing,
+        {
+          tenantId,
+          trx,
+        } as ICashflowTransactionUncategorizingPayload
+      );
+      // Creates a new manual journal of the split lines.
+      const { manualJournal } =
+        await this.createManualJournalService.makeJournalEntries(
+          tenantId,
+          manualJournalDTO,
+          authorizedUser,
+          trx
+        );
+      // Updates the uncategorized transaction as categorized.
+      const uncategorizedTransaction =
+        await UncategorizedCashflowTransaction.query(trx).patchAndFetchById(
+          uncategorizedTransactionId,
+          {
+            categorized: true,
+            categorizeRefType: 'ManualJournal',
+            categorizeRefId: manualJournal.id,
+          }
+        );
+      // Triggers `onCashflowTransactionCategorized` event.
+      await this.eventPublisher.emitAsync(
+        events.cashflow.onTransactionCategorized,
+        {
+          tenantId,
+          cashflowTransaction: null,
+          manualJournal,
+          uncategorizedTransaction,
+          categorizeDTO,
+          trx,
+        } as ICashflowTransactionCategorizedPayload
+      );
+    });
+  }
+}
@@ -4,10 +4,16 @@ import * as yup from 'yup';
 import uniqid from 'uniqid';
 import { Importable } from '../Import/Importable';
 import { CreateUncategorizedTransaction } from './CreateUncategorizedTransaction';
-import { CreateUncategorizedTransactionDTO } from '@/interfaces';
+import {
+  CreateUncategorizedTransactionDTO,
+  ImportUncategorizedTransactionDTO,
+} from '@/interfaces';
 import { ImportableContext } from '../Import/interfaces';
 import HasTenancyService from '../Tenancy/TenancyService';
-import { BankTransactionsSampleData } from './constants';
+import { ServiceError } from '@/exceptions';
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+import { normalizeIban } from '@/utils/iban';
+import { BankTransactionsSampleData, ERRORS } from './constants';
 
 @Service()
 export class UncategorizedTransactionsImportable extends Importable {
@@ -21,34 +27,134 @@ export class UncategorizedTransactionsImportable extends Importable {
    * Passing the sheet DTO to create uncategorized transaction.
    * @param {number} tenantId
    * @param {number} tenantId
-   * @param {any} createDTO
+   * @param {ImportUncategorizedTransactionDTO} importDTO
    * @param {Knex.Transaction} trx
    */
   public async importable(
     tenantId: number,
-    createDTO: CreateUncategorizedTransactionDTO,
+    importDTO: ImportUncategorizedTransactionDTO,
     trx?: Knex.Transaction
   ) {
+    const { accountIban, ...transactionDTO } = importDTO;
+
+    // Multi-account statements route the transaction by the account IBAN.
+    const accountId = await this.getStatementAccountId(
+      tenantId,
+      transactionDTO.accountId,
+      accountIban,
+      trx
+    );
+    const createDTO = { ...transactionDTO, accountId };
+
+    // Skips the statement transactions that already imported to the account.
+    await this.validateTransactionNotImported(tenantId, createDTO, trx);
+
     return this.createUncategorizedTransaction.create(tenantId, createDTO, trx);
   }
 
   /**
-   * Transformes the DTO before validating and importing.
+   * Retrieves the cashflow account of the given statement IBAN, falls back to
+   * the selected account when it has no IBAN or the statement has no IBAN.
+   * @param {number} tenantId
+   * @param {number} accountId - Selected account id.
+   * @param {string} accountIban - Statement account IBAN.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<number>}
+   * @throws {ServiceError(ERRORS.STATEMENT_ACCOUNT_NOT_FOUND)}
+   */
+  private async getStatementAccountId(
+    tenantId: number,
+    accountId: number,
+    accountIban: string | null,
+    trx?: Knex.Transaction
+  ): Promise<number> {
+    if (!accountIban) return accountId;
+
+    const { Account } = this.tenancy.models(tenantId);
+
+    const statementAccount = await Account.query(trx)
+      .whereIn('account_type', [
+        ACCOUNT_TYPE.BANK,
+        ACCOUNT_TYPE.CASH,
+        ACCOUNT_TYPE.CREDIT_CARD,
+      ])
+      .findOne('iban', accountIban);
+
+    if (statementAccount) {
+      return statementAccount.id;
+    }
+    const selectedAccount = await Account.query(trx).findById(accountId);
+
+    if (selectedAccount?.iban && selectedAccount.iban !== accountIban) {
+      throw new ServiceError(
+        ERRORS.STATEMENT_ACCOUNT_NOT_FOUND,
+        `There is no cashflow account with the statement IBAN "${accountIban}".`
+      );
+    }
+    return accountId;
+  }
+
+  /**
+   * Validates the bank transaction id (FITID) is not imported before
+   * to the same account, so overlapping statements don't create duplicates.
+   * @param {number} tenantId
    * @param {CreateUncategorizedTransactionDTO} createDTO
+   * @param {Knex.Transaction} trx
+   * @throws {ServiceError(ERRORS.TRANSACTION_ALREADY_IMPORTED)}
+   */
+  private async validateTransactionNotImported(
+    tenantId: number,
+    createDTO: CreateUncategorizedTransactionDTO,
+    trx?: Knex.Transaction
+  ) {
+    if (!createDTO.fitid) return;
+
+    const { UncategorizedCashflowTransaction } = this.tenancy.models(tenantId);
+
+    const foundTransaction = await UncategorizedCashflowTransaction.query(
+      trx
+    ).findOne({
+      accountId: createDTO.accountId,
+      fitid: createDTO.fitid,
+    });
+    if (foundTransaction) {
+      throw new ServiceError(
+        ERRORS.TRANSACTION_ALREADY_IMPORTED,
+        `The bank transaction "${createDTO.fitid}" is already imported.`
+      );
+    }
+  }
+
+  /**
+   * Transformes the DTO before validating and importing.
+   * @param {ImportUncategorizedTransactionDTO} createDTO
    * @param {ImportableContext} context
-   * @returns {CreateUncategorizedTransactionDTO}
+   * @returns {ImportUncategorizedTransactionDTO}
    */
   public transform(
-    createDTO: CreateUncategorizedTransactionDTO,
+    createDTO: ImportUncategorizedTransactionDTO,
     context?: ImportableContext
-  ): CreateUncategorizedTransactionDTO {
+  ): ImportUncategorizedTransactionDTO {
     return {
       ...createDTO,
+      fitid: createDTO.fitid || null,
+      valueDate: createDTO.valueDate || null,
+      counterpartyName: createDTO.counterpartyName || null,
+      counterpartyIban: normalizeIban(createDTO.counterpartyIban) || null,
+      accountIban: normalizeIban(createDTO.accountIban) || null,
       accountId: context.import.paramsParsed.accountId,
       batch: context.import.paramsParsed.batch,
     };
   }
 
+  /**
+   * Accepts OFX/QFX, CAMT.053 and MT940 bank statement files.
+   * @returns {boolean}
+   */
+  public get bankStatementImportable() {
+    return true;
+  }
+
   /**
    * Sample data used to download sample sheet.
    * @returns {Record<string, any>[]}
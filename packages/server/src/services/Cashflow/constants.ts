@@ -16,7 +16,12 @@ export const ERRORS = {
   CANNOT_DELETE_TRANSACTION_CONVERTED_FROM_UNCATEGORIZED:
     'CANNOT_DELETE_TRANSACTION_CONVERTED_FROM_UNCATEGORIZED',
 
-  CANNOT_CATEGORIZE_EXCLUDED_TRANSACTION: 'CANNOT_CATEGORIZE_EXCLUDED_TRANSACTION'
+  CANNOT_CATEGORIZE_EXCLUDED_TRANSACTION: 'CANNOT_CATEGORIZE_EXCLUDED_TRANSACTION',
+  TRANSACTION_ALREADY_IMPORTED: 'TRANSACTION_ALREADY_IMPORTED',
+  STATEMENT_ACCOUNT_NOT_FOUND: 'STATEMENT_ACCOUNT_NOT_FOUND',
+  TRANSACTION_NOT_RECOGNIZED: 'TRANSACTION_NOT_RECOGNIZED',
+  SPLIT_LINES_EXCEED_TRANSACTION_AMOUNT:
+    'SPLIT_LINES_EXCEED_TRANSACTION_AMOUNT',
 };
 
 export enum CASHFLOW_DIRECTION {
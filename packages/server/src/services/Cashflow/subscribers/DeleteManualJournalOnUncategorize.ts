@@ -0,0 +1,36 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import { ICashflowTransactionUncategorizedPayload } from '@/interfaces';
+import { DeleteManualJournal } from '@/services/ManualJournals/DeleteManualJournal';
+
+@Service()
+export class DeleteManualJournalOnUncategorize {
+  @Inject()
+  private deleteManualJournalService: DeleteManualJournal;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach = (bus) => {
+    bus.subscribe(
+      events.cashflow.onTransactionUncategorized,
+      this.deleteManualJournalOnUncategorize.bind(this)
+    );
+  };
+
+  /**
+   * Deletes the split manual journal on uncategorize transaction.
+   * @param {ICashflowTransactionUncategorizedPayload} payload
+   */
+  public async deleteManualJournalOnUncategorize({
+    tenantId,
+    oldUncategorizedTransaction,
+  }: ICashflowTransactionUncategorizedPayload) {
+    if (oldUncategorizedTransaction.categorizeRefType === 'ManualJournal') {
+      await this.deleteManualJournalService.deleteManualJournal(
+        tenantId,
+        oldUncategorizedTransaction.categorizeRefId
+      );
+    }
+  }
+}
@@ -1,6 +1,9 @@
 import { Inject, Service } from 'typedi';
 import events from '@/subscribers/events';
-import { ICommandCashflowDeletingPayload } from '@/interfaces';
+import {
+  ICommandCashflowDeletingPayload,
+  IManualJournalDeletingPayload,
+} from '@/interfaces';
 import { ServiceError } from '@/exceptions';
 import { ERRORS } from '../constants';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
@@ -20,6 +23,10 @@ export class PreventDeleteTransactionOnDelete {
         this
       )
     );
+    bus.subscribe(
+      events.manualJournals.onDeleting,
+      this.preventDeleteManualJournalHasUncategorizedTransaction.bind(this)
+    );
   };
 
   /**
@@ -49,4 +56,31 @@ export class PreventDeleteTransactionOnDelete {
       }
     }
   }
+
+  /**
+   * Prevent delete manual journal has converted from uncategorized transaction.
+   * @param {IManualJournalDeletingPayload} payload
+   */
+  public async preventDeleteManualJournalHasUncategorizedTransaction({
+    tenantId,
+    oldManualJournal,
+    trx,
+  }: IManualJournalDeletingPayload) {
+    const { UncategorizedCashflowTransaction } = this.tenancy.models(tenantId);
+
+    const foundTransactions = await UncategorizedCashflowTransaction.query(
+      trx
+    ).where({
+      categorized: true,
+      categorizeRefId: oldManualJournal.id,
+      categorizeRefType: 'ManualJournal',
+    });
+    // Throw the error if the manual journal still linked to uncategorized transaction.
+    if (foundTransactions.length > 0) {
+      throw new ServiceError(
+        ERRORS.CANNOT_DELETE_TRANSACTION_CONVERTED_FROM_UNCATEGORIZED,
+        'Cannot delete manual journal converted from uncategorized transaction.'
+      );
+    }
+  }
 }
@@ -1,4 +1,4 @@
-import { upperFirst, camelCase } from 'lodash';
+import { upperFirst, camelCase, round, sumBy } from 'lodash';
 import {
   CASHFLOW_TRANSACTION_TYPE,
   CASHFLOW_TRANSACTION_TYPE_META,
@@ -7,8 +7,14 @@ import {
 import {
   ICashflowNewCommandDTO,
   ICategorizeCashflowTransactioDTO,
+  IManualJournalDTO,
+  IManualJournalEntryDTO,
   IUncategorizedCashflowTransaction,
 } from '@/interfaces';
+import {
+  BankRuleSplitAmountType,
+  IBankRuleSplitLine,
+} from '@/services/Banking/Rules/types';
 
 /**
  * Ensures the given transaction type to transformed to appropriate format.
@@ -65,3 +71,79 @@ export const transformCategorizeTransToCashflow = (
     publish: true,
   };
 };
+
+/**
+ * Retrieves the split amount of each bank rule split line, the remaining
+ * amount goes to the rule assigned account.
+ * @param {number} amount - Absolute transaction amount.
+ * @param {IBankRuleSplitLine[]} splitLines
+ * @param {number} remainderAccountId
+ * @returns {{ accountId: number; amount: number; memo?: string }[]}
+ */
+export const getBankRuleSplitAmounts = (
+  amount: number,
+  splitLines: IBankRuleSplitLine[],
+  remainderAccountId: number
+): { accountId: number; amount: number; memo?: string }[] => {
+  const lines = splitLines.map((splitLine) => ({
+    accountId: splitLine.accountId,
+    memo: splitLine.memo,
+    amount:
+      splitLine.amountType === BankRuleSplitAmountType.Percentage
+        ? round((amount * splitLine.amount) / 100, 2)
+        : round(splitLine.amount, 2),
+  }));
+  const remainder = round(amount - sumBy(lines, 'amount'), 2);
+
+  return [
+    ...lines,
+    ...(remainder !== 0
+      ? [{ accountId: remainderAccountId, amount: remainder }]
+      : []),
+  ].filter((line) => line.amount !== 0);
+};
+
+/**
+ * Transformes the given recognized uncategorized transaction and its split
+ * amounts to manual journal DTO, the deposit debits the cashflow account
+ * and the withdrawal credits it.
+ * @param {IUncategorizedCashflowTransaction} uncategorizeModel
+ * @param {{ accountId: number; amount: number; memo?: string }[]} splitAmounts
+ * @returns {IManualJournalDTO}
+ */
+export const transformSplitTransToManualJournal = (
+  uncategorizeModel: IUncategorizedCashflowTransaction,
+  splitAmounts: { accountId: number; amount: number; memo?: string }[]
+): IManualJournalDTO => {
+  const isDeposit = uncategorizeModel.amount > 0;
+  const amount = Math.abs(uncategorizeModel.amount);
+
+  const cashflowEntry = {
+    accountId: uncategorizeModel.accountId,
+    debit: isDeposit ? amount : 0,
+    credit: isDeposit ? 0 : amount,
+    note: uncategorizeModel.description,
+  };
+  const splitEntries = splitAmounts.map((splitAmount) => ({
+    accountId: splitAmount.accountId,
+    debit: isDeposit ? 0 : splitAmount.amount,
+    credit: isDeposit ? splitAmount.amount : 0,
+    note: splitAmount.memo || uncategorizeModel.description,
+  }));
+  const entries = [cashflowEntry, ...splitEntries].map((entry, index) => ({
+    ...entry,
+    index: index + 1,
+  })) as IManualJournalEntryDTO[];
+
+  return {
+    date: uncategorizeModel.date,
+    currencyCode: uncategorizeModel.currencyCode,
+    exchangeRate: 1,
+    journalNumber: '',
+    journalType: 'BankRuleSplit',
+    reference: uncategorizeModel.referenceNo,
+    description: uncategorizeModel.description,
+    publish: true,
+    entries,
+  };
+};
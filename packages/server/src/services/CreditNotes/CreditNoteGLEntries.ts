@@ -12,6 +12,10 @@ import {
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import Ledger from '@/services/Accounting/Ledger';
 import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
+import {
+  DocumentDiscountGLEntries,
+  IDocumentDiscountChargesAccounts,
+} from '@/services/Discounts/DocumentDiscountGLEntries';
 
 @Service()
 export default class CreditNoteGLEntries {
@@ -21,19 +25,25 @@ export default class CreditNoteGLEntries {
   @Inject()
   private ledgerStorage: LedgerStorageService;
 
+  @Inject()
+  private discountGLEntries: DocumentDiscountGLEntries;
+
   /**
    * Retrieves the credit note GL.
    * @param   {ICreditNote} creditNote
    * @param   {number} receivableAccount
+   * @param   {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {Ledger}
    */
   private getCreditNoteGLedger = (
     creditNote: ICreditNote,
-    receivableAccount: number
+    receivableAccount: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts
   ): Ledger => {
     const ledgerEntries = this.getCreditNoteGLEntries(
       creditNote,
-      receivableAccount
+      receivableAccount,
+      discountChargesAccounts
     );
     return new Ledger(ledgerEntries);
   };
@@ -51,7 +61,18 @@ export default class CreditNoteGLEntries {
     payableAccount: number,
     trx?: Knex.Transaction
   ): Promise<void> => {
-    const ledger = this.getCreditNoteGLedger(creditNote, payableAccount);
+    // Find or create the discount and charges accounts.
+    const discountChargesAccounts =
+      await this.discountGLEntries.findOrCreateSalesAccounts(
+        tenantId,
+        creditNote,
+        trx
+      );
+    const ledger = this.getCreditNoteGLedger(
+      creditNote,
+      payableAccount,
+      discountChargesAccounts
+    );
 
     await this.ledgerStorage.commit(tenantId, ledger, trx);
   };
@@ -169,7 +190,7 @@ export default class CreditNoteGLEntries {
 
     return {
       ...commonEntry,
-      credit: creditNote.localAmount,
+      credit: creditNote.totalLocal,
       accountId: ARAccountId,
       contactId: creditNote.customerId,
       index: 1,
@@ -210,17 +231,27 @@ export default class CreditNoteGLEntries {
    * Retrieve the credit note GL entries.
    * @param   {ICreditNote} creditNote - Credit note.
    * @param   {IAccount} receivableAccount - Receviable account.
+   * @param   {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {ILedgerEntry[]} - Ledger entries.
    */
   public getCreditNoteGLEntries = (
     creditNote: ICreditNote,
-    ARAccountId: number
+    ARAccountId: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts = {}
   ): ILedgerEntry[] => {
     const AREntry = this.getCreditNoteAREntry(creditNote, ARAccountId);
 
     const getItemEntry = this.getCreditNoteItemEntry(creditNote);
     const itemsEntries = creditNote.entries.map(getItemEntry);
 
-    return [AREntry, ...itemsEntries];
+    // The credit note reverses the sales discount and charges.
+    const discountChargesEntries =
+      this.discountGLEntries.getDiscountChargesGLEntries(
+        creditNote,
+        this.getCreditNoteCommonEntry(creditNote),
+        discountChargesAccounts,
+        true
+      );
+    return [AREntry, ...itemsEntries, ...discountChargesEntries];
   };
 }
@@ -16,6 +16,10 @@ export class CreditNoteTransformer extends Transformer {
       'formattedCreatedAt',
       'formattedCreatedAt',
       'formattedAmount',
+      'formattedDiscountAmount',
+      'formattedShippingCharge',
+      'formattedAdjustment',
+      'formattedTotal',
       'formattedCreditsUsed',
       'formattedSubtotal',
       'entries',
@@ -23,6 +27,50 @@ export class CreditNoteTransformer extends Transformer {
     ];
   };
 
+  /**
+   * Retrieves the formatted discount amount.
+   * @param {ICreditNote} credit
+   * @returns {string}
+   */
+  protected formattedDiscountAmount = (credit): string => {
+    return formatNumber(credit.discountAmount, {
+      currencyCode: credit.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted shipping charge.
+   * @param {ICreditNote} credit
+   * @returns {string}
+   */
+  protected formattedShippingCharge = (credit): string => {
+    return formatNumber(credit.shippingCharge, {
+      currencyCode: credit.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted rounding adjustment.
+   * @param {ICreditNote} credit
+   * @returns {string}
+   */
+  protected formattedAdjustment = (credit): string => {
+    return formatNumber(credit.adjustment, {
+      currencyCode: credit.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted total.
+   * @param {ICreditNote} credit
+   * @returns {string}
+   */
+  protected formattedTotal = (credit): string => {
+    return formatNumber(credit.total, {
+      currencyCode: credit.currencyCode,
+    });
+  };
+
   /**
    * Retrieve formatted credit note date.
    * @param {ICreditNote} credit
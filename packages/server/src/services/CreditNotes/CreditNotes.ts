@@ -10,6 +10,7 @@ import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
 import AutoIncrementOrdersService from '@/services/Sales/AutoIncrementOrdersService';
 import { WarehouseTransactionDTOTransform } from '@/services/Warehouses/Integrations/WarehouseTransactionDTOTransform';
 import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/BranchTransactionDTOTransform';
+import { DocumentDiscountDTOTransform } from '@/services/Discounts/DocumentDiscountDTOTransform';
 
 @Service()
 export default class BaseCreditNotes {
@@ -28,6 +29,9 @@ export default class BaseCreditNotes {
   @Inject()
   private warehouseDTOTransform: WarehouseTransactionDTOTransform;
 
+  @Inject()
+  private discountDTOTransform: DocumentDiscountDTOTransform;
+
   /**
    * Transformes the credit/edit DTO to model.
    * @param {ICreditNoteNewDTO | ICreditNoteEditDTO} creditNoteDTO
@@ -71,6 +75,8 @@ export default class BaseCreditNotes {
       invoicesAmount: 0,
     };
     return R.compose(
+      // Associates the discount amount to the model.
+      this.discountDTOTransform.assocDiscountAmount<ICreditNote>(),
       this.branchDTOTransform.transformDTO<ICreditNote>(tenantId),
       this.warehouseDTOTransform.transformDTO<ICreditNote>(tenantId)
     )(initialDTO);
@@ -0,0 +1,274 @@
+import moment from 'moment';
+import { groupBy, sumBy } from 'lodash';
+import {
+  CustomerStatementType,
+  IAccountTransaction,
+  ICustomer,
+  ICustomerStatement,
+  ICustomerStatementAgingBucket,
+  ICustomerStatementAmount,
+  ICustomerStatementOpenInvoice,
+  ICustomerStatementQuery,
+  ICustomerStatementTransaction,
+  INumberFormatQuery,
+  ISaleInvoice,
+} from '@/interfaces';
+import FinancialSheet from '@/services/FinancialStatements/FinancialSheet';
+import { CUSTOMER_STATEMENT_AGING_BUCKETS } from './constants';
+
+const DATE_FORMAT = 'YYYY MMM DD';
+
+export class CustomerStatement extends FinancialSheet {
+  readonly customer: ICustomer;
+  readonly query: ICustomerStatementQuery;
+  readonly openingTransactions: IAccountTransaction[];
+  readonly periodTransactions: IAccountTransaction[];
+  readonly openInvoices: ISaleInvoice[];
+  readonly lateFeeInvoicesIds: number[];
+  readonly baseCurrency: string;
+  readonly numberFormat: INumberFormatQuery;
+  readonly i18n: any;
+
+  /**
+   * Constructor method.
+   * @param {ICustomer} customer - Statement customer.
+   * @param {ICustomerStatementQuery} query - Statement query.
+   * @param {IAccountTransaction[]} openingTransactions - Receivable transactions before the period.
+   * @param {IAccountTransaction[]} periodTransactions - Receivable transactions of the period.
+   * @param {ISaleInvoice[]} openInvoices - Open invoices as of the period end.
+   * @param {number[]} lateFeeInvoicesIds - Late fee invoices of the customer.
+   * @param {any} i18n
+   */
+  constructor(
+    customer: ICustomer,
+    query: ICustomerStatementQuery,
+    openingTransactions: IAccountTransaction[],
+    periodTransactions: IAccountTransaction[],
+    openInvoices: ISaleInvoice[],
+    lateFeeInvoicesIds: number[],
+    i18n
+  ) {
+    super();
+
+    this.customer = customer;
+    this.query = query;
+    this.openingTransactions = openingTransactions;
+    this.periodTransactions = periodTransactions;
+    this.openInvoices = openInvoices;
+    this.lateFeeInvoicesIds = lateFeeInvoicesIds;
+    this.baseCurrency = customer.currencyCode;
+    this.numberFormat = {
+      precision: 2,
+      divideOn1000: false,
+      showZero: true,
+      formatMoney: 'always',
+      negativeFormat: 'mines',
+    };
+    this.i18n = i18n;
+  }
+
+  /**
+   * Retrieves the amount meta in the customer currency.
+   * @param {number} amount
+   * @returns {ICustomerStatementAmount}
+   */
+  private getStatementAmount = (amount: number): ICustomerStatementAmount => {
+    return {
+      amount,
+      formattedAmount: this.formatNumber(amount),
+      currencyCode: this.baseCurrency,
+    };
+  };
+
+  /**
+   * Retrieves the debit amount of the given transaction in customer currency,
+   * the ledger stores the receivable amounts in base currency.
+   * @param {IAccountTransaction} transaction
+   * @returns {number}
+   */
+  private getTransactionDebit = (transaction: IAccountTransaction): number => {
+    return transaction.debit / (transaction.exchangeRate || 1);
+  };
+
+  /**
+   * Retrieves the credit amount of the given transaction in customer currency.
+   * @param {IAccountTransaction} transaction
+   * @returns {number}
+   */
+  private getTransactionCredit = (transaction: IAccountTransaction): number => {
+    return transaction.credit / (transaction.exchangeRate || 1);
+  };
+
+  /**
+   * Retrieves the balance of the given transactions.
+   * @param {IAccountTransaction[]} transactions
+   * @returns {number}
+   */
+  private getTransactionsBalance = (
+    transactions: IAccountTransaction[]
+  ): number => {
+    return (
+      sumBy(transactions, this.getTransactionDebit) -
+      sumBy(transactions, this.getTransactionCredit)
+    );
+  };
+
+  /**
+   * Retrieves the opening balance of the statement period.
+   * @returns {number}
+   */
+  private getOpeningBalance = (): number => {
+    return this.getTransactionsBalance(this.openingTransactions);
+  };
+
+  /**
+   * Retrieves the transaction type label, the late fee invoices are
+   * labeled apart from the regular invoices.
+   * @param {IAccountTransaction} transaction
+   * @returns {string}
+   */
+  private getTransactionType = (transaction: IAccountTransaction): string => {
+    const isLateFee =
+      transaction.referenceType === 'SaleInvoice' &&
+      this.lateFeeInvoicesIds.includes(transaction.referenceId);
+
+    return isLateFee
+      ? this.i18n.__('customer_statement.paper.late_fee')
+      : this.i18n.__(transaction.referenceTypeFormatted);
+  };
+
+  /**
+   * Retrieves the period transactions, the entries of the same document
+   * are merged into one statement line with running balance.
+   * @returns {ICustomerStatementTransaction[]}
+   */
+  private getTransactions = (): ICustomerStatementTransaction[] => {
+    const groupedTransactions = Object.values(
+      groupBy(
+        this.periodTransactions,
+        (transaction) =>
+          `${transaction.referenceType}-${transaction.referenceId}`
+      )
+    );
+    let runningBalance = this.getOpeningBalance();
+
+    return groupedTransactions.map((transactions) => {
+      const [transaction] = transactions;
+      const debit = sumBy(transactions, this.getTransactionDebit);
+      const credit = sumBy(transactions, this.getTransactionCredit);
+
+      runningBalance += debit - credit;
+
+      return {
+        date: transaction.date,
+        formattedDate: moment(transaction.date).format(DATE_FORMAT),
+        referenceType: transaction.referenceType,
+        referenceId: transaction.referenceId,
+        transactionType: this.getTransactionType(transaction),
+        transactionNumber: transaction.transactionNumber,
+        debit: this.getStatementAmount(debit),
+        credit: this.getStatementAmount(credit),
+        runningBalance: this.getStatementAmount(runningBalance),
+      };
+    });
+  };
+
+  /**
+   * Retrieves the overdue days of the given invoice as of the period end.
+   * @param {ISaleInvoice} invoice
+   * @returns {number}
+   */
+  private getInvoiceOverdueDays = (invoice: ISaleInvoice): number => {
+    return Math.max(
+      moment(this.query.toDate).diff(moment(invoice.dueDate), 'days'),
+      0
+    );
+  };
+
+  /**
+   * Retrieves the open invoices of the statement.
+   * @returns {ICustomerStatementOpenInvoice[]}
+   */
+  private getOpenInvoices = (): ICustomerStatementOpenInvoice[] => {
+    return this.openInvoices.map((invoice) => ({
+      id: invoice.id,
+      invoiceNo: invoice.invoiceNo,
+      invoiceDate: invoice.invoiceDate,
+      formattedInvoiceDate: moment(invoice.invoiceDate).format(DATE_FORMAT),
+      dueDate: invoice.dueDate,
+      formattedDueDate: moment(invoice.dueDate).format(DATE_FORMAT),
+      overdueDays: this.getInvoiceOverdueDays(invoice),
+      lateFeeForInvoiceNo: invoice.lateFeeForInvoice?.invoiceNo || null,
+      total: this.getStatementAmount(invoice.total),
+      paid: this.getStatementAmount(invoice.total - invoice.dueAmount),
+      due: this.getStatementAmount(invoice.dueAmount),
+    }));
+  };
+
+  /**
+   * Retrieves the aging buckets of the open invoices due amount.
+   * @returns {ICustomerStatementAgingBucket[]}
+   */
+  private getAging = (): ICustomerStatementAgingBucket[] => {
+    return CUSTOMER_STATEMENT_AGING_BUCKETS.map((bucket) => {
+      const invoices = this.openInvoices.filter((invoice) => {
+        const overdueDays = this.getInvoiceOverdueDays(invoice);
+
+        return (
+          overdueDays >= bucket.fromDays &&
+          (bucket.toDays === null || overdueDays <= bucket.toDays)
+        );
+      });
+      return {
+        key: bucket.key,
+        amount: this.getStatementAmount(sumBy(invoices, 'dueAmount')),
+      };
+    });
+  };
+
+  /**
+   * Retrieves the closing balance of the statement, the balance-forward
+   * statement carries the receivable balance while the open-item statement
+   * sums the due amount of the open invoices.
+   * @returns {number}
+   */
+  private getClosingBalance = (): number => {
+    return this.query.type === CustomerStatementType.OpenItem
+      ? sumBy(this.openInvoices, 'dueAmount')
+      : this.getOpeningBalance() +
+          this.getTransactionsBalance(this.periodTransactions);
+  };
+
+  /**
+   * Retrieves the customer statement.
+   * @returns {ICustomerStatement}
+   */
+  public reportData = (): ICustomerStatement => {
+    return {
+      type: this.query.type,
+      customer: {
+        id: this.customer.id,
+        displayName: this.customer.displayName,
+        companyName: this.customer.companyName,
+        email: this.customer.email,
+        currencyCode: this.customer.currencyCode,
+      },
+      currencyCode: this.baseCurrency,
+      fromDate: this.query.fromDate,
+      toDate: this.query.toDate,
+      formattedFromDate: moment(this.query.fromDate).format(DATE_FORMAT),
+      formattedToDate: moment(this.query.toDate).format(DATE_FORMAT),
+      openingBalance: this.getStatementAmount(this.getOpeningBalance()),
+      invoicedAmount: this.getStatementAmount(
+        sumBy(this.periodTransactions, this.getTransactionDebit)
+      ),
+      receivedAmount: this.getStatementAmount(
+        sumBy(this.periodTransactions, this.getTransactionCredit)
+      ),
+      transactions: this.getTransactions(),
+      openInvoices: this.getOpenInvoices(),
+      aging: this.getAging(),
+      closingBalance: this.getStatementAmount(this.getClosingBalance()),
+    };
+  };
+}
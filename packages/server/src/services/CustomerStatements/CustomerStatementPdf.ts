@@ -0,0 +1,47 @@
+import { Inject, Service } from 'typedi';
+import { ICustomerStatementQuery } from '@/interfaces';
+import { ChromiumlyTenancy } from '@/services/ChromiumlyTenancy/ChromiumlyTenancy';
+import { TemplateInjectable } from '@/services/TemplateInjectable/TemplateInjectable';
+import { GetCustomerStatement } from './GetCustomerStatement';
+
+@Service()
+export class CustomerStatementPdf {
+  @Inject()
+  private chromiumlyTenancy: ChromiumlyTenancy;
+
+  @Inject()
+  private templateInjectable: TemplateInjectable;
+
+  @Inject()
+  private getCustomerStatementService: GetCustomerStatement;
+
+  /**
+   * Retrieves the customer statement pdf content.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} customerId - Customer id.
+   * @param {Partial<ICustomerStatementQuery>} query - Statement query.
+   * @returns {Promise<Buffer>}
+   */
+  public async getCustomerStatementPdf(
+    tenantId: number,
+    customerId: number,
+    query?: Partial<ICustomerStatementQuery>
+  ): Promise<Buffer> {
+    const statement =
+      await this.getCustomerStatementService.getCustomerStatement(
+        tenantId,
+        customerId,
+        query
+      );
+    const htmlContent = await this.templateInjectable.render(
+      tenantId,
+      'modules/customer-statement-regular',
+      {
+        statement,
+      }
+    );
+    return this.chromiumlyTenancy.convertHtmlContent(tenantId, htmlContent, {
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+    });
+  }
+}
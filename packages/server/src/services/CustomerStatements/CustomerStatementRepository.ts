@@ -0,0 +1,99 @@
+import { Inject, Service } from 'typedi';
+import { map } from 'lodash';
+import { IAccountTransaction, ISaleInvoice } from '@/interfaces';
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+@Service()
+export class CustomerStatementRepository {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the accounts receivable ids.
+   * @param {number} tenantId
+   * @returns {Promise<number[]>}
+   */
+  private async getReceivableAccountsIds(tenantId: number): Promise<number[]> {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const accounts = await Account.query().where(
+      'accountType',
+      ACCOUNT_TYPE.ACCOUNTS_RECEIVABLE
+    );
+    return map(accounts, 'id');
+  }
+
+  /**
+   * Retrieves the receivable transactions of the given customer
+   * between the given dates, ordered by date.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Date|string|null} fromDate
+   * @param {Date|string} toDate
+   * @returns {Promise<IAccountTransaction[]>}
+   */
+  public async getCustomerTransactions(
+    tenantId: number,
+    customerId: number,
+    fromDate: Date | string | null,
+    toDate: Date | string
+  ): Promise<IAccountTransaction[]> {
+    const { AccountTransaction } = this.tenancy.models(tenantId);
+
+    const receivableAccountsIds = await this.getReceivableAccountsIds(tenantId);
+
+    return AccountTransaction.query().onBuild((query) => {
+      query.modify('filterDateRange', fromDate, toDate);
+      query.where('contactId', customerId);
+      query.whereIn('accountId', receivableAccountsIds);
+      query.orderBy('date', 'ASC');
+      query.orderBy('createdAt', 'ASC');
+    });
+  }
+
+  /**
+   * Retrieves the delivered invoices of the given customer that still have
+   * due amount and issued on or before the given date.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Date|string} toDate
+   * @returns {Promise<ISaleInvoice[]>}
+   */
+  public async getCustomerOpenInvoices(
+    tenantId: number,
+    customerId: number,
+    toDate: Date | string
+  ): Promise<ISaleInvoice[]> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    return SaleInvoice.query()
+      .where('customerId', customerId)
+      .modify('delivered')
+      .modify('dueInvoices')
+      .modify('filterDateRange', null, toDate)
+      .withGraphFetched('lateFeeForInvoice')
+      .orderBy('invoiceDate', 'ASC')
+      .orderBy('id', 'ASC');
+  }
+
+  /**
+   * Retrieves the ids of the late fee invoices charged to the given customer.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @returns {Promise<number[]>}
+   */
+  public async getCustomerLateFeeInvoicesIds(
+    tenantId: number,
+    customerId: number
+  ): Promise<number[]> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const lateFeeInvoices = await SaleInvoice.query()
+      .select('id')
+      .where('customerId', customerId)
+      .whereNotNull('lateFeeForInvoiceId');
+
+    return map(lateFeeInvoices, 'id');
+  }
+}
@@ -0,0 +1,120 @@
+import { Inject, Service } from 'typedi';
+import {
+  CustomerStatementMailOptions,
+  CustomerStatementMailOptionsDTO,
+  ICustomerStatement,
+  ICustomerStatementQuery,
+  ICustomersStatementsBulkMailDTO,
+  ICustomersStatementsBulkMailResult,
+} from '@/interfaces';
+import { GetCustomerStatement } from './GetCustomerStatement';
+import { CustomerStatementPdf } from './CustomerStatementPdf';
+import { SendCustomerStatementMail } from './SendCustomerStatementMail';
+import { SendCustomersStatementsBulkMail } from './SendCustomersStatementsBulkMail';
+
+@Service()
+export class CustomerStatementsApplication {
+  @Inject()
+  private getCustomerStatementService: GetCustomerStatement;
+
+  @Inject()
+  private customerStatementPdf: CustomerStatementPdf;
+
+  @Inject()
+  private sendStatementMailService: SendCustomerStatementMail;
+
+  @Inject()
+  private sendBulkMailService: SendCustomersStatementsBulkMail;
+
+  /**
+   * Retrieves the statement of account of the given customer.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Partial<ICustomerStatementQuery>} query
+   * @returns {Promise<ICustomerStatement>}
+   */
+  public getCustomerStatement(
+    tenantId: number,
+    customerId: number,
+    query: Partial<ICustomerStatementQuery>
+  ): Promise<ICustomerStatement> {
+    return this.getCustomerStatementService.getCustomerStatement(
+      tenantId,
+      customerId,
+      query
+    );
+  }
+
+  /**
+   * Retrieves the statement of account of the given customer in pdf format.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Partial<ICustomerStatementQuery>} query
+   * @returns {Promise<Buffer>}
+   */
+  public getCustomerStatementPdf(
+    tenantId: number,
+    customerId: number,
+    query: Partial<ICustomerStatementQuery>
+  ): Promise<Buffer> {
+    return this.customerStatementPdf.getCustomerStatementPdf(
+      tenantId,
+      customerId,
+      query
+    );
+  }
+
+  /**
+   * Retrieves the default statement mail options of the given customer.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Partial<ICustomerStatementQuery>} query
+   * @returns {Promise<CustomerStatementMailOptions>}
+   */
+  public getCustomerStatementMail(
+    tenantId: number,
+    customerId: number,
+    query: Partial<ICustomerStatementQuery>
+  ): Promise<CustomerStatementMailOptions> {
+    return this.sendStatementMailService.getMailOptions(
+      tenantId,
+      customerId,
+      query
+    );
+  }
+
+  /**
+   * Sends the statement of account mail of the given customer.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Partial<ICustomerStatementQuery>} query
+   * @param {CustomerStatementMailOptionsDTO} messageOptions
+   * @returns {Promise<void>}
+   */
+  public sendCustomerStatementMail(
+    tenantId: number,
+    customerId: number,
+    query: Partial<ICustomerStatementQuery>,
+    messageOptions: CustomerStatementMailOptionsDTO
+  ): Promise<void> {
+    return this.sendStatementMailService.triggerMail(
+      tenantId,
+      customerId,
+      query,
+      messageOptions
+    );
+  }
+
+  /**
+   * Sends the statement of account mail to all customers that have balance.
+   * @param {number} tenantId
+   * @param {ICustomersStatementsBulkMailDTO} bulkMailDTO
+   * @returns {Promise<ICustomersStatementsBulkMailResult>}
+   */
+  public sendCustomersStatementsBulkMail(
+    tenantId: number,
+    bulkMailDTO: ICustomersStatementsBulkMailDTO
+  ): Promise<ICustomersStatementsBulkMailResult> {
+    return this.sendBulkMailService.sendBulkMail(tenantId, bulkMailDTO);
+  }
+}
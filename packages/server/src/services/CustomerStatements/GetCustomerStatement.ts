@@ -0,0 +1,108 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import {
+  CustomerStatementType,
+  ICustomerStatement,
+  ICustomerStatementQuery,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { CustomerStatementRepository } from './CustomerStatementRepository';
+import { CustomerStatement } from './CustomerStatement';
+import { ERRORS } from './constants';
+
+@Service()
+export class GetCustomerStatement {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private repository: CustomerStatementRepository;
+
+  /**
+   * Parses the statement query with the default values.
+   * @param {Partial<ICustomerStatementQuery>} query
+   * @returns {ICustomerStatementQuery}
+   */
+  public parseQuery(
+    query: Partial<ICustomerStatementQuery> = {}
+  ): ICustomerStatementQuery {
+    return {
+      type: query.type || CustomerStatementType.BalanceForward,
+      fromDate: moment(query.fromDate || moment().startOf('year')).format(
+        'YYYY-MM-DD'
+      ),
+      toDate: moment(query.toDate || moment()).format('YYYY-MM-DD'),
+    };
+  }
+
+  /**
+   * Validates the statement date range.
+   * @param {ICustomerStatementQuery} query
+   */
+  private validateDateRange(query: ICustomerStatementQuery) {
+    if (moment(query.toDate).isBefore(query.fromDate, 'day')) {
+      throw new ServiceError(ERRORS.CUSTOMER_STATEMENT_DATE_RANGE_INVALID);
+    }
+  }
+
+  /**
+   * Retrieves the statement of account of the given customer.
+   * @param {number} tenantId
+   * @param {number} customerId
+   * @param {Partial<ICustomerStatementQuery>} statementQuery
+   * @returns {Promise<ICustomerStatement>}
+   */
+  public async getCustomerStatement(
+    tenantId: number,
+    customerId: number,
+    statementQuery?: Partial<ICustomerStatementQuery>
+  ): Promise<ICustomerStatement> {
+    const { Customer } = this.tenancy.models(tenantId);
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const query = this.parseQuery(statementQuery);
+
+    // Validates the statement date range.
+    this.validateDateRange(query);
+
+    const customer = await Customer.query()
+      .findById(customerId)
+      .throwIfNotFound();
+
+    const openingDate = moment(query.fromDate)
+      .subtract(1, 'days')
+      .format('YYYY-MM-DD');
+
+    const openingTransactions = await this.repository.getCustomerTransactions(
+      tenantId,
+      customerId,
+      null,
+      openingDate
+    );
+    const periodTransactions = await this.repository.getCustomerTransactions(
+      tenantId,
+      customerId,
+      query.fromDate,
+      query.toDate
+    );
+    const openInvoices = await this.repository.getCustomerOpenInvoices(
+      tenantId,
+      customerId,
+      query.toDate
+    );
+    const lateFeeInvoicesIds =
+      await this.repository.getCustomerLateFeeInvoicesIds(tenantId, customerId);
+
+    const statement = new CustomerStatement(
+      customer,
+      query,
+      openingTransactions,
+      periodTransactions,
+      openInvoices,
+      lateFeeInvoicesIds,
+      i18n
+    );
+    return statement.reportData();
+  }
+}
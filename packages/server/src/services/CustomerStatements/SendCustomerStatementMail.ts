@@ -0,0 +1,181 @@
+import { Inject, Service } from 'typedi';
+import Mail from '@/lib/Mail';
+import {
+  CustomerStatementMailOptions,
+  CustomerStatementMailOptionsDTO,
+  ICustomerStatementMailSendPayload,
+  ICustomerStatementQuery,
+} from '@/interfaces';
+import { ContactMailNotification } from '@/services/MailNotification/ContactMailNotification';
+import { parseAndValidateMailOptions } from '@/services/MailNotification/utils';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { GetCustomerStatement } from './GetCustomerStatement';
+import { CustomerStatementPdf } from './CustomerStatementPdf';
+import {
+  DEFAULT_CUSTOMER_STATEMENT_MAIL_CONTENT,
+  DEFAULT_CUSTOMER_STATEMENT_MAIL_SUBJECT,
+} from './constants';
+
+@Service()
+export class SendCustomerStatementMail {
+  @Inject()
+  private getCustomerStatementService: GetCustomerStatement;
+
+  @Inject()
+  private customerStatementPdf: CustomerStatementPdf;
+
+  @Inject()
+  private contactMailNotification: ContactMailNotification;
+
+  @Inject('agenda')
+  private agenda: any;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Triggers the statement mail of the given customer.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} customerId - Customer id.
+   * @param {Partial<ICustomerStatementQuery>} statementQuery - Statement query.
+   * @param {CustomerStatementMailOptionsDTO} messageOptions - Message options.
+   * @returns {Promise<void>}
+   */
+  public async triggerMail(
+    tenantId: number,
+    customerId: number,
+    statementQuery: Partial<ICustomerStatementQuery>,
+    messageOptions: CustomerStatementMailOptionsDTO
+  ): Promise<void> {
+    const query = this.getCustomerStatementService.parseQuery(statementQuery);
+    const payload = {
+      tenantId,
+      customerId,
+      query,
+      messageOptions,
+    };
+    await this.agenda.now('customer-statement-mail-send', payload);
+
+    // Triggers `onCustomerStatementPreMailSend` event.
+    await this.eventPublisher.emitAsync(
+      events.customerStatement.onPreMailSend,
+      payload as ICustomerStatementMailSendPayload
+    );
+  }
+
+  /**
+   * Formats the text of the mail.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} customerId - Customer id.
+   * @param {Partial<ICustomerStatementQuery>} query - Statement query.
+   * @returns {Promise<Record<string, string>>}
+   */
+  public formatterData = async (
+    tenantId: number,
+    customerId: number,
+    query?: Partial<ICustomerStatementQuery>
+  ): Promise<Record<string, string>> => {
+    const statement =
+      await this.getCustomerStatementService.getCustomerStatement(
+        tenantId,
+        customerId,
+        query
+      );
+    return {
+      CustomerName: statement.customer.displayName,
+      StatementFromDate: statement.formattedFromDate,
+      StatementToDate: statement.formattedToDate,
+      StatementBalanceDue: statement.closingBalance.formattedAmount,
+    };
+  };
+
+  /**
+   * Retrieves the statement mail options of the given customer.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} customerId - Customer id.
+   * @param {Partial<ICustomerStatementQuery>} query - Statement query.
+   * @returns {Promise<CustomerStatementMailOptions>}
+   */
+  public getMailOptions = async (
+    tenantId: number,
+    customerId: number,
+    query?: Partial<ICustomerStatementQuery>
+  ): Promise<CustomerStatementMailOptions> => {
+    const formatterData = await this.formatterData(tenantId, customerId, query);
+
+    const mailOptions = await this.contactMailNotification.getMailOptions(
+      tenantId,
+      customerId,
+      DEFAULT_CUSTOMER_STATEMENT_MAIL_SUBJECT,
+      DEFAULT_CUSTOMER_STATEMENT_MAIL_CONTENT,
+      formatterData
+    );
+    return {
+      ...mailOptions,
+      data: formatterData,
+      attachStatement: true,
+    };
+  };
+
+  /**
+   * Sends the statement mail of the given customer.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} customerId - Customer id.
+   * @param {ICustomerStatementQuery} query - Statement query.
+   * @param {CustomerStatementMailOptionsDTO} messageOptions - Message options.
+   * @returns {Promise<void>}
+   */
+  public async sendMail(
+    tenantId: number,
+    customerId: number,
+    query: ICustomerStatementQuery,
+    messageOptions: CustomerStatementMailOptionsDTO
+  ): Promise<void> {
+    const localMessageOpts = await this.getMailOptions(
+      tenantId,
+      customerId,
+      query
+    );
+    // Overrides and validates the given mail options.
+    const messageOpts = parseAndValidateMailOptions(
+      localMessageOpts,
+      messageOptions
+    );
+    const mail = new Mail()
+      .setSubject(messageOpts.subject)
+      .setTo(messageOpts.to)
+      .setContent(messageOpts.body);
+
+    if (messageOpts.attachStatement) {
+      const statementPdfBuffer =
+        await this.customerStatementPdf.getCustomerStatementPdf(
+          tenantId,
+          customerId,
+          query
+        );
+      mail.setAttachments([
+        { filename: 'statement.pdf', content: statementPdfBuffer },
+      ]);
+    }
+    const eventPayload = {
+      tenantId,
+      customerId,
+      query,
+      messageOptions,
+    } as ICustomerStatementMailSendPayload;
+
+    // Triggers `onCustomerStatementMailSend` event.
+    await this.eventPublisher.emitAsync(
+      events.customerStatement.onMailSend,
+      eventPayload
+    );
+    await mail.send();
+
+    // Triggers `onCustomerStatementMailSent` event.
+    await this.eventPublisher.emitAsync(
+      events.customerStatement.onMailSent,
+      eventPayload
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { SendCustomerStatementMail } from './SendCustomerStatementMail';
+
+@Service()
+export class SendCustomerStatementMailJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'customer-statement-mail-send',
+      { priority: 'high', concurrency: 2 },
+      this.handler
+    );
+  }
+
+  /**
+   * Triggers sending the customer statement mail.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId, customerId, query, messageOptions } = job.attrs.data;
+    const sendStatementMail = Container.get(SendCustomerStatementMail);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await sendStatementMail.sendMail(
+        tenantId,
+        customerId,
+        query,
+        messageOptions
+      );
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
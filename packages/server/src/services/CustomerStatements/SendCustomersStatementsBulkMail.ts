@@ -0,0 +1,75 @@
+import { Inject, Service } from 'typedi';
+import { isEmpty } from 'lodash';
+import {
+  ICustomersStatementsBulkMailDTO,
+  ICustomersStatementsBulkMailResult,
+  ICustomersStatementsBulkMailSendPayload,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { GetCustomerStatement } from './GetCustomerStatement';
+import { SendCustomerStatementMail } from './SendCustomerStatementMail';
+
+@Service()
+export class SendCustomersStatementsBulkMail {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private getCustomerStatementService: GetCustomerStatement;
+
+  @Inject()
+  private sendStatementMail: SendCustomerStatementMail;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Queues the statement mail of all active customers that have balance,
+   * the customers without mail address are skipped.
+   * @param {number} tenantId - Tenant id.
+   * @param {ICustomersStatementsBulkMailDTO} bulkMailDTO - Bulk mail DTO.
+   * @returns {Promise<ICustomersStatementsBulkMailResult>}
+   */
+  public async sendBulkMail(
+    tenantId: number,
+    bulkMailDTO: ICustomersStatementsBulkMailDTO
+  ): Promise<ICustomersStatementsBulkMailResult> {
+    const { Customer } = this.tenancy.models(tenantId);
+    const { attachStatement, ...statementQuery } = bulkMailDTO;
+
+    const query = this.getCustomerStatementService.parseQuery(statementQuery);
+
+    const customers = await Customer.query()
+      .modify('active')
+      .modify('unpaid')
+      .orderBy('displayName');
+
+    const customersIds = [];
+    const skippedCustomersIds = [];
+
+    for (const customer of customers) {
+      if (isEmpty(customer.contactAddresses)) {
+        skippedCustomersIds.push(customer.id);
+        continue;
+      }
+      await this.sendStatementMail.triggerMail(tenantId, customer.id, query, {
+        ...(attachStatement !== undefined && { attachStatement }),
+      });
+      customersIds.push(customer.id);
+    }
+    // Triggers `onCustomerStatementsBulkMailSend` event.
+    await this.eventPublisher.emitAsync(
+      events.customerStatement.onBulkMailSend,
+      {
+        tenantId,
+        query,
+        customersIds,
+        skippedCustomersIds,
+      } as ICustomersStatementsBulkMailSendPayload
+    );
+
+    return { customersIds, skippedCustomersIds };
+  }
+}
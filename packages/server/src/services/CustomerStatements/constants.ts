@@ -0,0 +1,27 @@
+export const DEFAULT_CUSTOMER_STATEMENT_MAIL_SUBJECT =
+  'Statement of account from {CompanyName}';
+export const DEFAULT_CUSTOMER_STATEMENT_MAIL_CONTENT = `
+<p>Dear {CustomerName}</p>
+<p>Please find attached your statement of account for the period from {StatementFromDate} to {StatementToDate}.</p>
+<p>
+Balance due : <strong>{StatementBalanceDue}</strong>
+</p>
+
+<p>
+<i>Regards</i><br />
+<i>{CompanyName}</i>
+</p>
+`;
+
+export const ERRORS = {
+  CUSTOMER_STATEMENT_DATE_RANGE_INVALID:
+    'CUSTOMER_STATEMENT_DATE_RANGE_INVALID',
+};
+
+export const CUSTOMER_STATEMENT_AGING_BUCKETS = [
+  { key: 'current', fromDays: 0, toDays: 0 },
+  { key: '1_30', fromDays: 1, toDays: 30 },
+  { key: '31_60', fromDays: 31, toDays: 60 },
+  { key: '61_90', fromDays: 61, toDays: 90 },
+  { key: 'over_90', fromDays: 91, toDays: null },
+];
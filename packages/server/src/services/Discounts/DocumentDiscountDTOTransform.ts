@@ -0,0 +1,53 @@
+import { Service } from 'typedi';
+import { IDocumentDiscountCharges } from '@/interfaces';
+import { calcDiscountAmount } from '@/utils/discount';
+
+interface IDiscountedDocument extends IDocumentDiscountCharges {
+  isInclusiveTax?: boolean;
+  taxAmountWithheld?: number;
+}
+
+@Service()
+export class DocumentDiscountDTOTransform {
+  /**
+   * Retrieves the amount the document discount is calculated of, the discount
+   * before tax is calculated of the subtotal excluding tax and the discount
+   * after tax of the total tax included.
+   * @param {IDiscountedDocument} model - Document model.
+   * @param {number} subtotal - Document entries amount.
+   * @returns {number}
+   */
+  private getDiscountedAmount = (
+    model: IDiscountedDocument,
+    subtotal: number
+  ): number => {
+    const taxAmount = model.taxAmountWithheld || 0;
+
+    if (model.isDiscountBeforeTax) {
+      return model.isInclusiveTax ? subtotal - taxAmount : subtotal;
+    }
+    return model.isInclusiveTax ? subtotal : subtotal + taxAmount;
+  };
+
+  /**
+   * Associates the discount amount to the given document model.
+   * @param {string} amountAttribute - Attribute of the document entries amount.
+   * @returns {(model: T) => T}
+   */
+  public assocDiscountAmount =
+    <T extends IDiscountedDocument>(amountAttribute: string = 'amount') =>
+    (model: T): T => {
+      const discountedAmount = this.getDiscountedAmount(
+        model,
+        model[amountAttribute]
+      );
+      return {
+        ...model,
+        discountAmount: calcDiscountAmount(
+          model.discount,
+          model.discountType,
+          discountedAmount
+        ),
+      };
+    };
+}
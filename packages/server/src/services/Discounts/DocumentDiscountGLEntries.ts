@@ -0,0 +1,133 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { IAccount, IDocumentDiscountCharges, ILedgerEntry } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+export interface IDocumentDiscountChargesAccounts {
+  discountAccount?: IAccount;
+  shippingChargesAccount?: IAccount;
+  otherChargesAccount?: IAccount;
+}
+
+@Service()
+export class DocumentDiscountGLEntries {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Finds or creates the accounts of the sales document discount and charges,
+   * only the accounts of the document non-zero amounts are created.
+   * @param {number} tenantId
+   * @param {IDocumentDiscountCharges} document
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IDocumentDiscountChargesAccounts>}
+   */
+  public findOrCreateSalesAccounts = async (
+    tenantId: number,
+    document: IDocumentDiscountCharges,
+    trx?: Knex.Transaction
+  ): Promise<IDocumentDiscountChargesAccounts> => {
+    const { accountRepository } = this.tenancy.repositories(tenantId);
+
+    const discountAccount = document.discountAmount
+      ? await accountRepository.findOrCreateDiscountAccount({}, trx)
+      : null;
+    const shippingChargesAccount = document.shippingCharge
+      ? await accountRepository.findOrCreateShippingChargesAccount({}, trx)
+      : null;
+    const otherChargesAccount = document.adjustment
+      ? await accountRepository.findOrCreateOtherChargesAccount({}, trx)
+      : null;
+
+    return { discountAccount, shippingChargesAccount, otherChargesAccount };
+  };
+
+  /**
+   * Finds or creates the accounts of the purchases document discount and
+   * charges, only the accounts of the document non-zero amounts are created.
+   * @param {number} tenantId
+   * @param {IDocumentDiscountCharges} document
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IDocumentDiscountChargesAccounts>}
+   */
+  public findOrCreatePurchasesAccounts = async (
+    tenantId: number,
+    document: IDocumentDiscountCharges,
+    trx?: Knex.Transaction
+  ): Promise<IDocumentDiscountChargesAccounts> => {
+    const { accountRepository } = this.tenancy.repositories(tenantId);
+
+    const discountAccount = document.discountAmount
+      ? await accountRepository.findOrCreatePurchaseDiscountAccount({}, trx)
+      : null;
+    const shippingChargesAccount = document.shippingCharge
+      ? await accountRepository.findOrCreatePurchaseShippingChargesAccount(
+          {},
+          trx
+        )
+      : null;
+    const otherChargesAccount = document.adjustment
+      ? await accountRepository.findOrCreateOtherChargesAccount({}, trx)
+      : null;
+
+    return { discountAccount, shippingChargesAccount, otherChargesAccount };
+  };
+
+  /**
+   * Retrieves the GL entries of the document discount, shipping charge and
+   * rounding adjustment. The sales document debits the discount and credits
+   * the charges, the purchases and the reversing documents flip the sides.
+   * @param {IDocumentDiscountCharges} document - Document model.
+   * @param {Partial<ILedgerEntry>} commonEntry - Document GL common entry.
+   * @param {IDocumentDiscountChargesAccounts} accounts
+   * @param {boolean} reverse - Flips the debit and credit sides.
+   * @returns {ILedgerEntry[]}
+   */
+  public getDiscountChargesGLEntries = (
+    document: IDocumentDiscountCharges,
+    commonEntry: Partial<ILedgerEntry>,
+    accounts: IDocumentDiscountChargesAccounts,
+    reverse: boolean = false
+  ): ILedgerEntry[] => {
+    const getEntry = (
+      account: IAccount,
+      amount: number,
+      index: number
+    ): ILedgerEntry => {
+      // Positive amount is debited on the sales side.
+      const isDebit = amount > 0 !== reverse;
+
+      return {
+        ...commonEntry,
+        debit: isDebit ? Math.abs(amount) : 0,
+        credit: !isDebit ? Math.abs(amount) : 0,
+        accountId: account.id,
+        accountNormal: account.accountNormal,
+        index,
+        indexGroup: 40,
+      } as ILedgerEntry;
+    };
+    const entries = [];
+
+    if (document.discountAmount) {
+      entries.push(
+        getEntry(accounts.discountAccount, document.discountAmountLocal, 1)
+      );
+    }
+    if (document.shippingCharge) {
+      entries.push(
+        getEntry(
+          accounts.shippingChargesAccount,
+          -document.shippingChargeLocal,
+          2
+        )
+      );
+    }
+    if (document.adjustment) {
+      entries.push(
+        getEntry(accounts.otherChargesAccount, -document.adjustmentLocal, 3)
+      );
+    }
+    return entries;
+  };
+}
@@ -0,0 +1,70 @@
+import { Service } from 'typedi';
+import { sumBy } from 'lodash';
+import { IEarlyPaymentDiscountTerms } from '@/interfaces';
+import {
+  calcEarlyPaymentDiscount,
+  isWithinEarlyPaymentDiscountWindow,
+} from '@/utils/early-payment-discount';
+
+interface IEarlyPaymentDiscountDocument extends IEarlyPaymentDiscountTerms {
+  id: number;
+  dueAmount: number;
+}
+
+interface IEarlyPaymentDiscountEntry {
+  paymentAmount: number;
+  discountAmount?: number;
+}
+
+@Service()
+export class EarlyPaymentDiscountDTOTransform {
+  /**
+   * Associates the early payment discount amount to the given payment entries,
+   * the entries of documents paid within the discount window earn the discount
+   * of the document terms, otherwise the discount amount is zero.
+   * @param {T[]} entries - Payment entries.
+   * @param {IEarlyPaymentDiscountDocument[]} documents - Paid documents.
+   * @param {string} documentIdAttr - Entry attribute of the document id.
+   * @param {string} documentDateAttr - Document date attribute.
+   * @param {Date|string} paymentDate - Payment date.
+   * @param {IEarlyPaymentDiscountEntry[]} oldEntries - Old payment entries.
+   * @returns {T[]}
+   */
+  public assocEntriesDiscountAmount = <T extends IEarlyPaymentDiscountEntry>(
+    entries: T[],
+    documents: IEarlyPaymentDiscountDocument[],
+    documentIdAttr: string,
+    documentDateAttr: string,
+    paymentDate: Date | string,
+    oldEntries: IEarlyPaymentDiscountEntry[] = []
+  ): T[] => {
+    const documentsMap = new Map(
+      documents.map((document) => [document.id, document])
+    );
+    return entries.map((entry) => {
+      const document = documentsMap.get(entry[documentIdAttr]);
+
+      if (
+        !document ||
+        !isWithinEarlyPaymentDiscountWindow(
+          document[documentDateAttr],
+          document.earlyPaymentDiscountDays,
+          paymentDate
+        )
+      ) {
+        return { ...entry, discountAmount: 0 };
+      }
+      // The old payment entries amounts are settled again by the edited entries.
+      const oldSettledAmount = sumBy(
+        oldEntries.filter((e) => e[documentIdAttr] === document.id),
+        (e) => e.paymentAmount + (e.discountAmount || 0)
+      );
+      const discountAmount = calcEarlyPaymentDiscount(
+        document.earlyPaymentDiscountRate,
+        entry.paymentAmount,
+        document.dueAmount + oldSettledAmount
+      );
+      return { ...entry, discountAmount };
+    });
+  };
+}
@@ -8,6 +8,7 @@ import {
   ILedgerEntry,
 } from '@/interfaces';
 import Ledger from '@/services/Accounting/Ledger';
+import { hasServicePeriod } from '@/utils/amortization';
 
 @Service()
 export class ExpenseGLEntries {
@@ -52,7 +53,8 @@ export class ExpenseGLEntries {
   };
 
   /**
-   * Retrieves the expense GL category entry.
+   * Retrieves the expense GL category entry, the category with service period
+   * is debited to its prepaid expense account then recognized monthly.
    * @param   {IExpense} expense -
    * @param   {IExpenseCategory} expenseCategory -
    * @param   {number} index
@@ -69,7 +71,9 @@ export class ExpenseGLEntries {
 
       return {
         ...commonEntry,
-        accountId: category.expenseAccountId,
+        accountId: hasServicePeriod(category)
+          ? category.deferralAccountId
+          : category.expenseAccountId,
         accountNormal: AccountNormal.DEBIT,
         debit: localAmount,
         note: category.description,
@@ -6,6 +6,7 @@ import {
   ISystemUser,
 } from '@/interfaces';
 import { Service, Inject } from 'typedi';
+import { Knex } from 'knex';
 import { CreateExpense } from './CRUD/CreateExpense';
 import { DeleteExpense } from './CRUD/DeleteExpense';
 import { EditExpense } from './CRUD/EditExpense';
@@ -38,17 +39,20 @@ export class ExpensesApplication {
    * @param   {number} tenantId
    * @param   {IExpenseDTO} expenseDTO
    * @param   {ISystemUser} authorizedUser
+   * @param   {Knex.Transaction} trx
    * @returns {Promise<IExpense>}
    */
   public createExpense = (
     tenantId: number,
     expenseDTO: IExpenseCreateDTO,
-    authorizedUser: ISystemUser
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
   ): Promise<IExpense> => {
     return this.createExpenseService.newExpense(
       tenantId,
       expenseDTO,
-      authorizedUser
+      authorizedUser,
+      trx
     );
   };
 
@@ -0,0 +1,82 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IExpenseRecurring,
+  IExpenseRecurringCreateDTO,
+  IExpenseRecurringCreatedPayload,
+  IExpenseRecurringCreatingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { ExpenseRecurringValidators } from './ExpenseRecurringValidators';
+import { ExpenseRecurringDTOTransformer } from './ExpenseRecurringDTOTransformer';
+
+@Service()
+export class CreateExpenseRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: ExpenseRecurringValidators;
+
+  @Inject()
+  private transformerDTO: ExpenseRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Creates a new recurring expense profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {IExpenseRecurringCreateDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<IExpenseRecurring>}
+   */
+  public async createRecurring(
+    tenantId: number,
+    recurringDTO: IExpenseRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IExpenseRecurring> {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate the payment and expense accounts.
+    await this.validators.validateRecurringAccounts(tenantId, recurringDTO);
+
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser
+    );
+    // Creates a new recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onExpenseRecurringCreating` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onCreating, {
+        tenantId,
+        recurringDTO,
+        trx,
+      } as IExpenseRecurringCreatingPayload);
+      const recurring = await ExpenseRecurring.query(trx).upsertGraph(
+        recurringObj
+      );
+      // Triggers `onExpenseRecurringCreated` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onCreated, {
+        tenantId,
+        recurring,
+        recurringId: recurring.id,
+        recurringDTO,
+        authorizedUser,
+        trx,
+      } as IExpenseRecurringCreatedPayload);
+      return recurring;
+    });
+  }
+}
@@ -0,0 +1,74 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IExpenseRecurringDeletedPayload,
+  IExpenseRecurringDeletingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { ExpenseRecurringValidators } from './ExpenseRecurringValidators';
+
+@Service()
+export class DeleteExpenseRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: ExpenseRecurringValidators;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Deletes the given recurring profile with associated categories and history,
+   * the already generated expenses are kept untouched.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @returns {Promise<void>}
+   */
+  public async deleteRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    const {
+      ExpenseRecurring,
+      ExpenseRecurringHistory,
+      ExpenseRecurringCategory,
+    } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await ExpenseRecurring.query().findById(recurringId);
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onExpenseRecurringDeleting` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onDeleting, {
+        tenantId,
+        oldRecurring,
+        trx,
+      } as IExpenseRecurringDeletingPayload);
+      await ExpenseRecurringCategory.query(trx)
+        .where('expense_recurring_id', recurringId)
+        .delete();
+
+      await ExpenseRecurringHistory.query(trx)
+        .where('recurring_id', recurringId)
+        .delete();
+
+      await ExpenseRecurring.query(trx).findById(recurringId).delete();
+
+      // Triggers `onExpenseRecurringDeleted` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onDeleted, {
+        tenantId,
+        recurringId,
+        oldRecurring,
+        trx,
+      } as IExpenseRecurringDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,96 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IExpenseRecurring,
+  IExpenseRecurringEditDTO,
+  IExpenseRecurringEditedPayload,
+  IExpenseRecurringEditingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { ExpenseRecurringValidators } from './ExpenseRecurringValidators';
+import { ExpenseRecurringDTOTransformer } from './ExpenseRecurringDTOTransformer';
+
+@Service()
+export class EditExpenseRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: ExpenseRecurringValidators;
+
+  @Inject()
+  private transformerDTO: ExpenseRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Edits the given recurring expense profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @param {IExpenseRecurringEditDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<IExpenseRecurring>}
+   */
+  public async editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: IExpenseRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IExpenseRecurring> {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await ExpenseRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('categories');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate the payment and expense accounts.
+    await this.validators.validateRecurringAccounts(tenantId, recurringDTO);
+
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser,
+      oldRecurring
+    );
+    // Edits the recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onExpenseRecurringEditing` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onEditing, {
+        tenantId,
+        oldRecurring,
+        recurringDTO,
+        trx,
+      } as IExpenseRecurringEditingPayload);
+      const recurring = await ExpenseRecurring.query(trx).upsertGraphAndFetch({
+        id: recurringId,
+        ...recurringObj,
+      });
+      // Triggers `onExpenseRecurringEdited` event.
+      await this.eventPublisher.emitAsync(events.expenseRecurring.onEdited, {
+        tenantId,
+        recurring,
+        oldRecurring,
+        recurringId,
+        recurringDTO,
+        authorizedUser,
+        trx,
+      } as IExpenseRecurringEditedPayload);
+
+      return recurring;
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { Service } from 'typedi';
+import { omit } from 'lodash';
+import moment from 'moment';
+import {
+  IExpenseRecurring,
+  IExpenseRecurringDTO,
+  ITenantUser,
+  RecurringCreationMode,
+} from '@/interfaces';
+import { formatDateFields } from 'utils';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class ExpenseRecurringDTOTransformer {
+  /**
+   * Transformes the recurring profile DTO to model object.
+   * @param {IExpenseRecurringDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @param {IExpenseRecurring} oldRecurring
+   * @returns {IExpenseRecurring}
+   */
+  public transformDTOToModel(
+    recurringDTO: IExpenseRecurringDTO,
+    authorizedUser: ITenantUser,
+    oldRecurring?: IExpenseRecurring
+  ): IExpenseRecurring {
+    const repeatInterval = recurringDTO.repeatInterval || 1;
+
+    // The next run resumes after the last generated expense in edit mode,
+    // otherwise starts from the profile start date.
+    const nextRunAt = getRecurringNextDate(
+      recurringDTO.startDate,
+      recurringDTO.frequency,
+      repeatInterval,
+      oldRecurring?.lastRunAt ||
+        moment(recurringDTO.startDate).subtract(1, 'day').toDate(),
+      recurringDTO.endDate
+    );
+    return {
+      ...formatDateFields(omit(recurringDTO, ['categories']), [
+        'startDate',
+        'endDate',
+      ]),
+      repeatInterval,
+      creationMode: recurringDTO.creationMode || RecurringCreationMode.Draft,
+      exchangeRate: recurringDTO.exchangeRate || 1,
+      nextRunAt: nextRunAt ? moment(nextRunAt).format('YYYY-MM-DD') : null,
+      categories: recurringDTO.categories.map((category) => ({
+        ...category,
+        landedCost: category.landedCost || false,
+      })),
+      ...(!oldRecurring && { userId: authorizedUser.id }),
+    } as IExpenseRecurring;
+  }
+}
@@ -0,0 +1,38 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IExpenseRecurringHistory } from '@/interfaces';
+
+export class ExpenseRecurringHistoryTransformer extends Transformer {
+  /**
+   * Include these attributes to history entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['runDateFormatted', 'expenseReferenceNo'];
+  };
+
+  /**
+   * Exclude these attributes from history entry object.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['expense'];
+  };
+
+  /**
+   * Retrieves the formatted run date.
+   * @param {IExpenseRecurringHistory} history
+   * @returns {string}
+   */
+  protected runDateFormatted = (history: IExpenseRecurringHistory) => {
+    return this.formatDate(history.runDate);
+  };
+
+  /**
+   * Retrieves the generated expense reference number.
+   * @param history
+   * @returns {string}
+   */
+  protected expenseReferenceNo = (history): string => {
+    return history.expense?.referenceNo || '';
+  };
+}
@@ -0,0 +1,98 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IExpenseRecurring } from '@/interfaces';
+import { ExpenseCategoryTransformer } from '../CRUD/ExpenseCategoryTransformer';
+import { ExpenseRecurringHistoryTransformer } from './ExpenseRecurringHistoryTransformer';
+
+export class ExpenseRecurringTransformer extends Transformer {
+  /**
+   * Include these attributes to recurring profile object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'startDateFormatted',
+      'endDateFormatted',
+      'nextRunAtFormatted',
+      'lastRunAtFormatted',
+      'paymentAccountName',
+      'payeeName',
+      'categories',
+      'history',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted start date.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected startDateFormatted = (recurring: IExpenseRecurring): string => {
+    return this.formatDate(recurring.startDate);
+  };
+
+  /**
+   * Retrieves the formatted end date.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected endDateFormatted = (recurring: IExpenseRecurring): string => {
+    return this.formatDate(recurring.endDate);
+  };
+
+  /**
+   * Retrieves the formatted next run date.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected nextRunAtFormatted = (recurring: IExpenseRecurring): string => {
+    return this.formatDate(recurring.nextRunAt);
+  };
+
+  /**
+   * Retrieves the formatted last run date.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected lastRunAtFormatted = (recurring: IExpenseRecurring): string => {
+    return this.formatDate(recurring.lastRunAt);
+  };
+
+  /**
+   * Retrieves the payment account name.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected paymentAccountName = (recurring: IExpenseRecurring): string => {
+    return recurring.paymentAccount?.name || '';
+  };
+
+  /**
+   * Retrieves the payee display name.
+   * @param {IExpenseRecurring} recurring
+   * @returns {string}
+   */
+  protected payeeName = (recurring: IExpenseRecurring): string => {
+    return recurring.payee?.displayName || '';
+  };
+
+  /**
+   * Retrieves the categories of the recurring profile.
+   * @param {IExpenseRecurring} recurring
+   */
+  protected categories = (recurring: IExpenseRecurring) => {
+    return this.item(recurring.categories, new ExpenseCategoryTransformer(), {
+      currencyCode: recurring.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the generated expenses history of the recurring profile.
+   * @param {IExpenseRecurring} recurring
+   */
+  protected history = (recurring: IExpenseRecurring) => {
+    return this.item(
+      recurring.history,
+      new ExpenseRecurringHistoryTransformer()
+    );
+  };
+}
@@ -0,0 +1,114 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import {
+  IExpenseCreateDTO,
+  IExpenseRecurring,
+  IExpenseRecurringDTO,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { CommandExpenseValidator } from '../CRUD/CommandExpenseValidator';
+import { ERRORS } from './constants';
+
+@Service()
+export class ExpenseRecurringValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private expenseValidator: CommandExpenseValidator;
+
+  /**
+   * Validates the payment and expense accounts of the recurring profile
+   * the same way the expense transaction is validated.
+   * @param {number} tenantId
+   * @param {IExpenseRecurringDTO} recurringDTO
+   */
+  public async validateRecurringAccounts(
+    tenantId: number,
+    recurringDTO: IExpenseRecurringDTO
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    // Validate payment account existance on the storage.
+    const paymentAccount = await Account.query()
+      .findById(recurringDTO.paymentAccountId)
+      .throwIfNotFound();
+
+    // Retrieves the DTO expense accounts ids.
+    const DTOExpenseAccountsIds = recurringDTO.categories.map(
+      (category) => category.expenseAccountId
+    );
+    const expenseAccounts = await Account.query().whereIn(
+      'id',
+      DTOExpenseAccountsIds
+    );
+    // Validate expense accounts exist on the storage.
+    this.expenseValidator.validateExpensesAccountsExistance(
+      expenseAccounts,
+      DTOExpenseAccountsIds
+    );
+    // Validate payment account type.
+    this.expenseValidator.validatePaymentAccountType(paymentAccount);
+
+    // Validate expenses accounts type.
+    this.expenseValidator.validateExpensesAccountsType(expenseAccounts);
+
+    // Validate the given expense categories not equal zero.
+    this.expenseValidator.validateCategoriesNotEqualZero(
+      recurringDTO as unknown as IExpenseCreateDTO
+    );
+  }
+  /**
+   * Validates the recurring profile existance.
+   * @param {IExpenseRecurring | undefined} recurring
+   */
+  public validateRecurringExistance(recurring: IExpenseRecurring | undefined) {
+    if (!recurring) {
+      throw new ServiceError(ERRORS.EXPENSE_RECURRING_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the end date should be after the start date.
+   * @param {IExpenseRecurringDTO} recurringDTO
+   */
+  public validateEndDateAfterStartDate(recurringDTO: IExpenseRecurringDTO) {
+    if (
+      recurringDTO.endDate &&
+      moment(recurringDTO.endDate).isBefore(recurringDTO.startDate, 'day')
+    ) {
+      throw new ServiceError(ERRORS.END_DATE_BEFORE_START_DATE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile has remaining runs.
+   * @param {IExpenseRecurring} recurring
+   */
+  public validateRecurringNotCompleted(recurring: IExpenseRecurring) {
+    if (!recurring.nextRunAt) {
+      throw new ServiceError(ERRORS.EXPENSE_RECURRING_COMPLETED);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is not active.
+   * @param {IExpenseRecurring} recurring
+   */
+  public validateRecurringNotActive(recurring: IExpenseRecurring) {
+    if (recurring.active) {
+      throw new ServiceError(ERRORS.EXPENSE_RECURRING_ALREADY_ACTIVE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is active.
+   * @param {IExpenseRecurring} recurring
+   */
+  public validateRecurringActive(recurring: IExpenseRecurring) {
+    if (!recurring.active) {
+      throw new ServiceError(ERRORS.EXPENSE_RECURRING_ALREADY_INACTIVE);
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { Inject, Service } from 'typedi';
+import {
+  IExpenseRecurring,
+  IExpenseRecurringCreateDTO,
+  IExpenseRecurringEditDTO,
+  ITenantUser,
+} from '@/interfaces';
+import { CreateExpenseRecurring } from './CreateExpenseRecurring';
+import { EditExpenseRecurring } from './EditExpenseRecurring';
+import { DeleteExpenseRecurring } from './DeleteExpenseRecurring';
+import { ActivateExpenseRecurring } from './ActivateExpenseRecurring';
+import { GetExpenseRecurring } from './GetExpenseRecurring';
+import { GetExpensesRecurring } from './GetExpensesRecurring';
+import { GetExpenseRecurringOccurrences } from './GetExpenseRecurringOccurrences';
+
+@Service()
+export class ExpensesRecurringApplication {
+  @Inject()
+  private createRecurringService: CreateExpenseRecurring;
+
+  @Inject()
+  private editRecurringService: EditExpenseRecurring;
+
+  @Inject()
+  private deleteRecurringService: DeleteExpenseRecurring;
+
+  @Inject()
+  private activateRecurringService: ActivateExpenseRecurring;
+
+  @Inject()
+  private getRecurringService: GetExpenseRecurring;
+
+  @Inject()
+  private getRecurringListService: GetExpensesRecurring;
+
+  @Inject()
+  private getRecurringOccurrencesService: GetExpenseRecurringOccurrences;
+
+  /**
+   * Creates a new recurring expense profile.
+   * @param {number} tenantId
+   * @param {IExpenseRecurringCreateDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<IExpenseRecurring>}
+   */
+  public createRecurring(
+    tenantId: number,
+    recurringDTO: IExpenseRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IExpenseRecurring> {
+    return this.createRecurringService.createRecurring(
+      tenantId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @param {IExpenseRecurringEditDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<IExpenseRecurring>}
+   */
+  public editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: IExpenseRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IExpenseRecurring> {
+    return this.editRecurringService.editRecurring(
+      tenantId,
+      recurringId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public deleteRecurring(tenantId: number, recurringId: number): Promise<void> {
+    return this.deleteRecurringService.deleteRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Activates the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public activateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.activateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Inactivates the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public inactivateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.inactivateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Retrieves the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   */
+  public getRecurring(tenantId: number, recurringId: number) {
+    return this.getRecurringService.getRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Retrieves the recurring expense profiles.
+   * @param {number} tenantId
+   */
+  public getRecurringList(tenantId: number) {
+    return this.getRecurringListService.getRecurringList(tenantId);
+  }
+
+  /**
+   * Previews the next occurrences of the given recurring expense profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @param {number} count
+   */
+  public getRecurringOccurrences(
+    tenantId: number,
+    recurringId: number,
+    count: number
+  ) {
+    return this.getRecurringOccurrencesService.getRecurringOccurrences(
+      tenantId,
+      recurringId,
+      count
+    );
+  }
+}
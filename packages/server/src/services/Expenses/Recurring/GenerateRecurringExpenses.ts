@@ -0,0 +1,223 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { pick } from 'lodash';
+import moment from 'moment';
+import bluebird from 'bluebird';
+import {
+  IExpenseCreateDTO,
+  IExpenseCategoryDTO,
+  IExpenseRecurring,
+  IExpenseRecurringGeneratedPayload,
+  ISystemUser,
+  RecurringCreationMode,
+  RecurringHistoryStatus,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { ExpensesApplication } from '../ExpensesApplication';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class GenerateRecurringExpenses {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private expensesApplication: ExpensesApplication;
+
+  /**
+   * Generates the expenses of all recurring profiles that due to run
+   * on the given date, including the occurrences missed since the last run.
+   * @param {number} tenantId - Tenant id.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateDueRecurringExpenses(
+    tenantId: number,
+    asDate: Date = moment().toDate()
+  ): Promise<void> {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    const dueRecurringList = await ExpenseRecurring.query()
+      .modify('dueToRun', moment(asDate).format('YYYY-MM-DD'))
+      .withGraphFetched('categories');
+
+    await bluebird.mapSeries(dueRecurringList, (recurring) =>
+      this.generateRecurringExpenses(tenantId, recurring, asDate)
+    );
+  }
+
+  /**
+   * Generates the expenses of the given recurring profile until the given date.
+   * @param {number} tenantId - Tenant id.
+   * @param {IExpenseRecurring} recurring - Recurring profile.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateRecurringExpenses(
+    tenantId: number,
+    recurring: IExpenseRecurring,
+    asDate: Date
+  ): Promise<void> {
+    let current = recurring;
+
+    while (
+      current.nextRunAt &&
+      moment(current.nextRunAt).isSameOrBefore(asDate, 'day')
+    ) {
+      current = await this.generateRecurringExpense(tenantId, current);
+    }
+  }
+
+  /**
+   * Generates the expense of the next run of the given recurring profile,
+   * records the run to the profile history and moves the profile to the next run.
+   * Failed runs are recorded to the history and skipped.
+   * @param {number} tenantId - Tenant id.
+   * @param {IExpenseRecurring} recurring - Recurring profile.
+   * @returns {Promise<IExpenseRecurring>} - The recurring profile after the run.
+   */
+  public async generateRecurringExpense(
+    tenantId: number,
+    recurring: IExpenseRecurring
+  ): Promise<IExpenseRecurring> {
+    const { ExpenseRecurring, ExpenseRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    const runDate = moment(recurring.nextRunAt).format('YYYY-MM-DD');
+    const nextRunDate = getRecurringNextDate(
+      recurring.startDate,
+      recurring.frequency,
+      recurring.repeatInterval,
+      runDate,
+      recurring.endDate
+    );
+    const nextRunAt = nextRunDate
+      ? moment(nextRunDate).format('YYYY-MM-DD')
+      : null;
+
+    const nextRecurring = {
+      ...recurring,
+      lastRunAt: moment(runDate).toDate(),
+      nextRunAt: nextRunDate,
+    };
+    try {
+      await this.uow.withTransaction(
+        tenantId,
+        async (trx: Knex.Transaction) => {
+          const expense = await this.expensesApplication.createExpense(
+            tenantId,
+            this.transformRecurringToExpenseDTO(recurring, runDate),
+            { id: recurring.userId } as ISystemUser,
+            trx
+          );
+          await ExpenseRecurringHistory.query(trx).insert({
+            recurringId: recurring.id,
+            expenseId: expense.id,
+            runDate,
+            status: RecurringHistoryStatus.Generated,
+          });
+          await ExpenseRecurring.query(trx)
+            .findById(recurring.id)
+            .patch({ lastRunAt: runDate, nextRunAt });
+
+          // Triggers `onExpenseRecurringGenerated` event.
+          await this.eventPublisher.emitAsync(
+            events.expenseRecurring.onGenerated,
+            {
+              tenantId,
+              recurring,
+              expenseId: expense.id,
+              runDate: moment(runDate).toDate(),
+              trx,
+            } as IExpenseRecurringGeneratedPayload
+          );
+        }
+      );
+    } catch (error) {
+      await this.recordFailedRun(
+        tenantId,
+        recurring,
+        runDate,
+        nextRunAt,
+        error
+      );
+
+      return { ...nextRecurring, lastRunAt: recurring.lastRunAt };
+    }
+    return nextRecurring;
+  }
+
+  /**
+   * Records the failed run to the recurring profile history and skips
+   * the profile to the next run, so the failed run is not retried forever.
+   * @param {number} tenantId
+   * @param {IExpenseRecurring} recurring
+   * @param {string} runDate
+   * @param {string|null} nextRunAt
+   * @param {any} error
+   * @returns {Promise<void>}
+   */
+  private async recordFailedRun(
+    tenantId: number,
+    recurring: IExpenseRecurring,
+    runDate: string,
+    nextRunAt: string | null,
+    error: any
+  ): Promise<void> {
+    const { ExpenseRecurring, ExpenseRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    await ExpenseRecurringHistory.query().insert({
+      recurringId: recurring.id,
+      expenseId: null,
+      runDate,
+      status: RecurringHistoryStatus.Failed,
+      errorMessage: error?.errorType || error?.message || null,
+    });
+    await ExpenseRecurring.query().findById(recurring.id).patch({ nextRunAt });
+  }
+
+  /**
+   * Transformes the recurring profile to expense DTO of the given run date,
+   * the expense is created as draft or published based on the profile creation mode.
+   * @param {IExpenseRecurring} recurring
+   * @param {string} runDate
+   * @returns {IExpenseCreateDTO}
+   */
+  private transformRecurringToExpenseDTO(
+    recurring: IExpenseRecurring,
+    runDate: string
+  ): IExpenseCreateDTO {
+    return {
+      paymentAccountId: recurring.paymentAccountId,
+      payeeId: recurring.payeeId,
+      paymentDate: moment(runDate).toDate(),
+      referenceNo: recurring.referenceNo,
+      description: recurring.description,
+      currencyCode: recurring.currencyCode,
+      exchangeRate: recurring.exchangeRate,
+      branchId: recurring.branchId,
+      publish: recurring.creationMode === RecurringCreationMode.Open,
+      categories: recurring.categories.map(
+        (category) =>
+          pick(category, [
+            'index',
+            'expenseAccountId',
+            'amount',
+            'description',
+            'landedCost',
+            'projectId',
+          ]) as IExpenseCategoryDTO
+      ),
+    } as IExpenseCreateDTO;
+  }
+}
@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { GenerateRecurringExpenses } from './GenerateRecurringExpenses';
+
+@Service()
+export class GenerateRecurringExpensesJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'recurring-expenses-generate',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Generates the due recurring expenses of the given tenant.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const generateRecurringExpenses = Container.get(GenerateRecurringExpenses);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await generateRecurringExpenses.generateDueRecurringExpenses(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { ExpenseRecurringTransformer } from './ExpenseRecurringTransformer';
+import { ExpenseRecurringValidators } from './ExpenseRecurringValidators';
+
+@Service()
+export class GetExpenseRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: ExpenseRecurringValidators;
+
+  /**
+   * Retrieves the recurring profile details with categories and history.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   */
+  public async getRecurring(tenantId: number, recurringId: number) {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    const recurring = await ExpenseRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('categories.expenseAccount')
+      .withGraphFetched('paymentAccount')
+      .withGraphFetched('payee')
+      .withGraphFetched('branch')
+      .withGraphFetched('history.expense');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(recurring);
+
+    return this.transformer.transform(
+      tenantId,
+      recurring,
+      new ExpenseRecurringTransformer()
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { RecurringOccurrences } from '@/services/Recurring/RecurringOccurrences';
+import { ExpenseRecurringValidators } from './ExpenseRecurringValidators';
+
+@Service()
+export class GetExpenseRecurringOccurrences {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private recurringOccurrences: RecurringOccurrences;
+
+  @Inject()
+  private validators: ExpenseRecurringValidators;
+
+  /**
+   * Previews the next occurrences of the given recurring profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @param {number} count - Occurrences count.
+   */
+  public async getRecurringOccurrences(
+    tenantId: number,
+    recurringId: number,
+    count: number
+  ) {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    const recurring = await ExpenseRecurring.query().findById(recurringId);
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(recurring);
+
+    return this.recurringOccurrences.getUpcomingOccurrences(
+      tenantId,
+      recurring,
+      count
+    );
+  }
+}
@@ -0,0 +1,33 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { ExpenseRecurringTransformer } from './ExpenseRecurringTransformer';
+
+@Service()
+export class GetExpensesRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the recurring profiles list.
+   * @param {number} tenantId - Tenant id.
+   */
+  public async getRecurringList(tenantId: number) {
+    const { ExpenseRecurring } = this.tenancy.models(tenantId);
+
+    const recurringList = await ExpenseRecurring.query()
+      .withGraphFetched('categories.expenseAccount')
+      .withGraphFetched('paymentAccount')
+      .withGraphFetched('payee')
+      .orderBy('created_at', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      recurringList,
+      new ExpenseRecurringTransformer()
+    );
+  }
+}
@@ -0,0 +1,7 @@
+export const ERRORS = {
+  EXPENSE_RECURRING_NOT_FOUND: 'EXPENSE_RECURRING_NOT_FOUND',
+  END_DATE_BEFORE_START_DATE: 'END_DATE_BEFORE_START_DATE',
+  EXPENSE_RECURRING_ALREADY_ACTIVE: 'EXPENSE_RECURRING_ALREADY_ACTIVE',
+  EXPENSE_RECURRING_ALREADY_INACTIVE: 'EXPENSE_RECURRING_ALREADY_INACTIVE',
+  EXPENSE_RECURRING_COMPLETED: 'EXPENSE_RECURRING_COMPLETED',
+};
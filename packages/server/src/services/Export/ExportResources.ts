@@ -9,6 +9,7 @@ import { SaleInvoicesExportable } from '../Sales/Invoices/SaleInvoicesExportable
 import { SaleEstimatesExportable } from '../Sales/Estimates/SaleEstimatesExportable';
 import { SaleReceiptsExportable } from '../Sales/Receipts/SaleReceiptsExportable';
 import { BillsExportable } from '../Purchases/Bills/BillsExportable';
+import { PurchaseOrdersExportable } from '../Purchases/PurchaseOrders/PurchaseOrdersExportable';
 import { PaymentsReceivedExportable } from '../Sales/PaymentReceives/PaymentsReceivedExportable';
 import { BillPaymentExportable } from '../Purchases/BillPayments/BillPaymentExportable';
 import { ManualJournalsExportable } from '../ManualJournals/ManualJournalExportable';
@@ -41,6 +42,7 @@ export class ExportableResources {
     { resource: 'SaleEstimate', exportable: SaleEstimatesExportable },
     { resource: 'SaleReceipt', exportable: SaleReceiptsExportable },
     { resource: 'Bill', exportable: BillsExportable },
+    { resource: 'PurchaseOrder', exportable: PurchaseOrdersExportable },
     { resource: 'PaymentReceive', exportable: PaymentsReceivedExportable },
     { resource: 'BillPayment', exportable: BillPaymentExportable },
     { resource: 'ManualJournal', exportable: ManualJournalsExportable },
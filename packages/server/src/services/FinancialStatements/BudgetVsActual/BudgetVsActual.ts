@@ -0,0 +1,393 @@
+import * as R from 'ramda';
+import moment from 'moment';
+import { sumBy } from 'lodash';
+import {
+  BudgetVsActualNodeId,
+  BudgetVsActualNodeType,
+  IAccount,
+  IBudgetVsActualAccountNode,
+  IBudgetVsActualAccountsNode,
+  IBudgetVsActualAmounts,
+  IBudgetVsActualDatePeriodNode,
+  IBudgetVsActualEquationNode,
+  IBudgetVsActualNode,
+  IBudgetVsActualQuery,
+  IDateRange,
+} from '@/interfaces';
+import FinancialSheet from '../FinancialSheet';
+import { FinancialDatePeriods } from '../FinancialDatePeriods';
+import { BudgetVsActualRepository } from './BudgetVsActualRepository';
+import { EXPENSES_ACCOUNTS_TYPES, INCOME_ACCOUNTS_TYPES } from './_constants';
+
+export default class BudgetVsActual extends R.compose(FinancialDatePeriods)(
+  FinancialSheet
+) {
+  /**
+   * Budget vs actual query.
+   * @param {IBudgetVsActualQuery}
+   */
+  readonly query: IBudgetVsActualQuery;
+
+  /**
+   * Organization's base currency.
+   * @param {string}
+   */
+  readonly baseCurrency: string;
+
+  /**
+   * Budget vs actual repository.
+   * @param {BudgetVsActualRepository}
+   */
+  readonly repository: BudgetVsActualRepository;
+
+  /**
+   * Constructor method.
+   * @param {BudgetVsActualRepository} repository -
+   * @param {IBudgetVsActualQuery} query -
+   * @param {string} baseCurrency -
+   * @param {any} i18n -
+   */
+  constructor(
+    repository: BudgetVsActualRepository,
+    query: IBudgetVsActualQuery,
+    baseCurrency: string,
+    i18n: any
+  ) {
+    super();
+
+    this.query = query;
+    this.repository = repository;
+    this.numberFormat = this.query.numberFormat;
+    this.baseCurrency = baseCurrency;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Detarmines whether the report columns are date periods.
+   * @returns {boolean}
+   */
+  private isDatePeriodsColumnsType = (): boolean => {
+    return this.query.displayColumnsType === 'date_periods';
+  };
+
+  /**
+   * Retrieves the date periods based on the report query.
+   * @returns {IDateRange[]}
+   */
+  get datePeriods(): IDateRange[] {
+    return this.getDateRanges(
+      this.query.fromDate,
+      this.query.toDate,
+      this.query.displayColumnsBy
+    );
+  }
+
+  // --------------------------
+  // # Amounts
+  // --------------------------
+  /**
+   * Retrieves the budget, actual and variance amounts meta, the variance is
+   * signed to be positive when favorable, actual income above budget or
+   * actual expenses below budget.
+   * @param {number} budget
+   * @param {number} actual
+   * @param {number} variance
+   * @param {boolean} isTotal
+   * @returns {IBudgetVsActualAmounts}
+   */
+  private getAmountsMeta = (
+    budget: number,
+    actual: number,
+    variance: number,
+    isTotal: boolean = false
+  ): IBudgetVsActualAmounts => {
+    const amountMeta = isTotal
+      ? (amount: number) => this.getTotalAmountMeta(amount)
+      : (amount: number) => this.getAmountMeta(amount);
+
+    const percentageMeta = isTotal
+      ? this.getPercentageTotalAmountMeta
+      : this.getPercentageAmountMeta;
+
+    return {
+      budget: amountMeta(budget),
+      actual: amountMeta(actual),
+      variance: amountMeta(variance),
+      variancePercentage: percentageMeta(
+        this.getPercentageBasis(Math.abs(budget), variance)
+      ),
+    };
+  };
+
+  /**
+   * Retrieves the account budget of the given date range clamped to the
+   * report date range.
+   * @param {number} accountId
+   * @param {Date} fromDate
+   * @param {Date} toDate
+   * @returns {number}
+   */
+  private getAccountBudget = (
+    accountId: number,
+    fromDate: Date | string,
+    toDate: Date | string
+  ): number => {
+    const from = moment.max(moment(fromDate), moment(this.query.fromDate));
+    const to = moment.min(moment(toDate), moment(this.query.toDate));
+
+    return this.repository.getAccountBudgetAmount(
+      accountId,
+      from.toDate(),
+      to.toDate()
+    );
+  };
+
+  // --------------------------
+  // # Account nodes.
+  // --------------------------
+  /**
+   * Retrieves the date period node of the given account node.
+   * @param {number} sign - Favorable variance direction.
+   * @param {IBudgetVsActualAccountNode} node
+   * @param {Date} fromDate
+   * @param {Date} toDate
+   * @returns {IBudgetVsActualDatePeriodNode}
+   */
+  private getAccountNodeDatePeriod = (
+    sign: number,
+    node: IBudgetVsActualAccountNode,
+    fromDate: Date,
+    toDate: Date
+  ): IBudgetVsActualDatePeriodNode => {
+    const budget = this.getAccountBudget(node.id, fromDate, toDate);
+    const actual = this.repository.periodsAccountsLedger
+      .whereAccountId(node.id)
+      .whereFromDate(fromDate)
+      .whereToDate(toDate)
+      .getClosingBalance();
+
+    return {
+      fromDate: this.getDateMeta(fromDate),
+      toDate: this.getDateMeta(toDate),
+      ...this.getAmountsMeta(budget, actual, (actual - budget) * sign),
+    };
+  };
+
+  /**
+   * Associates the date periods to the given account node.
+   * @param {number} sign
+   * @param {IBudgetVsActualAccountNode} node
+   * @returns {IBudgetVsActualAccountNode}
+   */
+  private assocAccountNodeDatePeriods = (
+    sign: number,
+    node: IBudgetVsActualAccountNode
+  ): IBudgetVsActualAccountNode => {
+    const horizontalTotals = this.datePeriods.map((dateRange) =>
+      this.getAccountNodeDatePeriod(
+        sign,
+        node,
+        dateRange.fromDate,
+        dateRange.toDate
+      )
+    );
+    return R.assoc('horizontalTotals', horizontalTotals, node);
+  };
+
+  /**
+   * Retrieves the sheet account node from the given account.
+   * @param {number} sign
+   * @param {IAccount} account
+   * @returns {IBudgetVsActualAccountNode}
+   */
+  private accountNodeMapper = (
+    sign: number,
+    account: IAccount
+  ): IBudgetVsActualAccountNode => {
+    const budget = this.getAccountBudget(
+      account.id,
+      this.query.fromDate,
+      this.query.toDate
+    );
+    const actual = this.repository.totalAccountsLedger
+      .whereAccountId(account.id)
+      .getClosingBalance();
+
+    return {
+      id: account.id,
+      name: account.name,
+      code: account.code,
+      nodeType: BudgetVsActualNodeType.ACCOUNT,
+      ...this.getAmountsMeta(budget, actual, (actual - budget) * sign),
+    };
+  };
+
+  /**
+   * Compose account node.
+   * @param {number} sign
+   * @param {IAccount} account
+   * @returns {IBudgetVsActualAccountNode}
+   */
+  private accountNodeCompose = (
+    sign: number,
+    account: IAccount
+  ): IBudgetVsActualAccountNode => {
+    const node = this.accountNodeMapper(sign, account);
+
+    return this.isDatePeriodsColumnsType()
+      ? this.assocAccountNodeDatePeriods(sign, node)
+      : node;
+  };
+
+  /**
+   * Detarmines whether the given account node has no budget and no actual.
+   * @param {IBudgetVsActualAccountNode} node
+   * @returns {boolean}
+   */
+  private isAccountNodeZero = (node: IBudgetVsActualAccountNode): boolean => {
+    return node.budget.amount === 0 && node.actual.amount === 0;
+  };
+
+  // --------------------------
+  // # Aggregate nodes.
+  // --------------------------
+  /**
+   * Retrieves the summation of the given nodes date period of the given index.
+   * @param {IBudgetVsActualNode[]} nodes
+   * @param {IDateRange} dateRange
+   * @param {number} index
+   * @returns {IBudgetVsActualDatePeriodNode}
+   */
+  private getAggregateDatePeriod = (
+    nodes: IBudgetVsActualNode[],
+    dateRange: IDateRange,
+    index: number
+  ): IBudgetVsActualDatePeriodNode => {
+    const budget = sumBy(nodes, `horizontalTotals[${index}].budget.amount`);
+    const actual = sumBy(nodes, `horizontalTotals[${index}].actual.amount`);
+    const variance = sumBy(nodes, `horizontalTotals[${index}].variance.amount`);
+    return {
+      fromDate: this.getDateMeta(dateRange.fromDate),
+      toDate: this.getDateMeta(dateRange.toDate),
+      ...this.getAmountsMeta(budget, actual, variance, true),
+    };
+  };
+
+  /**
+   * Associates the aggregate date periods to the given accounts node.
+   * @param {IBudgetVsActualAccountsNode} node
+   * @returns {IBudgetVsActualAccountsNode}
+   */
+  private assocAccountsNodeDatePeriods = (
+    node: IBudgetVsActualAccountsNode
+  ): IBudgetVsActualAccountsNode => {
+    const horizontalTotals = this.datePeriods.map((dateRange, index) =>
+      this.getAggregateDatePeriod(node.children, dateRange, index)
+    );
+    return R.assoc('horizontalTotals', horizontalTotals, node);
+  };
+
+  /**
+   * Retrieves the accounts node of the given accounts types.
+   * @param {BudgetVsActualNodeId} id
+   * @param {string} name
+   * @param {string[]} accountsTypes
+   * @param {number} sign
+   * @returns {IBudgetVsActualAccountsNode}
+   */
+  private accountsNode = (
+    id: BudgetVsActualNodeId,
+    name: string,
+    accountsTypes: string[],
+    sign: number
+  ): IBudgetVsActualAccountsNode => {
+    const accounts = this.repository.getAccountsByType(accountsTypes);
+
+    const accountsNodes = accounts.map((account) =>
+      this.accountNodeCompose(sign, account)
+    );
+
+    // Hides the accounts that have no budget and no actual amounts.
+    const children = this.query.noneZero
+      ? accountsNodes.filter((node) => !this.isAccountNodeZero(node))
+      : accountsNodes;
+
+    const node = {
+      id,
+      name: this.i18n.__(name),
+      nodeType: BudgetVsActualNodeType.ACCOUNTS,
+      children,
+      ...this.getAmountsMeta(
+        sumBy(children, 'budget.amount'),
+        sumBy(children, 'actual.amount'),
+        sumBy(children, 'variance.amount'),
+        true
+      ),
+    } as IBudgetVsActualAccountsNode;
+
+    return R.when(
+      this.isDatePeriodsColumnsType,
+      this.assocAccountsNodeDatePeriods
+    )(node);
+  };
+
+  /**
+   * Retrieves the net income node, the income minus the expenses.
+   * @param {IBudgetVsActualAccountsNode} incomeNode
+   * @param {IBudgetVsActualAccountsNode} expensesNode
+   * @returns {IBudgetVsActualEquationNode}
+   */
+  private netIncomeNode = (
+    incomeNode: IBudgetVsActualAccountsNode,
+    expensesNode: IBudgetVsActualAccountsNode
+  ): IBudgetVsActualEquationNode => {
+    const getNetAmounts = (income, expenses) =>
+      this.getAmountsMeta(
+        income.budget.amount - expenses.budget.amount,
+        income.actual.amount - expenses.actual.amount,
+        income.variance.amount + expenses.variance.amount,
+        true
+      );
+    const node = {
+      id: BudgetVsActualNodeId.NET_INCOME,
+      name: this.i18n.__('budget_vs_actual.net_income'),
+      nodeType: BudgetVsActualNodeType.EQUATION,
+      ...getNetAmounts(incomeNode, expensesNode),
+    } as IBudgetVsActualEquationNode;
+
+    if (!this.isDatePeriodsColumnsType()) {
+      return node;
+    }
+    const horizontalTotals = this.datePeriods.map((dateRange, index) => ({
+      fromDate: this.getDateMeta(dateRange.fromDate),
+      toDate: this.getDateMeta(dateRange.toDate),
+      ...getNetAmounts(
+        incomeNode.horizontalTotals[index],
+        expensesNode.horizontalTotals[index]
+      ),
+    }));
+    return R.assoc('horizontalTotals', horizontalTotals, node);
+  };
+
+  /**
+   * Retrieves the report data.
+   * @returns {IBudgetVsActualNode[]}
+   */
+  public reportData = (): IBudgetVsActualNode[] => {
+    const incomeNode = this.accountsNode(
+      BudgetVsActualNodeId.INCOME,
+      'budget_vs_actual.income',
+      INCOME_ACCOUNTS_TYPES,
+      1
+    );
+    const expensesNode = this.accountsNode(
+      BudgetVsActualNodeId.EXPENSES,
+      'budget_vs_actual.expenses',
+      EXPENSES_ACCOUNTS_TYPES,
+      -1
+    );
+    const netIncomeNode = this.netIncomeNode(incomeNode, expensesNode);
+
+    return [incomeNode, expensesNode, netIncomeNode];
+  };
+}
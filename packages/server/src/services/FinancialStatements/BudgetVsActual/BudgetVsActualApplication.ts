@@ -0,0 +1,70 @@
+import { Inject, Service } from 'typedi';
+import { IBudgetVsActualQuery, IBudgetVsActualStatement } from '@/interfaces';
+import { BudgetVsActualInjectable } from './BudgetVsActualInjectable';
+import { BudgetVsActualTableInjectable } from './BudgetVsActualTableInjectable';
+import { BudgetVsActualExportInjectable } from './BudgetVsActualExportInjectable';
+
+@Service()
+export class BudgetVsActualApplication {
+  @Inject()
+  private sheetService: BudgetVsActualInjectable;
+
+  @Inject()
+  private tablable: BudgetVsActualTableInjectable;
+
+  @Inject()
+  private exportable: BudgetVsActualExportInjectable;
+
+  /**
+   * Retrieves the budget vs actual sheet.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<IBudgetVsActualStatement>}
+   */
+  public sheet(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<IBudgetVsActualStatement> {
+    return this.sheetService.budgetVsActual(tenantId, query);
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in table format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<IBudgetVsActualTable>}
+   */
+  public table(tenantId: number, query: IBudgetVsActualQuery) {
+    return this.tablable.table(tenantId, query);
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<string>}
+   */
+  public csv(tenantId: number, query: IBudgetVsActualQuery) {
+    return this.exportable.csv(tenantId, query);
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public xlsx(tenantId: number, query: IBudgetVsActualQuery) {
+    return this.exportable.xlsx(tenantId, query);
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public pdf(tenantId: number, query: IBudgetVsActualQuery) {
+    return this.exportable.pdf(tenantId, query);
+  }
+}
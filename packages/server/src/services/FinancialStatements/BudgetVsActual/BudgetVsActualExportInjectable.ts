@@ -0,0 +1,60 @@
+import { Inject, Service } from 'typedi';
+import { TableSheet } from '@/lib/Xlsx/TableSheet';
+import { IBudgetVsActualQuery } from '@/interfaces';
+import { BudgetVsActualTableInjectable } from './BudgetVsActualTableInjectable';
+import { BudgetVsActualPdfInjectable } from './BudgetVsActualPdfInjectable';
+
+@Service()
+export class BudgetVsActualExportInjectable {
+  @Inject()
+  private budgetVsActualTable: BudgetVsActualTableInjectable;
+
+  @Inject()
+  private budgetVsActualPdf: BudgetVsActualPdfInjectable;
+
+  /**
+   * Retrieves the budget vs actual sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async xlsx(tenantId: number, query: IBudgetVsActualQuery) {
+    const table = await this.budgetVsActualTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToXLSX();
+
+    return tableSheet.convertToBuffer(tableCsv, 'xlsx');
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<string>}
+   */
+  public async csv(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<string> {
+    const table = await this.budgetVsActualTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToCSV();
+
+    return tableCsv;
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<Buffer> {
+    return this.budgetVsActualPdf.pdf(tenantId, query);
+  }
+}
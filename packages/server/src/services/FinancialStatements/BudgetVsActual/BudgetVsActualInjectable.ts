@@ -0,0 +1,105 @@
+import { Service, Inject } from 'typedi';
+import moment from 'moment';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import {
+  IBudgetVsActualQuery,
+  IBudgetVsActualStatement,
+  IFinancialDatePeriodsUnit,
+} from '@/interfaces';
+import { Tenant } from '@/system/models';
+import { BudgetValidators } from '@/services/Budgets/BudgetValidators';
+import BudgetVsActual from './BudgetVsActual';
+import { BudgetVsActualRepository } from './BudgetVsActualRepository';
+import { BudgetVsActualMeta } from './BudgetVsActualMeta';
+
+@Service()
+export class BudgetVsActualInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private budgetValidators: BudgetValidators;
+
+  @Inject()
+  private budgetVsActualMeta: BudgetVsActualMeta;
+
+  /**
+   * Defaults budget vs actual sheet filter query.
+   * @return {Partial<IBudgetVsActualQuery>}
+   */
+  private get defaultQuery(): Partial<IBudgetVsActualQuery> {
+    return {
+      numberFormat: {
+        divideOn1000: false,
+        negativeFormat: 'mines',
+        showZero: false,
+        formatMoney: 'total',
+        precision: 2,
+      },
+      noneZero: true,
+      displayColumnsType: 'total',
+      displayColumnsBy: IFinancialDatePeriodsUnit.Month,
+      branchesIds: [],
+      projectsIds: [],
+    };
+  }
+
+  /**
+   * Retrieves the budget vs actual sheet, the date range defaults to the
+   * budget fiscal year.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @return {Promise<IBudgetVsActualStatement>}
+   */
+  public async budgetVsActual(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<IBudgetVsActualStatement> {
+    const { Budget } = this.tenancy.models(tenantId);
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const budget = await Budget.query().findById(query.budgetId);
+
+    // Validates the budget existance.
+    this.budgetValidators.validateBudgetExistance(budget);
+
+    const filter = {
+      ...this.defaultQuery,
+      fromDate: moment(budget.fromDate).format('YYYY-MM-DD'),
+      toDate: moment(budget.toDate).format('YYYY-MM-DD'),
+      ...query,
+    } as IBudgetVsActualQuery;
+
+    const tenant = await Tenant.query()
+      .findById(tenantId)
+      .withGraphFetched('metadata');
+
+    const models = this.tenancy.models(tenantId);
+    const budgetVsActualRepos = new BudgetVsActualRepository(
+      models,
+      filter,
+      budget
+    );
+    // Loads the resources.
+    await budgetVsActualRepos.asyncInitialize();
+
+    // Budget vs actual report instance.
+    const budgetVsActualInstance = new BudgetVsActual(
+      budgetVsActualRepos,
+      filter,
+      tenant.metadata.baseCurrency,
+      i18n
+    );
+    // Budget vs actual sheet data.
+    const data = budgetVsActualInstance.reportData();
+
+    // Budget vs actual sheet meta.
+    const meta = await this.budgetVsActualMeta.meta(tenantId, filter, budget);
+
+    return {
+      data,
+      query: filter,
+      meta,
+    };
+  }
+}
@@ -0,0 +1,44 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import {
+  IBudget,
+  IBudgetVsActualMeta,
+  IBudgetVsActualQuery,
+} from '@/interfaces';
+import { FinancialSheetMeta } from '../FinancialSheetMeta';
+
+@Service()
+export class BudgetVsActualMeta {
+  @Inject()
+  private financialSheetMeta: FinancialSheetMeta;
+
+  /**
+   * Retrieves the budget vs actual sheet meta.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @param {IBudget} budget
+   * @returns {Promise<IBudgetVsActualMeta>}
+   */
+  public async meta(
+    tenantId: number,
+    query: IBudgetVsActualQuery,
+    budget: IBudget
+  ): Promise<IBudgetVsActualMeta> {
+    const commonMeta = await this.financialSheetMeta.meta(tenantId);
+
+    const formattedFromDate = moment(query.fromDate).format('YYYY/MM/DD');
+    const formattedToDate = moment(query.toDate).format('YYYY/MM/DD');
+    const formattedDateRange = `From ${formattedFromDate} to ${formattedToDate}`;
+
+    const sheetName = `Budget vs Actual - ${budget.name}`;
+
+    return {
+      ...commonMeta,
+      sheetName,
+      budgetName: budget.name,
+      formattedFromDate,
+      formattedToDate,
+      formattedDateRange,
+    };
+  }
+}
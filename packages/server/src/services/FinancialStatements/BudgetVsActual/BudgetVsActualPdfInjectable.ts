@@ -0,0 +1,35 @@
+import { Inject, Service } from 'typedi';
+import { IBudgetVsActualQuery } from '@/interfaces';
+import { TableSheetPdf } from '../TableSheetPdf';
+import { BudgetVsActualTableInjectable } from './BudgetVsActualTableInjectable';
+import { HtmlTableCustomCss } from './_constants';
+
+@Service()
+export class BudgetVsActualPdfInjectable {
+  @Inject()
+  private budgetVsActualTable: BudgetVsActualTableInjectable;
+
+  @Inject()
+  private tableSheetPdf: TableSheetPdf;
+
+  /**
+   * Converts the budget vs actual sheet table to pdf.
+   * @param {number} tenantId - Tenant ID.
+   * @param {IBudgetVsActualQuery} query - Budget vs actual query.
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<Buffer> {
+    const table = await this.budgetVsActualTable.table(tenantId, query);
+
+    return this.tableSheetPdf.convertToPdf(
+      tenantId,
+      table.table,
+      table.meta.sheetName,
+      table.meta.formattedDateRange,
+      HtmlTableCustomCss
+    );
+  }
+}
@@ -0,0 +1,299 @@
+import * as R from 'ramda';
+import moment from 'moment';
+import { Knex } from 'knex';
+import { castArray, defaultTo, groupBy, isEmpty, sumBy } from 'lodash';
+import { transformToMapBy } from 'utils';
+import {
+  IAccount,
+  IAccountTransactionsGroupBy,
+  IBudget,
+  IBudgetEntry,
+  IBudgetVsActualQuery,
+} from '@/interfaces';
+import Ledger from '@/services/Accounting/Ledger';
+import { FinancialDatePeriods } from '../FinancialDatePeriods';
+
+export class BudgetVsActualRepository extends R.compose(FinancialDatePeriods)(
+  class {}
+) {
+  /**
+   * Tenant models.
+   */
+  public models: any;
+
+  /**
+   * Budget vs actual query.
+   * @param {IBudgetVsActualQuery}
+   */
+  public query: IBudgetVsActualQuery;
+
+  /**
+   * The budget of the report.
+   * @param {IBudget}
+   */
+  public budget: IBudget;
+
+  /**
+   * @param {IAccount[]}
+   */
+  public accounts: IAccount[];
+
+  /**
+   * Accounts grouped by account type.
+   */
+  public accountsByType: Map<string, IAccount[]>;
+
+  /**
+   * Budget entries grouped by account id.
+   */
+  public budgetEntriesByAccountId: Record<string, IBudgetEntry[]>;
+
+  /**
+   * Transactions group type.
+   * @param {IAccountTransactionsGroupBy}
+   */
+  public transactionsGroupType: IAccountTransactionsGroupBy =
+    IAccountTransactionsGroupBy.Month;
+
+  /**
+   * Accounts total.
+   * @param {Ledger}
+   */
+  public totalAccountsLedger: Ledger;
+
+  /**
+   * Accounts date periods.
+   * @param {Ledger}
+   */
+  public periodsAccountsLedger: Ledger;
+
+  /**
+   * Constructor method.
+   * @param {any} models
+   * @param {IBudgetVsActualQuery} query
+   * @param {IBudget} budget
+   */
+  constructor(models: any, query: IBudgetVsActualQuery, budget: IBudget) {
+    super();
+
+    this.models = models;
+    this.query = query;
+    this.budget = budget;
+    this.transactionsGroupType = this.getGroupByFromDisplayColumnsBy(
+      this.query.displayColumnsBy
+    );
+  }
+
+  /**
+   * Async report repository.
+   */
+  public asyncInitialize = async () => {
+    await this.initAccounts();
+    await this.initBudgetEntries();
+    await this.initAccountsTotalLedger();
+
+    // Date Periods.
+    if (this.query.displayColumnsType === 'date_periods') {
+      await this.initTotalDatePeriods();
+    }
+  };
+
+  // ----------------------------
+  // # Accounts
+  // ----------------------------
+  /**
+   * Initialize accounts of the report.
+   */
+  private initAccounts = async () => {
+    const { Account } = this.models;
+
+    const accounts = await Account.query();
+
+    this.accounts = accounts;
+    this.accountsByType = transformToMapBy(accounts, 'accountType') as Map<
+      string,
+      IAccount[]
+    >;
+  };
+
+  // ----------------------------
+  // # Budget
+  // ----------------------------
+  /**
+   * Initialize the budget entries of the report.
+   */
+  private initBudgetEntries = async () => {
+    const { BudgetEntry } = this.models;
+
+    const entries = await BudgetEntry.query().onBuild((query) => {
+      query.where('budget_id', this.budget.id);
+
+      if (!isEmpty(this.query.branchesIds)) {
+        query.modify('filterByBranches', this.query.branchesIds);
+      }
+      if (!isEmpty(this.query.projectsIds)) {
+        query.modify('filterByProjects', this.query.projectsIds);
+      }
+    });
+    this.budgetEntriesByAccountId = groupBy(entries, 'accountId');
+  };
+
+  // ----------------------------
+  // # Actual
+  // ----------------------------
+  /**
+   * Initialize accounts closing total based on the given query.
+   */
+  private initAccountsTotalLedger = async (): Promise<void> => {
+    const totalByAccount = await this.accountsTotal(
+      this.query.fromDate,
+      this.query.toDate
+    );
+    this.totalAccountsLedger = Ledger.fromTransactions(totalByAccount);
+  };
+
+  /**
+   * Initialize date periods total of accounts based on the given query.
+   */
+  private initTotalDatePeriods = async (): Promise<void> => {
+    const periodsByAccount = await this.accountsDatePeriods(
+      this.query.fromDate,
+      this.query.toDate,
+      this.transactionsGroupType
+    );
+    this.periodsAccountsLedger = Ledger.fromTransactions(periodsByAccount);
+  };
+
+  // ----------------------------
+  // # Utils
+  // ----------------------------
+  /**
+   * Retrieves the accounts total transactions of the given date range.
+   * @param {Date|string} fromDate
+   * @param {Date|string} toDate
+   */
+  public accountsTotal = async (
+    fromDate: Date | string,
+    toDate: Date | string
+  ) => {
+    const { AccountTransaction } = this.models;
+
+    return AccountTransaction.query().onBuild((query) => {
+      query.sum('credit as credit');
+      query.sum('debit as debit');
+      query.groupBy('accountId');
+      query.select(['accountId']);
+
+      query.modify('filterDateRange', fromDate, toDate);
+      query.modify('excludeClosingEntries');
+      query.withGraphFetched('account');
+
+      this.commonFilterDimensionsQuery(query);
+    });
+  };
+
+  /**
+   * Retrieves the accounts transactions grouped by the given date period.
+   * @param {Date|string} fromDate
+   * @param {Date|string} toDate
+   * @param {IAccountTransactionsGroupBy} datePeriodsType
+   */
+  public accountsDatePeriods = async (
+    fromDate: Date | string,
+    toDate: Date | string,
+    datePeriodsType: IAccountTransactionsGroupBy
+  ) => {
+    const { AccountTransaction } = this.models;
+
+    return AccountTransaction.query().onBuild((query) => {
+      query.sum('credit as credit');
+      query.sum('debit as debit');
+      query.groupBy('accountId');
+      query.select(['accountId']);
+
+      query.modify('groupByDateFormat', datePeriodsType);
+      query.modify('filterDateRange', fromDate, toDate);
+      query.modify('excludeClosingEntries');
+      query.withGraphFetched('account');
+
+      this.commonFilterDimensionsQuery(query);
+    });
+  };
+
+  /**
+   * Common branches and projects filter query.
+   * @param {Knex.QueryBuilder} query
+   */
+  private commonFilterDimensionsQuery = (query: Knex.QueryBuilder) => {
+    if (!isEmpty(this.query.branchesIds)) {
+      query.modify('filterByBranches', this.query.branchesIds);
+    }
+    if (!isEmpty(this.query.projectsIds)) {
+      query.modify('filterByProjects', this.query.projectsIds);
+    }
+  };
+
+  /**
+   * Retrieves the accounts of the given types.
+   * @param {string[]|string} type
+   * @returns {IAccount[]}
+   */
+  public getAccountsByType = (type: string[] | string): IAccount[] => {
+    return castArray(type).flatMap((accountType) =>
+      defaultTo(this.accountsByType.get(accountType), [])
+    );
+  };
+
+  /**
+   * Retrieves the budget entry amount that falls in the given date range,
+   * the amount is spread evenly on the days of the entry period so the
+   * report columns don't have to match the budget period.
+   * @param {IBudgetEntry} entry
+   * @param {Date|string} fromDate
+   * @param {Date|string} toDate
+   * @returns {number}
+   */
+  private getEntryAmountInRange = (
+    entry: IBudgetEntry,
+    fromDate: Date | string,
+    toDate: Date | string
+  ): number => {
+    const entryFromDate = moment(entry.fromDate).startOf('day');
+    const entryToDate = moment(entry.toDate).startOf('day');
+
+    const overlapFromDate = moment.max(
+      entryFromDate,
+      moment(fromDate).startOf('day')
+    );
+    const overlapToDate = moment.min(
+      entryToDate,
+      moment(toDate).startOf('day')
+    );
+    if (overlapToDate.isBefore(overlapFromDate)) {
+      return 0;
+    }
+    const overlapDays = overlapToDate.diff(overlapFromDate, 'days') + 1;
+    const periodDays = entryToDate.diff(entryFromDate, 'days') + 1;
+
+    return (entry.amount * overlapDays) / periodDays;
+  };
+
+  /**
+   * Retrieves the budget amount of the given account in the given date range.
+   * @param {number} accountId
+   * @param {Date|string} fromDate
+   * @param {Date|string} toDate
+   * @returns {number}
+   */
+  public getAccountBudgetAmount = (
+    accountId: number,
+    fromDate: Date | string,
+    toDate: Date | string
+  ): number => {
+    const entries = defaultTo(this.budgetEntriesByAccountId[accountId], []);
+
+    return sumBy(entries, (entry) =>
+      this.getEntryAmountInRange(entry, fromDate, toDate)
+    );
+  };
+}
@@ -0,0 +1,249 @@
+import * as R from 'ramda';
+import moment from 'moment';
+import {
+  BudgetVsActualNodeType,
+  BudgetVsActualRowType,
+  IBudgetVsActualNode,
+  IBudgetVsActualQuery,
+  IDateRange,
+  ITableColumn,
+  ITableColumnAccessor,
+  ITableRow,
+} from '@/interfaces';
+import { tableRowMapper } from '@/utils';
+import FinancialSheet from '../FinancialSheet';
+import { FinancialTable } from '../FinancialTable';
+import { FinancialSheetStructure } from '../FinancialSheetStructure';
+import { FinancialDatePeriods } from '../FinancialDatePeriods';
+
+export class BudgetVsActualTable extends R.compose(
+  FinancialTable,
+  FinancialSheetStructure,
+  FinancialDatePeriods
+)(FinancialSheet) {
+  /**
+   * Budget vs actual sheet data.
+   * @param {IBudgetVsActualNode[]}
+   */
+  public data: IBudgetVsActualNode[];
+
+  /**
+   * Budget vs actual sheet query.
+   * @param {IBudgetVsActualQuery}
+   */
+  public query: IBudgetVsActualQuery;
+
+  /**
+   * Constructor method.
+   * @param {IBudgetVsActualNode[]} data -
+   * @param {IBudgetVsActualQuery} query -
+   * @param {any} i18n -
+   */
+  constructor(data: IBudgetVsActualNode[], query: IBudgetVsActualQuery, i18n) {
+    super();
+
+    this.data = data;
+    this.query = query;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Detarmines whether the report columns are date periods.
+   * @returns {boolean}
+   */
+  private isDatePeriodsColumnsType = (): boolean => {
+    return this.query.displayColumnsType === 'date_periods';
+  };
+
+  /**
+   * Retrieves the date periods based on the report query.
+   * @returns {IDateRange[]}
+   */
+  get datePeriods(): IDateRange[] {
+    return this.getDateRanges(
+      this.query.fromDate,
+      this.query.toDate,
+      this.query.displayColumnsBy
+    );
+  }
+
+  // --------------------------------
+  // # Accessors
+  // --------------------------------
+  /**
+   * Retrieves the amounts columns accessors of the given path.
+   * @param {string} path - Amounts object path of the node.
+   * @param {string} suffix - Column key suffix.
+   * @returns {ITableColumnAccessor[]}
+   */
+  private amountsColumnsAccessors = (
+    path: string = '',
+    suffix: string = ''
+  ): ITableColumnAccessor[] => {
+    return [
+      { key: `budget${suffix}`, accessor: `${path}budget.formattedAmount` },
+      { key: `actual${suffix}`, accessor: `${path}actual.formattedAmount` },
+      { key: `variance${suffix}`, accessor: `${path}variance.formattedAmount` },
+      {
+        key: `variance_percentage${suffix}`,
+        accessor: `${path}variancePercentage.formattedAmount`,
+      },
+    ];
+  };
+
+  /**
+   * Retrieves the date periods columns accessors.
+   * @returns {ITableColumnAccessor[]}
+   */
+  private datePeriodsColumnsAccessors = (): ITableColumnAccessor[] => {
+    return R.flatten(
+      this.datePeriods.map((dateRange, index) =>
+        this.amountsColumnsAccessors(
+          `horizontalTotals[${index}].`,
+          `-date-range-${index}`
+        )
+      )
+    );
+  };
+
+  /**
+   * Common columns accessors.
+   * @returns {ITableColumnAccessor[]}
+   */
+  private commonColumnsAccessors = (): ITableColumnAccessor[] => {
+    return [
+      { key: 'name', accessor: 'name' },
+      ...(this.isDatePeriodsColumnsType()
+        ? this.datePeriodsColumnsAccessors()
+        : []),
+      ...this.amountsColumnsAccessors(),
+    ];
+  };
+
+  // --------------------------------
+  // # Rows
+  // --------------------------------
+  /**
+   * Maps the given report node to table row.
+   * @param {IBudgetVsActualNode} node
+   * @returns {ITableRow}
+   */
+  private nodeToTableRow = (node: IBudgetVsActualNode): ITableRow => {
+    const columns = this.commonColumnsAccessors();
+    const rowType = R.cond([
+      [
+        R.equals(BudgetVsActualNodeType.ACCOUNTS),
+        R.always(BudgetVsActualRowType.ACCOUNTS),
+      ],
+      [
+        R.equals(BudgetVsActualNodeType.EQUATION),
+        R.always(BudgetVsActualRowType.TOTAL),
+      ],
+      [R.T, R.always(BudgetVsActualRowType.ACCOUNT)],
+    ])(node.nodeType);
+
+    const meta = {
+      rowTypes: [rowType],
+      id: node.id,
+    };
+    return tableRowMapper(node, columns, meta);
+  };
+
+  /**
+   * Retrieves the table rows.
+   * @returns {ITableRow[]}
+   */
+  public tableRows = (): ITableRow[] => {
+    const rows = this.mapNodesDeep(this.data, this.nodeToTableRow);
+
+    return this.mapNodesDeep(rows, this.addTotalRow);
+  };
+
+  // --------------------------------
+  // # Columns
+  // --------------------------------
+  /**
+   * Retrieves the amounts columns.
+   * @param {string} suffix - Column key suffix.
+   * @returns {ITableColumn[]}
+   */
+  private amountsColumns = (suffix: string = ''): ITableColumn[] => {
+    return [
+      {
+        key: `budget${suffix}`,
+        label: this.i18n.__('budget_vs_actual.budget'),
+      },
+      {
+        key: `actual${suffix}`,
+        label: this.i18n.__('budget_vs_actual.actual'),
+      },
+      {
+        key: `variance${suffix}`,
+        label: this.i18n.__('budget_vs_actual.variance'),
+      },
+      {
+        key: `variance_percentage${suffix}`,
+        label: this.i18n.__('budget_vs_actual.variance_percentage'),
+      },
+    ];
+  };
+
+  /**
+   * Retrieves the formatted column label of the given date range.
+   * @param {IDateRange} dateRange
+   * @returns {string}
+   */
+  private formatColumnLabel = (dateRange: IDateRange): string => {
+    const formats = {
+      day: 'YYYY-MM-DD',
+      week: 'YYYY-MM-DD',
+      month: 'YYYY-MM',
+      quarter: 'YYYY-MM',
+      year: 'YYYY',
+    };
+    const format = formats[this.query.displayColumnsBy] || 'YYYY-MM-DD';
+
+    return moment(dateRange.toDate).format(format);
+  };
+
+  /**
+   * Retrieves the date periods columns.
+   * @returns {ITableColumn[]}
+   */
+  private datePeriodsColumns = (): ITableColumn[] => {
+    return this.datePeriods.map((dateRange, index) => ({
+      key: `date-range-${index}`,
+      label: this.formatColumnLabel(dateRange),
+      children: this.amountsColumns(`-date-range-${index}`),
+    }));
+  };
+
+  /**
+   * Retrieves the total column.
+   * @returns {ITableColumn[]}
+   */
+  private totalColumn = (): ITableColumn[] => {
+    return [
+      {
+        key: 'total',
+        label: this.i18n.__('budget_vs_actual.total'),
+        children: this.amountsColumns(),
+      },
+    ];
+  };
+
+  /**
+   * Retrieves the table columns.
+   * @returns {ITableColumn[]}
+   */
+  public tableColumns = (): ITableColumn[] => {
+    const amountsColumns = this.isDatePeriodsColumnsType()
+      ? [...this.datePeriodsColumns(), ...this.totalColumn()]
+      : this.amountsColumns();
+
+    return this.tableColumnsCellIndexing([
+      { key: 'name', label: this.i18n.__('budget_vs_actual.account_name') },
+      ...amountsColumns,
+    ]);
+  };
+}
@@ -0,0 +1,42 @@
+import { Inject, Service } from 'typedi';
+import { IBudgetVsActualQuery, IBudgetVsActualTable } from '@/interfaces';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import { BudgetVsActualInjectable } from './BudgetVsActualInjectable';
+import { BudgetVsActualTable } from './BudgetVsActualTable';
+
+@Service()
+export class BudgetVsActualTableInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private sheet: BudgetVsActualInjectable;
+
+  /**
+   * Retrieves the budget vs actual sheet in table format.
+   * @param {number} tenantId
+   * @param {IBudgetVsActualQuery} query
+   * @returns {Promise<IBudgetVsActualTable>}
+   */
+  public async table(
+    tenantId: number,
+    query: IBudgetVsActualQuery
+  ): Promise<IBudgetVsActualTable> {
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const budgetVsActual = await this.sheet.budgetVsActual(tenantId, query);
+    const table = new BudgetVsActualTable(
+      budgetVsActual.data,
+      budgetVsActual.query,
+      i18n
+    );
+    return {
+      table: {
+        columns: table.tableColumns(),
+        rows: table.tableRows(),
+      },
+      meta: budgetVsActual.meta,
+      query: budgetVsActual.query,
+    };
+  }
+}
@@ -0,0 +1,41 @@
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+
+export const INCOME_ACCOUNTS_TYPES = [
+  ACCOUNT_TYPE.INCOME,
+  ACCOUNT_TYPE.OTHER_INCOME,
+];
+
+export const EXPENSES_ACCOUNTS_TYPES = [
+  ACCOUNT_TYPE.COST_OF_GOODS_SOLD,
+  ACCOUNT_TYPE.EXPENSE,
+  ACCOUNT_TYPE.OTHER_EXPENSE,
+];
+
+export const HtmlTableCustomCss = `
+table tr.row-type--total td {
+  font-weight: 600;
+  border-top: 1px solid #bbb;
+  color: #000;
+}
+table tr.row-id--net-income td {
+  border-bottom: 3px double #000;
+}
+table .column--name,
+table .cell--name {
+  width: 300px;
+}
+table td.cell--budget,
+table td.cell--actual,
+table td.cell--variance,
+table td.cell--variance_percentage,
+table td[class*="cell--date-range"] {
+  text-align: right;
+}
+table .column--budget,
+table .column--actual,
+table .column--variance,
+table .column--variance_percentage,
+table [class*="column--date-range"] {
+  text-align: right;
+}
+`;
@@ -0,0 +1,190 @@
+import moment from 'moment';
+import { groupBy, round, sumBy } from 'lodash';
+import {
+  DeferredBalancesNodeType,
+  IAmortizationSchedule,
+  IDeferredBalancesAccountNode,
+  IDeferredBalancesAmounts,
+  IDeferredBalancesData,
+  IDeferredBalancesQuery,
+  IDeferredBalancesScheduleNode,
+  IDeferredBalancesTotalNode,
+} from '@/interfaces';
+import FinancialSheet from '../FinancialSheet';
+import { DeferredBalancesRepository } from './DeferredBalancesRepository';
+
+export default class DeferredBalances extends FinancialSheet {
+  /**
+   * Deferred balances query.
+   * @param {IDeferredBalancesQuery}
+   */
+  readonly query: IDeferredBalancesQuery;
+
+  /**
+   * Organization's base currency.
+   * @param {string}
+   */
+  readonly baseCurrency: string;
+
+  /**
+   * Deferred balances repository.
+   * @param {DeferredBalancesRepository}
+   */
+  readonly repository: DeferredBalancesRepository;
+
+  /**
+   * Constructor method.
+   * @param {DeferredBalancesRepository} repository -
+   * @param {IDeferredBalancesQuery} query -
+   * @param {string} baseCurrency -
+   * @param {any} i18n -
+   */
+  constructor(
+    repository: DeferredBalancesRepository,
+    query: IDeferredBalancesQuery,
+    baseCurrency: string,
+    i18n: any
+  ) {
+    super();
+
+    this.query = query;
+    this.repository = repository;
+    this.numberFormat = this.query.numberFormat;
+    this.baseCurrency = baseCurrency;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Retrieves the deferred balances amounts meta.
+   * @param {Record<string, number>} amounts
+   * @param {boolean} isTotal
+   * @returns {IDeferredBalancesAmounts}
+   */
+  private getAmountsMeta = (
+    amounts: Record<keyof IDeferredBalancesAmounts, number>,
+    isTotal: boolean = false
+  ): IDeferredBalancesAmounts => {
+    const amountMeta = isTotal
+      ? (amount: number) => this.getTotalAmountMeta(amount)
+      : (amount: number) => this.getAmountMeta(amount);
+
+    return {
+      amount: amountMeta(amounts.amount),
+      recognized: amountMeta(amounts.recognized),
+      remaining: amountMeta(amounts.remaining),
+    };
+  };
+
+  /**
+   * Sums the amounts of the given nodes.
+   * @param {IDeferredBalancesAmounts[]} nodes
+   * @returns {Record<string, number>}
+   */
+  private sumNodesAmounts = (
+    nodes: IDeferredBalancesAmounts[]
+  ): Record<keyof IDeferredBalancesAmounts, number> => {
+    const sumAmount = (key: keyof IDeferredBalancesAmounts) =>
+      round(sumBy(nodes, `${key}.amount`), 2);
+
+    return {
+      amount: sumAmount('amount'),
+      recognized: sumAmount('recognized'),
+      remaining: sumAmount('remaining'),
+    };
+  };
+
+  /**
+   * Retrieves the schedule node of the given amortization schedule, the
+   * remaining balance is what not recognized as of the report date.
+   * @param {IAmortizationSchedule} schedule
+   * @returns {IDeferredBalancesScheduleNode}
+   */
+  private scheduleNodeMapper = (
+    schedule: IAmortizationSchedule
+  ): IDeferredBalancesScheduleNode => {
+    const lines = this.repository.getScheduleRecognizedLines(schedule.id);
+    const recognized = round(sumBy(lines, 'amount'), 2);
+
+    const formattedStartDate = moment(schedule.startDate).format('YYYY-MM-DD');
+    const formattedEndDate = moment(schedule.endDate).format('YYYY-MM-DD');
+
+    return {
+      id: schedule.id,
+      nodeType: DeferredBalancesNodeType.SCHEDULE,
+      name:
+        schedule.description || `${formattedStartDate} - ${formattedEndDate}`,
+      type: schedule.type,
+      referenceType: schedule.referenceType,
+      referenceId: schedule.referenceId,
+      startDate: schedule.startDate,
+      endDate: schedule.endDate,
+      formattedStartDate,
+      formattedEndDate,
+      ...this.getAmountsMeta({
+        amount: schedule.amount,
+        recognized,
+        remaining: round(schedule.amount - recognized, 2),
+      }),
+    };
+  };
+
+  /**
+   * Retrieves the deferral account node of the given schedules.
+   * @param {IAmortizationSchedule[]} schedules - Schedules of the same account.
+   * @returns {IDeferredBalancesAccountNode}
+   */
+  private accountNodeMapper = (
+    schedules: IAmortizationSchedule[]
+  ): IDeferredBalancesAccountNode => {
+    const { deferralAccount } = schedules[0];
+    const nodes = schedules.map(this.scheduleNodeMapper);
+
+    // Hides the fully recognized schedules.
+    const children = this.query.noneZero
+      ? nodes.filter((node) => node.remaining.amount !== 0)
+      : nodes;
+
+    return {
+      id: deferralAccount.id,
+      nodeType: DeferredBalancesNodeType.ACCOUNT,
+      name: deferralAccount.name,
+      code: deferralAccount.code,
+      children,
+      ...this.getAmountsMeta(this.sumNodesAmounts(children), true),
+    };
+  };
+
+  /**
+   * Retrieves the total node of the given account nodes.
+   * @param {IDeferredBalancesAccountNode[]} nodes
+   * @returns {IDeferredBalancesTotalNode}
+   */
+  private totalNode = (
+    nodes: IDeferredBalancesAccountNode[]
+  ): IDeferredBalancesTotalNode => {
+    return {
+      nodeType: DeferredBalancesNodeType.TOTAL,
+      name: this.i18n.__('deferred_balances.total'),
+      ...this.getAmountsMeta(this.sumNodesAmounts(nodes), true),
+    };
+  };
+
+  /**
+   * Retrieves the report data.
+   * @returns {IDeferredBalancesData}
+   */
+  public reportData = (): IDeferredBalancesData => {
+    const schedulesByAccount = groupBy(
+      this.repository.schedules,
+      'deferralAccountId'
+    );
+    const accounts = Object.values(schedulesByAccount)
+      .map(this.accountNodeMapper)
+      .filter((node) => node.children.length > 0);
+
+    return {
+      accounts,
+      total: this.totalNode(accounts),
+    };
+  };
+}
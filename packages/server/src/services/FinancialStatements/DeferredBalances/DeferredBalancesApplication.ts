@@ -0,0 +1,73 @@
+import { Inject, Service } from 'typedi';
+import {
+  IDeferredBalancesQuery,
+  IDeferredBalancesStatement,
+} from '@/interfaces';
+import { DeferredBalancesInjectable } from './DeferredBalancesInjectable';
+import { DeferredBalancesTableInjectable } from './DeferredBalancesTableInjectable';
+import { DeferredBalancesExportInjectable } from './DeferredBalancesExportInjectable';
+
+@Service()
+export class DeferredBalancesApplication {
+  @Inject()
+  private sheetService: DeferredBalancesInjectable;
+
+  @Inject()
+  private tablable: DeferredBalancesTableInjectable;
+
+  @Inject()
+  private exportable: DeferredBalancesExportInjectable;
+
+  /**
+   * Retrieves the deferred balances sheet.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<IDeferredBalancesStatement>}
+   */
+  public sheet(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<IDeferredBalancesStatement> {
+    return this.sheetService.deferredBalances(tenantId, query);
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in table format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<IDeferredBalancesTable>}
+   */
+  public table(tenantId: number, query: IDeferredBalancesQuery) {
+    return this.tablable.table(tenantId, query);
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<string>}
+   */
+  public csv(tenantId: number, query: IDeferredBalancesQuery) {
+    return this.exportable.csv(tenantId, query);
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public xlsx(tenantId: number, query: IDeferredBalancesQuery) {
+    return this.exportable.xlsx(tenantId, query);
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public pdf(tenantId: number, query: IDeferredBalancesQuery) {
+    return this.exportable.pdf(tenantId, query);
+  }
+}
@@ -0,0 +1,60 @@
+import { Inject, Service } from 'typedi';
+import { TableSheet } from '@/lib/Xlsx/TableSheet';
+import { IDeferredBalancesQuery } from '@/interfaces';
+import { DeferredBalancesTableInjectable } from './DeferredBalancesTableInjectable';
+import { DeferredBalancesPdfInjectable } from './DeferredBalancesPdfInjectable';
+
+@Service()
+export class DeferredBalancesExportInjectable {
+  @Inject()
+  private deferredBalancesTable: DeferredBalancesTableInjectable;
+
+  @Inject()
+  private deferredBalancesPdf: DeferredBalancesPdfInjectable;
+
+  /**
+   * Retrieves the deferred balances sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async xlsx(tenantId: number, query: IDeferredBalancesQuery) {
+    const table = await this.deferredBalancesTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToXLSX();
+
+    return tableSheet.convertToBuffer(tableCsv, 'xlsx');
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<string>}
+   */
+  public async csv(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<string> {
+    const table = await this.deferredBalancesTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToCSV();
+
+    return tableCsv;
+  }
+
+  /**
+   * Retrieves the deferred balances sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<Buffer> {
+    return this.deferredBalancesPdf.pdf(tenantId, query);
+  }
+}
@@ -0,0 +1,89 @@
+import { Service, Inject } from 'typedi';
+import moment from 'moment';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import {
+  IDeferredBalancesQuery,
+  IDeferredBalancesStatement,
+} from '@/interfaces';
+import { Tenant } from '@/system/models';
+import DeferredBalances from './DeferredBalances';
+import { DeferredBalancesRepository } from './DeferredBalancesRepository';
+import { DeferredBalancesMeta } from './DeferredBalancesMeta';
+
+@Service()
+export class DeferredBalancesInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private deferredBalancesMeta: DeferredBalancesMeta;
+
+  /**
+   * Defaults deferred balances filter query.
+   * @return {IDeferredBalancesQuery}
+   */
+  private get defaultQuery(): IDeferredBalancesQuery {
+    return {
+      asDate: moment().format('YYYY-MM-DD'),
+      numberFormat: {
+        divideOn1000: false,
+        negativeFormat: 'mines',
+        showZero: false,
+        formatMoney: 'total',
+        precision: 2,
+      },
+      noneZero: true,
+      branchesIds: [],
+    };
+  }
+
+  /**
+   * Retrieves the deferred balances, the prepaid expenses and deferred
+   * revenues not recognized yet as of the given date.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @return {Promise<IDeferredBalancesStatement>}
+   */
+  public async deferredBalances(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<IDeferredBalancesStatement> {
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const filter = {
+      ...this.defaultQuery,
+      ...query,
+    } as IDeferredBalancesQuery;
+
+    const tenant = await Tenant.query()
+      .findById(tenantId)
+      .withGraphFetched('metadata');
+
+    const models = this.tenancy.models(tenantId);
+    const deferredBalancesRepos = new DeferredBalancesRepository(
+      models,
+      filter
+    );
+    // Loads the resources.
+    await deferredBalancesRepos.asyncInitialize();
+
+    // Deferred balances report instance.
+    const deferredBalancesInstance = new DeferredBalances(
+      deferredBalancesRepos,
+      filter,
+      tenant.metadata.baseCurrency,
+      i18n
+    );
+    // Deferred balances data.
+    const data = deferredBalancesInstance.reportData();
+
+    // Deferred balances meta.
+    const meta = await this.deferredBalancesMeta.meta(tenantId, filter);
+
+    return {
+      data,
+      query: filter,
+      meta,
+    };
+  }
+}
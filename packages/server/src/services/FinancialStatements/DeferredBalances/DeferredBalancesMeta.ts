@@ -0,0 +1,35 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { IDeferredBalancesMeta, IDeferredBalancesQuery } from '@/interfaces';
+import { FinancialSheetMeta } from '../FinancialSheetMeta';
+
+@Service()
+export class DeferredBalancesMeta {
+  @Inject()
+  private financialSheetMeta: FinancialSheetMeta;
+
+  /**
+   * Retrieves the deferred balances meta.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<IDeferredBalancesMeta>}
+   */
+  public async meta(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<IDeferredBalancesMeta> {
+    const commonMeta = await this.financialSheetMeta.meta(tenantId);
+
+    const formattedAsDate = moment(query.asDate).format('YYYY/MM/DD');
+    const formattedDateRange = `As ${formattedAsDate}`;
+
+    const sheetName = 'Deferred Balances';
+
+    return {
+      ...commonMeta,
+      sheetName,
+      formattedAsDate,
+      formattedDateRange,
+    };
+  }
+}
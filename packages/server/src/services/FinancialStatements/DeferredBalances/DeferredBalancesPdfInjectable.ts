@@ -0,0 +1,35 @@
+import { Inject, Service } from 'typedi';
+import { IDeferredBalancesQuery } from '@/interfaces';
+import { TableSheetPdf } from '../TableSheetPdf';
+import { DeferredBalancesTableInjectable } from './DeferredBalancesTableInjectable';
+import { HtmlTableCustomCss } from './_constants';
+
+@Service()
+export class DeferredBalancesPdfInjectable {
+  @Inject()
+  private deferredBalancesTable: DeferredBalancesTableInjectable;
+
+  @Inject()
+  private tableSheetPdf: TableSheetPdf;
+
+  /**
+   * Converts the deferred balances sheet table to pdf.
+   * @param {number} tenantId - Tenant ID.
+   * @param {IDeferredBalancesQuery} query - Deferred balances query.
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<Buffer> {
+    const table = await this.deferredBalancesTable.table(tenantId, query);
+
+    return this.tableSheetPdf.convertToPdf(
+      tenantId,
+      table.table,
+      table.meta.sheetName,
+      table.meta.formattedDateRange,
+      HtmlTableCustomCss
+    );
+  }
+}
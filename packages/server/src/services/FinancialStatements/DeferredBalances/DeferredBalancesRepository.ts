@@ -0,0 +1,97 @@
+import moment from 'moment';
+import { groupBy, isEmpty } from 'lodash';
+import {
+  IAmortizationSchedule,
+  IAmortizationScheduleLine,
+  IDeferredBalancesQuery,
+} from '@/interfaces';
+
+export class DeferredBalancesRepository {
+  /**
+   * Tenant models.
+   */
+  public models: any;
+
+  /**
+   * Deferred balances query.
+   * @param {IDeferredBalancesQuery}
+   */
+  public query: IDeferredBalancesQuery;
+
+  /**
+   * Amortization schedules deferred on or before the report date.
+   * @param {IAmortizationSchedule[]}
+   */
+  public schedules: IAmortizationSchedule[];
+
+  /**
+   * Recognized lines up to the report date grouped by schedule id.
+   */
+  public linesByScheduleId: Record<string, IAmortizationScheduleLine[]>;
+
+  /**
+   * Constructor method.
+   * @param {any} models
+   * @param {IDeferredBalancesQuery} query
+   */
+  constructor(models: any, query: IDeferredBalancesQuery) {
+    this.models = models;
+    this.query = query;
+  }
+
+  /**
+   * Async initialize.
+   * @returns {Promise<void>}
+   */
+  public asyncInitialize = async () => {
+    await this.initSchedules();
+    await this.initRecognizedLines();
+  };
+
+  /**
+   * Initialize the amortization schedules deferred on or before the
+   * report date with their deferral accounts.
+   */
+  private initSchedules = async () => {
+    const asDate = moment(this.query.asDate).format('YYYY-MM-DD');
+
+    this.schedules = await this.models.AmortizationSchedule.query()
+      .where('date', '<=', asDate)
+      .onBuild((builder) => {
+        if (this.query.type) {
+          builder.where('type', this.query.type);
+        }
+        if (!isEmpty(this.query.branchesIds)) {
+          builder.whereIn('branchId', this.query.branchesIds);
+        }
+      })
+      .withGraphFetched('deferralAccount')
+      .orderBy('startDate', 'ASC');
+  };
+
+  /**
+   * Initialize the recognized lines of the schedules up to the report date.
+   */
+  private initRecognizedLines = async () => {
+    const asDate = moment(this.query.asDate).format('YYYY-MM-DD');
+    const schedulesIds = this.schedules.map((schedule) => schedule.id);
+
+    const lines = await this.models.AmortizationScheduleLine.query()
+      .whereIn('scheduleId', schedulesIds)
+      .whereNotNull('recognizedAt')
+      .where('date', '<=', asDate);
+
+    this.linesByScheduleId = groupBy(lines, 'scheduleId');
+  };
+
+  /**
+   * Retrieves the recognized lines of the given schedule.
+   * @param {number} scheduleId
+   * @returns {IAmortizationScheduleLine[]}
+   */
+  public getScheduleRecognizedLines = (
+    scheduleId: number
+  ): IAmortizationScheduleLine[] => {
+    return this.linesByScheduleId[scheduleId] || [];
+  };
+}
@@ -0,0 +1,118 @@
+import * as R from 'ramda';
+import {
+  DeferredBalancesNodeType,
+  IDeferredBalancesData,
+  IDeferredBalancesNode,
+  IDeferredBalancesQuery,
+  ITableColumn,
+  ITableColumnAccessor,
+  ITableRow,
+} from '@/interfaces';
+import { tableRowMapper } from '@/utils';
+import FinancialSheet from '../FinancialSheet';
+import { FinancialTable } from '../FinancialTable';
+import { FinancialSheetStructure } from '../FinancialSheetStructure';
+import { ROW_TYPE } from './_constants';
+
+export class DeferredBalancesTable extends R.compose(
+  FinancialTable,
+  FinancialSheetStructure
+)(FinancialSheet) {
+  /**
+   * Deferred balances data.
+   * @param {IDeferredBalancesData}
+   */
+  public data: IDeferredBalancesData;
+
+  /**
+   * Deferred balances query.
+   * @param {IDeferredBalancesQuery}
+   */
+  public query: IDeferredBalancesQuery;
+
+  /**
+   * Constructor method.
+   * @param {IDeferredBalancesData} data -
+   * @param {IDeferredBalancesQuery} query -
+   * @param {any} i18n -
+   */
+  constructor(
+    data: IDeferredBalancesData,
+    query: IDeferredBalancesQuery,
+    i18n
+  ) {
+    super();
+
+    this.data = data;
+    this.query = query;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Common columns accessors.
+   * @returns {ITableColumnAccessor[]}
+   */
+  private commonColumnsAccessors = (): ITableColumnAccessor[] => {
+    return [
+      { key: 'name', accessor: 'name' },
+      { key: 'start_date', accessor: 'formattedStartDate' },
+      { key: 'end_date', accessor: 'formattedEndDate' },
+      { key: 'amount', accessor: 'amount.formattedAmount' },
+      { key: 'recognized', accessor: 'recognized.formattedAmount' },
+      { key: 'remaining', accessor: 'remaining.formattedAmount' },
+    ];
+  };
+
+  /**
+   * Maps the given report node to table row.
+   * @param {IDeferredBalancesNode} node
+   * @returns {ITableRow}
+   */
+  private nodeToTableRow = (node: IDeferredBalancesNode): ITableRow => {
+    const columns = this.commonColumnsAccessors();
+    const rowType = R.cond([
+      [R.equals(DeferredBalancesNodeType.ACCOUNT), R.always(ROW_TYPE.ACCOUNT)],
+      [R.equals(DeferredBalancesNodeType.TOTAL), R.always(ROW_TYPE.TOTAL)],
+      [R.T, R.always(ROW_TYPE.SCHEDULE)],
+    ])(node.nodeType);
+
+    const meta = {
+      rowTypes: [rowType],
+      ...(node.nodeType !== DeferredBalancesNodeType.TOTAL && { id: node.id }),
+    };
+    return tableRowMapper(node, columns, meta);
+  };
+
+  /**
+   * Retrieves the table rows.
+   * @returns {ITableRow[]}
+   */
+  public tableRows = (): ITableRow[] => {
+    const rows = this.mapNodesDeep(
+      [...this.data.accounts, this.data.total],
+      this.nodeToTableRow
+    );
+    return this.mapNodesDeep(rows, this.addTotalRow);
+  };
+
+  /**
+   * Retrieves the table columns.
+   * @returns {ITableColumn[]}
+   */
+  public tableColumns = (): ITableColumn[] => {
+    return this.tableColumnsCellIndexing([
+      { key: 'name', label: this.i18n.__('deferred_balances.name') },
+      {
+        key: 'start_date',
+        label: this.i18n.__('deferred_balances.start_date'),
+      },
+      { key: 'end_date', label: this.i18n.__('deferred_balances.end_date') },
+      { key: 'amount', label: this.i18n.__('deferred_balances.amount') },
+      {
+        key: 'recognized',
+        label: this.i18n.__('deferred_balances.recognized'),
+      },
+      { key: 'remaining', label: this.i18n.__('deferred_balances.remaining') },
+    ]);
+  };
+}
@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import { IDeferredBalancesQuery, IDeferredBalancesTable } from '@/interfaces';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import { DeferredBalancesInjectable } from './DeferredBalancesInjectable';
+import { DeferredBalancesTable } from './DeferredBalancesTable';
+
+@Service()
+export class DeferredBalancesTableInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private sheet: DeferredBalancesInjectable;
+
+  /**
+   * Retrieves the deferred balances sheet in table format.
+   * @param {number} tenantId
+   * @param {IDeferredBalancesQuery} query
+   * @returns {Promise<IDeferredBalancesTable>}
+   */
+  public async table(
+    tenantId: number,
+    query: IDeferredBalancesQuery
+  ): Promise<IDeferredBalancesTable> {
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const deferredBalances = await this.sheet.deferredBalances(tenantId, query);
+
+    const table = new DeferredBalancesTable(
+      deferredBalances.data,
+      deferredBalances.query,
+      i18n
+    );
+    return {
+      table: {
+        columns: table.tableColumns(),
+        rows: table.tableRows(),
+      },
+      meta: deferredBalances.meta,
+      query: deferredBalances.query,
+    };
+  }
+}
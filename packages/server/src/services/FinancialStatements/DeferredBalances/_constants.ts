@@ -0,0 +1,31 @@
+export enum ROW_TYPE {
+  ACCOUNT = 'ACCOUNT',
+  SCHEDULE = 'SCHEDULE',
+  TOTAL = 'TOTAL',
+}
+
+export const HtmlTableCustomCss = `
+table tr.row-type--total td {
+  font-weight: 600;
+  border-top: 1px solid #bbb;
+  border-bottom: 3px double #000;
+  color: #000;
+}
+table tr.row-type--account td {
+  font-weight: 600;
+}
+table .column--name,
+table .cell--name {
+  width: 220px;
+}
+table td.cell--amount,
+table td.cell--recognized,
+table td.cell--remaining {
+  text-align: right;
+}
+table .column--amount,
+table .column--recognized,
+table .column--remaining {
+  text-align: right;
+}
+`;
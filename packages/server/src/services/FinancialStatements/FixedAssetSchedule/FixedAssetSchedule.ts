@@ -0,0 +1,212 @@
+import moment from 'moment';
+import { round, sumBy } from 'lodash';
+import {
+  FixedAssetScheduleNodeType,
+  IFixedAsset,
+  IFixedAssetScheduleAmounts,
+  IFixedAssetScheduleAssetNode,
+  IFixedAssetScheduleData,
+  IFixedAssetScheduleQuery,
+  IFixedAssetScheduleTotalNode,
+} from '@/interfaces';
+import FinancialSheet from '../FinancialSheet';
+import { FixedAssetScheduleRepository } from './FixedAssetScheduleRepository';
+
+export default class FixedAssetSchedule extends FinancialSheet {
+  /**
+   * Fixed asset schedule query.
+   * @param {IFixedAssetScheduleQuery}
+   */
+  readonly query: IFixedAssetScheduleQuery;
+
+  /**
+   * Organization's base currency.
+   * @param {string}
+   */
+  readonly baseCurrency: string;
+
+  /**
+   * Fixed asset schedule repository.
+   * @param {FixedAssetScheduleRepository}
+   */
+  readonly repository: FixedAssetScheduleRepository;
+
+  /**
+   * Constructor method.
+   * @param {FixedAssetScheduleRepository} repository -
+   * @param {IFixedAssetScheduleQuery} query -
+   * @param {string} baseCurrency -
+   * @param {any} i18n -
+   */
+  constructor(
+    repository: FixedAssetScheduleRepository,
+    query: IFixedAssetScheduleQuery,
+    baseCurrency: string,
+    i18n: any
+  ) {
+    super();
+
+    this.query = query;
+    this.repository = repository;
+    this.numberFormat = this.query.numberFormat;
+    this.baseCurrency = baseCurrency;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Retrieves the schedule amounts meta.
+   * @param {Record<string, number>} amounts
+   * @param {boolean} isTotal
+   * @returns {IFixedAssetScheduleAmounts}
+   */
+  private getAmountsMeta = (
+    amounts: Record<keyof IFixedAssetScheduleAmounts, number>,
+    isTotal: boolean = false
+  ): IFixedAssetScheduleAmounts => {
+    const amountMeta = isTotal
+      ? (amount: number) => this.getTotalAmountMeta(amount)
+      : (amount: number) => this.getAmountMeta(amount);
+
+    return {
+      cost: amountMeta(amounts.cost),
+      openingDepreciation: amountMeta(amounts.openingDepreciation),
+      depreciation: amountMeta(amounts.depreciation),
+      disposals: amountMeta(amounts.disposals),
+      closingDepreciation: amountMeta(amounts.closingDepreciation),
+      bookValue: amountMeta(amounts.bookValue),
+    };
+  };
+
+  /**
+   * Retrieves the schedule amounts of the given fixed asset, the disposal
+   * in the date range removes the asset accumulated depreciation.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {Record<string, number>}
+   */
+  private getAssetAmounts = (
+    fixedAsset: IFixedAsset
+  ): Record<keyof IFixedAssetScheduleAmounts, number> => {
+    const depreciations = this.repository.getAssetDepreciations(fixedAsset.id);
+    const fromDate = moment(this.query.fromDate);
+
+    const openingDepreciation = round(
+      sumBy(
+        depreciations.filter((depreciation) =>
+          moment(depreciation.date).isBefore(fromDate, 'day')
+        ),
+        'amount'
+      ),
+      2
+    );
+    const depreciation = round(
+      sumBy(depreciations, 'amount') - openingDepreciation,
+      2
+    );
+    const isDisposed =
+      !!fixedAsset.disposedAt &&
+      moment(fixedAsset.disposedAt).isSameOrBefore(this.query.toDate, 'day');
+
+    const disposals = isDisposed
+      ? round(openingDepreciation + depreciation, 2)
+      : 0;
+    const closingDepreciation = round(
+      openingDepreciation + depreciation - disposals,
+      2
+    );
+    const bookValue = isDisposed
+      ? 0
+      : round(fixedAsset.cost - closingDepreciation, 2);
+
+    return {
+      cost: fixedAsset.cost,
+      openingDepreciation,
+      depreciation,
+      disposals,
+      closingDepreciation,
+      bookValue,
+    };
+  };
+
+  /**
+   * Retrieves the schedule node of the given fixed asset.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {IFixedAssetScheduleAssetNode}
+   */
+  private assetNodeMapper = (
+    fixedAsset: IFixedAsset
+  ): IFixedAssetScheduleAssetNode => {
+    return {
+      id: fixedAsset.id,
+      nodeType: FixedAssetScheduleNodeType.ASSET,
+      name: fixedAsset.name,
+      assetNumber: fixedAsset.assetNumber,
+      acquisitionDate: fixedAsset.acquisitionDate,
+      formattedAcquisitionDate: moment(fixedAsset.acquisitionDate).format(
+        'YYYY-MM-DD'
+      ),
+      depreciationMethod: fixedAsset.depreciationMethod,
+      status: fixedAsset.status,
+      ...this.getAmountsMeta(this.getAssetAmounts(fixedAsset)),
+    };
+  };
+
+  /**
+   * Detarmines whether the given asset node has no book value and no
+   * depreciation movement in the date range.
+   * @param {IFixedAssetScheduleAssetNode} node
+   * @returns {boolean}
+   */
+  private isAssetNodeZero = (node: IFixedAssetScheduleAssetNode): boolean => {
+    return (
+      node.bookValue.amount === 0 &&
+      node.depreciation.amount === 0 &&
+      node.disposals.amount === 0
+    );
+  };
+
+  /**
+   * Retrieves the total node of the given asset nodes.
+   * @param {IFixedAssetScheduleAssetNode[]} nodes
+   * @returns {IFixedAssetScheduleTotalNode}
+   */
+  private totalNode = (
+    nodes: IFixedAssetScheduleAssetNode[]
+  ): IFixedAssetScheduleTotalNode => {
+    const sumAmount = (key: keyof IFixedAssetScheduleAmounts) =>
+      round(sumBy(nodes, `${key}.amount`), 2);
+
+    return {
+      nodeType: FixedAssetScheduleNodeType.TOTAL,
+      name: this.i18n.__('fixed_asset_schedule.total'),
+      ...this.getAmountsMeta(
+        {
+          cost: sumAmount('cost'),
+          openingDepreciation: sumAmount('openingDepreciation'),
+          depreciation: sumAmount('depreciation'),
+          disposals: sumAmount('disposals'),
+          closingDepreciation: sumAmount('closingDepreciation'),
+          bookValue: sumAmount('bookValue'),
+        },
+        true
+      ),
+    };
+  };
+
+  /**
+   * Retrieves the report data.
+   * @returns {IFixedAssetScheduleData}
+   */
+  public reportData = (): IFixedAssetScheduleData => {
+    const nodes = this.repository.fixedAssets.map(this.assetNodeMapper);
+
+    // Hides the assets that have no book value and no movement.
+    const assets = this.query.noneZero
+      ? nodes.filter((node) => !this.isAssetNodeZero(node))
+      : nodes;
+
+    return {
+      assets,
+      total: this.totalNode(assets),
+    };
+  };
+}
@@ -0,0 +1,73 @@
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAssetScheduleQuery,
+  IFixedAssetScheduleStatement,
+} from '@/interfaces';
+import { FixedAssetScheduleInjectable } from './FixedAssetScheduleInjectable';
+import { FixedAssetScheduleTableInjectable } from './FixedAssetScheduleTableInjectable';
+import { FixedAssetScheduleExportInjectable } from './FixedAssetScheduleExportInjectable';
+
+@Service()
+export class FixedAssetScheduleApplication {
+  @Inject()
+  private sheetService: FixedAssetScheduleInjectable;
+
+  @Inject()
+  private tablable: FixedAssetScheduleTableInjectable;
+
+  @Inject()
+  private exportable: FixedAssetScheduleExportInjectable;
+
+  /**
+   * Retrieves the fixed asset schedule sheet.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<IFixedAssetScheduleStatement>}
+   */
+  public sheet(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<IFixedAssetScheduleStatement> {
+    return this.sheetService.fixedAssetSchedule(tenantId, query);
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in table format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<IFixedAssetScheduleTable>}
+   */
+  public table(tenantId: number, query: IFixedAssetScheduleQuery) {
+    return this.tablable.table(tenantId, query);
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<string>}
+   */
+  public csv(tenantId: number, query: IFixedAssetScheduleQuery) {
+    return this.exportable.csv(tenantId, query);
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public xlsx(tenantId: number, query: IFixedAssetScheduleQuery) {
+    return this.exportable.xlsx(tenantId, query);
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public pdf(tenantId: number, query: IFixedAssetScheduleQuery) {
+    return this.exportable.pdf(tenantId, query);
+  }
+}
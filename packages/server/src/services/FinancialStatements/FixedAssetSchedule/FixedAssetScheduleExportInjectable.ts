@@ -0,0 +1,60 @@
+import { Inject, Service } from 'typedi';
+import { TableSheet } from '@/lib/Xlsx/TableSheet';
+import { IFixedAssetScheduleQuery } from '@/interfaces';
+import { FixedAssetScheduleTableInjectable } from './FixedAssetScheduleTableInjectable';
+import { FixedAssetSchedulePdfInjectable } from './FixedAssetSchedulePdfInjectable';
+
+@Service()
+export class FixedAssetScheduleExportInjectable {
+  @Inject()
+  private fixedAssetScheduleTable: FixedAssetScheduleTableInjectable;
+
+  @Inject()
+  private fixedAssetSchedulePdf: FixedAssetSchedulePdfInjectable;
+
+  /**
+   * Retrieves the fixed asset schedule sheet in XLSX format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async xlsx(tenantId: number, query: IFixedAssetScheduleQuery) {
+    const table = await this.fixedAssetScheduleTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToXLSX();
+
+    return tableSheet.convertToBuffer(tableCsv, 'xlsx');
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in CSV format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<string>}
+   */
+  public async csv(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<string> {
+    const table = await this.fixedAssetScheduleTable.table(tenantId, query);
+
+    const tableSheet = new TableSheet(table.table);
+    const tableCsv = tableSheet.convertToCSV();
+
+    return tableCsv;
+  }
+
+  /**
+   * Retrieves the fixed asset schedule sheet in PDF format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<Buffer> {
+    return this.fixedAssetSchedulePdf.pdf(tenantId, query);
+  }
+}
@@ -0,0 +1,90 @@
+import { Service, Inject } from 'typedi';
+import moment from 'moment';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import {
+  IFixedAssetScheduleQuery,
+  IFixedAssetScheduleStatement,
+} from '@/interfaces';
+import { Tenant } from '@/system/models';
+import FixedAssetSchedule from './FixedAssetSchedule';
+import { FixedAssetScheduleRepository } from './FixedAssetScheduleRepository';
+import { FixedAssetScheduleMeta } from './FixedAssetScheduleMeta';
+
+@Service()
+export class FixedAssetScheduleInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private fixedAssetScheduleMeta: FixedAssetScheduleMeta;
+
+  /**
+   * Defaults fixed asset schedule filter query.
+   * @return {IFixedAssetScheduleQuery}
+   */
+  private get defaultQuery(): IFixedAssetScheduleQuery {
+    return {
+      fromDate: moment().startOf('year').format('YYYY-MM-DD'),
+      toDate: moment().endOf('year').format('YYYY-MM-DD'),
+      numberFormat: {
+        divideOn1000: false,
+        negativeFormat: 'mines',
+        showZero: false,
+        formatMoney: 'total',
+        precision: 2,
+      },
+      noneZero: false,
+      branchesIds: [],
+    };
+  }
+
+  /**
+   * Retrieves the fixed asset schedule, the cost, accumulated depreciation
+   * movement and net book value of each asset over the date range.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @return {Promise<IFixedAssetScheduleStatement>}
+   */
+  public async fixedAssetSchedule(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<IFixedAssetScheduleStatement> {
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const filter = {
+      ...this.defaultQuery,
+      ...query,
+    } as IFixedAssetScheduleQuery;
+
+    const tenant = await Tenant.query()
+      .findById(tenantId)
+      .withGraphFetched('metadata');
+
+    const models = this.tenancy.models(tenantId);
+    const fixedAssetScheduleRepos = new FixedAssetScheduleRepository(
+      models,
+      filter
+    );
+    // Loads the resources.
+    await fixedAssetScheduleRepos.asyncInitialize();
+
+    // Fixed asset schedule report instance.
+    const fixedAssetScheduleInstance = new FixedAssetSchedule(
+      fixedAssetScheduleRepos,
+      filter,
+      tenant.metadata.baseCurrency,
+      i18n
+    );
+    // Fixed asset schedule data.
+    const data = fixedAssetScheduleInstance.reportData();
+
+    // Fixed asset schedule meta.
+    const meta = await this.fixedAssetScheduleMeta.meta(tenantId, filter);
+
+    return {
+      data,
+      query: filter,
+      meta,
+    };
+  }
+}
@@ -0,0 +1,40 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import {
+  IFixedAssetScheduleMeta,
+  IFixedAssetScheduleQuery,
+} from '@/interfaces';
+import { FinancialSheetMeta } from '../FinancialSheetMeta';
+
+@Service()
+export class FixedAssetScheduleMeta {
+  @Inject()
+  private financialSheetMeta: FinancialSheetMeta;
+
+  /**
+   * Retrieves the fixed asset schedule meta.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<IFixedAssetScheduleMeta>}
+   */
+  public async meta(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<IFixedAssetScheduleMeta> {
+    const commonMeta = await this.financialSheetMeta.meta(tenantId);
+
+    const formattedFromDate = moment(query.fromDate).format('YYYY/MM/DD');
+    const formattedToDate = moment(query.toDate).format('YYYY/MM/DD');
+    const formattedDateRange = `From ${formattedFromDate} to ${formattedToDate}`;
+
+    const sheetName = 'Fixed Asset Schedule';
+
+    return {
+      ...commonMeta,
+      sheetName,
+      formattedFromDate,
+      formattedToDate,
+      formattedDateRange,
+    };
+  }
+}
@@ -0,0 +1,35 @@
+import { Inject, Service } from 'typedi';
+import { IFixedAssetScheduleQuery } from '@/interfaces';
+import { TableSheetPdf } from '../TableSheetPdf';
+import { FixedAssetScheduleTableInjectable } from './FixedAssetScheduleTableInjectable';
+import { HtmlTableCustomCss } from './_constants';
+
+@Service()
+export class FixedAssetSchedulePdfInjectable {
+  @Inject()
+  private fixedAssetScheduleTable: FixedAssetScheduleTableInjectable;
+
+  @Inject()
+  private tableSheetPdf: TableSheetPdf;
+
+  /**
+   * Converts the fixed asset schedule sheet table to pdf.
+   * @param {number} tenantId - Tenant ID.
+   * @param {IFixedAssetScheduleQuery} query - Fixed asset schedule query.
+   * @returns {Promise<Buffer>}
+   */
+  public async pdf(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<Buffer> {
+    const table = await this.fixedAssetScheduleTable.table(tenantId, query);
+
+    return this.tableSheetPdf.convertToPdf(
+      tenantId,
+      table.table,
+      table.meta.sheetName,
+      table.meta.formattedDateRange,
+      HtmlTableCustomCss
+    );
+  }
+}
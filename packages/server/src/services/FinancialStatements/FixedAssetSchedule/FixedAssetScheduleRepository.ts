@@ -0,0 +1,98 @@
+import moment from 'moment';
+import { groupBy, isEmpty } from 'lodash';
+import {
+  IFixedAsset,
+  IFixedAssetDepreciation,
+  IFixedAssetScheduleQuery,
+} from '@/interfaces';
+
+export class FixedAssetScheduleRepository {
+  /**
+   * Tenant models.
+   */
+  public models: any;
+
+  /**
+   * Fixed asset schedule query.
+   * @param {IFixedAssetScheduleQuery}
+   */
+  public query: IFixedAssetScheduleQuery;
+
+  /**
+   * Fixed assets held during the report date range.
+   * @param {IFixedAsset[]}
+   */
+  public fixedAssets: IFixedAsset[];
+
+  /**
+   * Depreciations up to the report end date grouped by fixed asset id.
+   */
+  public depreciationsByAssetId: Record<string, IFixedAssetDepreciation[]>;
+
+  /**
+   * Constructor method.
+   * @param {any} models
+   * @param {IFixedAssetScheduleQuery} query
+   */
+  constructor(models: any, query: IFixedAssetScheduleQuery) {
+    this.models = models;
+    this.query = query;
+  }
+
+  /**
+   * Async initialize.
+   * @returns {Promise<void>}
+   */
+  public asyncInitialize = async () => {
+    await this.initFixedAssets();
+    await this.initDepreciations();
+  };
+
+  /**
+   * Initialize the fixed assets acquired before the report end date and
+   * not disposed before the report start date.
+   */
+  private initFixedAssets = async () => {
+    const fromDate = moment(this.query.fromDate).format('YYYY-MM-DD');
+    const toDate = moment(this.query.toDate).format('YYYY-MM-DD');
+
+    this.fixedAssets = await this.models.FixedAsset.query()
+      .where('acquisitionDate', '<=', toDate)
+      .where((builder) => {
+        builder.whereNull('disposedAt');
+        builder.orWhere('disposedAt', '>=', fromDate);
+      })
+      .onBuild((builder) => {
+        if (!isEmpty(this.query.branchesIds)) {
+          builder.whereIn('branchId', this.query.branchesIds);
+        }
+      })
+      .orderBy('acquisitionDate', 'ASC')
+      .orderBy('name', 'ASC');
+  };
+
+  /**
+   * Initialize the depreciations of the fixed assets up to the report end date.
+   */
+  private initDepreciations = async () => {
+    const toDate = moment(this.query.toDate).format('YYYY-MM-DD');
+    const fixedAssetsIds = this.fixedAssets.map((fixedAsset) => fixedAsset.id);
+
+    const depreciations = await this.models.FixedAssetDepreciation.query()
+      .whereIn('fixedAssetId', fixedAssetsIds)
+      .where('date', '<=', toDate);
+
+    this.depreciationsByAssetId = groupBy(depreciations, 'fixedAssetId');
+  };
+
+  /**
+   * Retrieves the depreciations of the given fixed asset.
+   * @param {number} fixedAssetId
+   * @returns {IFixedAssetDepreciation[]}
+   */
+  public getAssetDepreciations = (
+    fixedAssetId: number
+  ): IFixedAssetDepreciation[] => {
+    return this.depreciationsByAssetId[fixedAssetId] || [];
+  };
+}
@@ -0,0 +1,135 @@
+import * as R from 'ramda';
+import {
+  FixedAssetScheduleNodeType,
+  IFixedAssetScheduleData,
+  IFixedAssetScheduleNode,
+  IFixedAssetScheduleQuery,
+  ITableColumn,
+  ITableColumnAccessor,
+  ITableRow,
+} from '@/interfaces';
+import { tableRowMapper } from '@/utils';
+import FinancialSheet from '../FinancialSheet';
+import { FinancialTable } from '../FinancialTable';
+import { FinancialSheetStructure } from '../FinancialSheetStructure';
+import { ROW_TYPE } from './_constants';
+
+export class FixedAssetScheduleTable extends R.compose(
+  FinancialTable,
+  FinancialSheetStructure
+)(FinancialSheet) {
+  /**
+   * Fixed asset schedule data.
+   * @param {IFixedAssetScheduleData}
+   */
+  public data: IFixedAssetScheduleData;
+
+  /**
+   * Fixed asset schedule query.
+   * @param {IFixedAssetScheduleQuery}
+   */
+  public query: IFixedAssetScheduleQuery;
+
+  /**
+   * Constructor method.
+   * @param {IFixedAssetScheduleData} data -
+   * @param {IFixedAssetScheduleQuery} query -
+   * @param {any} i18n -
+   */
+  constructor(
+    data: IFixedAssetScheduleData,
+    query: IFixedAssetScheduleQuery,
+    i18n
+  ) {
+    super();
+
+    this.data = data;
+    this.query = query;
+    this.i18n = i18n;
+  }
+
+  /**
+   * Common columns accessors.
+   * @returns {ITableColumnAccessor[]}
+   */
+  private commonColumnsAccessors = (): ITableColumnAccessor[] => {
+    return [
+      { key: 'name', accessor: 'name' },
+      { key: 'acquisition_date', accessor: 'formattedAcquisitionDate' },
+      { key: 'cost', accessor: 'cost.formattedAmount' },
+      {
+        key: 'opening_depreciation',
+        accessor: 'openingDepreciation.formattedAmount',
+      },
+      { key: 'depreciation', accessor: 'depreciation.formattedAmount' },
+      { key: 'disposals', accessor: 'disposals.formattedAmount' },
+      {
+        key: 'closing_depreciation',
+        accessor: 'closingDepreciation.formattedAmount',
+      },
+      { key: 'book_value', accessor: 'bookValue.formattedAmount' },
+    ];
+  };
+
+  /**
+   * Maps the given report node to table row.
+   * @param {IFixedAssetScheduleNode} node
+   * @returns {ITableRow}
+   */
+  private nodeToTableRow = (node: IFixedAssetScheduleNode): ITableRow => {
+    const columns = this.commonColumnsAccessors();
+    const isTotal = node.nodeType === FixedAssetScheduleNodeType.TOTAL;
+
+    const meta = {
+      rowTypes: [isTotal ? ROW_TYPE.TOTAL : ROW_TYPE.ASSET],
+      ...(!isTotal && { id: node.id }),
+    };
+    return tableRowMapper(node, columns, meta);
+  };
+
+  /**
+   * Retrieves the table rows.
+   * @returns {ITableRow[]}
+   */
+  public tableRows = (): ITableRow[] => {
+    return [...this.data.assets, this.data.total].map(this.nodeToTableRow);
+  };
+
+  /**
+   * Retrieves the table columns.
+   * @returns {ITableColumn[]}
+   */
+  public tableColumns = (): ITableColumn[] => {
+    return this.tableColumnsCellIndexing([
+      {
+        key: 'name',
+        label: this.i18n.__('fixed_asset_schedule.asset_name'),
+      },
+      {
+        key: 'acquisition_date',
+        label: this.i18n.__('fixed_asset_schedule.acquisition_date'),
+      },
+      { key: 'cost', label: this.i18n.__('fixed_asset_schedule.cost') },
+      {
+        key: 'opening_depreciation',
+        label: this.i18n.__('fixed_asset_schedule.opening_depreciation'),
+      },
+      {
+        key: 'depreciation',
+        label: this.i18n.__('fixed_asset_schedule.depreciation'),
+      },
+      {
+        key: 'disposals',
+        label: this.i18n.__('fixed_asset_schedule.disposals'),
+      },
+      {
+        key: 'closing_depreciation',
+        label: this.i18n.__('fixed_asset_schedule.closing_depreciation'),
+      },
+      {
+        key: 'book_value',
+        label: this.i18n.__('fixed_asset_schedule.book_value'),
+      },
+    ]);
+  };
+}
@@ -0,0 +1,48 @@
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAssetScheduleQuery,
+  IFixedAssetScheduleTable,
+} from '@/interfaces';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import { FixedAssetScheduleInjectable } from './FixedAssetScheduleInjectable';
+import { FixedAssetScheduleTable } from './FixedAssetScheduleTable';
+
+@Service()
+export class FixedAssetScheduleTableInjectable {
+  @Inject()
+  private tenancy: TenancyService;
+
+  @Inject()
+  private sheet: FixedAssetScheduleInjectable;
+
+  /**
+   * Retrieves the fixed asset schedule sheet in table format.
+   * @param {number} tenantId
+   * @param {IFixedAssetScheduleQuery} query
+   * @returns {Promise<IFixedAssetScheduleTable>}
+   */
+  public async table(
+    tenantId: number,
+    query: IFixedAssetScheduleQuery
+  ): Promise<IFixedAssetScheduleTable> {
+    const i18n = this.tenancy.i18n(tenantId);
+
+    const fixedAssetSchedule = await this.sheet.fixedAssetSchedule(
+      tenantId,
+      query
+    );
+    const table = new FixedAssetScheduleTable(
+      fixedAssetSchedule.data,
+      fixedAssetSchedule.query,
+      i18n
+    );
+    return {
+      table: {
+        columns: table.tableColumns(),
+        rows: table.tableRows(),
+      },
+      meta: fixedAssetSchedule.meta,
+      query: fixedAssetSchedule.query,
+    };
+  }
+}
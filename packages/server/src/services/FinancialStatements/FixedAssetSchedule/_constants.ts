@@ -0,0 +1,33 @@
+export enum ROW_TYPE {
+  ASSET = 'ASSET',
+  TOTAL = 'TOTAL',
+}
+
+export const HtmlTableCustomCss = `
+table tr.row-type--total td {
+  font-weight: 600;
+  border-top: 1px solid #bbb;
+  border-bottom: 3px double #000;
+  color: #000;
+}
+table .column--name,
+table .cell--name {
+  width: 220px;
+}
+table td.cell--cost,
+table td.cell--opening_depreciation,
+table td.cell--depreciation,
+table td.cell--disposals,
+table td.cell--closing_depreciation,
+table td.cell--book_value {
+  text-align: right;
+}
+table .column--cost,
+table .column--opening_depreciation,
+table .column--depreciation,
+table .column--disposals,
+table .column--closing_depreciation,
+table .column--book_value {
+  text-align: right;
+}
+`;
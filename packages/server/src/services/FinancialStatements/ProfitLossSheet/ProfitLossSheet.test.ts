@@ -0,0 +1,125 @@
+import { assert } from 'chai';
+import Knex from 'knex';
+import { castArray, groupBy, sumBy } from 'lodash';
+import { IProfitLossSheetNode } from '@/interfaces';
+import DependencyGraph from '@/lib/DependencyGraph';
+import AccountTransaction from '@/models/AccountTransaction';
+import ProfitLossSheet from './ProfitLossSheet';
+import { ProfitLossSheetRepository } from './ProfitLossSheetRepository';
+import { mergeQueryWithDefaults } from './utils';
+
+const Accounts = [
+  { id: 1, name: 'Sales', accountType: 'income', accountNormal: 'credit' },
+  { id: 2, name: 'Rent', accountType: 'expense', accountNormal: 'debit' },
+  {
+    id: 3,
+    name: 'Retained Earnings',
+    accountType: 'equity',
+    accountNormal: 'credit',
+  },
+];
+
+const Transactions = [
+  { accountId: 1, credit: 1000, debit: 0, isClosing: false },
+  { accountId: 2, credit: 0, debit: 400, isClosing: false },
+];
+
+// The closing journal zeroes out the income and expense accounts.
+const ClosingTransactions = [
+  { accountId: 1, credit: 0, debit: 1000, isClosing: true },
+  { accountId: 2, credit: 400, debit: 0, isClosing: true },
+  { accountId: 3, credit: 600, debit: 0, isClosing: true },
+];
+
+/**
+ * Retrieves the tenant models of the given account transactions, the account
+ * transactions query sums the transactions per account and respects
+ * the `excludeClosingEntries` modifier.
+ * @param {object[]} transactions
+ */
+const getModels = (transactions) => ({
+  Account: {
+    query: async () => Accounts,
+    toDependencyGraph: (accounts) =>
+      DependencyGraph.fromArray(accounts, {
+        itemId: 'id',
+        parentItemId: 'parentAccountId',
+      }),
+  },
+  AccountTransaction: {
+    query: () => ({
+      onBuild: async (callback) => {
+        const modifiers = [];
+        const builder = new Proxy(
+          {},
+          {
+            get: (target, method) =>
+              method === 'modify'
+                ? (modifier) => modifiers.push(modifier)
+                : () => builder,
+          }
+        );
+        callback(builder);
+
+        const filtered = modifiers.includes('excludeClosingEntries')
+          ? transactions.filter((transaction) => !transaction.isClosing)
+          : transactions;
+
+        return Object.entries(groupBy(filtered, 'accountId')).map(
+          ([accountId, accountTransactions]) => ({
+            accountId: parseInt(accountId, 10),
+            credit: sumBy(accountTransactions, 'credit'),
+            debit: sumBy(accountTransactions, 'debit'),
+            account: Accounts.find(({ id }) => id === parseInt(accountId, 10)),
+          })
+        );
+      },
+    }),
+  },
+});
+
+/**
+ * Retrieves the net income of the profit/loss sheet of the given models.
+ * @returns {Promise<number>}
+ */
+const getNetIncome = async (models): Promise<number> => {
+  const query = mergeQueryWithDefaults({
+    fromDate: '2023-01-01',
+    toDate: '2023-12-31',
+  } as any);
+  const repository = new ProfitLossSheetRepository(models, query);
+  await repository.asyncInitialize();
+
+  const sheet = new ProfitLossSheet(repository, query, 'USD', {
+    __: (key) => key,
+  });
+  const data: IProfitLossSheetNode[] = castArray(sheet.reportData());
+  const netIncome = data.find((node) => node.id === 'NET_INCOME');
+
+  return netIncome.total.amount;
+};
+
+describe('Profit/Loss sheet', () => {
+  it('Should exclude the year-end closing journals transactions.', () => {
+    const query = Knex({ client: 'mysql' })('accounts_transactions');
+
+    AccountTransaction.modifiers.excludeClosingEntries(query);
+    const sql = query.toString();
+
+    assert.include(
+      sql,
+      "not (`accounts_transactions`.`reference_type` = 'Journal' and " +
+        '`accounts_transactions`.`reference_id` in (select `id` from ' +
+        "`manual_journals` where `journal_type` = 'Closing'))"
+    );
+  });
+
+  it('Should keep the net income of the closed year unchanged.', async () => {
+    const netIncome = await getNetIncome(getModels(Transactions));
+    const closedNetIncome = await getNetIncome(
+      getModels([...Transactions, ...ClosingTransactions])
+    );
+    assert.equal(netIncome, 600);
+    assert.equal(closedNetIncome, netIncome);
+  });
+});
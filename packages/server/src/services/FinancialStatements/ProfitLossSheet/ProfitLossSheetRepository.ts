@@ -300,6 +300,7 @@ export class ProfitLossSheetRepository extends R.compose(FinancialDatePeriods)(
       query.select(['accountId']);
 
       query.modify('filterDateRange', fromDate, toDate);
+      query.modify('excludeClosingEntries');
       query.withGraphFetched('account');
 
       this.commonFilterBranchesQuery(query);
@@ -327,6 +328,7 @@ export class ProfitLossSheetRepository extends R.compose(FinancialDatePeriods)(
 
       query.modify('groupByDateFormat', datePeriodsType);
       query.modify('filterDateRange', fromDate, toDate);
+      query.modify('excludeClosingEntries');
       query.withGraphFetched('account');
 
       this.commonFilterBranchesQuery(query);
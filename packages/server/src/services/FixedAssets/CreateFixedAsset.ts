@@ -0,0 +1,100 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAsset,
+  IFixedAssetCreatedPayload,
+  IFixedAssetCreatingPayload,
+  IFixedAssetDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { FixedAssetDTOTransformer } from './FixedAssetDTOTransformer';
+import { FixedAssetValidators } from './FixedAssetValidators';
+
+@Service()
+export class CreateFixedAsset {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: FixedAssetDTOTransformer;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Creates a new fixed asset acquired by bill line or manually.
+   * @param {number} tenantId - The tenant id.
+   * @param {IFixedAssetDTO} fixedAssetDTO - Fixed asset DTO.
+   * @param {ISystemUser} authorizedUser
+   * @param {Knex.Transaction} trx
+   * @return {Promise<IFixedAsset>}
+   */
+  public async createFixedAsset(
+    tenantId: number,
+    fixedAssetDTO: IFixedAssetDTO,
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
+  ): Promise<IFixedAsset> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    // Validates the manual acquisition cost, date and asset account.
+    this.validators.validateAcquisitionDetails(fixedAssetDTO);
+
+    // Validates the bill line is not capitalized by another asset.
+    if (fixedAssetDTO.billEntryId) {
+      await this.validators.validateBillEntryNotLinked(
+        tenantId,
+        fixedAssetDTO.billEntryId
+      );
+    }
+    // Transform DTO object to model object.
+    const fixedAssetObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      fixedAssetDTO,
+      authorizedUser
+    );
+    // Validates the salvage value and the depreciation method details.
+    this.validators.validateDepreciation(fixedAssetObj);
+
+    // Validates the asset and depreciation accounts.
+    await this.validators.validateAccounts(tenantId, fixedAssetObj);
+
+    // Creates the fixed asset under UOW.
+    return this.uow.withTransaction(
+      tenantId,
+      async (trx: Knex.Transaction) => {
+        // Triggers `onFixedAssetCreating` event.
+        await this.eventPublisher.emitAsync(events.fixedAsset.onCreating, {
+          tenantId,
+          fixedAssetDTO,
+          trx,
+        } as IFixedAssetCreatingPayload);
+
+        const fixedAsset = await FixedAsset.query(trx).insertAndFetch({
+          ...fixedAssetObj,
+        });
+        // Triggers `onFixedAssetCreated` event.
+        await this.eventPublisher.emitAsync(events.fixedAsset.onCreated, {
+          tenantId,
+          fixedAsset,
+          fixedAssetId: fixedAsset.id,
+          fixedAssetDTO,
+          trx,
+        } as IFixedAssetCreatedPayload);
+
+        return fixedAsset;
+      },
+      trx
+    );
+  }
+}
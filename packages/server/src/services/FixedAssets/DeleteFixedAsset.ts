@@ -0,0 +1,68 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAssetDeletedPayload,
+  IFixedAssetDeletingPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { FixedAssetValidators } from './FixedAssetValidators';
+
+@Service()
+export class DeleteFixedAsset {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Deletes the given fixed asset, the asset with posted depreciations
+   * can't be deleted.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} fixedAssetId - Fixed asset id.
+   * @return {Promise<void>}
+   */
+  public async deleteFixedAsset(
+    tenantId: number,
+    fixedAssetId: number
+  ): Promise<void> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const oldFixedAsset = await FixedAsset.query().findById(fixedAssetId);
+
+    // Validates the given fixed asset existance.
+    this.validators.validateFixedAssetExistance(oldFixedAsset);
+
+    // Validates the fixed asset has no depreciations.
+    this.validators.validateNoDepreciations(oldFixedAsset);
+
+    // Deletes the fixed asset under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onFixedAssetDeleting` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onDeleting, {
+        tenantId,
+        oldFixedAsset,
+        trx,
+      } as IFixedAssetDeletingPayload);
+
+      await FixedAsset.query(trx).where('id', fixedAssetId).delete();
+
+      // Triggers `onFixedAssetDeleted` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onDeleted, {
+        tenantId,
+        fixedAssetId,
+        oldFixedAsset,
+        trx,
+      } as IFixedAssetDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,248 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { round } from 'lodash';
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAsset,
+  IFixedAssetDepreciatedPayload,
+  IFixedAssetDepreciation,
+  IFixedAssetUnitsDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import {
+  DepreciationMethod,
+  getDepreciationPeriods,
+  getPeriodDepreciation,
+  getUnitsDepreciation,
+} from '@/utils/depreciation';
+import { FixedAssetGLEntriesStorage } from './FixedAssetGLEntriesStorage';
+import { FixedAssetValidators } from './FixedAssetValidators';
+
+@Service()
+export class DepreciateFixedAssets {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private glEntriesStorage: FixedAssetGLEntriesStorage;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Stores the given depreciations of the fixed asset, updates its
+   * accumulated depreciation and writes the GL entries.
+   * @param {number} tenantId
+   * @param {IFixedAsset} fixedAsset
+   * @param {IFixedAssetDepreciation[]} depreciationsObjs
+   * @param {Date|string} lastDepreciationDate
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IFixedAssetDepreciation[]>}
+   */
+  private async saveDepreciations(
+    tenantId: number,
+    fixedAsset: IFixedAsset,
+    depreciationsObjs: IFixedAssetDepreciation[],
+    lastDepreciationDate: Date | string,
+    trx: Knex.Transaction
+  ): Promise<IFixedAssetDepreciation[]> {
+    const { FixedAsset, FixedAssetDepreciation } =
+      this.tenancy.models(tenantId);
+
+    const depreciations = [];
+
+    for (const depreciationObj of depreciationsObjs) {
+      depreciations.push(
+        await FixedAssetDepreciation.query(trx).insertAndFetch(depreciationObj)
+      );
+    }
+    const accumulatedDepreciation = round(
+      fixedAsset.accumulatedDepreciation +
+        depreciations.reduce((total, { amount }) => total + amount, 0),
+      2
+    );
+    const updatedFixedAsset = await FixedAsset.query(trx).patchAndFetchById(
+      fixedAsset.id,
+      { accumulatedDepreciation, lastDepreciationDate }
+    );
+    // Writes the depreciations GL entries.
+    await this.glEntriesStorage.writeDepreciationsGLEntries(
+      tenantId,
+      updatedFixedAsset,
+      depreciations,
+      trx
+    );
+    // Triggers `onFixedAssetDepreciated` event.
+    await this.eventPublisher.emitAsync(events.fixedAsset.onDepreciated, {
+      tenantId,
+      fixedAsset: updatedFixedAsset,
+      depreciations,
+      trx,
+    } as IFixedAssetDepreciatedPayload);
+
+    return depreciations;
+  }
+
+  /**
+   * Depreciates the given fixed asset for each elapsed month up to the
+   * given date, a depreciation entry is posted per month.
+   * @param {number} tenantId
+   * @param {IFixedAsset} fixedAsset
+   * @param {Date|string} toDate
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IFixedAssetDepreciation[]>}
+   */
+  public async depreciateFixedAsset(
+    tenantId: number,
+    fixedAsset: IFixedAsset,
+    toDate: Date | string,
+    trx?: Knex.Transaction
+  ): Promise<IFixedAssetDepreciation[]> {
+    const periods = getDepreciationPeriods(
+      fixedAsset.depreciationStartDate,
+      fixedAsset.lastDepreciationDate,
+      toDate
+    );
+    if (
+      periods.length === 0 ||
+      fixedAsset.depreciationMethod === DepreciationMethod.UnitsOfProduction
+    ) {
+      return [];
+    }
+    let accumulatedDepreciation = fixedAsset.accumulatedDepreciation;
+
+    const depreciationsObjs = periods
+      .map((period) => {
+        const amount = getPeriodDepreciation(
+          fixedAsset,
+          period.index,
+          accumulatedDepreciation
+        );
+        accumulatedDepreciation = round(accumulatedDepreciation + amount, 2);
+
+        return {
+          fixedAssetId: fixedAsset.id,
+          fromDate: moment(period.fromDate).format('YYYY-MM-DD'),
+          date: moment(period.toDate).format('YYYY-MM-DD'),
+          amount,
+        };
+      })
+      // The fully depreciated months post no entries.
+      .filter((depreciation) => depreciation.amount > 0);
+
+    const lastDepreciationDate = moment(
+      periods[periods.length - 1].toDate
+    ).format('YYYY-MM-DD');
+
+    return this.uow.withTransaction(
+      tenantId,
+      (trx: Knex.Transaction) =>
+        this.saveDepreciations(
+          tenantId,
+          fixedAsset,
+          depreciationsObjs as IFixedAssetDepreciation[],
+          lastDepreciationDate,
+          trx
+        ),
+      trx
+    );
+  }
+
+  /**
+   * Depreciates all the due time-based fixed assets up to the given date,
+   * each asset is depreciated under its own transaction.
+   * @param {number} tenantId
+   * @param {Date|string} toDate
+   * @returns {Promise<IFixedAssetDepreciation[]>}
+   */
+  public async depreciateDueFixedAssets(
+    tenantId: number,
+    toDate: Date | string = moment().format('YYYY-MM-DD')
+  ): Promise<IFixedAssetDepreciation[]> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const fixedAssets = await FixedAsset.query()
+      .modify('notDisposed')
+      .whereNot('depreciationMethod', DepreciationMethod.UnitsOfProduction)
+      .where('depreciationStartDate', '<=', moment(toDate).format('YYYY-MM-DD'))
+      .whereRaw('accumulated_depreciation < cost - salvage_value');
+
+    const depreciations = [];
+
+    for (const fixedAsset of fixedAssets) {
+      depreciations.push(
+        ...(await this.depreciateFixedAsset(tenantId, fixedAsset, toDate))
+      );
+    }
+    return depreciations;
+  }
+
+  /**
+   * Records the used units of the given units of production fixed asset
+   * and posts its depreciation.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @param {IFixedAssetUnitsDTO} unitsDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IFixedAssetDepreciation>}
+   */
+  public async recordUnitsUsage(
+    tenantId: number,
+    fixedAssetId: number,
+    unitsDTO: IFixedAssetUnitsDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IFixedAssetDepreciation> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const fixedAsset = await FixedAsset.query().findById(fixedAssetId);
+
+    // Validates the fixed asset existance.
+    this.validators.validateFixedAssetExistance(fixedAsset);
+
+    // Validates the fixed asset is not disposed and uses units method.
+    this.validators.validateNotDisposed(fixedAsset);
+    this.validators.validateUnitsMethod(fixedAsset);
+
+    // Validates the usage date after the last depreciation.
+    this.validators.validateDateAfterLastDepreciation(
+      fixedAsset,
+      unitsDTO.date
+    );
+    const date = moment(unitsDTO.date).format('YYYY-MM-DD');
+    const depreciationObj = {
+      fixedAssetId,
+      fromDate: moment(
+        fixedAsset.lastDepreciationDate || fixedAsset.depreciationStartDate
+      ).format('YYYY-MM-DD'),
+      date,
+      units: unitsDTO.units,
+      amount: getUnitsDepreciation(
+        fixedAsset,
+        unitsDTO.units,
+        fixedAsset.accumulatedDepreciation
+      ),
+      userId: authorizedUser.id,
+    } as IFixedAssetDepreciation;
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const [depreciation] = await this.saveDepreciations(
+        tenantId,
+        fixedAsset,
+        [depreciationObj],
+        date,
+        trx
+      );
+      return depreciation;
+    });
+  }
+}
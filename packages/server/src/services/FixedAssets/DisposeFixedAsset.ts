@@ -0,0 +1,140 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAsset,
+  IFixedAssetDisposeDTO,
+  IFixedAssetDisposedPayload,
+  IFixedAssetDisposingPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ServiceError } from '@/exceptions';
+import events from '@/subscribers/events';
+import { DepreciateFixedAssets } from './DepreciateFixedAssets';
+import { FixedAssetGLEntriesStorage } from './FixedAssetGLEntriesStorage';
+import { FixedAssetValidators } from './FixedAssetValidators';
+import { ERRORS } from './constants';
+
+@Service()
+export class DisposeFixedAsset {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private depreciateService: DepreciateFixedAssets;
+
+  @Inject()
+  private glEntriesStorage: FixedAssetGLEntriesStorage;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Validates the disposal deposit and gain/loss accounts existance,
+   * the deposit account is required once the asset sold with proceeds.
+   * @param {number} tenantId
+   * @param {IFixedAssetDisposeDTO} disposeDTO
+   */
+  private async validateDisposalAccounts(
+    tenantId: number,
+    disposeDTO: IFixedAssetDisposeDTO
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    if (disposeDTO.amount > 0 && !disposeDTO.depositAccountId) {
+      throw new ServiceError(ERRORS.DISPOSAL_DEPOSIT_ACCOUNT_REQUIRED);
+    }
+    const accountsIds = [
+      disposeDTO.gainLossAccountId,
+      ...(disposeDTO.amount > 0 ? [disposeDTO.depositAccountId] : []),
+    ];
+    const accounts = await Account.query().whereIn('id', accountsIds);
+
+    if (accounts.length !== new Set(accountsIds).size) {
+      throw new ServiceError(ERRORS.DISPOSAL_ACCOUNT_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Disposes the given fixed asset by sale or write-off, catches up the
+   * depreciation to the disposal date then writes the gain/loss entries.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @param {IFixedAssetDisposeDTO} disposeDTO
+   * @returns {Promise<IFixedAsset>}
+   */
+  public async disposeFixedAsset(
+    tenantId: number,
+    fixedAssetId: number,
+    disposeDTO: IFixedAssetDisposeDTO
+  ): Promise<IFixedAsset> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const oldFixedAsset = await FixedAsset.query().findById(fixedAssetId);
+
+    // Validates the fixed asset existance.
+    this.validators.validateFixedAssetExistance(oldFixedAsset);
+
+    // Validates the fixed asset is not disposed.
+    this.validators.validateNotDisposed(oldFixedAsset);
+
+    // Validates the disposal date after the last depreciation.
+    this.validators.validateDateAfterLastDepreciation(
+      oldFixedAsset,
+      disposeDTO.date
+    );
+    // Validates the disposal accounts.
+    await this.validateDisposalAccounts(tenantId, disposeDTO);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onFixedAssetDisposing` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onDisposing, {
+        tenantId,
+        oldFixedAsset,
+        disposeDTO,
+        trx,
+      } as IFixedAssetDisposingPayload);
+
+      // Catches up the depreciation of the elapsed months to the disposal.
+      await this.depreciateService.depreciateFixedAsset(
+        tenantId,
+        oldFixedAsset,
+        disposeDTO.date,
+        trx
+      );
+      const fixedAsset = await FixedAsset.query(trx).patchAndFetchById(
+        fixedAssetId,
+        {
+          disposedAt: moment(disposeDTO.date).format('YYYY-MM-DD'),
+          disposalAmount: disposeDTO.amount || 0,
+          disposalDepositAccountId:
+            disposeDTO.amount > 0 ? disposeDTO.depositAccountId : null,
+          disposalGainLossAccountId: disposeDTO.gainLossAccountId,
+        }
+      );
+      // Writes the disposal GL entries.
+      await this.glEntriesStorage.writeDisposalGLEntries(
+        tenantId,
+        fixedAsset,
+        trx
+      );
+      // Triggers `onFixedAssetDisposed` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onDisposed, {
+        tenantId,
+        fixedAsset,
+        disposeDTO,
+        trx,
+      } as IFixedAssetDisposedPayload);
+
+      return fixedAsset;
+    });
+  }
+}
@@ -0,0 +1,110 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAsset,
+  IFixedAssetDTO,
+  IFixedAssetEditedPayload,
+  IFixedAssetEditingPayload,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { FixedAssetDTOTransformer } from './FixedAssetDTOTransformer';
+import { FixedAssetValidators } from './FixedAssetValidators';
+
+@Service()
+export class EditFixedAsset {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: FixedAssetDTOTransformer;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Edits the given fixed asset, the depreciable details can't be changed
+   * once the asset has posted depreciations.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} fixedAssetId - Fixed asset id.
+   * @param {IFixedAssetDTO} fixedAssetDTO - Fixed asset DTO.
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<IFixedAsset>}
+   */
+  public async editFixedAsset(
+    tenantId: number,
+    fixedAssetId: number,
+    fixedAssetDTO: IFixedAssetDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IFixedAsset> {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const oldFixedAsset = await FixedAsset.query().findById(fixedAssetId);
+
+    // Validates the given fixed asset existance.
+    this.validators.validateFixedAssetExistance(oldFixedAsset);
+
+    // Validates the fixed asset is not disposed and has no depreciations.
+    this.validators.validateNotDisposed(oldFixedAsset);
+    this.validators.validateNoDepreciations(oldFixedAsset);
+
+    // Validates the manual acquisition cost, date and asset account.
+    this.validators.validateAcquisitionDetails(fixedAssetDTO);
+
+    // Validates the bill line is not capitalized by another asset.
+    if (fixedAssetDTO.billEntryId) {
+      await this.validators.validateBillEntryNotLinked(
+        tenantId,
+        fixedAssetDTO.billEntryId,
+        fixedAssetId
+      );
+    }
+    // Transform DTO object to model object.
+    const fixedAssetObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      fixedAssetDTO,
+      authorizedUser,
+      oldFixedAsset
+    );
+    // Validates the salvage value and the depreciation method details.
+    this.validators.validateDepreciation(fixedAssetObj);
+
+    // Validates the asset and depreciation accounts.
+    await this.validators.validateAccounts(tenantId, fixedAssetObj);
+
+    // Edits the fixed asset under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onFixedAssetEditing` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onEditing, {
+        tenantId,
+        oldFixedAsset,
+        fixedAssetDTO,
+        trx,
+      } as IFixedAssetEditingPayload);
+
+      const fixedAsset = await FixedAsset.query(trx).patchAndFetchById(
+        fixedAssetId,
+        { ...fixedAssetObj }
+      );
+      // Triggers `onFixedAssetEdited` event.
+      await this.eventPublisher.emitAsync(events.fixedAsset.onEdited, {
+        tenantId,
+        fixedAsset,
+        oldFixedAsset,
+        fixedAssetDTO,
+        trx,
+      } as IFixedAssetEditedPayload);
+
+      return fixedAsset;
+    });
+  }
+}
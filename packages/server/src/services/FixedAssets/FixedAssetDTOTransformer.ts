@@ -0,0 +1,79 @@
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { round } from 'lodash';
+import { IFixedAsset, IFixedAssetDTO, ISystemUser } from '@/interfaces';
+import { FixedAssetValidators } from './FixedAssetValidators';
+
+@Service()
+export class FixedAssetDTOTransformer {
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  /**
+   * Retrieves the acquisition details of the given bill line, the cost
+   * is the line amount excluding tax in the base currency.
+   * @param {number} tenantId
+   * @param {number} billEntryId
+   * @returns {Promise<Partial<IFixedAsset>>}
+   */
+  private async getBillEntryAcquisition(
+    tenantId: number,
+    billEntryId: number
+  ): Promise<Partial<IFixedAsset>> {
+    const billEntry = await this.validators.getBillEntryOrThrowError(
+      tenantId,
+      billEntryId
+    );
+    return {
+      billId: billEntry.referenceId,
+      billEntryId: billEntry.id,
+      acquisitionDate: billEntry.bill.billDate,
+      cost: round(billEntry.amountExludingTax * billEntry.bill.exchangeRate, 2),
+      assetAccountId: billEntry.costAccountId,
+      branchId: billEntry.bill.branchId,
+    };
+  }
+
+  /**
+   * Transforms the fixed asset DTO to model object, the asset acquired by
+   * bill line takes its cost, date and asset account from the bill.
+   * @param {number} tenantId
+   * @param {IFixedAssetDTO} fixedAssetDTO
+   * @param {ISystemUser} authorizedUser
+   * @param {IFixedAsset} oldFixedAsset
+   * @returns {Promise<IFixedAsset>}
+   */
+  public async transformDTOToModel(
+    tenantId: number,
+    fixedAssetDTO: IFixedAssetDTO,
+    authorizedUser: ISystemUser,
+    oldFixedAsset?: IFixedAsset
+  ): Promise<IFixedAsset> {
+    const acquisition: Partial<IFixedAsset> = fixedAssetDTO.billEntryId
+      ? await this.getBillEntryAcquisition(tenantId, fixedAssetDTO.billEntryId)
+      : { billId: null, billEntryId: null };
+
+    const fixedAsset = {
+      ...fixedAssetDTO,
+      ...acquisition,
+      salvageValue: fixedAssetDTO.salvageValue || 0,
+      decliningBalanceFactor: fixedAssetDTO.decliningBalanceFactor || null,
+      totalUnits: fixedAssetDTO.totalUnits || null,
+      // The asset inherits the bill branch unless given.
+      branchId: fixedAssetDTO.branchId || acquisition.branchId || null,
+    } as IFixedAsset;
+
+    return {
+      ...fixedAsset,
+      acquisitionDate: moment(fixedAsset.acquisitionDate).format('YYYY-MM-DD'),
+      depreciationStartDate: moment(
+        fixedAssetDTO.depreciationStartDate || fixedAsset.acquisitionDate
+      ).format('YYYY-MM-DD'),
+      ...(!oldFixedAsset && {
+        accumulatedDepreciation: 0,
+        lastDepreciationDate: null,
+        userId: authorizedUser.id,
+      }),
+    } as IFixedAsset;
+  }
+}
@@ -0,0 +1,177 @@
+import * as R from 'ramda';
+import { round } from 'lodash';
+import { Service } from 'typedi';
+import {
+  AccountNormal,
+  IFixedAsset,
+  IFixedAssetDepreciation,
+  ILedger,
+  ILedgerEntry,
+} from '@/interfaces';
+import Ledger from '@/services/Accounting/Ledger';
+import {
+  FIXED_ASSET_DEPRECIATION_TRANSACTION,
+  FIXED_ASSET_DISPOSAL_TRANSACTION,
+} from './constants';
+
+@Service()
+export class FixedAssetGLEntries {
+  /**
+   * Retrieves the fixed asset GL common entry.
+   * @param {IFixedAsset} fixedAsset
+   * @param {string} baseCurrency
+   * @returns
+   */
+  private getFixedAssetGLCommonEntry = (
+    fixedAsset: IFixedAsset,
+    baseCurrency: string
+  ) => {
+    return {
+      currencyCode: baseCurrency,
+      exchangeRate: 1,
+
+      userId: fixedAsset.userId,
+
+      debit: 0,
+      credit: 0,
+
+      branchId: fixedAsset.branchId,
+      note: fixedAsset.name,
+    };
+  };
+
+  /**
+   * Retrieves the GL entries of the given depreciation, debits the
+   * depreciation expense and credits the accumulated depreciation.
+   * @param {IFixedAsset} fixedAsset
+   * @param {string} baseCurrency
+   * @param {IFixedAssetDepreciation} depreciation
+   * @returns {ILedgerEntry[]}
+   */
+  private getDepreciationGLEntries = R.curry(
+    (
+      fixedAsset: IFixedAsset,
+      baseCurrency: string,
+      depreciation: IFixedAssetDepreciation
+    ): ILedgerEntry[] => {
+      const commonEntry = {
+        ...this.getFixedAssetGLCommonEntry(fixedAsset, baseCurrency),
+        transactionType: FIXED_ASSET_DEPRECIATION_TRANSACTION,
+        transactionId: depreciation.id,
+        date: depreciation.date,
+      };
+      return [
+        {
+          ...commonEntry,
+          debit: depreciation.amount,
+          accountId: fixedAsset.depreciationExpenseAccountId,
+          accountNormal: AccountNormal.DEBIT,
+          index: 1,
+        },
+        {
+          ...commonEntry,
+          credit: depreciation.amount,
+          accountId: fixedAsset.accumulatedDepreciationAccountId,
+          accountNormal: AccountNormal.DEBIT,
+          index: 2,
+        },
+      ];
+    }
+  );
+
+  /**
+   * Retrieves the ledger of the given depreciations.
+   * @param {IFixedAsset} fixedAsset
+   * @param {IFixedAssetDepreciation[]} depreciations
+   * @param {string} baseCurrency
+   * @returns {ILedger}
+   */
+  public getDepreciationsLedger = (
+    fixedAsset: IFixedAsset,
+    depreciations: IFixedAssetDepreciation[],
+    baseCurrency: string
+  ): ILedger => {
+    const getEntries = this.getDepreciationGLEntries(fixedAsset, baseCurrency);
+    const entries = depreciations.flatMap((depreciation) =>
+      getEntries(depreciation)
+    );
+    return new Ledger(entries);
+  };
+
+  /**
+   * Retrieves the disposal GL entries, removes the asset cost and its
+   * accumulated depreciation, records the proceeds to the deposit account
+   * and the difference to the gain/loss account.
+   * @param {IFixedAsset} fixedAsset - Disposed fixed asset.
+   * @param {string} baseCurrency
+   * @returns {ILedgerEntry[]}
+   */
+  public getDisposalGLEntries = (
+    fixedAsset: IFixedAsset,
+    baseCurrency: string
+  ): ILedgerEntry[] => {
+    const commonEntry = {
+      ...this.getFixedAssetGLCommonEntry(fixedAsset, baseCurrency),
+      transactionType: FIXED_ASSET_DISPOSAL_TRANSACTION,
+      transactionId: fixedAsset.id,
+      date: fixedAsset.disposedAt,
+    };
+    const proceeds = fixedAsset.disposalAmount || 0;
+    const bookValue = round(
+      fixedAsset.cost - fixedAsset.accumulatedDepreciation,
+      2
+    );
+    const gainOrLoss = round(proceeds - bookValue, 2);
+
+    const accumulatedEntry = {
+      ...commonEntry,
+      debit: fixedAsset.accumulatedDepreciation,
+      accountId: fixedAsset.accumulatedDepreciationAccountId,
+      accountNormal: AccountNormal.DEBIT,
+      index: 1,
+    };
+    const assetEntry = {
+      ...commonEntry,
+      credit: fixedAsset.cost,
+      accountId: fixedAsset.assetAccountId,
+      accountNormal: AccountNormal.DEBIT,
+      index: 2,
+    };
+    const depositEntry = {
+      ...commonEntry,
+      debit: proceeds,
+      accountId: fixedAsset.disposalDepositAccountId,
+      accountNormal: AccountNormal.DEBIT,
+      index: 3,
+    };
+    const gainLossEntry = {
+      ...commonEntry,
+      debit: gainOrLoss < 0 ? -1 * gainOrLoss : 0,
+      credit: gainOrLoss > 0 ? gainOrLoss : 0,
+      accountId: fixedAsset.disposalGainLossAccountId,
+      accountNormal: AccountNormal.CREDIT,
+      index: 4,
+    };
+    return [
+      ...(fixedAsset.accumulatedDepreciation > 0 ? [accumulatedEntry] : []),
+      assetEntry,
+      ...(proceeds > 0 ? [depositEntry] : []),
+      ...(gainOrLoss !== 0 ? [gainLossEntry] : []),
+    ];
+  };
+
+  /**
+   * Retrieves the disposal ledger of the given fixed asset.
+   * @param {IFixedAsset} fixedAsset - Disposed fixed asset.
+   * @param {string} baseCurrency
+   * @returns {ILedger}
+   */
+  public getDisposalLedger = (
+    fixedAsset: IFixedAsset,
+    baseCurrency: string
+  ): ILedger => {
+    const entries = this.getDisposalGLEntries(fixedAsset, baseCurrency);
+
+    return new Ledger(entries);
+  };
+}
@@ -0,0 +1,62 @@
+import { Knex } from 'knex';
+import { Service, Inject } from 'typedi';
+import { IFixedAsset, IFixedAssetDepreciation } from '@/interfaces';
+import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
+import { TenantMetadata } from '@/system/models';
+import { FixedAssetGLEntries } from './FixedAssetGLEntries';
+
+@Service()
+export class FixedAssetGLEntriesStorage {
+  @Inject()
+  private fixedAssetGLEntries: FixedAssetGLEntries;
+
+  @Inject()
+  private ledgerStorage: LedgerStorageService;
+
+  /**
+   * Writes the GL entries of the given fixed asset depreciations.
+   * @param {number} tenantId
+   * @param {IFixedAsset} fixedAsset
+   * @param {IFixedAssetDepreciation[]} depreciations
+   * @param {Knex.Transaction} trx
+   */
+  public writeDepreciationsGLEntries = async (
+    tenantId: number,
+    fixedAsset: IFixedAsset,
+    depreciations: IFixedAssetDepreciation[],
+    trx?: Knex.Transaction
+  ) => {
+    const tenantMeta = await TenantMetadata.query().findOne({ tenantId });
+
+    // Retrieves the depreciations ledger.
+    const ledger = this.fixedAssetGLEntries.getDepreciationsLedger(
+      fixedAsset,
+      depreciations,
+      tenantMeta.baseCurrency
+    );
+    // Commits the depreciations ledger entries.
+    await this.ledgerStorage.commit(tenantId, ledger, trx);
+  };
+
+  /**
+   * Writes the disposal GL entries of the given fixed asset.
+   * @param {number} tenantId
+   * @param {IFixedAsset} fixedAsset - Disposed fixed asset.
+   * @param {Knex.Transaction} trx
+   */
+  public writeDisposalGLEntries = async (
+    tenantId: number,
+    fixedAsset: IFixedAsset,
+    trx?: Knex.Transaction
+  ) => {
+    const tenantMeta = await TenantMetadata.query().findOne({ tenantId });
+
+    // Retrieves the disposal ledger.
+    const ledger = this.fixedAssetGLEntries.getDisposalLedger(
+      fixedAsset,
+      tenantMeta.baseCurrency
+    );
+    // Commits the disposal ledger entries.
+    await this.ledgerStorage.commit(tenantId, ledger, trx);
+  };
+}
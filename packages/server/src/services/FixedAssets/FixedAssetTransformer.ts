@@ -0,0 +1,117 @@
+import { IFixedAsset, IFixedAssetDepreciation } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class FixedAssetTransformer extends Transformer {
+  /**
+   * Include these attributes to fixed asset object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedAcquisitionDate',
+      'formattedDepreciationStartDate',
+      'formattedLastDepreciationDate',
+      'formattedDisposedAt',
+      'formattedCost',
+      'formattedSalvageValue',
+      'formattedAccumulatedDepreciation',
+      'formattedBookValue',
+      'depreciations',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted acquisition date.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedAcquisitionDate = (fixedAsset: IFixedAsset): string => {
+    return this.formatDate(fixedAsset.acquisitionDate);
+  };
+
+  /**
+   * Retrieves the formatted depreciation start date.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedDepreciationStartDate = (
+    fixedAsset: IFixedAsset
+  ): string => {
+    return this.formatDate(fixedAsset.depreciationStartDate);
+  };
+
+  /**
+   * Retrieves the formatted last depreciation date.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedLastDepreciationDate = (
+    fixedAsset: IFixedAsset
+  ): string => {
+    return fixedAsset.lastDepreciationDate
+      ? this.formatDate(fixedAsset.lastDepreciationDate)
+      : '';
+  };
+
+  /**
+   * Retrieves the formatted disposal date.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedDisposedAt = (fixedAsset: IFixedAsset): string => {
+    return fixedAsset.disposedAt ? this.formatDate(fixedAsset.disposedAt) : '';
+  };
+
+  /**
+   * Retrieves the formatted cost.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedCost = (fixedAsset: IFixedAsset): string => {
+    return this.formatMoney(fixedAsset.cost);
+  };
+
+  /**
+   * Retrieves the formatted salvage value.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedSalvageValue = (fixedAsset: IFixedAsset): string => {
+    return this.formatMoney(fixedAsset.salvageValue);
+  };
+
+  /**
+   * Retrieves the formatted accumulated depreciation.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedAccumulatedDepreciation = (
+    fixedAsset: IFixedAsset
+  ): string => {
+    return this.formatMoney(fixedAsset.accumulatedDepreciation);
+  };
+
+  /**
+   * Retrieves the formatted book value.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {string}
+   */
+  protected formattedBookValue = (fixedAsset: IFixedAsset): string => {
+    return this.formatMoney(fixedAsset.bookValue);
+  };
+
+  /**
+   * Retrieves the depreciations with formatted date and amount.
+   * @param {IFixedAsset} fixedAsset
+   * @returns {Array}
+   */
+  protected depreciations = (fixedAsset: IFixedAsset) => {
+    return (fixedAsset.depreciations || []).map(
+      (depreciation: IFixedAssetDepreciation) => ({
+        ...depreciation,
+        formattedDate: this.formatDate(depreciation.date),
+        formattedAmount: this.formatMoney(depreciation.amount),
+      })
+    );
+  };
+}
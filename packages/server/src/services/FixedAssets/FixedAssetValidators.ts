@@ -0,0 +1,201 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import { IFixedAsset, IFixedAssetDTO } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ACCOUNT_ROOT_TYPE } from '@/data/AccountTypes';
+import { DepreciationMethod } from '@/utils/depreciation';
+import { ERRORS, FIXED_ASSET_ACCOUNTS_TYPES } from './constants';
+
+@Service()
+export class FixedAssetValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the given fixed asset existance.
+   * @param {IFixedAsset | undefined | null} fixedAsset
+   */
+  public validateFixedAssetExistance(
+    fixedAsset: IFixedAsset | undefined | null
+  ) {
+    if (!fixedAsset) {
+      throw new ServiceError(ERRORS.FIXED_ASSET_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the asset, depreciation expense and accumulated depreciation
+   * accounts existance and types.
+   * @param {number} tenantId
+   * @param {Partial<IFixedAsset>} fixedAsset
+   */
+  public async validateAccounts(
+    tenantId: number,
+    fixedAsset: Partial<IFixedAsset>
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const [assetAccount, expenseAccount, accumulatedAccount] =
+      await Promise.all([
+        Account.query().findById(fixedAsset.assetAccountId),
+        Account.query().findById(fixedAsset.depreciationExpenseAccountId),
+        Account.query().findById(fixedAsset.accumulatedDepreciationAccountId),
+      ]);
+    if (
+      !assetAccount ||
+      FIXED_ASSET_ACCOUNTS_TYPES.indexOf(assetAccount.accountType) === -1
+    ) {
+      throw new ServiceError(ERRORS.ASSET_ACCOUNT_INVALID);
+    }
+    if (
+      !expenseAccount ||
+      !expenseAccount.isRootType(ACCOUNT_ROOT_TYPE.EXPENSE)
+    ) {
+      throw new ServiceError(ERRORS.DEPRECIATION_EXPENSE_ACCOUNT_INVALID);
+    }
+    if (
+      !accumulatedAccount ||
+      FIXED_ASSET_ACCOUNTS_TYPES.indexOf(accumulatedAccount.accountType) === -1
+    ) {
+      throw new ServiceError(ERRORS.ACCUMULATED_DEPRECIATION_ACCOUNT_INVALID);
+    }
+  }
+
+  /**
+   * Validates the depreciation details, the salvage value shouldn't exceed
+   * the cost and the units of production method requires the total units.
+   * @param {Partial<IFixedAsset>} fixedAsset
+   */
+  public validateDepreciation(fixedAsset: Partial<IFixedAsset>) {
+    if (fixedAsset.salvageValue > fixedAsset.cost) {
+      throw new ServiceError(ERRORS.SALVAGE_VALUE_EXCEEDS_COST);
+    }
+    if (
+      fixedAsset.depreciationMethod === DepreciationMethod.UnitsOfProduction &&
+      !(fixedAsset.totalUnits > 0)
+    ) {
+      throw new ServiceError(ERRORS.TOTAL_UNITS_REQUIRED);
+    }
+  }
+
+  /**
+   * Validates the manual acquisition details, the asset acquired by bill
+   * line takes its details from the bill.
+   * @param {IFixedAssetDTO} fixedAssetDTO
+   */
+  public validateAcquisitionDetails(fixedAssetDTO: IFixedAssetDTO) {
+    if (
+      !fixedAssetDTO.billEntryId &&
+      (!fixedAssetDTO.acquisitionDate ||
+        !fixedAssetDTO.assetAccountId ||
+        !(fixedAssetDTO.cost > 0))
+    ) {
+      throw new ServiceError(ERRORS.ACQUISITION_DETAILS_REQUIRED);
+    }
+  }
+
+  /**
+   * Retrieves the given bill line with its bill and item or throw not found
+   * error, the inventory items lines can't be capitalized as fixed assets.
+   * @param {number} tenantId
+   * @param {number} billEntryId
+   * @returns {Promise<ItemEntry>}
+   */
+  public async getBillEntryOrThrowError(tenantId: number, billEntryId: number) {
+    const { ItemEntry } = this.tenancy.models(tenantId);
+
+    const billEntry = await ItemEntry.query()
+      .findById(billEntryId)
+      .where('referenceType', 'Bill')
+      .withGraphFetched('bill')
+      .withGraphFetched('item');
+
+    if (!billEntry) {
+      throw new ServiceError(ERRORS.BILL_ENTRY_NOT_FOUND);
+    }
+    if (billEntry.item?.type === 'inventory') {
+      throw new ServiceError(ERRORS.BILL_ENTRY_INVENTORY_ITEM);
+    }
+    return billEntry;
+  }
+
+  /**
+   * Validates the given bill entry is not linked to another fixed asset.
+   * @param {number} tenantId
+   * @param {number} billEntryId
+   * @param {number} fixedAssetId - Excluded edited fixed asset.
+   */
+  public async validateBillEntryNotLinked(
+    tenantId: number,
+    billEntryId: number,
+    fixedAssetId?: number
+  ) {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const linkedAsset = await FixedAsset.query()
+      .where('billEntryId', billEntryId)
+      .onBuild((query) => {
+        if (fixedAssetId) query.whereNot('id', fixedAssetId);
+      })
+      .first();
+
+    if (linkedAsset) {
+      throw new ServiceError(ERRORS.BILL_ENTRY_ALREADY_LINKED);
+    }
+  }
+
+  /**
+   * Validates the fixed asset has no posted depreciations, the depreciable
+   * details can't be changed after posting the depreciation entries.
+   * @param {IFixedAsset} fixedAsset
+   */
+  public validateNoDepreciations(fixedAsset: IFixedAsset) {
+    if (fixedAsset.lastDepreciationDate) {
+      throw new ServiceError(ERRORS.FIXED_ASSET_HAS_DEPRECIATIONS);
+    }
+  }
+
+  /**
+   * Validates the fixed asset is not disposed.
+   * @param {IFixedAsset} fixedAsset
+   */
+  public validateNotDisposed(fixedAsset: IFixedAsset) {
+    if (fixedAsset.disposedAt) {
+      throw new ServiceError(ERRORS.FIXED_ASSET_ALREADY_DISPOSED);
+    }
+  }
+
+  /**
+   * Validates the given date is after the last depreciation and the
+   * depreciation start date.
+   * @param {IFixedAsset} fixedAsset
+   * @param {Date} date
+   */
+  public validateDateAfterLastDepreciation(
+    fixedAsset: IFixedAsset,
+    date: Date
+  ) {
+    if (moment(date).isBefore(fixedAsset.depreciationStartDate, 'day')) {
+      throw new ServiceError(ERRORS.DATE_BEFORE_DEPRECIATION_START);
+    }
+    if (
+      fixedAsset.lastDepreciationDate &&
+      moment(date).isBefore(fixedAsset.lastDepreciationDate, 'day')
+    ) {
+      throw new ServiceError(ERRORS.DATE_BEFORE_LAST_DEPRECIATION);
+    }
+  }
+
+  /**
+   * Validates the fixed asset depreciates by the units of production.
+   * @param {IFixedAsset} fixedAsset
+   */
+  public validateUnitsMethod(fixedAsset: IFixedAsset) {
+    if (
+      fixedAsset.depreciationMethod !== DepreciationMethod.UnitsOfProduction
+    ) {
+      throw new ServiceError(ERRORS.FIXED_ASSET_NOT_UNITS_METHOD);
+    }
+  }
+}
@@ -0,0 +1,171 @@
+import { Inject, Service } from 'typedi';
+import {
+  IFixedAssetDTO,
+  IFixedAssetDisposeDTO,
+  IFixedAssetsDepreciateDTO,
+  IFixedAssetsFilter,
+  IFixedAssetUnitsDTO,
+  ISystemUser,
+} from '@/interfaces';
+import { CreateFixedAsset } from './CreateFixedAsset';
+import { EditFixedAsset } from './EditFixedAsset';
+import { DeleteFixedAsset } from './DeleteFixedAsset';
+import { GetFixedAsset } from './GetFixedAsset';
+import { GetFixedAssets } from './GetFixedAssets';
+import { DepreciateFixedAssets } from './DepreciateFixedAssets';
+import { DisposeFixedAsset } from './DisposeFixedAsset';
+
+@Service()
+export class FixedAssetsApplication {
+  @Inject()
+  private createFixedAssetService: CreateFixedAsset;
+
+  @Inject()
+  private editFixedAssetService: EditFixedAsset;
+
+  @Inject()
+  private deleteFixedAssetService: DeleteFixedAsset;
+
+  @Inject()
+  private getFixedAssetService: GetFixedAsset;
+
+  @Inject()
+  private getFixedAssetsService: GetFixedAssets;
+
+  @Inject()
+  private depreciateFixedAssetsService: DepreciateFixedAssets;
+
+  @Inject()
+  private disposeFixedAssetService: DisposeFixedAsset;
+
+  /**
+   * Creates a new fixed asset.
+   * @param {number} tenantId
+   * @param {IFixedAssetDTO} fixedAssetDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IFixedAsset>}
+   */
+  public createFixedAsset(
+    tenantId: number,
+    fixedAssetDTO: IFixedAssetDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.createFixedAssetService.createFixedAsset(
+      tenantId,
+      fixedAssetDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given fixed asset.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @param {IFixedAssetDTO} fixedAssetDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IFixedAsset>}
+   */
+  public editFixedAsset(
+    tenantId: number,
+    fixedAssetId: number,
+    fixedAssetDTO: IFixedAssetDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.editFixedAssetService.editFixedAsset(
+      tenantId,
+      fixedAssetId,
+      fixedAssetDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given fixed asset.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @returns {Promise<void>}
+   */
+  public deleteFixedAsset(tenantId: number, fixedAssetId: number) {
+    return this.deleteFixedAssetService.deleteFixedAsset(
+      tenantId,
+      fixedAssetId
+    );
+  }
+
+  /**
+   * Retrieves the given fixed asset.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @returns {Promise<IFixedAsset>}
+   */
+  public getFixedAsset(tenantId: number, fixedAssetId: number) {
+    return this.getFixedAssetService.getFixedAsset(tenantId, fixedAssetId);
+  }
+
+  /**
+   * Retrieves the fixed assets list.
+   * @param {number} tenantId
+   * @param {IFixedAssetsFilter} filter
+   * @returns {Promise<IFixedAsset[]>}
+   */
+  public getFixedAssets(tenantId: number, filter: IFixedAssetsFilter) {
+    return this.getFixedAssetsService.getFixedAssets(tenantId, filter);
+  }
+
+  /**
+   * Depreciates the due fixed assets up to the given date.
+   * @param {number} tenantId
+   * @param {IFixedAssetsDepreciateDTO} depreciateDTO
+   * @returns {Promise<IFixedAssetDepreciation[]>}
+   */
+  public depreciateFixedAssets(
+    tenantId: number,
+    depreciateDTO: IFixedAssetsDepreciateDTO
+  ) {
+    return this.depreciateFixedAssetsService.depreciateDueFixedAssets(
+      tenantId,
+      depreciateDTO.toDate
+    );
+  }
+
+  /**
+   * Records the used units of the given fixed asset.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @param {IFixedAssetUnitsDTO} unitsDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IFixedAssetDepreciation>}
+   */
+  public recordUnitsUsage(
+    tenantId: number,
+    fixedAssetId: number,
+    unitsDTO: IFixedAssetUnitsDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.depreciateFixedAssetsService.recordUnitsUsage(
+      tenantId,
+      fixedAssetId,
+      unitsDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Disposes the given fixed asset.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @param {IFixedAssetDisposeDTO} disposeDTO
+   * @returns {Promise<IFixedAsset>}
+   */
+  public disposeFixedAsset(
+    tenantId: number,
+    fixedAssetId: number,
+    disposeDTO: IFixedAssetDisposeDTO
+  ) {
+    return this.disposeFixedAssetService.disposeFixedAsset(
+      tenantId,
+      fixedAssetId,
+      disposeDTO
+    );
+  }
+}
@@ -0,0 +1,44 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { FixedAssetValidators } from './FixedAssetValidators';
+import { FixedAssetTransformer } from './FixedAssetTransformer';
+
+@Service()
+export class GetFixedAsset {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: FixedAssetValidators;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the given fixed asset with its depreciations.
+   * @param {number} tenantId
+   * @param {number} fixedAssetId
+   * @returns {Promise<IFixedAsset>}
+   */
+  public async getFixedAsset(tenantId: number, fixedAssetId: number) {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const fixedAsset = await FixedAsset.query()
+      .findById(fixedAssetId)
+      .withGraphFetched('depreciations')
+      .withGraphFetched('assetAccount')
+      .withGraphFetched('depreciationExpenseAccount')
+      .withGraphFetched('accumulatedDepreciationAccount');
+
+    // Validates the fixed asset existance.
+    this.validators.validateFixedAssetExistance(fixedAsset);
+
+    // Transforms the fixed asset.
+    return this.transformer.transform(
+      tenantId,
+      fixedAsset,
+      new FixedAssetTransformer()
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import { IFixedAssetsFilter } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { FixedAssetTransformer } from './FixedAssetTransformer';
+
+@Service()
+export class GetFixedAssets {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the fixed assets list.
+   * @param {number} tenantId
+   * @param {IFixedAssetsFilter} filter
+   * @returns {Promise<IFixedAsset[]>}
+   */
+  public async getFixedAssets(tenantId: number, filter: IFixedAssetsFilter) {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const fixedAssets = await FixedAsset.query()
+      .onBuild((builder) => {
+        if (filter.status) {
+          builder.modify('status', filter.status);
+        }
+        if (filter.searchKeyword) {
+          builder.modify('search', filter.searchKeyword);
+        }
+      })
+      .orderBy('acquisition_date', 'DESC')
+      .orderBy('name', 'ASC');
+
+    // Transforms the fixed assets.
+    return this.transformer.transform(
+      tenantId,
+      fixedAssets,
+      new FixedAssetTransformer()
+    );
+  }
+}
@@ -0,0 +1,32 @@
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+
+export const ERRORS = {
+  FIXED_ASSET_NOT_FOUND: 'FIXED_ASSET_NOT_FOUND',
+  ASSET_ACCOUNT_INVALID: 'ASSET_ACCOUNT_INVALID',
+  DEPRECIATION_EXPENSE_ACCOUNT_INVALID: 'DEPRECIATION_EXPENSE_ACCOUNT_INVALID',
+  ACCUMULATED_DEPRECIATION_ACCOUNT_INVALID:
+    'ACCUMULATED_DEPRECIATION_ACCOUNT_INVALID',
+  SALVAGE_VALUE_EXCEEDS_COST: 'SALVAGE_VALUE_EXCEEDS_COST',
+  TOTAL_UNITS_REQUIRED: 'TOTAL_UNITS_REQUIRED',
+  ACQUISITION_DETAILS_REQUIRED: 'ACQUISITION_DETAILS_REQUIRED',
+  BILL_ENTRY_NOT_FOUND: 'BILL_ENTRY_NOT_FOUND',
+  BILL_ENTRY_ALREADY_LINKED: 'BILL_ENTRY_ALREADY_LINKED',
+  BILL_ENTRY_INVENTORY_ITEM: 'BILL_ENTRY_INVENTORY_ITEM',
+  FIXED_ASSET_HAS_DEPRECIATIONS: 'FIXED_ASSET_HAS_DEPRECIATIONS',
+  FIXED_ASSET_ALREADY_DISPOSED: 'FIXED_ASSET_ALREADY_DISPOSED',
+  FIXED_ASSET_NOT_UNITS_METHOD: 'FIXED_ASSET_NOT_UNITS_METHOD',
+  DATE_BEFORE_LAST_DEPRECIATION: 'DATE_BEFORE_LAST_DEPRECIATION',
+  DATE_BEFORE_DEPRECIATION_START: 'DATE_BEFORE_DEPRECIATION_START',
+  DISPOSAL_DEPOSIT_ACCOUNT_REQUIRED: 'DISPOSAL_DEPOSIT_ACCOUNT_REQUIRED',
+  DISPOSAL_ACCOUNT_NOT_FOUND: 'DISPOSAL_ACCOUNT_NOT_FOUND',
+  CANNOT_DELETE_BILL_OF_FIXED_ASSET: 'CANNOT_DELETE_BILL_OF_FIXED_ASSET',
+};
+
+export const FIXED_ASSET_ACCOUNTS_TYPES = [
+  ACCOUNT_TYPE.FIXED_ASSET,
+  ACCOUNT_TYPE.NON_CURRENT_ASSET,
+];
+
+export const FIXED_ASSET_DEPRECIATION_TRANSACTION = 'FixedAssetDepreciation';
+
+export const FIXED_ASSET_DISPOSAL_TRANSACTION = 'FixedAssetDisposal';
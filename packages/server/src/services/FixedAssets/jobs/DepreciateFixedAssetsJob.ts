@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { DepreciateFixedAssets } from '../DepreciateFixedAssets';
+
+@Service()
+export class DepreciateFixedAssetsJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'fixed-assets-depreciate',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Posts the elapsed months depreciation of the given tenant fixed assets.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const depreciateService = Container.get(DepreciateFixedAssets);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await depreciateService.depreciateDueFixedAssets(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
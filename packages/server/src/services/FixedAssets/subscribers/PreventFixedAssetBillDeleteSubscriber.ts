@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import { IBillEventDeletingPayload } from '@/interfaces';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { ERRORS } from '../constants';
+
+@Service()
+export class PreventFixedAssetBillDeleteSubscriber {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.bill.onDeleting,
+      this.preventFixedAssetBillDelete.bind(this)
+    );
+  }
+
+  /**
+   * Prevents deleting the bill that has lines capitalized as fixed assets,
+   * the fixed assets should be deleted first.
+   * @param {IBillEventDeletingPayload}
+   */
+  public async preventFixedAssetBillDelete({
+    tenantId,
+    oldBill,
+    trx,
+  }: IBillEventDeletingPayload) {
+    const { FixedAsset } = this.tenancy.models(tenantId);
+
+    const fixedAsset = await FixedAsset.query(trx).findOne(
+      'billId',
+      oldBill.id
+    );
+    if (fixedAsset) {
+      throw new ServiceError(ERRORS.CANNOT_DELETE_BILL_OF_FIXED_ASSET);
+    }
+  }
+}
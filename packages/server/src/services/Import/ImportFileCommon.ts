@@ -12,7 +12,11 @@ import {
   ImportableContext,
 } from './interfaces';
 import { ServiceError } from '@/exceptions';
-import { getUniqueImportableValue, trimObject } from './_utils';
+import { ERRORS, getUniqueImportableValue, trimObject } from './_utils';
+import { isOfxFile, parseOfxTransactions } from './_ofx';
+import { isCamtFile, parseCamtTransactions } from './_camt';
+import { isMt940File, parseMt940Transactions } from './_mt940';
+import { transformStatementToSheet } from './_statements';
 import { ImportableResources } from './ImportableResources';
 import ResourceService from '../Resource/ResourceService';
 import { Import } from '@/system/models';
@@ -43,6 +47,34 @@ export class ImportFileCommon {
     return XLSX.utils.sheet_to_json(worksheet, {});
   }
 
+  /**
+   * Parses the imported file buffer to sheet data based on the file format,
+   * bank statement files are parsed to rows of statement transactions.
+   * @param {Buffer} buffer - File buffer.
+   * @returns {Record<string, unknown>[]}
+   */
+  public parseSheetFile(buffer: Buffer): Record<string, unknown>[] {
+    if (isOfxFile(buffer)) {
+      return transformStatementToSheet(parseOfxTransactions(buffer));
+    }
+    if (isCamtFile(buffer)) {
+      return transformStatementToSheet(parseCamtTransactions(buffer));
+    }
+    if (isMt940File(buffer)) {
+      return transformStatementToSheet(parseMt940Transactions(buffer));
+    }
+    return this.parseXlsxSheet(buffer);
+  }
+
+  /**
+   * Detarmines whether the given file buffer is bank statement file
+   * (OFX/QFX, CAMT.053 or MT940).
+   * @param {Buffer} buffer - File buffer.
+   * @returns {boolean}
+   */
+  public isBankStatementFile(buffer: Buffer): boolean {
+    return isOfxFile(buffer) || isCamtFile(buffer) || isMt940File(buffer);
+  }
 
   /**
    * Imports the given parsed data to the resource storage through registered importable service.
@@ -181,6 +213,20 @@ export class ImportFileCommon {
     return importable.transformParams(params);
   }
 
+  /**
+   * Validates the given resource accepts bank statement files.
+   * @param {string} resourceName
+   * @throws {ServiceError(ERRORS.BANK_STATEMENT_FILE_NOT_SUPPORTED)}
+   */
+  public validateBankStatementImportable(resourceName: string) {
+    const ImportableRegistry = this.importable.registry;
+    const importable = ImportableRegistry.getImportable(resourceName);
+
+    if (!importable.bankStatementImportable) {
+      throw new ServiceError(ERRORS.BANK_STATEMENT_FILE_NOT_SUPPORTED);
+    }
+  }
+
   /**
    * Retrieves the sheet columns from the given sheet data.
    * @param {unknown[]} json
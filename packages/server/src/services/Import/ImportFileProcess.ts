@@ -51,7 +51,7 @@ export class ImportFileProcess {
     }
     // Read the imported file.
     const buffer = await readImportFile(importFile.filename);
-    const sheetData = this.importCommon.parseXlsxSheet(buffer);
+    const sheetData = this.importCommon.parseSheetFile(buffer);
     const header = getSheetColumns(sheetData);
 
     const resource = importFile.resource;
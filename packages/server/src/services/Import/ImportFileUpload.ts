@@ -76,8 +76,12 @@ export class ImportFileUploadService {
     // Reads the imported file into buffer.
     const buffer = await readImportFile(filename);
 
+    // Throw service error if the resource does not accept bank statement files.
+    if (this.importFileCommon.isBankStatementFile(buffer)) {
+      this.importFileCommon.validateBankStatementImportable(resource);
+    }
     // Parse the buffer file to array data.
-    const sheetData = this.importFileCommon.parseXlsxSheet(buffer);
+    const sheetData = this.importFileCommon.parseSheetFile(buffer);
 
     // Throws service error if the sheet data is empty.
     validateSheetEmpty(sheetData);
@@ -33,6 +33,15 @@ export abstract class Importable {
     return 10;
   }
 
+  /**
+   * Detarmines whether the importable accepts bank statement files
+   * (OFX/QFX, CAMT.053 and MT940).
+   * @returns {boolean}
+   */
+  public get bankStatementImportable() {
+    return false;
+  }
+
   /**
    * Retrieves the sample data of importable.
    * @returns {Array<any>}
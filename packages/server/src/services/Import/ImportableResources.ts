@@ -8,6 +8,7 @@ import { ItemsImportable } from '../Items/ItemsImportable';
 import { ItemCategoriesImportable } from '../ItemCategories/ItemCategoriesImportable';
 import { ManualJournalImportable } from '../ManualJournals/ManualJournalsImport';
 import { BillsImportable } from '../Purchases/Bills/BillsImportable';
+import { PurchaseOrdersImportable } from '../Purchases/PurchaseOrders/PurchaseOrdersImportable';
 import { ExpensesImportable } from '../Expenses/ExpensesImportable';
 import { SaleInvoicesImportable } from '../Sales/Invoices/SaleInvoicesImportable';
 import { SaleEstimatesImportable } from '../Sales/Estimates/SaleEstimatesImportable';
@@ -40,6 +41,7 @@ export class ImportableResources {
     { resource: 'ItemCategory', importable: ItemCategoriesImportable },
     { resource: 'ManualJournal', importable: ManualJournalImportable },
     { resource: 'Bill', importable: BillsImportable },
+    { resource: 'PurchaseOrder', importable: PurchaseOrdersImportable },
     { resource: 'Expense', importable: ExpensesImportable },
     { resource: 'SaleInvoice', importable: SaleInvoicesImportable },
     { resource: 'SaleEstimate', importable: SaleEstimatesImportable },
@@ -0,0 +1,141 @@
+import { assert } from 'chai';
+import { isCamtFile, parseCamtTransactions } from './_camt';
+
+const Statement = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Id>STMT-1</Id>
+      <Acct><Id><IBAN>DE89 3704 0044 0532 0130 00</IBAN></Id></Acct>
+      <Ntry>
+        <NtryRef>E-1</NtryRef>
+        <Amt Ccy="EUR">150.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2024-01-02</Dt></BookgDt>
+        <ValDt><Dt>2024-01-03</Dt></ValDt>
+        <AcctSvcrRef>SVC-1</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>INV-0042</EndToEndId></Refs>
+            <RltdPties>
+              <Dbtr><Nm>Acme GmbH</Nm></Dbtr>
+              <DbtrAcct><Id><IBAN>DE44500105175407324931</IBAN></Id></DbtrAcct>
+              <Cdtr><Nm>Our Company</Nm></Cdtr>
+            </RltdPties>
+            <RmtInf><Ustrd>Invoice INV-0042</Ustrd><Ustrd>Thank you</Ustrd></RmtInf>
+          </TxDtls>
+        </NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">12.50</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><DtTm>2024-01-04T10:00:00</DtTm></BookgDt>
+        <ValDt><Dt>2024-01-04</Dt></ValDt>
+        <AcctSvcrRef>SVC-2</AcctSvcrRef>
+        <NtryDtls>
+          <TxDtls>
+            <Refs><EndToEndId>NOTPROVIDED</EndToEndId><TxId>TX-2</TxId></Refs>
+            <RltdPties>
+              <Cdtr><Pty><Nm>Telekom &amp; Co</Nm></Pty></Cdtr>
+              <CdtrAcct><Id><IBAN>DE02120300000000202051</IBAN></Id></CdtrAcct>
+            </RltdPties>
+          </TxDtls>
+        </NtryDtls>
+        <AddtlNtryInf>Direct debit</AddtlNtryInf>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">300.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2024-01-05</Dt></BookgDt>
+        <ValDt><Dt>2024-01-05</Dt></ValDt>
+        <AcctSvcrRef>SVC-3</AcctSvcrRef>
+        <NtryDtls>
+          <Btch><NbOfTxs>2</NbOfTxs></Btch>
+          <TxDtls>
+            <Refs><EndToEndId>SAL-1</EndToEndId></Refs>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">100.00</Amt></TxAmt></AmtDtls>
+            <RltdPties><Cdtr><Nm>John Doe</Nm></Cdtr></RltdPties>
+          </TxDtls>
+          <TxDtls>
+            <Refs><EndToEndId>SAL-2</EndToEndId></Refs>
+            <AmtDtls><TxAmt><Amt Ccy="EUR">200.00</Amt></TxAmt></AmtDtls>
+            <RltdPties><Cdtr><Nm>Jane Doe</Nm></Cdtr></RltdPties>
+          </TxDtls>
+        </NtryDtls>
+        <AddtlNtryInf>Salaries batch</AddtlNtryInf>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">99.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts>PDNG</Sts>
+        <BookgDt><Dt>2024-01-06</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>
+`;
+
+describe('CAMT.053 statements', () => {
+  it('Should detect the CAMT.053 statement only.', () => {
+    assert.isTrue(isCamtFile(Buffer.from(Statement)));
+    assert.isFalse(isCamtFile(Buffer.from('<OFX></OFX>')));
+  });
+
+  it('Should sign the entries by the credit debit indicator.', () => {
+    const transactions = parseCamtTransactions(Buffer.from(Statement));
+
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.amount),
+      [150, -12.5, -300]
+    );
+  });
+
+  it('Should take the counterparty of the credit from the debtor.', () => {
+    const [credit] = parseCamtTransactions(Buffer.from(Statement));
+
+    assert.deepInclude(credit, {
+      fitid: 'SVC-1',
+      date: '2024-01-02',
+      valueDate: '2024-01-03',
+      payee: 'Acme GmbH',
+      description: 'Invoice INV-0042 Thank you',
+      referenceNo: 'INV-0042',
+      counterpartyIban: 'DE44500105175407324931',
+      accountIban: 'DE89370400440532013000',
+    });
+  });
+
+  it('Should take the counterparty of the debit from the creditor.', () => {
+    const [, debit] = parseCamtTransactions(Buffer.from(Statement));
+
+    assert.deepInclude(debit, {
+      fitid: 'SVC-2',
+      date: '2024-01-04',
+      payee: 'Telekom & Co',
+      description: 'Direct debit',
+      referenceNo: 'TX-2',
+      counterpartyIban: 'DE02120300000000202051',
+    });
+  });
+
+  it('Should keep the batch entry as one transaction of its total.', () => {
+    const [, , batch] = parseCamtTransactions(Buffer.from(Statement));
+
+    assert.deepInclude(batch, {
+      fitid: 'SVC-3',
+      amount: -300,
+      payee: '',
+      description: 'Salaries batch',
+      referenceNo: '',
+    });
+  });
+
+  it('Should skip the pending entries.', () => {
+    const transactions = parseCamtTransactions(Buffer.from(Statement));
+
+    assert.lengthOf(transactions, 3);
+  });
+});
@@ -0,0 +1,152 @@
+import { first } from 'lodash';
+import { BankStatementTransaction, decodeEntities } from './_statements';
+import { normalizeIban } from '@/utils/iban';
+
+/**
+ * Detarmines whether the given file buffer is ISO 20022 CAMT.053 statement.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export const isCamtFile = (buffer: Buffer): boolean => {
+  const head = buffer.subarray(0, 2048).toString('utf8');
+
+  return head.includes('camt.053') || head.includes('BkToCstmrStmt');
+};
+
+/**
+ * Retrieves the inner content of all the given elements inside the XML
+ * fragment, ignoring the namespace prefixes and the element attributes.
+ * @param {string} fragment
+ * @param {string} tag
+ * @returns {string[]}
+ */
+const getElements = (fragment: string, tag: string): string[] => {
+  const pattern = new RegExp(
+    `<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+    'g'
+  );
+  return Array.from(fragment.matchAll(pattern)).map((matched) => matched[1]);
+};
+
+/**
+ * Retrieves the inner content of the first given element on the path.
+ * @param {string} fragment
+ * @param {string[]} path
+ * @returns {string}
+ */
+const getElement = (fragment: string, ...path: string[]): string => {
+  return path.reduce(
+    (acc, tag) => (acc ? first(getElements(acc, tag)) || '' : ''),
+    fragment
+  );
+};
+
+/**
+ * Retrieves the decoded text value of the given element path.
+ * @param {string} fragment
+ * @param {string[]} path
+ * @returns {string}
+ */
+const getValue = (fragment: string, ...path: string[]): string => {
+  return decodeEntities(getElement(fragment, ...path)).trim();
+};
+
+/**
+ * Retrieves the date of the given date choice element (`Dt` or `DtTm`).
+ * @param {string} fragment
+ * @param {string} tag
+ * @returns {string}
+ */
+const getDateValue = (fragment: string, tag: string): string => {
+  const date = getValue(fragment, tag, 'Dt') || getValue(fragment, tag, 'DtTm');
+
+  return date.substring(0, 10);
+};
+
+/**
+ * Retrieves the party name, the newer message versions wrap it in `Pty`.
+ * @param {string} parties
+ * @param {string} tag
+ * @returns {string}
+ */
+const getPartyName = (parties: string, tag: string): string => {
+  return getValue(parties, tag, 'Nm') || getValue(parties, tag, 'Pty', 'Nm');
+};
+
+/**
+ * Parses the given statement entry to bank statement transaction.
+ * @param {string} accountIban - Statement account IBAN.
+ * @param {string} entry - Entry (`Ntry`) element content.
+ * @returns {BankStatementTransaction}
+ */
+const parseCamtEntry = (
+  accountIban: string,
+  entry: string
+): BankStatementTransaction => {
+  const transactionsDetails = getElements(
+    getElement(entry, 'NtryDtls'),
+    'TxDtls'
+  );
+  // The batch entry books many transactions at once, so the details of
+  // a single transaction don't describe the entry.
+  const details =
+    transactionsDetails.length === 1 ? transactionsDetails[0] : '';
+  const parties = getElement(details, 'RltdPties');
+  const isCredit = getValue(entry, 'CdtDbtInd') === 'CRDT';
+
+  const amount = parseFloat(getValue(entry, 'Amt'));
+
+  // The counterparty of a credit is the debtor and of a debit the creditor.
+  const counterpartyName = isCredit
+    ? getPartyName(parties, 'Dbtr')
+    : getPartyName(parties, 'Cdtr');
+
+  const counterpartyIban = isCredit
+    ? getValue(parties, 'DbtrAcct', 'Id', 'IBAN')
+    : getValue(parties, 'CdtrAcct', 'Id', 'IBAN');
+
+  const remittance = getElements(getElement(details, 'RmtInf'), 'Ustrd')
+    .map((line) => decodeEntities(line).trim())
+    .join(' ');
+
+  return {
+    fitid:
+      getValue(entry, 'AcctSvcrRef') ||
+      getValue(details, 'Refs', 'AcctSvcrRef') ||
+      getValue(entry, 'NtryRef'),
+    date: getDateValue(entry, 'BookgDt'),
+    valueDate: getDateValue(entry, 'ValDt'),
+    amount: isCredit ? amount : -1 * amount,
+    payee: counterpartyName,
+    description: remittance || getValue(entry, 'AddtlNtryInf'),
+    referenceNo:
+      getValue(details, 'Refs', 'EndToEndId').replace('NOTPROVIDED', '') ||
+      getValue(details, 'Refs', 'TxId'),
+    counterpartyName,
+    counterpartyIban: normalizeIban(counterpartyIban),
+    accountIban,
+  };
+};
+
+/**
+ * Parses the transactions of all the statements of the given CAMT.053 file,
+ * each transaction keeps its statement account IBAN.
+ * @param {Buffer} buffer
+ * @returns {BankStatementTransaction[]}
+ */
+export const parseCamtTransactions = (
+  buffer: Buffer
+): BankStatementTransaction[] => {
+  const content = buffer.toString('utf8');
+  const statements = getElements(content, 'Stmt');
+
+  return statements.flatMap((statement) => {
+    // Reads the account before the entries, pending entries are skipped.
+    const header = statement.split(/<(?:\w+:)?Ntry[\s>]/)[0];
+    const accountIban = normalizeIban(getValue(header, 'Acct', 'Id', 'IBAN'));
+
+    return getElements(statement, 'Ntry')
+      .filter((entry) => getElement(entry, 'Sts').indexOf('PDNG') === -1)
+      .map((entry) => parseCamtEntry(accountIban, entry));
+  });
+};
@@ -0,0 +1,90 @@
+import { assert } from 'chai';
+import { isMt940File, parseMt940Transactions } from './_mt940';
+
+const Statement = [
+  ':20:STARTUMSE',
+  ':25:COBADEFFXXX/DE89370400440532013000EUR',
+  ':28C:00001/001',
+  ':60F:C231229EUR1000,00',
+  ':61:2312291229DR12,50NMSCNONREF//BANKREF1',
+  ':86:005?00LASTSCHRIFT?20Telekom Rechnung?21Dezember?30DEUTDEFF',
+  '?31DE02120300000000202051?32Telekom Deutschland GmbH',
+  ':61:2312290102CR150,00NTRFINV-0042//BANKREF2',
+  ':86:/CNTP/DE44500105175407324931/INGDDEFFXXX/Acme GmbH/Berlin/',
+  '/REMI/USTD//Invoice INV-0042/',
+  ':61:2401020102RC20,00NTRFNONREF//BANKREF3',
+  ':86:Reversal of the wrong credit',
+  ':61:2401030103RD5,00NCHGNONREF//BANKREF4',
+  ':86:Reversal of the bank charges',
+  ':62F:C240103EUR1122,50',
+  '-',
+].join('\r\n');
+
+describe('MT940 statements', () => {
+  it('Should detect the MT940 statement only.', () => {
+    assert.isTrue(isMt940File(Buffer.from(Statement)));
+    assert.isFalse(isMt940File(Buffer.from('<OFX></OFX>')));
+  });
+
+  it('Should parse the `:61:` statement line fields.', () => {
+    const [transaction] = parseMt940Transactions(Buffer.from(Statement));
+
+    assert.deepInclude(transaction, {
+      fitid: 'BANKREF1',
+      valueDate: '2023-12-29',
+      date: '2023-12-29',
+      amount: -12.5,
+      referenceNo: '',
+      accountIban: 'DE89370400440532013000',
+    });
+  });
+
+  it('Should sign the debits, credits and their reversals.', () => {
+    const transactions = parseMt940Transactions(Buffer.from(Statement));
+
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.amount),
+      [-12.5, 150, -20, 5]
+    );
+  });
+
+  it('Should roll the booking date over the year end.', () => {
+    const transactions = parseMt940Transactions(Buffer.from(Statement));
+
+    assert.equal(transactions[1].valueDate, '2023-12-29');
+    assert.equal(transactions[1].date, '2024-01-02');
+    assert.equal(transactions[1].referenceNo, 'INV-0042');
+
+    const [backward] = parseMt940Transactions(
+      Buffer.from(
+        [':20:X', ':25:DE89370400440532013000', ':61:2401021231D1,00NMSC'].join(
+          '\n'
+        )
+      )
+    );
+    assert.equal(backward.valueDate, '2024-01-02');
+    assert.equal(backward.date, '2023-12-31');
+  });
+
+  it('Should parse the structured `:86:` subfields.', () => {
+    const [transaction] = parseMt940Transactions(Buffer.from(Statement));
+
+    assert.deepInclude(transaction, {
+      description: 'Telekom RechnungDezember',
+      payee: 'Telekom Deutschland GmbH',
+      counterpartyName: 'Telekom Deutschland GmbH',
+      counterpartyIban: 'DE02120300000000202051',
+    });
+  });
+
+  it('Should parse the `/CODE/value` notation of `:86:`.', () => {
+    const transactions = parseMt940Transactions(Buffer.from(Statement));
+
+    assert.deepInclude(transactions[1], {
+      description: 'Invoice INV-0042',
+      counterpartyName: 'Acme GmbH',
+      counterpartyIban: 'DE44500105175407324931',
+    });
+    assert.equal(transactions[2].description, 'Reversal of the wrong credit');
+  });
+});
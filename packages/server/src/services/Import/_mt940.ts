@@ -0,0 +1,245 @@
+import moment from 'moment';
+import { last, range } from 'lodash';
+import { BankStatementTransaction } from './_statements';
+import { normalizeIban } from '@/utils/iban';
+
+interface Mt940Field {
+  tag: string;
+  value: string;
+}
+
+const IbanPattern = /[A-Z]{2}\d{2}[A-Z0-9]{10,30}/;
+
+// The purpose lines of the structured `:86:` information (`?20`-`?29`, `?60`-`?63`).
+const PurposeSubfields = [...range(20, 30), ...range(60, 64)].map(String);
+
+/**
+ * Detarmines whether the given file buffer is SWIFT MT940 statement.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export const isMt940File = (buffer: Buffer): boolean => {
+  const head = buffer.subarray(0, 4096).toString('latin1');
+
+  return /(^|\n):20:/.test(head) && /\n:25:/.test(head);
+};
+
+/**
+ * Decodes the file buffer, falls back to latin1 that most banks still use.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const decodeMt940Buffer = (buffer: Buffer): string => {
+  const content = buffer.toString('utf8');
+
+  return content.includes('\uFFFD') ? buffer.toString('latin1') : content;
+};
+
+/**
+ * Splits the message content to tagged fields, the field value may span
+ * multiple lines until the next tag.
+ * @param {string} content
+ * @returns {Mt940Field[]}
+ */
+const parseFields = (content: string): Mt940Field[] => {
+  const fields: Mt940Field[] = [];
+
+  content.split(/\r?\n/).forEach((line) => {
+    const matched = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+
+    if (matched) {
+      fields.push({ tag: matched[1], value: matched[2] });
+    } else if (fields.length > 0 && line !== '-' && !line.startsWith('-}')) {
+      last(fields).value += `\n${line}`;
+    }
+  });
+  return fields;
+};
+
+/**
+ * Retrieves the account IBAN of the `:25:` field, formats such as
+ * `BIC/IBAN` or `IBAN` followed by the currency code.
+ * @param {string} value
+ * @param {string} currencyCode
+ * @returns {string}
+ */
+const parseAccountIban = (value: string, currencyCode: string): string => {
+  const account = normalizeIban(last(value.split('/')));
+  const withoutCurrency =
+    currencyCode && account.endsWith(currencyCode)
+      ? account.slice(0, -1 * currencyCode.length)
+      : account;
+  const matched = IbanPattern.exec(withoutCurrency);
+
+  return matched ? matched[0] : '';
+};
+
+/**
+ * Parses the `YYMMDD` date to `YYYY-MM-DD` format.
+ * @param {string} value
+ * @returns {string}
+ */
+const parseShortDate = (value: string): string => {
+  return moment(value, 'YYMMDD', true).format('YYYY-MM-DD');
+};
+
+/**
+ * Parses the `MMDD` booking date relative to the value date, the booking
+ * may fall in the adjacent year around the year end.
+ * @param {string} valueDate - `YYYY-MM-DD` value date.
+ * @param {string} value - `MMDD` booking date.
+ * @returns {string}
+ */
+const parseBookingDate = (valueDate: string, value: string): string => {
+  if (!value) return valueDate;
+
+  const valueMoment = moment(valueDate, 'YYYY-MM-DD');
+  const candidates = [-1, 0, 1].map((offset) =>
+    moment(`${valueMoment.year() + offset}${value}`, 'YYYYMMDD')
+  );
+  const closest = candidates.reduce((acc, candidate) =>
+    Math.abs(candidate.diff(valueMoment)) < Math.abs(acc.diff(valueMoment))
+      ? candidate
+      : acc
+  );
+  return closest.format('YYYY-MM-DD');
+};
+
+/**
+ * Parses the `:86:` information to owner details, supports the structured
+ * German `?NN` subfields and the `/CODE/value` notation.
+ * @param {string} value
+ * @returns {{ description: string; name: string; iban: string }}
+ */
+const parseInformation = (
+  value: string
+): { description: string; name: string; iban: string } => {
+  const content = value.replace(/\r?\n/g, '');
+
+  // Structured subfields, e.g. `166?00GUTSCHRIFT?20EREF+...?32Name?31IBAN`.
+  if (/\?\d{2}/.test(content)) {
+    const subfields = {};
+
+    content
+      .split('?')
+      .slice(1)
+      .forEach((part) => {
+        const code = part.substring(0, 2);
+        subfields[code] = `${subfields[code] || ''}${part.substring(2)}`;
+      });
+    const pick = (codes: string[]) =>
+      codes
+        .map((code) => subfields[code] || '')
+        .join('')
+        .trim();
+
+    return {
+      description: pick(PurposeSubfields),
+      name: pick(['32', '33']),
+      iban: normalizeIban(pick(['31'])),
+    };
+  }
+  // Code/value notation, e.g. `/CNTP/IBAN/BIC/NAME/CITY/REMI/USTD//text/`.
+  if (/^\/[A-Z]{4}\//.test(content)) {
+    const counterparty = /\/CNTP\/([^/]*)\/([^/]*)\/([^/]*)\//.exec(content);
+    const name = /\/NAME\/([^/]*)/.exec(content);
+    const iban = /\/IBAN\/([^/]*)/.exec(content);
+    const remittance = /\/REMI\/(?:USTD\/\/)?([^/]*)/.exec(content);
+
+    return {
+      description: remittance ? remittance[1].trim() : content,
+      name: (counterparty ? counterparty[3] : name?.[1] || '').trim(),
+      iban: normalizeIban(counterparty ? counterparty[1] : iban?.[1] || ''),
+    };
+  }
+  return { description: content.trim(), name: '', iban: '' };
+};
+
+/**
+ * Parses the `:61:` statement line with its following `:86:` information.
+ * @param {string} accountIban
+ * @param {string} line - `:61:` field value.
+ * @param {string} information - `:86:` field value.
+ * @returns {BankStatementTransaction | null}
+ */
+const parseStatementLine = (
+  accountIban: string,
+  line: string,
+  information: string
+): BankStatementTransaction | null => {
+  const matched =
+    /^(\d{6})(\d{4})?(R?[DC])[A-Z]?([\d,]+)[NSF][A-Z0-9]{3}([^/\n]*)(?:\/\/([^\n]*))?/.exec(
+      line
+    );
+  if (!matched) return null;
+
+  const [
+    ,
+    valueDateRaw,
+    bookingDateRaw,
+    mark,
+    amountRaw,
+    customerRef,
+    bankRef,
+  ] = matched;
+  const valueDate = parseShortDate(valueDateRaw);
+  const amount = parseFloat(amountRaw.replace(',', '.'));
+
+  // Credits and reversal of debits increase the account balance.
+  const isCredit = mark === 'C' || mark === 'RD';
+  const details = parseInformation(information);
+  const referenceNo = customerRef.trim() === 'NONREF' ? '' : customerRef.trim();
+
+  return {
+    fitid: (bankRef || '').trim(),
+    date: parseBookingDate(valueDate, bookingDateRaw),
+    valueDate,
+    amount: isCredit ? amount : -1 * amount,
+    payee: details.name,
+    description: details.description,
+    referenceNo,
+    counterpartyName: details.name,
+    counterpartyIban: details.iban,
+    accountIban,
+  };
+};
+
+/**
+ * Parses the transactions of all the messages of the given MT940 file,
+ * each transaction keeps its message account IBAN.
+ * @param {Buffer} buffer
+ * @returns {BankStatementTransaction[]}
+ */
+export const parseMt940Transactions = (
+  buffer: Buffer
+): BankStatementTransaction[] => {
+  const fields = parseFields(decodeMt940Buffer(buffer));
+  const transactions: BankStatementTransaction[] = [];
+
+  let accountValue = '';
+  let accountIban = '';
+
+  fields.forEach((field, index) => {
+    const nextField = fields[index + 1];
+
+    if (field.tag === '25') {
+      accountValue = field.value.trim();
+      accountIban = parseAccountIban(accountValue, '');
+    } else if (field.tag === '60F' || field.tag === '60M') {
+      // Strips the currency suffix some banks append to the account.
+      const currencyCode = field.value.substring(7, 10);
+      accountIban = parseAccountIban(accountValue, currencyCode);
+    } else if (field.tag === '61') {
+      const information = nextField?.tag === '86' ? nextField.value : '';
+      const transaction = parseStatementLine(
+        accountIban,
+        field.value,
+        information
+      );
+      if (transaction) {
+        transactions.push(transaction);
+      }
+    }
+  });
+  return transactions;
+};
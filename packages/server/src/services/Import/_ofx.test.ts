@@ -0,0 +1,179 @@
+import { assert } from 'chai';
+import { isOfxFile, parseOfxTransactions } from './_ofx';
+
+const SgmlStatement = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+ENCODING:USASCII
+CHARSET:1252
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>USD
+<BANKACCTFROM>
+<BANKID>121000248
+<ACCTID>4001234567
+<ACCTTYPE>CHECKING
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20240101
+<DTEND>20240131
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000[-5:EST]
+<TRNAMT>-42.50
+<FITID>2024010501
+<CHECKNUM>1001
+<NAME>Office Depot
+<MEMO>Paper &amp; toner
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240110
+<DTAVAIL>20240111
+<TRNAMT>1500,00
+<FITID>2024011001
+<NAME>Acme Corp
+<MEMO>Invoice INV-00012
+<BANKACCTTO>
+<BANKID>026009593
+<ACCTID>9990001111
+<ACCTTYPE>CHECKING
+</BANKACCTTO>
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+
+const XmlStatement = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <CREDITCARDMSGSRSV1>
+    <CCSTMTTRNRS>
+      <CCSTMTRS>
+        <CURDEF>EUR</CURDEF>
+        <CCACCTFROM>
+          <ACCTID>5555444433332222</ACCTID>
+        </CCACCTFROM>
+        <BANKTRANLIST>
+          <STMTTRN>
+            <TRNTYPE>DEBIT</TRNTYPE>
+            <DTPOSTED>20240203</DTPOSTED>
+            <TRNAMT>-19.99</TRNAMT>
+            <FITID>CC-1</FITID>
+            <REFNUM>R-77</REFNUM>
+            <NAME>Café Müller</NAME>
+            <MEMO>Lunch</MEMO>
+          </STMTTRN>
+          <STMTTRN>
+            <TRNTYPE>CREDIT</TRNTYPE>
+            <DTPOSTED>20240204</DTPOSTED>
+            <TRNAMT>+250.00</TRNAMT>
+            <FITID>CC-2</FITID>
+            <NAME>Refund</NAME>
+          </STMTTRN>
+        </BANKTRANLIST>
+      </CCSTMTRS>
+    </CCSTMTTRNRS>
+  </CREDITCARDMSGSRSV1>
+</OFX>
+`;
+
+const DuplicateStatement = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<STMTTRN>
+<DTPOSTED>20240301
+<TRNAMT>-10.00
+<FITID>DUP-1
+<NAME>Coffee
+</STMTTRN>
+<STMTTRN>
+<DTPOSTED>20240301
+<TRNAMT>-10.00
+<FITID>DUP-1
+<NAME>Coffee
+</STMTTRN>
+<STMTTRN>
+<DTPOSTED>20240302
+<TRNAMT>-10.00
+<FITID>DUP-2
+<NAME>Coffee
+</STMTTRN>
+</OFX>
+`;
+
+describe('OFX statements', () => {
+  it('Should detect the SGML and XML statements only.', () => {
+    assert.isTrue(isOfxFile(Buffer.from(SgmlStatement)));
+    assert.isTrue(isOfxFile(Buffer.from(XmlStatement)));
+    assert.isFalse(isOfxFile(Buffer.from('Date,Amount\n2024-01-01,10')));
+  });
+
+  it('Should parse the SGML (v1) statement with unclosed elements.', () => {
+    const transactions = parseOfxTransactions(Buffer.from(SgmlStatement));
+
+    assert.lengthOf(transactions, 2);
+    assert.deepInclude(transactions[0], {
+      fitid: '2024010501',
+      date: '2024-01-05',
+      valueDate: '',
+      amount: -42.5,
+      payee: 'Office Depot',
+      description: 'Paper & toner',
+      referenceNo: '1001',
+    });
+    assert.deepInclude(transactions[1], {
+      fitid: '2024011001',
+      date: '2024-01-10',
+      valueDate: '2024-01-11',
+      amount: 1500,
+      referenceNo: '',
+    });
+  });
+
+  it('Should parse the XML (v2) credit card statement.', () => {
+    const transactions = parseOfxTransactions(Buffer.from(XmlStatement));
+
+    assert.lengthOf(transactions, 2);
+    assert.deepInclude(transactions[0], {
+      fitid: 'CC-1',
+      date: '2024-02-03',
+      amount: -19.99,
+      payee: 'Café Müller',
+      description: 'Lunch',
+      referenceNo: 'R-77',
+    });
+  });
+
+  it('Should keep the sign of the negative and positive amounts.', () => {
+    const [debit, credit] = parseOfxTransactions(Buffer.from(XmlStatement));
+
+    assert.equal(debit.amount, -19.99);
+    assert.equal(credit.amount, 250);
+  });
+
+  it('Should keep the statement account of the transactions.', () => {
+    const [debit, credit] = parseOfxTransactions(Buffer.from(SgmlStatement));
+    const [card] = parseOfxTransactions(Buffer.from(XmlStatement));
+
+    assert.equal(debit.accountNo, '121000248/4001234567');
+    assert.equal(credit.accountNo, '121000248/4001234567');
+    assert.equal(card.accountNo, '5555444433332222');
+  });
+
+  it('Should skip the repeated transactions of the same FITID.', () => {
+    const transactions = parseOfxTransactions(Buffer.from(DuplicateStatement));
+
+    assert.deepEqual(
+      transactions.map((transaction) => transaction.fitid),
+      ['DUP-1', 'DUP-2']
+    );
+  });
+});
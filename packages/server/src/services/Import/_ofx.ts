@@ -0,0 +1,131 @@
+import moment from 'moment';
+import { uniqBy } from 'lodash';
+import { BankStatementTransaction, decodeEntities } from './_statements';
+
+/**
+ * Detarmines whether the given file buffer is OFX/QFX statement,
+ * both the SGML (v1.x) and the XML (v2.x) flavors.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export const isOfxFile = (buffer: Buffer): boolean => {
+  const head = buffer.subarray(0, 1024).toString('latin1').toUpperCase();
+
+  return head.includes('OFXHEADER') || head.includes('<OFX>');
+};
+
+/**
+ * Decodes the file buffer based on the charset declared in the OFX header,
+ * SGML statements are usually encoded in Windows-1252.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const decodeOfxBuffer = (buffer: Buffer): string => {
+  const head = buffer.subarray(0, 1024).toString('latin1').toUpperCase();
+  const isLatin =
+    /CHARSET:\s*(1252|ISO-8859-1|8859-1)/.test(head) &&
+    !/ENCODING:\s*UTF-8/.test(head);
+
+  return buffer.toString(isLatin ? 'latin1' : 'utf8');
+};
+
+/**
+ * Retrieves the value of the given leaf element inside the aggregate,
+ * the closing tag is optional on SGML statements.
+ * @param {string} aggregate
+ * @param {string} tag
+ * @returns {string}
+ */
+const getElementValue = (aggregate: string, tag: string): string => {
+  const matched = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(aggregate);
+
+  return matched ? decodeEntities(matched[1]).trim() : '';
+};
+
+/**
+ * Parses the OFX datetime `YYYYMMDD[HHMMSS[.XXX]][[gmt offset:tz]]`
+ * to `YYYY-MM-DD` date.
+ * @param {string} value
+ * @returns {string}
+ */
+const parseOfxDate = (value: string): string => {
+  const date = moment(value.substring(0, 8), 'YYYYMMDD', true);
+
+  return date.isValid() ? date.format('YYYY-MM-DD') : '';
+};
+
+/**
+ * Parses the OFX amount, some institutions send comma as decimal separator.
+ * @param {string} value
+ * @returns {number}
+ */
+const parseOfxAmount = (value: string): number => {
+  const normalized = value.includes('.') ? value : value.replace(',', '.');
+
+  return parseFloat(normalized.replace(/[^0-9.+-]/g, ''));
+};
+
+/**
+ * Retrieves the account identifier of the given statement aggregate from its
+ * `BANKACCTFROM` or `CCACCTFROM` aggregate, the bank id and the account id.
+ * @param {string} statement
+ * @returns {string}
+ */
+const getStatementAccountNo = (statement: string): string => {
+  // Reads the account before the transactions, the transfer transactions
+  // carry the account id of the other side.
+  const header = statement.split(/<STMTTRN>/i)[0];
+
+  return [getElementValue(header, 'BANKID'), getElementValue(header, 'ACCTID')]
+    .filter(Boolean)
+    .join('/');
+};
+
+/**
+ * Parses the transactions of the given statement aggregate.
+ * @param {string} statement
+ * @returns {BankStatementTransaction[]}
+ */
+const parseOfxStatement = (statement: string): BankStatementTransaction[] => {
+  const accountNo = getStatementAccountNo(statement);
+  const aggregates = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+  return aggregates.map((aggregate) => ({
+    fitid: getElementValue(aggregate, 'FITID'),
+    date: parseOfxDate(getElementValue(aggregate, 'DTPOSTED')),
+    valueDate: parseOfxDate(getElementValue(aggregate, 'DTAVAIL')),
+    amount: parseOfxAmount(getElementValue(aggregate, 'TRNAMT')),
+    payee: getElementValue(aggregate, 'NAME'),
+    description: getElementValue(aggregate, 'MEMO'),
+    referenceNo:
+      getElementValue(aggregate, 'CHECKNUM') ||
+      getElementValue(aggregate, 'REFNUM'),
+    counterpartyName: getElementValue(aggregate, 'NAME'),
+    counterpartyIban: '',
+    accountIban: '',
+    accountNo,
+  }));
+};
+
+/**
+ * Parses the statement transactions of the given OFX/QFX file, covers both
+ * bank and credit card statements, each transaction keeps its statement
+ * account identifier.
+ * @param {Buffer} buffer
+ * @returns {BankStatementTransaction[]}
+ */
+export const parseOfxTransactions = (
+  buffer: Buffer
+): BankStatementTransaction[] => {
+  const content = decodeOfxBuffer(buffer);
+  const statements = content.match(
+    /<(CC)?STMTRS>[\s\S]*?<\/(CC)?STMTRS>/gi
+  ) || [content];
+  const transactions = statements.flatMap(parseOfxStatement);
+
+  // The same transaction may be repeated across the statements of the file.
+  return uniqBy(
+    transactions,
+    (transaction) => transaction.fitid || transaction
+  );
+};
@@ -0,0 +1,45 @@
+import { assert } from 'chai';
+import {
+  BankStatementSheetColumns,
+  decodeEntities,
+  transformStatementToSheet,
+} from './_statements';
+
+describe('Bank statements', () => {
+  it('Should decode the known entities only.', () => {
+    assert.equal(
+      decodeEntities('A &amp; B &lt;C&gt; &QUOT;D&quot; &apos;E&apos;'),
+      'A & B <C> "D" \'E\''
+    );
+    assert.equal(decodeEntities('&copy; &#169;'), '&copy; &#169;');
+  });
+
+  it('Should transform the statement transactions to sheet rows.', () => {
+    const [row] = transformStatementToSheet([
+      {
+        fitid: 'T-1',
+        date: '2024-01-05',
+        valueDate: '2024-01-06',
+        amount: -42.5,
+        payee: 'Office Depot',
+        description: 'Paper',
+        referenceNo: '1001',
+        counterpartyName: 'Office Depot',
+        counterpartyIban: 'DE89370400440532013000',
+        accountIban: 'GB33BUKB20201555555555',
+      },
+    ]);
+    assert.deepEqual(row, {
+      [BankStatementSheetColumns.Date]: '2024-01-05',
+      [BankStatementSheetColumns.ValueDate]: '2024-01-06',
+      [BankStatementSheetColumns.Payee]: 'Office Depot',
+      [BankStatementSheetColumns.Description]: 'Paper',
+      [BankStatementSheetColumns.ReferenceNo]: '1001',
+      [BankStatementSheetColumns.Amount]: -42.5,
+      [BankStatementSheetColumns.TransactionId]: 'T-1',
+      [BankStatementSheetColumns.CounterpartyName]: 'Office Depot',
+      [BankStatementSheetColumns.CounterpartyIban]: 'DE89370400440532013000',
+      [BankStatementSheetColumns.AccountIban]: 'GB33BUKB20201555555555',
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { defaultTo } from 'lodash';
+
+export interface BankStatementTransaction {
+  fitid: string;
+  date: string;
+  valueDate: string;
+  amount: number;
+  payee: string;
+  description: string;
+  referenceNo: string;
+  counterpartyName: string;
+  counterpartyIban: string;
+  accountIban: string;
+  accountNo?: string;
+}
+
+/**
+ * The sheet columns of the parsed statements, named after the uncategorized
+ * transaction fields so the mapping step matches them automatically.
+ */
+export const BankStatementSheetColumns = {
+  Date: 'Date',
+  ValueDate: 'Value Date',
+  Payee: 'Payee',
+  Description: 'Description',
+  ReferenceNo: 'Reference No.',
+  Amount: 'Amount',
+  TransactionId: 'Transaction ID',
+  CounterpartyName: 'Counterparty Name',
+  CounterpartyIban: 'Counterparty IBAN',
+  AccountIban: 'Account IBAN',
+};
+
+const XmlEntities = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&nbsp;': ' ',
+};
+
+/**
+ * Decodes the SGML/XML entities of the given element value.
+ * @param {string} value
+ * @returns {string}
+ */
+export const decodeEntities = (value: string): string => {
+  return value.replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, (entity) =>
+    defaultTo(XmlEntities[entity.toLowerCase()], entity)
+  );
+};
+
+/**
+ * Transformes the parsed statement transactions to sheet rows.
+ * @param {BankStatementTransaction[]} transactions
+ * @returns {Record<string, unknown>[]}
+ */
+export const transformStatementToSheet = (
+  transactions: BankStatementTransaction[]
+): Record<string, unknown>[] => {
+  return transactions.map((transaction) => ({
+    [BankStatementSheetColumns.Date]: transaction.date,
+    [BankStatementSheetColumns.ValueDate]: transaction.valueDate,
+    [BankStatementSheetColumns.Payee]: transaction.payee,
+    [BankStatementSheetColumns.Description]: transaction.description,
+    [BankStatementSheetColumns.ReferenceNo]: transaction.referenceNo,
+    [BankStatementSheetColumns.Amount]: transaction.amount,
+    [BankStatementSheetColumns.TransactionId]: transaction.fitid,
+    [BankStatementSheetColumns.CounterpartyName]: transaction.counterpartyName,
+    [BankStatementSheetColumns.CounterpartyIban]: transaction.counterpartyIban,
+    [BankStatementSheetColumns.AccountIban]: transaction.accountIban,
+  }));
+};
@@ -33,6 +33,7 @@ export const ERRORS = {
   INVALID_MAP_DATE_FORMAT: 'INVALID_MAP_DATE_FORMAT',
   MAP_DATE_FORMAT_NOT_DEFINED: 'MAP_DATE_FORMAT_NOT_DEFINED',
   IMPORTED_SHEET_EMPTY: 'IMPORTED_SHEET_EMPTY',
+  BANK_STATEMENT_FILE_NOT_SUPPORTED: 'BANK_STATEMENT_FILE_NOT_SUPPORTED',
 };
 
 /**
@@ -27,10 +27,8 @@ export class ContactMailNotification {
     subject: string = '',
     body: string = ''
   ): Promise<CommonMailOptions> {
-    const { Customer } = this.tenancy.models(tenantId);
-    const contact = await Customer.query()
-      .findById(contactId)
-      .throwIfNotFound();
+    const { Contact } = this.tenancy.models(tenantId);
+    const contact = await Contact.query().findById(contactId).throwIfNotFound();
 
     const toAddresses = contact.contactAddresses;
     const fromAddresses = await this.mailTenancy.senders(tenantId);
@@ -0,0 +1,226 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import moment from 'moment';
+import { round } from 'lodash';
+import {
+  IExpense,
+  IExpenseCreateDTO,
+  IPaymentReceiveCreateDTO,
+  ISystemUser,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { CreatePaymentReceive } from '@/services/Sales/PaymentReceives/CreatePaymentReceive';
+import { CreateExpense } from '@/services/Expenses/CRUD/CreateExpense';
+import { PaymentGatewayCheckout } from '@/models/PaymentGatewayCheckout';
+import {
+  IPaymentGatewayCheckoutCompletedEventPayload,
+  IPaymentGatewayCheckoutFlaggedEventPayload,
+  PaymentGatewayCheckoutStatus,
+  PaymentGatewayEvent,
+} from './types';
+
+@Service()
+export class CompleteInvoiceCheckout {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private createPaymentReceiveService: CreatePaymentReceive;
+
+  @Inject()
+  private createExpenseService: CreateExpense;
+
+  /**
+   * Completes the invoice checkout of the given gateway event, records the
+   * payment receive deposited to the clearing account and the processor fee
+   * as an expense paid from the same clearing account.
+   * @param {number} tenantId
+   * @param {string} driver
+   * @param {PaymentGatewayEvent} event
+   * @returns {Promise<void>}
+   */
+  public async completeCheckout(
+    tenantId: number,
+    driver: string,
+    event: PaymentGatewayEvent
+  ): Promise<void> {
+    const { PaymentGatewayCheckout, SaleInvoice } =
+      this.tenancy.models(tenantId);
+    const { accountRepository } = this.tenancy.repositories(tenantId);
+
+    const checkout = await PaymentGatewayCheckout.query().findOne({
+      driver,
+      sessionId: event.sessionId,
+    });
+    // Ignores the unknown and already handled checkouts, the gateways
+    // may deliver the same webhook more than once.
+    if (!checkout || checkout.status !== PaymentGatewayCheckoutStatus.Pending) {
+      return;
+    }
+    const saleInvoice = await SaleInvoice.query()
+      .findById(checkout.saleInvoiceId)
+      .throwIfNotFound();
+
+    const clearingAccount = await accountRepository.findOrCreatePaymentClearing(
+      saleInvoice.currencyCode
+    );
+    const feesAccount =
+      await accountRepository.findOrCreatePaymentProcessingFees();
+
+    const paymentDate = moment().toDate();
+    const authorizedUser = {} as ISystemUser;
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Claims the pending checkout, the duplicate deliveries racing the same
+      // checkout wait for the row lock then update no rows and stop here.
+      const claimedCount = await PaymentGatewayCheckout.query(trx)
+        .findById(checkout.id)
+        .where('status', PaymentGatewayCheckoutStatus.Pending)
+        .patch({
+          status: PaymentGatewayCheckoutStatus.Completed,
+          paymentId: event.paymentId,
+          fee: event.fee,
+        });
+      if (!claimedCount) {
+        return;
+      }
+      const flaggedStatus = await this.getCheckoutFlaggedStatus(
+        tenantId,
+        checkout,
+        event,
+        trx
+      );
+      // Flags the checkout for review instead of recording the payment, the
+      // event is acknowledged so the gateway stops retrying it.
+      if (flaggedStatus) {
+        await PaymentGatewayCheckout.query(trx)
+          .findById(checkout.id)
+          .patch({ status: flaggedStatus });
+
+        // Triggers `onPaymentGatewayCheckoutFlagged` event.
+        await this.eventPublisher.emitAsync(
+          events.paymentGateway.onCheckoutFlagged,
+          {
+            tenantId,
+            checkoutId: checkout.id,
+            status: flaggedStatus,
+            event,
+            trx,
+          } as IPaymentGatewayCheckoutFlaggedEventPayload
+        );
+        return;
+      }
+      const paymentReceive =
+        await this.createPaymentReceiveService.createPaymentReceive(
+          tenantId,
+          {
+            customerId: saleInvoice.customerId,
+            paymentDate,
+            amount: event.amount,
+            exchangeRate: saleInvoice.exchangeRate,
+            referenceNo: event.paymentId,
+            depositAccountId: clearingAccount.id,
+            statement: `Online payment ${event.paymentId}`,
+            branchId: saleInvoice.branchId,
+            entries: [
+              {
+                index: 1,
+                invoiceId: saleInvoice.id,
+                paymentAmount: event.amount,
+              },
+            ],
+          } as IPaymentReceiveCreateDTO,
+          authorizedUser,
+          trx
+        );
+      let expense: IExpense | null = null;
+
+      if (event.fee > 0) {
+        expense = await this.createExpenseService.newExpense(
+          tenantId,
+          {
+            currencyCode: saleInvoice.currencyCode,
+            exchangeRate: saleInvoice.exchangeRate,
+            description: `Payment processing fee of ${event.paymentId}`,
+            paymentAccountId: clearingAccount.id,
+            referenceNo: event.paymentId,
+            publish: true,
+            paymentDate,
+            branchId: saleInvoice.branchId,
+            categories: [
+              {
+                index: 1,
+                expenseAccountId: feesAccount.id,
+                amount: event.fee,
+              },
+            ],
+          } as IExpenseCreateDTO,
+          authorizedUser,
+          trx
+        );
+      }
+      await PaymentGatewayCheckout.query(trx)
+        .findById(checkout.id)
+        .patch({
+          paymentReceiveId: paymentReceive.id,
+          expenseId: expense?.id || null,
+          completedAt: moment().toMySqlDateTime(),
+        });
+      // Triggers `onPaymentGatewayCheckoutCompleted` event.
+      await this.eventPublisher.emitAsync(
+        events.paymentGateway.onCheckoutCompleted,
+        {
+          tenantId,
+          checkoutId: checkout.id,
+          event,
+          paymentReceive,
+          expense,
+          trx,
+        } as IPaymentGatewayCheckoutCompletedEventPayload
+      );
+    });
+  }
+
+  /**
+   * Retrieves the status the given checkout is flagged with when the paid
+   * amount or currency mismatch the checkout, or the invoice has been paid
+   * by other payments in the meantime.
+   * @param {number} tenantId
+   * @param {PaymentGatewayCheckout} checkout
+   * @param {PaymentGatewayEvent} event
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<PaymentGatewayCheckoutStatus | null>}
+   */
+  private async getCheckoutFlaggedStatus(
+    tenantId: number,
+    checkout: PaymentGatewayCheckout,
+    event: PaymentGatewayEvent,
+    trx: Knex.Transaction
+  ): Promise<PaymentGatewayCheckoutStatus | null> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    if (
+      round(event.amount, 2) !== round(Number(checkout.amount), 2) ||
+      event.currencyCode.toUpperCase() !== checkout.currencyCode.toUpperCase()
+    ) {
+      return PaymentGatewayCheckoutStatus.AmountMismatch;
+    }
+    const saleInvoice = await SaleInvoice.query(trx)
+      .findById(checkout.saleInvoiceId)
+      .throwIfNotFound();
+
+    if (round(event.amount, 2) > round(saleInvoice.dueAmount, 2)) {
+      return PaymentGatewayCheckoutStatus.InvoicePaid;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,76 @@
+import { Inject, Service } from 'typedi';
+import config from '@/config';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { Tenant } from '@/system/models';
+import { PaymentGatewayDrivers } from './PaymentGatewayDrivers';
+import {
+  ERRORS,
+  IPaymentGatewayCheckoutDTO,
+  PaymentGatewayCheckoutSession,
+  PaymentGatewayCheckoutStatus,
+} from './types';
+
+@Service()
+export class CreateInvoiceCheckout {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private drivers: PaymentGatewayDrivers;
+
+  /**
+   * Creates a new checkout session of the due amount of the given invoice on
+   * the configured payment gateway, the organization and invoice are attached
+   * to the session metadata to be resolved once the gateway webhook received.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @param {IPaymentGatewayCheckoutDTO} checkoutDTO
+   * @returns {Promise<PaymentGatewayCheckoutSession>}
+   */
+  public async createInvoiceCheckout(
+    tenantId: number,
+    saleInvoiceId: number,
+    checkoutDTO: IPaymentGatewayCheckoutDTO = {}
+  ): Promise<PaymentGatewayCheckoutSession> {
+    const { SaleInvoice, PaymentGatewayCheckout } =
+      this.tenancy.models(tenantId);
+
+    const saleInvoice = await SaleInvoice.query()
+      .findById(saleInvoiceId)
+      .withGraphFetched('customer')
+      .throwIfNotFound();
+
+    if (!saleInvoice.isDelivered) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_NOT_DELIVERED);
+    }
+    if (saleInvoice.isFullyPaid) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_ALREADY_PAID);
+    }
+    const tenant = await Tenant.query().findById(tenantId);
+    const driverType = this.drivers.activeDriverType;
+    const driver = this.drivers.getActiveDriver();
+
+    const session = await driver.createCheckoutSession({
+      amount: saleInvoice.dueAmount,
+      currencyCode: saleInvoice.currencyCode,
+      description: `Invoice ${saleInvoice.invoiceNo}`,
+      customerEmail: saleInvoice.customer?.email,
+      successUrl: checkoutDTO.successUrl || config.baseURL,
+      cancelUrl: checkoutDTO.cancelUrl || config.baseURL,
+      metadata: {
+        organizationId: tenant.organizationId,
+        saleInvoiceId: `${saleInvoice.id}`,
+      },
+    });
+    await PaymentGatewayCheckout.query().insert({
+      driver: driverType,
+      sessionId: session.id,
+      saleInvoiceId: saleInvoice.id,
+      amount: saleInvoice.dueAmount,
+      currencyCode: saleInvoice.currencyCode,
+      status: PaymentGatewayCheckoutStatus.Pending,
+    });
+    return session;
+  }
+}
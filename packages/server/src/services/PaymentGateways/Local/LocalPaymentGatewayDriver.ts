@@ -0,0 +1,87 @@
+import { Service } from 'typedi';
+import crypto from 'crypto';
+import config from '@/config';
+import { ServiceError } from '@/exceptions';
+import {
+  compareSignatures,
+  createHmacSignature,
+  getHeader,
+} from '@/lib/WebhookSignature';
+import {
+  ERRORS,
+  PaymentGatewayCheckoutSession,
+  PaymentGatewayCheckoutSessionDTO,
+  PaymentGatewayDriver,
+  PaymentGatewayEvent,
+  PaymentGatewayEventType,
+} from '../types';
+
+/**
+ * The local stand-in of the payment gateway for development and testing,
+ * the checkout is completed by posting the normalized event signed with
+ * the local webhook secret to the gateway webhook.
+ */
+@Service()
+export class LocalPaymentGatewayDriver implements PaymentGatewayDriver {
+  /**
+   * Creates a new local checkout session.
+   * @param {PaymentGatewayCheckoutSessionDTO} sessionDTO
+   * @returns {Promise<PaymentGatewayCheckoutSession>}
+   */
+  public async createCheckoutSession(
+    sessionDTO: PaymentGatewayCheckoutSessionDTO
+  ): Promise<PaymentGatewayCheckoutSession> {
+    const id = `local_${crypto.randomBytes(12).toString('hex')}`;
+    const query = new URLSearchParams({
+      success_url: sessionDTO.successUrl,
+      cancel_url: sessionDTO.cancelUrl,
+    });
+    return {
+      id,
+      url: `${config.baseURL}/payment/checkout/${id}?${query.toString()}`,
+    };
+  }
+
+  /**
+   * Verifies the `X-Payment-Gateway-Signature` header of the given webhook
+   * and parses the normalized event.
+   * @param {Buffer | string} rawBody
+   * @param {Record<string, string | string[] | undefined>} headers
+   * @returns {Promise<PaymentGatewayEvent | null>}
+   */
+  public async parseWebhookEvent(
+    rawBody: Buffer | string,
+    headers: Record<string, string | string[] | undefined>
+  ): Promise<PaymentGatewayEvent | null> {
+    const secret = config.paymentGateway.local.webhookSecret;
+
+    if (!secret) {
+      throw new ServiceError(ERRORS.PAYMENT_GATEWAY_NOT_CONFIGURED);
+    }
+    const signature = getHeader(headers, 'x-payment-gateway-signature');
+
+    if (!compareSignatures(signature, createHmacSignature(secret, rawBody))) {
+      throw new ServiceError(ERRORS.WEBHOOK_SIGNATURE_INVALID);
+    }
+    let event;
+
+    try {
+      event = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new ServiceError(ERRORS.WEBHOOK_PAYLOAD_INVALID);
+    }
+
+    if (event.type !== PaymentGatewayEventType.CheckoutCompleted) {
+      return null;
+    }
+    return {
+      type: PaymentGatewayEventType.CheckoutCompleted,
+      sessionId: event.sessionId,
+      paymentId: event.paymentId || event.sessionId,
+      amount: event.amount,
+      fee: event.fee || 0,
+      currencyCode: event.currencyCode,
+      metadata: event.metadata || {},
+    };
+  }
+}
@@ -0,0 +1,67 @@
+import Container, { Service } from 'typedi';
+import config from '@/config';
+import { ServiceError } from '@/exceptions';
+import { StripePaymentGatewayDriver } from './Stripe/StripePaymentGatewayDriver';
+import { LocalPaymentGatewayDriver } from './Local/LocalPaymentGatewayDriver';
+import {
+  ERRORS,
+  PaymentGatewayDriver,
+  PaymentGatewayDriverType,
+} from './types';
+
+@Service()
+export class PaymentGatewayDrivers {
+  get registered() {
+    return [
+      {
+        type: PaymentGatewayDriverType.Stripe,
+        service: StripePaymentGatewayDriver,
+      },
+      {
+        type: PaymentGatewayDriverType.Local,
+        service: LocalPaymentGatewayDriver,
+      },
+    ];
+  }
+
+  /**
+   * Retrieves the configured driver type of the invoices checkout.
+   * @returns {string}
+   */
+  public get activeDriverType(): string {
+    return config.paymentGateway.driver;
+  }
+
+  /**
+   * Detarmines whether the invoices checkout has a configured driver.
+   * @returns {boolean}
+   */
+  public get isConfigured(): boolean {
+    return !!this.activeDriverType;
+  }
+
+  /**
+   * Retrieves the payment gateway driver of the given type or throw service error.
+   * @param {string} driver
+   * @returns {PaymentGatewayDriver}
+   */
+  public getDriverOrThrowError(driver: string): PaymentGatewayDriver {
+    const registered = this.registered.find((r) => r.type === driver);
+
+    if (!registered) {
+      throw new ServiceError(ERRORS.PAYMENT_GATEWAY_DRIVER_NOT_FOUND);
+    }
+    return Container.get(registered.service);
+  }
+
+  /**
+   * Retrieves the configured payment gateway driver.
+   * @returns {PaymentGatewayDriver}
+   */
+  public getActiveDriver(): PaymentGatewayDriver {
+    if (!this.isConfigured) {
+      throw new ServiceError(ERRORS.PAYMENT_GATEWAY_NOT_CONFIGURED);
+    }
+    return this.getDriverOrThrowError(this.activeDriverType);
+  }
+}
@@ -0,0 +1,59 @@
+import { Container } from 'typedi';
+import { Request, Response, NextFunction } from 'express';
+import { ServiceError } from '@/exceptions';
+import { Tenant } from '@/system/models';
+import tenantDependencyInjection from '@/api/middleware/TenantDependencyInjection';
+import SettingsStore from '@/services/Settings/SettingsStore';
+import { PaymentGatewayDrivers } from './PaymentGatewayDrivers';
+
+export const PaymentGatewayWebhookTenantBootMiddleware = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const drivers = Container.get(PaymentGatewayDrivers);
+  let event;
+
+  try {
+    const driver = drivers.getDriverOrThrowError(req.params.driver);
+    event = await driver.parseWebhookEvent(req.rawBody, req.headers);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.boom.badRequest(null, {
+        errors: [{ type: error.errorType, code: 100 }],
+      });
+    }
+    return next(error);
+  }
+  // Acknowledges the events are not handled.
+  if (!event) {
+    return res.status(200).send({ code: 200, message: 'ok' });
+  }
+  const tenant = await Tenant.query()
+    .findOne({ organizationId: event.metadata.organizationId || '' })
+    .withGraphFetched('metadata');
+
+  // When the event organization not found on the system storage.
+  if (!tenant) {
+    return res.boom.unauthorized('Organization identication not found.', {
+      errors: [{ type: 'ORGANIZATION.ID.NOT.FOUND', code: 100 }],
+    });
+  }
+  tenantDependencyInjection(req, tenant);
+
+  // Loads the tenant settings, the payments numbering depends on them.
+  const tenantContainer = Container.of(`tenant-${tenant.id}`);
+
+  if (!tenantContainer.has('settings')) {
+    const { settingRepository } = tenantContainer.get('repositories');
+    tenantContainer.set('settings', new SettingsStore(settingRepository));
+  }
+  const settings = tenantContainer.get('settings');
+  await settings.load();
+
+  res.on('finish', async () => {
+    await settings.save();
+  });
+  req.paymentGatewayEvent = event;
+  next();
+};
@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import { CompleteInvoiceCheckout } from './CompleteInvoiceCheckout';
+import { PaymentGatewayEvent, PaymentGatewayEventType } from './types';
+
+@Service()
+export class PaymentGatewayWebhooks {
+  @Inject()
+  private completeCheckoutService: CompleteInvoiceCheckout;
+
+  /**
+   * Handles the normalized webhook event of the given payment gateway driver.
+   * @param {number} tenantId
+   * @param {string} driver
+   * @param {PaymentGatewayEvent} event
+   * @returns {Promise<void>}
+   */
+  public async handleWebhookEvent(
+    tenantId: number,
+    driver: string,
+    event: PaymentGatewayEvent
+  ): Promise<void> {
+    switch (event.type) {
+      case PaymentGatewayEventType.CheckoutCompleted:
+        await this.completeCheckoutService.completeCheckout(
+          tenantId,
+          driver,
+          event
+        );
+        break;
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import { Inject, Service } from 'typedi';
+import { CreateInvoiceCheckout } from './CreateInvoiceCheckout';
+import { PaymentGatewayWebhooks } from './PaymentGatewayWebhooks';
+import { IPaymentGatewayCheckoutDTO, PaymentGatewayEvent } from './types';
+
+@Service()
+export class PaymentGatewaysApplication {
+  @Inject()
+  private createInvoiceCheckoutService: CreateInvoiceCheckout;
+
+  @Inject()
+  private webhooksService: PaymentGatewayWebhooks;
+
+  /**
+   * Creates a new checkout session of the given invoice.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @param {IPaymentGatewayCheckoutDTO} checkoutDTO
+   */
+  public createInvoiceCheckout(
+    tenantId: number,
+    saleInvoiceId: number,
+    checkoutDTO?: IPaymentGatewayCheckoutDTO
+  ) {
+    return this.createInvoiceCheckoutService.createInvoiceCheckout(
+      tenantId,
+      saleInvoiceId,
+      checkoutDTO
+    );
+  }
+
+  /**
+   * Handles the webhook event of the given payment gateway driver.
+   * @param {number} tenantId
+   * @param {string} driver
+   * @param {PaymentGatewayEvent} event
+   * @returns {Promise<void>}
+   */
+  public webhooks(
+    tenantId: number,
+    driver: string,
+    event: PaymentGatewayEvent
+  ) {
+    return this.webhooksService.handleWebhookEvent(tenantId, driver, event);
+  }
+}
@@ -0,0 +1,179 @@
+import { Service } from 'typedi';
+import axios from 'axios';
+import moment from 'moment';
+import config from '@/config';
+import { ServiceError } from '@/exceptions';
+import {
+  compareSignatures,
+  createHmacSignature,
+  getHeader,
+} from '@/lib/WebhookSignature';
+import {
+  ERRORS,
+  PaymentGatewayCheckoutSession,
+  PaymentGatewayCheckoutSessionDTO,
+  PaymentGatewayDriver,
+  PaymentGatewayEvent,
+  PaymentGatewayEventType,
+} from '../types';
+import {
+  fromStripeAmount,
+  parseStripeSignatureHeader,
+  toStripeAmount,
+} from './_utils';
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+/**
+ * The tolerance of the webhook timestamp in seconds to prevent replay attacks.
+ */
+const WEBHOOK_TOLERANCE = 300;
+
+@Service()
+export class StripePaymentGatewayDriver implements PaymentGatewayDriver {
+  /**
+   * Retrieves the Stripe api client.
+   */
+  private get client() {
+    if (!config.paymentGateway.stripe.secretKey) {
+      throw new ServiceError(ERRORS.PAYMENT_GATEWAY_NOT_CONFIGURED);
+    }
+    return axios.create({
+      baseURL: STRIPE_API_URL,
+      headers: {
+        Authorization: `Bearer ${config.paymentGateway.stripe.secretKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+  }
+
+  /**
+   * Creates a new Stripe checkout session of a single line with the given amount,
+   * the metadata is copied to the payment intent to be traced from the dashboard.
+   * @param {PaymentGatewayCheckoutSessionDTO} sessionDTO
+   * @returns {Promise<PaymentGatewayCheckoutSession>}
+   */
+  public async createCheckoutSession(
+    sessionDTO: PaymentGatewayCheckoutSessionDTO
+  ): Promise<PaymentGatewayCheckoutSession> {
+    const params = new URLSearchParams();
+
+    params.append('mode', 'payment');
+    params.append('success_url', sessionDTO.successUrl);
+    params.append('cancel_url', sessionDTO.cancelUrl);
+    params.append('line_items[0][quantity]', '1');
+    params.append(
+      'line_items[0][price_data][currency]',
+      sessionDTO.currencyCode.toLowerCase()
+    );
+    params.append(
+      'line_items[0][price_data][unit_amount]',
+      `${toStripeAmount(sessionDTO.amount, sessionDTO.currencyCode)}`
+    );
+    params.append(
+      'line_items[0][price_data][product_data][name]',
+      sessionDTO.description
+    );
+    if (sessionDTO.customerEmail) {
+      params.append('customer_email', sessionDTO.customerEmail);
+    }
+    Object.entries(sessionDTO.metadata).forEach(([key, value]) => {
+      params.append(`metadata[${key}]`, value);
+      params.append(`payment_intent_data[metadata][${key}]`, value);
+    });
+    const { data } = await this.client.post('/checkout/sessions', params);
+
+    return { id: data.id, url: data.url };
+  }
+
+  /**
+   * Verifies the `Stripe-Signature` header of the given webhook payload.
+   * @param {Buffer | string} rawBody
+   * @param {string} header
+   */
+  private verifySignature(rawBody: Buffer | string, header: string) {
+    const secret = config.paymentGateway.stripe.webhookSecret;
+
+    if (!secret) {
+      throw new ServiceError(ERRORS.PAYMENT_GATEWAY_NOT_CONFIGURED);
+    }
+    const { timestamp, signatures } = parseStripeSignatureHeader(header);
+    const expected = createHmacSignature(secret, `${timestamp}.${rawBody}`);
+
+    const isValid = signatures.some((signature) =>
+      compareSignatures(signature, expected)
+    );
+    const isTimely = Math.abs(moment().unix() - timestamp) <= WEBHOOK_TOLERANCE;
+
+    if (!isValid || !isTimely) {
+      throw new ServiceError(ERRORS.WEBHOOK_SIGNATURE_INVALID);
+    }
+  }
+
+  /**
+   * Retrieves the processor fee of the given payment intent in the charge
+   * currency, the balance transaction is in the account settlement currency.
+   * @param {string} paymentIntentId
+   * @returns {Promise<number>}
+   */
+  private async getPaymentIntentFee(paymentIntentId: string): Promise<number> {
+    const { data } = await this.client.get(
+      `/payment_intents/${paymentIntentId}`,
+      { params: { 'expand[]': 'latest_charge.balance_transaction' } }
+    );
+    const balanceTransaction = data.latest_charge?.balance_transaction;
+
+    if (!balanceTransaction) {
+      return 0;
+    }
+    const fee = fromStripeAmount(
+      balanceTransaction.fee,
+      balanceTransaction.currency
+    );
+    return balanceTransaction.exchange_rate
+      ? fee / balanceTransaction.exchange_rate
+      : fee;
+  }
+
+  /**
+   * Verifies and normalizes the Stripe webhook, only the paid checkout
+   * sessions are handled.
+   * @param {Buffer | string} rawBody
+   * @param {Record<string, string | string[] | undefined>} headers
+   * @returns {Promise<PaymentGatewayEvent | null>}
+   */
+  public async parseWebhookEvent(
+    rawBody: Buffer | string,
+    headers: Record<string, string | string[] | undefined>
+  ): Promise<PaymentGatewayEvent | null> {
+    this.verifySignature(rawBody, getHeader(headers, 'stripe-signature'));
+
+    let event;
+
+    try {
+      event = JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new ServiceError(ERRORS.WEBHOOK_PAYLOAD_INVALID);
+    }
+    const session = event.data?.object;
+
+    if (
+      event.type !== 'checkout.session.completed' ||
+      session?.payment_status !== 'paid'
+    ) {
+      return null;
+    }
+    const currencyCode = session.currency.toUpperCase();
+    const fee = await this.getPaymentIntentFee(session.payment_intent);
+
+    return {
+      type: PaymentGatewayEventType.CheckoutCompleted,
+      sessionId: session.id,
+      paymentId: session.payment_intent,
+      amount: fromStripeAmount(session.amount_total, currencyCode),
+      fee,
+      currencyCode,
+      metadata: session.metadata || {},
+    };
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Stripe accepts the amounts of these currencies in major units.
+ * @see https://docs.stripe.com/currencies#zero-decimal
+ */
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF',
+  'CLP',
+  'DJF',
+  'GNF',
+  'JPY',
+  'KMF',
+  'KRW',
+  'MGA',
+  'PYG',
+  'RWF',
+  'UGX',
+  'VND',
+  'VUV',
+  'XAF',
+  'XOF',
+  'XPF',
+];
+
+/**
+ * Retrieves the minor units multiplier of the given currency.
+ * @param {string} currencyCode
+ * @returns {number}
+ */
+const getCurrencyMultiplier = (currencyCode: string): number => {
+  return ZERO_DECIMAL_CURRENCIES.includes(currencyCode.toUpperCase()) ? 1 : 100;
+};
+
+/**
+ * Converts the given amount to the Stripe minor units.
+ * @param {number} amount
+ * @param {string} currencyCode
+ * @returns {number}
+ */
+export const toStripeAmount = (
+  amount: number,
+  currencyCode: string
+): number => {
+  return Math.round(amount * getCurrencyMultiplier(currencyCode));
+};
+
+/**
+ * Converts the given Stripe minor units amount to major units.
+ * @param {number} amount
+ * @param {string} currencyCode
+ * @returns {number}
+ */
+export const fromStripeAmount = (
+  amount: number,
+  currencyCode: string
+): number => {
+  return amount / getCurrencyMultiplier(currencyCode);
+};
+
+/**
+ * Parses the `Stripe-Signature` header to its timestamp and v1 signatures.
+ * @param {string} header - e.g. `t=1492774577,v1=5257a869...`
+ * @returns {{ timestamp: number; signatures: string[] }}
+ */
+export const parseStripeSignatureHeader = (header: string) => {
+  return header.split(',').reduce(
+    (acc, item) => {
+      const [key, value] = item.split('=');
+
+      if (key === 't') {
+        acc.timestamp = parseInt(value, 10);
+      } else if (key === 'v1') {
+        acc.signatures.push(value);
+      }
+      return acc;
+    },
+    { timestamp: 0, signatures: [] as string[] }
+  );
+};
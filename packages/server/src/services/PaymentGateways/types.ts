@@ -0,0 +1,100 @@
+import { Knex } from 'knex';
+import { IExpense, IPaymentReceive } from '@/interfaces';
+
+export enum PaymentGatewayDriverType {
+  Stripe = 'stripe',
+  Local = 'local',
+}
+
+export enum PaymentGatewayCheckoutStatus {
+  Pending = 'pending',
+  Completed = 'completed',
+  AmountMismatch = 'amount_mismatch',
+  InvoicePaid = 'invoice_paid',
+}
+
+export enum PaymentGatewayEventType {
+  CheckoutCompleted = 'checkout.completed',
+}
+
+export interface PaymentGatewayCheckoutSessionDTO {
+  amount: number;
+  currencyCode: string;
+  description: string;
+  customerEmail?: string | null;
+  successUrl: string;
+  cancelUrl: string;
+  metadata: Record<string, string>;
+}
+
+export interface PaymentGatewayCheckoutSession {
+  id: string;
+  url: string;
+}
+
+/**
+ * The normalized webhook event of the payment gateway, the amount and the
+ * processor fee are in major units of the currency.
+ */
+export interface PaymentGatewayEvent {
+  type: PaymentGatewayEventType;
+  sessionId: string;
+  paymentId: string;
+  amount: number;
+  fee: number;
+  currencyCode: string;
+  metadata: Record<string, string>;
+}
+
+/**
+ * The payment gateway driver, creates the hosted checkout sessions and
+ * verifies the gateway webhooks.
+ */
+export interface PaymentGatewayDriver {
+  /**
+   * Creates a new hosted checkout session.
+   */
+  createCheckoutSession(
+    sessionDTO: PaymentGatewayCheckoutSessionDTO
+  ): Promise<PaymentGatewayCheckoutSession>;
+
+  /**
+   * Verifies the signature of the given webhook request and normalizes it.
+   * @returns {Promise<PaymentGatewayEvent | null>} - Null when the event is ignored.
+   */
+  parseWebhookEvent(
+    rawBody: Buffer | string,
+    headers: Record<string, string | string[] | undefined>
+  ): Promise<PaymentGatewayEvent | null>;
+}
+
+export interface IPaymentGatewayCheckoutDTO {
+  successUrl?: string;
+  cancelUrl?: string;
+}
+
+export interface IPaymentGatewayCheckoutCompletedEventPayload {
+  tenantId: number;
+  checkoutId: number;
+  event: PaymentGatewayEvent;
+  paymentReceive: IPaymentReceive;
+  expense: IExpense | null;
+  trx: Knex.Transaction;
+}
+
+export const ERRORS = {
+  PAYMENT_GATEWAY_DRIVER_NOT_FOUND: 'PAYMENT_GATEWAY_DRIVER_NOT_FOUND',
+  PAYMENT_GATEWAY_NOT_CONFIGURED: 'PAYMENT_GATEWAY_NOT_CONFIGURED',
+  WEBHOOK_SIGNATURE_INVALID: 'WEBHOOK_SIGNATURE_INVALID',
+  WEBHOOK_PAYLOAD_INVALID: 'WEBHOOK_PAYLOAD_INVALID',
+  SALE_INVOICE_NOT_DELIVERED: 'SALE_INVOICE_NOT_DELIVERED',
+  SALE_INVOICE_ALREADY_PAID: 'SALE_INVOICE_ALREADY_PAID',
+};
+
+export interface IPaymentGatewayCheckoutFlaggedEventPayload {
+  tenantId: number;
+  checkoutId: number;
+  status: PaymentGatewayCheckoutStatus;
+  event: PaymentGatewayEvent;
+  trx: Knex.Transaction;
+}
@@ -0,0 +1,60 @@
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import { IPaymentTerm } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class CommandPaymentTermValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the payment term existance.
+   * @param {IPaymentTerm | undefined | null} paymentTerm
+   */
+  public validatePaymentTermExistance(
+    paymentTerm: IPaymentTerm | undefined | null
+  ) {
+    if (!paymentTerm) {
+      throw new ServiceError(ERRORS.PAYMENT_TERM_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the payment term has no associated customers or vendors.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   */
+  public async validatePaymentTermNoContacts(
+    tenantId: number,
+    paymentTermId: number
+  ) {
+    const { Contact } = this.tenancy.models(tenantId);
+
+    const contact = await Contact.query().findOne({ paymentTermId });
+
+    if (contact) {
+      throw new ServiceError(ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_CONTACTS);
+    }
+  }
+
+  /**
+   * Validates the payment term has no associated invoices or bills.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   */
+  public async validatePaymentTermNoTransactions(
+    tenantId: number,
+    paymentTermId: number
+  ) {
+    const { SaleInvoice, Bill } = this.tenancy.models(tenantId);
+
+    const invoice = await SaleInvoice.query().findOne({ paymentTermId });
+    const bill = await Bill.query().findOne({ paymentTermId });
+
+    if (invoice || bill) {
+      throw new ServiceError(ERRORS.PAYMENT_TERM_HAS_ASSOCIATED_TRANSACTIONS);
+    }
+  }
+}
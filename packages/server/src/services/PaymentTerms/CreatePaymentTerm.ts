@@ -0,0 +1,59 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPaymentTerm,
+  IPaymentTermCreatedPayload,
+  IPaymentTermCreatingPayload,
+  IPaymentTermDTO,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+
+@Service()
+export class CreatePaymentTerm {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Creates a new payment term.
+   * @param {number} tenantId
+   * @param {IPaymentTermDTO} paymentTermDTO
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public async createPaymentTerm(
+    tenantId: number,
+    paymentTermDTO: IPaymentTermDTO
+  ): Promise<IPaymentTerm> {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPaymentTermCreating` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onCreating, {
+        paymentTermDTO,
+        tenantId,
+        trx,
+      } as IPaymentTermCreatingPayload);
+
+      const paymentTerm = await PaymentTerm.query(trx).insertAndFetch({
+        ...paymentTermDTO,
+      });
+      // Triggers `onPaymentTermCreated` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onCreated, {
+        paymentTermDTO,
+        paymentTerm,
+        tenantId,
+        trx,
+      } as IPaymentTermCreatedPayload);
+
+      return paymentTerm;
+    });
+  }
+}
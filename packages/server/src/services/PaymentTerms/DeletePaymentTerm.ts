@@ -0,0 +1,73 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPaymentTermDeletedPayload,
+  IPaymentTermDeletingPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { CommandPaymentTermValidators } from './CommandPaymentTermValidators';
+import events from '@/subscribers/events';
+
+@Service()
+export class DeletePaymentTerm {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: CommandPaymentTermValidators;
+
+  /**
+   * Deletes the given payment term.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @returns {Promise<void>}
+   */
+  public async deletePaymentTerm(
+    tenantId: number,
+    paymentTermId: number
+  ): Promise<void> {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    const oldPaymentTerm = await PaymentTerm.query().findById(paymentTermId);
+
+    // Validates the payment term existance.
+    this.validators.validatePaymentTermExistance(oldPaymentTerm);
+
+    // Validates the payment term not assigned to customers or vendors.
+    await this.validators.validatePaymentTermNoContacts(
+      tenantId,
+      paymentTermId
+    );
+
+    // Validates the payment term not assigned to invoices or bills.
+    await this.validators.validatePaymentTermNoTransactions(
+      tenantId,
+      paymentTermId
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPaymentTermDeleting` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onDeleting, {
+        oldPaymentTerm,
+        tenantId,
+        trx,
+      } as IPaymentTermDeletingPayload);
+
+      await PaymentTerm.query(trx).findById(paymentTermId).delete();
+
+      // Triggers `onPaymentTermDeleted` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onDeleted, {
+        oldPaymentTerm,
+        tenantId,
+        trx,
+      } as IPaymentTermDeletedPayload);
+    });
+  }
+}
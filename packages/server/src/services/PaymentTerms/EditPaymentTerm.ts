@@ -0,0 +1,74 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPaymentTerm,
+  IPaymentTermDTO,
+  IPaymentTermEditedPayload,
+  IPaymentTermEditingPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { CommandPaymentTermValidators } from './CommandPaymentTermValidators';
+import events from '@/subscribers/events';
+
+@Service()
+export class EditPaymentTerm {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: CommandPaymentTermValidators;
+
+  /**
+   * Edits the given payment term, the due dates of the invoices and bills
+   * already computed from the term are kept as is.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @param {IPaymentTermDTO} paymentTermDTO
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public async editPaymentTerm(
+    tenantId: number,
+    paymentTermId: number,
+    paymentTermDTO: IPaymentTermDTO
+  ): Promise<IPaymentTerm> {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    const oldPaymentTerm = await PaymentTerm.query().findById(paymentTermId);
+
+    // Validates the payment term existance.
+    this.validators.validatePaymentTermExistance(oldPaymentTerm);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPaymentTermEditing` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onEditing, {
+        oldPaymentTerm,
+        paymentTermDTO,
+        tenantId,
+        trx,
+      } as IPaymentTermEditingPayload);
+
+      const paymentTerm = await PaymentTerm.query(trx).patchAndFetchById(
+        paymentTermId,
+        { ...paymentTermDTO }
+      );
+      // Triggers `onPaymentTermEdited` event.
+      await this.eventPublisher.emitAsync(events.paymentTerms.onEdited, {
+        oldPaymentTerm,
+        paymentTermDTO,
+        paymentTerm,
+        tenantId,
+        trx,
+      } as IPaymentTermEditedPayload);
+
+      return paymentTerm;
+    });
+  }
+}
@@ -0,0 +1,42 @@
+import { Inject, Service } from 'typedi';
+import { IPaymentTerm } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { CommandPaymentTermValidators } from './CommandPaymentTermValidators';
+import { PaymentTermTransformer } from './PaymentTermTransformer';
+
+@Service()
+export class GetPaymentTerm {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: CommandPaymentTermValidators;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the given payment term.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public async getPaymentTerm(
+    tenantId: number,
+    paymentTermId: number
+  ): Promise<IPaymentTerm> {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    const paymentTerm = await PaymentTerm.query().findById(paymentTermId);
+
+    // Validates the payment term existance.
+    this.validators.validatePaymentTermExistance(paymentTerm);
+
+    return this.transformer.transform(
+      tenantId,
+      paymentTerm,
+      new PaymentTermTransformer()
+    );
+  }
+}
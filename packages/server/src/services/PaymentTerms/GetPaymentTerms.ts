@@ -0,0 +1,31 @@
+import { Inject, Service } from 'typedi';
+import { IPaymentTerm } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { PaymentTermTransformer } from './PaymentTermTransformer';
+
+@Service()
+export class GetPaymentTerms {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the payment terms list.
+   * @param {number} tenantId
+   * @returns {Promise<IPaymentTerm[]>}
+   */
+  public async getPaymentTerms(tenantId: number): Promise<IPaymentTerm[]> {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    const paymentTerms = await PaymentTerm.query().orderBy('id', 'ASC');
+
+    return this.transformer.transform(
+      tenantId,
+      paymentTerms,
+      new PaymentTermTransformer()
+    );
+  }
+}
@@ -0,0 +1,71 @@
+import { Inject, Service } from 'typedi';
+import { isUndefined } from 'lodash';
+import { IContact } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { getPaymentTermDueDate } from '@/utils/payment-terms';
+import { CommandPaymentTermValidators } from './CommandPaymentTermValidators';
+
+interface IPaymentTermDocumentDTO {
+  paymentTermId?: number | null;
+  dueDate?: Date | string;
+}
+
+interface IPaymentTermDocument {
+  paymentTermId?: number | null;
+  dueDate?: Date | string;
+}
+
+@Service()
+export class PaymentTermDTOTransform {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: CommandPaymentTermValidators;
+
+  /**
+   * Retrieves the payment term of the given document DTO and the due date the
+   * term computes of the document date. The payment term defaults to the
+   * contact payment term once the document is created, and the due date given
+   * by the DTO overrides the computed one.
+   * @param {number} tenantId
+   * @param {IPaymentTermDocumentDTO} documentDTO - Invoice or bill DTO.
+   * @param {Date|string} documentDate - Invoice or bill date.
+   * @param {IContact} contact - Customer or vendor.
+   * @param {IPaymentTermDocument} oldDocument - Old invoice or bill.
+   * @returns {Promise<IPaymentTermDocument>}
+   */
+  public getDocumentPaymentTerm = async (
+    tenantId: number,
+    documentDTO: IPaymentTermDocumentDTO,
+    documentDate: Date | string,
+    contact: IContact,
+    oldDocument?: IPaymentTermDocument
+  ): Promise<IPaymentTermDocument> => {
+    const { PaymentTerm } = this.tenancy.models(tenantId);
+
+    const paymentTermId = !isUndefined(documentDTO.paymentTermId)
+      ? documentDTO.paymentTermId
+      : oldDocument
+      ? oldDocument.paymentTermId
+      : contact.paymentTermId;
+
+    if (!paymentTermId) {
+      return { paymentTermId: null };
+    }
+    const paymentTerm = await PaymentTerm.query().findById(paymentTermId);
+
+    // Validates the payment term existance.
+    this.validators.validatePaymentTermExistance(paymentTerm);
+
+    const dueDate = !documentDTO.dueDate
+      ? getPaymentTermDueDate(
+          paymentTerm.termType,
+          paymentTerm.days,
+          documentDate
+        )
+      : null;
+
+    return { paymentTermId, ...(dueDate ? { dueDate } : {}) };
+  };
+}
@@ -0,0 +1,21 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IPaymentTerm } from '@/interfaces';
+
+export class PaymentTermTransformer extends Transformer {
+  /**
+   * Include these attributes to payment term object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['termTypeFormatted'];
+  };
+
+  /**
+   * Retrieves the localized payment term type.
+   * @param {IPaymentTerm} paymentTerm
+   * @returns {string}
+   */
+  protected termTypeFormatted = (paymentTerm: IPaymentTerm): string => {
+    return this.context.i18n.__(`payment_term.type.${paymentTerm.termType}`);
+  };
+}
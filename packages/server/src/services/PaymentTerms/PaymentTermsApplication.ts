@@ -0,0 +1,98 @@
+import { Inject, Service } from 'typedi';
+import { IPaymentTerm, IPaymentTermDTO } from '@/interfaces';
+import { CreatePaymentTerm } from './CreatePaymentTerm';
+import { EditPaymentTerm } from './EditPaymentTerm';
+import { DeletePaymentTerm } from './DeletePaymentTerm';
+import { GetPaymentTerm } from './GetPaymentTerm';
+import { GetPaymentTerms } from './GetPaymentTerms';
+
+@Service()
+export class PaymentTermsApplication {
+  @Inject()
+  private createPaymentTermService: CreatePaymentTerm;
+
+  @Inject()
+  private editPaymentTermService: EditPaymentTerm;
+
+  @Inject()
+  private deletePaymentTermService: DeletePaymentTerm;
+
+  @Inject()
+  private getPaymentTermService: GetPaymentTerm;
+
+  @Inject()
+  private getPaymentTermsService: GetPaymentTerms;
+
+  /**
+   * Creates a new payment term.
+   * @param {number} tenantId
+   * @param {IPaymentTermDTO} paymentTermDTO
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public createPaymentTerm(
+    tenantId: number,
+    paymentTermDTO: IPaymentTermDTO
+  ): Promise<IPaymentTerm> {
+    return this.createPaymentTermService.createPaymentTerm(
+      tenantId,
+      paymentTermDTO
+    );
+  }
+
+  /**
+   * Edits the given payment term.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @param {IPaymentTermDTO} paymentTermDTO
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public editPaymentTerm(
+    tenantId: number,
+    paymentTermId: number,
+    paymentTermDTO: IPaymentTermDTO
+  ): Promise<IPaymentTerm> {
+    return this.editPaymentTermService.editPaymentTerm(
+      tenantId,
+      paymentTermId,
+      paymentTermDTO
+    );
+  }
+
+  /**
+   * Deletes the given payment term.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @returns {Promise<void>}
+   */
+  public deletePaymentTerm(
+    tenantId: number,
+    paymentTermId: number
+  ): Promise<void> {
+    return this.deletePaymentTermService.deletePaymentTerm(
+      tenantId,
+      paymentTermId
+    );
+  }
+
+  /**
+   * Retrieves the given payment term.
+   * @param {number} tenantId
+   * @param {number} paymentTermId
+   * @returns {Promise<IPaymentTerm>}
+   */
+  public getPaymentTerm(
+    tenantId: number,
+    paymentTermId: number
+  ): Promise<IPaymentTerm> {
+    return this.getPaymentTermService.getPaymentTerm(tenantId, paymentTermId);
+  }
+
+  /**
+   * Retrieves the payment terms list.
+   * @param {number} tenantId
+   * @returns {Promise<IPaymentTerm[]>}
+   */
+  public getPaymentTerms(tenantId: number): Promise<IPaymentTerm[]> {
+    return this.getPaymentTermsService.getPaymentTerms(tenantId);
+  }
+}
@@ -0,0 +1,6 @@
+export const ERRORS = {
+  PAYMENT_TERM_NOT_FOUND: 'PAYMENT_TERM_NOT_FOUND',
+  PAYMENT_TERM_HAS_ASSOCIATED_CONTACTS: 'PAYMENT_TERM_HAS_ASSOCIATED_CONTACTS',
+  PAYMENT_TERM_HAS_ASSOCIATED_TRANSACTIONS:
+    'PAYMENT_TERM_HAS_ASSOCIATED_TRANSACTIONS',
+};
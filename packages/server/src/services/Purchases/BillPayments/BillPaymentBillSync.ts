@@ -1,6 +1,6 @@
 import { Inject, Service } from 'typedi';
 import { Knex } from 'knex';
-import { IBillPaymentEntryDTO } from '@/interfaces';
+import { IBillPaymentEntry } from '@/interfaces';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import { entriesAmountDiff } from '@/utils';
 
@@ -12,21 +12,21 @@ export class BillPaymentBillSync {
   /**
    * Saves bills payment amount changes different.
    * @param {number} tenantId -
-   * @param {IBillPaymentEntryDTO[]} paymentMadeEntries -
-   * @param {IBillPaymentEntryDTO[]} oldPaymentMadeEntries -
+   * @param {IBillPaymentEntry[]} paymentMadeEntries -
+   * @param {IBillPaymentEntry[]} oldPaymentMadeEntries -
    */
   public async saveChangeBillsPaymentAmount(
     tenantId: number,
-    paymentMadeEntries: IBillPaymentEntryDTO[],
-    oldPaymentMadeEntries?: IBillPaymentEntryDTO[],
+    paymentMadeEntries: IBillPaymentEntry[],
+    oldPaymentMadeEntries?: IBillPaymentEntry[],
     trx?: Knex.Transaction
   ): Promise<void> {
     const { Bill } = this.tenancy.models(tenantId);
     const opers: Promise<void>[] = [];
 
     const diffEntries = entriesAmountDiff(
-      paymentMadeEntries,
-      oldPaymentMadeEntries,
+      this.getEntriesSettledAmount(paymentMadeEntries),
+      this.getEntriesSettledAmount(oldPaymentMadeEntries),
       'paymentAmount',
       'billId'
     );
@@ -45,4 +45,19 @@ export class BillPaymentBillSync {
     );
     await Promise.all(opers);
   }
+
+  /**
+   * Retrieves the entries with the bill amount they settle, the early payment
+   * discount settles the bill along with the payment amount.
+   * @param {IBillPaymentEntry[]} entries
+   * @returns {IBillPaymentEntry[]}
+   */
+  private getEntriesSettledAmount = (
+    entries: IBillPaymentEntry[]
+  ): IBillPaymentEntry[] => {
+    return (entries || []).map((entry) => ({
+      ...entry,
+      paymentAmount: entry.paymentAmount + (entry.discountAmount || 0),
+    }));
+  };
 }
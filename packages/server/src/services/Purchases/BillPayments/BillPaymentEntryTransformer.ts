@@ -8,7 +8,7 @@ export class BillPaymentEntryTransformer extends Transformer {
    * @returns {Array}
    */
   public includeAttributes = (): string[] => {
-    return ['paymentAmountFormatted', 'bill'];
+    return ['paymentAmountFormatted', 'discountAmountFormatted', 'bill'];
   };
 
   /**
@@ -25,4 +25,12 @@ export class BillPaymentEntryTransformer extends Transformer {
   protected paymentAmountFormatted(entry) {
     return formatNumber(entry.paymentAmount, { money: false });
   }
+
+  /**
+   * Retreives the early payment discount amount formatted.
+   * @returns {string}
+   */
+  protected discountAmountFormatted(entry) {
+    return formatNumber(entry.discountAmount, { money: false });
+  }
 }
@@ -2,7 +2,12 @@ import moment from 'moment';
 import { sumBy } from 'lodash';
 import { Service, Inject } from 'typedi';
 import { Knex } from 'knex';
-import { AccountNormal, IBillPayment, ILedgerEntry } from '@/interfaces';
+import {
+  AccountNormal,
+  IAccount,
+  IBillPayment,
+  ILedgerEntry,
+} from '@/interfaces';
 import Ledger from '@/services/Accounting/Ledger';
 import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
@@ -49,12 +54,18 @@ export class BillPaymentGLEntries {
       'findBySlug',
       'exchange-grain-loss'
     );
+    // Early payment discount account.
+    const discountAccount = payment.discountAmount
+      ? await accountRepository.findOrCreatePurchaseDiscountAccount({}, trx)
+      : null;
+
     // Retrieves the bill payment ledger.
     const ledger = this.getBillPaymentLedger(
       payment,
       APAccount.id,
       EXGainLossAccount.id,
-      tenantMeta.baseCurrency
+      tenantMeta.baseCurrency,
+      discountAccount
     );
     // Commits the ledger on the storage.
     await this.ledgerStorage.commit(tenantId, ledger, trx);
@@ -132,8 +143,10 @@ export class BillPaymentGLEntries {
    */
   private getPaymentExGainOrLoss = (billPayment: IBillPayment): number => {
     return sumBy(billPayment.entries, (entry) => {
-      const paymentLocalAmount = entry.paymentAmount * billPayment.exchangeRate;
-      const invoicePayment = entry.paymentAmount * entry.bill.exchangeRate;
+      // The early payment discount settles the bill with the payment.
+      const settledAmount = entry.paymentAmount + (entry.discountAmount || 0);
+      const paymentLocalAmount = settledAmount * billPayment.exchangeRate;
+      const invoicePayment = settledAmount * entry.bill.exchangeRate;
 
       return invoicePayment - paymentLocalAmount;
     });
@@ -216,7 +229,7 @@ export class BillPaymentGLEntries {
     return {
       ...commonEntry,
       exchangeRate: billPayment.exchangeRate,
-      debit: billPayment.localAmount,
+      debit: billPayment.localAmount + billPayment.discountAmountLocal,
       contactId: billPayment.vendorId,
       accountId: APAccountId,
       accountNormal: AccountNormal.CREDIT,
@@ -224,17 +237,40 @@ export class BillPaymentGLEntries {
     };
   };
 
+  /**
+   * Retrieves the payment early payment discount GL entry.
+   * @param {IBillPayment} billPayment
+   * @param {IAccount} discountAccount
+   * @returns {ILedgerEntry}
+   */
+  private getPaymentGLDiscountEntry = (
+    billPayment: IBillPayment,
+    discountAccount: IAccount
+  ): ILedgerEntry => {
+    const commonEntry = this.getPaymentCommonEntry(billPayment);
+
+    return {
+      ...commonEntry,
+      credit: billPayment.discountAmountLocal,
+      accountId: discountAccount.id,
+      accountNormal: discountAccount.accountNormal,
+      index: 4,
+    };
+  };
+
   /**
    * Retrieves the payment GL entries.
    * @param   {IBillPayment} billPayment
    * @param   {number} APAccountId
+   * @param   {IAccount} discountAccount - Early payment discount account.
    * @returns {ILedgerEntry[]}
    */
   private getPaymentGLEntries = (
     billPayment: IBillPayment,
     APAccountId: number,
     gainLossAccountId: number,
-    baseCurrency: string
+    baseCurrency: string,
+    discountAccount?: IAccount
   ): ILedgerEntry[] => {
     // Retrieves the payment deposit entry.
     const paymentEntry = this.getPaymentGLEntry(billPayment);
@@ -251,26 +287,39 @@ export class BillPaymentGLEntries {
       gainLossAccountId,
       baseCurrency
     );
-    return [paymentEntry, payableEntry, ...exGainLossEntries];
+    // Retrieves the early payment discount entry.
+    const discountEntries = billPayment.discountAmount
+      ? [this.getPaymentGLDiscountEntry(billPayment, discountAccount)]
+      : [];
+
+    return [
+      paymentEntry,
+      payableEntry,
+      ...exGainLossEntries,
+      ...discountEntries,
+    ];
   };
 
   /**
    * Retrieves the bill payment ledger.
    * @param   {IBillPayment} billPayment
    * @param   {number} APAccountId
+   * @param   {IAccount} discountAccount - Early payment discount account.
    * @returns {Ledger}
    */
   private getBillPaymentLedger = (
     billPayment: IBillPayment,
     APAccountId: number,
     gainLossAccountId: number,
-    baseCurrency: string
+    baseCurrency: string,
+    discountAccount?: IAccount
   ): Ledger => {
     const entries = this.getPaymentGLEntries(
       billPayment,
       APAccountId,
       gainLossAccountId,
-      baseCurrency
+      baseCurrency,
+      discountAccount
     );
     return new Ledger(entries);
   };
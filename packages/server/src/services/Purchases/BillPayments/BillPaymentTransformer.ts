@@ -14,6 +14,7 @@ export class BillPaymentTransformer extends Transformer {
       'formattedPaymentDate',
       'formattedCreatedAt',
       'formattedAmount',
+      'formattedDiscountAmount',
       'entries',
       'attachments',
     ];
@@ -48,6 +49,17 @@ export class BillPaymentTransformer extends Transformer {
     });
   };
 
+  /**
+   * Retrieve formatted early payment discount amount.
+   * @param {IBillPayment} billPayment
+   * @returns {string}
+   */
+  protected formattedDiscountAmount = (billPayment: IBillPayment): string => {
+    return formatNumber(billPayment.discountAmount, {
+      currencyCode: billPayment.currencyCode,
+    });
+  };
+
   /**
    * Retreives the bill payment entries.
    */
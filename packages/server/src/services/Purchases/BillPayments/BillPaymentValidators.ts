@@ -3,7 +3,6 @@ import { sumBy, difference } from 'lodash';
 import {
   IBill,
   IBillPaymentDTO,
-  IBillPaymentEntryDTO,
   IBillPayment,
   IBillPaymentEntry,
 } from '@/interfaces';
@@ -142,12 +141,12 @@ export class BillPaymentValidators {
    */
   public async validateBillsDueAmount(
     tenantId: number,
-    billPaymentEntries: IBillPaymentEntryDTO[],
+    billPaymentEntries: IBillPaymentEntry[],
     oldPaymentEntries: IBillPaymentEntry[] = []
   ) {
     const { Bill } = this.tenancy.models(tenantId);
     const billsIds = billPaymentEntries.map(
-      (entry: IBillPaymentEntryDTO) => entry.billId
+      (entry: IBillPaymentEntry) => entry.billId
     );
 
     const storedBills = await Bill.query().whereIn('id', billsIds);
@@ -156,7 +155,9 @@ export class BillPaymentValidators {
         const oldEntries = oldPaymentEntries.filter(
           (entry) => entry.billId === bill.id
         );
-        const oldPaymentAmount = sumBy(oldEntries, 'paymentAmount') || 0;
+        const oldPaymentAmount =
+          sumBy(oldEntries, (e) => e.paymentAmount + (e.discountAmount || 0)) ||
+          0;
 
         return [
           bill.id,
@@ -170,11 +171,12 @@ export class BillPaymentValidators {
     }
     const hasWrongPaymentAmount: invalidPaymentAmountError[] = [];
 
-    billPaymentEntries.forEach((entry: IBillPaymentEntryDTO, index: number) => {
+    billPaymentEntries.forEach((entry: IBillPaymentEntry, index: number) => {
       const entryBill = storedBillsMap.get(entry.billId);
       const { dueAmount } = entryBill;
 
-      if (dueAmount < entry.paymentAmount) {
+      // The early payment discount settles the bill with the payment.
+      if (dueAmount < entry.paymentAmount + (entry.discountAmount || 0)) {
         hasWrongPaymentAmount.push({ index, due_amount: dueAmount });
       }
     });
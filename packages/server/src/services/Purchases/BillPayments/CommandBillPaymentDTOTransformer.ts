@@ -1,8 +1,15 @@
 import { Inject, Service } from 'typedi';
 import * as R from 'ramda';
 import { omit, sumBy } from 'lodash';
-import { IBillPayment, IBillPaymentDTO, IVendor } from '@/interfaces';
+import {
+  IBillPayment,
+  IBillPaymentDTO,
+  IBillPaymentEntry,
+  IVendor,
+} from '@/interfaces';
 import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/BranchTransactionDTOTransform';
+import { EarlyPaymentDiscountDTOTransform } from '@/services/Discounts/EarlyPaymentDiscountDTOTransform';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
 import { formatDateFields } from '@/utils';
 
 @Service()
@@ -10,6 +17,12 @@ export class CommandBillPaymentDTOTransformer {
   @Inject()
   private branchDTOTransform: BranchTransactionDTOTransform;
 
+  @Inject()
+  private earlyPaymentDiscountDTOTransform: EarlyPaymentDiscountDTOTransform;
+
+  @Inject()
+  private tenancy: HasTenancyService;
+
   /**
    * Transforms create/edit DTO to model.
    * @param {number} tenantId
@@ -23,17 +36,60 @@ export class CommandBillPaymentDTOTransformer {
     vendor: IVendor,
     oldBillPayment?: IBillPayment
   ): Promise<IBillPayment> {
+    // Associates the early payment discount of the paid bills to entries.
+    const entries = await this.transformDTOEntriesDiscount(
+      tenantId,
+      billPaymentDTO,
+      oldBillPayment
+    );
     const initialDTO = {
-      ...formatDateFields(omit(billPaymentDTO, ['attachments']), [
-        'paymentDate',
-      ]),
+      ...formatDateFields(
+        omit(billPaymentDTO, ['attachments', 'applyEarlyPaymentDiscount']),
+        ['paymentDate']
+      ),
       amount: sumBy(billPaymentDTO.entries, 'paymentAmount'),
+      discountAmount: sumBy(entries, 'discountAmount'),
       currencyCode: vendor.currencyCode,
       exchangeRate: billPaymentDTO.exchangeRate || 1,
-      entries: billPaymentDTO.entries,
+      entries,
     };
     return R.compose(
       this.branchDTOTransform.transformDTO<IBillPayment>(tenantId)
     )(initialDTO);
   }
+
+  /**
+   * Transforms the DTO entries to entries with the early payment discount
+   * amount, the discount is applied only once requested by the DTO.
+   * @param {number} tenantId
+   * @param {IBillPaymentDTO} billPaymentDTO
+   * @param {IBillPayment} oldBillPayment
+   * @returns {Promise<Partial<IBillPaymentEntry>[]>}
+   */
+  private async transformDTOEntriesDiscount(
+    tenantId: number,
+    billPaymentDTO: IBillPaymentDTO,
+    oldBillPayment?: IBillPayment
+  ): Promise<Partial<IBillPaymentEntry>[]> {
+    const { Bill } = this.tenancy.models(tenantId);
+
+    if (!billPaymentDTO.applyEarlyPaymentDiscount) {
+      return billPaymentDTO.entries.map((entry) => ({
+        ...entry,
+        discountAmount: 0,
+      }));
+    }
+    const bills = await Bill.query().whereIn(
+      'id',
+      billPaymentDTO.entries.map((entry) => entry.billId)
+    );
+    return this.earlyPaymentDiscountDTOTransform.assocEntriesDiscountAmount(
+      billPaymentDTO.entries,
+      bills,
+      'billId',
+      'billDate',
+      billPaymentDTO.paymentDate,
+      oldBillPayment?.entries
+    );
+  }
 }
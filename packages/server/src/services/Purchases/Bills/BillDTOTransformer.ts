@@ -1,4 +1,4 @@
-import { omit, sumBy } from 'lodash';
+import { isUndefined, omit, sumBy } from 'lodash';
 import moment from 'moment';
 import { Inject, Service } from 'typedi';
 import * as R from 'ramda';
@@ -15,6 +15,8 @@ import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/
 import { WarehouseTransactionDTOTransform } from '@/services/Warehouses/Integrations/WarehouseTransactionDTOTransform';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import { ItemEntriesTaxTransactions } from '@/services/TaxRates/ItemEntriesTaxTransactions';
+import { DocumentDiscountDTOTransform } from '@/services/Discounts/DocumentDiscountDTOTransform';
+import { PaymentTermDTOTransform } from '@/services/PaymentTerms/PaymentTermDTOTransform';
 
 @Service()
 export class BillDTOTransformer {
@@ -27,6 +29,12 @@ export class BillDTOTransformer {
   @Inject()
   private taxDTOTransformer: ItemEntriesTaxTransactions;
 
+  @Inject()
+  private discountDTOTransform: DocumentDiscountDTOTransform;
+
+  @Inject()
+  private paymentTermDTOTransform: PaymentTermDTOTransform;
+
   @Inject()
   private tenancy: HasTenancyService;
 
@@ -95,6 +103,15 @@ export class BillDTOTransformer {
       R.map(R.omit(['taxCode']))
     )(asyncEntries);
 
+    // Retrieves the bill payment term and the due date it computes.
+    const paymentTerm =
+      await this.paymentTermDTOTransform.getDocumentPaymentTerm(
+        tenantId,
+        billDTO,
+        billDTO.billDate,
+        vendor,
+        oldBill
+      );
     const initialDTO = {
       ...formatDateFields(omit(billDTO, ['open', 'entries', 'attachments']), [
         'billDate',
@@ -104,6 +121,7 @@ export class BillDTOTransformer {
       landedCostAmount,
       currencyCode: vendor.currencyCode,
       exchangeRate: billDTO.exchangeRate || 1,
+      ...paymentTerm,
       billNumber,
       entries,
       // Avoid rewrite the open date in edit mode when already opened.
@@ -111,9 +129,17 @@ export class BillDTOTransformer {
         !oldBill?.openedAt && {
           openedAt: moment().toMySqlDateTime(),
         }),
+      // Defaults the early payment discount terms to the vendor terms.
+      ...(!oldBill &&
+        isUndefined(billDTO.earlyPaymentDiscountRate) && {
+          earlyPaymentDiscountRate: vendor.earlyPaymentDiscountRate,
+          earlyPaymentDiscountDays: vendor.earlyPaymentDiscountDays,
+        }),
       userId: authorizedUser.id,
     };
     return R.compose(
+      // Associates the discount amount to the model.
+      this.discountDTOTransform.assocDiscountAmount(),
       // Associates tax amount withheld to the model.
       this.taxDTOTransformer.assocTaxAmountWithheldFromEntries,
       this.branchDTOTransform.transformDTO(tenantId),
@@ -8,6 +8,11 @@ import HasTenancyService from '@/services/Tenancy/TenancyService';
 import Ledger from '@/services/Accounting/Ledger';
 import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
 import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import {
+  DocumentDiscountGLEntries,
+  IDocumentDiscountChargesAccounts,
+} from '@/services/Discounts/DocumentDiscountGLEntries';
+import { calcDiscountTaxAmount } from '@/utils/discount';
 
 @Service()
 export class BillGLEntries {
@@ -20,6 +25,9 @@ export class BillGLEntries {
   @Inject()
   private itemsEntriesService: ItemsEntriesService;
 
+  @Inject()
+  private discountGLEntries: DocumentDiscountGLEntries;
+
   /**
    * Creates bill GL entries.
    * @param {number} tenantId -
@@ -52,10 +60,18 @@ export class BillGLEntries {
       {},
       trx
     );
+    // Find or create the discount and charges accounts.
+    const discountChargesAccounts =
+      await this.discountGLEntries.findOrCreatePurchasesAccounts(
+        tenantId,
+        bill,
+        trx
+      );
     const billLedger = this.getBillLedger(
       bill,
       APAccount.id,
-      taxPayableAccount.id
+      taxPayableAccount.id,
+      discountChargesAccounts
     );
     // Commit the GL enties on the storage.
     await this.ledgerStorage.commit(tenantId, billLedger, trx);
@@ -240,16 +256,75 @@ export class BillGLEntries {
     return nonZeroTaxEntries.map(transformTaxEntry);
   };
 
+  /**
+   * Retrieves the bill GL entry of the tax the discount before tax lowers.
+   * @param {IBill} bill -
+   * @param {number} taxPayableAccountId -
+   * @param {IItemEntry} entry -
+   * @param {number} index -
+   * @returns {ILedgerEntry}
+   */
+  private getBillDiscountTaxEntry = R.curry(
+    (
+      bill: IBill,
+      taxPayableAccountId: number,
+      entry: IItemEntry,
+      index: number
+    ): ILedgerEntry => {
+      const commonJournalMeta = this.getBillCommonEntry(bill);
+      const discountTaxAmount = calcDiscountTaxAmount(
+        entry.taxAmount,
+        bill.discountAmount,
+        bill.subtotalExcludingTax
+      );
+      return {
+        ...commonJournalMeta,
+        credit: discountTaxAmount * bill.exchangeRate,
+        index,
+        indexGroup: 35,
+        accountId: taxPayableAccountId,
+        accountNormal: AccountNormal.CREDIT,
+        taxRateId: entry.taxRateId,
+        taxRate: entry.taxRate,
+      };
+    }
+  );
+
+  /**
+   * Retrieves the bill tax GL entries the discount before tax lowers.
+   * @param {IBill} bill
+   * @param {number} taxPayableAccountId
+   * @returns {ILedgerEntry[]}
+   */
+  private getBillDiscountTaxEntries = (
+    bill: IBill,
+    taxPayableAccountId: number
+  ): ILedgerEntry[] => {
+    if (!bill.discountTaxAmount) return [];
+
+    const nonZeroTaxEntries = this.itemsEntriesService.getNonZeroEntries(
+      bill.entries
+    );
+    const transformDiscountTaxEntry = this.getBillDiscountTaxEntry(
+      bill,
+      taxPayableAccountId
+    );
+    return nonZeroTaxEntries.map(transformDiscountTaxEntry);
+  };
+
   /**
    * Retrieves the given bill GL entries.
    * @param {IBill} bill
    * @param {number} payableAccountId
+   * @param {number} taxPayableAccountId
+   * @param {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {ILedgerEntry[]}
    */
   private getBillGLEntries = (
     bill: IBill,
     payableAccountId: number,
-    taxPayableAccountId: number
+    taxPayableAccountId: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts
   ): ILedgerEntry[] => {
     const payableEntry = this.getBillPayableEntry(payableAccountId, bill);
 
@@ -261,26 +336,47 @@ export class BillGLEntries {
       landedCostTransformer
     );
     const taxEntries = this.getBillTaxEntries(bill, taxPayableAccountId);
-
+    const discountTaxEntries = this.getBillDiscountTaxEntries(
+      bill,
+      taxPayableAccountId
+    );
+    const discountChargesEntries =
+      this.discountGLEntries.getDiscountChargesGLEntries(
+        bill,
+        this.getBillCommonEntry(bill),
+        discountChargesAccounts,
+        true
+      );
     // Allocate cost entries journal entries.
-    return [payableEntry, ...itemsEntries, ...landedCostEntries, ...taxEntries];
+    return [
+      payableEntry,
+      ...itemsEntries,
+      ...landedCostEntries,
+      ...taxEntries,
+      ...discountTaxEntries,
+      ...discountChargesEntries,
+    ];
   };
 
   /**
    * Retrieves the given bill ledger.
    * @param {IBill} bill
    * @param {number} payableAccountId
+   * @param {number} taxPayableAccountId
+   * @param {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {Ledger}
    */
   private getBillLedger = (
     bill: IBill,
     payableAccountId: number,
-    taxPayableAccountId: number
+    taxPayableAccountId: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts
   ) => {
     const entries = this.getBillGLEntries(
       bill,
       payableAccountId,
-      taxPayableAccountId
+      taxPayableAccountId,
+      discountChargesAccounts
     );
 
     return new Ledger(entries);
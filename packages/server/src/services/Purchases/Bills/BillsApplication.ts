@@ -1,4 +1,5 @@
 import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
 import { CreateBill } from './CreateBill';
 import { EditBill } from './EditBill';
 import { GetBill } from './GetBill';
@@ -48,14 +49,21 @@ export class BillsApplication {
    * @param {number} tenantId
    * @param {IBillDTO} billDTO
    * @param {ISystemUser} authorizedUser
+   * @param {Knex.Transaction} trx
    * @returns
    */
   public createBill(
     tenantId: number,
     billDTO: IBillDTO,
-    authorizedUser: ISystemUser
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
   ): Promise<IBill> {
-    return this.createBillService.createBill(tenantId, billDTO, authorizedUser);
+    return this.createBillService.createBill(
+      tenantId,
+      billDTO,
+      authorizedUser,
+      trx
+    );
   }
 
   /**
@@ -24,6 +24,9 @@ export class PurchaseInvoiceTransformer extends Transformer {
       'subtotalLocalFormatted',
       'subtotalExcludingTaxFormatted',
       'taxAmountWithheldLocalFormatted',
+      'discountAmountFormatted',
+      'shippingChargeFormatted',
+      'adjustmentFormatted',
       'totalFormatted',
       'totalLocalFormatted',
       'taxes',
@@ -32,6 +35,39 @@ export class PurchaseInvoiceTransformer extends Transformer {
     ];
   };
 
+  /**
+   * Retrieves the formatted discount amount.
+   * @param {IBill} bill
+   * @returns {string}
+   */
+  protected discountAmountFormatted = (bill): string => {
+    return formatNumber(bill.discountAmount, {
+      currencyCode: bill.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted shipping charge.
+   * @param {IBill} bill
+   * @returns {string}
+   */
+  protected shippingChargeFormatted = (bill): string => {
+    return formatNumber(bill.shippingCharge, {
+      currencyCode: bill.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted rounding adjustment.
+   * @param {IBill} bill
+   * @returns {string}
+   */
+  protected adjustmentFormatted = (bill): string => {
+    return formatNumber(bill.adjustment, {
+      currencyCode: bill.currencyCode,
+    });
+  };
+
   /**
    * Excluded attributes.
    * @returns {string[]}
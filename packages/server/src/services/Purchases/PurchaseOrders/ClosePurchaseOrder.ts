@@ -0,0 +1,70 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  IPurchaseOrderClosedPayload,
+  IPurchaseOrderClosingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class ClosePurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Closes the given purchase order, so the remaining quantities
+   * can't be billed anymore.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @returns {Promise<void>}
+   */
+  public async closePurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given purchase order.
+    const oldPurchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .throwIfNotFound();
+
+    // Throws error in case the purchase order already closed.
+    if (oldPurchaseOrder.isClosed) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_ALREADY_CLOSED);
+    }
+    // Updates the purchase order under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPurchaseOrderClosing` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onClosing, {
+        tenantId,
+        oldPurchaseOrder,
+        trx,
+      } as IPurchaseOrderClosingPayload);
+
+      // Record the closed at on the storage.
+      const purchaseOrder = await PurchaseOrder.query(trx).patchAndFetchById(
+        purchaseOrderId,
+        { closedAt: moment().toMySqlDateTime() }
+      );
+      // Triggers `onPurchaseOrderClosed` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onClosed, {
+        tenantId,
+        purchaseOrder,
+        trx,
+      } as IPurchaseOrderClosedPayload);
+    });
+  }
+}
@@ -0,0 +1,159 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { ServiceError } from '@/exceptions';
+import {
+  IBill,
+  IBillDTO,
+  IItemEntryDTO,
+  IPurchaseOrder,
+  IPurchaseOrderConvertToBillDTO,
+  IPurchaseOrderConvertedPayload,
+  IPurchaseOrderConvertingPayload,
+  ISystemUser,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import UnitOfWork from '@/services/UnitOfWork';
+import { BillsApplication } from '@/services/Purchases/Bills/BillsApplication';
+import events from '@/subscribers/events';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+import { ERRORS } from './constants';
+
+@Service()
+export class ConvertPurchaseOrderToBill {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private billsApplication: BillsApplication;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  /**
+   * Converts the given purchase order to a bill, the bill is linked back to
+   * the purchase order and bills the remaining quantity of each line unless
+   * the quantities are given explicitly.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @param {IPurchaseOrderConvertToBillDTO} convertDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBill>}
+   */
+  public async convertToBill(
+    tenantId: number,
+    purchaseOrderId: number,
+    convertDTO: IPurchaseOrderConvertToBillDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IBill> {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    const purchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .withGraphFetched('entries');
+
+    // Validates the purchase order existance.
+    this.validators.validatePurchaseOrderExistance(purchaseOrder);
+
+    // Validates the purchase order is not closed.
+    this.validators.validatePurchaseOrderNotClosed(purchaseOrder);
+
+    // Throws error in case all the purchase order lines are billed.
+    if (purchaseOrder.isFullyBilled) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_ALREADY_BILLED);
+    }
+    const billDTO = this.transformPurchaseOrderToBillDTO(
+      purchaseOrder,
+      convertDTO
+    );
+    if (billDTO.entries.length === 0) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_NOTHING_TO_BILL);
+    }
+    // Converts the purchase order to bill under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPurchaseOrderConvertingToBill` event.
+      await this.eventPublisher.emitAsync(
+        events.purchaseOrder.onConvertingToBill,
+        {
+          tenantId,
+          purchaseOrder,
+          convertDTO,
+          authorizedUser,
+        } as IPurchaseOrderConvertingPayload
+      );
+      const bill = await this.billsApplication.createBill(
+        tenantId,
+        billDTO,
+        authorizedUser,
+        trx
+      );
+      // Triggers `onPurchaseOrderConvertedToBill` event.
+      await this.eventPublisher.emitAsync(
+        events.purchaseOrder.onConvertedToBill,
+        {
+          tenantId,
+          purchaseOrder,
+          bill,
+          convertDTO,
+        } as IPurchaseOrderConvertedPayload
+      );
+      return bill;
+    });
+  }
+
+  /**
+   * Transformes the purchase order to bill DTO.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @param {IPurchaseOrderConvertToBillDTO} convertDTO
+   * @returns {IBillDTO}
+   */
+  private transformPurchaseOrderToBillDTO(
+    purchaseOrder: IPurchaseOrder,
+    convertDTO: IPurchaseOrderConvertToBillDTO
+  ): IBillDTO {
+    const entries = purchaseOrder.entries
+      .map((entry) => {
+        const remaining = entry.quantity - (entry.billedQuantity || 0);
+        const convertEntry = convertDTO.entries?.find(
+          (e) => e.purchaseOrderEntryId === entry.id
+        );
+        const quantity = convertDTO.entries
+          ? convertEntry?.quantity || 0
+          : remaining;
+
+        return {
+          index: entry.index,
+          itemId: entry.itemId,
+          description: entry.description,
+          rate: entry.rate,
+          discount: entry.discount,
+          quantity,
+          warehouseId: entry.warehouseId,
+          taxRateId: entry.taxRateId,
+          purchaseOrderEntryId: entry.id,
+        } as IItemEntryDTO;
+      })
+      .filter((entry) => entry.quantity > 0);
+
+    return {
+      vendorId: purchaseOrder.vendorId,
+      billNumber: convertDTO.billNumber,
+      billDate: convertDTO.billDate,
+      dueDate: convertDTO.dueDate,
+      referenceNo: purchaseOrder.orderNumber,
+      note: purchaseOrder.note,
+      exchangeRate: purchaseOrder.exchangeRate,
+      open: convertDTO.open,
+      branchId: purchaseOrder.branchId,
+      warehouseId: purchaseOrder.warehouseId,
+      purchaseOrderId: purchaseOrder.id,
+      entries,
+    } as IBillDTO;
+  }
+}
@@ -0,0 +1,113 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPurchaseOrder,
+  IPurchaseOrderCreatedPayload,
+  IPurchaseOrderCreatingPayload,
+  IPurchaseOrderDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { PurchaseOrderDTOTransformer } from './PurchaseOrderDTOTransformer';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+
+@Service()
+export class CreatePurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: PurchaseOrderDTOTransformer;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  /**
+   * Creates a new purchase order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO - Purchase order DTO.
+   * @param {ISystemUser} authorizedUser
+   * @param {Knex.Transaction} trx
+   * @return {Promise<IPurchaseOrder>}
+   */
+  public async createPurchaseOrder(
+    tenantId: number,
+    purchaseOrderDTO: IPurchaseOrderDTO,
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
+  ): Promise<IPurchaseOrder> {
+    const { PurchaseOrder, Contact } = this.tenancy.models(tenantId);
+
+    // Retrieve the given vendor or throw not found service error.
+    const vendor = await Contact.query()
+      .modify('vendor')
+      .findById(purchaseOrderDTO.vendorId)
+      .throwIfNotFound();
+
+    // Transform DTO object to model object.
+    const purchaseOrderObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      purchaseOrderDTO,
+      vendor,
+      authorizedUser
+    );
+    // Validate purchase order number uniquiness on the storage.
+    await this.validators.validatePurchaseOrderNumberExistance(
+      tenantId,
+      purchaseOrderObj.orderNumber
+    );
+    // Validate items IDs existance on the storage.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      purchaseOrderDTO.entries
+    );
+    // Validate non-purchasable items.
+    await this.itemsEntriesService.validateNonPurchasableEntriesItems(
+      tenantId,
+      purchaseOrderDTO.entries
+    );
+    // Creates the purchase order with associated transactions under UOW.
+    return this.uow.withTransaction(
+      tenantId,
+      async (trx: Knex.Transaction) => {
+        // Triggers `onPurchaseOrderCreating` event.
+        await this.eventPublisher.emitAsync(events.purchaseOrder.onCreating, {
+          tenantId,
+          purchaseOrderDTO,
+          trx,
+        } as IPurchaseOrderCreatingPayload);
+
+        // Upsert the purchase order graph to the storage.
+        const purchaseOrder = await PurchaseOrder.query(
+          trx
+        ).upsertGraphAndFetch({
+          ...purchaseOrderObj,
+        });
+        // Triggers `onPurchaseOrderCreated` event.
+        await this.eventPublisher.emitAsync(events.purchaseOrder.onCreated, {
+          tenantId,
+          purchaseOrder,
+          purchaseOrderId: purchaseOrder.id,
+          purchaseOrderDTO,
+          trx,
+        } as IPurchaseOrderCreatedPayload);
+
+        return purchaseOrder;
+      },
+      trx
+    );
+  }
+}
@@ -0,0 +1,76 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPurchaseOrderDeletedPayload,
+  IPurchaseOrderDeletingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import UnitOfWork from '@/services/UnitOfWork';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+
+@Service()
+export class DeletePurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  /**
+   * Deletes the given purchase order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @return {Promise<void>}
+   */
+  public async deletePurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    const { PurchaseOrder, ItemEntry } = this.tenancy.models(tenantId);
+
+    // Retrieve the purchase order or throw not found service error.
+    const oldPurchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .throwIfNotFound();
+
+    // Throw error if the purchase order has converted bills.
+    await this.validators.validatePurchaseOrderHasNoBills(
+      tenantId,
+      purchaseOrderId
+    );
+    // Deletes the purchase order with associated transactions under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPurchaseOrderDeleting` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onDeleting, {
+        tenantId,
+        oldPurchaseOrder,
+        trx,
+      } as IPurchaseOrderDeletingPayload);
+
+      // Delete purchase order entries.
+      await ItemEntry.query(trx)
+        .where('reference_id', purchaseOrderId)
+        .where('reference_type', 'PurchaseOrder')
+        .delete();
+
+      // Delete purchase order transaction.
+      await PurchaseOrder.query(trx).where('id', purchaseOrderId).delete();
+
+      // Triggers `onPurchaseOrderDeleted` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onDeleted, {
+        tenantId,
+        purchaseOrderId,
+        oldPurchaseOrder,
+        trx,
+      } as IPurchaseOrderDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,69 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  IPurchaseOrderDeliveredPayload,
+  IPurchaseOrderDeliveringPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class DeliverPurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Marks the given purchase order as delivered to the vendor.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @returns {Promise<void>}
+   */
+  public async deliverPurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given purchase order.
+    const oldPurchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .throwIfNotFound();
+
+    // Throws error in case the purchase order already delivered.
+    if (oldPurchaseOrder.isDelivered) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_ALREADY_DELIVERED);
+    }
+    // Updates the purchase order under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPurchaseOrderDelivering` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onDelivering, {
+        tenantId,
+        oldPurchaseOrder,
+        trx,
+      } as IPurchaseOrderDeliveringPayload);
+
+      // Record the delivered at on the storage.
+      const purchaseOrder = await PurchaseOrder.query(trx).patchAndFetchById(
+        purchaseOrderId,
+        { deliveredAt: moment().toMySqlDateTime() }
+      );
+      // Triggers `onPurchaseOrderDelivered` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onDelivered, {
+        tenantId,
+        purchaseOrder,
+        trx,
+      } as IPurchaseOrderDeliveredPayload);
+    });
+  }
+}
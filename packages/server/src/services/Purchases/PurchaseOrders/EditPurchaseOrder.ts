@@ -0,0 +1,137 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IPurchaseOrder,
+  IPurchaseOrderDTO,
+  IPurchaseOrderEditedPayload,
+  IPurchaseOrderEditingPayload,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { PurchaseOrderDTOTransformer } from './PurchaseOrderDTOTransformer';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+
+@Service()
+export class EditPurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: PurchaseOrderDTOTransformer;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  /**
+   * Edits details of the given purchase order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO - Purchase order DTO.
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<IPurchaseOrder>}
+   */
+  public async editPurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number,
+    purchaseOrderDTO: IPurchaseOrderDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IPurchaseOrder> {
+    const { PurchaseOrder, Contact } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given purchase order.
+    const oldPurchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .withGraphFetched('entries');
+
+    // Validates the given purchase order existance.
+    this.validators.validatePurchaseOrderExistance(oldPurchaseOrder);
+
+    // Validates the purchase order is not closed.
+    this.validators.validatePurchaseOrderNotClosed(oldPurchaseOrder);
+
+    // Retrieve the given vendor or throw not found service error.
+    const vendor = await Contact.query()
+      .modify('vendor')
+      .findById(purchaseOrderDTO.vendorId)
+      .throwIfNotFound();
+
+    // Transform DTO object to model object.
+    const purchaseOrderObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      purchaseOrderDTO,
+      vendor,
+      authorizedUser,
+      oldPurchaseOrder
+    );
+    // Validate purchase order number uniquiness on the storage.
+    if (purchaseOrderDTO.orderNumber) {
+      await this.validators.validatePurchaseOrderNumberExistance(
+        tenantId,
+        purchaseOrderDTO.orderNumber,
+        purchaseOrderId
+      );
+    }
+    // Validate purchase order entries existance.
+    await this.itemsEntriesService.validateEntriesIdsExistance(
+      tenantId,
+      purchaseOrderId,
+      'PurchaseOrder',
+      purchaseOrderDTO.entries
+    );
+    // Validate items IDs existance on the storage.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      purchaseOrderDTO.entries
+    );
+    // Validate non-purchasable items.
+    await this.itemsEntriesService.validateNonPurchasableEntriesItems(
+      tenantId,
+      purchaseOrderDTO.entries
+    );
+    // Validates the billed lines are kept with enough quantity.
+    this.validators.validateBilledEntriesOnEdit(
+      oldPurchaseOrder,
+      purchaseOrderDTO
+    );
+    // Edits the purchase order with associated transactions under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onPurchaseOrderEditing` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onEditing, {
+        tenantId,
+        oldPurchaseOrder,
+        purchaseOrderDTO,
+        trx,
+      } as IPurchaseOrderEditingPayload);
+
+      // Upsert the purchase order graph to the storage.
+      const purchaseOrder = await PurchaseOrder.query(trx).upsertGraphAndFetch({
+        id: purchaseOrderId,
+        ...purchaseOrderObj,
+      });
+      // Triggers `onPurchaseOrderEdited` event.
+      await this.eventPublisher.emitAsync(events.purchaseOrder.onEdited, {
+        tenantId,
+        purchaseOrderId,
+        purchaseOrder,
+        oldPurchaseOrder,
+        purchaseOrderDTO,
+        trx,
+      } as IPurchaseOrderEditedPayload);
+
+      return purchaseOrder;
+    });
+  }
+}
@@ -0,0 +1,43 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { PurchaseOrderTransformer } from './PurchaseOrderTransformer';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+
+@Service()
+export class GetPurchaseOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  /**
+   * Retrieves the purchase order details with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   */
+  public async getPurchaseOrder(tenantId: number, purchaseOrderId: number) {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    const purchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('vendor')
+      .withGraphFetched('branch')
+      .withGraphFetched('bills');
+
+    // Validates the purchase order existance.
+    this.validators.validatePurchaseOrderExistance(purchaseOrder);
+
+    // Transformes purchase order model to POJO.
+    return this.transformer.transform(
+      tenantId,
+      purchaseOrder,
+      new PurchaseOrderTransformer()
+    );
+  }
+}
@@ -0,0 +1,76 @@
+import * as R from 'ramda';
+import { Inject, Service } from 'typedi';
+import {
+  IFilterMeta,
+  IPaginationMeta,
+  IPurchaseOrder,
+  IPurchaseOrdersFilter,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import DynamicListingService from '@/services/DynamicListing/DynamicListService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { PurchaseOrderTransformer } from './PurchaseOrderTransformer';
+
+@Service()
+export class GetPurchaseOrders {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private dynamicListService: DynamicListingService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves purchase orders filterable and paginated list.
+   * @param {number} tenantId -
+   * @param {IPurchaseOrdersFilter} filterDTO -
+   */
+  public async getPurchaseOrders(
+    tenantId: number,
+    filterDTO: IPurchaseOrdersFilter
+  ): Promise<{
+    purchaseOrders: IPurchaseOrder[];
+    pagination: IPaginationMeta;
+    filterMeta: IFilterMeta;
+  }> {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    // Parses filter DTO.
+    const filter = this.parseListFilterDTO(filterDTO);
+
+    // Dynamic list service.
+    const dynamicFilter = await this.dynamicListService.dynamicList(
+      tenantId,
+      PurchaseOrder,
+      filter
+    );
+    const { results, pagination } = await PurchaseOrder.query()
+      .onBuild((builder) => {
+        builder.withGraphFetched('vendor');
+        builder.withGraphFetched('entries.item');
+        dynamicFilter.buildQuery()(builder);
+      })
+      .pagination(filter.page - 1, filter.pageSize);
+
+    const transformedPurchaseOrders = await this.transformer.transform(
+      tenantId,
+      results,
+      new PurchaseOrderTransformer()
+    );
+    return {
+      purchaseOrders: transformedPurchaseOrders,
+      pagination,
+      filterMeta: dynamicFilter.getResponseMeta(),
+    };
+  }
+
+  /**
+   * Parses the purchase orders list filter DTO.
+   * @param filterDTO
+   */
+  private parseListFilterDTO(filterDTO) {
+    return R.compose(this.dynamicListService.parseStringifiedFilter)(filterDTO);
+  }
+}
@@ -0,0 +1,93 @@
+import * as R from 'ramda';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { omit, sumBy } from 'lodash';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import {
+  IPurchaseOrder,
+  IPurchaseOrderDTO,
+  ISystemUser,
+  IVendor,
+} from '@/interfaces';
+import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/BranchTransactionDTOTransform';
+import { WarehouseTransactionDTOTransform } from '@/services/Warehouses/Integrations/WarehouseTransactionDTOTransform';
+import { formatDateFields } from '@/utils';
+import { PurchaseOrderValidators } from './PurchaseOrderValidators';
+import { PurchaseOrderIncrement } from './PurchaseOrderIncrement';
+
+@Service()
+export class PurchaseOrderDTOTransformer {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  @Inject()
+  private branchDTOTransform: BranchTransactionDTOTransform;
+
+  @Inject()
+  private warehouseDTOTransform: WarehouseTransactionDTOTransform;
+
+  @Inject()
+  private purchaseOrderIncrement: PurchaseOrderIncrement;
+
+  /**
+   * Transforms the purchase order DTO to model object.
+   * @param {number} tenantId
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO - Purchase order DTO.
+   * @param {IVendor} vendor - Purchase order vendor.
+   * @param {ISystemUser} authorizedUser
+   * @param {IPurchaseOrder} oldPurchaseOrder
+   * @return {Promise<IPurchaseOrder>}
+   */
+  public async transformDTOToModel(
+    tenantId: number,
+    purchaseOrderDTO: IPurchaseOrderDTO,
+    vendor: IVendor,
+    authorizedUser: ISystemUser,
+    oldPurchaseOrder?: IPurchaseOrder
+  ): Promise<IPurchaseOrder> {
+    const { ItemEntry } = this.tenancy.models(tenantId);
+
+    const amount = sumBy(purchaseOrderDTO.entries, (e) =>
+      ItemEntry.calcAmount(e)
+    );
+    // Retrieves the next purchase order number.
+    const autoNextNumber =
+      this.purchaseOrderIncrement.getNextPurchaseOrderNumber(tenantId);
+
+    const orderNumber =
+      purchaseOrderDTO.orderNumber ||
+      oldPurchaseOrder?.orderNumber ||
+      autoNextNumber;
+
+    // Validate the purchase order number require.
+    this.validators.validatePurchaseOrderNoRequire(orderNumber);
+
+    const initialDTO = {
+      amount,
+      ...formatDateFields(omit(purchaseOrderDTO, ['delivered', 'entries']), [
+        'orderDate',
+        'deliveryDate',
+      ]),
+      currencyCode: vendor.currencyCode,
+      exchangeRate: purchaseOrderDTO.exchangeRate || 1,
+      orderNumber,
+      entries: purchaseOrderDTO.entries.map((entry) => ({
+        referenceType: 'PurchaseOrder',
+        ...omit(entry, ['purchaseOrderEntryId']),
+      })),
+      // Avoid rewrite the deliver date in edit mode when already delivered.
+      ...(purchaseOrderDTO.delivered &&
+        !oldPurchaseOrder?.deliveredAt && {
+          deliveredAt: moment().toMySqlDateTime(),
+        }),
+      ...(!oldPurchaseOrder && { userId: authorizedUser.id }),
+    };
+    return R.compose(
+      this.branchDTOTransform.transformDTO<IPurchaseOrder>(tenantId),
+      this.warehouseDTOTransform.transformDTO<IPurchaseOrder>(tenantId)
+    )(initialDTO);
+  }
+}
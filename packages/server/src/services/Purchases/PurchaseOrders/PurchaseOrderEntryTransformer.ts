@@ -0,0 +1,37 @@
+import { IItemEntry } from '@/interfaces';
+import { formatNumber } from '@/utils';
+import { ItemEntryTransformer } from '@/services/Sales/Invoices/ItemEntryTransformer';
+
+export class PurchaseOrderEntryTransformer extends ItemEntryTransformer {
+  /**
+   * Include these attributes to purchase order entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'quantityFormatted',
+      'rateFormatted',
+      'totalFormatted',
+      'remainingQuantity',
+      'billedQuantityFormatted',
+    ];
+  };
+
+  /**
+   * Retrieves the remaining quantity to be billed of the entry.
+   * @param {IItemEntry} entry
+   * @returns {number}
+   */
+  protected remainingQuantity = (entry: IItemEntry): number => {
+    return Math.max(entry.quantity - (entry.billedQuantity || 0), 0);
+  };
+
+  /**
+   * Retrieves the formatted billed quantity of the entry.
+   * @param {IItemEntry} entry
+   * @returns {string}
+   */
+  protected billedQuantityFormatted = (entry: IItemEntry): string => {
+    return formatNumber(entry.billedQuantity || 0, { money: false });
+  };
+}
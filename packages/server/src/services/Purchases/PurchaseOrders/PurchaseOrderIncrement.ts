@@ -0,0 +1,31 @@
+import { Inject, Service } from 'typedi';
+import AutoIncrementOrdersService from '@/services/Sales/AutoIncrementOrdersService';
+
+@Service()
+export class PurchaseOrderIncrement {
+  @Inject()
+  private autoIncrementOrdersService: AutoIncrementOrdersService;
+
+  /**
+   * Retrieve the next unique purchase order number.
+   * @param  {number} tenantId - Tenant id.
+   * @return {string}
+   */
+  public getNextPurchaseOrderNumber(tenantId: number): string {
+    return this.autoIncrementOrdersService.getNextTransactionNumber(
+      tenantId,
+      'purchase_orders'
+    );
+  }
+
+  /**
+   * Increment the purchase order next number.
+   * @param {number} tenantId -
+   */
+  public incrementNextPurchaseOrderNumber(tenantId: number) {
+    return this.autoIncrementOrdersService.incrementSettingsNextNumber(
+      tenantId,
+      'purchase_orders'
+    );
+  }
+}
@@ -0,0 +1,116 @@
+import { IPurchaseOrder, PurchaseOrderStatus } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { formatNumber } from 'utils';
+import { PurchaseOrderEntryTransformer } from './PurchaseOrderEntryTransformer';
+
+export class PurchaseOrderTransformer extends Transformer {
+  /**
+   * Include these attributes to purchase order object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'status',
+      'formattedSubtotal',
+      'formattedAmount',
+      'formattedOrderDate',
+      'formattedDeliveryDate',
+      'formattedDeliveredAtDate',
+      'formattedCreatedAt',
+      'entries',
+    ];
+  };
+
+  /**
+   * Retrieves the status of the purchase order.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {PurchaseOrderStatus}
+   */
+  protected status = (purchaseOrder: IPurchaseOrder): PurchaseOrderStatus => {
+    if (purchaseOrder.isClosed) {
+      return PurchaseOrderStatus.Closed;
+    }
+    if (purchaseOrder.isFullyBilled) {
+      return PurchaseOrderStatus.Billed;
+    }
+    if (purchaseOrder.entries?.some((entry) => entry.billedQuantity > 0)) {
+      return PurchaseOrderStatus.PartiallyBilled;
+    }
+    return purchaseOrder.isDelivered
+      ? PurchaseOrderStatus.Open
+      : PurchaseOrderStatus.Draft;
+  };
+
+  /**
+   * Retrieves the formatted order date.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedOrderDate = (purchaseOrder: IPurchaseOrder): string => {
+    return this.formatDate(purchaseOrder.orderDate);
+  };
+
+  /**
+   * Retrieves the formatted delivery date.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedDeliveryDate = (purchaseOrder: IPurchaseOrder): string => {
+    return this.formatDate(purchaseOrder.deliveryDate);
+  };
+
+  /**
+   * Retrieves the formatted delivered at date.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedDeliveredAtDate = (
+    purchaseOrder: IPurchaseOrder
+  ): string => {
+    return this.formatDate(purchaseOrder.deliveredAt);
+  };
+
+  /**
+   * Retrieves the formatted created at date.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedCreatedAt = (purchaseOrder: IPurchaseOrder): string => {
+    return this.formatDate(purchaseOrder.createdAt);
+  };
+
+  /**
+   * Retrieves the formatted purchase order amount.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedAmount = (purchaseOrder: IPurchaseOrder): string => {
+    return formatNumber(purchaseOrder.amount, {
+      currencyCode: purchaseOrder.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted purchase order subtotal.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {string}
+   */
+  protected formattedSubtotal = (purchaseOrder: IPurchaseOrder): string => {
+    return formatNumber(purchaseOrder.amount, { money: false });
+  };
+
+  /**
+   * Retrieves the entries of the purchase order.
+   * @param {IPurchaseOrder} purchaseOrder
+   * @returns {}
+   */
+  protected entries = (purchaseOrder: IPurchaseOrder) => {
+    return this.item(
+      purchaseOrder.entries,
+      new PurchaseOrderEntryTransformer(),
+      {
+        currencyCode: purchaseOrder.currencyCode,
+      }
+    );
+  };
+}
@@ -0,0 +1,186 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { difference, groupBy, sumBy } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { IItemEntryDTO, IPurchaseOrder, IPurchaseOrderDTO } from '@/interfaces';
+import { SyncPurchaseOrderBilledQuantities } from './SyncPurchaseOrderBilledQuantities';
+import { ERRORS } from './constants';
+
+@Service()
+export class PurchaseOrderValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private billedQuantities: SyncPurchaseOrderBilledQuantities;
+
+  /**
+   * Validates the given purchase order existance.
+   * @param {IPurchaseOrder | undefined | null} purchaseOrder
+   */
+  public validatePurchaseOrderExistance(
+    purchaseOrder: IPurchaseOrder | undefined | null
+  ) {
+    if (!purchaseOrder) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the purchase order number uniqiness on the storage.
+   * @param {number} tenantId
+   * @param {string} orderNumber
+   * @param {number} notPurchaseOrderId
+   */
+  public async validatePurchaseOrderNumberExistance(
+    tenantId: number,
+    orderNumber: string,
+    notPurchaseOrderId?: number
+  ) {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    const foundPurchaseOrder = await PurchaseOrder.query()
+      .findOne('order_number', orderNumber)
+      .onBuild((builder) => {
+        if (notPurchaseOrderId) {
+          builder.whereNot('id', notPurchaseOrderId);
+        }
+      });
+    if (foundPurchaseOrder) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_NUMBER_EXISTS);
+    }
+  }
+
+  /**
+   * Validates the purchase order number require.
+   * @param {string} orderNumber
+   */
+  public validatePurchaseOrderNoRequire(orderNumber: string) {
+    if (!orderNumber) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_NO_IS_REQUIRED);
+    }
+  }
+
+  /**
+   * Validates the given purchase order is not closed.
+   * @param {IPurchaseOrder} purchaseOrder
+   */
+  public validatePurchaseOrderNotClosed(purchaseOrder: IPurchaseOrder) {
+    if (purchaseOrder.isClosed) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_ALREADY_CLOSED);
+    }
+  }
+
+  /**
+   * Validates the given purchase order has no associated bills.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   */
+  public async validatePurchaseOrderHasNoBills(
+    tenantId: number,
+    purchaseOrderId: number
+  ) {
+    const { Bill } = this.tenancy.models(tenantId);
+
+    const bills = await Bill.query().where(
+      'purchase_order_id',
+      purchaseOrderId
+    );
+    if (bills.length > 0) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_HAS_BILLS);
+    }
+  }
+
+  /**
+   * Validates the billed lines of the purchase order are neither removed nor
+   * decreased below their billed quantity on editing.
+   * @param {IPurchaseOrder} oldPurchaseOrder
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO
+   */
+  public validateBilledEntriesOnEdit(
+    oldPurchaseOrder: IPurchaseOrder,
+    purchaseOrderDTO: IPurchaseOrderDTO
+  ) {
+    const billedEntries = oldPurchaseOrder.entries.filter(
+      (entry) => entry.billedQuantity > 0
+    );
+    billedEntries.forEach((billedEntry) => {
+      const entryDTO = purchaseOrderDTO.entries.find(
+        (e) => e.id === billedEntry.id
+      );
+      if (!entryDTO) {
+        throw new ServiceError(ERRORS.PURCHASE_ORDER_BILLED_ENTRIES_REMOVED);
+      }
+      if (entryDTO.itemId !== billedEntry.itemId) {
+        throw new ServiceError(ERRORS.PURCHASE_ORDER_BILLED_ENTRIES_REMOVED);
+      }
+      if (entryDTO.quantity < billedEntry.billedQuantity) {
+        throw new ServiceError(ERRORS.PURCHASE_ORDER_QUANTITY_LESS_THAN_BILLED);
+      }
+    });
+  }
+
+  /**
+   * Validates the bill entries against the purchase order they are billed
+   * from, the billed quantity of each line should not exceed its remaining.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @param {number} vendorId - Bill vendor id.
+   * @param {IItemEntryDTO[]} entries - Bill entries.
+   * @param {number} billId - The edited bill id.
+   * @param {Knex.Transaction} trx
+   */
+  public async validateBillEntriesAgainstPurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number,
+    vendorId: number,
+    entries: IItemEntryDTO[],
+    billId?: number,
+    trx?: Knex.Transaction
+  ) {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    const purchaseOrder = await PurchaseOrder.query(trx)
+      .findById(purchaseOrderId)
+      .withGraphFetched('entries');
+
+    this.validatePurchaseOrderExistance(purchaseOrder);
+    this.validatePurchaseOrderNotClosed(purchaseOrder);
+
+    if (purchaseOrder.vendorId !== vendorId) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_VENDOR_MISMATCH);
+    }
+    const linkedEntries = entries.filter((e) => e.purchaseOrderEntryId);
+    const purchaseOrderEntriesIds = purchaseOrder.entries.map((e) => e.id);
+
+    const notFoundEntriesIds = difference(
+      linkedEntries.map((e) => e.purchaseOrderEntryId),
+      purchaseOrderEntriesIds
+    );
+    if (notFoundEntriesIds.length > 0) {
+      throw new ServiceError(ERRORS.PURCHASE_ORDER_ENTRIES_NOT_FOUND);
+    }
+    const billedByOthers = await this.billedQuantities.getBilledQuantities(
+      tenantId,
+      purchaseOrderEntriesIds,
+      billId,
+      trx
+    );
+    const linkedEntriesGroups = groupBy(linkedEntries, 'purchaseOrderEntryId');
+
+    purchaseOrder.entries.forEach((purchaseOrderEntry) => {
+      const billEntries = linkedEntriesGroups[purchaseOrderEntry.id] || [];
+      const billQuantity = sumBy(billEntries, 'quantity');
+      const remaining =
+        purchaseOrderEntry.quantity -
+        (billedByOthers.get(purchaseOrderEntry.id) || 0);
+
+      if (billQuantity > remaining) {
+        throw new ServiceError(
+          ERRORS.PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING
+        );
+      }
+    });
+  }
+}
@@ -0,0 +1,243 @@
+import { Inject, Service } from 'typedi';
+import {
+  IBill,
+  IFilterMeta,
+  IPaginationMeta,
+  IPurchaseOrder,
+  IPurchaseOrderConvertToBillDTO,
+  IPurchaseOrderDTO,
+  IPurchaseOrdersFilter,
+  ISystemUser,
+  PurchaseOrderMailOptions,
+  PurchaseOrderMailOptionsDTO,
+} from '@/interfaces';
+import { CreatePurchaseOrder } from './CreatePurchaseOrder';
+import { EditPurchaseOrder } from './EditPurchaseOrder';
+import { DeletePurchaseOrder } from './DeletePurchaseOrder';
+import { GetPurchaseOrder } from './GetPurchaseOrder';
+import { GetPurchaseOrders } from './GetPurchaseOrders';
+import { DeliverPurchaseOrder } from './DeliverPurchaseOrder';
+import { ClosePurchaseOrder } from './ClosePurchaseOrder';
+import { ConvertPurchaseOrderToBill } from './ConvertPurchaseOrderToBill';
+import { PurchaseOrdersPdf } from './PurchaseOrdersPdf';
+import { SendPurchaseOrderMail } from './SendPurchaseOrderMail';
+
+@Service()
+export class PurchaseOrdersApplication {
+  @Inject()
+  private createPurchaseOrderService: CreatePurchaseOrder;
+
+  @Inject()
+  private editPurchaseOrderService: EditPurchaseOrder;
+
+  @Inject()
+  private deletePurchaseOrderService: DeletePurchaseOrder;
+
+  @Inject()
+  private getPurchaseOrderService: GetPurchaseOrder;
+
+  @Inject()
+  private getPurchaseOrdersService: GetPurchaseOrders;
+
+  @Inject()
+  private deliverPurchaseOrderService: DeliverPurchaseOrder;
+
+  @Inject()
+  private closePurchaseOrderService: ClosePurchaseOrder;
+
+  @Inject()
+  private convertToBillService: ConvertPurchaseOrderToBill;
+
+  @Inject()
+  private purchaseOrdersPdfService: PurchaseOrdersPdf;
+
+  @Inject()
+  private sendPurchaseOrderMailService: SendPurchaseOrderMail;
+
+  /**
+   * Creates a new purchase order.
+   * @param {number} tenantId - The tenant id.
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<IPurchaseOrder>}
+   */
+  public createPurchaseOrder(
+    tenantId: number,
+    purchaseOrderDTO: IPurchaseOrderDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IPurchaseOrder> {
+    return this.createPurchaseOrderService.createPurchaseOrder(
+      tenantId,
+      purchaseOrderDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given purchase order.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} purchaseOrderId
+   * @param {IPurchaseOrderDTO} purchaseOrderDTO
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<IPurchaseOrder>}
+   */
+  public editPurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number,
+    purchaseOrderDTO: IPurchaseOrderDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IPurchaseOrder> {
+    return this.editPurchaseOrderService.editPurchaseOrder(
+      tenantId,
+      purchaseOrderId,
+      purchaseOrderDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given purchase order.
+   * @param {number} tenantId -
+   * @param {number} purchaseOrderId -
+   * @return {Promise<void>}
+   */
+  public deletePurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    return this.deletePurchaseOrderService.deletePurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+
+  /**
+   * Retrieves the given purchase order.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   */
+  public getPurchaseOrder(tenantId: number, purchaseOrderId: number) {
+    return this.getPurchaseOrderService.getPurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+
+  /**
+   * Retrieves the purchase orders list.
+   * @param {number} tenantId
+   * @param {IPurchaseOrdersFilter} filterDTO
+   */
+  public getPurchaseOrders(
+    tenantId: number,
+    filterDTO: IPurchaseOrdersFilter
+  ): Promise<{
+    purchaseOrders: IPurchaseOrder[];
+    pagination: IPaginationMeta;
+    filterMeta: IFilterMeta;
+  }> {
+    return this.getPurchaseOrdersService.getPurchaseOrders(tenantId, filterDTO);
+  }
+
+  /**
+   * Marks the given purchase order as delivered.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @returns {Promise<void>}
+   */
+  public deliverPurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    return this.deliverPurchaseOrderService.deliverPurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+
+  /**
+   * Closes the given purchase order.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @returns {Promise<void>}
+   */
+  public closePurchaseOrder(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<void> {
+    return this.closePurchaseOrderService.closePurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+
+  /**
+   * Converts the given purchase order to bill.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @param {IPurchaseOrderConvertToBillDTO} convertDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IBill>}
+   */
+  public convertPurchaseOrderToBill(
+    tenantId: number,
+    purchaseOrderId: number,
+    convertDTO: IPurchaseOrderConvertToBillDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IBill> {
+    return this.convertToBillService.convertToBill(
+      tenantId,
+      purchaseOrderId,
+      convertDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Retrieves the PDF content of the given purchase order.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @returns
+   */
+  public getPurchaseOrderPdf(tenantId: number, purchaseOrderId: number) {
+    return this.purchaseOrdersPdfService.getPurchaseOrderPdf(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+
+  /**
+   * Sends the mail of the given purchase order to the vendor.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @param {PurchaseOrderMailOptionsDTO} messageOptions
+   * @returns {Promise<void>}
+   */
+  public sendPurchaseOrderMail(
+    tenantId: number,
+    purchaseOrderId: number,
+    messageOptions: PurchaseOrderMailOptionsDTO
+  ): Promise<void> {
+    return this.sendPurchaseOrderMailService.triggerMail(
+      tenantId,
+      purchaseOrderId,
+      messageOptions
+    );
+  }
+
+  /**
+   * Retrieves the default mail options of the given purchase order.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @returns {Promise<PurchaseOrderMailOptions>}
+   */
+  public getPurchaseOrderMail(
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<PurchaseOrderMailOptions> {
+    return this.sendPurchaseOrderMailService.getMailOptions(
+      tenantId,
+      purchaseOrderId
+    );
+  }
+}
@@ -0,0 +1,30 @@
+import { Inject, Service } from 'typedi';
+import { IPurchaseOrdersFilter } from '@/interfaces';
+import { Exportable } from '@/services/Export/Exportable';
+import { PurchaseOrdersApplication } from './PurchaseOrdersApplication';
+
+@Service()
+export class PurchaseOrdersExportable extends Exportable {
+  @Inject()
+  private purchaseOrdersApplication: PurchaseOrdersApplication;
+
+  /**
+   * Retrieves the purchase orders data to exportable sheet.
+   * @param {number} tenantId
+   * @param {IPurchaseOrdersFilter} query
+   * @returns
+   */
+  public exportable(tenantId: number, query: IPurchaseOrdersFilter) {
+    const parsedQuery = {
+      sortOrder: 'desc',
+      columnSortBy: 'created_at',
+      ...query,
+      page: 1,
+      pageSize: 12000,
+    } as IPurchaseOrdersFilter;
+
+    return this.purchaseOrdersApplication
+      .getPurchaseOrders(tenantId, parsedQuery)
+      .then((output) => output.purchaseOrders);
+  }
+}
@@ -0,0 +1,46 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { IPurchaseOrderDTO, ISystemUser } from '@/interfaces';
+import { Importable } from '@/services/Import/Importable';
+import { CreatePurchaseOrder } from './CreatePurchaseOrder';
+import { PurchaseOrdersSampleData } from './constants';
+
+@Service()
+export class PurchaseOrdersImportable extends Importable {
+  @Inject()
+  private createPurchaseOrderService: CreatePurchaseOrder;
+
+  /**
+   * Importing to purchase orders service.
+   * @param {number} tenantId
+   * @param {IPurchaseOrderDTO} createPurchaseOrderDTO
+   * @returns
+   */
+  public importable(
+    tenantId: number,
+    createPurchaseOrderDTO: IPurchaseOrderDTO,
+    trx?: Knex.Transaction
+  ) {
+    return this.createPurchaseOrderService.createPurchaseOrder(
+      tenantId,
+      createPurchaseOrderDTO,
+      {} as ISystemUser,
+      trx
+    );
+  }
+
+  /**
+   * Concurrrency controlling of the importing process.
+   * @returns {number}
+   */
+  public get concurrency() {
+    return 1;
+  }
+
+  /**
+   * Retrieves the sample data that used to download purchase orders sample sheet.
+   */
+  public sampleData(): any[] {
+    return PurchaseOrdersSampleData;
+  }
+}
@@ -0,0 +1,39 @@
+import { Inject, Service } from 'typedi';
+import { ChromiumlyTenancy } from '@/services/ChromiumlyTenancy/ChromiumlyTenancy';
+import { TemplateInjectable } from '@/services/TemplateInjectable/TemplateInjectable';
+import { GetPurchaseOrder } from './GetPurchaseOrder';
+
+@Service()
+export class PurchaseOrdersPdf {
+  @Inject()
+  private chromiumlyTenancy: ChromiumlyTenancy;
+
+  @Inject()
+  private templateInjectable: TemplateInjectable;
+
+  @Inject()
+  private getPurchaseOrderService: GetPurchaseOrder;
+
+  /**
+   * Retrieves the purchase order pdf content.
+   * @param {number} tenantId -
+   * @param {number} purchaseOrderId -
+   * @returns {Promise<Buffer>}
+   */
+  public async getPurchaseOrderPdf(tenantId: number, purchaseOrderId: number) {
+    const purchaseOrder = await this.getPurchaseOrderService.getPurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+    const htmlContent = await this.templateInjectable.render(
+      tenantId,
+      'modules/purchase-order-regular',
+      {
+        purchaseOrder,
+      }
+    );
+    return this.chromiumlyTenancy.convertHtmlContent(tenantId, htmlContent, {
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+    });
+  }
+}
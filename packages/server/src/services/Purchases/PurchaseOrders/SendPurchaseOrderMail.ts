@@ -0,0 +1,161 @@
+import { Inject, Service } from 'typedi';
+import Mail from '@/lib/Mail';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import {
+  IPurchaseOrderMailPresendEvent,
+  PurchaseOrderMailOptions,
+  PurchaseOrderMailOptionsDTO,
+} from '@/interfaces';
+import { ContactMailNotification } from '@/services/MailNotification/ContactMailNotification';
+import { parseAndValidateMailOptions } from '@/services/MailNotification/utils';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import {
+  DEFAULT_PURCHASE_ORDER_MAIL_CONTENT,
+  DEFAULT_PURCHASE_ORDER_MAIL_SUBJECT,
+} from './constants';
+import { PurchaseOrdersPdf } from './PurchaseOrdersPdf';
+import { GetPurchaseOrder } from './GetPurchaseOrder';
+
+@Service()
+export class SendPurchaseOrderMail {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private purchaseOrderPdf: PurchaseOrdersPdf;
+
+  @Inject()
+  private getPurchaseOrderService: GetPurchaseOrder;
+
+  @Inject()
+  private contactMailNotification: ContactMailNotification;
+
+  @Inject('agenda')
+  private agenda: any;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Triggers the mail of the given purchase order.
+   * @param {number} tenantId -
+   * @param {number} purchaseOrderId -
+   * @param {PurchaseOrderMailOptionsDTO} messageOptions -
+   * @returns {Promise<void>}
+   */
+  public async triggerMail(
+    tenantId: number,
+    purchaseOrderId: number,
+    messageOptions: PurchaseOrderMailOptionsDTO
+  ): Promise<void> {
+    const payload = {
+      tenantId,
+      purchaseOrderId,
+      messageOptions,
+    };
+    await this.agenda.now('purchase-order-mail-send', payload);
+
+    // Triggers `onPurchaseOrderPreMailSend` event.
+    await this.eventPublisher.emitAsync(events.purchaseOrder.onPreMailSend, {
+      tenantId,
+      purchaseOrderId,
+      messageOptions,
+    } as IPurchaseOrderMailPresendEvent);
+  }
+
+  /**
+   * Formates the text of the mail.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @returns {Promise<Record<string, any>>}
+   */
+  public formatterData = async (tenantId: number, purchaseOrderId: number) => {
+    const purchaseOrder = await this.getPurchaseOrderService.getPurchaseOrder(
+      tenantId,
+      purchaseOrderId
+    );
+    return {
+      VendorName: purchaseOrder.vendor.displayName,
+      PurchaseOrderNumber: purchaseOrder.orderNumber,
+      PurchaseOrderDate: purchaseOrder.formattedOrderDate,
+      PurchaseOrderAmount: purchaseOrder.formattedAmount,
+      PurchaseOrderDeliveryDate: purchaseOrder.formattedDeliveryDate,
+    };
+  };
+
+  /**
+   * Retrieves the mail options.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @returns {Promise<PurchaseOrderMailOptions>}
+   */
+  public getMailOptions = async (
+    tenantId: number,
+    purchaseOrderId: number
+  ): Promise<PurchaseOrderMailOptions> => {
+    const { PurchaseOrder } = this.tenancy.models(tenantId);
+
+    const purchaseOrder = await PurchaseOrder.query()
+      .findById(purchaseOrderId)
+      .throwIfNotFound();
+
+    const formatterData = await this.formatterData(tenantId, purchaseOrderId);
+
+    const mailOptions = await this.contactMailNotification.getMailOptions(
+      tenantId,
+      purchaseOrder.vendorId,
+      DEFAULT_PURCHASE_ORDER_MAIL_SUBJECT,
+      DEFAULT_PURCHASE_ORDER_MAIL_CONTENT,
+      formatterData
+    );
+    return {
+      ...mailOptions,
+      data: formatterData,
+      attachPurchaseOrder: true,
+    };
+  };
+
+  /**
+   * Sends the mail notification of the given purchase order.
+   * @param {number} tenantId
+   * @param {number} purchaseOrderId
+   * @param {PurchaseOrderMailOptionsDTO} messageOptions
+   * @returns {Promise<void>}
+   */
+  public async sendMail(
+    tenantId: number,
+    purchaseOrderId: number,
+    messageOptions: PurchaseOrderMailOptionsDTO
+  ): Promise<void> {
+    const localMessageOpts = await this.getMailOptions(
+      tenantId,
+      purchaseOrderId
+    );
+    // Overrides and validates the given mail options.
+    const messageOpts = parseAndValidateMailOptions(
+      localMessageOpts,
+      messageOptions
+    );
+    const mail = new Mail()
+      .setSubject(messageOpts.subject)
+      .setTo(messageOpts.to)
+      .setContent(messageOpts.body);
+
+    if (messageOpts.attachPurchaseOrder) {
+      const purchaseOrderPdfBuffer =
+        await this.purchaseOrderPdf.getPurchaseOrderPdf(
+          tenantId,
+          purchaseOrderId
+        );
+      mail.setAttachments([
+        {
+          filename:
+            messageOpts.data?.PurchaseOrderNumber || 'purchase-order.pdf',
+          content: purchaseOrderPdfBuffer,
+        },
+      ]);
+    }
+    await mail.send();
+  }
+}
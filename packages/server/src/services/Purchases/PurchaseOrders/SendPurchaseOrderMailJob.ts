@@ -0,0 +1,40 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { SendPurchaseOrderMail } from './SendPurchaseOrderMail';
+
+@Service()
+export class SendPurchaseOrderMailJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'purchase-order-mail-send',
+      { priority: 'high', concurrency: 2 },
+      this.handler
+    );
+  }
+
+  /**
+   * Triggers sending purchase order mail.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId, purchaseOrderId, messageOptions } = job.attrs.data;
+    const sendPurchaseOrderMail = Container.get(SendPurchaseOrderMail);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await sendPurchaseOrderMail.sendMail(
+        tenantId,
+        purchaseOrderId,
+        messageOptions
+      );
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,99 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+@Service()
+export class SyncPurchaseOrderBilledQuantities {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the billed quantity of each given purchase order line,
+   * summed from the bill entries that were billed from it.
+   * @param {number} tenantId - Tenant id.
+   * @param {number[]} purchaseOrderEntriesIds - Purchase order lines ids.
+   * @param {number} excludeBillId - Bill id to exclude from the sum.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<Map<number, number>>}
+   */
+  public async getBilledQuantities(
+    tenantId: number,
+    purchaseOrderEntriesIds: number[],
+    excludeBillId?: number,
+    trx?: Knex.Transaction
+  ): Promise<Map<number, number>> {
+    const { ItemEntry } = this.tenancy.models(tenantId);
+
+    const billedEntries = await ItemEntry.query(trx)
+      .where('reference_type', 'Bill')
+      .whereIn('purchase_order_entry_id', purchaseOrderEntriesIds)
+      .onBuild((builder) => {
+        if (excludeBillId) {
+          builder.whereNot('reference_id', excludeBillId);
+        }
+      })
+      .select('purchase_order_entry_id')
+      .sum('quantity as billed_quantity')
+      .groupBy('purchase_order_entry_id');
+
+    return new Map(
+      billedEntries.map((entry) => [
+        entry.purchaseOrderEntryId,
+        parseFloat(entry.billedQuantity),
+      ])
+    );
+  }
+
+  /**
+   * Syncs the billed quantity of the given purchase order lines and marks
+   * the purchase order as billed once all its lines are billed.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} purchaseOrderId - Purchase order id.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<void>}
+   */
+  public async syncBilledQuantities(
+    tenantId: number,
+    purchaseOrderId: number,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { PurchaseOrder, ItemEntry } = this.tenancy.models(tenantId);
+
+    const purchaseOrder = await PurchaseOrder.query(trx)
+      .findById(purchaseOrderId)
+      .withGraphFetched('entries');
+
+    if (!purchaseOrder) return;
+
+    const entriesIds = purchaseOrder.entries.map((entry) => entry.id);
+    const billedQuantities = await this.getBilledQuantities(
+      tenantId,
+      entriesIds,
+      null,
+      trx
+    );
+    // Updates the billed quantity of each purchase order line.
+    const updateOpers = purchaseOrder.entries.map((entry) =>
+      ItemEntry.query(trx)
+        .findById(entry.id)
+        .patch({ billedQuantity: billedQuantities.get(entry.id) || 0 })
+    );
+    await Promise.all(updateOpers);
+
+    const isFullyBilled = purchaseOrder.entries.every(
+      (entry) => (billedQuantities.get(entry.id) || 0) >= entry.quantity
+    );
+    // Marks the purchase order as billed or reverts it back once
+    // the bills are edited or deleted.
+    if (isFullyBilled && !purchaseOrder.billedAt) {
+      await PurchaseOrder.query(trx)
+        .findById(purchaseOrderId)
+        .patch({ billedAt: moment().toMySqlDateTime() });
+    } else if (!isFullyBilled && purchaseOrder.billedAt) {
+      await PurchaseOrder.query(trx)
+        .findById(purchaseOrderId)
+        .patch({ billedAt: null });
+    }
+  }
+}
@@ -0,0 +1,123 @@
+export const DEFAULT_PURCHASE_ORDER_MAIL_SUBJECT =
+  'Purchase Order {PurchaseOrderNumber} from {CompanyName}';
+export const DEFAULT_PURCHASE_ORDER_MAIL_CONTENT = `<p>Dear {VendorName}</p>
+<p>Please find attached our purchase order, kindly confirm the order and the delivery date.</p>
+<p>
+Purchase Order <strong>#{PurchaseOrderNumber}</strong><br />
+Delivery Date : <strong>{PurchaseOrderDeliveryDate}</strong><br />
+Amount   : <strong>{PurchaseOrderAmount}</strong></br />
+</p>
+
+<p>
+<i>Regards</i><br />
+<i>{CompanyName}</i>
+</p>
+`;
+
+export const ERRORS = {
+  PURCHASE_ORDER_NOT_FOUND: 'PURCHASE_ORDER_NOT_FOUND',
+  PURCHASE_ORDER_NUMBER_EXISTS: 'PURCHASE_ORDER_NUMBER_EXISTS',
+  PURCHASE_ORDER_NO_IS_REQUIRED: 'PURCHASE_ORDER_NO_IS_REQUIRED',
+  PURCHASE_ORDER_ALREADY_DELIVERED: 'PURCHASE_ORDER_ALREADY_DELIVERED',
+  PURCHASE_ORDER_ALREADY_CLOSED: 'PURCHASE_ORDER_ALREADY_CLOSED',
+  PURCHASE_ORDER_ALREADY_BILLED: 'PURCHASE_ORDER_ALREADY_BILLED',
+  PURCHASE_ORDER_HAS_BILLS: 'PURCHASE_ORDER_HAS_BILLS',
+  PURCHASE_ORDER_VENDOR_MISMATCH: 'PURCHASE_ORDER_VENDOR_MISMATCH',
+  PURCHASE_ORDER_ENTRIES_NOT_FOUND: 'PURCHASE_ORDER_ENTRIES_NOT_FOUND',
+  PURCHASE_ORDER_BILLED_ENTRIES_REMOVED:
+    'PURCHASE_ORDER_BILLED_ENTRIES_REMOVED',
+  PURCHASE_ORDER_QUANTITY_LESS_THAN_BILLED:
+    'PURCHASE_ORDER_QUANTITY_LESS_THAN_BILLED',
+  PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING:
+    'PURCHASE_ORDER_QUANTITY_EXCEEDS_REMAINING',
+  PURCHASE_ORDER_NOTHING_TO_BILL: 'PURCHASE_ORDER_NOTHING_TO_BILL',
+};
+
+export const DEFAULT_VIEW_COLUMNS = [];
+export const DEFAULT_VIEWS = [
+  {
+    name: 'Draft',
+    slug: 'draft',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'draft' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Open',
+    slug: 'open',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'open' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Partially Billed',
+    slug: 'partially-billed',
+    rolesLogicExpression: '1',
+    roles: [
+      {
+        index: 1,
+        fieldKey: 'status',
+        comparator: 'equals',
+        value: 'partially-billed',
+      },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Billed',
+    slug: 'billed',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'billed' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Closed',
+    slug: 'closed',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'closed' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+];
+
+export const PurchaseOrdersSampleData = [
+  {
+    Vendor: 'Gabriel Kovacek',
+    'Order Date': '2024-01-01',
+    'Delivery Date': '2024-01-15',
+    'Order No.': 'PO-0001',
+    'Reference No.': 'REF-0001',
+    Currency: '',
+    'Exchange Rate': '',
+    Note: 'Vel autem quis aut ab.',
+    'Terms & Conditions': 'Provident illo architecto sit iste in.',
+    Delivered: 'T',
+    'Item Name': 'Hettinger, Schumm and Bartoletti',
+    Quantity: 100,
+    Rate: 20,
+    'Line Description': 'Rem esse doloremque praesentium harum maiores.',
+  },
+  {
+    Vendor: 'Gabriel Kovacek',
+    'Order Date': '2024-01-02',
+    'Delivery Date': '2024-01-16',
+    'Order No.': 'PO-0002',
+    'Reference No.': 'REF-0002',
+    Currency: '',
+    'Exchange Rate': '',
+    Note: 'Tempora voluptas odio deleniti rerum vitae consequatur.',
+    'Terms & Conditions': 'Ut eum incidunt quibusdam rerum vero.',
+    Delivered: 'T',
+    'Item Name': 'Hettinger, Schumm and Bartoletti',
+    Quantity: 50,
+    Rate: 20,
+    'Line Description': 'Qui voluptate aliquam maxime aliquam.',
+  },
+];
@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import { IPurchaseOrderCreatedPayload } from '@/interfaces';
+import { PurchaseOrderIncrement } from '../PurchaseOrderIncrement';
+
+@Service()
+export class PurchaseOrderAutoIncrementSubscriber {
+  @Inject()
+  private purchaseOrderIncrement: PurchaseOrderIncrement;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.purchaseOrder.onCreated,
+      this.handlePurchaseOrderNextNumberIncrement
+    );
+  }
+
+  /**
+   * Increments the purchase order next number once be created.
+   * @param {IPurchaseOrderCreatedPayload}
+   */
+  private handlePurchaseOrderNextNumberIncrement = async ({
+    tenantId,
+  }: IPurchaseOrderCreatedPayload) => {
+    await this.purchaseOrderIncrement.incrementNextPurchaseOrderNumber(
+      tenantId
+    );
+  };
+}
@@ -0,0 +1,173 @@
+import { Inject, Service } from 'typedi';
+import { uniq } from 'lodash';
+import events from '@/subscribers/events';
+import {
+  IBIllEventDeletedPayload,
+  IBillCreatedPayload,
+  IBillCreatingPayload,
+  IBillEditedPayload,
+  IBillEditingPayload,
+  IPurchaseOrderEditedPayload,
+} from '@/interfaces';
+import { PurchaseOrderValidators } from '../PurchaseOrderValidators';
+import { SyncPurchaseOrderBilledQuantities } from '../SyncPurchaseOrderBilledQuantities';
+
+@Service()
+export class PurchaseOrderBillsSubscriber {
+  @Inject()
+  private validators: PurchaseOrderValidators;
+
+  @Inject()
+  private syncBilledQuantities: SyncPurchaseOrderBilledQuantities;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.bill.onCreating,
+      this.validateBillEntriesOnBillCreating
+    );
+    bus.subscribe(events.bill.onEditing, this.validateBillEntriesOnBillEditing);
+    bus.subscribe(
+      events.bill.onCreated,
+      this.syncBilledQuantitiesOnBillCreated
+    );
+    bus.subscribe(events.bill.onEdited, this.syncBilledQuantitiesOnBillEdited);
+    bus.subscribe(
+      events.bill.onDeleted,
+      this.syncBilledQuantitiesOnBillDeleted
+    );
+    bus.subscribe(
+      events.purchaseOrder.onEdited,
+      this.syncBilledQuantitiesOnPurchaseOrderEdited
+    );
+  }
+
+  /**
+   * Validates the bill entries against the purchase order on bill creating.
+   * @param {IBillCreatingPayload}
+   */
+  private validateBillEntriesOnBillCreating = async ({
+    tenantId,
+    billDTO,
+    trx,
+  }: IBillCreatingPayload) => {
+    if (!billDTO.purchaseOrderId) return;
+
+    await this.validators.validateBillEntriesAgainstPurchaseOrder(
+      tenantId,
+      billDTO.purchaseOrderId,
+      billDTO.vendorId,
+      billDTO.entries,
+      null,
+      trx
+    );
+  };
+
+  /**
+   * Validates the bill entries against the linked purchase order on bill
+   * editing, the entries keep their stored purchase order lines.
+   * @param {IBillEditingPayload}
+   */
+  private validateBillEntriesOnBillEditing = async ({
+    tenantId,
+    oldBill,
+    billDTO,
+    trx,
+  }: IBillEditingPayload) => {
+    if (!oldBill.purchaseOrderId) return;
+
+    const entries = billDTO.entries.map((entry) => {
+      const oldEntry = oldBill.entries.find((e) => e.id === entry.id);
+
+      return {
+        ...entry,
+        purchaseOrderEntryId:
+          entry.purchaseOrderEntryId || oldEntry?.purchaseOrderEntryId,
+      };
+    });
+    await this.validators.validateBillEntriesAgainstPurchaseOrder(
+      tenantId,
+      oldBill.purchaseOrderId,
+      billDTO.vendorId,
+      entries,
+      oldBill.id,
+      trx
+    );
+  };
+
+  /**
+   * Syncs the billed quantities of the purchase order once the bill created.
+   * @param {IBillCreatedPayload}
+   */
+  private syncBilledQuantitiesOnBillCreated = async ({
+    tenantId,
+    bill,
+    trx,
+  }: IBillCreatedPayload) => {
+    if (!bill.purchaseOrderId) return;
+
+    await this.syncBilledQuantities.syncBilledQuantities(
+      tenantId,
+      bill.purchaseOrderId,
+      trx
+    );
+  };
+
+  /**
+   * Syncs the billed quantities of the purchase order once the bill edited.
+   * @param {IBillEditedPayload}
+   */
+  private syncBilledQuantitiesOnBillEdited = async ({
+    tenantId,
+    oldBill,
+    bill,
+    trx,
+  }: IBillEditedPayload) => {
+    const purchaseOrdersIds = uniq(
+      [oldBill.purchaseOrderId, bill.purchaseOrderId].filter((id) => id)
+    );
+    for (const purchaseOrderId of purchaseOrdersIds) {
+      await this.syncBilledQuantities.syncBilledQuantities(
+        tenantId,
+        purchaseOrderId,
+        trx
+      );
+    }
+  };
+
+  /**
+   * Syncs the billed quantities of the purchase order once the bill deleted.
+   * @param {IBIllEventDeletedPayload}
+   */
+  private syncBilledQuantitiesOnBillDeleted = async ({
+    tenantId,
+    oldBill,
+    trx,
+  }: IBIllEventDeletedPayload) => {
+    if (!oldBill.purchaseOrderId) return;
+
+    await this.syncBilledQuantities.syncBilledQuantities(
+      tenantId,
+      oldBill.purchaseOrderId,
+      trx
+    );
+  };
+
+  /**
+   * Re-syncs the billed status once the purchase order quantities edited.
+   * @param {IPurchaseOrderEditedPayload}
+   */
+  private syncBilledQuantitiesOnPurchaseOrderEdited = async ({
+    tenantId,
+    purchaseOrderId,
+    trx,
+  }: IPurchaseOrderEditedPayload) => {
+    await this.syncBilledQuantities.syncBilledQuantities(
+      tenantId,
+      purchaseOrderId,
+      trx
+    );
+  };
+}
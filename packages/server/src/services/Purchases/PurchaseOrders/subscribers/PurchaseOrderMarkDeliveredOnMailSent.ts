@@ -0,0 +1,45 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import { IPurchaseOrderMailPresendEvent } from '@/interfaces';
+import { ServiceError } from '@/exceptions';
+import { DeliverPurchaseOrder } from '../DeliverPurchaseOrder';
+import { ERRORS } from '../constants';
+
+@Service()
+export class PurchaseOrderMarkDeliveredOnMailSent {
+  @Inject()
+  private deliverPurchaseOrderService: DeliverPurchaseOrder;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.purchaseOrder.onPreMailSend,
+      this.markPurchaseOrderDelivered
+    );
+  }
+
+  /**
+   * Marks the given purchase order delivered on submitting mail.
+   * @param {IPurchaseOrderMailPresendEvent}
+   */
+  private markPurchaseOrderDelivered = async ({
+    tenantId,
+    purchaseOrderId,
+  }: IPurchaseOrderMailPresendEvent) => {
+    try {
+      await this.deliverPurchaseOrderService.deliverPurchaseOrder(
+        tenantId,
+        purchaseOrderId
+      );
+    } catch (error) {
+      if (
+        !(error instanceof ServiceError) ||
+        error.errorType !== ERRORS.PURCHASE_ORDER_ALREADY_DELIVERED
+      ) {
+        throw error;
+      }
+    }
+  };
+}
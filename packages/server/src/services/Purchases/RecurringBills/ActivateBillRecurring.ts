@@ -0,0 +1,112 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import moment from 'moment';
+import {
+  IBillRecurringActivatedPayload,
+  IBillRecurringInactivatedPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+import { BillRecurringValidators } from './BillRecurringValidators';
+
+@Service()
+export class ActivateBillRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: BillRecurringValidators;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Activates the given recurring profile, the occurrences missed while
+   * the profile was inactive are skipped.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @returns {Promise<void>}
+   */
+  public async activateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    const { BillRecurring } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await BillRecurring.query().findById(recurringId);
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    // Validates the recurring profile is inactive.
+    this.validators.validateRecurringNotActive(oldRecurring);
+
+    // Validates the recurring profile still has remaining runs.
+    this.validators.validateRecurringNotCompleted(oldRecurring);
+
+    const lastRunDate = oldRecurring.lastRunAt
+      ? moment(oldRecurring.lastRunAt)
+      : moment(oldRecurring.startDate).subtract(1, 'day');
+
+    // Resumes from today or after the last run, whichever comes later.
+    const nextRunAt = getRecurringNextDate(
+      oldRecurring.startDate,
+      oldRecurring.frequency,
+      oldRecurring.repeatInterval,
+      moment.max(moment().subtract(1, 'day'), lastRunDate).toDate(),
+      oldRecurring.endDate
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      await BillRecurring.query(trx)
+        .findById(recurringId)
+        .patch({
+          active: true,
+          nextRunAt: nextRunAt ? moment(nextRunAt).format('YYYY-MM-DD') : null,
+        });
+      // Triggers `onBillRecurringActivated` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onActivated, {
+        tenantId,
+        recurringId,
+        trx,
+      } as IBillRecurringActivatedPayload);
+    });
+  }
+
+  /**
+   * Inactivates the given recurring profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @returns {Promise<void>}
+   */
+  public async inactivateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    const { BillRecurring } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await BillRecurring.query().findById(recurringId);
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    // Validates the recurring profile is active.
+    this.validators.validateRecurringActive(oldRecurring);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      await BillRecurring.query(trx)
+        .findById(recurringId)
+        .patch({ active: false });
+
+      // Triggers `onBillRecurringInactivated` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onInactivated, {
+        tenantId,
+        recurringId,
+        trx,
+      } as IBillRecurringInactivatedPayload);
+    });
+  }
+}
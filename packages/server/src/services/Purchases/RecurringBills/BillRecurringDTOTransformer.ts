@@ -0,0 +1,57 @@
+import { Service } from 'typedi';
+import { omit } from 'lodash';
+import moment from 'moment';
+import {
+  IBillRecurring,
+  IBillRecurringDTO,
+  ITenantUser,
+  RecurringCreationMode,
+} from '@/interfaces';
+import { formatDateFields } from 'utils';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class BillRecurringDTOTransformer {
+  /**
+   * Transformes the recurring profile DTO to model object.
+   * @param {IBillRecurringDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @param {IBillRecurring} oldRecurring
+   * @returns {IBillRecurring}
+   */
+  public transformDTOToModel(
+    recurringDTO: IBillRecurringDTO,
+    authorizedUser: ITenantUser,
+    oldRecurring?: IBillRecurring
+  ): IBillRecurring {
+    const repeatInterval = recurringDTO.repeatInterval || 1;
+
+    // The next run resumes after the last generated bill in edit mode,
+    // otherwise starts from the profile start date.
+    const nextRunAt = getRecurringNextDate(
+      recurringDTO.startDate,
+      recurringDTO.frequency,
+      repeatInterval,
+      oldRecurring?.lastRunAt ||
+        moment(recurringDTO.startDate).subtract(1, 'day').toDate(),
+      recurringDTO.endDate
+    );
+    return {
+      ...formatDateFields(omit(recurringDTO, ['entries']), [
+        'startDate',
+        'endDate',
+      ]),
+      repeatInterval,
+      dueDays: recurringDTO.dueDays || 0,
+      creationMode: recurringDTO.creationMode || RecurringCreationMode.Draft,
+      exchangeRate: recurringDTO.exchangeRate || 1,
+      nextRunAt: nextRunAt ? moment(nextRunAt).format('YYYY-MM-DD') : null,
+      entries: recurringDTO.entries.map((entry) => ({
+        referenceType: 'BillRecurring',
+        isInclusiveTax: recurringDTO.isInclusiveTax,
+        ...entry,
+      })),
+      ...(!oldRecurring && { userId: authorizedUser.id }),
+    } as IBillRecurring;
+  }
+}
@@ -0,0 +1,38 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IBillRecurringHistory } from '@/interfaces';
+
+export class BillRecurringHistoryTransformer extends Transformer {
+  /**
+   * Include these attributes to history entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['runDateFormatted', 'billNumber'];
+  };
+
+  /**
+   * Exclude these attributes from history entry object.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['bill'];
+  };
+
+  /**
+   * Retrieves the formatted run date.
+   * @param {IBillRecurringHistory} history
+   * @returns {string}
+   */
+  protected runDateFormatted = (history: IBillRecurringHistory) => {
+    return this.formatDate(history.runDate);
+  };
+
+  /**
+   * Retrieves the generated bill number.
+   * @param history
+   * @returns {string}
+   */
+  protected billNumber = (history): string => {
+    return history.bill?.billNumber || '';
+  };
+}
@@ -0,0 +1,85 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IBillRecurring } from '@/interfaces';
+import { ItemEntryTransformer } from '@/services/Sales/Invoices/ItemEntryTransformer';
+import { BillRecurringHistoryTransformer } from './BillRecurringHistoryTransformer';
+
+export class BillRecurringTransformer extends Transformer {
+  /**
+   * Include these attributes to recurring profile object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'startDateFormatted',
+      'endDateFormatted',
+      'nextRunAtFormatted',
+      'lastRunAtFormatted',
+      'vendorName',
+      'entries',
+      'history',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted start date.
+   * @param {IBillRecurring} recurring
+   * @returns {string}
+   */
+  protected startDateFormatted = (recurring: IBillRecurring): string => {
+    return this.formatDate(recurring.startDate);
+  };
+
+  /**
+   * Retrieves the formatted end date.
+   * @param {IBillRecurring} recurring
+   * @returns {string}
+   */
+  protected endDateFormatted = (recurring: IBillRecurring): string => {
+    return this.formatDate(recurring.endDate);
+  };
+
+  /**
+   * Retrieves the formatted next run date.
+   * @param {IBillRecurring} recurring
+   * @returns {string}
+   */
+  protected nextRunAtFormatted = (recurring: IBillRecurring): string => {
+    return this.formatDate(recurring.nextRunAt);
+  };
+
+  /**
+   * Retrieves the formatted last run date.
+   * @param {IBillRecurring} recurring
+   * @returns {string}
+   */
+  protected lastRunAtFormatted = (recurring: IBillRecurring): string => {
+    return this.formatDate(recurring.lastRunAt);
+  };
+
+  /**
+   * Retrieves the vendor display name.
+   * @param {IBillRecurring} recurring
+   * @returns {string}
+   */
+  protected vendorName = (recurring: IBillRecurring): string => {
+    return recurring.vendor?.displayName || '';
+  };
+
+  /**
+   * Retrieves the entries of the recurring profile.
+   * @param {IBillRecurring} recurring
+   */
+  protected entries = (recurring: IBillRecurring) => {
+    return this.item(recurring.entries, new ItemEntryTransformer(), {
+      currencyCode: recurring.vendor?.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the generated bills history of the recurring profile.
+   * @param {IBillRecurring} recurring
+   */
+  protected history = (recurring: IBillRecurring) => {
+    return this.item(recurring.history, new BillRecurringHistoryTransformer());
+  };
+}
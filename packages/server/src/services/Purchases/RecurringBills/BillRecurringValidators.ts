@@ -0,0 +1,61 @@
+import { Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import { IBillRecurring, IBillRecurringDTO } from '@/interfaces';
+import { ERRORS } from './constants';
+
+@Service()
+export class BillRecurringValidators {
+  /**
+   * Validates the recurring profile existance.
+   * @param {IBillRecurring | undefined} recurring
+   */
+  public validateRecurringExistance(recurring: IBillRecurring | undefined) {
+    if (!recurring) {
+      throw new ServiceError(ERRORS.BILL_RECURRING_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the end date should be after the start date.
+   * @param {IBillRecurringDTO} recurringDTO
+   */
+  public validateEndDateAfterStartDate(recurringDTO: IBillRecurringDTO) {
+    if (
+      recurringDTO.endDate &&
+      moment(recurringDTO.endDate).isBefore(recurringDTO.startDate, 'day')
+    ) {
+      throw new ServiceError(ERRORS.END_DATE_BEFORE_START_DATE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile has remaining runs.
+   * @param {IBillRecurring} recurring
+   */
+  public validateRecurringNotCompleted(recurring: IBillRecurring) {
+    if (!recurring.nextRunAt) {
+      throw new ServiceError(ERRORS.BILL_RECURRING_COMPLETED);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is not active.
+   * @param {IBillRecurring} recurring
+   */
+  public validateRecurringNotActive(recurring: IBillRecurring) {
+    if (recurring.active) {
+      throw new ServiceError(ERRORS.BILL_RECURRING_ALREADY_ACTIVE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is active.
+   * @param {IBillRecurring} recurring
+   */
+  public validateRecurringActive(recurring: IBillRecurring) {
+    if (!recurring.active) {
+      throw new ServiceError(ERRORS.BILL_RECURRING_ALREADY_INACTIVE);
+    }
+  }
+}
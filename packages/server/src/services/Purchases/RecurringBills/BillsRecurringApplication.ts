@@ -0,0 +1,156 @@
+import { Inject, Service } from 'typedi';
+import {
+  IBillRecurring,
+  IBillRecurringCreateDTO,
+  IBillRecurringEditDTO,
+  ITenantUser,
+} from '@/interfaces';
+import { CreateBillRecurring } from './CreateBillRecurring';
+import { EditBillRecurring } from './EditBillRecurring';
+import { DeleteBillRecurring } from './DeleteBillRecurring';
+import { ActivateBillRecurring } from './ActivateBillRecurring';
+import { GetBillRecurring } from './GetBillRecurring';
+import { GetBillsRecurring } from './GetBillsRecurring';
+import { GetBillRecurringOccurrences } from './GetBillRecurringOccurrences';
+
+@Service()
+export class BillsRecurringApplication {
+  @Inject()
+  private createRecurringService: CreateBillRecurring;
+
+  @Inject()
+  private editRecurringService: EditBillRecurring;
+
+  @Inject()
+  private deleteRecurringService: DeleteBillRecurring;
+
+  @Inject()
+  private activateRecurringService: ActivateBillRecurring;
+
+  @Inject()
+  private getRecurringService: GetBillRecurring;
+
+  @Inject()
+  private getRecurringListService: GetBillsRecurring;
+
+  @Inject()
+  private getRecurringOccurrencesService: GetBillRecurringOccurrences;
+
+  /**
+   * Creates a new recurring bill profile.
+   * @param {number} tenantId
+   * @param {IBillRecurringCreateDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<IBillRecurring>}
+   */
+  public createRecurring(
+    tenantId: number,
+    recurringDTO: IBillRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IBillRecurring> {
+    return this.createRecurringService.createRecurring(
+      tenantId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @param {IBillRecurringEditDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<IBillRecurring>}
+   */
+  public editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: IBillRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IBillRecurring> {
+    return this.editRecurringService.editRecurring(
+      tenantId,
+      recurringId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public deleteRecurring(tenantId: number, recurringId: number): Promise<void> {
+    return this.deleteRecurringService.deleteRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Activates the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public activateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.activateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Inactivates the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public inactivateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.inactivateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Retrieves the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   */
+  public getRecurring(tenantId: number, recurringId: number) {
+    return this.getRecurringService.getRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Retrieves the recurring bill profiles.
+   * @param {number} tenantId
+   */
+  public getRecurringList(tenantId: number) {
+    return this.getRecurringListService.getRecurringList(tenantId);
+  }
+
+  /**
+   * Previews the next occurrences of the given recurring bill profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @param {number} count
+   */
+  public getRecurringOccurrences(
+    tenantId: number,
+    recurringId: number,
+    count: number
+  ) {
+    return this.getRecurringOccurrencesService.getRecurringOccurrences(
+      tenantId,
+      recurringId,
+      count
+    );
+  }
+}
@@ -0,0 +1,99 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IBillRecurring,
+  IBillRecurringCreateDTO,
+  IBillRecurringCreatedPayload,
+  IBillRecurringCreatingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { BillRecurringValidators } from './BillRecurringValidators';
+import { BillRecurringDTOTransformer } from './BillRecurringDTOTransformer';
+
+@Service()
+export class CreateBillRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private validators: BillRecurringValidators;
+
+  @Inject()
+  private transformerDTO: BillRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Creates a new recurring bill profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {IBillRecurringCreateDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<IBillRecurring>}
+   */
+  public async createRecurring(
+    tenantId: number,
+    recurringDTO: IBillRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IBillRecurring> {
+    const { BillRecurring, Contact } = this.tenancy.models(tenantId);
+
+    // Validate vendor existance.
+    await Contact.query()
+      .modify('vendor')
+      .findById(recurringDTO.vendorId)
+      .throwIfNotFound();
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate items ids existance.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Validate items should be purchasable items.
+    await this.itemsEntriesService.validateNonPurchasableEntriesItems(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser
+    );
+    // Creates a new recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBillRecurringCreating` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onCreating, {
+        tenantId,
+        recurringDTO,
+        trx,
+      } as IBillRecurringCreatingPayload);
+      const recurring = await BillRecurring.query(trx).upsertGraph(
+        recurringObj
+      );
+      // Triggers `onBillRecurringCreated` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onCreated, {
+        tenantId,
+        recurring,
+        recurringId: recurring.id,
+        recurringDTO,
+        authorizedUser,
+        trx,
+      } as IBillRecurringCreatedPayload);
+      return recurring;
+    });
+  }
+}
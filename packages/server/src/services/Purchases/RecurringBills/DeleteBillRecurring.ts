@@ -0,0 +1,72 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IBillRecurringDeletedPayload,
+  IBillRecurringDeletingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { BillRecurringValidators } from './BillRecurringValidators';
+
+@Service()
+export class DeleteBillRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: BillRecurringValidators;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Deletes the given recurring profile with associated entries and history,
+   * the already generated bills are kept untouched.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @returns {Promise<void>}
+   */
+  public async deleteRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    const { BillRecurring, BillRecurringHistory, ItemEntry } =
+      this.tenancy.models(tenantId);
+
+    const oldRecurring = await BillRecurring.query().findById(recurringId);
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBillRecurringDeleting` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onDeleting, {
+        tenantId,
+        oldRecurring,
+        trx,
+      } as IBillRecurringDeletingPayload);
+      await ItemEntry.query(trx)
+        .where('reference_id', recurringId)
+        .where('reference_type', 'BillRecurring')
+        .delete();
+
+      await BillRecurringHistory.query(trx)
+        .where('recurring_id', recurringId)
+        .delete();
+
+      await BillRecurring.query(trx).findById(recurringId).delete();
+
+      // Triggers `onBillRecurringDeleted` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onDeleted, {
+        tenantId,
+        recurringId,
+        oldRecurring,
+        trx,
+      } as IBillRecurringDeletedPayload);
+    });
+  }
+}
@@ -0,0 +1,120 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  IBillRecurring,
+  IBillRecurringEditDTO,
+  IBillRecurringEditedPayload,
+  IBillRecurringEditingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { BillRecurringValidators } from './BillRecurringValidators';
+import { BillRecurringDTOTransformer } from './BillRecurringDTOTransformer';
+
+@Service()
+export class EditBillRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private validators: BillRecurringValidators;
+
+  @Inject()
+  private transformerDTO: BillRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Edits the given recurring bill profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @param {IBillRecurringEditDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<IBillRecurring>}
+   */
+  public async editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: IBillRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<IBillRecurring> {
+    const { BillRecurring, Contact } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await BillRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('entries');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    // Validate vendor existance.
+    await Contact.query()
+      .modify('vendor')
+      .findById(recurringDTO.vendorId)
+      .throwIfNotFound();
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate the recurring entries existance.
+    await this.itemsEntriesService.validateEntriesIdsExistance(
+      tenantId,
+      recurringId,
+      'BillRecurring',
+      recurringDTO.entries
+    );
+    // Validate items ids existance.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Validate items should be purchasable items.
+    await this.itemsEntriesService.validateNonPurchasableEntriesItems(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser,
+      oldRecurring
+    );
+    // Edits the recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onBillRecurringEditing` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onEditing, {
+        tenantId,
+        oldRecurring,
+        recurringDTO,
+        trx,
+      } as IBillRecurringEditingPayload);
+      const recurring = await BillRecurring.query(trx).upsertGraphAndFetch({
+        id: recurringId,
+        ...recurringObj,
+      });
+      // Triggers `onBillRecurringEdited` event.
+      await this.eventPublisher.emitAsync(events.billRecurring.onEdited, {
+        tenantId,
+        recurring,
+        oldRecurring,
+        recurringId,
+        recurringDTO,
+        authorizedUser,
+        trx,
+      } as IBillRecurringEditedPayload);
+
+      return recurring;
+    });
+  }
+}
@@ -0,0 +1,234 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { pick } from 'lodash';
+import moment from 'moment';
+import bluebird from 'bluebird';
+import {
+  IBillDTO,
+  IItemEntryDTO,
+  IBillRecurring,
+  IBillRecurringGeneratedPayload,
+  ISystemUser,
+  RecurringCreationMode,
+  RecurringHistoryStatus,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { BillsApplication } from '../Bills/BillsApplication';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class GenerateRecurringBills {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private billsApplication: BillsApplication;
+
+  /**
+   * Generates the bills of all recurring profiles that due to run
+   * on the given date, including the occurrences missed since the last run.
+   * @param {number} tenantId - Tenant id.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateDueRecurringBills(
+    tenantId: number,
+    asDate: Date = moment().toDate()
+  ): Promise<void> {
+    const { BillRecurring } = this.tenancy.models(tenantId);
+
+    const dueRecurringList = await BillRecurring.query()
+      .modify('dueToRun', moment(asDate).format('YYYY-MM-DD'))
+      .withGraphFetched('entries');
+
+    await bluebird.mapSeries(dueRecurringList, (recurring) =>
+      this.generateRecurringBills(tenantId, recurring, asDate)
+    );
+  }
+
+  /**
+   * Generates the bills of the given recurring profile until the given date.
+   * @param {number} tenantId - Tenant id.
+   * @param {IBillRecurring} recurring - Recurring profile.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateRecurringBills(
+    tenantId: number,
+    recurring: IBillRecurring,
+    asDate: Date
+  ): Promise<void> {
+    let current = recurring;
+
+    while (
+      current.nextRunAt &&
+      moment(current.nextRunAt).isSameOrBefore(asDate, 'day')
+    ) {
+      current = await this.generateRecurringBill(tenantId, current);
+    }
+  }
+
+  /**
+   * Generates the bill of the next run of the given recurring profile,
+   * records the run to the profile history and moves the profile to the next run.
+   * Failed runs are recorded to the history and skipped.
+   * @param {number} tenantId - Tenant id.
+   * @param {IBillRecurring} recurring - Recurring profile.
+   * @returns {Promise<IBillRecurring>} - The recurring profile after the run.
+   */
+  public async generateRecurringBill(
+    tenantId: number,
+    recurring: IBillRecurring
+  ): Promise<IBillRecurring> {
+    const { BillRecurring, BillRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    const runDate = moment(recurring.nextRunAt).format('YYYY-MM-DD');
+    const nextRunDate = getRecurringNextDate(
+      recurring.startDate,
+      recurring.frequency,
+      recurring.repeatInterval,
+      runDate,
+      recurring.endDate
+    );
+    const nextRunAt = nextRunDate
+      ? moment(nextRunDate).format('YYYY-MM-DD')
+      : null;
+
+    const nextRecurring = {
+      ...recurring,
+      lastRunAt: moment(runDate).toDate(),
+      nextRunAt: nextRunDate,
+    };
+    try {
+      await this.uow.withTransaction(
+        tenantId,
+        async (trx: Knex.Transaction) => {
+          const bill = await this.billsApplication.createBill(
+            tenantId,
+            this.transformRecurringToBillDTO(recurring, runDate),
+            { id: recurring.userId } as ISystemUser,
+            trx
+          );
+          await BillRecurringHistory.query(trx).insert({
+            recurringId: recurring.id,
+            billId: bill.id,
+            runDate,
+            status: RecurringHistoryStatus.Generated,
+          });
+          await BillRecurring.query(trx)
+            .findById(recurring.id)
+            .patch({ lastRunAt: runDate, nextRunAt });
+
+          // Triggers `onBillRecurringGenerated` event.
+          await this.eventPublisher.emitAsync(
+            events.billRecurring.onGenerated,
+            {
+              tenantId,
+              recurring,
+              billId: bill.id,
+              runDate: moment(runDate).toDate(),
+              trx,
+            } as IBillRecurringGeneratedPayload
+          );
+        }
+      );
+    } catch (error) {
+      await this.recordFailedRun(
+        tenantId,
+        recurring,
+        runDate,
+        nextRunAt,
+        error
+      );
+
+      return { ...nextRecurring, lastRunAt: recurring.lastRunAt };
+    }
+    return nextRecurring;
+  }
+
+  /**
+   * Records the failed run to the recurring profile history and skips
+   * the profile to the next run, so the failed run is not retried forever.
+   * @param {number} tenantId
+   * @param {IBillRecurring} recurring
+   * @param {string} runDate
+   * @param {string|null} nextRunAt
+   * @param {any} error
+   * @returns {Promise<void>}
+   */
+  private async recordFailedRun(
+    tenantId: number,
+    recurring: IBillRecurring,
+    runDate: string,
+    nextRunAt: string | null,
+    error: any
+  ): Promise<void> {
+    const { BillRecurring, BillRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    await BillRecurringHistory.query().insert({
+      recurringId: recurring.id,
+      billId: null,
+      runDate,
+      status: RecurringHistoryStatus.Failed,
+      errorMessage: error?.errorType || error?.message || null,
+    });
+    await BillRecurring.query().findById(recurring.id).patch({ nextRunAt });
+  }
+
+  /**
+   * Transformes the recurring profile to bill DTO of the given run date,
+   * the bill is created as draft or open based on the profile creation mode.
+   * @param {IBillRecurring} recurring
+   * @param {string} runDate
+   * @returns {IBillDTO}
+   */
+  private transformRecurringToBillDTO(
+    recurring: IBillRecurring,
+    runDate: string
+  ): IBillDTO {
+    const billNumberPrefix = recurring.billNumberPrefix || `RB-${recurring.id}`;
+
+    return {
+      vendorId: recurring.vendorId,
+      billNumber: `${billNumberPrefix}-${moment(runDate).format('YYYYMMDD')}`,
+      billDate: moment(runDate).toDate(),
+      dueDate: moment(runDate).add(recurring.dueDays, 'days').toDate(),
+      referenceNo: recurring.referenceNo,
+      note: recurring.note,
+      exchangeRate: recurring.exchangeRate,
+      isInclusiveTax: recurring.isInclusiveTax,
+      branchId: recurring.branchId,
+      warehouseId: recurring.warehouseId,
+      projectId: recurring.projectId,
+      open: recurring.creationMode === RecurringCreationMode.Open,
+      entries: recurring.entries.map(
+        (entry) =>
+          ({
+            ...pick(entry, [
+              'index',
+              'itemId',
+              'rate',
+              'quantity',
+              'discount',
+              'description',
+              'taxRateId',
+              'warehouseId',
+              'projectId',
+            ]),
+            landedCost: !!entry.landedCost,
+          } as IItemEntryDTO)
+      ),
+    } as IBillDTO;
+  }
+}
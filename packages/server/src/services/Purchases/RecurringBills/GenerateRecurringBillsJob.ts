@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { GenerateRecurringBills } from './GenerateRecurringBills';
+
+@Service()
+export class GenerateRecurringBillsJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'recurring-bills-generate',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Generates the due recurring bills of the given tenant.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const generateRecurringBills = Container.get(GenerateRecurringBills);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await generateRecurringBills.generateDueRecurringBills(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,42 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BillRecurringTransformer } from './BillRecurringTransformer';
+import { BillRecurringValidators } from './BillRecurringValidators';
+
+@Service()
+export class GetBillRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: BillRecurringValidators;
+
+  /**
+   * Retrieves the recurring profile details with entries and history.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   */
+  public async getRecurring(tenantId: number, recurringId: number) {
+    const { BillRecurring } = this.tenancy.models(tenantId);
+
+    const recurring = await BillRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('vendor')
+      .withGraphFetched('branch')
+      .withGraphFetched('history.bill');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(recurring);
+
+    return this.transformer.transform(
+      tenantId,
+      recurring,
+      new BillRecurringTransformer()
+    );
+  }
+}
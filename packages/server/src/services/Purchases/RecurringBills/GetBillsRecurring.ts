@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { BillRecurringTransformer } from './BillRecurringTransformer';
+
+@Service()
+export class GetBillsRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the recurring profiles list.
+   * @param {number} tenantId - Tenant id.
+   */
+  public async getRecurringList(tenantId: number) {
+    const { BillRecurring } = this.tenancy.models(tenantId);
+
+    const recurringList = await BillRecurring.query()
+      .withGraphFetched('entries.item')
+      .withGraphFetched('vendor')
+      .orderBy('created_at', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      recurringList,
+      new BillRecurringTransformer()
+    );
+  }
+}
@@ -0,0 +1,7 @@
+export const ERRORS = {
+  BILL_RECURRING_NOT_FOUND: 'BILL_RECURRING_NOT_FOUND',
+  END_DATE_BEFORE_START_DATE: 'END_DATE_BEFORE_START_DATE',
+  BILL_RECURRING_ALREADY_ACTIVE: 'BILL_RECURRING_ALREADY_ACTIVE',
+  BILL_RECURRING_ALREADY_INACTIVE: 'BILL_RECURRING_ALREADY_INACTIVE',
+  BILL_RECURRING_COMPLETED: 'BILL_RECURRING_COMPLETED',
+};
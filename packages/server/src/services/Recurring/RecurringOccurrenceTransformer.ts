@@ -0,0 +1,21 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { IRecurringOccurrence } from '@/interfaces';
+
+export class RecurringOccurrenceTransformer extends Transformer {
+  /**
+   * Include these attributes to occurrence object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['formattedDate'];
+  };
+
+  /**
+   * Retrieves the formatted occurrence date.
+   * @param {IRecurringOccurrence} occurrence
+   * @returns {string}
+   */
+  protected formattedDate = (occurrence: IRecurringOccurrence): string => {
+    return this.formatDate(occurrence.date);
+  };
+}
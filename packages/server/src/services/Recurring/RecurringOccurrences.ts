@@ -0,0 +1,52 @@
+import { Inject, Service } from 'typedi';
+import { RecurringFrequency } from '@/interfaces';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { getRecurringUpcomingDates } from '@/utils/recurring-dates';
+import { RecurringOccurrenceTransformer } from './RecurringOccurrenceTransformer';
+
+interface IRecurringSchedule {
+  frequency: RecurringFrequency;
+  repeatInterval: number;
+  startDate: Date;
+  endDate?: Date | null;
+  nextRunAt: Date | null;
+  active: boolean;
+}
+
+@Service()
+export class RecurringOccurrences {
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the next occurrences of the given recurring schedule,
+   * inactive and completed schedules have no upcoming occurrences.
+   * @param {number} tenantId - Tenant id.
+   * @param {IRecurringSchedule} recurring - Recurring schedule.
+   * @param {number} count - Occurrences count.
+   */
+  public getUpcomingOccurrences(
+    tenantId: number,
+    recurring: IRecurringSchedule,
+    count: number
+  ) {
+    const dates =
+      recurring.active && recurring.nextRunAt
+        ? getRecurringUpcomingDates(
+            recurring.startDate,
+            recurring.frequency,
+            recurring.repeatInterval,
+            recurring.nextRunAt,
+            count,
+            recurring.endDate
+          )
+        : [];
+    const occurrences = dates.map((date) => ({ date }));
+
+    return this.transformer.transform(
+      tenantId,
+      occurrences,
+      new RecurringOccurrenceTransformer()
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import Container, { Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Tenant } from '@/system/models';
+import { RECURRING_GENERATE_JOBS } from './constants';
+
+@Service()
+export class ScheduleRecurringTransactionsJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define('recurring-transactions-schedule', this.handler);
+  }
+
+  /**
+   * Queues the recurring transactions generation jobs of every ready organization.
+   */
+  private handler = async (job, done: Function) => {
+    const agenda: any = Container.get('agenda');
+
+    try {
+      const tenants = await Tenant.query()
+        .whereNotNull('initializedAt')
+        .whereNotNull('seededAt');
+
+      await bluebird.map(
+        tenants,
+        (tenant) =>
+          bluebird.mapSeries(RECURRING_GENERATE_JOBS, (jobName) =>
+            agenda.now(jobName, { tenantId: tenant.id })
+          ),
+        { concurrency: 10 }
+      );
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,13 @@
+/**
+ * The per-tenant jobs that generate the due recurring transactions,
+ * queued daily for every ready organization.
+ */
+export const RECURRING_GENERATE_JOBS = [
+  'recurring-sale-invoices-generate',
+  'recurring-bills-generate',
+  'recurring-expenses-generate',
+];
+
+export const RECURRING_FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+export const RECURRING_CREATION_MODES = ['draft', 'open'];
@@ -37,6 +37,14 @@ export const AbilitySchema: ISubjectAbilitiesSchema[] = [
         key: AccountAction.TransactionsLocking,
         label: 'ability.transactions_locking',
       },
+      {
+        key: AccountAction.YearEndClose,
+        label: 'ability.year_end_close',
+      },
+      {
+        key: AccountAction.YearEndReopen,
+        label: 'ability.year_end_reopen',
+      },
     ],
   },
   {
@@ -298,6 +306,18 @@ export const AbilitySchema: ISubjectAbilitiesSchema[] = [
         key: ReportsAction.READ_INVENTORY_ITEM_DETAILS,
         label: 'ability.inventory_items_details',
       },
+      {
+        key: ReportsAction.READ_BUDGET_VS_ACTUAL,
+        label: 'ability.budget_vs_actual',
+      },
+      {
+        key: ReportsAction.READ_FIXED_ASSET_SCHEDULE,
+        label: 'ability.fixed_asset_schedule',
+      },
+      {
+        key: ReportsAction.READ_DEFERRED_BALANCES,
+        label: 'ability.deferred_balances',
+      },
     ],
   },
   {
@@ -0,0 +1,60 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IDunningLevel,
+  IDunningLevelCreatedPayload,
+  IDunningLevelDTO,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { DunningValidators } from './DunningValidators';
+
+@Service()
+export class CreateDunningLevel {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: DunningValidators;
+
+  /**
+   * Creates a new dunning level.
+   * @param {number} tenantId
+   * @param {IDunningLevelDTO} dunningLevelDTO
+   * @returns {Promise<IDunningLevel>}
+   */
+  public async createDunningLevel(
+    tenantId: number,
+    dunningLevelDTO: IDunningLevelDTO
+  ): Promise<IDunningLevel> {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    // Validates the days offset uniquiness.
+    await this.validators.validateDaysOffsetUnique(
+      tenantId,
+      dunningLevelDTO.daysOffset
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const dunningLevel = await DunningLevel.query(trx).insertAndFetch({
+        ...dunningLevelDTO,
+      });
+      // Triggers `onDunningLevelCreated` event.
+      await this.eventPublisher.emitAsync(events.dunning.onLevelCreated, {
+        tenantId,
+        dunningLevel,
+        dunningLevelDTO,
+        trx,
+      } as IDunningLevelCreatedPayload);
+
+      return dunningLevel;
+    });
+  }
+}
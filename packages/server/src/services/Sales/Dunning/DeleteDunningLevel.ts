@@ -0,0 +1,51 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { IDunningLevelDeletedPayload } from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { DunningValidators } from './DunningValidators';
+
+@Service()
+export class DeleteDunningLevel {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: DunningValidators;
+
+  /**
+   * Deletes the given dunning level, the sent reminders logs are kept.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @returns {Promise<void>}
+   */
+  public async deleteDunningLevel(
+    tenantId: number,
+    dunningLevelId: number
+  ): Promise<void> {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    const oldDunningLevel = await DunningLevel.query().findById(dunningLevelId);
+    // Validates the dunning level existance.
+    this.validators.validateDunningLevelExistance(oldDunningLevel);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      await DunningLevel.query(trx).findById(dunningLevelId).delete();
+
+      // Triggers `onDunningLevelDeleted` event.
+      await this.eventPublisher.emitAsync(events.dunning.onLevelDeleted, {
+        tenantId,
+        oldDunningLevel,
+        trx,
+      } as IDunningLevelDeletedPayload);
+    });
+  }
+}
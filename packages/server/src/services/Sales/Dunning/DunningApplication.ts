@@ -0,0 +1,118 @@
+import { Inject, Service } from 'typedi';
+import { IDunningLevelDTO } from '@/interfaces';
+import { CreateDunningLevel } from './CreateDunningLevel';
+import { EditDunningLevel } from './EditDunningLevel';
+import { DeleteDunningLevel } from './DeleteDunningLevel';
+import { GetDunningLevel } from './GetDunningLevel';
+import { GetDunningLevels } from './GetDunningLevels';
+import { GetSaleInvoiceDunningLogs } from './GetSaleInvoiceDunningLogs';
+
+@Service()
+export class DunningApplication {
+  @Inject('agenda')
+  private agenda: any;
+
+  @Inject()
+  private createLevelService: CreateDunningLevel;
+
+  @Inject()
+  private editLevelService: EditDunningLevel;
+
+  @Inject()
+  private deleteLevelService: DeleteDunningLevel;
+
+  @Inject()
+  private getLevelService: GetDunningLevel;
+
+  @Inject()
+  private getLevelsService: GetDunningLevels;
+
+  @Inject()
+  private getDunningLogsService: GetSaleInvoiceDunningLogs;
+
+  /**
+   * Creates a new dunning level.
+   * @param {number} tenantId
+   * @param {IDunningLevelDTO} dunningLevelDTO
+   * @returns {Promise<IDunningLevel>}
+   */
+  public createDunningLevel(
+    tenantId: number,
+    dunningLevelDTO: IDunningLevelDTO
+  ) {
+    return this.createLevelService.createDunningLevel(
+      tenantId,
+      dunningLevelDTO
+    );
+  }
+
+  /**
+   * Edits the given dunning level.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @param {IDunningLevelDTO} dunningLevelDTO
+   * @returns {Promise<IDunningLevel>}
+   */
+  public editDunningLevel(
+    tenantId: number,
+    dunningLevelId: number,
+    dunningLevelDTO: IDunningLevelDTO
+  ) {
+    return this.editLevelService.editDunningLevel(
+      tenantId,
+      dunningLevelId,
+      dunningLevelDTO
+    );
+  }
+
+  /**
+   * Deletes the given dunning level.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @returns {Promise<void>}
+   */
+  public deleteDunningLevel(tenantId: number, dunningLevelId: number) {
+    return this.deleteLevelService.deleteDunningLevel(tenantId, dunningLevelId);
+  }
+
+  /**
+   * Retrieves the given dunning level.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @returns {Promise<IDunningLevel>}
+   */
+  public getDunningLevel(tenantId: number, dunningLevelId: number) {
+    return this.getLevelService.getDunningLevel(tenantId, dunningLevelId);
+  }
+
+  /**
+   * Retrieves the dunning levels.
+   * @param {number} tenantId
+   * @returns {Promise<IDunningLevel[]>}
+   */
+  public getDunningLevels(tenantId: number) {
+    return this.getLevelsService.getDunningLevels(tenantId);
+  }
+
+  /**
+   * Retrieves the sent dunning reminders of the given sale invoice.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @returns {Promise<ISaleInvoiceDunningLog[]>}
+   */
+  public getSaleInvoiceDunningLogs(tenantId: number, saleInvoiceId: number) {
+    return this.getDunningLogsService.getSaleInvoiceDunningLogs(
+      tenantId,
+      saleInvoiceId
+    );
+  }
+
+  /**
+   * Queues sending the due dunning reminders of the given tenant.
+   * @param {number} tenantId
+   * @returns {Promise<void>}
+   */
+  public async runDunningReminders(tenantId: number) {
+    await this.agenda.now('dunning-reminders-process', { tenantId });
+  }
+}
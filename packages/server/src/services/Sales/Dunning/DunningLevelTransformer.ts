@@ -0,0 +1,30 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class DunningLevelTransformer extends Transformer {
+  /**
+   * Include these attributes to dunning level object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['daysOffsetFormatted'];
+  };
+
+  /**
+   * Retrieves the formatted days offset relative to the due date.
+   * @param dunningLevel
+   * @returns {string}
+   */
+  protected daysOffsetFormatted = (dunningLevel): string => {
+    const days = Math.abs(dunningLevel.daysOffset);
+
+    if (dunningLevel.daysOffset === 0) {
+      return this.context.i18n.__('dunning.on_due_date');
+    }
+    return this.context.i18n.__(
+      dunningLevel.daysOffset < 0
+        ? 'dunning.days_before_due'
+        : 'dunning.days_overdue',
+      { days }
+    );
+  };
+}
@@ -0,0 +1,53 @@
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import { IDunningLevel } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class DunningValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the dunning level existance.
+   * @param {IDunningLevel | undefined | null} dunningLevel
+   * @throws {ServiceError}
+   */
+  public validateDunningLevelExistance(
+    dunningLevel: IDunningLevel | undefined | null
+  ) {
+    if (!dunningLevel) {
+      throw new ServiceError(ERRORS.DUNNING_LEVEL_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the days offset uniquiness, the levels are reached by their
+   * offset so two levels can't share the same offset.
+   * @param {number} tenantId
+   * @param {number} daysOffset
+   * @param {number} exceptLevelId
+   * @throws {ServiceError}
+   */
+  public async validateDaysOffsetUnique(
+    tenantId: number,
+    daysOffset: number,
+    exceptLevelId?: number
+  ) {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    const foundLevel = await DunningLevel.query()
+      .where('daysOffset', daysOffset)
+      .onBuild((query) => {
+        if (exceptLevelId) {
+          query.whereNot('id', exceptLevelId);
+        }
+      })
+      .first();
+
+    if (foundLevel) {
+      throw new ServiceError(ERRORS.DUNNING_LEVEL_OFFSET_EXISTS);
+    }
+  }
+}
@@ -0,0 +1,69 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  IDunningLevel,
+  IDunningLevelDTO,
+  IDunningLevelEditedPayload,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { DunningValidators } from './DunningValidators';
+
+@Service()
+export class EditDunningLevel {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: DunningValidators;
+
+  /**
+   * Edits the given dunning level.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @param {IDunningLevelDTO} dunningLevelDTO
+   * @returns {Promise<IDunningLevel>}
+   */
+  public async editDunningLevel(
+    tenantId: number,
+    dunningLevelId: number,
+    dunningLevelDTO: IDunningLevelDTO
+  ): Promise<IDunningLevel> {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    const oldDunningLevel = await DunningLevel.query().findById(dunningLevelId);
+    // Validates the dunning level existance.
+    this.validators.validateDunningLevelExistance(oldDunningLevel);
+
+    // Validates the days offset uniquiness.
+    await this.validators.validateDaysOffsetUnique(
+      tenantId,
+      dunningLevelDTO.daysOffset,
+      dunningLevelId
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      const dunningLevel = await DunningLevel.query(trx).patchAndFetchById(
+        dunningLevelId,
+        { ...dunningLevelDTO }
+      );
+      // Triggers `onDunningLevelEdited` event.
+      await this.eventPublisher.emitAsync(events.dunning.onLevelEdited, {
+        tenantId,
+        dunningLevel,
+        oldDunningLevel,
+        dunningLevelDTO,
+        trx,
+      } as IDunningLevelEditedPayload);
+
+      return dunningLevel;
+    });
+  }
+}
@@ -0,0 +1,38 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { DunningLevelTransformer } from './DunningLevelTransformer';
+import { DunningValidators } from './DunningValidators';
+
+@Service()
+export class GetDunningLevel {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: DunningValidators;
+
+  /**
+   * Retrieves the given dunning level.
+   * @param {number} tenantId
+   * @param {number} dunningLevelId
+   * @returns {Promise<IDunningLevel>}
+   */
+  public async getDunningLevel(tenantId: number, dunningLevelId: number) {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    const dunningLevel = await DunningLevel.query().findById(dunningLevelId);
+
+    // Validates the dunning level existance.
+    this.validators.validateDunningLevelExistance(dunningLevel);
+
+    return this.transformer.transform(
+      tenantId,
+      dunningLevel,
+      new DunningLevelTransformer()
+    );
+  }
+}
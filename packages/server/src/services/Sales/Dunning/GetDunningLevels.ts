@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { DunningLevelTransformer } from './DunningLevelTransformer';
+
+@Service()
+export class GetDunningLevels {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the dunning levels ordered by their days offset.
+   * @param {number} tenantId
+   * @returns {Promise<IDunningLevel[]>}
+   */
+  public async getDunningLevels(tenantId: number) {
+    const { DunningLevel } = this.tenancy.models(tenantId);
+
+    const dunningLevels = await DunningLevel.query().orderBy(
+      'daysOffset',
+      'ASC'
+    );
+    return this.transformer.transform(
+      tenantId,
+      dunningLevels,
+      new DunningLevelTransformer()
+    );
+  }
+}
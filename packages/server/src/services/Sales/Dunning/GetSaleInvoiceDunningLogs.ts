@@ -0,0 +1,29 @@
+import { Inject, Service } from 'typedi';
+import { ISaleInvoiceDunningLog } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+
+@Service()
+export class GetSaleInvoiceDunningLogs {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the sent dunning reminders of the given sale invoice.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @returns {Promise<ISaleInvoiceDunningLog[]>}
+   */
+  public async getSaleInvoiceDunningLogs(
+    tenantId: number,
+    saleInvoiceId: number
+  ): Promise<ISaleInvoiceDunningLog[]> {
+    const { SaleInvoice, SaleInvoiceDunningLog } =
+      this.tenancy.models(tenantId);
+
+    await SaleInvoice.query().findById(saleInvoiceId).throwIfNotFound();
+
+    return SaleInvoiceDunningLog.query()
+      .where('saleInvoiceId', saleInvoiceId)
+      .orderBy('sentAt', 'ASC');
+  }
+}
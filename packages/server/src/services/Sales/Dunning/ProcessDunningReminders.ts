@@ -0,0 +1,78 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { minBy } from 'lodash';
+import { IDunningLevel, IDunningRemindersResult } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { getDaysFromDueDate, getDueDunningLevel } from '@/utils/dunning';
+import { SendDunningReminderMail } from './SendDunningReminderMail';
+
+@Service()
+export class ProcessDunningReminders {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private sendReminderMail: SendDunningReminderMail;
+
+  /**
+   * Sends the reached dunning level reminder of the open invoices as of the
+   * given date, the customers opted out of dunning are skipped and a failed
+   * invoice doesn't stop the rest.
+   * @param {number} tenantId
+   * @param {Date|string} asDate
+   * @returns {Promise<IDunningRemindersResult>}
+   */
+  public async processReminders(
+    tenantId: number,
+    asDate: Date | string = moment().format('YYYY-MM-DD')
+  ): Promise<IDunningRemindersResult> {
+    const { DunningLevel, SaleInvoice, Contact } =
+      this.tenancy.models(tenantId);
+
+    const result = { sentCount: 0, failedInvoicesIds: [] };
+
+    const dunningLevels: IDunningLevel[] = await DunningLevel.query().modify(
+      'active'
+    );
+
+    if (dunningLevels.length === 0) return result;
+
+    // The earliest level decides the farthest due date to be reminded.
+    const earliestLevel = minBy(dunningLevels, 'daysOffset');
+    const toDueDate = moment(asDate)
+      .subtract(earliestLevel.daysOffset, 'days')
+      .format('YYYY-MM-DD');
+
+    const saleInvoices = await SaleInvoice.query()
+      .modify('delivered')
+      .modify('dueInvoices')
+      .where('dueDate', '<=', toDueDate)
+      .whereNotIn(
+        'customerId',
+        Contact.query().select('id').where('dunningOptOut', true)
+      )
+      .withGraphFetched('dunningLogs');
+
+    for (const saleInvoice of saleInvoices) {
+      const dunningLevel = getDueDunningLevel(
+        dunningLevels,
+        saleInvoice.dunningLogs.map((log) => log.daysOffset),
+        getDaysFromDueDate(saleInvoice.dueDate, asDate)
+      );
+      if (!dunningLevel) continue;
+
+      try {
+        await this.sendReminderMail.sendReminder(
+          tenantId,
+          saleInvoice,
+          dunningLevel
+        );
+        result.sentCount += 1;
+      } catch (error) {
+        console.log(error);
+        result.failedInvoicesIds.push(saleInvoice.id);
+      }
+    }
+    return result;
+  }
+}
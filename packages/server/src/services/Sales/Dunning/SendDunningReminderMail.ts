@@ -0,0 +1,93 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { castArray } from 'lodash';
+import {
+  IDunningLevel,
+  IDunningReminderSentPayload,
+  ISaleInvoice,
+  ISaleInvoiceDunningLog,
+} from '@/interfaces';
+import Mail from '@/lib/Mail';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { parseAndValidateMailOptions } from '@/services/MailNotification/utils';
+import { SaleInvoicePdf } from '@/services/Sales/Invoices/SaleInvoicePdf';
+import { SendSaleInvoiceMailCommon } from '@/services/Sales/Invoices/SendInvoiceInvoiceMailCommon';
+import {
+  DEFAULT_INVOICE_REMINDER_MAIL_CONTENT,
+  DEFAULT_INVOICE_REMINDER_MAIL_SUBJECT,
+} from '@/services/Sales/Invoices/constants';
+import events from '@/subscribers/events';
+
+@Service()
+export class SendDunningReminderMail {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private invoicePdf: SaleInvoicePdf;
+
+  @Inject()
+  private invoiceCommonMail: SendSaleInvoiceMailCommon;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Sends the reminder mail of the given dunning level to the invoice
+   * customer and logs the reached level on the invoice.
+   * @param {number} tenantId
+   * @param {ISaleInvoice} saleInvoice
+   * @param {IDunningLevel} dunningLevel
+   * @returns {Promise<ISaleInvoiceDunningLog>}
+   */
+  public async sendReminder(
+    tenantId: number,
+    saleInvoice: ISaleInvoice,
+    dunningLevel: IDunningLevel
+  ): Promise<ISaleInvoiceDunningLog> {
+    const { SaleInvoiceDunningLog } = this.tenancy.models(tenantId);
+
+    const localMessageOpts = await this.invoiceCommonMail.getMailOption(
+      tenantId,
+      saleInvoice.id,
+      dunningLevel.subject || DEFAULT_INVOICE_REMINDER_MAIL_SUBJECT,
+      dunningLevel.body || DEFAULT_INVOICE_REMINDER_MAIL_CONTENT
+    );
+    const messageOpts = parseAndValidateMailOptions(localMessageOpts, {});
+    const mail = new Mail()
+      .setSubject(messageOpts.subject)
+      .setTo(messageOpts.to)
+      .setContent(messageOpts.body);
+
+    if (dunningLevel.attachInvoice) {
+      // Retrieves document buffer of the invoice pdf document.
+      const invoicePdfBuffer = await this.invoicePdf.saleInvoicePdf(
+        tenantId,
+        saleInvoice.id
+      );
+      mail.setAttachments([
+        { filename: 'invoice.pdf', content: invoicePdfBuffer },
+      ]);
+    }
+    await mail.send();
+
+    const dunningLog = await SaleInvoiceDunningLog.query().insertAndFetch({
+      saleInvoiceId: saleInvoice.id,
+      dunningLevelId: dunningLevel.id,
+      levelName: dunningLevel.name,
+      daysOffset: dunningLevel.daysOffset,
+      sentTo: castArray(messageOpts.to).join(', '),
+      sentAt: moment().toMySqlDateTime(),
+    });
+    // Triggers `onDunningReminderSent` event.
+    await this.eventPublisher.emitAsync(events.dunning.onReminderSent, {
+      tenantId,
+      saleInvoiceId: saleInvoice.id,
+      dunningLevel,
+      dunningLog,
+    } as IDunningReminderSentPayload);
+
+    return dunningLog;
+  }
+}
@@ -0,0 +1,4 @@
+export const ERRORS = {
+  DUNNING_LEVEL_NOT_FOUND: 'DUNNING_LEVEL_NOT_FOUND',
+  DUNNING_LEVEL_OFFSET_EXISTS: 'DUNNING_LEVEL_OFFSET_EXISTS',
+};
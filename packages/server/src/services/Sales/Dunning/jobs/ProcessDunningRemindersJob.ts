@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { ProcessDunningReminders } from '../ProcessDunningReminders';
+
+@Service()
+export class ProcessDunningRemindersJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'dunning-reminders-process',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Sends the due dunning reminders of the given tenant.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const processService = Container.get(ProcessDunningReminders);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await processService.processReminders(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
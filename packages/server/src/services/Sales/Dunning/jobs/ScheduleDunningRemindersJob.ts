@@ -0,0 +1,37 @@
+import Container, { Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Tenant } from '@/system/models';
+
+@Service()
+export class ScheduleDunningRemindersJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define('dunning-reminders-schedule', this.handler);
+  }
+
+  /**
+   * Queues the dunning reminders job of every ready organization.
+   */
+  private handler = async (job, done: Function) => {
+    const agenda: any = Container.get('agenda');
+
+    try {
+      const tenants = await Tenant.query()
+        .whereNotNull('initializedAt')
+        .whereNotNull('seededAt');
+
+      await bluebird.map(
+        tenants,
+        (tenant) =>
+          agenda.now('dunning-reminders-process', { tenantId: tenant.id }),
+        { concurrency: 10 }
+      );
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -9,6 +9,7 @@ import { WarehouseTransactionDTOTransform } from '@/services/Warehouses/Integrat
 import { formatDateFields } from '@/utils';
 import moment from 'moment';
 import { SaleEstimateIncrement } from './SaleEstimateIncrement';
+import { DocumentDiscountDTOTransform } from '@/services/Discounts/DocumentDiscountDTOTransform';
 
 @Service()
 export class SaleEstimateDTOTransformer {
@@ -27,6 +28,9 @@ export class SaleEstimateDTOTransformer {
   @Inject()
   private estimateIncrement: SaleEstimateIncrement;
 
+  @Inject()
+  private discountDTOTransform: DocumentDiscountDTOTransform;
+
   /**
    * Transform create DTO object ot model object.
    * @param  {number} tenantId
@@ -76,6 +80,8 @@ export class SaleEstimateDTOTransformer {
         }),
     };
     return R.compose(
+      // Associates the discount amount to the model.
+      this.discountDTOTransform.assocDiscountAmount<ISaleEstimate>(),
       this.branchDTOTransform.transformDTO<ISaleEstimate>(tenantId),
       this.warehouseDTOTransform.transformDTO<ISaleEstimate>(tenantId)
     )(initialDTO);
@@ -13,6 +13,10 @@ export class SaleEstimateTransfromer extends Transformer {
     return [
       'formattedSubtotal',
       'formattedAmount',
+      'formattedDiscountAmount',
+      'formattedShippingCharge',
+      'formattedAdjustment',
+      'formattedTotal',
       'formattedEstimateDate',
       'formattedExpirationDate',
       'formattedDeliveredAtDate',
@@ -24,6 +28,50 @@ export class SaleEstimateTransfromer extends Transformer {
     ];
   };
 
+  /**
+   * Retrieves the formatted discount amount.
+   * @param {ISaleEstimate} estimate
+   * @returns {string}
+   */
+  protected formattedDiscountAmount = (estimate): string => {
+    return formatNumber(estimate.discountAmount, {
+      currencyCode: estimate.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted shipping charge.
+   * @param {ISaleEstimate} estimate
+   * @returns {string}
+   */
+  protected formattedShippingCharge = (estimate): string => {
+    return formatNumber(estimate.shippingCharge, {
+      currencyCode: estimate.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted rounding adjustment.
+   * @param {ISaleEstimate} estimate
+   * @returns {string}
+   */
+  protected formattedAdjustment = (estimate): string => {
+    return formatNumber(estimate.adjustment, {
+      currencyCode: estimate.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted total.
+   * @param {ISaleEstimate} estimate
+   * @returns {string}
+   */
+  protected formattedTotal = (estimate): string => {
+    return formatNumber(estimate.total, {
+      currencyCode: estimate.currencyCode,
+    });
+  };
+
   /**
    * Retrieve formatted estimate date.
    * @param {ISaleEstimate} invoice
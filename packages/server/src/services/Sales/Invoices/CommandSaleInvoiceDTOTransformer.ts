@@ -1,5 +1,5 @@
 import { Service, Inject } from 'typedi';
-import { omit, sumBy } from 'lodash';
+import { isUndefined, omit, sumBy } from 'lodash';
 import * as R from 'ramda';
 import moment from 'moment';
 import composeAsync from 'async/compose';
@@ -17,6 +17,8 @@ import { CommandSaleInvoiceValidators } from './CommandSaleInvoiceValidators';
 import { SaleInvoiceIncrement } from './SaleInvoiceIncrement';
 import { formatDateFields } from 'utils';
 import { ItemEntriesTaxTransactions } from '@/services/TaxRates/ItemEntriesTaxTransactions';
+import { DocumentDiscountDTOTransform } from '@/services/Discounts/DocumentDiscountDTOTransform';
+import { PaymentTermDTOTransform } from '@/services/PaymentTerms/PaymentTermDTOTransform';
 import { ItemEntry } from '@/models';
 
 @Service()
@@ -39,6 +41,12 @@ export class CommandSaleInvoiceDTOTransformer {
   @Inject()
   private taxDTOTransformer: ItemEntriesTaxTransactions;
 
+  @Inject()
+  private discountDTOTransform: DocumentDiscountDTOTransform;
+
+  @Inject()
+  private paymentTermDTOTransform: PaymentTermDTOTransform;
+
   /**
    * Transformes the create DTO to invoice object model.
    * @param {ISaleInvoiceCreateDTO} saleInvoiceDTO - Sale invoice DTO.
@@ -84,6 +92,15 @@ export class CommandSaleInvoiceDTOTransformer {
       R.map(R.omit(['taxCode']))
     )(asyncEntries);
 
+    // Retrieves the invoice payment term and the due date it computes.
+    const paymentTerm =
+      await this.paymentTermDTOTransform.getDocumentPaymentTerm(
+        tenantId,
+        saleInvoiceDTO,
+        saleInvoiceDTO.invoiceDate,
+        customer,
+        oldSaleInvoice
+      );
     const initialDTO = {
       ...formatDateFields(
         omit(saleInvoiceDTO, [
@@ -98,18 +115,33 @@ export class CommandSaleInvoiceDTOTransformer {
       balance: amount,
       currencyCode: customer.currencyCode,
       exchangeRate: saleInvoiceDTO.exchangeRate || 1,
+      ...paymentTerm,
+      // The invoice with neither due date nor payment term is due on receipt.
+      ...(!oldSaleInvoice &&
+        !saleInvoiceDTO.dueDate &&
+        !paymentTerm.dueDate && {
+          dueDate: moment(saleInvoiceDTO.invoiceDate).format('YYYY-MM-DD'),
+        }),
       ...(saleInvoiceDTO.delivered &&
         !oldSaleInvoice?.deliveredAt && {
           deliveredAt: moment().toMySqlDateTime(),
         }),
       // Avoid override payment amount in edit mode.
       ...(!oldSaleInvoice && { paymentAmount: 0 }),
+      // Defaults the early payment discount terms to the customer terms.
+      ...(!oldSaleInvoice &&
+        isUndefined(saleInvoiceDTO.earlyPaymentDiscountRate) && {
+          earlyPaymentDiscountRate: customer.earlyPaymentDiscountRate,
+          earlyPaymentDiscountDays: customer.earlyPaymentDiscountDays,
+        }),
       ...(invoiceNo ? { invoiceNo } : {}),
       entries,
       userId: authorizedUser.id,
     } as ISaleInvoice;
 
     return R.compose(
+      // Associates the discount amount to the model.
+      this.discountDTOTransform.assocDiscountAmount<ISaleInvoice>('balance'),
       this.taxDTOTransformer.assocTaxAmountWithheldFromEntries,
       this.branchDTOTransform.transformDTO<ISaleInvoice>(tenantId),
       this.warehouseDTOTransform.transformDTO<ISaleInvoice>(tenantId)
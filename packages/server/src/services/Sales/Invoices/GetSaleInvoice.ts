@@ -34,8 +34,11 @@ export class GetSaleInvoice {
       .withGraphFetched('entries.tax')
       .withGraphFetched('customer')
       .withGraphFetched('branch')
+      .withGraphFetched('paymentTerm')
       .withGraphFetched('taxes.taxRate')
-      .withGraphFetched('attachments');
+      .withGraphFetched('attachments')
+      .withGraphFetched('lateFeeInvoices')
+      .withGraphFetched('lateFeeForInvoice');
 
     // Validates the given sale invoice existance.
     this.validators.validateInvoiceExistance(saleInvoice);
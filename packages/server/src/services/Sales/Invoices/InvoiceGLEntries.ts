@@ -12,6 +12,12 @@ import Ledger from '@/services/Accounting/Ledger';
 import LedgerStorageService from '@/services/Accounting/LedgerStorageService';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import { hasServicePeriod } from '@/utils/amortization';
+import { calcDiscountTaxAmount } from '@/utils/discount';
+import {
+  DocumentDiscountGLEntries,
+  IDocumentDiscountChargesAccounts,
+} from '@/services/Discounts/DocumentDiscountGLEntries';
 
 @Service()
 export class SaleInvoiceGLEntries {
@@ -24,6 +30,9 @@ export class SaleInvoiceGLEntries {
   @Inject()
   private itemsEntriesService: ItemsEntriesService;
 
+  @Inject()
+  private discountGLEntries: DocumentDiscountGLEntries;
+
   /**
    * Writes a sale invoice GL entries.
    * @param {number} tenantId - Tenant id.
@@ -51,11 +60,19 @@ export class SaleInvoiceGLEntries {
       {},
       trx
     );
+    // Find or create the discount and charges accounts.
+    const discountChargesAccounts =
+      await this.discountGLEntries.findOrCreateSalesAccounts(
+        tenantId,
+        saleInvoice,
+        trx
+      );
     // Retrieves the ledger of the invoice.
     const ledger = this.getInvoiceGLedger(
       saleInvoice,
       ARAccount.id,
-      taxPayableAccount.id
+      taxPayableAccount.id,
+      discountChargesAccounts
     );
     // Commits the ledger entries to the storage as UOW.
     await this.ledegrRepository.commit(tenantId, ledger, trx);
@@ -102,17 +119,21 @@ export class SaleInvoiceGLEntries {
    * Retrieves the given invoice ledger.
    * @param {ISaleInvoice} saleInvoice
    * @param {number} ARAccountId
+   * @param {number} taxPayableAccountId
+   * @param {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {ILedger}
    */
   public getInvoiceGLedger = (
     saleInvoice: ISaleInvoice,
     ARAccountId: number,
-    taxPayableAccountId: number
+    taxPayableAccountId: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts = {}
   ): ILedger => {
     const entries = this.getInvoiceGLEntries(
       saleInvoice,
       ARAccountId,
-      taxPayableAccountId
+      taxPayableAccountId,
+      discountChargesAccounts
     );
     return new Ledger(entries);
   };
@@ -168,7 +189,8 @@ export class SaleInvoiceGLEntries {
   };
 
   /**
-   * Retrieve item income entry of the given invoice.
+   * Retrieve item income entry of the given invoice, the entry with service
+   * period is credited to its deferred revenue account.
    * @param {ISaleInvoice} saleInvoice -
    * @param {IItemEntry} entry -
    * @param {number} index -
@@ -186,7 +208,9 @@ export class SaleInvoiceGLEntries {
       return {
         ...commonEntry,
         credit: localAmount,
-        accountId: entry.sellAccountId,
+        accountId: hasServicePeriod(entry)
+          ? entry.deferralAccountId
+          : entry.sellAccountId,
         note: entry.description,
         index: index + 2,
         itemId: entry.itemId,
@@ -249,16 +273,73 @@ export class SaleInvoiceGLEntries {
     return nonZeroTaxEntries.map(transformTaxEntry);
   };
 
+  /**
+   * Retreives the GL entry of the tax payable the discount before tax lowers.
+   * @param {ISaleInvoice} saleInvoice -
+   * @param {number} taxPayableAccountId -
+   * @returns {ILedgerEntry}
+   */
+  private getInvoiceDiscountTaxEntry = R.curry(
+    (
+      saleInvoice: ISaleInvoice,
+      taxPayableAccountId: number,
+      entry: IItemEntry,
+      index: number
+    ): ILedgerEntry => {
+      const commonEntry = this.getInvoiceGLCommonEntry(saleInvoice);
+      const discountTaxAmount = calcDiscountTaxAmount(
+        entry.taxAmount,
+        saleInvoice.discountAmount,
+        saleInvoice.subtotalExludingTax
+      );
+      return {
+        ...commonEntry,
+        debit: discountTaxAmount * saleInvoice.exchangeRate,
+        accountId: taxPayableAccountId,
+        index: index + 1,
+        indexGroup: 35,
+        accountNormal: AccountNormal.CREDIT,
+        taxRateId: entry.taxRateId,
+        taxRate: entry.taxRate,
+      };
+    }
+  );
+
+  /**
+   * Retrieves the invoice tax GL entries the discount before tax lowers.
+   * @param {ISaleInvoice} saleInvoice
+   * @param {number} taxPayableAccountId
+   * @returns {ILedgerEntry[]}
+   */
+  private getInvoiceDiscountTaxEntries = (
+    saleInvoice: ISaleInvoice,
+    taxPayableAccountId: number
+  ): ILedgerEntry[] => {
+    if (!saleInvoice.discountTaxAmount) return [];
+
+    const nonZeroTaxEntries = this.itemsEntriesService.getNonZeroEntries(
+      saleInvoice.entries
+    );
+    const transformDiscountTaxEntry = this.getInvoiceDiscountTaxEntry(
+      saleInvoice,
+      taxPayableAccountId
+    );
+    return nonZeroTaxEntries.map(transformDiscountTaxEntry);
+  };
+
   /**
    * Retrieves the invoice GL entries.
    * @param {ISaleInvoice} saleInvoice
    * @param {number} ARAccountId
+   * @param {number} taxPayableAccountId
+   * @param {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {ILedgerEntry[]}
    */
   public getInvoiceGLEntries = (
     saleInvoice: ISaleInvoice,
     ARAccountId: number,
-    taxPayableAccountId: number
+    taxPayableAccountId: number,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts = {}
   ): ILedgerEntry[] => {
     const receivableEntry = this.getInvoiceReceivableEntry(
       saleInvoice,
@@ -271,6 +352,22 @@ export class SaleInvoiceGLEntries {
       saleInvoice,
       taxPayableAccountId
     );
-    return [receivableEntry, ...creditEntries, ...taxEntries];
+    const discountTaxEntries = this.getInvoiceDiscountTaxEntries(
+      saleInvoice,
+      taxPayableAccountId
+    );
+    const discountChargesEntries =
+      this.discountGLEntries.getDiscountChargesGLEntries(
+        saleInvoice,
+        this.getInvoiceGLCommonEntry(saleInvoice),
+        discountChargesAccounts
+      );
+    return [
+      receivableEntry,
+      ...creditEntries,
+      ...taxEntries,
+      ...discountTaxEntries,
+      ...discountChargesEntries,
+    ];
   };
 }
@@ -3,6 +3,7 @@ import { formatNumber } from 'utils';
 import { SaleInvoiceTaxEntryTransformer } from './SaleInvoiceTaxEntryTransformer';
 import { ItemEntryTransformer } from './ItemEntryTransformer';
 import { AttachmentTransformer } from '@/services/Attachments/AttachmentTransformer';
+import { SaleInvoiceLateFeeTransformer } from '@/services/Sales/LateFees/SaleInvoiceLateFeeTransformer';
 
 export class SaleInvoiceTransformer extends Transformer {
   /**
@@ -23,14 +24,52 @@ export class SaleInvoiceTransformer extends Transformer {
       'subtotalExludingTaxFormatted',
       'taxAmountWithheldFormatted',
       'taxAmountWithheldLocalFormatted',
+      'discountAmountFormatted',
+      'shippingChargeFormatted',
+      'adjustmentFormatted',
       'totalFormatted',
       'totalLocalFormatted',
       'taxes',
       'entries',
       'attachments',
+      'lateFeeInvoices',
+      'lateFeeForInvoice',
     ];
   };
 
+  /**
+   * Retrieves the formatted discount amount.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected discountAmountFormatted = (invoice): string => {
+    return formatNumber(invoice.discountAmount, {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted shipping charge.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected shippingChargeFormatted = (invoice): string => {
+    return formatNumber(invoice.shippingCharge, {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted rounding adjustment.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected adjustmentFormatted = (invoice): string => {
+    return formatNumber(invoice.adjustment, {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+
   /**
    * Retrieve formatted invoice date.
    * @param {ISaleInvoice} invoice
@@ -211,4 +250,28 @@ export class SaleInvoiceTransformer extends Transformer {
   protected attachments = (invoice) => {
     return this.item(invoice.attachments, new AttachmentTransformer());
   };
+
+  /**
+   * Retrieves the late fee invoices charged on the sale invoice.
+   * @param {ISaleInvoice} invoice
+   * @returns
+   */
+  protected lateFeeInvoices = (invoice) => {
+    return this.item(
+      invoice.lateFeeInvoices,
+      new SaleInvoiceLateFeeTransformer()
+    );
+  };
+
+  /**
+   * Retrieves the overdue invoice the late fee invoice charges.
+   * @param {ISaleInvoice} invoice
+   * @returns
+   */
+  protected lateFeeForInvoice = (invoice) => {
+    return this.item(
+      invoice.lateFeeForInvoice,
+      new SaleInvoiceLateFeeTransformer()
+    );
+  };
 }
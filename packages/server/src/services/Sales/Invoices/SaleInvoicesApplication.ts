@@ -14,6 +14,7 @@ import {
   SendInvoiceMailDTO,
 } from '@/interfaces';
 import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
 import { CreateSaleInvoice } from './CreateSaleInvoice';
 import { DeleteSaleInvoice } from './DeleteSaleInvoice';
 import { GetSaleInvoice } from './GetSaleInvoice';
@@ -78,17 +79,20 @@ export class SaleInvoiceApplication {
    * @param {number} tenantId
    * @param {ISaleInvoiceCreateDTO} saleInvoiceDTO
    * @param {ITenantUser} authorizedUser
+   * @param {Knex.Transaction} trx
    * @returns {Promise<ISaleInvoice>}
    */
   public createSaleInvoice(
     tenantId: number,
     saleInvoiceDTO: ISaleInvoiceCreateDTO,
-    authorizedUser: ITenantUser
+    authorizedUser: ITenantUser,
+    trx?: Knex.Transaction
   ): Promise<ISaleInvoice> {
     return this.createSaleInvoiceService.createSaleInvoice(
       tenantId,
       saleInvoiceDTO,
-      authorizedUser
+      authorizedUser,
+      trx
     );
   }
 
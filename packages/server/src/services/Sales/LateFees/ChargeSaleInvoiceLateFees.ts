@@ -0,0 +1,329 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { sumBy } from 'lodash';
+import { Inject, Service } from 'typedi';
+import {
+  IItemEntryDTO,
+  ILateFeePolicy,
+  ILateFeesChargeResult,
+  IPaymentReceiveEntry,
+  ISaleInvoice,
+  ISaleInvoiceCreateDTO,
+  ISaleInvoiceLateFeeChargedPayload,
+  ITenantUser,
+  LateFeeType,
+  TransactionsLockingGroup,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import TransactionsLockingGuard from '@/services/TransactionsLocking/TransactionsLockingGuard';
+import { SaleInvoiceApplication } from '@/services/Sales/Invoices/SaleInvoicesApplication';
+import events from '@/subscribers/events';
+import { calcLateFeeAmount, getLateFeeChargeDates } from '@/utils/late-fees';
+import { LateFeePolicy } from './LateFeePolicy';
+import { LateFeeValidators } from './LateFeeValidators';
+
+@Service()
+export class ChargeSaleInvoiceLateFees {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private saleInvoiceApplication: SaleInvoiceApplication;
+
+  @Inject()
+  private lateFeePolicy: LateFeePolicy;
+
+  @Inject()
+  private validators: LateFeeValidators;
+
+  @Inject()
+  private transactionsLockingGuard: TransactionsLockingGuard;
+
+  /**
+   * Charges the due late fees of the given overdue invoice up to the given
+   * date, a delivered late fee invoice is created per missed charge.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @param {Date|string} asDate
+   * @returns {Promise<ISaleInvoice[]>} - The created late fee invoices.
+   */
+  public async chargeSaleInvoice(
+    tenantId: number,
+    saleInvoiceId: number,
+    asDate: Date | string = moment().format('YYYY-MM-DD')
+  ): Promise<ISaleInvoice[]> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const policy = this.lateFeePolicy.getPolicy(tenantId);
+
+    // Validates the late fee policy is enabled.
+    this.validators.validatePolicyEnabled(policy);
+
+    const saleInvoice = await SaleInvoice.query()
+      .findById(saleInvoiceId)
+      .withGraphFetched('lateFeeInvoices')
+      .withGraphFetched('lateFeeCharges')
+      .throwIfNotFound();
+
+    // Validates the invoice is not a late fee invoice.
+    this.validators.validateInvoiceNotLateFee(saleInvoice);
+
+    return this.chargeInvoiceLateFees(tenantId, policy, saleInvoice, asDate);
+  }
+
+  /**
+   * Charges the due late fees of all the overdue invoices up to the given
+   * date, a failed invoice doesn't stop the rest.
+   * @param {number} tenantId
+   * @param {Date|string} asDate
+   * @returns {Promise<ILateFeesChargeResult>}
+   */
+  public async chargeOverdueInvoices(
+    tenantId: number,
+    asDate: Date | string = moment().format('YYYY-MM-DD')
+  ): Promise<ILateFeesChargeResult> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const result = { feeInvoicesIds: [], failedInvoicesIds: [] };
+    const policy = this.lateFeePolicy.getPolicy(tenantId);
+
+    if (!policy.enabled || !policy.itemId) return result;
+
+    const overdueDate = moment(asDate)
+      .subtract(policy.graceDays, 'days')
+      .format('YYYY-MM-DD');
+
+    const saleInvoices = await SaleInvoice.query()
+      .modify('delivered')
+      .modify('dueInvoices')
+      .modify('overdue', overdueDate)
+      .whereNull('lateFeeForInvoiceId')
+      .withGraphFetched('lateFeeInvoices')
+      .withGraphFetched('lateFeeCharges');
+
+    for (const saleInvoice of saleInvoices) {
+      try {
+        const feeInvoices = await this.chargeInvoiceLateFees(
+          tenantId,
+          policy,
+          saleInvoice,
+          asDate
+        );
+        result.feeInvoicesIds.push(...feeInvoices.map((invoice) => invoice.id));
+      } catch (error) {
+        console.log(error);
+        result.failedInvoicesIds.push(saleInvoice.id);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Creates the late fee invoices of the charges not made yet, the charged
+   * dates are recorded so the waived charges, their fee invoice is deleted,
+   * aren't charged again. The compounding policy charges the unpaid late fees
+   * as well. The charge dates inside the locked sales transactions period
+   * are skipped.
+   * @param {number} tenantId
+   * @param {ILateFeePolicy} policy
+   * @param {ISaleInvoice} saleInvoice
+   * @param {Date|string} asDate
+   * @returns {Promise<ISaleInvoice[]>}
+   */
+  private async chargeInvoiceLateFees(
+    tenantId: number,
+    policy: ILateFeePolicy,
+    saleInvoice: ISaleInvoice,
+    asDate: Date | string
+  ): Promise<ISaleInvoice[]> {
+    const { LateFeeCharge } = this.tenancy.models(tenantId);
+
+    const lateFeeInvoices = [...saleInvoice.lateFeeInvoices];
+    const chargedDates = new Set(
+      saleInvoice.lateFeeCharges.map((charge) =>
+        moment(charge.chargeDate).format('YYYY-MM-DD')
+      )
+    );
+    const chargeDates = getLateFeeChargeDates(
+      saleInvoice.dueDate,
+      policy.graceDays,
+      policy.frequency,
+      asDate,
+      policy.enabledAt
+    )
+      .filter((chargeDate) => !chargedDates.has(chargeDate))
+      .filter(
+        (chargeDate) =>
+          !this.transactionsLockingGuard.isModuleTransactionsLocking(
+            tenantId,
+            moment(chargeDate).toDate(),
+            TransactionsLockingGroup.Sales
+          )
+      );
+
+    const feeInvoices = [];
+
+    for (const chargeDate of chargeDates) {
+      const overdueBalance = await this.getOverdueBalanceAsOf(
+        tenantId,
+        saleInvoice,
+        policy.compounding ? lateFeeInvoices : [],
+        chargeDate
+      );
+      const feeAmount = calcLateFeeAmount(
+        policy.feeType,
+        policy.amount,
+        overdueBalance
+      );
+      if (feeAmount <= 0) continue;
+
+      const feeInvoice = await this.uow.withTransaction(
+        tenantId,
+        async (trx: Knex.Transaction) => {
+          const feeInvoice =
+            await this.saleInvoiceApplication.createSaleInvoice(
+              tenantId,
+              this.transformLateFeeInvoiceDTO(
+                policy,
+                saleInvoice,
+                chargeDate,
+                feeAmount
+              ),
+              { id: saleInvoice.userId } as ITenantUser,
+              trx
+            );
+          // Records the charge date, the unique charge date of the invoice
+          // guards against charging the same date twice.
+          await LateFeeCharge.query(trx).insert({
+            saleInvoiceId: saleInvoice.id,
+            chargeDate,
+            amount: feeAmount,
+            feeInvoiceId: feeInvoice.id,
+          });
+          // Triggers `onSaleInvoiceLateFeeCharged` event.
+          await this.eventPublisher.emitAsync(events.lateFees.onCharged, {
+            tenantId,
+            saleInvoice,
+            feeInvoice,
+            chargeDate,
+            trx,
+          } as ISaleInvoiceLateFeeChargedPayload);
+
+          return feeInvoice;
+        }
+      );
+      lateFeeInvoices.push(feeInvoice);
+      feeInvoices.push(feeInvoice);
+    }
+    return feeInvoices;
+  }
+
+  /**
+   * Retrieves the overdue balance of the given invoice as of the given charge
+   * date, the settlements made after the charge date are added back to the
+   * current due amount. The given late fee invoices issued before the charge
+   * date are included in the balance.
+   * @param {number} tenantId
+   * @param {ISaleInvoice} saleInvoice
+   * @param {ISaleInvoice[]} lateFeeInvoices
+   * @param {string} chargeDate
+   * @returns {Promise<number>}
+   */
+  private async getOverdueBalanceAsOf(
+    tenantId: number,
+    saleInvoice: ISaleInvoice,
+    lateFeeInvoices: ISaleInvoice[],
+    chargeDate: string
+  ): Promise<number> {
+    const { PaymentReceiveEntry, CreditNoteAppliedInvoice } =
+      this.tenancy.models(tenantId);
+
+    const invoices = [
+      saleInvoice,
+      ...lateFeeInvoices.filter((invoice) =>
+        moment(invoice.invoiceDate).isBefore(chargeDate, 'day')
+      ),
+    ];
+    const invoicesIds = invoices.map((invoice) => invoice.id);
+
+    const laterPaymentEntries = await PaymentReceiveEntry.query()
+      .withGraphJoined('payment')
+      .whereIn('payment_receives_entries.invoice_id', invoicesIds)
+      .where('payment.payment_date', '>', chargeDate);
+
+    const laterAppliedCredits = await CreditNoteAppliedInvoice.query()
+      .withGraphJoined('creditNote')
+      .whereIn('credit_note_applied_invoice.invoice_id', invoicesIds)
+      .where('creditNote.credit_note_date', '>', chargeDate);
+
+    const laterWrittenoffAmount = sumBy(invoices, (invoice) =>
+      invoice.writtenoffAt && moment(invoice.writtenoffAt).isAfter(chargeDate)
+        ? invoice.writtenoffAmount
+        : 0
+    );
+    return (
+      sumBy(invoices, 'dueAmount') +
+      sumBy(
+        laterPaymentEntries,
+        (entry: IPaymentReceiveEntry) =>
+          entry.paymentAmount + (entry.discountAmount || 0)
+      ) +
+      sumBy(laterAppliedCredits, 'amount') +
+      laterWrittenoffAmount
+    );
+  }
+
+  /**
+   * Transformes the late fee charge to the fee invoice DTO, the fee invoice
+   * is due on receipt and refers to the overdue invoice number.
+   * @param {ILateFeePolicy} policy
+   * @param {ISaleInvoice} saleInvoice
+   * @param {string} chargeDate
+   * @param {number} feeAmount
+   * @returns {ISaleInvoiceCreateDTO}
+   */
+  private transformLateFeeInvoiceDTO(
+    policy: ILateFeePolicy,
+    saleInvoice: ISaleInvoice,
+    chargeDate: string,
+    feeAmount: number
+  ): ISaleInvoiceCreateDTO {
+    const description =
+      policy.feeType === LateFeeType.Percentage
+        ? `Late fee ${policy.amount}% on invoice ${saleInvoice.invoiceNo}`
+        : `Late fee on invoice ${saleInvoice.invoiceNo}`;
+
+    return {
+      customerId: saleInvoice.customerId,
+      invoiceDate: moment(chargeDate).toDate(),
+      dueDate: moment(chargeDate).toDate(),
+      referenceNo: saleInvoice.invoiceNo,
+      exchangeRate: saleInvoice.exchangeRate,
+      branchId: saleInvoice.branchId,
+      projectId: saleInvoice.projectId,
+      delivered: true,
+      fromEstimateId: null,
+      lateFeeForInvoiceId: saleInvoice.id,
+      entries: [
+        {
+          index: 1,
+          itemId: policy.itemId,
+          quantity: 1,
+          rate: feeAmount,
+          description,
+          ...(policy.incomeAccountId && {
+            sellAccountId: policy.incomeAccountId,
+          }),
+        } as IItemEntryDTO,
+      ],
+    } as ISaleInvoiceCreateDTO;
+  }
+}
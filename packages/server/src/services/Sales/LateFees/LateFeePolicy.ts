@@ -0,0 +1,111 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { isUndefined } from 'lodash';
+import {
+  ILateFeePolicy,
+  ILateFeePolicyDTO,
+  ILateFeePolicySavedPayload,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { LateFeeValidators } from './LateFeeValidators';
+import { DEFAULT_LATE_FEE_POLICY, LATE_FEES_SETTINGS_GROUP } from './constants';
+
+@Service()
+export class LateFeePolicy {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: LateFeeValidators;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Retrieves the organization late fee policy from the settings.
+   * @param {number} tenantId
+   * @returns {ILateFeePolicy}
+   */
+  public getPolicy(tenantId: number): ILateFeePolicy {
+    const settings = this.tenancy.settings(tenantId);
+    const group = LATE_FEES_SETTINGS_GROUP;
+
+    const get = (key: string, defaultValue) => {
+      const value = settings.get({ group, key });
+      return isUndefined(value) || value === null ? defaultValue : value;
+    };
+    return {
+      enabled: get('enabled', DEFAULT_LATE_FEE_POLICY.enabled),
+      feeType: get('fee_type', DEFAULT_LATE_FEE_POLICY.feeType),
+      amount: get('amount', DEFAULT_LATE_FEE_POLICY.amount),
+      graceDays: get('grace_days', DEFAULT_LATE_FEE_POLICY.graceDays),
+      frequency: get('frequency', DEFAULT_LATE_FEE_POLICY.frequency),
+      compounding: get('compounding', DEFAULT_LATE_FEE_POLICY.compounding),
+      incomeAccountId: get(
+        'income_account',
+        DEFAULT_LATE_FEE_POLICY.incomeAccountId
+      ),
+      itemId: get('item', DEFAULT_LATE_FEE_POLICY.itemId),
+      enabledAt: get('enabled_at', DEFAULT_LATE_FEE_POLICY.enabledAt),
+    };
+  }
+
+  /**
+   * Saves the organization late fee policy to the settings, enabling the
+   * disabled policy records the enable date so the invoices overdue before
+   * aren't charged back.
+   * @param {number} tenantId
+   * @param {ILateFeePolicyDTO} policyDTO
+   * @returns {Promise<ILateFeePolicy>}
+   */
+  public async savePolicy(
+    tenantId: number,
+    policyDTO: ILateFeePolicyDTO
+  ): Promise<ILateFeePolicy> {
+    const settings = this.tenancy.settings(tenantId);
+    const group = LATE_FEES_SETTINGS_GROUP;
+
+    // Validates the fee item.
+    await this.validators.validateFeeItem(tenantId, policyDTO.itemId);
+
+    // Validates the income account.
+    if (policyDTO.incomeAccountId) {
+      await this.validators.validateIncomeAccount(
+        tenantId,
+        policyDTO.incomeAccountId
+      );
+    }
+    const oldPolicy = this.getPolicy(tenantId);
+    const isEnabling = policyDTO.enabled && !oldPolicy.enabled;
+
+    const values = {
+      enabled: policyDTO.enabled,
+      fee_type: policyDTO.feeType,
+      amount: policyDTO.amount,
+      grace_days: policyDTO.graceDays,
+      frequency: policyDTO.frequency,
+      compounding: policyDTO.compounding,
+      income_account: policyDTO.incomeAccountId,
+      item: policyDTO.itemId,
+      ...(isEnabling && { enabled_at: moment().format('YYYY-MM-DD') }),
+    };
+    Object.entries(values).forEach(([key, value]) => {
+      if (!isUndefined(value)) {
+        settings.set({ group, key, value });
+      }
+    });
+    await settings.save();
+
+    const policy = this.getPolicy(tenantId);
+
+    // Triggers `onLateFeePolicySaved` event.
+    await this.eventPublisher.emitAsync(events.lateFees.onPolicySaved, {
+      tenantId,
+      policy,
+    } as ILateFeePolicySavedPayload);
+
+    return policy;
+  }
+}
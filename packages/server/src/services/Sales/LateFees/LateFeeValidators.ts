@@ -0,0 +1,74 @@
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import { ILateFeePolicy, ISaleInvoice } from '@/interfaces';
+import { ACCOUNT_ROOT_TYPE } from '@/data/AccountTypes';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class LateFeeValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the late fee policy is enabled and has a fee item.
+   * @param {ILateFeePolicy} policy
+   * @throws {ServiceError}
+   */
+  public validatePolicyEnabled(policy: ILateFeePolicy) {
+    if (!policy.enabled || !policy.itemId) {
+      throw new ServiceError(ERRORS.LATE_FEE_POLICY_DISABLED);
+    }
+  }
+
+  /**
+   * Validates the late fee item existance, the fee line should be sold
+   * by a non-inventory item.
+   * @param {number} tenantId
+   * @param {number} itemId
+   * @throws {ServiceError}
+   */
+  public async validateFeeItem(tenantId: number, itemId: number) {
+    const { Item } = this.tenancy.models(tenantId);
+
+    const item = await Item.query().findById(itemId);
+
+    if (!item) {
+      throw new ServiceError(ERRORS.LATE_FEE_ITEM_NOT_FOUND);
+    }
+    if (!item.sellable || item.type === 'inventory') {
+      throw new ServiceError(ERRORS.LATE_FEE_ITEM_INVALID);
+    }
+  }
+
+  /**
+   * Validates the late fee income account existance and root type.
+   * @param {number} tenantId
+   * @param {number} accountId
+   * @throws {ServiceError}
+   */
+  public async validateIncomeAccount(tenantId: number, accountId: number) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    const account = await Account.query().findById(accountId);
+
+    if (!account) {
+      throw new ServiceError(ERRORS.LATE_FEE_INCOME_ACCOUNT_NOT_FOUND);
+    }
+    if (!account.isRootType(ACCOUNT_ROOT_TYPE.INCOME)) {
+      throw new ServiceError(ERRORS.LATE_FEE_INCOME_ACCOUNT_INVALID_TYPE);
+    }
+  }
+
+  /**
+   * Validates the given invoice is not a late fee invoice, the late fees are
+   * charged on the overdue invoice itself.
+   * @param {ISaleInvoice} saleInvoice
+   * @throws {ServiceError}
+   */
+  public validateInvoiceNotLateFee(saleInvoice: ISaleInvoice) {
+    if (saleInvoice.lateFeeForInvoiceId) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_IS_LATE_FEE);
+    }
+  }
+}
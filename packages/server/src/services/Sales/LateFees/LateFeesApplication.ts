@@ -0,0 +1,57 @@
+import { Inject, Service } from 'typedi';
+import { ILateFeePolicyDTO } from '@/interfaces';
+import { LateFeePolicy } from './LateFeePolicy';
+import { ChargeSaleInvoiceLateFees } from './ChargeSaleInvoiceLateFees';
+
+@Service()
+export class LateFeesApplication {
+  @Inject('agenda')
+  private agenda: any;
+
+  @Inject()
+  private lateFeePolicy: LateFeePolicy;
+
+  @Inject()
+  private chargeLateFeesService: ChargeSaleInvoiceLateFees;
+
+  /**
+   * Retrieves the late fee policy.
+   * @param {number} tenantId
+   * @returns {ILateFeePolicy}
+   */
+  public getLateFeePolicy(tenantId: number) {
+    return this.lateFeePolicy.getPolicy(tenantId);
+  }
+
+  /**
+   * Saves the late fee policy.
+   * @param {number} tenantId
+   * @param {ILateFeePolicyDTO} policyDTO
+   * @returns {Promise<ILateFeePolicy>}
+   */
+  public saveLateFeePolicy(tenantId: number, policyDTO: ILateFeePolicyDTO) {
+    return this.lateFeePolicy.savePolicy(tenantId, policyDTO);
+  }
+
+  /**
+   * Charges the due late fees of the given overdue invoice.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   * @returns {Promise<ISaleInvoice[]>}
+   */
+  public chargeSaleInvoiceLateFees(tenantId: number, saleInvoiceId: number) {
+    return this.chargeLateFeesService.chargeSaleInvoice(
+      tenantId,
+      saleInvoiceId
+    );
+  }
+
+  /**
+   * Queues charging the due late fees of all the overdue invoices.
+   * @param {number} tenantId
+   * @returns {Promise<void>}
+   */
+  public async runLateFees(tenantId: number) {
+    await this.agenda.now('late-fees-charge', { tenantId });
+  }
+}
@@ -0,0 +1,60 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { formatNumber } from 'utils';
+
+export class SaleInvoiceLateFeeTransformer extends Transformer {
+  /**
+   * Include these attributes to the late fee invoice object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'id',
+      'invoiceNo',
+      'invoiceDate',
+      'invoiceDateFormatted',
+      'total',
+      'totalFormatted',
+      'dueAmount',
+      'dueAmountFormatted',
+    ];
+  };
+
+  /**
+   * Exclude attributes.
+   * @returns {string[]}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+
+  /**
+   * Retrieves formatted invoice date.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected invoiceDateFormatted = (invoice): string => {
+    return this.formatDate(invoice.invoiceDate);
+  };
+
+  /**
+   * Retrieves formatted invoice total.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected totalFormatted = (invoice): string => {
+    return formatNumber(invoice.total, {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves formatted invoice due amount.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected dueAmountFormatted = (invoice): string => {
+    return formatNumber(invoice.dueAmount, {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+}
@@ -0,0 +1,24 @@
+import { LateFeeFrequency, LateFeeType } from '@/interfaces';
+
+export const ERRORS = {
+  LATE_FEE_POLICY_DISABLED: 'LATE_FEE_POLICY_DISABLED',
+  LATE_FEE_ITEM_NOT_FOUND: 'LATE_FEE_ITEM_NOT_FOUND',
+  LATE_FEE_ITEM_INVALID: 'LATE_FEE_ITEM_INVALID',
+  LATE_FEE_INCOME_ACCOUNT_NOT_FOUND: 'LATE_FEE_INCOME_ACCOUNT_NOT_FOUND',
+  LATE_FEE_INCOME_ACCOUNT_INVALID_TYPE: 'LATE_FEE_INCOME_ACCOUNT_INVALID_TYPE',
+  SALE_INVOICE_IS_LATE_FEE: 'SALE_INVOICE_IS_LATE_FEE',
+};
+
+export const LATE_FEES_SETTINGS_GROUP = 'late_fees';
+
+export const DEFAULT_LATE_FEE_POLICY = {
+  enabled: false,
+  feeType: LateFeeType.Percentage,
+  amount: 0,
+  graceDays: 0,
+  frequency: LateFeeFrequency.Monthly,
+  compounding: false,
+  incomeAccountId: null,
+  itemId: null,
+  enabledAt: null,
+};
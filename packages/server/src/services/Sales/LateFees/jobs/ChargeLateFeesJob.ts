@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { ChargeSaleInvoiceLateFees } from '../ChargeSaleInvoiceLateFees';
+
+@Service()
+export class ChargeLateFeesJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'late-fees-charge',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Charges the due late fees of the given tenant overdue invoices.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const chargeService = Container.get(ChargeSaleInvoiceLateFees);
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await chargeService.chargeOverdueInvoices(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -0,0 +1,36 @@
+import Container, { Service } from 'typedi';
+import bluebird from 'bluebird';
+import { Tenant } from '@/system/models';
+
+@Service()
+export class ScheduleLateFeesJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define('late-fees-schedule', this.handler);
+  }
+
+  /**
+   * Queues the late fees charge job of every ready organization.
+   */
+  private handler = async (job, done: Function) => {
+    const agenda: any = Container.get('agenda');
+
+    try {
+      const tenants = await Tenant.query()
+        .whereNotNull('initializedAt')
+        .whereNotNull('seededAt');
+
+      await bluebird.map(
+        tenants,
+        (tenant) => agenda.now('late-fees-charge', { tenantId: tenant.id }),
+        { concurrency: 10 }
+      );
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
@@ -80,7 +80,7 @@ export class CreatePaymentReceive {
     // Validate invoice payment amount.
     await this.validators.validateInvoicesPaymentsAmount(
       tenantId,
-      paymentReceiveDTO.entries
+      paymentReceiveObj.entries
     );
     // Validates the payment account currency code.
     this.validators.validatePaymentAccountCurrency(
@@ -114,7 +114,7 @@ export class EditPaymentReceive {
     // Validate invoice payment amount.
     await this.validators.validateInvoicesPaymentsAmount(
       tenantId,
-      paymentReceiveDTO.entries,
+      paymentReceiveObj.entries,
       oldPaymentReceive.entries
     );
     // Validates the payment account currency code.
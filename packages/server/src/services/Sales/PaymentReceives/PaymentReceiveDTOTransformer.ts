@@ -6,10 +6,13 @@ import {
   IPaymentReceive,
   IPaymentReceiveCreateDTO,
   IPaymentReceiveEditDTO,
+  IPaymentReceiveEntry,
 } from '@/interfaces';
 import { PaymentReceiveValidators } from './PaymentReceiveValidators';
 import { PaymentReceiveIncrement } from './PaymentReceiveIncrement';
 import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/BranchTransactionDTOTransform';
+import { EarlyPaymentDiscountDTOTransform } from '@/services/Discounts/EarlyPaymentDiscountDTOTransform';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
 import { formatDateFields } from '@/utils';
 
 @Service()
@@ -23,6 +26,12 @@ export class PaymentReceiveDTOTransformer {
   @Inject()
   private branchDTOTransform: BranchTransactionDTOTransform;
 
+  @Inject()
+  private earlyPaymentDiscountDTOTransform: EarlyPaymentDiscountDTOTransform;
+
+  @Inject()
+  private tenancy: HasTenancyService;
+
   /**
    * Transformes the create payment receive DTO to model object.
    * @param {number} tenantId
@@ -50,20 +59,65 @@ export class PaymentReceiveDTOTransformer {
 
     this.validators.validatePaymentNoRequire(paymentReceiveNo);
 
+    // Associates the early payment discount of the paid invoices to entries.
+    const entries = await this.transformDTOEntriesDiscount(
+      tenantId,
+      paymentReceiveDTO,
+      oldPaymentReceive
+    );
     const initialDTO = {
-      ...formatDateFields(omit(paymentReceiveDTO, ['entries', 'attachments']), [
-        'paymentDate',
-      ]),
+      ...formatDateFields(
+        omit(paymentReceiveDTO, [
+          'entries',
+          'attachments',
+          'applyEarlyPaymentDiscount',
+        ]),
+        ['paymentDate']
+      ),
       amount: paymentAmount,
+      discountAmount: sumBy(entries, 'discountAmount'),
       currencyCode: customer.currencyCode,
       ...(paymentReceiveNo ? { paymentReceiveNo } : {}),
       exchangeRate: paymentReceiveDTO.exchangeRate || 1,
-      entries: paymentReceiveDTO.entries.map((entry) => ({
-        ...entry,
-      })),
+      entries,
     };
     return R.compose(
       this.branchDTOTransform.transformDTO<IPaymentReceive>(tenantId)
     )(initialDTO);
   }
+
+  /**
+   * Transformes the DTO entries to entries with the early payment discount
+   * amount, the discount is applied only once requested by the DTO.
+   * @param {number} tenantId
+   * @param {IPaymentReceiveCreateDTO|IPaymentReceiveEditDTO} paymentReceiveDTO
+   * @param {IPaymentReceive} oldPaymentReceive
+   * @returns {Promise<IPaymentReceiveEntry[]>}
+   */
+  private async transformDTOEntriesDiscount(
+    tenantId: number,
+    paymentReceiveDTO: IPaymentReceiveCreateDTO | IPaymentReceiveEditDTO,
+    oldPaymentReceive?: IPaymentReceive
+  ): Promise<IPaymentReceiveEntry[]> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    if (!paymentReceiveDTO.applyEarlyPaymentDiscount) {
+      return paymentReceiveDTO.entries.map((entry) => ({
+        ...entry,
+        discountAmount: 0,
+      }));
+    }
+    const invoices = await SaleInvoice.query().whereIn(
+      'id',
+      paymentReceiveDTO.entries.map((entry) => entry.invoiceId)
+    );
+    return this.earlyPaymentDiscountDTOTransform.assocEntriesDiscountAmount(
+      paymentReceiveDTO.entries,
+      invoices,
+      'invoiceId',
+      'invoiceDate',
+      paymentReceiveDTO.paymentDate,
+      oldPaymentReceive?.entries
+    );
+  }
 }
@@ -8,7 +8,7 @@ export class PaymentReceiveEntryTransfromer extends Transformer {
    * @returns {Array}
    */
   public includeAttributes = (): string[] => {
-    return ['paymentAmountFormatted', 'invoice'];
+    return ['paymentAmountFormatted', 'discountAmountFormatted', 'invoice'];
   };
 
   /**
@@ -20,6 +20,15 @@ export class PaymentReceiveEntryTransfromer extends Transformer {
     return formatNumber(entry.paymentAmount, { money: false });
   }
 
+  /**
+   * Retreives the early payment discount amount formatted.
+   * @param entry
+   * @returns {string}
+   */
+  protected discountAmountFormatted(entry) {
+    return formatNumber(entry.discountAmount, { money: false });
+  }
+
   /**
    * Retreives the transformed invoice.
    */
@@ -4,6 +4,7 @@ import { Knex } from 'knex';
 import Ledger from '@/services/Accounting/Ledger';
 import TenancyService from '@/services/Tenancy/TenancyService';
 import {
+  IAccount,
   IPaymentReceive,
   ILedgerEntry,
   AccountNormal,
@@ -117,11 +118,17 @@ export class PaymentReceiveGLEntries {
       'findBySlug',
       'exchange-grain-loss'
     );
+    // Early payment discount account.
+    const discountAccount = paymentReceive.discountAmount
+      ? await accountRepository.findOrCreateDiscountAccount({}, trx)
+      : null;
+
     const ledgerEntries = this.getPaymentReceiveGLEntries(
       paymentReceive,
       receivableAccount.id,
       exGainLossAccount.id,
-      baseCurrencyCode
+      baseCurrencyCode,
+      discountAccount
     );
     return new Ledger(ledgerEntries);
   };
@@ -135,9 +142,10 @@ export class PaymentReceiveGLEntries {
     paymentReceive: IPaymentReceive
   ): number => {
     return sumBy(paymentReceive.entries, (entry) => {
-      const paymentLocalAmount =
-        entry.paymentAmount * paymentReceive.exchangeRate;
-      const invoicePayment = entry.paymentAmount * entry.invoice.exchangeRate;
+      // The early payment discount settles the invoice with the payment.
+      const settledAmount = entry.paymentAmount + (entry.discountAmount || 0);
+      const paymentLocalAmount = settledAmount * paymentReceive.exchangeRate;
+      const invoicePayment = settledAmount * entry.invoice.exchangeRate;
 
       return paymentLocalAmount - invoicePayment;
     });
@@ -250,7 +258,7 @@ export class PaymentReceiveGLEntries {
 
     return {
       ...commonJournal,
-      credit: paymentReceive.localAmount,
+      credit: paymentReceive.localAmount + paymentReceive.discountAmountLocal,
       contactId: paymentReceive.customerId,
       accountId: ARAccountId,
       index: 1,
@@ -258,6 +266,27 @@ export class PaymentReceiveGLEntries {
     };
   };
 
+  /**
+   * Retrieves the payment early payment discount GL entry.
+   * @param   {IPaymentReceive} paymentReceive
+   * @param   {IAccount} discountAccount
+   * @returns {ILedgerEntry}
+   */
+  private getPaymentDiscountGLEntry = (
+    paymentReceive: IPaymentReceive,
+    discountAccount: IAccount
+  ): ILedgerEntry => {
+    const commonJournal = this.getPaymentReceiveCommonEntry(paymentReceive);
+
+    return {
+      ...commonJournal,
+      debit: paymentReceive.discountAmountLocal,
+      accountId: discountAccount.id,
+      index: 4,
+      accountNormal: discountAccount.accountNormal,
+    };
+  };
+
   /**
    * Records payment receive journal transactions.
    *
@@ -271,13 +300,15 @@ export class PaymentReceiveGLEntries {
    * @param   {number} ARAccountId - A/R account id.
    * @param   {number} exGainOrLossAccountId - Exchange gain/loss account id.
    * @param   {string} baseCurrency - Base currency code.
+   * @param   {IAccount} discountAccount - Early payment discount account.
    * @returns {Promise<ILedgerEntry>}
    */
   public getPaymentReceiveGLEntries = (
     paymentReceive: IPaymentReceive,
     ARAccountId: number,
     exGainOrLossAccountId: number,
-    baseCurrency: string
+    baseCurrency: string,
+    discountAccount?: IAccount
   ): ILedgerEntry[] => {
     // Retrieve the payment deposit entry.
     const paymentDepositEntry = this.getPaymentDepositGLEntry(paymentReceive);
@@ -294,6 +325,16 @@ export class PaymentReceiveGLEntries {
       exGainOrLossAccountId,
       baseCurrency
     );
-    return [paymentDepositEntry, receivableEntry, ...gainLossEntries];
+    // Early payment discount entry.
+    const discountEntries = paymentReceive.discountAmount
+      ? [this.getPaymentDiscountGLEntry(paymentReceive, discountAccount)]
+      : [];
+
+    return [
+      paymentDepositEntry,
+      receivableEntry,
+      ...gainLossEntries,
+      ...discountEntries,
+    ];
   };
 }
@@ -1,6 +1,6 @@
 import { Inject, Service } from 'typedi';
 import { Knex } from 'knex';
-import { IPaymentReceiveEntryDTO } from '@/interfaces';
+import { IPaymentReceiveEntry } from '@/interfaces';
 import HasTenancyService from '@/services/Tenancy/TenancyService';
 import { entriesAmountDiff } from '@/utils';
 
@@ -19,16 +19,16 @@ export class PaymentReceiveInvoiceSync {
    */
   public async saveChangeInvoicePaymentAmount(
     tenantId: number,
-    newPaymentReceiveEntries: IPaymentReceiveEntryDTO[],
-    oldPaymentReceiveEntries?: IPaymentReceiveEntryDTO[],
+    newPaymentReceiveEntries: IPaymentReceiveEntry[],
+    oldPaymentReceiveEntries?: IPaymentReceiveEntry[],
     trx?: Knex.Transaction
   ): Promise<void> {
     const { SaleInvoice } = this.tenancy.models(tenantId);
     const opers: Promise<void>[] = [];
 
     const diffEntries = entriesAmountDiff(
-      newPaymentReceiveEntries,
-      oldPaymentReceiveEntries,
+      this.getEntriesSettledAmount(newPaymentReceiveEntries),
+      this.getEntriesSettledAmount(oldPaymentReceiveEntries),
       'paymentAmount',
       'invoiceId'
     );
@@ -45,4 +45,19 @@ export class PaymentReceiveInvoiceSync {
     });
     await Promise.all([...opers]);
   }
+
+  /**
+   * Retrieves the entries with the invoice amount they settle, the early
+   * payment discount settles the invoice along with the payment amount.
+   * @param {IPaymentReceiveEntry[]} entries
+   * @returns {IPaymentReceiveEntry[]}
+   */
+  private getEntriesSettledAmount = (
+    entries: IPaymentReceiveEntry[]
+  ): IPaymentReceiveEntry[] => {
+    return (entries || []).map((entry) => ({
+      ...entry,
+      paymentAmount: entry.paymentAmount + (entry.discountAmount || 0),
+    }));
+  };
 }
@@ -14,6 +14,7 @@ export class PaymentReceiveTransfromer extends Transformer {
       'formattedPaymentDate',
       'formattedCreatedAt',
       'formattedAmount',
+      'formattedDiscountAmount',
       'formattedExchangeRate',
       'entries',
     ];
@@ -58,6 +59,17 @@ export class PaymentReceiveTransfromer extends Transformer {
     return formatNumber(payment.amount, { currencyCode: payment.currencyCode });
   };
 
+  /**
+   * Retrieve formatted early payment discount amount.
+   * @param {IPaymentReceive} payment
+   * @returns {string}
+   */
+  protected formattedDiscountAmount = (payment: IPaymentReceive): string => {
+    return formatNumber(payment.discountAmount, {
+      currencyCode: payment.currencyCode,
+    });
+  };
+
   /**
    * Retrieve the formatted exchange rate.
    * @param   {IPaymentReceive} payment
@@ -100,12 +100,12 @@ export class PaymentReceiveValidators {
    */
   public async validateInvoicesPaymentsAmount(
     tenantId: number,
-    paymentReceiveEntries: IPaymentReceiveEntryDTO[],
+    paymentReceiveEntries: IPaymentReceiveEntry[],
     oldPaymentEntries: IPaymentReceiveEntry[] = []
   ) {
     const { SaleInvoice } = this.tenancy.models(tenantId);
     const invoicesIds = paymentReceiveEntries.map(
-      (e: IPaymentReceiveEntryDTO) => e.invoiceId
+      (e: IPaymentReceiveEntry) => e.invoiceId
     );
 
     const storedInvoices = await SaleInvoice.query().whereIn('id', invoicesIds);
@@ -113,7 +113,9 @@ export class PaymentReceiveValidators {
     const storedInvoicesMap = new Map(
       storedInvoices.map((invoice: ISaleInvoice) => {
         const oldEntries = oldPaymentEntries.filter((entry) => entry.invoiceId);
-        const oldPaymentAmount = sumBy(oldEntries, 'paymentAmount') || 0;
+        const oldPaymentAmount =
+          sumBy(oldEntries, (e) => e.paymentAmount + (e.discountAmount || 0)) ||
+          0;
 
         return [
           invoice.id,
@@ -124,11 +126,12 @@ export class PaymentReceiveValidators {
     const hasWrongPaymentAmount: any[] = [];
 
     paymentReceiveEntries.forEach(
-      (entry: IPaymentReceiveEntryDTO, index: number) => {
+      (entry: IPaymentReceiveEntry, index: number) => {
         const entryInvoice = storedInvoicesMap.get(entry.invoiceId);
         const { dueAmount } = entryInvoice;
 
-        if (dueAmount < entry.paymentAmount) {
+        // The early payment discount settles the invoice with the payment.
+        if (dueAmount < entry.paymentAmount + (entry.discountAmount || 0)) {
           hasWrongPaymentAmount.push({ index, due_amount: dueAmount });
         }
       }
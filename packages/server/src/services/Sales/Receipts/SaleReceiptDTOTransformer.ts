@@ -11,6 +11,7 @@ import { ICustomer, ISaleReceipt, ISaleReceiptDTO } from '@/interfaces';
 import { formatDateFields } from '@/utils';
 import { SaleReceiptIncrement } from './SaleReceiptIncrement';
 import { ItemEntry } from '@/models';
+import { DocumentDiscountDTOTransform } from '@/services/Discounts/DocumentDiscountDTOTransform';
 
 @Service()
 export class SaleReceiptDTOTransformer {
@@ -29,6 +30,9 @@ export class SaleReceiptDTOTransformer {
   @Inject()
   private receiptIncrement: SaleReceiptIncrement;
 
+  @Inject()
+  private discountDTOTransform: DocumentDiscountDTOTransform;
+
   /**
    * Transform create DTO object to model object.
    * @param {ISaleReceiptDTO} saleReceiptDTO -
@@ -83,6 +87,8 @@ export class SaleReceiptDTOTransformer {
       entries,
     };
     return R.compose(
+      // Associates the discount amount to the model.
+      this.discountDTOTransform.assocDiscountAmount<ISaleReceipt>(),
       this.branchDTOTransform.transformDTO<ISaleReceipt>(tenantId),
       this.warehouseDTOTransform.transformDTO<ISaleReceipt>(tenantId)
     )(initialDTO);
@@ -10,6 +10,10 @@ import {
   IItemEntry,
 } from '@/interfaces';
 import Ledger from '@/services/Accounting/Ledger';
+import {
+  DocumentDiscountGLEntries,
+  IDocumentDiscountChargesAccounts,
+} from '@/services/Discounts/DocumentDiscountGLEntries';
 
 @Service()
 export class SaleReceiptGLEntries {
@@ -19,6 +23,9 @@ export class SaleReceiptGLEntries {
   @Inject()
   private ledgerStorage: LedgerStorageService;
 
+  @Inject()
+  private discountGLEntries: DocumentDiscountGLEntries;
+
   /**
    * Creates income GL entries.
    * @param {number} tenantId
@@ -36,8 +43,18 @@ export class SaleReceiptGLEntries {
       .findById(saleReceiptId)
       .withGraphFetched('entries.item');
 
+    // Find or create the discount and charges accounts.
+    const discountChargesAccounts =
+      await this.discountGLEntries.findOrCreateSalesAccounts(
+        tenantId,
+        saleReceipt,
+        trx
+      );
     // Retrieve the income entries ledger.
-    const incomeLedger = this.getIncomeEntriesLedger(saleReceipt);
+    const incomeLedger = this.getIncomeEntriesLedger(
+      saleReceipt,
+      discountChargesAccounts
+    );
 
     // Commits the ledger entries to the storage.
     await this.ledgerStorage.commit(tenantId, incomeLedger, trx);
@@ -85,10 +102,17 @@ export class SaleReceiptGLEntries {
   /**
    * Retrieves the income GL ledger.
    * @param {ISaleReceipt} saleReceipt
+   * @param {IDocumentDiscountChargesAccounts} discountChargesAccounts
    * @returns {Ledger}
    */
-  private getIncomeEntriesLedger = (saleReceipt: ISaleReceipt): Ledger => {
-    const entries = this.getIncomeGLEntries(saleReceipt);
+  private getIncomeEntriesLedger = (
+    saleReceipt: ISaleReceipt,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts
+  ): Ledger => {
+    const entries = this.getIncomeGLEntries(
+      saleReceipt,
+      discountChargesAccounts
+    );
 
     return new Ledger(entries);
   };
@@ -161,7 +185,7 @@ export class SaleReceiptGLEntries {
 
     return {
       ...commonEntry,
-      debit: saleReceipt.localAmount,
+      debit: saleReceipt.totalLocal,
       accountId: saleReceipt.depositAccountId,
       index: 1,
       accountNormal: AccountNormal.DEBIT,
@@ -171,14 +195,24 @@ export class SaleReceiptGLEntries {
   /**
    * Retrieves the income GL entries.
    * @param   {ISaleReceipt} saleReceipt -
+   * @param   {IDocumentDiscountChargesAccounts} discountChargesAccounts -
    * @returns {ILedgerEntry[]}
    */
-  private getIncomeGLEntries = (saleReceipt: ISaleReceipt): ILedgerEntry[] => {
+  private getIncomeGLEntries = (
+    saleReceipt: ISaleReceipt,
+    discountChargesAccounts: IDocumentDiscountChargesAccounts
+  ): ILedgerEntry[] => {
     const getItemEntry = this.getReceiptIncomeItemEntry(saleReceipt);
 
     const creditEntries = saleReceipt.entries.map(getItemEntry);
     const depositEntry = this.getReceiptDepositEntry(saleReceipt);
 
-    return [depositEntry, ...creditEntries];
+    const discountChargesEntries =
+      this.discountGLEntries.getDiscountChargesGLEntries(
+        saleReceipt,
+        this.getIncomeGLCommonEntry(saleReceipt),
+        discountChargesAccounts
+      );
+    return [depositEntry, ...creditEntries, ...discountChargesEntries];
   };
 }
@@ -15,6 +15,10 @@ export class SaleReceiptTransformer extends Transformer {
     return [
       'formattedSubtotal',
       'formattedAmount',
+      'formattedDiscountAmount',
+      'formattedShippingCharge',
+      'formattedAdjustment',
+      'formattedTotal',
       'formattedReceiptDate',
       'formattedClosedAtDate',
       'formattedCreatedAt',
@@ -23,6 +27,50 @@ export class SaleReceiptTransformer extends Transformer {
     ];
   };
 
+  /**
+   * Retrieves the formatted discount amount.
+   * @param {ISaleReceipt} receipt
+   * @returns {string}
+   */
+  protected formattedDiscountAmount = (receipt): string => {
+    return formatNumber(receipt.discountAmount, {
+      currencyCode: receipt.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted shipping charge.
+   * @param {ISaleReceipt} receipt
+   * @returns {string}
+   */
+  protected formattedShippingCharge = (receipt): string => {
+    return formatNumber(receipt.shippingCharge, {
+      currencyCode: receipt.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted rounding adjustment.
+   * @param {ISaleReceipt} receipt
+   * @returns {string}
+   */
+  protected formattedAdjustment = (receipt): string => {
+    return formatNumber(receipt.adjustment, {
+      currencyCode: receipt.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted total.
+   * @param {ISaleReceipt} receipt
+   * @returns {string}
+   */
+  protected formattedTotal = (receipt): string => {
+    return formatNumber(receipt.total, {
+      currencyCode: receipt.currencyCode,
+    });
+  };
+
   /**
    * Retrieve formatted receipt date.
    * @param {ISaleReceipt} invoice
@@ -0,0 +1,105 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  ISaleInvoiceRecurring,
+  ISaleInvoiceRecurringCreateDTO,
+  ISaleInvoiceRecurringCreatedPayload,
+  ISaleInvoiceRecurringCreatingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { SaleInvoiceRecurringValidators } from './SaleInvoiceRecurringValidators';
+import { SaleInvoiceRecurringDTOTransformer } from './SaleInvoiceRecurringDTOTransformer';
+
+@Service()
+export class CreateSaleInvoiceRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private validators: SaleInvoiceRecurringValidators;
+
+  @Inject()
+  private transformerDTO: SaleInvoiceRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Creates a new recurring sale invoice profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {ISaleInvoiceRecurringCreateDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<ISaleInvoiceRecurring>}
+   */
+  public async createRecurring(
+    tenantId: number,
+    recurringDTO: ISaleInvoiceRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoiceRecurring> {
+    const { SaleInvoiceRecurring, Contact } = this.tenancy.models(tenantId);
+
+    // Validate customer existance.
+    await Contact.query()
+      .modify('customer')
+      .findById(recurringDTO.customerId)
+      .throwIfNotFound();
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate items ids existance.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Validate items should be sellable items.
+    await this.itemsEntriesService.validateNonSellableEntriesItems(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser
+    );
+    // Creates a new recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSaleInvoiceRecurringCreating` event.
+      await this.eventPublisher.emitAsync(
+        events.saleInvoiceRecurring.onCreating,
+        {
+          tenantId,
+          recurringDTO,
+          trx,
+        } as ISaleInvoiceRecurringCreatingPayload
+      );
+      const recurring = await SaleInvoiceRecurring.query(trx).upsertGraph(
+        recurringObj
+      );
+      // Triggers `onSaleInvoiceRecurringCreated` event.
+      await this.eventPublisher.emitAsync(
+        events.saleInvoiceRecurring.onCreated,
+        {
+          tenantId,
+          recurring,
+          recurringId: recurring.id,
+          recurringDTO,
+          authorizedUser,
+          trx,
+        } as ISaleInvoiceRecurringCreatedPayload
+      );
+      return recurring;
+    });
+  }
+}
@@ -0,0 +1,80 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  ISaleInvoiceRecurringDeletedPayload,
+  ISaleInvoiceRecurringDeletingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { SaleInvoiceRecurringValidators } from './SaleInvoiceRecurringValidators';
+
+@Service()
+export class DeleteSaleInvoiceRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: SaleInvoiceRecurringValidators;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Deletes the given recurring profile with associated entries and history,
+   * the already generated invoices are kept untouched.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @returns {Promise<void>}
+   */
+  public async deleteRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    const { SaleInvoiceRecurring, SaleInvoiceRecurringHistory, ItemEntry } =
+      this.tenancy.models(tenantId);
+
+    const oldRecurring = await SaleInvoiceRecurring.query().findById(
+      recurringId
+    );
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSaleInvoiceRecurringDeleting` event.
+      await this.eventPublisher.emitAsync(
+        events.saleInvoiceRecurring.onDeleting,
+        {
+          tenantId,
+          oldRecurring,
+          trx,
+        } as ISaleInvoiceRecurringDeletingPayload
+      );
+      await ItemEntry.query(trx)
+        .where('reference_id', recurringId)
+        .where('reference_type', 'SaleInvoiceRecurring')
+        .delete();
+
+      await SaleInvoiceRecurringHistory.query(trx)
+        .where('recurring_id', recurringId)
+        .delete();
+
+      await SaleInvoiceRecurring.query(trx).findById(recurringId).delete();
+
+      // Triggers `onSaleInvoiceRecurringDeleted` event.
+      await this.eventPublisher.emitAsync(
+        events.saleInvoiceRecurring.onDeleted,
+        {
+          tenantId,
+          recurringId,
+          oldRecurring,
+          trx,
+        } as ISaleInvoiceRecurringDeletedPayload
+      );
+    });
+  }
+}
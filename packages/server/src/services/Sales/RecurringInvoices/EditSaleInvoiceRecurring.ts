@@ -0,0 +1,125 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import {
+  ISaleInvoiceRecurring,
+  ISaleInvoiceRecurringEditDTO,
+  ISaleInvoiceRecurringEditedPayload,
+  ISaleInvoiceRecurringEditingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { SaleInvoiceRecurringValidators } from './SaleInvoiceRecurringValidators';
+import { SaleInvoiceRecurringDTOTransformer } from './SaleInvoiceRecurringDTOTransformer';
+
+@Service()
+export class EditSaleInvoiceRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private validators: SaleInvoiceRecurringValidators;
+
+  @Inject()
+  private transformerDTO: SaleInvoiceRecurringDTOTransformer;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Edits the given recurring sale invoice profile.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   * @param {ISaleInvoiceRecurringEditDTO} recurringDTO - Recurring profile DTO.
+   * @param {ITenantUser} authorizedUser - Authorized user.
+   * @returns {Promise<ISaleInvoiceRecurring>}
+   */
+  public async editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: ISaleInvoiceRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoiceRecurring> {
+    const { SaleInvoiceRecurring, Contact } = this.tenancy.models(tenantId);
+
+    const oldRecurring = await SaleInvoiceRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('entries');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(oldRecurring);
+
+    // Validate customer existance.
+    await Contact.query()
+      .modify('customer')
+      .findById(recurringDTO.customerId)
+      .throwIfNotFound();
+
+    // Validate the end date should be after the start date.
+    this.validators.validateEndDateAfterStartDate(recurringDTO);
+
+    // Validate the recurring entries existance.
+    await this.itemsEntriesService.validateEntriesIdsExistance(
+      tenantId,
+      recurringId,
+      'SaleInvoiceRecurring',
+      recurringDTO.entries
+    );
+    // Validate items ids existance.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Validate items should be sellable items.
+    await this.itemsEntriesService.validateNonSellableEntriesItems(
+      tenantId,
+      recurringDTO.entries
+    );
+    // Transformes the DTO to model object.
+    const recurringObj = this.transformerDTO.transformDTOToModel(
+      recurringDTO,
+      authorizedUser,
+      oldRecurring
+    );
+    // Edits the recurring profile under unit-of-work envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSaleInvoiceRecurringEditing` event.
+      await this.eventPublisher.emitAsync(
+        events.saleInvoiceRecurring.onEditing,
+        {
+          tenantId,
+          oldRecurring,
+          recurringDTO,
+          trx,
+        } as ISaleInvoiceRecurringEditingPayload
+      );
+      const recurring = await SaleInvoiceRecurring.query(
+        trx
+      ).upsertGraphAndFetch({
+        id: recurringId,
+        ...recurringObj,
+      });
+      // Triggers `onSaleInvoiceRecurringEdited` event.
+      await this.eventPublisher.emitAsync(events.saleInvoiceRecurring.onEdited, {
+        tenantId,
+        recurring,
+        oldRecurring,
+        recurringId,
+        recurringDTO,
+        authorizedUser,
+        trx,
+      } as ISaleInvoiceRecurringEditedPayload);
+
+      return recurring;
+    });
+  }
+}
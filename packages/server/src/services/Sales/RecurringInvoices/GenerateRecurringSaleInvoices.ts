@@ -0,0 +1,236 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { pick } from 'lodash';
+import moment from 'moment';
+import bluebird from 'bluebird';
+import {
+  ISaleInvoice,
+  ISaleInvoiceCreateDTO,
+  IItemEntryDTO,
+  ISaleInvoiceRecurring,
+  ISaleInvoiceRecurringGeneratedPayload,
+  ITenantUser,
+  RecurringHistoryStatus,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { SaleInvoiceApplication } from '../Invoices/SaleInvoicesApplication';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class GenerateRecurringSaleInvoices {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private saleInvoiceApplication: SaleInvoiceApplication;
+
+  /**
+   * Generates the invoices of all recurring profiles that due to run
+   * on the given date, including the occurrences missed since the last run.
+   * @param {number} tenantId - Tenant id.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateDueRecurringInvoices(
+    tenantId: number,
+    asDate: Date = moment().toDate()
+  ): Promise<void> {
+    const { SaleInvoiceRecurring } = this.tenancy.models(tenantId);
+
+    const dueRecurringList = await SaleInvoiceRecurring.query()
+      .modify('dueToRun', moment(asDate).format('YYYY-MM-DD'))
+      .withGraphFetched('entries');
+
+    await bluebird.mapSeries(dueRecurringList, (recurring) =>
+      this.generateRecurringInvoices(tenantId, recurring, asDate)
+    );
+  }
+
+  /**
+   * Generates the invoices of the given recurring profile until the given date.
+   * @param {number} tenantId - Tenant id.
+   * @param {ISaleInvoiceRecurring} recurring - Recurring profile.
+   * @param {Date} asDate - Run date.
+   * @returns {Promise<void>}
+   */
+  public async generateRecurringInvoices(
+    tenantId: number,
+    recurring: ISaleInvoiceRecurring,
+    asDate: Date
+  ): Promise<void> {
+    let current = recurring;
+
+    while (
+      current.nextRunAt &&
+      moment(current.nextRunAt).isSameOrBefore(asDate, 'day')
+    ) {
+      current = await this.generateRecurringInvoice(tenantId, current);
+    }
+  }
+
+  /**
+   * Generates the invoice of the next run of the given recurring profile,
+   * records the run to the profile history and moves the profile to the next run.
+   * Failed runs are recorded to the history and skipped.
+   * @param {number} tenantId - Tenant id.
+   * @param {ISaleInvoiceRecurring} recurring - Recurring profile.
+   * @returns {Promise<ISaleInvoiceRecurring>} - The recurring profile after the run.
+   */
+  public async generateRecurringInvoice(
+    tenantId: number,
+    recurring: ISaleInvoiceRecurring
+  ): Promise<ISaleInvoiceRecurring> {
+    const { SaleInvoiceRecurring, SaleInvoiceRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    const runDate = moment(recurring.nextRunAt).format('YYYY-MM-DD');
+    const nextRunDate = getRecurringNextDate(
+      recurring.startDate,
+      recurring.frequency,
+      recurring.repeatInterval,
+      runDate,
+      recurring.endDate
+    );
+    const nextRunAt = nextRunDate
+      ? moment(nextRunDate).format('YYYY-MM-DD')
+      : null;
+
+    const nextRecurring = {
+      ...recurring,
+      lastRunAt: moment(runDate).toDate(),
+      nextRunAt: nextRunDate,
+    };
+    let saleInvoice: ISaleInvoice;
+
+    try {
+      saleInvoice = await this.uow.withTransaction(
+        tenantId,
+        async (trx: Knex.Transaction) => {
+          const saleInvoice = await this.saleInvoiceApplication.createSaleInvoice(
+            tenantId,
+            this.transformRecurringToInvoiceDTO(recurring, runDate),
+            { id: recurring.userId } as ITenantUser,
+            trx
+          );
+          await SaleInvoiceRecurringHistory.query(trx).insert({
+            recurringId: recurring.id,
+            saleInvoiceId: saleInvoice.id,
+            runDate,
+            status: RecurringHistoryStatus.Generated,
+          });
+          await SaleInvoiceRecurring.query(trx)
+            .findById(recurring.id)
+            .patch({ lastRunAt: runDate, nextRunAt });
+
+          // Triggers `onSaleInvoiceRecurringGenerated` event.
+          await this.eventPublisher.emitAsync(
+            events.saleInvoiceRecurring.onGenerated,
+            {
+              tenantId,
+              recurring,
+              saleInvoiceId: saleInvoice.id,
+              runDate: moment(runDate).toDate(),
+              trx,
+            } as ISaleInvoiceRecurringGeneratedPayload
+          );
+          return saleInvoice;
+        }
+      );
+    } catch (error) {
+      await this.recordFailedRun(tenantId, recurring, runDate, nextRunAt, error);
+
+      return { ...nextRecurring, lastRunAt: recurring.lastRunAt };
+    }
+    // Sends the generated invoice to the customer once committed.
+    if (recurring.autoDeliver) {
+      await this.saleInvoiceApplication.sendSaleInvoiceMail(
+        tenantId,
+        saleInvoice.id,
+        {}
+      );
+    }
+    return nextRecurring;
+  }
+
+  /**
+   * Records the failed run to the recurring profile history and skips
+   * the profile to the next run, so the failed run is not retried forever.
+   * @param {number} tenantId
+   * @param {ISaleInvoiceRecurring} recurring
+   * @param {string} runDate
+   * @param {string|null} nextRunAt
+   * @param {any} error
+   * @returns {Promise<void>}
+   */
+  private async recordFailedRun(
+    tenantId: number,
+    recurring: ISaleInvoiceRecurring,
+    runDate: string,
+    nextRunAt: string | null,
+    error: any
+  ): Promise<void> {
+    const { SaleInvoiceRecurring, SaleInvoiceRecurringHistory } =
+      this.tenancy.models(tenantId);
+
+    await SaleInvoiceRecurringHistory.query().insert({
+      recurringId: recurring.id,
+      saleInvoiceId: null,
+      runDate,
+      status: RecurringHistoryStatus.Failed,
+      errorMessage: error?.errorType || error?.message || null,
+    });
+    await SaleInvoiceRecurring.query()
+      .findById(recurring.id)
+      .patch({ nextRunAt });
+  }
+
+  /**
+   * Transformes the recurring profile to sale invoice DTO of the given run date.
+   * @param {ISaleInvoiceRecurring} recurring
+   * @param {string} runDate
+   * @returns {ISaleInvoiceCreateDTO}
+   */
+  private transformRecurringToInvoiceDTO(
+    recurring: ISaleInvoiceRecurring,
+    runDate: string
+  ): ISaleInvoiceCreateDTO {
+    return {
+      customerId: recurring.customerId,
+      invoiceDate: moment(runDate).toDate(),
+      dueDate: moment(runDate).add(recurring.dueDays, 'days').toDate(),
+      referenceNo: recurring.referenceNo,
+      invoiceMessage: recurring.invoiceMessage,
+      termsConditions: recurring.termsConditions,
+      exchangeRate: recurring.exchangeRate,
+      isInclusiveTax: recurring.isInclusiveTax,
+      branchId: recurring.branchId,
+      warehouseId: recurring.warehouseId,
+      projectId: recurring.projectId,
+      delivered: recurring.autoDeliver,
+      fromEstimateId: null,
+      entries: recurring.entries.map(
+        (entry) =>
+          pick(entry, [
+            'index',
+            'itemId',
+            'rate',
+            'quantity',
+            'discount',
+            'description',
+            'taxRateId',
+            'warehouseId',
+            'projectId',
+          ]) as IItemEntryDTO
+      ),
+    } as ISaleInvoiceCreateDTO;
+  }
+}
@@ -0,0 +1,38 @@
+import Container, { Service } from 'typedi';
+import { bootTenantJob } from '@/services/Tenancy/TenantJobBoot';
+import { GenerateRecurringSaleInvoices } from './GenerateRecurringSaleInvoices';
+
+@Service()
+export class GenerateRecurringSaleInvoicesJob {
+  /**
+   * Constructor method.
+   */
+  constructor(agenda) {
+    agenda.define(
+      'recurring-sale-invoices-generate',
+      { priority: 'high', concurrency: 1 },
+      this.handler
+    );
+  }
+
+  /**
+   * Generates the due recurring invoices of the given tenant.
+   */
+  private handler = async (job, done: Function) => {
+    const { tenantId } = job.attrs.data;
+    const generateRecurringInvoices = Container.get(
+      GenerateRecurringSaleInvoices
+    );
+
+    try {
+      const { settings } = await bootTenantJob(tenantId);
+
+      await generateRecurringInvoices.generateDueRecurringInvoices(tenantId);
+      await settings.save();
+      done();
+    } catch (error) {
+      console.log(error);
+      done(error);
+    }
+  };
+}
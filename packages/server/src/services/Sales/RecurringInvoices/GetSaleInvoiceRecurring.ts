@@ -0,0 +1,42 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { SaleInvoiceRecurringTransformer } from './SaleInvoiceRecurringTransformer';
+import { SaleInvoiceRecurringValidators } from './SaleInvoiceRecurringValidators';
+
+@Service()
+export class GetSaleInvoiceRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: SaleInvoiceRecurringValidators;
+
+  /**
+   * Retrieves the recurring profile details with entries and history.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} recurringId - Recurring profile id.
+   */
+  public async getRecurring(tenantId: number, recurringId: number) {
+    const { SaleInvoiceRecurring } = this.tenancy.models(tenantId);
+
+    const recurring = await SaleInvoiceRecurring.query()
+      .findById(recurringId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .withGraphFetched('branch')
+      .withGraphFetched('history.saleInvoice');
+
+    // Validates the recurring profile existance.
+    this.validators.validateRecurringExistance(recurring);
+
+    return this.transformer.transform(
+      tenantId,
+      recurring,
+      new SaleInvoiceRecurringTransformer()
+    );
+  }
+}
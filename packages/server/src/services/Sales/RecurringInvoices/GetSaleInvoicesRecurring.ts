@@ -0,0 +1,32 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { SaleInvoiceRecurringTransformer } from './SaleInvoiceRecurringTransformer';
+
+@Service()
+export class GetSaleInvoicesRecurring {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the recurring profiles list.
+   * @param {number} tenantId - Tenant id.
+   */
+  public async getRecurringList(tenantId: number) {
+    const { SaleInvoiceRecurring } = this.tenancy.models(tenantId);
+
+    const recurringList = await SaleInvoiceRecurring.query()
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .orderBy('created_at', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      recurringList,
+      new SaleInvoiceRecurringTransformer()
+    );
+  }
+}
@@ -0,0 +1,55 @@
+import { Service } from 'typedi';
+import { omit } from 'lodash';
+import moment from 'moment';
+import {
+  ISaleInvoiceRecurring,
+  ISaleInvoiceRecurringDTO,
+  ITenantUser,
+} from '@/interfaces';
+import { formatDateFields } from 'utils';
+import { getRecurringNextDate } from '@/utils/recurring-dates';
+
+@Service()
+export class SaleInvoiceRecurringDTOTransformer {
+  /**
+   * Transformes the recurring profile DTO to model object.
+   * @param {ISaleInvoiceRecurringDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @param {ISaleInvoiceRecurring} oldRecurring
+   * @returns {ISaleInvoiceRecurring}
+   */
+  public transformDTOToModel(
+    recurringDTO: ISaleInvoiceRecurringDTO,
+    authorizedUser: ITenantUser,
+    oldRecurring?: ISaleInvoiceRecurring
+  ): ISaleInvoiceRecurring {
+    const repeatInterval = recurringDTO.repeatInterval || 1;
+
+    // The next run resumes after the last generated invoice in edit mode,
+    // otherwise starts from the profile start date.
+    const nextRunAt = getRecurringNextDate(
+      recurringDTO.startDate,
+      recurringDTO.frequency,
+      repeatInterval,
+      oldRecurring?.lastRunAt ||
+        moment(recurringDTO.startDate).subtract(1, 'day').toDate(),
+      recurringDTO.endDate
+    );
+    return {
+      ...formatDateFields(omit(recurringDTO, ['entries']), [
+        'startDate',
+        'endDate',
+      ]),
+      repeatInterval,
+      dueDays: recurringDTO.dueDays || 0,
+      exchangeRate: recurringDTO.exchangeRate || 1,
+      nextRunAt: nextRunAt ? moment(nextRunAt).format('YYYY-MM-DD') : null,
+      entries: recurringDTO.entries.map((entry) => ({
+        referenceType: 'SaleInvoiceRecurring',
+        isInclusiveTax: recurringDTO.isInclusiveTax,
+        ...entry,
+      })),
+      ...(!oldRecurring && { userId: authorizedUser.id }),
+    } as ISaleInvoiceRecurring;
+  }
+}
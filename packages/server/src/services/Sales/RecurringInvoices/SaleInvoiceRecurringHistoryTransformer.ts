@@ -0,0 +1,38 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { ISaleInvoiceRecurringHistory } from '@/interfaces';
+
+export class SaleInvoiceRecurringHistoryTransformer extends Transformer {
+  /**
+   * Include these attributes to history entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['runDateFormatted', 'invoiceNo'];
+  };
+
+  /**
+   * Exclude these attributes from history entry object.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['saleInvoice'];
+  };
+
+  /**
+   * Retrieves the formatted run date.
+   * @param {ISaleInvoiceRecurringHistory} history
+   * @returns {string}
+   */
+  protected runDateFormatted = (history: ISaleInvoiceRecurringHistory) => {
+    return this.formatDate(history.runDate);
+  };
+
+  /**
+   * Retrieves the generated invoice number.
+   * @param history
+   * @returns {string}
+   */
+  protected invoiceNo = (history): string => {
+    return history.saleInvoice?.invoiceNo || '';
+  };
+}
@@ -0,0 +1,88 @@
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { ISaleInvoiceRecurring } from '@/interfaces';
+import { ItemEntryTransformer } from '../Invoices/ItemEntryTransformer';
+import { SaleInvoiceRecurringHistoryTransformer } from './SaleInvoiceRecurringHistoryTransformer';
+
+export class SaleInvoiceRecurringTransformer extends Transformer {
+  /**
+   * Include these attributes to recurring profile object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'startDateFormatted',
+      'endDateFormatted',
+      'nextRunAtFormatted',
+      'lastRunAtFormatted',
+      'customerName',
+      'entries',
+      'history',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted start date.
+   * @param {ISaleInvoiceRecurring} recurring
+   * @returns {string}
+   */
+  protected startDateFormatted = (recurring: ISaleInvoiceRecurring): string => {
+    return this.formatDate(recurring.startDate);
+  };
+
+  /**
+   * Retrieves the formatted end date.
+   * @param {ISaleInvoiceRecurring} recurring
+   * @returns {string}
+   */
+  protected endDateFormatted = (recurring: ISaleInvoiceRecurring): string => {
+    return this.formatDate(recurring.endDate);
+  };
+
+  /**
+   * Retrieves the formatted next run date.
+   * @param {ISaleInvoiceRecurring} recurring
+   * @returns {string}
+   */
+  protected nextRunAtFormatted = (recurring: ISaleInvoiceRecurring): string => {
+    return this.formatDate(recurring.nextRunAt);
+  };
+
+  /**
+   * Retrieves the formatted last run date.
+   * @param {ISaleInvoiceRecurring} recurring
+   * @returns {string}
+   */
+  protected lastRunAtFormatted = (recurring: ISaleInvoiceRecurring): string => {
+    return this.formatDate(recurring.lastRunAt);
+  };
+
+  /**
+   * Retrieves the customer display name.
+   * @param recurring
+   * @returns {string}
+   */
+  protected customerName = (recurring): string => {
+    return recurring.customer?.displayName || '';
+  };
+
+  /**
+   * Retrieves the entries of the recurring profile.
+   * @param {ISaleInvoiceRecurring} recurring
+   */
+  protected entries = (recurring: ISaleInvoiceRecurring) => {
+    return this.item(recurring.entries, new ItemEntryTransformer(), {
+      currencyCode: recurring.customer?.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the generated invoices history of the recurring profile.
+   * @param {ISaleInvoiceRecurring} recurring
+   */
+  protected history = (recurring: ISaleInvoiceRecurring) => {
+    return this.item(
+      recurring.history,
+      new SaleInvoiceRecurringHistoryTransformer()
+    );
+  };
+}
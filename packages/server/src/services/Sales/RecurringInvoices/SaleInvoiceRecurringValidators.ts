@@ -0,0 +1,61 @@
+import { Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import { ISaleInvoiceRecurring, ISaleInvoiceRecurringDTO } from '@/interfaces';
+import { ERRORS } from './constants';
+
+@Service()
+export class SaleInvoiceRecurringValidators {
+  /**
+   * Validates the recurring profile existance.
+   * @param {ISaleInvoiceRecurring | undefined} recurring
+   */
+  public validateRecurringExistance(recurring: ISaleInvoiceRecurring | undefined) {
+    if (!recurring) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_RECURRING_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the end date should be after the start date.
+   * @param {ISaleInvoiceRecurringDTO} recurringDTO
+   */
+  public validateEndDateAfterStartDate(recurringDTO: ISaleInvoiceRecurringDTO) {
+    if (
+      recurringDTO.endDate &&
+      moment(recurringDTO.endDate).isBefore(recurringDTO.startDate, 'day')
+    ) {
+      throw new ServiceError(ERRORS.END_DATE_BEFORE_START_DATE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile has remaining runs.
+   * @param {ISaleInvoiceRecurring} recurring
+   */
+  public validateRecurringNotCompleted(recurring: ISaleInvoiceRecurring) {
+    if (!recurring.nextRunAt) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_RECURRING_COMPLETED);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is not active.
+   * @param {ISaleInvoiceRecurring} recurring
+   */
+  public validateRecurringNotActive(recurring: ISaleInvoiceRecurring) {
+    if (recurring.active) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_RECURRING_ALREADY_ACTIVE);
+    }
+  }
+
+  /**
+   * Validates the recurring profile is active.
+   * @param {ISaleInvoiceRecurring} recurring
+   */
+  public validateRecurringActive(recurring: ISaleInvoiceRecurring) {
+    if (!recurring.active) {
+      throw new ServiceError(ERRORS.SALE_INVOICE_RECURRING_ALREADY_INACTIVE);
+    }
+  }
+}
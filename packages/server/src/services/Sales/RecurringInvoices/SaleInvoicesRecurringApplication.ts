@@ -0,0 +1,134 @@
+import { Inject, Service } from 'typedi';
+import {
+  ISaleInvoiceRecurring,
+  ISaleInvoiceRecurringCreateDTO,
+  ISaleInvoiceRecurringEditDTO,
+  ITenantUser,
+} from '@/interfaces';
+import { CreateSaleInvoiceRecurring } from './CreateSaleInvoiceRecurring';
+import { EditSaleInvoiceRecurring } from './EditSaleInvoiceRecurring';
+import { DeleteSaleInvoiceRecurring } from './DeleteSaleInvoiceRecurring';
+import { ActivateSaleInvoiceRecurring } from './ActivateSaleInvoiceRecurring';
+import { GetSaleInvoiceRecurring } from './GetSaleInvoiceRecurring';
+import { GetSaleInvoicesRecurring } from './GetSaleInvoicesRecurring';
+
+@Service()
+export class SaleInvoicesRecurringApplication {
+  @Inject()
+  private createRecurringService: CreateSaleInvoiceRecurring;
+
+  @Inject()
+  private editRecurringService: EditSaleInvoiceRecurring;
+
+  @Inject()
+  private deleteRecurringService: DeleteSaleInvoiceRecurring;
+
+  @Inject()
+  private activateRecurringService: ActivateSaleInvoiceRecurring;
+
+  @Inject()
+  private getRecurringService: GetSaleInvoiceRecurring;
+
+  @Inject()
+  private getRecurringListService: GetSaleInvoicesRecurring;
+
+  /**
+   * Creates a new recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {ISaleInvoiceRecurringCreateDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<ISaleInvoiceRecurring>}
+   */
+  public createRecurring(
+    tenantId: number,
+    recurringDTO: ISaleInvoiceRecurringCreateDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoiceRecurring> {
+    return this.createRecurringService.createRecurring(
+      tenantId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @param {ISaleInvoiceRecurringEditDTO} recurringDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<ISaleInvoiceRecurring>}
+   */
+  public editRecurring(
+    tenantId: number,
+    recurringId: number,
+    recurringDTO: ISaleInvoiceRecurringEditDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoiceRecurring> {
+    return this.editRecurringService.editRecurring(
+      tenantId,
+      recurringId,
+      recurringDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public deleteRecurring(tenantId: number, recurringId: number): Promise<void> {
+    return this.deleteRecurringService.deleteRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Activates the given recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public activateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.activateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Inactivates the given recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   * @returns {Promise<void>}
+   */
+  public inactivateRecurring(
+    tenantId: number,
+    recurringId: number
+  ): Promise<void> {
+    return this.activateRecurringService.inactivateRecurring(
+      tenantId,
+      recurringId
+    );
+  }
+
+  /**
+   * Retrieves the given recurring sale invoice profile.
+   * @param {number} tenantId
+   * @param {number} recurringId
+   */
+  public getRecurring(tenantId: number, recurringId: number) {
+    return this.getRecurringService.getRecurring(tenantId, recurringId);
+  }
+
+  /**
+   * Retrieves the recurring sale invoice profiles.
+   * @param {number} tenantId
+   */
+  public getRecurringList(tenantId: number) {
+    return this.getRecurringListService.getRecurringList(tenantId);
+  }
+}
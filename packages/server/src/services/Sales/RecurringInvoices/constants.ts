@@ -0,0 +1,9 @@
+export const ERRORS = {
+  SALE_INVOICE_RECURRING_NOT_FOUND: 'SALE_INVOICE_RECURRING_NOT_FOUND',
+  END_DATE_BEFORE_START_DATE: 'END_DATE_BEFORE_START_DATE',
+  SALE_INVOICE_RECURRING_ALREADY_ACTIVE:
+    'SALE_INVOICE_RECURRING_ALREADY_ACTIVE',
+  SALE_INVOICE_RECURRING_ALREADY_INACTIVE:
+    'SALE_INVOICE_RECURRING_ALREADY_INACTIVE',
+  SALE_INVOICE_RECURRING_COMPLETED: 'SALE_INVOICE_RECURRING_COMPLETED',
+};
@@ -0,0 +1,70 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  ISalesOrderClosedPayload,
+  ISalesOrderClosingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class CloseSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Closes the given sales order, so the remaining quantities
+   * can't be invoiced anymore.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @returns {Promise<void>}
+   */
+  public async closeSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given sales order.
+    const oldSalesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .throwIfNotFound();
+
+    // Throws error in case the sales order already closed.
+    if (oldSalesOrder.isClosed) {
+      throw new ServiceError(ERRORS.SALES_ORDER_ALREADY_CLOSED);
+    }
+    // Updates the sales order under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSalesOrderClosing` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onClosing, {
+        tenantId,
+        oldSalesOrder,
+        trx,
+      } as ISalesOrderClosingPayload);
+
+      // Record the closed at on the storage.
+      const salesOrder = await SalesOrder.query(trx).patchAndFetchById(
+        salesOrderId,
+        { closedAt: moment().toMySqlDateTime() }
+      );
+      // Triggers `onSalesOrderClosed` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onClosed, {
+        tenantId,
+        salesOrder,
+        trx,
+      } as ISalesOrderClosedPayload);
+    });
+  }
+}
@@ -0,0 +1,69 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  ISalesOrderConfirmedPayload,
+  ISalesOrderConfirmingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ERRORS } from './constants';
+
+@Service()
+export class ConfirmSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  /**
+   * Marks the given sales order as confirmed to the customer.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @returns {Promise<void>}
+   */
+  public async confirmSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given sales order.
+    const oldSalesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .throwIfNotFound();
+
+    // Throws error in case the sales order already confirmed.
+    if (oldSalesOrder.isConfirmed) {
+      throw new ServiceError(ERRORS.SALES_ORDER_ALREADY_CONFIRMED);
+    }
+    // Updates the sales order under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSalesOrderConfirming` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onConfirming, {
+        tenantId,
+        oldSalesOrder,
+        trx,
+      } as ISalesOrderConfirmingPayload);
+
+      // Record the confirmed at on the storage.
+      const salesOrder = await SalesOrder.query(trx).patchAndFetchById(
+        salesOrderId,
+        { confirmedAt: moment().toMySqlDateTime() }
+      );
+      // Triggers `onSalesOrderConfirmed` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onConfirmed, {
+        tenantId,
+        salesOrder,
+        trx,
+      } as ISalesOrderConfirmedPayload);
+    });
+  }
+}
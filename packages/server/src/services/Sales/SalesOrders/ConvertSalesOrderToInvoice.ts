@@ -0,0 +1,162 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { ServiceError } from '@/exceptions';
+import {
+  ISaleInvoice,
+  ISaleInvoiceCreateDTO,
+  IItemEntryDTO,
+  ISalesOrder,
+  ISalesOrderConvertToInvoiceDTO,
+  ISalesOrderConvertedPayload,
+  ISalesOrderConvertingPayload,
+  ITenantUser,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import UnitOfWork from '@/services/UnitOfWork';
+import { SaleInvoiceApplication } from '@/services/Sales/Invoices/SaleInvoicesApplication';
+import events from '@/subscribers/events';
+import { SalesOrderValidators } from './SalesOrderValidators';
+import { ERRORS } from './constants';
+
+@Service()
+export class ConvertSalesOrderToInvoice {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private saleInvoiceApplication: SaleInvoiceApplication;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  /**
+   * Converts the given sales order to a sale invoice, the invoice is linked
+   * back to the sales order and invoices the remaining quantity of each line unless
+   * the quantities are given explicitly.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @param {ISalesOrderConvertToInvoiceDTO} convertDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<ISaleInvoice>}
+   */
+  public async convertToInvoice(
+    tenantId: number,
+    salesOrderId: number,
+    convertDTO: ISalesOrderConvertToInvoiceDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoice> {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    // Validates the sales order existance.
+    this.validators.validateSalesOrderExistance(salesOrder);
+
+    // Validates the sales order is confirmed.
+    this.validators.validateSalesOrderConfirmed(salesOrder);
+
+    // Validates the sales order is not closed.
+    this.validators.validateSalesOrderNotClosed(salesOrder);
+
+    // Throws error in case all the sales order lines are invoiced.
+    if (salesOrder.isFullyInvoiced) {
+      throw new ServiceError(ERRORS.SALES_ORDER_ALREADY_INVOICED);
+    }
+    const saleInvoiceDTO = this.transformSalesOrderToSaleInvoiceDTO(
+      salesOrder,
+      convertDTO
+    );
+    if (saleInvoiceDTO.entries.length === 0) {
+      throw new ServiceError(ERRORS.SALES_ORDER_NOTHING_TO_INVOICE);
+    }
+    // Converts the sales order to invoice under UOW envirement.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSalesOrderConvertingToInvoice` event.
+      await this.eventPublisher.emitAsync(
+        events.salesOrder.onConvertingToInvoice,
+        {
+          tenantId,
+          salesOrder,
+          convertDTO,
+          authorizedUser,
+        } as ISalesOrderConvertingPayload
+      );
+      const saleInvoice = await this.saleInvoiceApplication.createSaleInvoice(
+        tenantId,
+        saleInvoiceDTO,
+        authorizedUser,
+        trx
+      );
+      // Triggers `onSalesOrderConvertedToInvoice` event.
+      await this.eventPublisher.emitAsync(
+        events.salesOrder.onConvertedToInvoice,
+        {
+          tenantId,
+          salesOrder,
+          saleInvoice,
+          convertDTO,
+        } as ISalesOrderConvertedPayload
+      );
+      return saleInvoice;
+    });
+  }
+
+  /**
+   * Transformes the sales order to sale invoice DTO.
+   * @param {ISalesOrder} salesOrder
+   * @param {ISalesOrderConvertToInvoiceDTO} convertDTO
+   * @returns {ISaleInvoiceCreateDTO}
+   */
+  private transformSalesOrderToSaleInvoiceDTO(
+    salesOrder: ISalesOrder,
+    convertDTO: ISalesOrderConvertToInvoiceDTO
+  ): ISaleInvoiceCreateDTO {
+    const entries = salesOrder.entries
+      .map((entry) => {
+        const remaining = entry.quantity - (entry.invoicedQuantity || 0);
+        const convertEntry = convertDTO.entries?.find(
+          (e) => e.salesOrderEntryId === entry.id
+        );
+        const quantity = convertDTO.entries
+          ? convertEntry?.quantity || 0
+          : remaining;
+
+        return {
+          index: entry.index,
+          itemId: entry.itemId,
+          description: entry.description,
+          rate: entry.rate,
+          discount: entry.discount,
+          quantity,
+          warehouseId: entry.warehouseId,
+          taxRateId: entry.taxRateId,
+          salesOrderEntryId: entry.id,
+        } as IItemEntryDTO;
+      })
+      .filter((entry) => entry.quantity > 0);
+
+    return {
+      customerId: salesOrder.customerId,
+      invoiceNo: convertDTO.invoiceNo,
+      invoiceDate: convertDTO.invoiceDate,
+      dueDate: convertDTO.dueDate,
+      referenceNo: salesOrder.orderNumber,
+      termsConditions: salesOrder.termsConditions,
+      exchangeRate: salesOrder.exchangeRate,
+      delivered: convertDTO.delivered,
+      branchId: salesOrder.branchId,
+      warehouseId: salesOrder.warehouseId,
+      salesOrderId: salesOrder.id,
+      entries,
+    } as ISaleInvoiceCreateDTO;
+  }
+}
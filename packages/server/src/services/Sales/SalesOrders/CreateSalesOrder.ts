@@ -0,0 +1,119 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  ISalesOrder,
+  ISalesOrderCreatedPayload,
+  ISalesOrderCreatingPayload,
+  ISalesOrderCreateDTO,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { SalesOrderDTOTransformer } from './SalesOrderDTOTransformer';
+import { SalesOrderValidators } from './SalesOrderValidators';
+
+@Service()
+export class CreateSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: SalesOrderDTOTransformer;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  /**
+   * Creates a new sales order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {ISalesOrderCreateDTO} salesOrderDTO - Sales order DTO.
+   * @param {ISystemUser} authorizedUser
+   * @param {Knex.Transaction} trx
+   * @return {Promise<ISalesOrder>}
+   */
+  public async createSalesOrder(
+    tenantId: number,
+    salesOrderDTO: ISalesOrderCreateDTO,
+    authorizedUser: ISystemUser,
+    trx?: Knex.Transaction
+  ): Promise<ISalesOrder> {
+    const { SalesOrder, Contact } = this.tenancy.models(tenantId);
+
+    // Retrieve the given customer or throw not found service error.
+    const customer = await Contact.query()
+      .modify('customer')
+      .findById(salesOrderDTO.customerId)
+      .throwIfNotFound();
+
+    // Validate the sale estimate that the sales order is created from.
+    if (salesOrderDTO.fromEstimateId) {
+      await this.validators.validateFromSaleEstimate(
+        tenantId,
+        salesOrderDTO.fromEstimateId,
+        salesOrderDTO.customerId
+      );
+    }
+    // Transform DTO object to model object.
+    const salesOrderObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      salesOrderDTO,
+      customer,
+      authorizedUser
+    );
+    // Validate sales order number uniquiness on the storage.
+    await this.validators.validateSalesOrderNumberExistance(
+      tenantId,
+      salesOrderObj.orderNumber
+    );
+    // Validate items IDs existance on the storage.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      salesOrderDTO.entries
+    );
+    // Validate non-sellable items.
+    await this.itemsEntriesService.validateNonSellableEntriesItems(
+      tenantId,
+      salesOrderDTO.entries
+    );
+    // Creates the sales order with associated transactions under UOW.
+    return this.uow.withTransaction(
+      tenantId,
+      async (trx: Knex.Transaction) => {
+        // Triggers `onSalesOrderCreating` event.
+        await this.eventPublisher.emitAsync(events.salesOrder.onCreating, {
+          tenantId,
+          salesOrderDTO,
+          trx,
+        } as ISalesOrderCreatingPayload);
+
+        // Upsert the sales order graph to the storage.
+        const salesOrder = await SalesOrder.query(trx).upsertGraphAndFetch({
+          ...salesOrderObj,
+        });
+        // Triggers `onSalesOrderCreated` event.
+        await this.eventPublisher.emitAsync(events.salesOrder.onCreated, {
+          tenantId,
+          salesOrder,
+          salesOrderId: salesOrder.id,
+          salesOrderDTO,
+          trx,
+        } as ISalesOrderCreatedPayload);
+
+        return salesOrder;
+      },
+      trx
+    );
+  }
+}
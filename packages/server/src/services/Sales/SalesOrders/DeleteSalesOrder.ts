@@ -0,0 +1,77 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  ISalesOrderDeletedPayload,
+  ISalesOrderDeletingPayload,
+} from '@/interfaces';
+import events from '@/subscribers/events';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import UnitOfWork from '@/services/UnitOfWork';
+import { SalesOrderValidators } from './SalesOrderValidators';
+
+@Service()
+export class DeleteSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  /**
+   * Deletes the given sales order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @return {Promise<void>}
+   */
+  public async deleteSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    const { SalesOrder, ItemEntry } = this.tenancy.models(tenantId);
+
+    // Retrieve the sales order or throw not found service error.
+    const oldSalesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .withGraphFetched('entries')
+      .throwIfNotFound();
+
+    // Throw error if the sales order has converted invoices.
+    await this.validators.validateSalesOrderHasNoInvoices(
+      tenantId,
+      salesOrderId
+    );
+    // Deletes the sales order with associated transactions under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSalesOrderDeleting` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onDeleting, {
+        tenantId,
+        oldSalesOrder,
+        trx,
+      } as ISalesOrderDeletingPayload);
+
+      // Delete sales order entries.
+      await ItemEntry.query(trx)
+        .where('reference_id', salesOrderId)
+        .where('reference_type', 'SalesOrder')
+        .delete();
+
+      // Delete sales order transaction.
+      await SalesOrder.query(trx).where('id', salesOrderId).delete();
+
+      // Triggers `onSalesOrderDeleted` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onDeleted, {
+        tenantId,
+        salesOrderId,
+        oldSalesOrder,
+        trx,
+      } as ISalesOrderDeletedPayload);
+    });
+  }
+}
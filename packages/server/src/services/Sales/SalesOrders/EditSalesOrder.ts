@@ -0,0 +1,134 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import {
+  ISalesOrder,
+  ISalesOrderEditDTO,
+  ISalesOrderEditedPayload,
+  ISalesOrderEditingPayload,
+  ISystemUser,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import ItemsEntriesService from '@/services/Items/ItemsEntriesService';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { SalesOrderDTOTransformer } from './SalesOrderDTOTransformer';
+import { SalesOrderValidators } from './SalesOrderValidators';
+
+@Service()
+export class EditSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private itemsEntriesService: ItemsEntriesService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private transformerDTO: SalesOrderDTOTransformer;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  /**
+   * Edits details of the given sales order with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @param {ISalesOrderEditDTO} salesOrderDTO - Sales order DTO.
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<ISalesOrder>}
+   */
+  public async editSalesOrder(
+    tenantId: number,
+    salesOrderId: number,
+    salesOrderDTO: ISalesOrderEditDTO,
+    authorizedUser: ISystemUser
+  ): Promise<ISalesOrder> {
+    const { SalesOrder, Contact } = this.tenancy.models(tenantId);
+
+    // Retrieve details of the given sales order.
+    const oldSalesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    // Validates the given sales order existance.
+    this.validators.validateSalesOrderExistance(oldSalesOrder);
+
+    // Validates the sales order is not closed.
+    this.validators.validateSalesOrderNotClosed(oldSalesOrder);
+
+    // Retrieve the given customer or throw not found service error.
+    const customer = await Contact.query()
+      .modify('customer')
+      .findById(salesOrderDTO.customerId)
+      .throwIfNotFound();
+
+    // Transform DTO object to model object.
+    const salesOrderObj = await this.transformerDTO.transformDTOToModel(
+      tenantId,
+      salesOrderDTO,
+      customer,
+      authorizedUser,
+      oldSalesOrder
+    );
+    // Validate sales order number uniquiness on the storage.
+    if (salesOrderDTO.orderNumber) {
+      await this.validators.validateSalesOrderNumberExistance(
+        tenantId,
+        salesOrderDTO.orderNumber,
+        salesOrderId
+      );
+    }
+    // Validate sales order entries existance.
+    await this.itemsEntriesService.validateEntriesIdsExistance(
+      tenantId,
+      salesOrderId,
+      'SalesOrder',
+      salesOrderDTO.entries
+    );
+    // Validate items IDs existance on the storage.
+    await this.itemsEntriesService.validateItemsIdsExistance(
+      tenantId,
+      salesOrderDTO.entries
+    );
+    // Validate non-sellable items.
+    await this.itemsEntriesService.validateNonSellableEntriesItems(
+      tenantId,
+      salesOrderDTO.entries
+    );
+    // Validates the invoiced lines are kept with enough quantity.
+    this.validators.validateInvoicedEntriesOnEdit(oldSalesOrder, salesOrderDTO);
+    // Edits the sales order with associated transactions under UOW.
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onSalesOrderEditing` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onEditing, {
+        tenantId,
+        oldSalesOrder,
+        salesOrderDTO,
+        trx,
+      } as ISalesOrderEditingPayload);
+
+      // Upsert the sales order graph to the storage.
+      const salesOrder = await SalesOrder.query(trx).upsertGraphAndFetch({
+        id: salesOrderId,
+        ...salesOrderObj,
+      });
+      // Triggers `onSalesOrderEdited` event.
+      await this.eventPublisher.emitAsync(events.salesOrder.onEdited, {
+        tenantId,
+        salesOrderId,
+        salesOrder,
+        oldSalesOrder,
+        salesOrderDTO,
+        trx,
+      } as ISalesOrderEditedPayload);
+
+      return salesOrder;
+    });
+  }
+}
@@ -0,0 +1,44 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { SalesOrderTransformer } from './SalesOrderTransformer';
+import { SalesOrderValidators } from './SalesOrderValidators';
+
+@Service()
+export class GetSalesOrder {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  /**
+   * Retrieves the sales order details with associated entries.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   */
+  public async getSalesOrder(tenantId: number, salesOrderId: number) {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query()
+      .findById(salesOrderId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .withGraphFetched('branch')
+      .withGraphFetched('invoices')
+      .withGraphFetched('saleEstimate');
+
+    // Validates the sales order existance.
+    this.validators.validateSalesOrderExistance(salesOrder);
+
+    // Transformes sales order model to POJO.
+    return this.transformer.transform(
+      tenantId,
+      salesOrder,
+      new SalesOrderTransformer()
+    );
+  }
+}
@@ -0,0 +1,76 @@
+import * as R from 'ramda';
+import { Inject, Service } from 'typedi';
+import {
+  IFilterMeta,
+  IPaginationMeta,
+  ISalesOrder,
+  ISalesOrdersFilter,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import DynamicListingService from '@/services/DynamicListing/DynamicListService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { SalesOrderTransformer } from './SalesOrderTransformer';
+
+@Service()
+export class GetSalesOrders {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private dynamicListService: DynamicListingService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves sales orders filterable and paginated list.
+   * @param {number} tenantId -
+   * @param {ISalesOrdersFilter} filterDTO -
+   */
+  public async getSalesOrders(
+    tenantId: number,
+    filterDTO: ISalesOrdersFilter
+  ): Promise<{
+    salesOrders: ISalesOrder[];
+    pagination: IPaginationMeta;
+    filterMeta: IFilterMeta;
+  }> {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    // Parses filter DTO.
+    const filter = this.parseListFilterDTO(filterDTO);
+
+    // Dynamic list service.
+    const dynamicFilter = await this.dynamicListService.dynamicList(
+      tenantId,
+      SalesOrder,
+      filter
+    );
+    const { results, pagination } = await SalesOrder.query()
+      .onBuild((builder) => {
+        builder.withGraphFetched('customer');
+        builder.withGraphFetched('entries.item');
+        dynamicFilter.buildQuery()(builder);
+      })
+      .pagination(filter.page - 1, filter.pageSize);
+
+    const transformedSalesOrders = await this.transformer.transform(
+      tenantId,
+      results,
+      new SalesOrderTransformer()
+    );
+    return {
+      salesOrders: transformedSalesOrders,
+      pagination,
+      filterMeta: dynamicFilter.getResponseMeta(),
+    };
+  }
+
+  /**
+   * Parses the sales orders list filter DTO.
+   * @param filterDTO
+   */
+  private parseListFilterDTO(filterDTO) {
+    return R.compose(this.dynamicListService.parseStringifiedFilter)(filterDTO);
+  }
+}
@@ -0,0 +1,178 @@
+import { Knex } from 'knex';
+import { Inject, Service } from 'typedi';
+import { uniqBy } from 'lodash';
+import { ISalesOrder } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { WarehousesSettings } from '@/services/Warehouses/WarehousesSettings';
+
+interface IItemWarehousePair {
+  itemId: number;
+  warehouseId: number;
+}
+
+@Service()
+export class SalesOrderCommittedQuantities {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private warehousesSettings: WarehousesSettings;
+
+  /**
+   * Retrieves the item/warehouse pairs of the given sales orders lines.
+   * @param {ISalesOrder[]} salesOrders
+   * @returns {IItemWarehousePair[]}
+   */
+  private getItemsWarehousesPairs(
+    salesOrders: ISalesOrder[]
+  ): IItemWarehousePair[] {
+    const pairs = salesOrders
+      .filter((salesOrder) => salesOrder.warehouseId)
+      .flatMap((salesOrder) =>
+        (salesOrder.entries || []).map((entry) => ({
+          itemId: entry.itemId,
+          warehouseId: salesOrder.warehouseId,
+        }))
+      );
+    return uniqBy(pairs, (pair) => `${pair.itemId}-${pair.warehouseId}`);
+  }
+
+  /**
+   * Retrieves the committed quantity of the given item on the given
+   * warehouse, summed from the not invoiced quantity of the committed
+   * sales orders lines.
+   * @param {number} tenantId
+   * @param {IItemWarehousePair} pair
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<number>}
+   */
+  private async getCommittedQuantity(
+    tenantId: number,
+    { itemId, warehouseId }: IItemWarehousePair,
+    trx?: Knex.Transaction
+  ): Promise<number> {
+    const { ItemEntry, SalesOrder } = this.tenancy.models(tenantId);
+
+    const result = await ItemEntry.query(trx)
+      .where('reference_type', 'SalesOrder')
+      .where('item_id', itemId)
+      .whereIn(
+        'reference_id',
+        SalesOrder.query(trx)
+          .modify('committed')
+          .where('warehouse_id', warehouseId)
+          .select('id')
+      )
+      .select(
+        ItemEntry.raw(
+          'SUM(GREATEST(quantity - invoiced_quantity, 0)) as committed_quantity'
+        )
+      )
+      .first();
+
+    return parseFloat(result?.committedQuantity) || 0;
+  }
+
+  /**
+   * Writes the committed quantity of the given item on the given warehouse.
+   * @param {number} tenantId
+   * @param {IItemWarehousePair} pair
+   * @param {Knex.Transaction} trx
+   */
+  private async syncItemWarehouseCommittedQuantity(
+    tenantId: number,
+    pair: IItemWarehousePair,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { ItemWarehouseQuantity } = this.tenancy.models(tenantId);
+
+    const quantityCommitted = await this.getCommittedQuantity(
+      tenantId,
+      pair,
+      trx
+    );
+    const itemWarehouseQuantity = await ItemWarehouseQuantity.query(trx)
+      .where('itemId', pair.itemId)
+      .where('warehouseId', pair.warehouseId)
+      .first();
+
+    if (itemWarehouseQuantity) {
+      await ItemWarehouseQuantity.query(trx)
+        .where('itemId', pair.itemId)
+        .where('warehouseId', pair.warehouseId)
+        .patch({ quantityCommitted });
+    } else {
+      await ItemWarehouseQuantity.query(trx).insert({
+        ...pair,
+        quantityOnHand: 0,
+        quantityCommitted,
+      });
+    }
+  }
+
+  /**
+   * Syncs the committed quantities of the inventory items of the given
+   * sales orders lines on their warehouses.
+   * @param {number} tenantId
+   * @param {ISalesOrder[]} salesOrders - Sales orders with their entries.
+   * @param {Knex.Transaction} trx
+   */
+  public async syncCommittedQuantitiesFromSalesOrders(
+    tenantId: number,
+    salesOrders: ISalesOrder[],
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { Item } = this.tenancy.models(tenantId);
+
+    // Stock is committed per warehouse, so skip once the feature is inactive.
+    const isActive = await this.warehousesSettings.isMultiWarehousesActive(
+      tenantId
+    );
+    if (!isActive) return;
+
+    const pairs = this.getItemsWarehousesPairs(salesOrders);
+
+    if (pairs.length === 0) return;
+
+    const inventoryItems = await Item.query(trx)
+      .whereIn(
+        'id',
+        pairs.map((pair) => pair.itemId)
+      )
+      .where('type', 'inventory');
+
+    const inventoryItemsIds = inventoryItems.map((item) => item.id);
+    const inventoryPairs = pairs.filter((pair) =>
+      inventoryItemsIds.includes(pair.itemId)
+    );
+    for (const pair of inventoryPairs) {
+      await this.syncItemWarehouseCommittedQuantity(tenantId, pair, trx);
+    }
+  }
+
+  /**
+   * Syncs the committed quantities of the given sales order lines.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   * @param {Knex.Transaction} trx
+   */
+  public async syncSalesOrderCommittedQuantities(
+    tenantId: number,
+    salesOrderId: number,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query(trx)
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    if (!salesOrder) return;
+
+    await this.syncCommittedQuantitiesFromSalesOrders(
+      tenantId,
+      [salesOrder],
+      trx
+    );
+  }
+}
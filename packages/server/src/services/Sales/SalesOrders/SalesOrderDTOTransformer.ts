@@ -0,0 +1,92 @@
+import * as R from 'ramda';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { omit, sumBy } from 'lodash';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import {
+  ISalesOrder,
+  ISalesOrderCreateDTO,
+  ISystemUser,
+  ICustomer,
+} from '@/interfaces';
+import { BranchTransactionDTOTransform } from '@/services/Branches/Integrations/BranchTransactionDTOTransform';
+import { WarehouseTransactionDTOTransform } from '@/services/Warehouses/Integrations/WarehouseTransactionDTOTransform';
+import { formatDateFields } from '@/utils';
+import { SalesOrderValidators } from './SalesOrderValidators';
+import { SalesOrderIncrement } from './SalesOrderIncrement';
+
+@Service()
+export class SalesOrderDTOTransformer {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  @Inject()
+  private branchDTOTransform: BranchTransactionDTOTransform;
+
+  @Inject()
+  private warehouseDTOTransform: WarehouseTransactionDTOTransform;
+
+  @Inject()
+  private salesOrderIncrement: SalesOrderIncrement;
+
+  /**
+   * Transforms the sales order DTO to model object.
+   * @param {number} tenantId
+   * @param {ISalesOrderCreateDTO} salesOrderDTO - Sales order DTO.
+   * @param {ICustomer} customer - Sales order customer.
+   * @param {ISystemUser} authorizedUser
+   * @param {ISalesOrder} oldSalesOrder
+   * @return {Promise<ISalesOrder>}
+   */
+  public async transformDTOToModel(
+    tenantId: number,
+    salesOrderDTO: ISalesOrderCreateDTO,
+    customer: ICustomer,
+    authorizedUser: ISystemUser,
+    oldSalesOrder?: ISalesOrder
+  ): Promise<ISalesOrder> {
+    const { ItemEntry } = this.tenancy.models(tenantId);
+
+    const amount = sumBy(salesOrderDTO.entries, (e) => ItemEntry.calcAmount(e));
+    // Retrieves the next sales order number.
+    const autoNextNumber =
+      this.salesOrderIncrement.getNextSalesOrderNumber(tenantId);
+
+    const orderNumber =
+      salesOrderDTO.orderNumber || oldSalesOrder?.orderNumber || autoNextNumber;
+
+    // Validate the sales order number require.
+    this.validators.validateSalesOrderNoRequire(orderNumber);
+
+    const initialDTO = {
+      amount,
+      ...formatDateFields(
+        omit(salesOrderDTO, ['confirmed', 'entries', 'fromEstimateId']),
+        ['orderDate', 'shipmentDate']
+      ),
+      currencyCode: customer.currencyCode,
+      exchangeRate: salesOrderDTO.exchangeRate || 1,
+      orderNumber,
+      entries: salesOrderDTO.entries.map((entry) => ({
+        referenceType: 'SalesOrder',
+        ...omit(entry, ['salesOrderEntryId']),
+      })),
+      ...(salesOrderDTO.fromEstimateId && {
+        saleEstimateId: salesOrderDTO.fromEstimateId,
+      }),
+      // Avoid rewrite the confirm date in edit mode when already confirmed.
+      ...(salesOrderDTO.confirmed &&
+        !oldSalesOrder?.confirmedAt && {
+          confirmedAt: moment().toMySqlDateTime(),
+        }),
+      ...(!oldSalesOrder && { userId: authorizedUser.id }),
+    };
+    return R.compose(
+      this.branchDTOTransform.transformDTO<ISalesOrder>(tenantId),
+      this.warehouseDTOTransform.transformDTO<ISalesOrder>(tenantId)
+    )(initialDTO);
+  }
+}
@@ -0,0 +1,37 @@
+import { IItemEntry } from '@/interfaces';
+import { formatNumber } from '@/utils';
+import { ItemEntryTransformer } from '@/services/Sales/Invoices/ItemEntryTransformer';
+
+export class SalesOrderEntryTransformer extends ItemEntryTransformer {
+  /**
+   * Include these attributes to sales order entry object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'quantityFormatted',
+      'rateFormatted',
+      'totalFormatted',
+      'remainingQuantity',
+      'invoicedQuantityFormatted',
+    ];
+  };
+
+  /**
+   * Retrieves the remaining quantity to be invoiced of the entry.
+   * @param {IItemEntry} entry
+   * @returns {number}
+   */
+  protected remainingQuantity = (entry: IItemEntry): number => {
+    return Math.max(entry.quantity - (entry.invoicedQuantity || 0), 0);
+  };
+
+  /**
+   * Retrieves the formatted invoiced quantity of the entry.
+   * @param {IItemEntry} entry
+   * @returns {string}
+   */
+  protected invoicedQuantityFormatted = (entry: IItemEntry): string => {
+    return formatNumber(entry.invoicedQuantity || 0, { money: false });
+  };
+}
@@ -0,0 +1,31 @@
+import { Inject, Service } from 'typedi';
+import AutoIncrementOrdersService from '@/services/Sales/AutoIncrementOrdersService';
+
+@Service()
+export class SalesOrderIncrement {
+  @Inject()
+  private autoIncrementOrdersService: AutoIncrementOrdersService;
+
+  /**
+   * Retrieve the next unique sales order number.
+   * @param  {number} tenantId - Tenant id.
+   * @return {string}
+   */
+  public getNextSalesOrderNumber(tenantId: number): string {
+    return this.autoIncrementOrdersService.getNextTransactionNumber(
+      tenantId,
+      'sales_orders'
+    );
+  }
+
+  /**
+   * Increment the sales order next number.
+   * @param {number} tenantId -
+   */
+  public incrementNextSalesOrderNumber(tenantId: number) {
+    return this.autoIncrementOrdersService.incrementSettingsNextNumber(
+      tenantId,
+      'sales_orders'
+    );
+  }
+}
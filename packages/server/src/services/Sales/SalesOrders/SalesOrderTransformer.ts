@@ -0,0 +1,110 @@
+import { ISalesOrder, SalesOrderStatus } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+import { formatNumber } from '@/utils';
+import { SalesOrderEntryTransformer } from './SalesOrderEntryTransformer';
+
+export class SalesOrderTransformer extends Transformer {
+  /**
+   * Include these attributes to sales order object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'status',
+      'formattedSubtotal',
+      'formattedAmount',
+      'formattedOrderDate',
+      'formattedShipmentDate',
+      'formattedConfirmedAtDate',
+      'formattedCreatedAt',
+      'entries',
+    ];
+  };
+
+  /**
+   * Retrieves the status of the sales order.
+   * @param {ISalesOrder} salesOrder
+   * @returns {SalesOrderStatus}
+   */
+  protected status = (salesOrder: ISalesOrder): SalesOrderStatus => {
+    if (salesOrder.isClosed) {
+      return SalesOrderStatus.Closed;
+    }
+    if (salesOrder.isFullyInvoiced) {
+      return SalesOrderStatus.Invoiced;
+    }
+    if (salesOrder.entries?.some((entry) => entry.invoicedQuantity > 0)) {
+      return SalesOrderStatus.PartiallyInvoiced;
+    }
+    return salesOrder.isConfirmed
+      ? SalesOrderStatus.Confirmed
+      : SalesOrderStatus.Draft;
+  };
+
+  /**
+   * Retrieves the formatted order date.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedOrderDate = (salesOrder: ISalesOrder): string => {
+    return this.formatDate(salesOrder.orderDate);
+  };
+
+  /**
+   * Retrieves the formatted shipment date.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedShipmentDate = (salesOrder: ISalesOrder): string => {
+    return this.formatDate(salesOrder.shipmentDate);
+  };
+
+  /**
+   * Retrieves the formatted confirmed at date.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedConfirmedAtDate = (salesOrder: ISalesOrder): string => {
+    return this.formatDate(salesOrder.confirmedAt);
+  };
+
+  /**
+   * Retrieves the formatted created at date.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedCreatedAt = (salesOrder: ISalesOrder): string => {
+    return this.formatDate(salesOrder.createdAt);
+  };
+
+  /**
+   * Retrieves the formatted sales order amount.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedAmount = (salesOrder: ISalesOrder): string => {
+    return formatNumber(salesOrder.amount, {
+      currencyCode: salesOrder.currencyCode,
+    });
+  };
+
+  /**
+   * Retrieves the formatted sales order subtotal.
+   * @param {ISalesOrder} salesOrder
+   * @returns {string}
+   */
+  protected formattedSubtotal = (salesOrder: ISalesOrder): string => {
+    return formatNumber(salesOrder.amount, { money: false });
+  };
+
+  /**
+   * Retrieves the entries of the sales order.
+   * @param {ISalesOrder} salesOrder
+   * @returns {}
+   */
+  protected entries = (salesOrder: ISalesOrder) => {
+    return this.item(salesOrder.entries, new SalesOrderEntryTransformer(), {
+      currencyCode: salesOrder.currencyCode,
+    });
+  };
+}
@@ -0,0 +1,227 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { difference, groupBy, sumBy } from 'lodash';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { IItemEntryDTO, ISalesOrder, ISalesOrderDTO } from '@/interfaces';
+import { SyncSalesOrderInvoicedQuantities } from './SyncSalesOrderInvoicedQuantities';
+import { ERRORS } from './constants';
+
+@Service()
+export class SalesOrderValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private invoicedQuantities: SyncSalesOrderInvoicedQuantities;
+
+  /**
+   * Validates the given sales order existance.
+   * @param {ISalesOrder | undefined | null} salesOrder
+   */
+  public validateSalesOrderExistance(
+    salesOrder: ISalesOrder | undefined | null
+  ) {
+    if (!salesOrder) {
+      throw new ServiceError(ERRORS.SALES_ORDER_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the sales order number uniqiness on the storage.
+   * @param {number} tenantId
+   * @param {string} orderNumber
+   * @param {number} notSalesOrderId
+   */
+  public async validateSalesOrderNumberExistance(
+    tenantId: number,
+    orderNumber: string,
+    notSalesOrderId?: number
+  ) {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const foundSalesOrder = await SalesOrder.query()
+      .findOne('order_number', orderNumber)
+      .onBuild((builder) => {
+        if (notSalesOrderId) {
+          builder.whereNot('id', notSalesOrderId);
+        }
+      });
+    if (foundSalesOrder) {
+      throw new ServiceError(ERRORS.SALES_ORDER_NUMBER_EXISTS);
+    }
+  }
+
+  /**
+   * Validates the sales order number require.
+   * @param {string} orderNumber
+   */
+  public validateSalesOrderNoRequire(orderNumber: string) {
+    if (!orderNumber) {
+      throw new ServiceError(ERRORS.SALES_ORDER_NO_IS_REQUIRED);
+    }
+  }
+
+  /**
+   * Validates the given sales order is not closed.
+   * @param {ISalesOrder} salesOrder
+   */
+  public validateSalesOrderNotClosed(salesOrder: ISalesOrder) {
+    if (salesOrder.isClosed) {
+      throw new ServiceError(ERRORS.SALES_ORDER_ALREADY_CLOSED);
+    }
+  }
+
+  /**
+   * Validates the given sales order is confirmed.
+   * @param {ISalesOrder} salesOrder
+   */
+  public validateSalesOrderConfirmed(salesOrder: ISalesOrder) {
+    if (!salesOrder.isConfirmed) {
+      throw new ServiceError(ERRORS.SALES_ORDER_NOT_CONFIRMED);
+    }
+  }
+
+  /**
+   * Validates the sale estimate that the sales order is created from, the
+   * estimate should be approved, belongs to the same customer and not
+   * converted to another sales order.
+   * @param {number} tenantId
+   * @param {number} saleEstimateId
+   * @param {number} customerId
+   */
+  public async validateFromSaleEstimate(
+    tenantId: number,
+    saleEstimateId: number,
+    customerId: number
+  ) {
+    const { SaleEstimate } = this.tenancy.models(tenantId);
+
+    const saleEstimate = await SaleEstimate.query()
+      .findById(saleEstimateId)
+      .withGraphFetched('salesOrder')
+      .throwIfNotFound();
+
+    if (!saleEstimate.isApproved) {
+      throw new ServiceError(ERRORS.SALE_ESTIMATE_NOT_APPROVED);
+    }
+    if (saleEstimate.customerId !== customerId) {
+      throw new ServiceError(ERRORS.SALE_ESTIMATE_CUSTOMER_MISMATCH);
+    }
+    if (saleEstimate.salesOrder) {
+      throw new ServiceError(ERRORS.SALE_ESTIMATE_CONVERTED_TO_SALES_ORDER);
+    }
+  }
+
+  /**
+   * Validates the given sales order has no associated invoices.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   */
+  public async validateSalesOrderHasNoInvoices(
+    tenantId: number,
+    salesOrderId: number
+  ) {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const invoices = await SaleInvoice.query().where(
+      'sales_order_id',
+      salesOrderId
+    );
+    if (invoices.length > 0) {
+      throw new ServiceError(ERRORS.SALES_ORDER_HAS_INVOICES);
+    }
+  }
+
+  /**
+   * Validates the invoiced lines of the sales order are neither removed nor
+   * decreased below their invoiced quantity on editing.
+   * @param {ISalesOrder} oldSalesOrder
+   * @param {ISalesOrderDTO} salesOrderDTO
+   */
+  public validateInvoicedEntriesOnEdit(
+    oldSalesOrder: ISalesOrder,
+    salesOrderDTO: ISalesOrderDTO
+  ) {
+    const invoicedEntries = oldSalesOrder.entries.filter(
+      (entry) => entry.invoicedQuantity > 0
+    );
+    invoicedEntries.forEach((invoicedEntry) => {
+      const entryDTO = salesOrderDTO.entries.find(
+        (e) => e.id === invoicedEntry.id
+      );
+      if (!entryDTO) {
+        throw new ServiceError(ERRORS.SALES_ORDER_INVOICED_ENTRIES_REMOVED);
+      }
+      if (entryDTO.itemId !== invoicedEntry.itemId) {
+        throw new ServiceError(ERRORS.SALES_ORDER_INVOICED_ENTRIES_REMOVED);
+      }
+      if (entryDTO.quantity < invoicedEntry.invoicedQuantity) {
+        throw new ServiceError(ERRORS.SALES_ORDER_QUANTITY_LESS_THAN_INVOICED);
+      }
+    });
+  }
+
+  /**
+   * Validates the invoice entries against the sales order they are invoiced
+   * from, the invoiced quantity of each line should not exceed its remaining.
+   * @param {number} tenantId
+   * @param {number} salesOrderId - Sales order id.
+   * @param {number} customerId - Invoice customer id.
+   * @param {IItemEntryDTO[]} entries - Invoice entries.
+   * @param {number} saleInvoiceId - The edited invoice id.
+   * @param {Knex.Transaction} trx
+   */
+  public async validateInvoiceEntriesAgainstSalesOrder(
+    tenantId: number,
+    salesOrderId: number,
+    customerId: number,
+    entries: IItemEntryDTO[],
+    saleInvoiceId?: number,
+    trx?: Knex.Transaction
+  ) {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query(trx)
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    this.validateSalesOrderExistance(salesOrder);
+    this.validateSalesOrderConfirmed(salesOrder);
+    this.validateSalesOrderNotClosed(salesOrder);
+
+    if (salesOrder.customerId !== customerId) {
+      throw new ServiceError(ERRORS.SALES_ORDER_CUSTOMER_MISMATCH);
+    }
+    const linkedEntries = entries.filter((e) => e.salesOrderEntryId);
+    const salesOrderEntriesIds = salesOrder.entries.map((e) => e.id);
+
+    const notFoundEntriesIds = difference(
+      linkedEntries.map((e) => e.salesOrderEntryId),
+      salesOrderEntriesIds
+    );
+    if (notFoundEntriesIds.length > 0) {
+      throw new ServiceError(ERRORS.SALES_ORDER_ENTRIES_NOT_FOUND);
+    }
+    const invoicedByOthers =
+      await this.invoicedQuantities.getInvoicedQuantities(
+        tenantId,
+        salesOrderEntriesIds,
+        saleInvoiceId,
+        trx
+      );
+    const linkedEntriesGroups = groupBy(linkedEntries, 'salesOrderEntryId');
+
+    salesOrder.entries.forEach((salesOrderEntry) => {
+      const invoiceEntries = linkedEntriesGroups[salesOrderEntry.id] || [];
+      const invoiceQuantity = sumBy(invoiceEntries, 'quantity');
+      const remaining =
+        salesOrderEntry.quantity -
+        (invoicedByOthers.get(salesOrderEntry.id) || 0);
+
+      if (invoiceQuantity > remaining) {
+        throw new ServiceError(ERRORS.SALES_ORDER_QUANTITY_EXCEEDS_REMAINING);
+      }
+    });
+  }
+}
@@ -0,0 +1,181 @@
+import { Inject, Service } from 'typedi';
+import {
+  ISaleInvoice,
+  IFilterMeta,
+  IPaginationMeta,
+  ISalesOrder,
+  ISalesOrderConvertToInvoiceDTO,
+  ISalesOrderCreateDTO,
+  ISalesOrderEditDTO,
+  ISalesOrdersFilter,
+  ISystemUser,
+  ITenantUser,
+} from '@/interfaces';
+import { CreateSalesOrder } from './CreateSalesOrder';
+import { EditSalesOrder } from './EditSalesOrder';
+import { DeleteSalesOrder } from './DeleteSalesOrder';
+import { GetSalesOrder } from './GetSalesOrder';
+import { GetSalesOrders } from './GetSalesOrders';
+import { ConfirmSalesOrder } from './ConfirmSalesOrder';
+import { CloseSalesOrder } from './CloseSalesOrder';
+import { ConvertSalesOrderToInvoice } from './ConvertSalesOrderToInvoice';
+
+@Service()
+export class SalesOrdersApplication {
+  @Inject()
+  private createSalesOrderService: CreateSalesOrder;
+
+  @Inject()
+  private editSalesOrderService: EditSalesOrder;
+
+  @Inject()
+  private deleteSalesOrderService: DeleteSalesOrder;
+
+  @Inject()
+  private getSalesOrderService: GetSalesOrder;
+
+  @Inject()
+  private getSalesOrdersService: GetSalesOrders;
+
+  @Inject()
+  private confirmSalesOrderService: ConfirmSalesOrder;
+
+  @Inject()
+  private closeSalesOrderService: CloseSalesOrder;
+
+  @Inject()
+  private convertToInvoiceService: ConvertSalesOrderToInvoice;
+
+  /**
+   * Creates a new sales order.
+   * @param {number} tenantId - The tenant id.
+   * @param {ISalesOrderCreateDTO} salesOrderDTO
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<ISalesOrder>}
+   */
+  public createSalesOrder(
+    tenantId: number,
+    salesOrderDTO: ISalesOrderCreateDTO,
+    authorizedUser: ISystemUser
+  ): Promise<ISalesOrder> {
+    return this.createSalesOrderService.createSalesOrder(
+      tenantId,
+      salesOrderDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Edits the given sales order.
+   * @param {number} tenantId - The tenant id.
+   * @param {number} salesOrderId
+   * @param {ISalesOrderEditDTO} salesOrderDTO
+   * @param {ISystemUser} authorizedUser
+   * @return {Promise<ISalesOrder>}
+   */
+  public editSalesOrder(
+    tenantId: number,
+    salesOrderId: number,
+    salesOrderDTO: ISalesOrderEditDTO,
+    authorizedUser: ISystemUser
+  ): Promise<ISalesOrder> {
+    return this.editSalesOrderService.editSalesOrder(
+      tenantId,
+      salesOrderId,
+      salesOrderDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Deletes the given sales order.
+   * @param {number} tenantId -
+   * @param {number} salesOrderId -
+   * @return {Promise<void>}
+   */
+  public deleteSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    return this.deleteSalesOrderService.deleteSalesOrder(
+      tenantId,
+      salesOrderId
+    );
+  }
+
+  /**
+   * Retrieves the given sales order.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   */
+  public getSalesOrder(tenantId: number, salesOrderId: number) {
+    return this.getSalesOrderService.getSalesOrder(tenantId, salesOrderId);
+  }
+
+  /**
+   * Retrieves the sales orders list.
+   * @param {number} tenantId
+   * @param {ISalesOrdersFilter} filterDTO
+   */
+  public getSalesOrders(
+    tenantId: number,
+    filterDTO: ISalesOrdersFilter
+  ): Promise<{
+    salesOrders: ISalesOrder[];
+    pagination: IPaginationMeta;
+    filterMeta: IFilterMeta;
+  }> {
+    return this.getSalesOrdersService.getSalesOrders(tenantId, filterDTO);
+  }
+
+  /**
+   * Marks the given sales order as confirmed.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   * @returns {Promise<void>}
+   */
+  public confirmSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    return this.confirmSalesOrderService.confirmSalesOrder(
+      tenantId,
+      salesOrderId
+    );
+  }
+
+  /**
+   * Closes the given sales order.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   * @returns {Promise<void>}
+   */
+  public closeSalesOrder(
+    tenantId: number,
+    salesOrderId: number
+  ): Promise<void> {
+    return this.closeSalesOrderService.closeSalesOrder(tenantId, salesOrderId);
+  }
+
+  /**
+   * Converts the given sales order to invoice.
+   * @param {number} tenantId
+   * @param {number} salesOrderId
+   * @param {ISalesOrderConvertToInvoiceDTO} convertDTO
+   * @param {ITenantUser} authorizedUser
+   * @returns {Promise<ISaleInvoice>}
+   */
+  public convertSalesOrderToInvoice(
+    tenantId: number,
+    salesOrderId: number,
+    convertDTO: ISalesOrderConvertToInvoiceDTO,
+    authorizedUser: ITenantUser
+  ): Promise<ISaleInvoice> {
+    return this.convertToInvoiceService.convertToInvoice(
+      tenantId,
+      salesOrderId,
+      convertDTO,
+      authorizedUser
+    );
+  }
+}
@@ -0,0 +1,111 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import { ISalesOrderInvoicedSyncedPayload } from '@/interfaces';
+import events from '@/subscribers/events';
+
+@Service()
+export class SyncSalesOrderInvoicedQuantities {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  /**
+   * Retrieves the invoiced quantity of each given sales order line,
+   * summed from the invoice entries that were invoiced from it.
+   * @param {number} tenantId - Tenant id.
+   * @param {number[]} salesOrderEntriesIds - Sales order lines ids.
+   * @param {number} excludeSaleInvoiceId - SaleInvoice id to exclude from the sum.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<Map<number, number>>}
+   */
+  public async getInvoicedQuantities(
+    tenantId: number,
+    salesOrderEntriesIds: number[],
+    excludeSaleInvoiceId?: number,
+    trx?: Knex.Transaction
+  ): Promise<Map<number, number>> {
+    const { ItemEntry } = this.tenancy.models(tenantId);
+
+    const invoicedEntries = await ItemEntry.query(trx)
+      .where('reference_type', 'SaleInvoice')
+      .whereIn('sales_order_entry_id', salesOrderEntriesIds)
+      .onBuild((builder) => {
+        if (excludeSaleInvoiceId) {
+          builder.whereNot('reference_id', excludeSaleInvoiceId);
+        }
+      })
+      .select('sales_order_entry_id')
+      .sum('quantity as invoiced_quantity')
+      .groupBy('sales_order_entry_id');
+
+    return new Map(
+      invoicedEntries.map((entry) => [
+        entry.salesOrderEntryId,
+        parseFloat(entry.invoicedQuantity),
+      ])
+    );
+  }
+
+  /**
+   * Syncs the invoiced quantity of the given sales order lines and marks
+   * the sales order as invoiced once all its lines are invoiced.
+   * @param {number} tenantId - Tenant id.
+   * @param {number} salesOrderId - Sales order id.
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<void>}
+   */
+  public async syncInvoicedQuantities(
+    tenantId: number,
+    salesOrderId: number,
+    trx?: Knex.Transaction
+  ): Promise<void> {
+    const { SalesOrder, ItemEntry } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query(trx)
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    if (!salesOrder) return;
+
+    const entriesIds = salesOrder.entries.map((entry) => entry.id);
+    const invoicedQuantities = await this.getInvoicedQuantities(
+      tenantId,
+      entriesIds,
+      null,
+      trx
+    );
+    // Updates the invoiced quantity of each sales order line.
+    const updateOpers = salesOrder.entries.map((entry) =>
+      ItemEntry.query(trx)
+        .findById(entry.id)
+        .patch({ invoicedQuantity: invoicedQuantities.get(entry.id) || 0 })
+    );
+    await Promise.all(updateOpers);
+
+    const isFullyInvoiced = salesOrder.entries.every(
+      (entry) => (invoicedQuantities.get(entry.id) || 0) >= entry.quantity
+    );
+    // Marks the sales order as invoiced or reverts it back once
+    // the invoices are edited or deleted.
+    if (isFullyInvoiced && !salesOrder.invoicedAt) {
+      await SalesOrder.query(trx)
+        .findById(salesOrderId)
+        .patch({ invoicedAt: moment().toMySqlDateTime() });
+    } else if (!isFullyInvoiced && salesOrder.invoicedAt) {
+      await SalesOrder.query(trx)
+        .findById(salesOrderId)
+        .patch({ invoicedAt: null });
+    }
+    // Triggers `onSalesOrderInvoicedSynced` event.
+    await this.eventPublisher.emitAsync(events.salesOrder.onInvoicedSynced, {
+      tenantId,
+      salesOrderId,
+      trx,
+    } as ISalesOrderInvoicedSyncedPayload);
+  }
+}
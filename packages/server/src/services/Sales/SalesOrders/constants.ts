@@ -0,0 +1,81 @@
+export const ERRORS = {
+  SALES_ORDER_NOT_FOUND: 'SALES_ORDER_NOT_FOUND',
+  SALES_ORDER_NUMBER_EXISTS: 'SALES_ORDER_NUMBER_EXISTS',
+  SALES_ORDER_NO_IS_REQUIRED: 'SALES_ORDER_NO_IS_REQUIRED',
+  SALES_ORDER_ALREADY_CONFIRMED: 'SALES_ORDER_ALREADY_CONFIRMED',
+  SALES_ORDER_NOT_CONFIRMED: 'SALES_ORDER_NOT_CONFIRMED',
+  SALES_ORDER_ALREADY_CLOSED: 'SALES_ORDER_ALREADY_CLOSED',
+  SALES_ORDER_ALREADY_INVOICED: 'SALES_ORDER_ALREADY_INVOICED',
+  SALES_ORDER_HAS_INVOICES: 'SALES_ORDER_HAS_INVOICES',
+  SALES_ORDER_CUSTOMER_MISMATCH: 'SALES_ORDER_CUSTOMER_MISMATCH',
+  SALES_ORDER_ENTRIES_NOT_FOUND: 'SALES_ORDER_ENTRIES_NOT_FOUND',
+  SALES_ORDER_INVOICED_ENTRIES_REMOVED: 'SALES_ORDER_INVOICED_ENTRIES_REMOVED',
+  SALES_ORDER_QUANTITY_LESS_THAN_INVOICED:
+    'SALES_ORDER_QUANTITY_LESS_THAN_INVOICED',
+  SALES_ORDER_QUANTITY_EXCEEDS_REMAINING:
+    'SALES_ORDER_QUANTITY_EXCEEDS_REMAINING',
+  SALES_ORDER_NOTHING_TO_INVOICE: 'SALES_ORDER_NOTHING_TO_INVOICE',
+  SALE_ESTIMATE_NOT_APPROVED: 'SALE_ESTIMATE_NOT_APPROVED',
+  SALE_ESTIMATE_CUSTOMER_MISMATCH: 'SALE_ESTIMATE_CUSTOMER_MISMATCH',
+  SALE_ESTIMATE_CONVERTED_TO_SALES_ORDER:
+    'SALE_ESTIMATE_CONVERTED_TO_SALES_ORDER',
+};
+
+export const DEFAULT_VIEW_COLUMNS = [];
+export const DEFAULT_VIEWS = [
+  {
+    name: 'Draft',
+    slug: 'draft',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'draft' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Confirmed',
+    slug: 'confirmed',
+    rolesLogicExpression: '1',
+    roles: [
+      {
+        index: 1,
+        fieldKey: 'status',
+        comparator: 'equals',
+        value: 'confirmed',
+      },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Partially Invoiced',
+    slug: 'partially-invoiced',
+    rolesLogicExpression: '1',
+    roles: [
+      {
+        index: 1,
+        fieldKey: 'status',
+        comparator: 'equals',
+        value: 'partially-invoiced',
+      },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Invoiced',
+    slug: 'invoiced',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'invoiced' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+  {
+    name: 'Closed',
+    slug: 'closed',
+    rolesLogicExpression: '1',
+    roles: [
+      { index: 1, fieldKey: 'status', comparator: 'equals', value: 'closed' },
+    ],
+    columns: DEFAULT_VIEW_COLUMNS,
+  },
+];
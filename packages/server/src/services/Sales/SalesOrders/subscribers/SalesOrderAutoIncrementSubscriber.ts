@@ -0,0 +1,30 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import { ISalesOrderCreatedPayload } from '@/interfaces';
+import { SalesOrderIncrement } from '../SalesOrderIncrement';
+
+@Service()
+export class SalesOrderAutoIncrementSubscriber {
+  @Inject()
+  private salesOrderIncrement: SalesOrderIncrement;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.salesOrder.onCreated,
+      this.handleSalesOrderNextNumberIncrement
+    );
+  }
+
+  /**
+   * Increments the sales order next number once be created.
+   * @param {ISalesOrderCreatedPayload}
+   */
+  private handleSalesOrderNextNumberIncrement = async ({
+    tenantId,
+  }: ISalesOrderCreatedPayload) => {
+    await this.salesOrderIncrement.incrementNextSalesOrderNumber(tenantId);
+  };
+}
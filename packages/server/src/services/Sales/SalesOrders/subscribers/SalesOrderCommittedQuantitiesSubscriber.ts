@@ -0,0 +1,155 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import {
+  ISalesOrderClosedPayload,
+  ISalesOrderConfirmedPayload,
+  ISalesOrderCreatedPayload,
+  ISalesOrderDeletedPayload,
+  ISalesOrderEditedPayload,
+  ISalesOrderInvoicedSyncedPayload,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { SalesOrderCommittedQuantities } from '../SalesOrderCommittedQuantities';
+
+@Service()
+export class SalesOrderCommittedQuantitiesSubscriber {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private committedQuantities: SalesOrderCommittedQuantities;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.salesOrder.onCreated,
+      this.syncCommittedQuantitiesOnCreated
+    );
+    bus.subscribe(
+      events.salesOrder.onEdited,
+      this.syncCommittedQuantitiesOnEdited
+    );
+    bus.subscribe(
+      events.salesOrder.onDeleted,
+      this.syncCommittedQuantitiesOnDeleted
+    );
+    bus.subscribe(
+      events.salesOrder.onConfirmed,
+      this.syncCommittedQuantitiesOnConfirmed
+    );
+    bus.subscribe(
+      events.salesOrder.onClosed,
+      this.syncCommittedQuantitiesOnClosed
+    );
+    bus.subscribe(
+      events.salesOrder.onInvoicedSynced,
+      this.syncCommittedQuantitiesOnInvoicedSynced
+    );
+  }
+
+  /**
+   * Commits the stock of the sales order lines once the sales order created.
+   * @param {ISalesOrderCreatedPayload}
+   */
+  private syncCommittedQuantitiesOnCreated = async ({
+    tenantId,
+    salesOrderId,
+    trx,
+  }: ISalesOrderCreatedPayload) => {
+    await this.committedQuantities.syncSalesOrderCommittedQuantities(
+      tenantId,
+      salesOrderId,
+      trx
+    );
+  };
+
+  /**
+   * Re-syncs the committed stock of the old and new sales order lines
+   * once the sales order edited.
+   * @param {ISalesOrderEditedPayload}
+   */
+  private syncCommittedQuantitiesOnEdited = async ({
+    tenantId,
+    salesOrderId,
+    oldSalesOrder,
+    trx,
+  }: ISalesOrderEditedPayload) => {
+    const { SalesOrder } = this.tenancy.models(tenantId);
+
+    const salesOrder = await SalesOrder.query(trx)
+      .findById(salesOrderId)
+      .withGraphFetched('entries');
+
+    await this.committedQuantities.syncCommittedQuantitiesFromSalesOrders(
+      tenantId,
+      [oldSalesOrder, salesOrder],
+      trx
+    );
+  };
+
+  /**
+   * Releases the committed stock once the sales order deleted.
+   * @param {ISalesOrderDeletedPayload}
+   */
+  private syncCommittedQuantitiesOnDeleted = async ({
+    tenantId,
+    oldSalesOrder,
+    trx,
+  }: ISalesOrderDeletedPayload) => {
+    await this.committedQuantities.syncCommittedQuantitiesFromSalesOrders(
+      tenantId,
+      [oldSalesOrder],
+      trx
+    );
+  };
+
+  /**
+   * Commits the stock of the sales order lines once the sales order confirmed.
+   * @param {ISalesOrderConfirmedPayload}
+   */
+  private syncCommittedQuantitiesOnConfirmed = async ({
+    tenantId,
+    salesOrder,
+    trx,
+  }: ISalesOrderConfirmedPayload) => {
+    await this.committedQuantities.syncSalesOrderCommittedQuantities(
+      tenantId,
+      salesOrder.id,
+      trx
+    );
+  };
+
+  /**
+   * Releases the remaining committed stock once the sales order closed.
+   * @param {ISalesOrderClosedPayload}
+   */
+  private syncCommittedQuantitiesOnClosed = async ({
+    tenantId,
+    salesOrder,
+    trx,
+  }: ISalesOrderClosedPayload) => {
+    await this.committedQuantities.syncSalesOrderCommittedQuantities(
+      tenantId,
+      salesOrder.id,
+      trx
+    );
+  };
+
+  /**
+   * Releases the invoiced stock once the invoiced quantities synced.
+   * @param {ISalesOrderInvoicedSyncedPayload}
+   */
+  private syncCommittedQuantitiesOnInvoicedSynced = async ({
+    tenantId,
+    salesOrderId,
+    trx,
+  }: ISalesOrderInvoicedSyncedPayload) => {
+    await this.committedQuantities.syncSalesOrderCommittedQuantities(
+      tenantId,
+      salesOrderId,
+      trx
+    );
+  };
+}
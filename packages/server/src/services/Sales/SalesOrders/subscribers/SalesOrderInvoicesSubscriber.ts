@@ -0,0 +1,179 @@
+import { Inject, Service } from 'typedi';
+import { uniq } from 'lodash';
+import events from '@/subscribers/events';
+import {
+  ISaleInvoiceCreatedPayload,
+  ISaleInvoiceCreatingPaylaod,
+  ISaleInvoiceDeletedPayload,
+  ISaleInvoiceEditedPayload,
+  ISaleInvoiceEditingPayload,
+  ISalesOrderEditedPayload,
+} from '@/interfaces';
+import { SalesOrderValidators } from '../SalesOrderValidators';
+import { SyncSalesOrderInvoicedQuantities } from '../SyncSalesOrderInvoicedQuantities';
+
+@Service()
+export class SalesOrderInvoicesSubscriber {
+  @Inject()
+  private validators: SalesOrderValidators;
+
+  @Inject()
+  private syncInvoicedQuantities: SyncSalesOrderInvoicedQuantities;
+
+  /**
+   * Attaches events.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.saleInvoice.onCreating,
+      this.validateSaleInvoiceEntriesOnSaleInvoiceCreating
+    );
+    bus.subscribe(
+      events.saleInvoice.onEditing,
+      this.validateSaleInvoiceEntriesOnSaleInvoiceEditing
+    );
+    bus.subscribe(
+      events.saleInvoice.onCreated,
+      this.syncInvoicedQuantitiesOnSaleInvoiceCreated
+    );
+    bus.subscribe(
+      events.saleInvoice.onEdited,
+      this.syncInvoicedQuantitiesOnSaleInvoiceEdited
+    );
+    bus.subscribe(
+      events.saleInvoice.onDeleted,
+      this.syncInvoicedQuantitiesOnSaleInvoiceDeleted
+    );
+    bus.subscribe(
+      events.salesOrder.onEdited,
+      this.syncInvoicedQuantitiesOnSalesOrderEdited
+    );
+  }
+
+  /**
+   * Validates the invoice entries against the sales order on invoice creating.
+   * @param {ISaleInvoiceCreatingPaylaod}
+   */
+  private validateSaleInvoiceEntriesOnSaleInvoiceCreating = async ({
+    tenantId,
+    saleInvoiceDTO,
+    trx,
+  }: ISaleInvoiceCreatingPaylaod) => {
+    if (!saleInvoiceDTO.salesOrderId) return;
+
+    await this.validators.validateInvoiceEntriesAgainstSalesOrder(
+      tenantId,
+      saleInvoiceDTO.salesOrderId,
+      saleInvoiceDTO.customerId,
+      saleInvoiceDTO.entries,
+      null,
+      trx
+    );
+  };
+
+  /**
+   * Validates the invoice entries against the linked sales order on invoice
+   * editing, the entries keep their stored sales order lines.
+   * @param {ISaleInvoiceEditingPayload}
+   */
+  private validateSaleInvoiceEntriesOnSaleInvoiceEditing = async ({
+    tenantId,
+    oldSaleInvoice,
+    saleInvoiceDTO,
+    trx,
+  }: ISaleInvoiceEditingPayload) => {
+    if (!oldSaleInvoice.salesOrderId) return;
+
+    const entries = saleInvoiceDTO.entries.map((entry) => {
+      const oldEntry = oldSaleInvoice.entries.find((e) => e.id === entry.id);
+
+      return {
+        ...entry,
+        salesOrderEntryId:
+          entry.salesOrderEntryId || oldEntry?.salesOrderEntryId,
+      };
+    });
+    await this.validators.validateInvoiceEntriesAgainstSalesOrder(
+      tenantId,
+      oldSaleInvoice.salesOrderId,
+      saleInvoiceDTO.customerId,
+      entries,
+      oldSaleInvoice.id,
+      trx
+    );
+  };
+
+  /**
+   * Syncs the invoiced quantities of the sales order once the invoice created.
+   * @param {ISaleInvoiceCreatedPayload}
+   */
+  private syncInvoicedQuantitiesOnSaleInvoiceCreated = async ({
+    tenantId,
+    saleInvoice,
+    trx,
+  }: ISaleInvoiceCreatedPayload) => {
+    if (!saleInvoice.salesOrderId) return;
+
+    await this.syncInvoicedQuantities.syncInvoicedQuantities(
+      tenantId,
+      saleInvoice.salesOrderId,
+      trx
+    );
+  };
+
+  /**
+   * Syncs the invoiced quantities of the sales order once the invoice edited.
+   * @param {ISaleInvoiceEditedPayload}
+   */
+  private syncInvoicedQuantitiesOnSaleInvoiceEdited = async ({
+    tenantId,
+    oldSaleInvoice,
+    saleInvoice,
+    trx,
+  }: ISaleInvoiceEditedPayload) => {
+    const salesOrdersIds = uniq(
+      [oldSaleInvoice.salesOrderId, saleInvoice.salesOrderId].filter((id) => id)
+    );
+    for (const salesOrderId of salesOrdersIds) {
+      await this.syncInvoicedQuantities.syncInvoicedQuantities(
+        tenantId,
+        salesOrderId,
+        trx
+      );
+    }
+  };
+
+  /**
+   * Syncs the invoiced quantities of the sales order once the invoice deleted.
+   * @param {ISaleInvoiceDeletedPayload}
+   */
+  private syncInvoicedQuantitiesOnSaleInvoiceDeleted = async ({
+    tenantId,
+    oldSaleInvoice,
+    trx,
+  }: ISaleInvoiceDeletedPayload) => {
+    if (!oldSaleInvoice.salesOrderId) return;
+
+    await this.syncInvoicedQuantities.syncInvoicedQuantities(
+      tenantId,
+      oldSaleInvoice.salesOrderId,
+      trx
+    );
+  };
+
+  /**
+   * Re-syncs the invoiced status once the sales order quantities edited.
+   * @param {ISalesOrderEditedPayload}
+   */
+  private syncInvoicedQuantitiesOnSalesOrderEdited = async ({
+    tenantId,
+    salesOrderId,
+    trx,
+  }: ISalesOrderEditedPayload) => {
+    await this.syncInvoicedQuantities.syncInvoicedQuantities(
+      tenantId,
+      salesOrderId,
+      trx
+    );
+  };
+}
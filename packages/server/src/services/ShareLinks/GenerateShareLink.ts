@@ -0,0 +1,66 @@
+import { Inject, Service } from 'typedi';
+import crypto from 'crypto';
+import moment from 'moment';
+import {
+  IShareLink,
+  IShareLinkDTO,
+  IShareLinkGeneratedPayload,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { ShareLink } from '@/system/models';
+import { ShareLinkValidators } from './ShareLinkValidators';
+
+@Service()
+export class GenerateShareLink {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Generates a new public share link of the given sale document or customer,
+   * the resource model name is the same as the share link resource type.
+   * @param {number} tenantId
+   * @param {IShareLinkDTO} shareLinkDTO
+   * @returns {Promise<IShareLink>}
+   */
+  public async generateShareLink(
+    tenantId: number,
+    shareLinkDTO: IShareLinkDTO
+  ): Promise<IShareLink> {
+    const models = this.tenancy.models(tenantId);
+    const ResourceModel = models[shareLinkDTO.resourceType];
+
+    // Validates the shared resource existance.
+    await ResourceModel.query()
+      .findById(shareLinkDTO.resourceId)
+      .throwIfNotFound();
+
+    // Validates the expiry date should be in the future.
+    this.validators.validateExpiryDate(shareLinkDTO.expiresAt);
+
+    const shareLink = await ShareLink.query().insertAndFetch({
+      token: crypto.randomBytes(32).toString('hex'),
+      tenantId,
+      resourceType: shareLinkDTO.resourceType,
+      resourceId: shareLinkDTO.resourceId,
+      expiresAt: shareLinkDTO.expiresAt
+        ? moment(shareLinkDTO.expiresAt).toMySqlDateTime()
+        : null,
+    });
+    // Triggers `onShareLinkGenerated` event.
+    await this.eventPublisher.emitAsync(events.shareLink.onGenerated, {
+      tenantId,
+      shareLink,
+      shareLinkDTO,
+    } as IShareLinkGeneratedPayload);
+
+    return shareLink;
+  }
+}
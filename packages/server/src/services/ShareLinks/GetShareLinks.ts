@@ -0,0 +1,29 @@
+import { Inject, Service } from 'typedi';
+import { IShareLinksFilter } from '@/interfaces';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { ShareLink } from '@/system/models';
+import { ShareLinkTransformer } from './ShareLinkTransformer';
+
+@Service()
+export class GetShareLinks {
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the share links of the given tenant resource.
+   * @param {number} tenantId
+   * @param {IShareLinksFilter} filter
+   * @returns {Promise<IShareLink[]>}
+   */
+  public async getShareLinks(tenantId: number, filter: IShareLinksFilter) {
+    const shareLinks = await ShareLink.query()
+      .modify('resource', tenantId, filter.resourceType, filter.resourceId)
+      .orderBy('created_at', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      shareLinks,
+      new ShareLinkTransformer()
+    );
+  }
+}
@@ -0,0 +1,157 @@
+import { Inject, Service } from 'typedi';
+import { ServiceError } from '@/exceptions';
+import {
+  ICustomerStatement,
+  ISharedCustomerStatementQuery,
+  IShareLink,
+  ShareLinkResourceType,
+} from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { GetSaleInvoicesPayable } from '@/services/Sales/Invoices/GetSaleInvoicesPayable';
+import { SaleInvoicePdf } from '@/services/Sales/Invoices/SaleInvoicePdf';
+import { CustomerStatementsApplication } from '@/services/CustomerStatements/CustomerStatementsApplication';
+import { ShareLinkValidators } from './ShareLinkValidators';
+import { SharedCustomerTransformer } from './SharedCustomerTransformer';
+import { SharedSaleInvoiceTransformer } from './SharedSaleInvoiceTransformer';
+import { ERRORS } from './constants';
+
+@Service()
+export class GetSharedCustomerPortal {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private getInvoicesPayable: GetSaleInvoicesPayable;
+
+  @Inject()
+  private saleInvoicePdf: SaleInvoicePdf;
+
+  @Inject()
+  private customerStatementsApp: CustomerStatementsApplication;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Retrieves the public details of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public async getSharedCustomer(tenantId: number, shareLink: IShareLink) {
+    const { Contact } = this.tenancy.models(tenantId);
+
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    const customer = await Contact.query()
+      .modify('customer')
+      .findById(shareLink.resourceId)
+      .throwIfNotFound();
+
+    return this.transformer.transform(
+      tenantId,
+      customer,
+      new SharedCustomerTransformer()
+    );
+  }
+
+  /**
+   * Retrieves the open invoices of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public async getSharedCustomerOpenInvoices(
+    tenantId: number,
+    shareLink: IShareLink
+  ) {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    const invoices = await this.getInvoicesPayable.getPayableInvoices(
+      tenantId,
+      shareLink.resourceId
+    );
+    return this.transformer.transform(
+      tenantId,
+      invoices,
+      new SharedSaleInvoiceTransformer()
+    );
+  }
+
+  /**
+   * Retrieves the pdf content of the given invoice of the shared customer,
+   * only the delivered invoices of the customer are accessible.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {number} saleInvoiceId
+   * @returns {Promise<Buffer>}
+   */
+  public async getSharedCustomerInvoicePdf(
+    tenantId: number,
+    shareLink: IShareLink,
+    saleInvoiceId: number
+  ): Promise<Buffer> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    const saleInvoice = await SaleInvoice.query()
+      .findById(saleInvoiceId)
+      .where('customer_id', shareLink.resourceId)
+      .modify('delivered');
+
+    if (!saleInvoice) {
+      throw new ServiceError(ERRORS.SHARED_INVOICE_NOT_FOUND);
+    }
+    return this.saleInvoicePdf.saleInvoicePdf(tenantId, saleInvoiceId);
+  }
+
+  /**
+   * Retrieves the statement of account of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {ISharedCustomerStatementQuery} query
+   * @returns {Promise<ICustomerStatement>}
+   */
+  public getSharedCustomerStatement(
+    tenantId: number,
+    shareLink: IShareLink,
+    query: ISharedCustomerStatementQuery
+  ): Promise<ICustomerStatement> {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    return this.customerStatementsApp.getCustomerStatement(
+      tenantId,
+      shareLink.resourceId,
+      query
+    );
+  }
+
+  /**
+   * Retrieves the statement of account of the shared customer in pdf format.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {ISharedCustomerStatementQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public getSharedCustomerStatementPdf(
+    tenantId: number,
+    shareLink: IShareLink,
+    query: ISharedCustomerStatementQuery
+  ): Promise<Buffer> {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    return this.customerStatementsApp.getCustomerStatementPdf(
+      tenantId,
+      shareLink.resourceId,
+      query
+    );
+  }
+}
@@ -0,0 +1,158 @@
+import { Inject, Service } from 'typedi';
+import { IShareLink, ShareLinkResourceType } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { SaleInvoicePdf } from '@/services/Sales/Invoices/SaleInvoicePdf';
+import { SaleEstimatesPdf } from '@/services/Sales/Estimates/SaleEstimatesPdf';
+import { SaleReceiptsPdf } from '@/services/Sales/Receipts/SaleReceiptsPdfService';
+import { ShareLinkValidators } from './ShareLinkValidators';
+import { SharedSaleInvoiceTransformer } from './SharedSaleInvoiceTransformer';
+import { SharedSaleEstimateTransformer } from './SharedSaleEstimateTransformer';
+import { SharedSaleReceiptTransformer } from './SharedSaleReceiptTransformer';
+
+const SHARED_DOCUMENT_TYPES = [
+  ShareLinkResourceType.SaleInvoice,
+  ShareLinkResourceType.SaleEstimate,
+  ShareLinkResourceType.SaleReceipt,
+];
+
+@Service()
+export class GetSharedDocument {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  @Inject()
+  private saleInvoicePdf: SaleInvoicePdf;
+
+  @Inject()
+  private saleEstimatePdf: SaleEstimatesPdf;
+
+  @Inject()
+  private saleReceiptPdf: SaleReceiptsPdf;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Retrieves the shared sale document of the given share link, only the
+   * public details of the document are exposed.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<any>}
+   */
+  public async getSharedDocument(tenantId: number, shareLink: IShareLink) {
+    this.validators.validateShareLinkResourceType(
+      shareLink,
+      SHARED_DOCUMENT_TYPES
+    );
+    const { resourceId } = shareLink;
+
+    switch (shareLink.resourceType) {
+      case ShareLinkResourceType.SaleInvoice:
+        return this.getSharedSaleInvoice(tenantId, resourceId);
+      case ShareLinkResourceType.SaleEstimate:
+        return this.getSharedSaleEstimate(tenantId, resourceId);
+      case ShareLinkResourceType.SaleReceipt:
+      default:
+        return this.getSharedSaleReceipt(tenantId, resourceId);
+    }
+  }
+
+  /**
+   * Retrieves the public details of the shared sale invoice.
+   * @param {number} tenantId
+   * @param {number} saleInvoiceId
+   */
+  private async getSharedSaleInvoice(tenantId: number, saleInvoiceId: number) {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    const saleInvoice = await SaleInvoice.query()
+      .findById(saleInvoiceId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .withGraphFetched('paymentTerm')
+      .withGraphFetched('taxes.taxRate')
+      .throwIfNotFound();
+
+    return this.transformer.transform(
+      tenantId,
+      saleInvoice,
+      new SharedSaleInvoiceTransformer()
+    );
+  }
+
+  /**
+   * Retrieves the public details of the shared sale estimate.
+   * @param {number} tenantId
+   * @param {number} saleEstimateId
+   */
+  private async getSharedSaleEstimate(
+    tenantId: number,
+    saleEstimateId: number
+  ) {
+    const { SaleEstimate } = this.tenancy.models(tenantId);
+
+    const saleEstimate = await SaleEstimate.query()
+      .findById(saleEstimateId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .throwIfNotFound();
+
+    return this.transformer.transform(
+      tenantId,
+      saleEstimate,
+      new SharedSaleEstimateTransformer()
+    );
+  }
+
+  /**
+   * Retrieves the public details of the shared sale receipt.
+   * @param {number} tenantId
+   * @param {number} saleReceiptId
+   */
+  private async getSharedSaleReceipt(tenantId: number, saleReceiptId: number) {
+    const { SaleReceipt } = this.tenancy.models(tenantId);
+
+    const saleReceipt = await SaleReceipt.query()
+      .findById(saleReceiptId)
+      .withGraphFetched('entries.item')
+      .withGraphFetched('customer')
+      .throwIfNotFound();
+
+    return this.transformer.transform(
+      tenantId,
+      saleReceipt,
+      new SharedSaleReceiptTransformer()
+    );
+  }
+
+  /**
+   * Retrieves the pdf content of the shared sale document.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<Buffer>}
+   */
+  public async getSharedDocumentPdf(
+    tenantId: number,
+    shareLink: IShareLink
+  ): Promise<Buffer> {
+    this.validators.validateShareLinkResourceType(
+      shareLink,
+      SHARED_DOCUMENT_TYPES
+    );
+    const { resourceId } = shareLink;
+
+    switch (shareLink.resourceType) {
+      case ShareLinkResourceType.SaleInvoice:
+        return this.saleInvoicePdf.saleInvoicePdf(tenantId, resourceId);
+      case ShareLinkResourceType.SaleEstimate:
+        return this.saleEstimatePdf.getSaleEstimatePdf(tenantId, resourceId);
+      case ShareLinkResourceType.SaleReceipt:
+      default:
+        return this.saleReceiptPdf.saleReceiptPdf(tenantId, resourceId);
+    }
+  }
+}
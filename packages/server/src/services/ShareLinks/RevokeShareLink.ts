@@ -0,0 +1,59 @@
+import { Inject, Service } from 'typedi';
+import { IShareLinkRevokedPayload } from '@/interfaces';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import events from '@/subscribers/events';
+import { ShareLink } from '@/system/models';
+import { ShareLinkValidators } from './ShareLinkValidators';
+
+@Service()
+export class RevokeShareLink {
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Revokes the given share link of the tenant, the link stops working once deleted.
+   * @param {number} tenantId
+   * @param {number} shareLinkId
+   * @returns {Promise<void>}
+   */
+  public async revokeShareLink(
+    tenantId: number,
+    shareLinkId: number
+  ): Promise<void> {
+    const oldShareLink = await ShareLink.query()
+      .findById(shareLinkId)
+      .where('tenant_id', tenantId);
+
+    // Validates the share link existance.
+    this.validators.validateShareLinkExistance(oldShareLink);
+
+    await ShareLink.query().findById(shareLinkId).delete();
+
+    // Triggers `onShareLinkRevoked` event.
+    await this.eventPublisher.emitAsync(events.shareLink.onRevoked, {
+      tenantId,
+      shareLinkId,
+      oldShareLink,
+    } as IShareLinkRevokedPayload);
+  }
+
+  /**
+   * Revokes all share links of the given tenant resource.
+   * @param {number} tenantId
+   * @param {string} resourceType
+   * @param {number} resourceId
+   * @returns {Promise<void>}
+   */
+  public async revokeResourceShareLinks(
+    tenantId: number,
+    resourceType: string,
+    resourceId: number
+  ): Promise<void> {
+    await ShareLink.query()
+      .modify('resource', tenantId, resourceType, resourceId)
+      .delete();
+  }
+}
@@ -0,0 +1,34 @@
+import { Request, Response, NextFunction } from 'express';
+import { ShareLink, Tenant } from '@/system/models';
+import tenantDependencyInjection from '@/api/middleware/TenantDependencyInjection';
+
+export const ShareLinkTenantBootMiddleware = async (
+  req: Request,
+  res: Response,
+  next: NextFunction
+) => {
+  const { token } = req.params;
+  const shareLink = await ShareLink.query().findOne({ token });
+
+  const notFoundShareLink = () => {
+    return res.boom.notFound('The share link not found or expired.', {
+      errors: [{ type: 'SHARE_LINK_NOT_FOUND', code: 100 }],
+    });
+  };
+  // In case the given share link not found or expired.
+  if (!shareLink || shareLink.isExpired) {
+    return notFoundShareLink();
+  }
+  const tenant = await Tenant.query()
+    .findById(shareLink.tenantId)
+    .withGraphFetched('metadata');
+
+  // When the share link organization not found on the system storage.
+  if (!tenant) {
+    return notFoundShareLink();
+  }
+  tenantDependencyInjection(req, tenant);
+
+  req.shareLink = shareLink;
+  next();
+};
@@ -0,0 +1,61 @@
+import config from '@/config';
+import { IShareLink, ShareLinkResourceType } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class ShareLinkTransformer extends Transformer {
+  /**
+   * Include these attributes to share link object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return ['url', 'paymentUrl', 'formattedExpiresAt', 'formattedCreatedAt'];
+  };
+
+  /**
+   * Exclude these attributes from share link object.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['tenantId'];
+  };
+
+  /**
+   * Retrieves the public url of the share link.
+   * @param {IShareLink} shareLink
+   * @returns {string}
+   */
+  protected url = (shareLink: IShareLink): string => {
+    return `${config.baseURL}/share/${shareLink.token}`;
+  };
+
+  /**
+   * Retrieves the "pay now" url of the shared invoice, hidden once there is
+   * no configured payment gateway.
+   * @param {IShareLink} shareLink
+   * @returns {string | null}
+   */
+  protected paymentUrl = (shareLink: IShareLink): string | null => {
+    return shareLink.resourceType === ShareLinkResourceType.SaleInvoice &&
+      config.paymentGateway.driver
+      ? `${config.baseURL}${config.api.prefix}/share/${shareLink.token}/pay`
+      : null;
+  };
+
+  /**
+   * Retrieves the formatted expiry date.
+   * @param {IShareLink} shareLink
+   * @returns {string}
+   */
+  protected formattedExpiresAt = (shareLink: IShareLink): string => {
+    return shareLink.expiresAt ? this.formatDate(shareLink.expiresAt) : '';
+  };
+
+  /**
+   * Retrieves the formatted created at date.
+   * @param {IShareLink} shareLink
+   * @returns {string}
+   */
+  protected formattedCreatedAt = (shareLink: IShareLink): string => {
+    return this.formatDate(shareLink.createdAt);
+  };
+}
@@ -0,0 +1,44 @@
+import { Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import { IShareLink, ShareLinkResourceType } from '@/interfaces';
+import { ERRORS } from './constants';
+
+@Service()
+export class ShareLinkValidators {
+  /**
+   * Validates the given share link existance.
+   * @param {IShareLink | undefined | null} shareLink
+   */
+  public validateShareLinkExistance(shareLink: IShareLink | undefined | null) {
+    if (!shareLink) {
+      throw new ServiceError(ERRORS.SHARE_LINK_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the share link points to one of the given resource types.
+   * @param {IShareLink} shareLink
+   * @param {ShareLinkResourceType[]} resourceTypes
+   */
+  public validateShareLinkResourceType(
+    shareLink: IShareLink,
+    resourceTypes: ShareLinkResourceType[]
+  ) {
+    if (
+      !resourceTypes.includes(shareLink.resourceType as ShareLinkResourceType)
+    ) {
+      throw new ServiceError(ERRORS.SHARE_LINK_RESOURCE_MISMATCH);
+    }
+  }
+
+  /**
+   * Validates the expiry date of the share link should be in the future.
+   * @param {Date | string | null} expiresAt
+   */
+  public validateExpiryDate(expiresAt?: Date | string | null) {
+    if (expiresAt && !moment(expiresAt).isAfter(moment())) {
+      throw new ServiceError(ERRORS.SHARE_LINK_EXPIRY_DATE_INVALID);
+    }
+  }
+}
@@ -0,0 +1,231 @@
+import { Inject, Service } from 'typedi';
+import {
+  ISharedCustomerStatementQuery,
+  IShareLink,
+  IShareLinkDTO,
+  IShareLinksFilter,
+} from '@/interfaces';
+import { GenerateShareLink } from './GenerateShareLink';
+import { RevokeShareLink } from './RevokeShareLink';
+import { GetShareLinks } from './GetShareLinks';
+import { GetSharedDocument } from './GetSharedDocument';
+import { SharedEstimateDecision } from './SharedEstimateDecision';
+import { GetSharedCustomerPortal } from './GetSharedCustomerPortal';
+import { SharedInvoicePayment } from './SharedInvoicePayment';
+
+@Service()
+export class ShareLinksApplication {
+  @Inject()
+  private generateShareLinkService: GenerateShareLink;
+
+  @Inject()
+  private revokeShareLinkService: RevokeShareLink;
+
+  @Inject()
+  private getShareLinksService: GetShareLinks;
+
+  @Inject()
+  private getSharedDocumentService: GetSharedDocument;
+
+  @Inject()
+  private sharedEstimateDecisionService: SharedEstimateDecision;
+
+  @Inject()
+  private getSharedCustomerPortalService: GetSharedCustomerPortal;
+
+  @Inject()
+  private sharedInvoicePaymentService: SharedInvoicePayment;
+
+  /**
+   * Generates a new share link of the given resource.
+   * @param {number} tenantId
+   * @param {IShareLinkDTO} shareLinkDTO
+   * @returns {Promise<IShareLink>}
+   */
+  public generateShareLink(tenantId: number, shareLinkDTO: IShareLinkDTO) {
+    return this.generateShareLinkService.generateShareLink(
+      tenantId,
+      shareLinkDTO
+    );
+  }
+
+  /**
+   * Revokes the given share link.
+   * @param {number} tenantId
+   * @param {number} shareLinkId
+   * @returns {Promise<void>}
+   */
+  public revokeShareLink(tenantId: number, shareLinkId: number) {
+    return this.revokeShareLinkService.revokeShareLink(tenantId, shareLinkId);
+  }
+
+  /**
+   * Retrieves the share links of the given resource.
+   * @param {number} tenantId
+   * @param {IShareLinksFilter} filter
+   */
+  public getShareLinks(tenantId: number, filter: IShareLinksFilter) {
+    return this.getShareLinksService.getShareLinks(tenantId, filter);
+  }
+
+  /**
+   * Retrieves the shared sale document.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public getSharedDocument(tenantId: number, shareLink: IShareLink) {
+    return this.getSharedDocumentService.getSharedDocument(tenantId, shareLink);
+  }
+
+  /**
+   * Retrieves the shared sale document in pdf format.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<Buffer>}
+   */
+  public getSharedDocumentPdf(tenantId: number, shareLink: IShareLink) {
+    return this.getSharedDocumentService.getSharedDocumentPdf(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Approves the shared sale estimate.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<void>}
+   */
+  public approveSharedEstimate(tenantId: number, shareLink: IShareLink) {
+    return this.sharedEstimateDecisionService.approveSharedEstimate(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Rejects the shared sale estimate.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<void>}
+   */
+  public rejectSharedEstimate(tenantId: number, shareLink: IShareLink) {
+    return this.sharedEstimateDecisionService.rejectSharedEstimate(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Retrieves the shared customer details.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public getSharedCustomer(tenantId: number, shareLink: IShareLink) {
+    return this.getSharedCustomerPortalService.getSharedCustomer(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Retrieves the open invoices of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public getSharedCustomerOpenInvoices(
+    tenantId: number,
+    shareLink: IShareLink
+  ) {
+    return this.getSharedCustomerPortalService.getSharedCustomerOpenInvoices(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Retrieves the given invoice of the shared customer in pdf format.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {number} saleInvoiceId
+   * @returns {Promise<Buffer>}
+   */
+  public getSharedCustomerInvoicePdf(
+    tenantId: number,
+    shareLink: IShareLink,
+    saleInvoiceId: number
+  ) {
+    return this.getSharedCustomerPortalService.getSharedCustomerInvoicePdf(
+      tenantId,
+      shareLink,
+      saleInvoiceId
+    );
+  }
+
+  /**
+   * Retrieves the statement of account of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {ISharedCustomerStatementQuery} query
+   */
+  public getSharedCustomerStatement(
+    tenantId: number,
+    shareLink: IShareLink,
+    query: ISharedCustomerStatementQuery
+  ) {
+    return this.getSharedCustomerPortalService.getSharedCustomerStatement(
+      tenantId,
+      shareLink,
+      query
+    );
+  }
+
+  /**
+   * Retrieves the statement of account of the shared customer in pdf format.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {ISharedCustomerStatementQuery} query
+   * @returns {Promise<Buffer>}
+   */
+  public getSharedCustomerStatementPdf(
+    tenantId: number,
+    shareLink: IShareLink,
+    query: ISharedCustomerStatementQuery
+  ) {
+    return this.getSharedCustomerPortalService.getSharedCustomerStatementPdf(
+      tenantId,
+      shareLink,
+      query
+    );
+  }
+
+  /**
+   * Creates a new checkout session of the shared invoice.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   */
+  public paySharedInvoice(tenantId: number, shareLink: IShareLink) {
+    return this.sharedInvoicePaymentService.paySharedInvoice(
+      tenantId,
+      shareLink
+    );
+  }
+
+  /**
+   * Creates a new checkout session of the given invoice of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {number} saleInvoiceId
+   */
+  public paySharedCustomerInvoice(
+    tenantId: number,
+    shareLink: IShareLink,
+    saleInvoiceId: number
+  ) {
+    return this.sharedInvoicePaymentService.paySharedCustomerInvoice(
+      tenantId,
+      shareLink,
+      saleInvoiceId
+    );
+  }
+}
@@ -0,0 +1,34 @@
+import ContactTransfromer from '@/services/Contacts/ContactTransformer';
+
+export class SharedCustomerTransformer extends ContactTransfromer {
+  /**
+   * Include these attributes to the shared customer object, the customer is
+   * exposed publicly so only the details the customer is aware of are included.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'id',
+      'displayName',
+      'companyName',
+      'email',
+      'currencyCode',
+      'balance',
+      'formattedBalance',
+      'billingAddress1',
+      'billingAddress2',
+      'billingAddressCity',
+      'billingAddressState',
+      'billingAddressCountry',
+      'billingAddressZipcode',
+    ];
+  };
+
+  /**
+   * Exclude all the customer attributes.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+}
@@ -0,0 +1,55 @@
+import { Inject, Service } from 'typedi';
+import { IShareLink, ShareLinkResourceType } from '@/interfaces';
+import { ApproveSaleEstimate } from '@/services/Sales/Estimates/ApproveSaleEstimate';
+import { RejectSaleEstimate } from '@/services/Sales/Estimates/RejectSaleEstimate';
+import { ShareLinkValidators } from './ShareLinkValidators';
+
+@Service()
+export class SharedEstimateDecision {
+  @Inject()
+  private approveEstimateService: ApproveSaleEstimate;
+
+  @Inject()
+  private rejectEstimateService: RejectSaleEstimate;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Approves the shared sale estimate on behalf of the customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<void>}
+   */
+  public async approveSharedEstimate(
+    tenantId: number,
+    shareLink: IShareLink
+  ): Promise<void> {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.SaleEstimate,
+    ]);
+    await this.approveEstimateService.approveSaleEstimate(
+      tenantId,
+      shareLink.resourceId
+    );
+  }
+
+  /**
+   * Rejects the shared sale estimate on behalf of the customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<void>}
+   */
+  public async rejectSharedEstimate(
+    tenantId: number,
+    shareLink: IShareLink
+  ): Promise<void> {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.SaleEstimate,
+    ]);
+    await this.rejectEstimateService.rejectSaleEstimate(
+      tenantId,
+      shareLink.resourceId
+    );
+  }
+}
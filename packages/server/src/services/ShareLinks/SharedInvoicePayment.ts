@@ -0,0 +1,85 @@
+import { Inject, Service } from 'typedi';
+import config from '@/config';
+import { ServiceError } from '@/exceptions';
+import { IShareLink, ShareLinkResourceType } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { PaymentGatewaysApplication } from '@/services/PaymentGateways/PaymentGatewaysApplication';
+import { PaymentGatewayCheckoutSession } from '@/services/PaymentGateways/types';
+import { ShareLinkValidators } from './ShareLinkValidators';
+import { ERRORS } from './constants';
+
+@Service()
+export class SharedInvoicePayment {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private paymentGatewaysApp: PaymentGatewaysApplication;
+
+  @Inject()
+  private validators: ShareLinkValidators;
+
+  /**
+   * Retrieves the checkout urls that the customer returns to the share link.
+   * @param {IShareLink} shareLink
+   */
+  private getCheckoutDTO(shareLink: IShareLink) {
+    const shareUrl = `${config.baseURL}/share/${shareLink.token}`;
+
+    return {
+      successUrl: `${shareUrl}?payment=success`,
+      cancelUrl: `${shareUrl}?payment=cancel`,
+    };
+  }
+
+  /**
+   * Creates a new checkout session of the shared invoice.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @returns {Promise<PaymentGatewayCheckoutSession>}
+   */
+  public paySharedInvoice(
+    tenantId: number,
+    shareLink: IShareLink
+  ): Promise<PaymentGatewayCheckoutSession> {
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.SaleInvoice,
+    ]);
+    return this.paymentGatewaysApp.createInvoiceCheckout(
+      tenantId,
+      shareLink.resourceId,
+      this.getCheckoutDTO(shareLink)
+    );
+  }
+
+  /**
+   * Creates a new checkout session of the given invoice of the shared customer.
+   * @param {number} tenantId
+   * @param {IShareLink} shareLink
+   * @param {number} saleInvoiceId
+   * @returns {Promise<PaymentGatewayCheckoutSession>}
+   */
+  public async paySharedCustomerInvoice(
+    tenantId: number,
+    shareLink: IShareLink,
+    saleInvoiceId: number
+  ): Promise<PaymentGatewayCheckoutSession> {
+    const { SaleInvoice } = this.tenancy.models(tenantId);
+
+    this.validators.validateShareLinkResourceType(shareLink, [
+      ShareLinkResourceType.Customer,
+    ]);
+    const saleInvoice = await SaleInvoice.query()
+      .findById(saleInvoiceId)
+      .where('customer_id', shareLink.resourceId);
+
+    if (!saleInvoice) {
+      throw new ServiceError(ERRORS.SHARED_INVOICE_NOT_FOUND);
+    }
+    return this.paymentGatewaysApp.createInvoiceCheckout(
+      tenantId,
+      saleInvoiceId,
+      this.getCheckoutDTO(shareLink)
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { IItemEntry } from '@/interfaces';
+import { ItemEntryTransformer } from '@/services/Sales/Invoices/ItemEntryTransformer';
+
+export class SharedItemEntryTransformer extends ItemEntryTransformer {
+  /**
+   * Include these attributes to the shared document entry object, only the
+   * entry details printed on the document are included.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'index',
+      'itemName',
+      'description',
+      'quantity',
+      'rate',
+      'discount',
+      'amount',
+      'total',
+      'quantityFormatted',
+      'rateFormatted',
+      'totalFormatted',
+    ];
+  };
+
+  /**
+   * Exclude all the entry attributes.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+
+  /**
+   * Retrieves the item name of the entry.
+   * @param {IItemEntry} entry
+   * @returns {string}
+   */
+  protected itemName = (entry: IItemEntry): string => {
+    return entry.item?.name || '';
+  };
+}
@@ -0,0 +1,64 @@
+import { ISaleEstimate } from '@/interfaces';
+import { SaleEstimateTransfromer } from '@/services/Sales/Estimates/SaleEstimateTransformer';
+import { SharedCustomerTransformer } from './SharedCustomerTransformer';
+import { SharedItemEntryTransformer } from './SharedItemEntryTransformer';
+
+export class SharedSaleEstimateTransformer extends SaleEstimateTransfromer {
+  /**
+   * Include these attributes to the shared estimate object, the estimate is
+   * exposed publicly so only the details printed on the estimate are included.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'estimateNumber',
+      'reference',
+      'estimateDate',
+      'expirationDate',
+      'currencyCode',
+      'note',
+      'termsConditions',
+      'isExpired',
+      'isApproved',
+      'isRejected',
+      'isConvertedToInvoice',
+      'total',
+      'formattedEstimateDate',
+      'formattedExpirationDate',
+      'formattedSubtotal',
+      'formattedAmount',
+      'formattedDiscountAmount',
+      'formattedShippingCharge',
+      'formattedAdjustment',
+      'formattedTotal',
+      'customer',
+      'entries',
+    ];
+  };
+
+  /**
+   * Exclude all the estimate attributes.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+
+  /**
+   * Retrieves the public details of the estimate customer.
+   * @param {ISaleEstimate} estimate
+   */
+  protected customer = (estimate) => {
+    return this.item(estimate.customer, new SharedCustomerTransformer());
+  };
+
+  /**
+   * Retrieves the entries of the shared estimate.
+   * @param {ISaleEstimate} estimate
+   */
+  protected entries = (estimate: ISaleEstimate) => {
+    return this.item(estimate.entries, new SharedItemEntryTransformer(), {
+      currencyCode: estimate.currencyCode,
+    });
+  };
+}
@@ -0,0 +1,78 @@
+import { ISaleInvoice } from '@/interfaces';
+import { SaleInvoiceTransformer } from '@/services/Sales/Invoices/SaleInvoiceTransformer';
+import { SharedCustomerTransformer } from './SharedCustomerTransformer';
+import { SharedItemEntryTransformer } from './SharedItemEntryTransformer';
+
+export class SharedSaleInvoiceTransformer extends SaleInvoiceTransformer {
+  /**
+   * Include these attributes to the shared invoice object, the invoice is
+   * exposed publicly so only the details printed on the invoice are included.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'id',
+      'invoiceNo',
+      'referenceNo',
+      'invoiceDate',
+      'dueDate',
+      'currencyCode',
+      'invoiceMessage',
+      'termsConditions',
+      'isOverdue',
+      'isFullyPaid',
+      'isPartiallyPaid',
+      'total',
+      'dueAmount',
+      'paymentAmount',
+      'invoiceDateFormatted',
+      'dueDateFormatted',
+      'subtotalFormatted',
+      'discountAmountFormatted',
+      'shippingChargeFormatted',
+      'adjustmentFormatted',
+      'totalFormatted',
+      'paymentAmountFormatted',
+      'dueAmountFormatted',
+      'paymentTermName',
+      'customer',
+      'taxes',
+      'entries',
+    ];
+  };
+
+  /**
+   * Exclude all the invoice attributes.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+
+  /**
+   * Retrieves the payment term name of the invoice.
+   * @param {ISaleInvoice} invoice
+   * @returns {string}
+   */
+  protected paymentTermName = (invoice): string => {
+    return invoice.paymentTerm?.name || '';
+  };
+
+  /**
+   * Retrieves the public details of the invoice customer.
+   * @param {ISaleInvoice} invoice
+   */
+  protected customer = (invoice) => {
+    return this.item(invoice.customer, new SharedCustomerTransformer());
+  };
+
+  /**
+   * Retrieves the entries of the shared invoice.
+   * @param {ISaleInvoice} invoice
+   */
+  protected entries = (invoice: ISaleInvoice) => {
+    return this.item(invoice.entries, new SharedItemEntryTransformer(), {
+      currencyCode: invoice.currencyCode,
+    });
+  };
+}
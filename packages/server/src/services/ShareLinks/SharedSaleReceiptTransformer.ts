@@ -0,0 +1,58 @@
+import { ISaleReceipt } from '@/interfaces';
+import { SaleReceiptTransformer } from '@/services/Sales/Receipts/SaleReceiptTransformer';
+import { SharedCustomerTransformer } from './SharedCustomerTransformer';
+import { SharedItemEntryTransformer } from './SharedItemEntryTransformer';
+
+export class SharedSaleReceiptTransformer extends SaleReceiptTransformer {
+  /**
+   * Include these attributes to the shared receipt object, the receipt is
+   * exposed publicly so only the details printed on the receipt are included.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'receiptNumber',
+      'referenceNo',
+      'receiptDate',
+      'currencyCode',
+      'receiptMessage',
+      'statement',
+      'total',
+      'formattedReceiptDate',
+      'formattedSubtotal',
+      'formattedAmount',
+      'formattedDiscountAmount',
+      'formattedShippingCharge',
+      'formattedAdjustment',
+      'formattedTotal',
+      'customer',
+      'entries',
+    ];
+  };
+
+  /**
+   * Exclude all the receipt attributes.
+   * @returns {Array}
+   */
+  public excludeAttributes = (): string[] => {
+    return ['*'];
+  };
+
+  /**
+   * Retrieves the public details of the receipt customer.
+   * @param {ISaleReceipt} receipt
+   */
+  protected customer = (receipt) => {
+    return this.item(receipt.customer, new SharedCustomerTransformer());
+  };
+
+  /**
+   * Retrieves the entries of the shared receipt.
+   * @param {ISaleReceipt} receipt
+   */
+  protected entries = (receipt: ISaleReceipt) => {
+    return this.item(receipt.entries, new SharedItemEntryTransformer(), {
+      currencyCode: receipt.currencyCode,
+    });
+  };
+}
@@ -0,0 +1,35 @@
+import {
+  AbilitySubject,
+  CustomerAction,
+  SaleEstimateAction,
+  SaleInvoiceAction,
+  SaleReceiptAction,
+  ShareLinkResourceType,
+} from '@/interfaces';
+
+export const ERRORS = {
+  SHARE_LINK_NOT_FOUND: 'SHARE_LINK_NOT_FOUND',
+  SHARE_LINK_RESOURCE_MISMATCH: 'SHARE_LINK_RESOURCE_MISMATCH',
+  SHARE_LINK_EXPIRY_DATE_INVALID: 'SHARE_LINK_EXPIRY_DATE_INVALID',
+  SHARED_INVOICE_NOT_FOUND: 'SHARED_INVOICE_NOT_FOUND',
+};
+
+// The ability required to share every resource type.
+export const SHARE_LINK_RESOURCE_ABILITIES = {
+  [ShareLinkResourceType.SaleInvoice]: {
+    ability: SaleInvoiceAction.View,
+    subject: AbilitySubject.SaleInvoice,
+  },
+  [ShareLinkResourceType.SaleEstimate]: {
+    ability: SaleEstimateAction.View,
+    subject: AbilitySubject.SaleEstimate,
+  },
+  [ShareLinkResourceType.SaleReceipt]: {
+    ability: SaleReceiptAction.View,
+    subject: AbilitySubject.SaleReceipt,
+  },
+  [ShareLinkResourceType.Customer]: {
+    ability: CustomerAction.View,
+    subject: AbilitySubject.Customer,
+  },
+};
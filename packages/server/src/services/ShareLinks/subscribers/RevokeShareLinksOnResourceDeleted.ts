@@ -0,0 +1,99 @@
+import { Inject, Service } from 'typedi';
+import events from '@/subscribers/events';
+import {
+  ICustomerEventDeletedPayload,
+  ISaleEstimateDeletedPayload,
+  ISaleInvoiceDeletedPayload,
+  ISaleReceiptEventDeletedPayload,
+  ShareLinkResourceType,
+} from '@/interfaces';
+import { RevokeShareLink } from '../RevokeShareLink';
+
+@Service()
+export class RevokeShareLinksOnResourceDeleted {
+  @Inject()
+  private revokeShareLink: RevokeShareLink;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach = (bus) => {
+    bus.subscribe(
+      events.saleInvoice.onDeleted,
+      this.handleRevokeInvoiceShareLinks
+    );
+    bus.subscribe(
+      events.saleEstimate.onDeleted,
+      this.handleRevokeEstimateShareLinks
+    );
+    bus.subscribe(
+      events.saleReceipt.onDeleted,
+      this.handleRevokeReceiptShareLinks
+    );
+    bus.subscribe(
+      events.customers.onDeleted,
+      this.handleRevokeCustomerShareLinks
+    );
+    return bus;
+  };
+
+  /**
+   * Revokes the share links of the deleted sale invoice.
+   * @param {ISaleInvoiceDeletedPayload} payload
+   */
+  private handleRevokeInvoiceShareLinks = async ({
+    tenantId,
+    saleInvoiceId,
+  }: ISaleInvoiceDeletedPayload) => {
+    await this.revokeShareLink.revokeResourceShareLinks(
+      tenantId,
+      ShareLinkResourceType.SaleInvoice,
+      saleInvoiceId
+    );
+  };
+
+  /**
+   * Revokes the share links of the deleted sale estimate.
+   * @param {ISaleEstimateDeletedPayload} payload
+   */
+  private handleRevokeEstimateShareLinks = async ({
+    tenantId,
+    saleEstimateId,
+  }: ISaleEstimateDeletedPayload) => {
+    await this.revokeShareLink.revokeResourceShareLinks(
+      tenantId,
+      ShareLinkResourceType.SaleEstimate,
+      saleEstimateId
+    );
+  };
+
+  /**
+   * Revokes the share links of the deleted sale receipt.
+   * @param {ISaleReceiptEventDeletedPayload} payload
+   */
+  private handleRevokeReceiptShareLinks = async ({
+    tenantId,
+    saleReceiptId,
+  }: ISaleReceiptEventDeletedPayload) => {
+    await this.revokeShareLink.revokeResourceShareLinks(
+      tenantId,
+      ShareLinkResourceType.SaleReceipt,
+      saleReceiptId
+    );
+  };
+
+  /**
+   * Revokes the magic links of the deleted customer.
+   * @param {ICustomerEventDeletedPayload} payload
+   */
+  private handleRevokeCustomerShareLinks = async ({
+    tenantId,
+    customerId,
+  }: ICustomerEventDeletedPayload) => {
+    await this.revokeShareLink.revokeResourceShareLinks(
+      tenantId,
+      ShareLinkResourceType.Customer,
+      customerId
+    );
+  };
+}
@@ -0,0 +1,54 @@
+import { Container } from 'typedi';
+import rtlDetect from 'rtl-detect';
+import { Tenant } from '@/system/models';
+import TenancyService from '@/services/Tenancy/TenancyService';
+import TenantsManagerService from '@/services/Tenancy/TenantsManager';
+import SettingsStore from '@/services/Settings/SettingsStore';
+import i18n from '@/loaders/i18n';
+
+/**
+ * Boots the dependencies of the given tenant out of the http request lifecycle,
+ * the background jobs don't go through the tenancy middlewares so the tenant
+ * knex instance, i18n locals and settings have to be initialized before
+ * running the tenant services.
+ * @param {number} tenantId
+ * @returns {Promise<{ tenant: ITenant; settings: SettingsStore }>}
+ */
+export const bootTenantJob = async (tenantId: number) => {
+  const tenant = await Tenant.query()
+    .findById(tenantId)
+    .withGraphFetched('metadata')
+    .throwIfNotFound();
+
+  const tenantServices = Container.get(TenancyService);
+  const tenantsManager = Container.get(TenantsManagerService);
+
+  // Initialize the knex instance.
+  tenantsManager.setupKnexInstance(tenant);
+
+  // Injects the i18n locals of the organization language.
+  const i18nInstance = i18n();
+  const locale = tenant.metadata?.language || 'en';
+  const direction = rtlDetect.getLangDir(locale);
+
+  i18nInstance.setLocale(locale);
+
+  const tenantContainer = tenantServices.tenantContainer(tenantId);
+
+  tenantContainer.set('i18n', {
+    locale,
+    __: (...args) => i18nInstance.__(...args),
+    direction,
+    isRtl: direction === 'rtl',
+    isLtr: direction === 'ltr',
+  });
+  // Loads the tenant settings.
+  if (!tenantContainer.has('settings')) {
+    const { settingRepository } = tenantServices.repositories(tenantId);
+    tenantContainer.set('settings', new SettingsStore(settingRepository));
+  }
+  const settings = tenantContainer.get<SettingsStore>('settings');
+  await settings.load();
+
+  return { tenant, settings };
+};
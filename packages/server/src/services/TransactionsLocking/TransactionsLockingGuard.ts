@@ -89,6 +89,31 @@ export default class TransactionsLockingGuard {
     });
   };
 
+  /**
+   * Detarmines whether the transaction date of the given module is locked,
+   * the all transactions locking overrides the module locking.
+   * @param {number} tenantId
+   * @param {Date} transactionDate
+   * @param {TransactionsLockingGroup} moduleType
+   * @returns {boolean}
+   */
+  public isModuleTransactionsLocking = (
+    tenantId: number,
+    transactionDate: Date,
+    moduleType: TransactionsLockingGroup
+  ): boolean => {
+    const lockingType =
+      this.transactionsLockingRepo.getTransactionsLockingType(tenantId);
+
+    return this.isTransactionsLocking(
+      tenantId,
+      transactionDate,
+      lockingType === TransactionsLockingGroup.All
+        ? TransactionsLockingGroup.All
+        : moduleType
+    );
+  };
+
   /**
    * Validate the transaction locking of the given locking group and transaction date.
    * @param {number} tenantId -
@@ -12,6 +12,8 @@ export class GetItemWarehouseTransformer extends Transformer {
       'warehouseName',
       'warehouseCode',
       'quantityOnHandFormatted',
+      'quantityCommittedFormatted',
+      'quantityAvailableFormatted',
     ];
   };
 
@@ -28,6 +30,24 @@ export class GetItemWarehouseTransformer extends Transformer {
     return formatNumber(item.quantityOnHand, { money: false });
   }
 
+  /**
+   * Formatted quantity committed to sales orders.
+   * @param item
+   * @returns {string}
+   */
+  public quantityCommittedFormatted(item): string {
+    return formatNumber(item.quantityCommitted, { money: false });
+  }
+
+  /**
+   * Formatted quantity available to sell.
+   * @param item
+   * @returns {string}
+   */
+  public quantityAvailableFormatted(item): string {
+    return formatNumber(item.quantityAvailable, { money: false });
+  }
+
   public warehouseCode(item): string {
     return item.warehouse.code;
   }
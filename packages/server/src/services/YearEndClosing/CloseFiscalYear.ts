@@ -0,0 +1,199 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import { sumBy } from 'lodash';
+import {
+  ISystemUser,
+  IYearEndClosedPayload,
+  IYearEndClosing,
+  IYearEndClosingDTO,
+  IYearEndClosingPayload,
+  TransactionsLockingGroup,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ManualJournalGLEntries } from '@/services/ManualJournals/ManualJournalGLEntries';
+import TransactionsLockingService from '@/services/TransactionsLocking/CommandTransactionsLockingService';
+import TransactionsLockingRepository from '@/services/TransactionsLocking/TransactionsLockingRepository';
+import { BudgetPeriods } from '@/services/Budgets/BudgetPeriods';
+import { TenantMetadata } from '@/system/models';
+import events from '@/subscribers/events';
+import { YearEndClosingValidators } from './YearEndClosingValidators';
+import { YearEndClosingEntries } from './YearEndClosingEntries';
+import {
+  CLOSING_JOURNAL_TYPE,
+  RETAINED_EARNINGS_ACCOUNT_SLUG,
+} from './constants';
+
+@Service()
+export class CloseFiscalYear {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: YearEndClosingValidators;
+
+  @Inject()
+  private closingEntries: YearEndClosingEntries;
+
+  @Inject()
+  private manualJournalGLEntries: ManualJournalGLEntries;
+
+  @Inject()
+  private transactionsLocking: TransactionsLockingService;
+
+  @Inject()
+  private transactionsLockingRepo: TransactionsLockingRepository;
+
+  @Inject()
+  private fiscalPeriods: BudgetPeriods;
+
+  /**
+   * Retrieves the retained earnings account, the given account or the
+   * predefined retained earnings account.
+   * @param {number} tenantId
+   * @param {number} retainedEarningsAccountId
+   */
+  private getRetainedEarningsAccount(
+    tenantId: number,
+    retainedEarningsAccountId?: number
+  ) {
+    const { Account } = this.tenancy.models(tenantId);
+
+    return retainedEarningsAccountId
+      ? Account.query().findById(retainedEarningsAccountId)
+      : Account.query().modify('findBySlug', RETAINED_EARNINGS_ACCOUNT_SLUG);
+  }
+
+  /**
+   * Closes the given fiscal year, zeroes the income and expense accounts
+   * balances into the retained earnings account through a closing manual
+   * journal then locks all transactions up to the fiscal year end.
+   * @param {number} tenantId
+   * @param {IYearEndClosingDTO} closingDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IYearEndClosing>}
+   */
+  public async closeFiscalYear(
+    tenantId: number,
+    closingDTO: IYearEndClosingDTO,
+    authorizedUser: ISystemUser
+  ): Promise<IYearEndClosing> {
+    const { YearEndClosing, ManualJournal } = this.tenancy.models(tenantId);
+    const { fiscalYear } = closingDTO;
+
+    const { fromDate, toDate } =
+      await this.fiscalPeriods.getFiscalYearDateRange(tenantId, fiscalYear);
+
+    // Validate the fiscal year has already ended.
+    this.validators.validateFiscalYearEnded(toDate);
+
+    // Validate the fiscal year is not closed and no later year is closed.
+    await this.validators.validateFiscalYearNotClosed(tenantId, fiscalYear);
+    await this.validators.validateNoLaterFiscalYearClosed(tenantId, fiscalYear);
+
+    // Retrieves and validates the retained earnings account.
+    const retainedEarningsAccount = await this.getRetainedEarningsAccount(
+      tenantId,
+      closingDTO.retainedEarningsAccountId
+    );
+    this.validators.validateRetainedEarningsAccount(retainedEarningsAccount);
+
+    const tenantMeta = await TenantMetadata.query().findOne({ tenantId });
+
+    // Retrieves the current all transactions locking to restore on reopening.
+    const previousLocking = this.transactionsLockingRepo.getTransactionsLocking(
+      tenantId,
+      TransactionsLockingGroup.All
+    );
+    const isPreviousLockActive = !!previousLocking.isEnabled;
+    const previousLockToDate = isPreviousLockActive
+      ? previousLocking.lockToDate
+      : null;
+
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onYearEndClosing` event.
+      await this.eventPublisher.emitAsync(events.yearEndClosing.onClosing, {
+        tenantId,
+        closingDTO,
+        trx,
+      } as IYearEndClosingPayload);
+
+      const lines = await this.closingEntries.getProfitLossClosingLines(
+        tenantId,
+        fromDate,
+        toDate,
+        trx
+      );
+      const netIncome = this.closingEntries.getNetIncome(lines);
+      const entries = this.closingEntries.getClosingJournalEntries(
+        lines,
+        retainedEarningsAccount.id
+      );
+      let manualJournal = null;
+
+      // Writes the closing manual journal with its GL entries in case
+      // the fiscal year has any income or expense transactions.
+      if (entries.length > 0) {
+        manualJournal = await ManualJournal.query(trx).upsertGraph({
+          date: moment(toDate).format('YYYY-MM-DD'),
+          journalNumber: `YE-${fiscalYear}`,
+          journalType: CLOSING_JOURNAL_TYPE,
+          description: closingDTO.reason,
+          amount: sumBy(entries, 'credit'),
+          currencyCode: tenantMeta.baseCurrency,
+          exchangeRate: 1,
+          publishedAt: moment().toMySqlDateTime(),
+          userId: authorizedUser.id,
+          entries,
+        });
+        await this.manualJournalGLEntries.createManualJournalGLEntries(
+          tenantId,
+          manualJournal.id,
+          trx
+        );
+      }
+      const yearEndClosing = await YearEndClosing.query(trx).insertAndFetch({
+        fiscalYear,
+        fromDate: moment(fromDate).format('YYYY-MM-DD'),
+        toDate: moment(toDate).format('YYYY-MM-DD'),
+        retainedEarningsAccountId: retainedEarningsAccount.id,
+        manualJournalId: manualJournal?.id || null,
+        netIncome,
+        previousLockActive: isPreviousLockActive,
+        previousLockToDate,
+        closeReason: closingDTO.reason,
+        closedAt: moment().toMySqlDateTime(),
+        userId: authorizedUser.id,
+      });
+      // Locks all transactions up to the fiscal year end, unless there is
+      // already a later locking date.
+      if (
+        !isPreviousLockActive ||
+        moment(previousLockToDate).isBefore(toDate, 'day')
+      ) {
+        await this.transactionsLocking.commandTransactionsLocking(
+          tenantId,
+          TransactionsLockingGroup.All,
+          { lockToDate: toDate, reason: closingDTO.reason }
+        );
+      }
+      // Triggers `onYearEndClosed` event.
+      await this.eventPublisher.emitAsync(events.yearEndClosing.onClosed, {
+        tenantId,
+        yearEndClosing,
+        closingDTO,
+        trx,
+      } as IYearEndClosedPayload);
+
+      return yearEndClosing;
+    });
+  }
+}
@@ -0,0 +1,33 @@
+import { Inject, Service } from 'typedi';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { TransformerInjectable } from '@/lib/Transformer/TransformerInjectable';
+import { YearEndClosingTransformer } from './YearEndClosingTransformer';
+
+@Service()
+export class GetYearEndClosings {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private transformer: TransformerInjectable;
+
+  /**
+   * Retrieves the year-end closings list.
+   * @param {number} tenantId
+   * @returns {Promise<IYearEndClosing[]>}
+   */
+  public async getYearEndClosings(tenantId: number) {
+    const { YearEndClosing } = this.tenancy.models(tenantId);
+
+    const closings = await YearEndClosing.query()
+      .withGraphFetched('retainedEarningsAccount')
+      .orderBy('fiscal_year', 'DESC')
+      .orderBy('closed_at', 'DESC');
+
+    return this.transformer.transform(
+      tenantId,
+      closings,
+      new YearEndClosingTransformer()
+    );
+  }
+}
@@ -0,0 +1,160 @@
+import { Knex } from 'knex';
+import moment from 'moment';
+import { Inject, Service } from 'typedi';
+import {
+  IYearEndClosing,
+  IYearEndReopenDTO,
+  IYearEndReopenedPayload,
+  IYearEndReopeningPayload,
+  TransactionsLockingGroup,
+} from '@/interfaces';
+import UnitOfWork from '@/services/UnitOfWork';
+import { EventPublisher } from '@/lib/EventPublisher/EventPublisher';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ManualJournalGLEntries } from '@/services/ManualJournals/ManualJournalGLEntries';
+import TransactionsLockingService from '@/services/TransactionsLocking/CommandTransactionsLockingService';
+import events from '@/subscribers/events';
+import { YearEndClosingValidators } from './YearEndClosingValidators';
+
+@Service()
+export class ReopenFiscalYear {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  @Inject()
+  private eventPublisher: EventPublisher;
+
+  @Inject()
+  private uow: UnitOfWork;
+
+  @Inject()
+  private validators: YearEndClosingValidators;
+
+  @Inject()
+  private manualJournalGLEntries: ManualJournalGLEntries;
+
+  @Inject()
+  private transactionsLocking: TransactionsLockingService;
+
+  /**
+   * Reverts the closing manual journal with its GL entries.
+   * @param {number} tenantId
+   * @param {number} manualJournalId
+   * @param {Knex.Transaction} trx
+   */
+  private async revertClosingJournal(
+    tenantId: number,
+    manualJournalId: number,
+    trx: Knex.Transaction
+  ) {
+    const { ManualJournal, ManualJournalEntry } = this.tenancy.models(tenantId);
+
+    await this.manualJournalGLEntries.revertManualJournalGLEntries(
+      tenantId,
+      manualJournalId,
+      trx
+    );
+    await ManualJournalEntry.query(trx)
+      .where('manualJournalId', manualJournalId)
+      .delete();
+
+    await ManualJournal.query(trx).findById(manualJournalId).delete();
+  }
+
+  /**
+   * Restores the all transactions locking to the state before closing.
+   * @param {number} tenantId
+   * @param {IYearEndClosing} yearEndClosing
+   * @param {string} reason
+   */
+  private async restoreTransactionsLocking(
+    tenantId: number,
+    yearEndClosing: IYearEndClosing,
+    reason: string
+  ) {
+    if (yearEndClosing.previousLockActive) {
+      await this.transactionsLocking.commandTransactionsLocking(
+        tenantId,
+        TransactionsLockingGroup.All,
+        { lockToDate: yearEndClosing.previousLockToDate, reason }
+      );
+    } else {
+      await this.transactionsLocking.cancelTransactionLocking(
+        tenantId,
+        TransactionsLockingGroup.All,
+        { reason }
+      );
+    }
+  }
+
+  /**
+   * Reopens the given closed fiscal year, reverses the closing journal and
+   * restores the transactions locking as it was before closing.
+   * @param {number} tenantId
+   * @param {number} yearEndClosingId
+   * @param {IYearEndReopenDTO} reopenDTO
+   * @returns {Promise<IYearEndClosing>}
+   */
+  public async reopenFiscalYear(
+    tenantId: number,
+    yearEndClosingId: number,
+    reopenDTO: IYearEndReopenDTO
+  ): Promise<IYearEndClosing> {
+    const { YearEndClosing } = this.tenancy.models(tenantId);
+
+    const oldYearEndClosing = await YearEndClosing.query().findById(
+      yearEndClosingId
+    );
+    // Validate the closing existance and not reopened yet.
+    this.validators.validateClosingExistance(oldYearEndClosing);
+    this.validators.validateClosingNotReopened(oldYearEndClosing);
+
+    // Validate there is no closed fiscal year after the given one.
+    await this.validators.validateNoLaterFiscalYearClosed(
+      tenantId,
+      oldYearEndClosing.fiscalYear
+    );
+    return this.uow.withTransaction(tenantId, async (trx: Knex.Transaction) => {
+      // Triggers `onYearEndReopening` event.
+      await this.eventPublisher.emitAsync(events.yearEndClosing.onReopening, {
+        tenantId,
+        oldYearEndClosing,
+        reopenDTO,
+        trx,
+      } as IYearEndReopeningPayload);
+
+      const yearEndClosing = await YearEndClosing.query(trx).patchAndFetchById(
+        yearEndClosingId,
+        {
+          manualJournalId: null,
+          reopenReason: reopenDTO.reason,
+          reopenedAt: moment().toMySqlDateTime(),
+        }
+      );
+      // Reverses the closing manual journal.
+      if (oldYearEndClosing.manualJournalId) {
+        await this.revertClosingJournal(
+          tenantId,
+          oldYearEndClosing.manualJournalId,
+          trx
+        );
+      }
+      // Restores the transactions locking before closing.
+      await this.restoreTransactionsLocking(
+        tenantId,
+        oldYearEndClosing,
+        reopenDTO.reason
+      );
+      // Triggers `onYearEndReopened` event.
+      await this.eventPublisher.emitAsync(events.yearEndClosing.onReopened, {
+        tenantId,
+        yearEndClosing,
+        oldYearEndClosing,
+        reopenDTO,
+        trx,
+      } as IYearEndReopenedPayload);
+
+      return yearEndClosing;
+    });
+  }
+}
@@ -0,0 +1,68 @@
+import { Inject, Service } from 'typedi';
+import {
+  ISystemUser,
+  IYearEndClosingDTO,
+  IYearEndReopenDTO,
+} from '@/interfaces';
+import { CloseFiscalYear } from './CloseFiscalYear';
+import { ReopenFiscalYear } from './ReopenFiscalYear';
+import { GetYearEndClosings } from './GetYearEndClosings';
+
+@Service()
+export class YearEndClosingApplication {
+  @Inject()
+  private closeFiscalYearService: CloseFiscalYear;
+
+  @Inject()
+  private reopenFiscalYearService: ReopenFiscalYear;
+
+  @Inject()
+  private getYearEndClosingsService: GetYearEndClosings;
+
+  /**
+   * Closes the given fiscal year.
+   * @param {number} tenantId
+   * @param {IYearEndClosingDTO} closingDTO
+   * @param {ISystemUser} authorizedUser
+   * @returns {Promise<IYearEndClosing>}
+   */
+  public closeFiscalYear(
+    tenantId: number,
+    closingDTO: IYearEndClosingDTO,
+    authorizedUser: ISystemUser
+  ) {
+    return this.closeFiscalYearService.closeFiscalYear(
+      tenantId,
+      closingDTO,
+      authorizedUser
+    );
+  }
+
+  /**
+   * Reopens the given closed fiscal year.
+   * @param {number} tenantId
+   * @param {number} yearEndClosingId
+   * @param {IYearEndReopenDTO} reopenDTO
+   * @returns {Promise<IYearEndClosing>}
+   */
+  public reopenFiscalYear(
+    tenantId: number,
+    yearEndClosingId: number,
+    reopenDTO: IYearEndReopenDTO
+  ) {
+    return this.reopenFiscalYearService.reopenFiscalYear(
+      tenantId,
+      yearEndClosingId,
+      reopenDTO
+    );
+  }
+
+  /**
+   * Retrieves the year-end closings list.
+   * @param {number} tenantId
+   * @returns {Promise<IYearEndClosing[]>}
+   */
+  public getYearEndClosings(tenantId: number) {
+    return this.getYearEndClosingsService.getYearEndClosings(tenantId);
+  }
+}
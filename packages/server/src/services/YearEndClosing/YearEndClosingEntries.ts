@@ -0,0 +1,133 @@
+import { Inject, Service } from 'typedi';
+import { Knex } from 'knex';
+import { chain, sumBy, toNumber } from 'lodash';
+import { IManualJournalEntryDTO, IYearEndClosingLine } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import AccountTypesUtils from '@/lib/AccountTypes';
+import { ACCOUNT_ROOT_TYPE } from '@/data/AccountTypes';
+
+@Service()
+export class YearEndClosingEntries {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Retrieves the income and expense accounts types keys.
+   * @returns {string[]}
+   */
+  private getProfitLossAccountsTypes(): string[] {
+    return [
+      ...AccountTypesUtils.getTypesByRootType(ACCOUNT_ROOT_TYPE.INCOME),
+      ...AccountTypesUtils.getTypesByRootType(ACCOUNT_ROOT_TYPE.EXPENSE),
+    ].map((type) => type.key);
+  }
+
+  /**
+   * Retrieves the closing lines that zero the income and expense accounts
+   * balances of the given period, per account and branch.
+   * @param {number} tenantId
+   * @param {Date} fromDate
+   * @param {Date} toDate
+   * @param {Knex.Transaction} trx
+   * @returns {Promise<IYearEndClosingLine[]>}
+   */
+  public async getProfitLossClosingLines(
+    tenantId: number,
+    fromDate: Date,
+    toDate: Date,
+    trx?: Knex.Transaction
+  ): Promise<IYearEndClosingLine[]> {
+    const { Account, AccountTransaction } = this.tenancy.models(tenantId);
+
+    const accountsIds = await Account.query(trx)
+      .whereIn('account_type', this.getProfitLossAccountsTypes())
+      .pluck('id');
+
+    const transactions = await AccountTransaction.query(trx).onBuild(
+      (query) => {
+        query.sum('credit as credit');
+        query.sum('debit as debit');
+        query.select(['accountId', 'branchId']);
+        query.groupBy('accountId', 'branchId');
+
+        query.whereIn('account_id', accountsIds);
+        query.modify('filterDateRange', fromDate, toDate);
+      }
+    );
+    return transactions
+      .map((transaction) => {
+        const balance =
+          toNumber(transaction.credit) - toNumber(transaction.debit);
+
+        // Reverses the account balance to zero it out.
+        return {
+          accountId: transaction.accountId,
+          branchId: transaction.branchId || null,
+          debit: balance > 0 ? balance : 0,
+          credit: balance < 0 ? Math.abs(balance) : 0,
+        };
+      })
+      .filter((line) => line.debit !== 0 || line.credit !== 0);
+  }
+
+  /**
+   * Retrieves the net income of the given closing lines, the income accounts
+   * get debited and expense accounts get credited on closing.
+   * @param {IYearEndClosingLine[]} lines
+   * @returns {number}
+   */
+  public getNetIncome(lines: IYearEndClosingLine[]): number {
+    return sumBy(lines, 'debit') - sumBy(lines, 'credit');
+  }
+
+  /**
+   * Retrieves the retained earnings lines that balance the closing lines
+   * of each branch.
+   * @param {IYearEndClosingLine[]} lines
+   * @param {number} retainedEarningsAccountId
+   * @returns {IYearEndClosingLine[]}
+   */
+  private getRetainedEarningsLines(
+    lines: IYearEndClosingLine[],
+    retainedEarningsAccountId: number
+  ): IYearEndClosingLine[] {
+    return chain(lines)
+      .groupBy((line) => line.branchId || 0)
+      .map((branchLines) => {
+        const netIncome = this.getNetIncome(branchLines);
+
+        return {
+          accountId: retainedEarningsAccountId,
+          branchId: branchLines[0].branchId,
+          debit: netIncome < 0 ? Math.abs(netIncome) : 0,
+          credit: netIncome > 0 ? netIncome : 0,
+        };
+      })
+      .filter((line) => line.debit !== 0 || line.credit !== 0)
+      .value();
+  }
+
+  /**
+   * Retrieves the closing manual journal entries of the given closing lines.
+   * @param {IYearEndClosingLine[]} lines
+   * @param {number} retainedEarningsAccountId
+   * @returns {IManualJournalEntryDTO[]}
+   */
+  public getClosingJournalEntries(
+    lines: IYearEndClosingLine[],
+    retainedEarningsAccountId: number
+  ): IManualJournalEntryDTO[] {
+    const retainedEarningsLines = this.getRetainedEarningsLines(
+      lines,
+      retainedEarningsAccountId
+    );
+    return [...lines, ...retainedEarningsLines].map((line, index) => ({
+      index: index + 1,
+      accountId: line.accountId,
+      branchId: line.branchId,
+      credit: line.credit,
+      debit: line.debit,
+      note: '',
+    }));
+  }
+}
@@ -0,0 +1,63 @@
+import { IYearEndClosing } from '@/interfaces';
+import { Transformer } from '@/lib/Transformer/Transformer';
+
+export class YearEndClosingTransformer extends Transformer {
+  /**
+   * Include these attributes to year-end closing object.
+   * @returns {Array}
+   */
+  public includeAttributes = (): string[] => {
+    return [
+      'formattedFromDate',
+      'formattedToDate',
+      'formattedNetIncome',
+      'formattedClosedAt',
+      'formattedReopenedAt',
+    ];
+  };
+
+  /**
+   * Retrieves the formatted fiscal year start date.
+   * @param {IYearEndClosing} closing
+   * @returns {string}
+   */
+  protected formattedFromDate = (closing: IYearEndClosing): string => {
+    return this.formatDate(closing.fromDate);
+  };
+
+  /**
+   * Retrieves the formatted fiscal year end date.
+   * @param {IYearEndClosing} closing
+   * @returns {string}
+   */
+  protected formattedToDate = (closing: IYearEndClosing): string => {
+    return this.formatDate(closing.toDate);
+  };
+
+  /**
+   * Retrieves the formatted closed net income.
+   * @param {IYearEndClosing} closing
+   * @returns {string}
+   */
+  protected formattedNetIncome = (closing: IYearEndClosing): string => {
+    return this.formatMoney(closing.netIncome);
+  };
+
+  /**
+   * Retrieves the formatted closing date.
+   * @param {IYearEndClosing} closing
+   * @returns {string}
+   */
+  protected formattedClosedAt = (closing: IYearEndClosing): string => {
+    return this.formatDate(closing.closedAt);
+  };
+
+  /**
+   * Retrieves the formatted reopening date.
+   * @param {IYearEndClosing} closing
+   * @returns {string}
+   */
+  protected formattedReopenedAt = (closing: IYearEndClosing): string => {
+    return closing.reopenedAt ? this.formatDate(closing.reopenedAt) : '';
+  };
+}
@@ -0,0 +1,103 @@
+import { Inject, Service } from 'typedi';
+import moment from 'moment';
+import { ServiceError } from '@/exceptions';
+import { IAccount, IYearEndClosing } from '@/interfaces';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import { ACCOUNT_TYPE } from '@/data/AccountTypes';
+import { ERRORS } from './constants';
+
+@Service()
+export class YearEndClosingValidators {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Validates the given year-end closing existance.
+   * @param {IYearEndClosing | undefined | null} yearEndClosing
+   */
+  public validateClosingExistance(
+    yearEndClosing: IYearEndClosing | undefined | null
+  ) {
+    if (!yearEndClosing) {
+      throw new ServiceError(ERRORS.YEAR_END_CLOSING_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Validates the fiscal year has already ended, the current fiscal year
+   * can't be closed while transactions still get recorded on it.
+   * @param {Date} toDate - Fiscal year end date.
+   */
+  public validateFiscalYearEnded(toDate: Date) {
+    if (moment(toDate).isSameOrAfter(moment(), 'day')) {
+      throw new ServiceError(ERRORS.FISCAL_YEAR_NOT_ENDED);
+    }
+  }
+
+  /**
+   * Validates the given fiscal year is not closed yet.
+   * @param {number} tenantId
+   * @param {number} fiscalYear
+   */
+  public async validateFiscalYearNotClosed(
+    tenantId: number,
+    fiscalYear: number
+  ) {
+    const { YearEndClosing } = this.tenancy.models(tenantId);
+
+    const foundClosing = await YearEndClosing.query()
+      .modify('closed')
+      .modify('fiscalYear', fiscalYear)
+      .first();
+
+    if (foundClosing) {
+      throw new ServiceError(ERRORS.FISCAL_YEAR_ALREADY_CLOSED);
+    }
+  }
+
+  /**
+   * Validates there is no closed fiscal year after the given fiscal year,
+   * closing or reopening a year under a closed one would make the retained
+   * earnings of the later year inaccurate.
+   * @param {number} tenantId
+   * @param {number} fiscalYear
+   */
+  public async validateNoLaterFiscalYearClosed(
+    tenantId: number,
+    fiscalYear: number
+  ) {
+    const { YearEndClosing } = this.tenancy.models(tenantId);
+
+    const laterClosing = await YearEndClosing.query()
+      .modify('closed')
+      .where('fiscal_year', '>', fiscalYear)
+      .first();
+
+    if (laterClosing) {
+      throw new ServiceError(ERRORS.LATER_FISCAL_YEAR_CLOSED);
+    }
+  }
+
+  /**
+   * Validates the retained earnings account existance and its type.
+   * @param {IAccount | undefined | null} account
+   */
+  public validateRetainedEarningsAccount(account: IAccount | undefined | null) {
+    if (!account) {
+      throw new ServiceError(ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_FOUND);
+    }
+    if (account.accountType !== ACCOUNT_TYPE.EQUITY) {
+      throw new ServiceError(ERRORS.RETAINED_EARNINGS_ACCOUNT_NOT_EQUITY);
+    }
+  }
+
+  /**
+   * Validates the given year-end closing not reopened yet.
+   * @param {IYearEndClosing} yearEndClosing
+   */
+  public validateClosingNotReopened(yearEndClosing: IYearEndClosing) {
+    if (yearEndClosing.reopenedAt) {
+      throw new ServiceError(ERRORS.FISCAL_YEAR_ALREADY_REOPENED);
+    }
+  }
+}
@@ -0,0 +1,14 @@
+export const ERRORS = {
+  YEAR_END_CLOSING_NOT_FOUND: 'YEAR_END_CLOSING_NOT_FOUND',
+  FISCAL_YEAR_NOT_ENDED: 'FISCAL_YEAR_NOT_ENDED',
+  FISCAL_YEAR_ALREADY_CLOSED: 'FISCAL_YEAR_ALREADY_CLOSED',
+  LATER_FISCAL_YEAR_CLOSED: 'LATER_FISCAL_YEAR_CLOSED',
+  RETAINED_EARNINGS_ACCOUNT_NOT_FOUND: 'RETAINED_EARNINGS_ACCOUNT_NOT_FOUND',
+  RETAINED_EARNINGS_ACCOUNT_NOT_EQUITY: 'RETAINED_EARNINGS_ACCOUNT_NOT_EQUITY',
+  FISCAL_YEAR_ALREADY_REOPENED: 'FISCAL_YEAR_ALREADY_REOPENED',
+  CANNOT_MODIFY_CLOSING_JOURNAL: 'CANNOT_MODIFY_CLOSING_JOURNAL',
+};
+
+export const RETAINED_EARNINGS_ACCOUNT_SLUG = 'retained-earnings';
+
+export const CLOSING_JOURNAL_TYPE = 'Closing';
@@ -0,0 +1,50 @@
+import { Inject, Service } from 'typedi';
+import {
+  IManualJournalDeletingPayload,
+  IManualJournalEditingPayload,
+} from '@/interfaces';
+import { ServiceError } from '@/exceptions';
+import HasTenancyService from '@/services/Tenancy/TenancyService';
+import events from '@/subscribers/events';
+import { ERRORS } from '../constants';
+
+@Service()
+export class PreventClosingJournalModifySubscriber {
+  @Inject()
+  private tenancy: HasTenancyService;
+
+  /**
+   * Attaches events with handlers.
+   */
+  public attach(bus) {
+    bus.subscribe(
+      events.manualJournals.onEditing,
+      this.preventClosingJournalModify.bind(this)
+    );
+    bus.subscribe(
+      events.manualJournals.onDeleting,
+      this.preventClosingJournalModify.bind(this)
+    );
+  }
+
+  /**
+   * Prevents editing or deleting the closing manual journal of a closed
+   * fiscal year, the fiscal year should be reopened instead.
+   * @param {IManualJournalEditingPayload | IManualJournalDeletingPayload}
+   */
+  public async preventClosingJournalModify({
+    tenantId,
+    oldManualJournal,
+    trx,
+  }: IManualJournalEditingPayload | IManualJournalDeletingPayload) {
+    const { YearEndClosing } = this.tenancy.models(tenantId);
+
+    const closing = await YearEndClosing.query(trx)
+      .modify('closed')
+      .findOne('manualJournalId', oldManualJournal.id);
+
+    if (closing) {
+      throw new ServiceError(ERRORS.CANNOT_MODIFY_CLOSING_JOURNAL);
+    }
+  }
+}
@@ -60,7 +60,11 @@ export default class PaymentSyncBillBalance {
   }: IBillPaymentEventDeletedPayload) => {
     this.billPaymentsService.saveChangeBillsPaymentAmount(
       tenantId,
-      oldBillPayment.entries.map((entry) => ({ ...entry, paymentAmount: 0 })),
+      oldBillPayment.entries.map((entry) => ({
+        ...entry,
+        paymentAmount: 0,
+        discountAmount: 0,
+      })),
       oldBillPayment.entries,
       trx
     );
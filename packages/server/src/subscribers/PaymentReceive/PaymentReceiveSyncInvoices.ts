@@ -80,6 +80,7 @@ export default class PaymentReceiveSyncInvoicesSubscriber {
       oldPaymentReceive.entries.map((entry) => ({
         ...entry,
         paymentAmount: 0,
+        discountAmount: 0,
       })),
       oldPaymentReceive.entries,
       trx
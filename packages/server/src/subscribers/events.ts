@@ -85,6 +85,25 @@ export default {
     onPublishing: 'onManualJournalPublishing',
   },
 
+  /**
+   * Recurring expenses service.
+   */
+  expenseRecurring: {
+    onCreating: 'onExpenseRecurringCreating',
+    onCreated: 'onExpenseRecurringCreated',
+
+    onEditing: 'onExpenseRecurringEditing',
+    onEdited: 'onExpenseRecurringEdited',
+
+    onDeleting: 'onExpenseRecurringDeleting',
+    onDeleted: 'onExpenseRecurringDeleted',
+
+    onActivated: 'onExpenseRecurringActivated',
+    onInactivated: 'onExpenseRecurringInactivated',
+
+    onGenerated: 'onExpenseRecurringGenerated',
+  },
+
   /**
    * Expenses service.
    */
@@ -144,6 +163,25 @@ export default {
     onMailReminderSent: 'onSaleInvoiceMailReminderSent',
   },
 
+  /**
+   * Sales invoices recurring service.
+   */
+  saleInvoiceRecurring: {
+    onCreating: 'onSaleInvoiceRecurringCreating',
+    onCreated: 'onSaleInvoiceRecurringCreated',
+
+    onEditing: 'onSaleInvoiceRecurringEditing',
+    onEdited: 'onSaleInvoiceRecurringEdited',
+
+    onDeleting: 'onSaleInvoiceRecurringDeleting',
+    onDeleted: 'onSaleInvoiceRecurringDeleted',
+
+    onActivated: 'onSaleInvoiceRecurringActivated',
+    onInactivated: 'onSaleInvoiceRecurringInactivated',
+
+    onGenerated: 'onSaleInvoiceRecurringGenerated',
+  },
+
   /**
    * Sales estimates service.
    */
@@ -181,6 +219,31 @@ export default {
     onMailSent: 'onSaleEstimateMailSend',
   },
 
+  /**
+   * Sales orders service.
+   */
+  salesOrder: {
+    onCreating: 'onSalesOrderCreating',
+    onCreated: 'onSalesOrderCreated',
+
+    onEditing: 'onSalesOrderEditing',
+    onEdited: 'onSalesOrderEdited',
+
+    onDeleting: 'onSalesOrderDeleting',
+    onDeleted: 'onSalesOrderDeleted',
+
+    onConfirming: 'onSalesOrderConfirming',
+    onConfirmed: 'onSalesOrderConfirmed',
+
+    onClosing: 'onSalesOrderClosing',
+    onClosed: 'onSalesOrderClosed',
+
+    onConvertingToInvoice: 'onSalesOrderConvertingToInvoice',
+    onConvertedToInvoice: 'onSalesOrderConvertedToInvoice',
+
+    onInvoicedSynced: 'onSalesOrderInvoicedSynced',
+  },
+
   /**
    * Sales receipts service.
    */
@@ -232,6 +295,50 @@ export default {
     onMailSent: 'onPaymentReceiveMailSent',
   },
 
+  /**
+   * Purchase orders service.
+   */
+  purchaseOrder: {
+    onCreating: 'onPurchaseOrderCreating',
+    onCreated: 'onPurchaseOrderCreated',
+
+    onEditing: 'onPurchaseOrderEditing',
+    onEdited: 'onPurchaseOrderEdited',
+
+    onDeleting: 'onPurchaseOrderDeleting',
+    onDeleted: 'onPurchaseOrderDeleted',
+
+    onDelivering: 'onPurchaseOrderDelivering',
+    onDelivered: 'onPurchaseOrderDelivered',
+
+    onClosing: 'onPurchaseOrderClosing',
+    onClosed: 'onPurchaseOrderClosed',
+
+    onConvertingToBill: 'onPurchaseOrderConvertingToBill',
+    onConvertedToBill: 'onPurchaseOrderConvertedToBill',
+
+    onPreMailSend: 'onPurchaseOrderPreMailSend',
+  },
+
+  /**
+   * Recurring bills service.
+   */
+  billRecurring: {
+    onCreating: 'onBillRecurringCreating',
+    onCreated: 'onBillRecurringCreated',
+
+    onEditing: 'onBillRecurringEditing',
+    onEdited: 'onBillRecurringEdited',
+
+    onDeleting: 'onBillRecurringDeleting',
+    onDeleted: 'onBillRecurringDeleted',
+
+    onActivated: 'onBillRecurringActivated',
+    onInactivated: 'onBillRecurringInactivated',
+
+    onGenerated: 'onBillRecurringGenerated',
+  },
+
   /**
    * Bills service.
    */
@@ -614,11 +721,117 @@ export default {
     onInactivated: 'onTaxRateInactivated',
   },
 
+  // Payment terms.
+  paymentTerms: {
+    onCreating: 'onPaymentTermCreating',
+    onCreated: 'onPaymentTermCreated',
+
+    onEditing: 'onPaymentTermEditing',
+    onEdited: 'onPaymentTermEdited',
+
+    onDeleting: 'onPaymentTermDeleting',
+    onDeleted: 'onPaymentTermDeleted',
+  },
+
+  // Budgets.
+  budget: {
+    onCreating: 'onBudgetCreating',
+    onCreated: 'onBudgetCreated',
+
+    onEditing: 'onBudgetEditing',
+    onEdited: 'onBudgetEdited',
+
+    onDeleting: 'onBudgetDeleting',
+    onDeleted: 'onBudgetDeleted',
+  },
+
+  // Year-end closing.
+  yearEndClosing: {
+    onClosing: 'onYearEndClosing',
+    onClosed: 'onYearEndClosed',
+
+    onReopening: 'onYearEndReopening',
+    onReopened: 'onYearEndReopened',
+  },
+
+  // Fixed assets.
+  fixedAsset: {
+    onCreating: 'onFixedAssetCreating',
+    onCreated: 'onFixedAssetCreated',
+
+    onEditing: 'onFixedAssetEditing',
+    onEdited: 'onFixedAssetEdited',
+
+    onDeleting: 'onFixedAssetDeleting',
+    onDeleted: 'onFixedAssetDeleted',
+
+    onDepreciated: 'onFixedAssetDepreciated',
+
+    onDisposing: 'onFixedAssetDisposing',
+    onDisposed: 'onFixedAssetDisposed',
+  },
+
+  // Amortization schedules.
+  amortizationSchedule: {
+    onRecognized: 'onAmortizationScheduleRecognized',
+  },
+
+  // Share links.
+  shareLink: {
+    onGenerated: 'onShareLinkGenerated',
+    onRevoked: 'onShareLinkRevoked',
+  },
+
+  // Payment gateway.
+  paymentGateway: {
+    onCheckoutCompleted: 'onPaymentGatewayCheckoutCompleted',
+    onCheckoutFlagged: 'onPaymentGatewayCheckoutFlagged',
+  },
+
+  // Customer statements.
+  customerStatement: {
+    onPreMailSend: 'onCustomerStatementPreMailSend',
+    onMailSend: 'onCustomerStatementMailSend',
+    onMailSent: 'onCustomerStatementMailSent',
+    onBulkMailSend: 'onCustomerStatementsBulkMailSend',
+  },
+
+  // Dunning.
+  dunning: {
+    onLevelCreated: 'onDunningLevelCreated',
+    onLevelEdited: 'onDunningLevelEdited',
+    onLevelDeleted: 'onDunningLevelDeleted',
+    onReminderSent: 'onDunningReminderSent',
+  },
+
+  // Late fees.
+  lateFees: {
+    onPolicySaved: 'onLateFeePolicySaved',
+    onCharged: 'onSaleInvoiceLateFeeCharged',
+  },
+
+  // Bank reconciliations.
+  bankReconciliation: {
+    onCreating: 'onBankReconciliationCreating',
+    onCreated: 'onBankReconciliationCreated',
+
+    onFinished: 'onBankReconciliationFinished',
+    onUndone: 'onBankReconciliationUndone',
+
+    onDeleted: 'onBankReconciliationDeleted',
+  },
+
   plaid: {
     onItemCreated: 'onPlaidItemCreated',
     onTransactionsSynced: 'onPlaidTransactionsSynced',
   },
 
+  // Bank feeds.
+  bankFeeds: {
+    onConnectionLinked: 'onBankFeedConnectionLinked',
+    onTransactionsSynced: 'onBankFeedTransactionsSynced',
+  },
+
   // Bank rules.
   bankRules: {
     onCreating: 'onBankRuleCreating',
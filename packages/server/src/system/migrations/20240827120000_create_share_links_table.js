@@ -0,0 +1,22 @@
+exports.up = function (knex) {
+  return knex.schema.createTable('share_links', (table) => {
+    table.bigIncrements('id');
+    table.string('token').unique().index();
+    table
+      .bigInteger('tenant_id')
+      .unsigned()
+      .index()
+      .references('id')
+      .inTable('tenants');
+    table.string('resource_type');
+    table.integer('resource_id').unsigned();
+    table.datetime('expires_at').nullable();
+    table.timestamps();
+
+    table.index(['tenant_id', 'resource_type', 'resource_id']);
+  });
+};
+
+exports.down = (knex) => {
+  return knex.schema.dropTableIfExists('share_links');
+};
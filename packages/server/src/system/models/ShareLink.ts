@@ -0,0 +1,70 @@
+import moment from 'moment';
+import SystemModel from '@/system/models/SystemModel';
+
+export default class ShareLink extends SystemModel {
+  token: string;
+  tenantId: number;
+  resourceType: string;
+  resourceId: number;
+  expiresAt: Date | null;
+
+  /**
+   * Table name.
+   */
+  static get tableName() {
+    return 'share_links';
+  }
+
+  /**
+   * Timestamps columns.
+   */
+  get timestamps() {
+    return ['createdAt', 'updatedAt'];
+  }
+
+  /**
+   * Virtual attributes.
+   */
+  static get virtualAttributes() {
+    return ['isExpired'];
+  }
+
+  /**
+   * Detarmines whether the share link is expired.
+   * @returns {boolean}
+   */
+  get isExpired(): boolean {
+    return !!this.expiresAt && moment().isAfter(this.expiresAt);
+  }
+
+  /**
+   * Model modifiers.
+   */
+  static get modifiers() {
+    return {
+      /**
+       * Filters the links that still not expired.
+       */
+      notExpired(query) {
+        query.where((builder) => {
+          builder.whereNull('expires_at');
+          builder.orWhere('expires_at', '>', moment().toMySqlDateTime());
+        });
+      },
+
+      /**
+       * Filters the links of the given tenant resource.
+       */
+      resource(
+        query,
+        tenantId: number,
+        resourceType: string,
+        resourceId: number
+      ) {
+        query.where('tenant_id', tenantId);
+        query.where('resource_type', resourceType);
+        query.where('resource_id', resourceId);
+      },
+    };
+  }
+}
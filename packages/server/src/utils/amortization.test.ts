@@ -0,0 +1,62 @@
+import { assert } from 'chai';
+import moment from 'moment';
+import { round, sumBy } from 'lodash';
+import { getAmortizationPeriods, hasServicePeriod } from './amortization';
+
+const format = (date: Date) => moment(date).format('YYYY-MM-DD');
+
+describe('Amortization', () => {
+  it('Should recognize full calendar months equally.', () => {
+    const periods = getAmortizationPeriods(1200, '2024-01-01', '2024-12-31');
+
+    assert.equal(periods.length, 12);
+    assert.equal(format(periods[1].toDate), '2024-02-29');
+    assert.equal(round(sumBy(periods, 'amount'), 2), 1200);
+  });
+
+  it('Should prorate the partial months by days.', () => {
+    const periods = getAmortizationPeriods(600, '2024-01-15', '2024-03-14');
+
+    assert.deepEqual(
+      periods.map((period) => [
+        format(period.fromDate),
+        format(period.toDate),
+        period.amount,
+      ]),
+      [
+        ['2024-01-15', '2024-01-31', 170],
+        ['2024-02-01', '2024-02-29', 290],
+        ['2024-03-01', '2024-03-14', 140],
+      ]
+    );
+  });
+
+  it('Should put the rounding remainder on the last period.', () => {
+    const periods = getAmortizationPeriods(100, '2024-01-01', '2024-03-31');
+
+    assert.deepEqual(
+      periods.map((period) => period.amount),
+      [34.07, 31.87, 34.06]
+    );
+  });
+
+  it('Should retrieve no periods when the end date is before the start.', () => {
+    assert.deepEqual(
+      getAmortizationPeriods(100, '2024-02-01', '2024-01-01'),
+      []
+    );
+  });
+
+  it('Should detarmine the entry has a service period.', () => {
+    assert.isTrue(
+      hasServicePeriod({
+        serviceStartDate: '2024-01-01',
+        serviceEndDate: '2024-12-31',
+        deferralAccountId: 1,
+      })
+    );
+    assert.isFalse(
+      hasServicePeriod({ serviceStartDate: '2024-01-01', deferralAccountId: 1 })
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import moment from 'moment';
+import { round } from 'lodash';
+
+export interface IServicePeriodEntry {
+  serviceStartDate?: Date | string | null;
+  serviceEndDate?: Date | string | null;
+  deferralAccountId?: number | null;
+}
+
+export interface IAmortizationPeriod {
+  fromDate: Date;
+  toDate: Date;
+  amount: number;
+}
+
+/**
+ * Detarmines whether the given entry carries a service period, the entry
+ * amount is posted to its deferral account then recognized over the period.
+ * @param {IServicePeriodEntry} entry
+ * @returns {boolean}
+ */
+export const hasServicePeriod = (entry: IServicePeriodEntry): boolean => {
+  return (
+    !!entry.serviceStartDate &&
+    !!entry.serviceEndDate &&
+    !!entry.deferralAccountId
+  );
+};
+
+/**
+ * Retrieves the monthly recognition periods of the given amount over the
+ * service period, the amount is prorated by the days of each calendar month
+ * and the last period takes the rounding remainder.
+ * @param {number} amount
+ * @param {Date|string} startDate - Service start date.
+ * @param {Date|string} endDate - Service end date.
+ * @returns {IAmortizationPeriod[]}
+ */
+export const getAmortizationPeriods = (
+  amount: number,
+  startDate: Date | string,
+  endDate: Date | string
+): IAmortizationPeriod[] => {
+  const periods: IAmortizationPeriod[] = [];
+  const serviceStart = moment(startDate).startOf('day');
+  const serviceEnd = moment(endDate).startOf('day');
+  const totalDays = serviceEnd.diff(serviceStart, 'days') + 1;
+
+  if (totalDays <= 0) return periods;
+
+  let recognizedAmount = 0;
+  let periodStart = serviceStart.clone();
+
+  while (periodStart.isSameOrBefore(serviceEnd, 'day')) {
+    const monthEnd = periodStart.clone().endOf('month').startOf('day');
+    const periodEnd = moment.min(monthEnd, serviceEnd);
+    const isLast = periodEnd.isSame(serviceEnd, 'day');
+
+    const days = periodEnd.diff(periodStart, 'days') + 1;
+    const periodAmount = isLast
+      ? round(amount - recognizedAmount, 2)
+      : round((amount * days) / totalDays, 2);
+
+    recognizedAmount = round(recognizedAmount + periodAmount, 2);
+
+    periods.push({
+      fromDate: periodStart.toDate(),
+      toDate: periodEnd.toDate(),
+      amount: periodAmount,
+    });
+    periodStart = periodEnd.clone().add(1, 'day');
+  }
+  return periods;
+};
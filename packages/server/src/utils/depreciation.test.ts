@@ -0,0 +1,91 @@
+import { assert } from 'chai';
+import moment from 'moment';
+import { round, sumBy } from 'lodash';
+import {
+  DepreciationMethod,
+  getDepreciationPeriods,
+  getPeriodDepreciation,
+  getUnitsDepreciation,
+} from './depreciation';
+
+const format = (date: Date) => moment(date).format('YYYY-MM-DD');
+
+const depreciateAll = (asset) => {
+  const amounts = [];
+  let accumulated = 0;
+
+  for (let index = 0; index < asset.usefulLife; index++) {
+    const amount = getPeriodDepreciation(asset, index, accumulated);
+    accumulated += amount;
+    amounts.push(amount);
+  }
+  return amounts;
+};
+
+describe('Depreciation', () => {
+  it('Should retrieve the monthly periods ended before the given date.', () => {
+    const periods = getDepreciationPeriods('2024-01-15', null, '2024-03-30');
+
+    assert.deepEqual(
+      periods.map((period) => [period.index, format(period.fromDate)]),
+      [
+        [0, '2024-01-15'],
+        [1, '2024-02-01'],
+      ]
+    );
+    assert.equal(format(periods[1].toDate), '2024-02-29');
+  });
+
+  it('Should skip the periods depreciated before.', () => {
+    const periods = getDepreciationPeriods(
+      '2024-01-15',
+      '2024-02-29',
+      '2024-04-30'
+    );
+    assert.deepEqual(
+      periods.map((period) => period.index),
+      [2, 3]
+    );
+  });
+
+  it('Should depreciate straight-line down to the salvage value.', () => {
+    const asset = {
+      cost: 1000,
+      salvageValue: 100,
+      usefulLife: 7,
+      depreciationMethod: DepreciationMethod.StraightLine,
+    };
+    const amounts = depreciateAll(asset);
+
+    assert.equal(amounts[0], 128.57);
+    assert.equal(amounts[6], 128.58);
+    assert.equal(round(sumBy(amounts), 2), 900);
+    assert.equal(getPeriodDepreciation(asset, 7, 900), 0);
+  });
+
+  it('Should depreciate declining balance and switch to straight-line.', () => {
+    const asset = {
+      cost: 1000,
+      salvageValue: 0,
+      usefulLife: 5,
+      depreciationMethod: DepreciationMethod.DecliningBalance,
+      decliningBalanceFactor: 2,
+    };
+    const amounts = depreciateAll(asset);
+
+    assert.deepEqual(amounts, [400, 240, 144, 108, 108]);
+  });
+
+  it('Should depreciate by the used units.', () => {
+    const asset = {
+      cost: 1100,
+      salvageValue: 100,
+      usefulLife: 12,
+      depreciationMethod: DepreciationMethod.UnitsOfProduction,
+      totalUnits: 500,
+    };
+    assert.equal(getUnitsDepreciation(asset, 50, 0), 100);
+    assert.equal(getUnitsDepreciation(asset, 50, 950), 50);
+    assert.equal(getPeriodDepreciation(asset, 0, 0), 0);
+  });
+});
@@ -0,0 +1,141 @@
+import moment from 'moment';
+import { round } from 'lodash';
+
+export enum DepreciationMethod {
+  StraightLine = 'straight_line',
+  DecliningBalance = 'declining_balance',
+  UnitsOfProduction = 'units_of_production',
+}
+
+export interface IDepreciableAsset {
+  cost: number;
+  salvageValue: number;
+  usefulLife: number;
+  depreciationMethod: DepreciationMethod | string;
+  decliningBalanceFactor?: number | null;
+  totalUnits?: number | null;
+}
+
+export interface IDepreciationPeriod {
+  index: number;
+  fromDate: Date;
+  toDate: Date;
+}
+
+/**
+ * Retrieves the remaining depreciable amount of the given asset, the asset
+ * never gets depreciated below its salvage value.
+ * @param {IDepreciableAsset} asset
+ * @param {number} accumulatedDepreciation
+ * @returns {number}
+ */
+export const getRemainingDepreciableAmount = (
+  asset: IDepreciableAsset,
+  accumulatedDepreciation: number
+): number => {
+  return Math.max(
+    round(asset.cost - asset.salvageValue - accumulatedDepreciation, 2),
+    0
+  );
+};
+
+/**
+ * Retrieves the monthly depreciation periods that ended on or before the
+ * given date and after the last depreciated period. The month of the start
+ * date is depreciated as a full month.
+ * @param {Date|string} startDate - Depreciation start date.
+ * @param {Date|string|null} lastDepreciationDate - Last depreciated period end.
+ * @param {Date|string} toDate
+ * @returns {IDepreciationPeriod[]}
+ */
+export const getDepreciationPeriods = (
+  startDate: Date | string,
+  lastDepreciationDate: Date | string | null,
+  toDate: Date | string
+): IDepreciationPeriod[] => {
+  const periods: IDepreciationPeriod[] = [];
+  const startMonth = moment(startDate).startOf('month');
+  const endDate = moment(toDate).endOf('day');
+
+  for (let index = 0; ; index++) {
+    const periodStart = startMonth.clone().add(index, 'months');
+    const periodEnd = periodStart.clone().endOf('month');
+
+    if (periodEnd.isAfter(endDate)) break;
+
+    if (
+      !lastDepreciationDate ||
+      periodEnd.isAfter(moment(lastDepreciationDate), 'day')
+    ) {
+      periods.push({
+        index,
+        fromDate: (index === 0 ? moment(startDate) : periodStart).toDate(),
+        toDate: periodEnd.startOf('day').toDate(),
+      });
+    }
+  }
+  return periods;
+};
+
+/**
+ * Retrieves the depreciation amount of the given monthly period index,
+ * the last period of the useful life depreciates the remaining amount.
+ * The declining balance switches to straight-line once it depreciates more.
+ * @param {IDepreciableAsset} asset
+ * @param {number} periodIndex - Zero-based month of the useful life.
+ * @param {number} accumulatedDepreciation
+ * @returns {number}
+ */
+export const getPeriodDepreciation = (
+  asset: IDepreciableAsset,
+  periodIndex: number,
+  accumulatedDepreciation: number
+): number => {
+  const remaining = getRemainingDepreciableAmount(
+    asset,
+    accumulatedDepreciation
+  );
+  if (
+    remaining === 0 ||
+    asset.depreciationMethod === DepreciationMethod.UnitsOfProduction
+  ) {
+    return 0;
+  }
+  const remainingPeriods = asset.usefulLife - periodIndex;
+
+  if (remainingPeriods <= 1) {
+    return remaining;
+  }
+  if (asset.depreciationMethod === DepreciationMethod.DecliningBalance) {
+    const rate = (asset.decliningBalanceFactor || 2) / asset.usefulLife;
+    const bookValue = asset.cost - accumulatedDepreciation;
+    const amount = Math.max(bookValue * rate, remaining / remainingPeriods);
+
+    return Math.min(round(amount, 2), remaining);
+  }
+  const amount = (asset.cost - asset.salvageValue) / asset.usefulLife;
+
+  return Math.min(round(amount, 2), remaining);
+};
+
+/**
+ * Retrieves the depreciation amount of the given used units.
+ * @param {IDepreciableAsset} asset
+ * @param {number} units
+ * @param {number} accumulatedDepreciation
+ * @returns {number}
+ */
+export const getUnitsDepreciation = (
+  asset: IDepreciableAsset,
+  units: number,
+  accumulatedDepreciation: number
+): number => {
+  const remaining = getRemainingDepreciableAmount(
+    asset,
+    accumulatedDepreciation
+  );
+  const amount =
+    (units * (asset.cost - asset.salvageValue)) / (asset.totalUnits || 1);
+
+  return Math.min(round(amount, 2), remaining);
+};
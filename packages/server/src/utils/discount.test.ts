@@ -0,0 +1,26 @@
+import { assert } from 'chai';
+import { calcDiscountAmount, calcDiscountTaxAmount } from './discount';
+
+describe('Discount', () => {
+  it('Should calculate the amount discount.', () => {
+    assert.equal(calcDiscountAmount(25, 'amount', 200), 25);
+    assert.equal(calcDiscountAmount(0, 'amount', 200), 0);
+  });
+
+  it('Should calculate the percentage discount.', () => {
+    assert.equal(calcDiscountAmount(10, 'percentage', 200), 20);
+    assert.equal(calcDiscountAmount(12.5, 'percentage', 99.99), 12.5);
+  });
+
+  it('Should not exceed the discounted amount.', () => {
+    assert.equal(calcDiscountAmount(300, 'amount', 200), 200);
+    assert.equal(calcDiscountAmount(150, 'percentage', 200), 200);
+    assert.equal(calcDiscountAmount(10, 'amount', 0), 0);
+  });
+
+  it('Should lower the tax by the discount ratio.', () => {
+    assert.equal(calcDiscountTaxAmount(15, 20, 200), 1.5);
+    assert.equal(calcDiscountTaxAmount(0, 20, 200), 0);
+    assert.equal(calcDiscountTaxAmount(15, 20, 0), 0);
+  });
+});
@@ -0,0 +1,42 @@
+import { round } from 'lodash';
+
+/**
+ * Calculates the document-level discount amount of the given discounted
+ * amount, the discount can't exceed the discounted amount.
+ * @param {number} discount - Discount amount or percentage.
+ * @param {string} discountType - `amount` or `percentage`.
+ * @param {number} amount - Discounted amount.
+ * @returns {number}
+ */
+export const calcDiscountAmount = (
+  discount: number,
+  discountType: string,
+  amount: number
+): number => {
+  if (!discount || amount <= 0) return 0;
+
+  const discountAmount =
+    discountType === 'percentage'
+      ? round((amount * discount) / 100, 2)
+      : discount;
+
+  return Math.min(discountAmount, amount);
+};
+
+/**
+ * Calculates the tax amount the before tax discount lowers, the tax is lowered
+ * by the same ratio the discount lowers the subtotal excluding tax.
+ * @param {number} taxAmount - Document tax amount.
+ * @param {number} discountAmount - Document discount amount.
+ * @param {number} subtotalExcludingTax - Document subtotal excluding tax.
+ * @returns {number}
+ */
+export const calcDiscountTaxAmount = (
+  taxAmount: number,
+  discountAmount: number,
+  subtotalExcludingTax: number
+): number => {
+  if (!taxAmount || !discountAmount || subtotalExcludingTax <= 0) return 0;
+
+  return (taxAmount * discountAmount) / subtotalExcludingTax;
+};
@@ -0,0 +1,37 @@
+import { assert } from 'chai';
+import { getDaysFromDueDate, getDueDunningLevel } from './dunning';
+
+const levels = [
+  { id: 1, daysOffset: -3 },
+  { id: 2, daysOffset: 7 },
+  { id: 3, daysOffset: 14 },
+  { id: 4, daysOffset: 30 },
+];
+
+describe('Dunning', () => {
+  it('Should count the days from the due date.', () => {
+    assert.equal(getDaysFromDueDate('2024-03-10', '2024-03-07'), -3);
+    assert.equal(getDaysFromDueDate('2024-03-10', '2024-03-17 15:00'), 7);
+  });
+
+  it('Should remind before the due date.', () => {
+    assert.equal(getDueDunningLevel(levels, [], -3).id, 1);
+    assert.equal(getDueDunningLevel(levels, [], 0).id, 1);
+    assert.isNull(getDueDunningLevel(levels, [], -4));
+  });
+
+  it('Should not remind before due once the invoice is overdue.', () => {
+    assert.isNull(getDueDunningLevel(levels, [], 3));
+  });
+
+  it('Should not send the already reached levels.', () => {
+    assert.isNull(getDueDunningLevel(levels, [-3], 0));
+    assert.isNull(getDueDunningLevel(levels, [-3, 7], 10));
+    assert.equal(getDueDunningLevel(levels, [-3, 7], 14).id, 3);
+  });
+
+  it('Should skip the intermediate levels when catching up.', () => {
+    assert.equal(getDueDunningLevel(levels, [], 45).id, 4);
+    assert.isNull(getDueDunningLevel(levels, [30], 60));
+  });
+});
@@ -0,0 +1,50 @@
+import moment from 'moment';
+import { maxBy, sortBy } from 'lodash';
+
+export interface IDunningLevelOffset {
+  id?: number;
+  daysOffset: number;
+}
+
+/**
+ * Retrieves the days between the invoice due date and the given date,
+ * negative days means the invoice is not due yet.
+ * @param {Date|string} dueDate - Invoice due date.
+ * @param {Date|string} asDate - Reminder date.
+ * @returns {number}
+ */
+export const getDaysFromDueDate = (
+  dueDate: Date | string,
+  asDate: Date | string
+): number => {
+  return moment(asDate)
+    .startOf('day')
+    .diff(moment(dueDate).startOf('day'), 'days');
+};
+
+/**
+ * Retrieves the dunning level the invoice should be reminded with, the
+ * highest reached level above the last sent one. The catching up invoices
+ * skip the intermediate levels and the levels before the due date are
+ * never sent once the invoice got overdue.
+ * @param {T[]} levels - Active dunning levels.
+ * @param {number[]} sentOffsets - Days offsets of the already sent levels.
+ * @param {number} daysFromDue - Days from the invoice due date.
+ * @returns {T | null}
+ */
+export const getDueDunningLevel = <T extends IDunningLevelOffset>(
+  levels: T[],
+  sentOffsets: number[],
+  daysFromDue: number
+): T | null => {
+  const reachedOffset =
+    sentOffsets.length > 0 ? Math.max(...sentOffsets) : null;
+
+  const dueLevels = sortBy(levels, 'daysOffset').filter(
+    (level) =>
+      level.daysOffset <= daysFromDue &&
+      (level.daysOffset >= 0 || daysFromDue <= 0) &&
+      (reachedOffset === null || level.daysOffset > reachedOffset)
+  );
+  return maxBy(dueLevels, 'daysOffset') || null;
+};
@@ -0,0 +1,36 @@
+import { assert } from 'chai';
+import {
+  calcEarlyPaymentDiscount,
+  isWithinEarlyPaymentDiscountWindow,
+} from './early-payment-discount';
+
+describe('Early payment discount', () => {
+  it('Should detarmine the payment within the discount window.', () => {
+    assert.isTrue(
+      isWithinEarlyPaymentDiscountWindow('2024-01-01', 10, '2024-01-11')
+    );
+    assert.isTrue(
+      isWithinEarlyPaymentDiscountWindow('2024-01-01', 0, '2024-01-01')
+    );
+  });
+
+  it('Should detarmine the payment out of the discount window.', () => {
+    assert.isFalse(
+      isWithinEarlyPaymentDiscountWindow('2024-01-01', 10, '2024-01-12')
+    );
+    assert.isFalse(
+      isWithinEarlyPaymentDiscountWindow('2024-01-01', null, '2024-01-01')
+    );
+  });
+
+  it('Should calculate the discount of the settled share.', () => {
+    assert.equal(calcEarlyPaymentDiscount(2, 98, 100), 2);
+    assert.equal(calcEarlyPaymentDiscount(2, 49, 100), 1);
+    assert.equal(calcEarlyPaymentDiscount(0, 98, 100), 0);
+  });
+
+  it('Should not exceed the due amount left after the payment.', () => {
+    assert.equal(calcEarlyPaymentDiscount(2, 100, 100), 0);
+    assert.equal(calcEarlyPaymentDiscount(2, 99, 100), 1);
+  });
+});
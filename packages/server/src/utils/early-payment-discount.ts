@@ -0,0 +1,50 @@
+import moment from 'moment';
+import { round } from 'lodash';
+
+/**
+ * Detarmines whether the given payment date falls within the early payment
+ * discount window, the window ends the given days after the document date.
+ * @param {Date|string} documentDate - Invoice or bill date.
+ * @param {number} discountDays - Days of the discount window.
+ * @param {Date|string} paymentDate - Payment date.
+ * @returns {boolean}
+ */
+export const isWithinEarlyPaymentDiscountWindow = (
+  documentDate: Date | string,
+  discountDays: number,
+  paymentDate: Date | string
+): boolean => {
+  if (discountDays === null || discountDays === undefined) return false;
+
+  return moment(paymentDate).isSameOrBefore(
+    moment(documentDate).add(discountDays, 'days'),
+    'day'
+  );
+};
+
+/**
+ * Calculates the early payment discount the given payment amount earns, the
+ * payment settles the discounted share of the document so the discount rate
+ * applies on the gross amount, e.g. paying 98 of 2/10 terms earns 2.
+ * The discount can't exceed the document due amount left after the payment.
+ * @param {number} discountRate - Discount percentage.
+ * @param {number} paymentAmount - Payment amount.
+ * @param {number} dueAmount - Document due amount.
+ * @returns {number}
+ */
+export const calcEarlyPaymentDiscount = (
+  discountRate: number,
+  paymentAmount: number,
+  dueAmount: number
+): number => {
+  if (!discountRate || discountRate >= 100 || paymentAmount <= 0) return 0;
+
+  const discountAmount = round(
+    (paymentAmount * discountRate) / (100 - discountRate),
+    2
+  );
+  return Math.max(
+    Math.min(discountAmount, round(dueAmount - paymentAmount, 2)),
+    0
+  );
+};
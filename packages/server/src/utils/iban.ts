@@ -0,0 +1,8 @@
+/**
+ * Normalizes the given IBAN to the electronic format, uppercased without spaces.
+ * @param {string} iban
+ * @returns {string}
+ */
+export const normalizeIban = (iban: string): string => {
+  return (iban || '').replace(/\s/g, '').toUpperCase();
+};
@@ -0,0 +1,68 @@
+import { assert } from 'chai';
+import { calcLateFeeAmount, getLateFeeChargeDates } from './late-fees';
+
+describe('Late fees', () => {
+  it('Should not charge within the grace days.', () => {
+    assert.deepEqual(
+      getLateFeeChargeDates('2024-03-10', 5, 'monthly', '2024-03-15'),
+      []
+    );
+  });
+
+  it('Should charge the day after the grace days end.', () => {
+    assert.deepEqual(
+      getLateFeeChargeDates('2024-03-10', 5, 'once', '2024-03-16'),
+      ['2024-03-16']
+    );
+    assert.deepEqual(
+      getLateFeeChargeDates('2024-03-10', 0, 'once', '2024-06-01'),
+      ['2024-03-11']
+    );
+  });
+
+  it('Should charge the monthly fee every month since.', () => {
+    assert.deepEqual(
+      getLateFeeChargeDates('2024-01-30', 0, 'monthly', '2024-04-30'),
+      ['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']
+    );
+  });
+
+  it('Should not charge before the policy was enabled.', () => {
+    assert.deepEqual(
+      getLateFeeChargeDates(
+        '2024-01-10',
+        5,
+        'monthly',
+        '2024-05-20',
+        '2024-04-01'
+      ),
+      ['2024-04-01', '2024-05-01']
+    );
+    assert.deepEqual(
+      getLateFeeChargeDates(
+        '2024-01-10',
+        5,
+        'once',
+        '2024-05-20',
+        '2024-04-01'
+      ),
+      ['2024-04-01']
+    );
+    assert.deepEqual(
+      getLateFeeChargeDates(
+        '2024-03-10',
+        5,
+        'once',
+        '2024-05-20',
+        '2024-01-01'
+      ),
+      ['2024-03-16']
+    );
+  });
+
+  it('Should calculate the flat and percentage fee.', () => {
+    assert.equal(calcLateFeeAmount('flat', 25, 1000), 25);
+    assert.equal(calcLateFeeAmount('percentage', 1.5, 1015.33), 15.23);
+    assert.equal(calcLateFeeAmount('percentage', 1.5, 0), 0);
+  });
+});
@@ -0,0 +1,58 @@
+import moment from 'moment';
+import { round } from 'lodash';
+
+/**
+ * Retrieves the dates the late fee of the given due date is charged on up to
+ * the given date, the first charge falls the day after the grace days end
+ * and the monthly fee is charged again every month since. The fee isn't
+ * charged before the policy was enabled, the first charge falls on the
+ * enable date instead.
+ * @param {Date|string} dueDate - Invoice due date.
+ * @param {number} graceDays - Days the invoice may stay overdue free of fee.
+ * @param {string} frequency - `once` or `monthly`.
+ * @param {Date|string} asDate - Charge date.
+ * @param {Date|string} enabledAt - Date the late fee policy was enabled.
+ * @returns {string[]}
+ */
+export const getLateFeeChargeDates = (
+  dueDate: Date | string,
+  graceDays: number,
+  frequency: string,
+  asDate: Date | string,
+  enabledAt?: Date | string | null
+): string[] => {
+  const graceEndDate = moment(dueDate).add(graceDays + 1, 'days');
+  const firstDate = enabledAt
+    ? moment.max(graceEndDate, moment(enabledAt).startOf('day'))
+    : graceEndDate;
+  const dates = [];
+  let date = firstDate.clone();
+
+  while (date.isSameOrBefore(asDate, 'day')) {
+    dates.push(date.format('YYYY-MM-DD'));
+
+    if (frequency !== 'monthly') break;
+
+    date = firstDate.clone().add(dates.length, 'months');
+  }
+  return dates;
+};
+
+/**
+ * Calculates the late fee amount of the given overdue balance.
+ * @param {string} feeType - `flat` or `percentage`.
+ * @param {number} amount - Flat amount or percentage rate.
+ * @param {number} overdueBalance - Charged overdue balance.
+ * @returns {number}
+ */
+export const calcLateFeeAmount = (
+  feeType: string,
+  amount: number,
+  overdueBalance: number
+): number => {
+  if (overdueBalance <= 0) return 0;
+
+  return feeType === 'percentage'
+    ? round((overdueBalance * amount) / 100, 2)
+    : amount;
+};
@@ -0,0 +1,31 @@
+import { assert } from 'chai';
+import { getPaymentTermDueDate } from './payment-terms';
+
+describe('Payment terms', () => {
+  it('Should fall due on the document date once due on receipt.', () => {
+    assert.equal(
+      getPaymentTermDueDate('due_on_receipt', 0, '2024-01-15'),
+      '2024-01-15'
+    );
+  });
+
+  it('Should fall due the net days after the document date.', () => {
+    assert.equal(getPaymentTermDueDate('net', 15, '2024-01-15'), '2024-01-30');
+    assert.equal(getPaymentTermDueDate('net', 30, '2024-01-15'), '2024-02-14');
+  });
+
+  it('Should fall due the days after the document month end.', () => {
+    assert.equal(
+      getPaymentTermDueDate('end_of_month', 0, '2024-02-10'),
+      '2024-02-29'
+    );
+    assert.equal(
+      getPaymentTermDueDate('end_of_month', 15, '2024-01-10'),
+      '2024-02-15'
+    );
+  });
+
+  it('Should not compute the due date of custom terms.', () => {
+    assert.isNull(getPaymentTermDueDate('custom', 0, '2024-01-15'));
+  });
+});
@@ -0,0 +1,32 @@
+import moment from 'moment';
+
+/**
+ * Calculates the due date of the given payment term, `net` terms fall due the
+ * term days after the document date and `end_of_month` terms the term days
+ * after the document month end. The `custom` terms have no computed due date.
+ * @param {string} termType - `due_on_receipt`, `net`, `end_of_month` or `custom`.
+ * @param {number} days - Term days.
+ * @param {Date|string} documentDate - Invoice or bill date.
+ * @returns {string|null}
+ */
+export const getPaymentTermDueDate = (
+  termType: string,
+  days: number,
+  documentDate: Date | string
+): string | null => {
+  const date = moment(documentDate);
+
+  switch (termType) {
+    case 'due_on_receipt':
+      return date.format('YYYY-MM-DD');
+    case 'net':
+      return date.add(days || 0, 'days').format('YYYY-MM-DD');
+    case 'end_of_month':
+      return date
+        .endOf('month')
+        .add(days || 0, 'days')
+        .format('YYYY-MM-DD');
+    default:
+      return null;
+  }
+};
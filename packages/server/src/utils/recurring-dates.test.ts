@@ -0,0 +1,83 @@
+import { assert } from 'chai';
+import moment from 'moment';
+import {
+  getRecurringNextDate,
+  getRecurringUpcomingDates,
+} from './recurring-dates';
+
+const format = (date: Date | null) =>
+  date ? moment(date).format('YYYY-MM-DD') : null;
+
+describe('Recurring dates', () => {
+  it('Should retrieve the next monthly date without day drifting.', () => {
+    assert.equal(
+      format(getRecurringNextDate('2024-01-31', 'monthly', 1, '2024-01-31')),
+      '2024-02-29'
+    );
+    assert.equal(
+      format(getRecurringNextDate('2024-01-31', 'monthly', 1, '2024-02-29')),
+      '2024-03-31'
+    );
+  });
+
+  it('Should retrieve the start date when it is after the given date.', () => {
+    assert.equal(
+      format(getRecurringNextDate('2024-05-10', 'weekly', 1, '2024-05-01')),
+      '2024-05-10'
+    );
+  });
+
+  it('Should respect the repeat interval.', () => {
+    assert.equal(
+      format(getRecurringNextDate('2024-01-15', 'monthly', 3, '2024-02-01')),
+      '2024-04-15'
+    );
+    assert.equal(
+      format(getRecurringNextDate('2024-01-01', 'daily', 10, '2024-01-11')),
+      '2024-01-21'
+    );
+  });
+
+  it('Should retrieve null once the end date has passed.', () => {
+    assert.isNull(
+      getRecurringNextDate(
+        '2024-01-01',
+        'yearly',
+        1,
+        '2024-01-01',
+        '2024-12-31'
+      )
+    );
+  });
+
+  it('Should retrieve the upcoming dates inclusive of the from date.', () => {
+    const dates = getRecurringUpcomingDates(
+      '2024-01-05',
+      'monthly',
+      1,
+      '2024-03-05',
+      3
+    );
+    assert.deepEqual(dates.map(format), [
+      '2024-03-05',
+      '2024-04-05',
+      '2024-05-05',
+    ]);
+  });
+
+  it('Should stop the upcoming dates at the end date.', () => {
+    const dates = getRecurringUpcomingDates(
+      '2024-01-01',
+      'weekly',
+      1,
+      '2024-01-01',
+      10,
+      '2024-01-20'
+    );
+    assert.deepEqual(dates.map(format), [
+      '2024-01-01',
+      '2024-01-08',
+      '2024-01-15',
+    ]);
+  });
+});
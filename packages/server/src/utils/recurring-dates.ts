@@ -0,0 +1,101 @@
+import moment, { unitOfTime } from 'moment';
+
+export type RecurringFrequency = 'daily' | 'weekly' | 'monthly' | 'yearly';
+
+const FrequencyUnit: Record<RecurringFrequency, unitOfTime.DurationConstructor> =
+  {
+    daily: 'days',
+    weekly: 'weeks',
+    monthly: 'months',
+    yearly: 'years',
+  };
+
+/**
+ * Retrieves the nth occurrence date of the given recurring schedule.
+ * Occurrences are computed from the start date to avoid the day-of-month
+ * drifting when the schedule runs across short months.
+ * @param {Date|string} startDate
+ * @param {RecurringFrequency} frequency
+ * @param {number} interval
+ * @param {number} occurrence - Zero-based occurrence index.
+ * @returns {moment.Moment}
+ */
+export const getRecurringOccurrenceDate = (
+  startDate: Date | string,
+  frequency: RecurringFrequency,
+  interval: number,
+  occurrence: number
+): moment.Moment => {
+  return moment(startDate)
+    .startOf('day')
+    .add(occurrence * Math.max(interval, 1), FrequencyUnit[frequency]);
+};
+
+/**
+ * Retrieves the first occurrence date of the recurring schedule that falls
+ * strictly after the given date, or null once the end date has passed.
+ * @param {Date|string} startDate
+ * @param {RecurringFrequency} frequency
+ * @param {number} interval
+ * @param {Date|string} afterDate
+ * @param {Date|string|null} endDate
+ * @returns {Date|null}
+ */
+export const getRecurringNextDate = (
+  startDate: Date | string,
+  frequency: RecurringFrequency,
+  interval: number,
+  afterDate: Date | string,
+  endDate?: Date | string | null
+): Date | null => {
+  const after = moment(afterDate).startOf('day');
+  const unit = FrequencyUnit[frequency];
+  const step = Math.max(interval, 1);
+
+  const elapsed = after.diff(moment(startDate).startOf('day'), unit);
+  let occurrence = Math.max(Math.floor(elapsed / step), 0);
+  let date = getRecurringOccurrenceDate(startDate, frequency, interval, occurrence);
+
+  while (date.isSameOrBefore(after)) {
+    occurrence += 1;
+    date = getRecurringOccurrenceDate(startDate, frequency, interval, occurrence);
+  }
+  if (endDate && date.isAfter(moment(endDate).endOf('day'))) {
+    return null;
+  }
+  return date.toDate();
+};
+
+/**
+ * Retrieves the upcoming occurrence dates of the recurring schedule
+ * starting from the given date inclusive.
+ * @param {Date|string} startDate
+ * @param {RecurringFrequency} frequency
+ * @param {number} interval
+ * @param {Date|string} fromDate
+ * @param {number} count
+ * @param {Date|string|null} endDate
+ * @returns {Date[]}
+ */
+export const getRecurringUpcomingDates = (
+  startDate: Date | string,
+  frequency: RecurringFrequency,
+  interval: number,
+  fromDate: Date | string,
+  count: number,
+  endDate?: Date | string | null
+): Date[] => {
+  const dates = [];
+  let date = getRecurringNextDate(
+    startDate,
+    frequency,
+    interval,
+    moment(fromDate).subtract(1, 'day').toDate(),
+    endDate
+  );
+  while (date && dates.length < count) {
+    dates.push(date);
+    date = getRecurringNextDate(startDate, frequency, interval, date, endDate);
+  }
+  return dates;
+};
@@ -0,0 +1,38 @@
+import { assert } from 'chai';
+import {
+  hasNestedQuantifiers,
+  isSafeRegexPattern,
+  REGEX_PATTERN_MAX_LENGTH,
+} from './safe-regex';
+
+describe('Safe regex', () => {
+  it('Should detect the repeated groups that repeat inside.', () => {
+    assert.isTrue(hasNestedQuantifiers('(a+)+$'));
+    assert.isTrue(hasNestedQuantifiers('^(\\w*)*@'));
+    assert.isTrue(hasNestedQuantifiers('((ab)+c)*'));
+    assert.isTrue(hasNestedQuantifiers('(?:a{2,})+'));
+    assert.isTrue(hasNestedQuantifiers('(x(a+)y){2,5}'));
+  });
+
+  it('Should accept the single repeated groups and atoms.', () => {
+    assert.isFalse(hasNestedQuantifiers('^INV-\\d{4}$'));
+    assert.isFalse(hasNestedQuantifiers('(foo|bar)+'));
+    assert.isFalse(hasNestedQuantifiers('(\\d+)?-(\\w+)'));
+    assert.isFalse(hasNestedQuantifiers('(a+)?'));
+  });
+
+  it('Should ignore the escaped and the character class quantifiers.', () => {
+    assert.isFalse(hasNestedQuantifiers('(a\\+)+'));
+    assert.isFalse(hasNestedQuantifiers('([+*])+'));
+    assert.isFalse(hasNestedQuantifiers('([])+])+'));
+    assert.isFalse(hasNestedQuantifiers('\\(a+\\)+'));
+  });
+
+  it('Should reject the too long patterns.', () => {
+    assert.isTrue(isSafeRegexPattern('a'.repeat(REGEX_PATTERN_MAX_LENGTH)));
+    assert.isFalse(
+      isSafeRegexPattern('a'.repeat(REGEX_PATTERN_MAX_LENGTH + 1))
+    );
+    assert.isFalse(isSafeRegexPattern('(a+)+$'));
+  });
+});
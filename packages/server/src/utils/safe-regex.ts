@@ -0,0 +1,92 @@
+export const REGEX_PATTERN_MAX_LENGTH = 200;
+export const REGEX_INPUT_MAX_LENGTH = 1000;
+
+/**
+ * Retrieves the length of the repeating quantifier at the given index of
+ * the pattern, the optional `?` quantifier doesn't repeat.
+ * @param {string} pattern
+ * @param {number} index
+ * @returns {number}
+ */
+const getRepeatQuantifierLength = (pattern: string, index: number): number => {
+  if (pattern[index] === '*' || pattern[index] === '+') return 1;
+
+  const bounded = /^\{\d+(,\d*)?\}/.exec(pattern.substring(index));
+
+  return bounded ? bounded[0].length : 0;
+};
+
+/**
+ * Retrieves the index of the end of the character class that starts at
+ * the given index of the pattern.
+ * @param {string} pattern
+ * @param {number} index
+ * @returns {number}
+ */
+const getCharacterClassEnd = (pattern: string, index: number): number => {
+  let cursor = index + 1;
+
+  // The leading `]` of the class, optionally negated, is a literal.
+  if (pattern[cursor] === '^') cursor += 1;
+  if (pattern[cursor] === ']') cursor += 1;
+
+  while (cursor < pattern.length && pattern[cursor] !== ']') {
+    cursor += pattern[cursor] === '\\' ? 2 : 1;
+  }
+  return cursor;
+};
+
+/**
+ * Detarmines whether the given pattern repeats a group that repeats itself,
+ * e.g. `(a+)+`, the nested quantifiers backtrack exponentially on
+ * the unmatched input.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export const hasNestedQuantifiers = (pattern: string): boolean => {
+  // Whether each open group, the whole pattern first, repeats inside.
+  const groups = [false];
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      index = getCharacterClassEnd(pattern, index) + 1;
+    } else if (char === '(') {
+      groups.push(false);
+      index += 1;
+    } else if (char === ')' && groups.length > 1) {
+      const isRepeatingInside = groups.pop();
+      index += 1;
+
+      if (isRepeatingInside) {
+        if (getRepeatQuantifierLength(pattern, index) > 0) return true;
+
+        groups[groups.length - 1] = true;
+      }
+    } else {
+      const quantifierLength = getRepeatQuantifierLength(pattern, index);
+
+      if (quantifierLength > 0) {
+        groups[groups.length - 1] = true;
+      }
+      index += quantifierLength || 1;
+    }
+  }
+  return false;
+};
+
+/**
+ * Detarmines whether the given user pattern is safe to run, it should be
+ * short enough and free of nested quantifiers.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export const isSafeRegexPattern = (pattern: string): boolean => {
+  return (
+    pattern.length <= REGEX_PATTERN_MAX_LENGTH && !hasNestedQuantifiers(pattern)
+  );
+};
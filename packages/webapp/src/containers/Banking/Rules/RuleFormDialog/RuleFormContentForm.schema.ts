@@ -1,5 +1,6 @@
 // @ts-nocheck
 import * as Yup from 'yup';
+import { RangeComparators } from './_utils';
 
 const Schema = Yup.object().shape({
   name: Yup.string().required().label('Rule name'),
@@ -13,6 +14,14 @@ const Schema = Yup.object().shape({
   conditions: Yup.array().of(
     Yup.object().shape({
       value: Yup.string().required().label('Value'),
+      valueTo: Yup.string()
+        .nullable()
+        .when('comparator', {
+          is: (comparator) => RangeComparators.includes(comparator),
+          then: Yup.string().required(),
+        })
+        .label('Value to'),
+      caseSensitive: Yup.boolean(),
       comparator: Yup.string().required().label('Comparator'),
       field: Yup.string().required().label('Field'),
     }),
@@ -8,6 +8,7 @@ import {
   AccountsSelect,
   AppToaster,
   Box,
+  FCheckbox,
   FFormGroup,
   FInputGroup,
   FRadioGroup,
@@ -17,11 +18,13 @@ import {
 } from '@/components';
 import { useCreateBankRule, useEditBankRule } from '@/hooks/query/bank-rules';
 import {
-  FieldCondition,
   Fields,
+  RangeComparators,
   RuleFormValues,
   TransactionTypeOptions,
   getAccountRootFromMoneyCategory,
+  getConditionFieldType,
+  getFieldComparatorOptions,
   initialValues,
 } from './_utils';
 import { useRuleFormDialogBoot } from './RuleFormBoot';
@@ -170,7 +173,13 @@ function RuleFormConditions() {
   const handleAddConditionBtnClick = () => {
     const _conditions = [
       ...values.conditions,
-      { field: '', comparator: '', value: '' },
+      {
+        field: '',
+        comparator: '',
+        value: '',
+        valueTo: '',
+        caseSensitive: false,
+      },
     ];
     setFieldValue('conditions', _conditions);
   };
@@ -179,44 +188,7 @@ function RuleFormConditions() {
     <Box style={{ marginBottom: 15 }}>
       <Stack spacing={15}>
         {values?.conditions?.map((condition, index) => (
-          <Group key={index} style={{ width: 500 }}>
-            <FFormGroup
-              name={`conditions[${index}].field`}
-              label={'Field'}
-              style={{ marginBottom: 0, flex: '1 0' }}
-              fastField
-            >
-              <FSelect
-                name={`conditions[${index}].field`}
-                items={Fields}
-                popoverProps={{ minimal: true, inline: false }}
-                fastField
-              />
-            </FFormGroup>
-
-            <FFormGroup
-              name={`conditions[${index}].comparator`}
-              label={'Condition'}
-              style={{ marginBottom: 0, flex: '1 0' }}
-              fastField
-            >
-              <FSelect
-                name={`conditions[${index}].comparator`}
-                items={FieldCondition}
-                popoverProps={{ minimal: true, inline: false }}
-                fastField
-              />
-            </FFormGroup>
-
-            <FFormGroup
-              name={`conditions[${index}].value`}
-              label={'Value'}
-              style={{ marginBottom: 0, flex: '1 0 ', width: '40%' }}
-              fastField
-            >
-              <FInputGroup name={`conditions[${index}].value`} fastField />
-            </FFormGroup>
-          </Group>
+          <RuleFormCondition key={index} index={index} condition={condition} />
         ))}
       </Stack>
 
@@ -234,6 +206,99 @@ function RuleFormConditions() {
   );
 }
 
+/**
+ * Rule form condition row, the comparators are based on the field type.
+ * @returns {React.ReactNode}
+ */
+function RuleFormCondition({ index, condition }) {
+  const { setFieldValue } = useFormikContext<RuleFormValues>();
+
+  const comparators = useMemo(
+    () => getFieldComparatorOptions(condition.field),
+    [condition.field],
+  );
+  const isRange = RangeComparators.includes(condition.comparator);
+  const isText = getConditionFieldType(condition.field) === 'text';
+
+  // Resets the comparator once the field changes to another field type.
+  const handleFieldChange = useCallback(
+    (item: any) => {
+      const options = getFieldComparatorOptions(item.value);
+      setFieldValue(`conditions[${index}].field`, item.value);
+      setFieldValue(`conditions[${index}].comparator`, options[0]?.value || '');
+      setFieldValue(`conditions[${index}].valueTo`, '');
+    },
+    [index, setFieldValue],
+  );
+
+  return (
+    <Stack spacing={6}>
+      <Group style={{ width: 500 }}>
+        <FFormGroup
+          name={`conditions[${index}].field`}
+          label={'Field'}
+          style={{ marginBottom: 0, flex: '1 0' }}
+          fastField
+        >
+          <FSelect
+            name={`conditions[${index}].field`}
+            items={Fields}
+            popoverProps={{ minimal: true, inline: false }}
+            onItemChange={handleFieldChange}
+            fastField
+          />
+        </FFormGroup>
+
+        <FFormGroup
+          name={`conditions[${index}].comparator`}
+          label={'Condition'}
+          style={{ marginBottom: 0, flex: '1 0' }}
+          fastField
+          shouldUpdateDeps={{ comparators }}
+        >
+          <FSelect
+            name={`conditions[${index}].comparator`}
+            items={comparators}
+            popoverProps={{ minimal: true, inline: false }}
+            shouldUpdateDeps={{ comparators }}
+            fastField
+          />
+        </FFormGroup>
+
+        <FFormGroup
+          name={`conditions[${index}].value`}
+          label={isRange ? 'From' : 'Value'}
+          style={{
+            marginBottom: 0,
+            flex: '1 0 ',
+            width: isRange ? '20%' : '40%',
+          }}
+        >
+          <FInputGroup name={`conditions[${index}].value`} />
+        </FFormGroup>
+
+        {isRange && (
+          <FFormGroup
+            name={`conditions[${index}].valueTo`}
+            label={'To'}
+            style={{ marginBottom: 0, flex: '1 0 ', width: '20%' }}
+          >
+            <FInputGroup name={`conditions[${index}].valueTo`} />
+          </FFormGroup>
+        )}
+      </Group>
+
+      {isText && (
+        <FCheckbox
+          name={`conditions[${index}].caseSensitive`}
+          label={'Case sensitive'}
+          style={{ marginBottom: 0 }}
+        />
+      )}
+    </Stack>
+  );
+}
+
 /**
  * Rule form actions buttons.
  * @returns {React.ReactNode}
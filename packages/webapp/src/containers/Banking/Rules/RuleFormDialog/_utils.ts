@@ -12,6 +12,8 @@ export const initialValues = {
       field: 'description',
       comparator: 'contains',
       value: '',
+      valueTo: '',
+      caseSensitive: false,
     },
   ],
   assignCategory: '',
@@ -28,6 +30,8 @@ export interface RuleFormValues {
     field: string;
     comparator: string;
     value: string;
+    valueTo?: string;
+    caseSensitive?: boolean;
   }>;
   assignCategory: string;
   assignAccountId: string;
@@ -38,15 +42,52 @@ export const TransactionTypeOptions = [
   { value: 'withdrawal', text: 'Withdrawal' },
 ];
 export const Fields = [
-  { value: 'description', text: 'Description' },
-  { value: 'amount', text: 'Amount' },
-  { value: 'payee', text: 'Payee' },
+  { value: 'description', text: 'Description', type: 'text' },
+  { value: 'amount', text: 'Amount', type: 'number' },
+  { value: 'payee', text: 'Payee', type: 'text' },
+  { value: 'reference_no', text: 'Reference No.', type: 'text' },
+  { value: 'date', text: 'Date', type: 'date' },
+  { value: 'counterparty_name', text: 'Counterparty Name', type: 'text' },
+  { value: 'counterparty_iban', text: 'Counterparty IBAN', type: 'text' },
 ];
 export const FieldCondition = [
   { value: 'contains', text: 'Contains' },
   { value: 'equals', text: 'Equals' },
-  { value: 'not_contains', text: 'Not Contains' },
+  { value: 'not_contain', text: 'Not Contains' },
+  { value: 'starts_with', text: 'Starts With' },
+  { value: 'ends_with', text: 'Ends With' },
+  { value: 'regex', text: 'Matches Regex' },
+  { value: 'greater_than', text: 'Greater Than' },
+  { value: 'greater_than_or_equal', text: 'Greater Than or Equal' },
+  { value: 'less_than', text: 'Less Than' },
+  { value: 'less_than_or_equal', text: 'Less Than or Equal' },
+  { value: 'between', text: 'Between' },
+  { value: 'day_of_month_between', text: 'Day of Month Between' },
 ];
+export const FieldTypeComparators = {
+  text: [
+    'equals',
+    'contains',
+    'not_contain',
+    'starts_with',
+    'ends_with',
+    'regex',
+  ],
+  number: [
+    'equals',
+    'contains',
+    'not_contain',
+    'greater_than',
+    'greater_than_or_equal',
+    'less_than',
+    'less_than_or_equal',
+    'between',
+  ],
+  date: ['day_of_month_between'],
+};
+// Comparators that match a range between the value and the value to.
+export const RangeComparators = ['between', 'day_of_month_between'];
+
 export const AssignTransactionTypeOptions = [
   { value: 'expense', text: 'Expense' },
 ];
@@ -56,3 +97,23 @@ export const getAccountRootFromMoneyCategory = (category: string): string[] => {
 
   return get(MoneyCategoryPerCreditAccountRootType, _category) || [];
 };
+
+/**
+ * Retrieves the type of the given condition field.
+ * @param {string} field
+ * @returns {string}
+ */
+export const getConditionFieldType = (field: string): string => {
+  return Fields.find((_field) => _field.value === field)?.type || 'text';
+};
+
+/**
+ * Retrieves the comparator options that supported by the given field.
+ * @param {string} field
+ * @returns {Array<{ value: string; text: string }>}
+ */
+export const getFieldComparatorOptions = (field: string) => {
+  const comparators = FieldTypeComparators[getConditionFieldType(field)];
+
+  return FieldCondition.filter((option) => comparators.includes(option.value));
+};